@@ -1493,10 +1493,36 @@ CL3D.Action.ActionPlaySound.prototype.execute = function(currentNode, sceneManag
 	if (sceneManager == null || this.TheSound == null)
 		return;
 						
-	if (this.PlayAs2D || true) // currently no 3d playing supported
+	if (this.PlayAs2D)
 	{
 		this.PlayingSound = CL3D.gSoundManager.play2D(this.TheSound, this.PlayLooped, this.Volume);
 	}
+	else
+	{
+		var pos = this.Position3D ? this.Position3D.clone() : new CL3D.Vect3d(0,0,0);
+		
+		var nodeToPlayAt = null;
+		if (this.PlayAtCurrentSceneNode)
+			nodeToPlayAt = currentNode;
+		else
+		if (this.SceneNodeToPlayAt != -1)
+			nodeToPlayAt = sceneManager.getSceneNodeFromId(this.SceneNodeToPlayAt);
+			
+		if (nodeToPlayAt)
+			pos = nodeToPlayAt.getAbsolutePosition();
+			
+		this.PlayingSound = CL3D.gSoundManager.play3D(this.TheSound, pos, this.PlayLooped, this.Volume, 
+			this.MinDistance, this.MaxDistance);
+			
+		if (this.PlayingSound && !this.PlayingSound.is3D)
+		{
+			// no 3d sound support, at least set the volume based on the distance
+			var cam = sceneManager.getActiveCamera();
+			if (cam)
+				CL3D.gSoundManager.setVolume(this.PlayingSound, CL3D.gSoundManager.getVolumeForDistance(this.Volume, 
+					cam.getAbsolutePosition().getDistanceTo(pos), this.MinDistance, this.MaxDistance));
+		}
+	}
 }
 
 // ---------------------------------------------------------------------
@@ -1557,16 +1583,15 @@ CL3D.Action.ActionStoreLoadVariable.prototype.createClone = function(oldNodeId,
 	return a;
 }
 
-CL3D.Action.ActionStoreLoadVariable.prototype.setCookie = function(cookieName, value, expdays)
-{
-	var expdate = new Date();
-	expdate.setDate(expdate.getDate() + expdays);
-	var cvalue = escape(value) + ("; expires=" + expdate.toUTCString());
-	document.cookie = cookieName + "=" + cvalue;
-}
-
+/**
+ * Reads a variable stored in a cookie by older versions, used as fallback when loading.
+ * @private
+ */
 CL3D.Action.ActionStoreLoadVariable.prototype.getCookie = function(cookieName)
 {
+	if (typeof document == 'undefined' || !document.cookie)
+		return null;
+
 	var ARRcookies = document.cookie.split(";");
 	for (var i=0; i<ARRcookies.length; ++i)
 	{
@@ -1595,18 +1620,24 @@ CL3D.Action.ActionStoreLoadVariable.prototype.execute = function(currentNode, sc
 	
 	if (var1 != null)
 	{
+		var key = CL3D.SaveGameManager.VARIABLE_PREFIX + var1.getName();
+
 		try
 		{			
 			if (this.Load)
 			{
 				// load
 				
-				var1.setValueAsString(this.getCookie(var1.getName()));
+				var value = CL3D.gSaveGameManager.getValue(key);
+				if (value == null)
+					value = this.getCookie(var1.getName());
+
+				var1.setValueAsString(value);
 			}
 			else
 			{
 				// save
-				this.setCookie(var1.getName(), var1.getValueAsString(), 99);
+				CL3D.gSaveGameManager.setValue(key, var1.getValueAsString());
 			}
 		}
 		catch(e)
@@ -1976,6 +2007,8 @@ CL3D.VideoStream = function(filename, renderer)
 	this.state = 0; // 0=stopped, 1=loading, 2=playing, 3=paused
 	this.playLooped = false;
 	this.isError = false;
+	this.playbackPaused = false;
+	this.onLoadingDone = null; // called with the stream and true when it can be shown, or false if it failed
 	
 	this.videoBufferReady = function()
 	{
@@ -1991,6 +2024,9 @@ CL3D.VideoStream = function(filename, renderer)
 		// now replace content of the new texture with the old placeholder texture
 		
 		this.renderer.replacePlaceholderTextureWithNewTextureContent(oldTexture, newTexture);		
+		
+		if (this.onLoadingDone)
+			this.onLoadingDone(this, true);
 	}
 	
 	this.videoPlaybackDone = function()
@@ -2004,6 +2040,9 @@ CL3D.VideoStream = function(filename, renderer)
 		this.state = 0;
 		this.playBackEnded = true;
 		this.isError = true;
+		
+		if (this.onLoadingDone)
+			this.onLoadingDone(this, false);
 	}
 		
 	this.play = function(playLooped)
@@ -2085,6 +2124,36 @@ CL3D.VideoStream = function(filename, renderer)
 		this.state = 0;	
 	}
 	
+	this.updateFromClock = function(clock, pausedByEngine)
+	{
+		if (this.state != 2 || !this.videoElement) // playing
+			return;
+			
+		// pause together with the clock or the engine, and play faster or slower with the time scale of the clock
+		
+		var paused = clock.isPaused() || pausedByEngine == true;
+		if (paused != this.playbackPaused)
+		{
+			this.playbackPaused = paused;
+			
+			if (paused)
+				this.videoElement.pause();
+			else
+				this.videoElement.play();
+		}
+		
+		var rate = CL3D.clamp(clock.getTimeScale(), 0.0625, 16);
+		if (this.videoElement.playbackRate != rate)
+		{
+			try
+			{
+				this.videoElement.playbackRate = rate;
+			}
+			catch(err)
+			{ }
+		}
+	}
+	
 	this.updateVideoTexture = function()
 	{
 		if (!this.readyToShow)
@@ -36,6 +36,14 @@ CL3D.AnimatedMeshSceneNode = function()
 	
 	this.MinimalUpdateDelay = 20;
 	
+	this.AnimationName = null; // name of the currently played named animation, for animation events
+	this.BlendSpaceLayer = null; // AnimationLayer playing the blend space set with setAnimationBlendSpace() instead of the named animation
+	this.AnimationLayers = new Array(); // AnimationLayer
+	this.AnimationEvents = new Array(); // objects with AnimationName, Frame and Action
+	this.AnimationPoses = new Array(); // temporary poses for blending the layers
+	this.LastAnimationLayerUpdateTime = 0;
+	this.LastEventFrame = null;
+	
 	this.AnimatedDummySceneNodes = new Array(); // list of items of type SAnimatedDummySceneNodeChild to be attached to an animated joint.
 }
 CL3D.AnimatedMeshSceneNode.prototype = new CL3D.SceneNode();
@@ -110,6 +118,7 @@ CL3D.AnimatedMeshSceneNode.prototype.setAnimation = function(name)
 		
 	this.setFrameLoop(animinfo.Begin, animinfo.End);
 	this.setAnimationSpeed(animinfo.FPS);
+	this.AnimationName = animinfo.Name;
 	return true;
 }
 
@@ -127,6 +136,221 @@ CL3D.AnimatedMeshSceneNode.prototype.setAnimationBlending = function(enable, ble
 	this.AnimationBlendingEnabled = enable;
 }
 
+/**
+ * Plays a blend space instead of the current named animation, mixing several animations like walking and running 
+ * depending on its parameters. When animation blending is enabled, the animation is blended into it. 
+ * See {@link CL3D.AnimationBlendSpace}.
+ * @public
+ * @param {CL3D.AnimationBlendSpace} blendSpace the blend space to play, or null to play the named animation again.
+ */
+CL3D.AnimatedMeshSceneNode.prototype.setAnimationBlendSpace = function(blendSpace)
+{
+	var current = this.BlendSpaceLayer ? this.BlendSpaceLayer.getBlendSpace() : null;
+	if (current === blendSpace)
+		return;
+		
+	if (this.AnimationBlendingEnabled && this.BlendTimeMs)
+		this.startAnimationBlending(this.CurrentFrameNr);
+		
+	this.BlendSpaceLayer = blendSpace ? new CL3D.AnimationLayer(blendSpace) : null;
+	this.LastEventFrame = null;
+}
+
+/**
+ * Returns the blend space played instead of the named animation, or null if there is none.
+ * See {@link setAnimationBlendSpace}().
+ * @public
+ * @returns {CL3D.AnimationBlendSpace} the blend space
+ */
+CL3D.AnimatedMeshSceneNode.prototype.getAnimationBlendSpace = function()
+{
+	return this.BlendSpaceLayer ? this.BlendSpaceLayer.getBlendSpace() : null;
+}
+
+/**
+ * Adds an animation layer, playing an animation on top of the animation of this node, for example for the upper body only.
+ * See {@link CL3D.AnimationLayer}.
+ * @public
+ * @param {CL3D.AnimationLayer} layer the layer to add
+ */
+CL3D.AnimatedMeshSceneNode.prototype.addAnimationLayer = function(layer)
+{
+	if (layer != null && this.AnimationLayers.indexOf(layer) == -1)
+		this.AnimationLayers.push(layer);
+}
+
+/**
+ * Removes an animation layer added with {@link addAnimationLayer}().
+ * @public
+ * @param {CL3D.AnimationLayer} layer the layer to remove
+ */
+CL3D.AnimatedMeshSceneNode.prototype.removeAnimationLayer = function(layer)
+{
+	var idx = this.AnimationLayers.indexOf(layer);
+	if (idx != -1)
+		this.AnimationLayers.splice(idx, 1);
+}
+
+/**
+ * Returns the array of animation layers of this node. See {@link addAnimationLayer}().
+ * @public
+ * @returns {Array} array of {@link CL3D.AnimationLayer}s
+ */
+CL3D.AnimatedMeshSceneNode.prototype.getAnimationLayers = function()
+{
+	return this.AnimationLayers;
+}
+
+/**
+ * Adds an animation event: The actions of an action handler are executed when the given frame of a named animation
+ * is played, for example to play footstep sounds. This works for the named animation played by the node, in 
+ * {@link CL3D.AnimationLayer}s, and in blend spaces for the animation with the most weight.
+ * @public
+ * @param {String} animationName name of the animation
+ * @param {Number} frame frame in the animation at which the event is fired, 0 being its first frame.
+ * @param {CL3D.ActionHandler} actionHandler action handler to execute. Its actions are executed with this node as current scene node.
+ * @example
+ * var handler = new CL3D.ActionHandler(engine.getScene());
+ * handler.addAction(playFootstepSoundAction);
+ * character.addAnimationEvent('walk', 5, handler);
+ * character.addAnimationEvent('walk', 17, handler);
+ */
+CL3D.AnimatedMeshSceneNode.prototype.addAnimationEvent = function(animationName, frame, actionHandler)
+{
+	var e = new Object();
+	e.AnimationName = animationName;
+	e.Frame = frame;
+	e.Action = actionHandler;
+	this.AnimationEvents.push(e);
+}
+
+/**
+ * Removes all animation events of a named animation, see {@link addAnimationEvent}().
+ * @public
+ * @param {String} animationName name of the animation, or null to remove the events of all animations.
+ */
+CL3D.AnimatedMeshSceneNode.prototype.removeAnimationEvents = function(animationName)
+{
+	for (var i=0; i<this.AnimationEvents.length;)
+	{
+		var name = this.AnimationEvents[i].AnimationName;
+		
+		if (animationName == null || (name && name.toLowerCase() == animationName.toLowerCase()))
+			this.AnimationEvents.splice(i, 1);
+		else
+			++i;
+	}
+}
+
+/**
+ * Fires the animation events of a named animation with frames between the old and the new frame number, 
+ * relative to the begin of the animation. If the animation is played forwards and the new frame is before 
+ * the old one, or the other way round, it was restarted.
+ * @private
+ */
+CL3D.AnimatedMeshSceneNode.prototype.fireAnimationEvents = function(animationName, oldFrame, newFrame, backwards)
+{
+	if (!animationName || this.AnimationEvents.length == 0 || oldFrame == newFrame)
+		return;
+		
+	var lwrname = animationName.toLowerCase();
+	var restarted = backwards ? newFrame > oldFrame : newFrame < oldFrame;
+	
+	// copy, actions might change the events
+	var events = this.AnimationEvents.slice();
+	
+	for (var i=0; i<events.length; ++i)
+	{
+		var e = events[i];
+		if (!e.AnimationName || e.AnimationName.toLowerCase() != lwrname || e.Action == null)
+			continue;
+			
+		var f = e.Frame;
+		var hit;
+		
+		if (backwards)
+			hit = restarted ? (f < oldFrame || f >= newFrame) : (f < oldFrame && f >= newFrame);
+		else
+			hit = restarted ? (f > oldFrame || f <= newFrame) : (f > oldFrame && f <= newFrame);
+			
+		if (hit)
+			e.Action.execute(this, this.scene);
+	}
+}
+
+/**
+ * Advances the blend space and animation layers.
+ * @private
+ */
+CL3D.AnimatedMeshSceneNode.prototype.updateAnimationLayers = function(timeMs)
+{
+	var delta = this.LastAnimationLayerUpdateTime ? Math.max(timeMs - this.LastAnimationLayerUpdateTime, 0) : 0;
+	this.LastAnimationLayerUpdateTime = timeMs;
+	
+	if (!this.Mesh || this.Mesh.isStatic())
+		return;
+		
+	if (this.BlendSpaceLayer)
+		this.BlendSpaceLayer.advance(this, this.Mesh, delta);
+		
+	for (var i=0; i<this.AnimationLayers.length; ++i)
+		this.AnimationLayers[i].advance(this, this.Mesh, delta);
+}
+
+/**
+ * Returns a temporary pose for blending the animation layers.
+ * @private
+ */
+CL3D.AnimatedMeshSceneNode.prototype.getAnimationPose = function(idx)
+{
+	while (this.AnimationPoses.length <= idx)
+		this.AnimationPoses.push(null);
+		
+	var pose = this.AnimationPoses[idx];
+	if (pose == null || pose.length != this.Mesh.AllJoints.length)
+	{
+		pose = this.Mesh.createPose();
+		this.AnimationPoses[idx] = pose;
+	}
+	
+	return pose;
+}
+
+/**
+ * Animates the joints with the blend space or current frame, the animation layers on top of it, and blends from 
+ * the joint positions before the animation was changed if blendFactor is less than 1.
+ * @private
+ */
+CL3D.AnimatedMeshSceneNode.prototype.animateJointsWithLayers = function(framenumber, blendFactor)
+{
+	var skinnedMesh = this.Mesh; // as SkinnedMesh;
+	if (skinnedMesh.isStatic())
+		return false;
+		
+	var pose = this.getAnimationPose(0);
+	var layerPose = this.getAnimationPose(1);
+	var tmpPose = this.getAnimationPose(2);
+	var referencePose = this.getAnimationPose(3);
+	
+	if (this.BlendSpaceLayer == null || 
+		!this.BlendSpaceLayer.getPose(skinnedMesh, this.BlendSpaceLayer.Phase, pose, tmpPose))
+		skinnedMesh.getFramePose(framenumber, pose);
+		
+	for (var i=0; i<this.AnimationLayers.length; ++i)
+		this.AnimationLayers[i].applyToPose(skinnedMesh, pose, layerPose, tmpPose, referencePose);
+		
+	if (blendFactor < 1.0)
+	{
+		// joints still have the positions from before the animation was changed
+		skinnedMesh.getJointPose(layerPose);
+		skinnedMesh.blendPoses(layerPose, pose, blendFactor, null);
+		pose = layerPose;
+	}
+		
+	skinnedMesh.setJointPose(pose);
+	return true;
+}
+
 
 
 /**
@@ -151,6 +375,7 @@ CL3D.AnimatedMeshSceneNode.prototype.setAnimationByEditorName = function(name, l
 		if (range.FPS != 0)
 			this.setAnimationSpeed(range.FPS);
 		this.setLoopMode(loop);
+		this.AnimationName = range.Name;
 	}
 	else
 	if (name)
@@ -316,6 +541,18 @@ CL3D.AnimatedMeshSceneNode.prototype.createClone = function(newparent, oldNodeId
 	c.JointStatesBeforeBlendingBegin = new Array();
 	c.BeginBlendTime = 0;
 	
+	c.AnimationName = this.AnimationName;
+	c.BlendSpaceLayer = this.BlendSpaceLayer ? this.BlendSpaceLayer.createClone() : null;
+	
+	for (var i=0; i<this.AnimationLayers.length; ++i)
+		c.AnimationLayers.push(this.AnimationLayers[i].createClone());
+		
+	for (var i=0; i<this.AnimationEvents.length; ++i)
+	{
+		var e = this.AnimationEvents[i];
+		c.addAnimationEvent(e.AnimationName, e.Frame, e.Action && e.Action.createClone ? e.Action.createClone(oldNodeId, newNodeId) : e.Action);
+	}
+	
 	for (var i=0; i<this.AnimatedDummySceneNodes.length; ++i)
 	{
 		var h = new CL3D.SAnimatedDummySceneNodeChild();
@@ -359,6 +596,8 @@ CL3D.AnimatedMeshSceneNode.prototype.setFrameLoop = function(begin, end)
 {
 	if (!this.Mesh)
 		return false;
+		
+	this.AnimationName = null;
 
 	var maxFrameCount = this.Mesh.getFrameCount() - 1;
 	var oldStart = this.StartFrame;
@@ -376,7 +615,10 @@ CL3D.AnimatedMeshSceneNode.prototype.setFrameLoop = function(begin, end)
 	}
 	
 	if (oldStart != this.StartFrame || oldEnd != this.EndFrame)
+	{
 		this.setCurrentFrame ( this.StartFrame );
+		this.LastEventFrame = null;
+	}
 
 	return true;
 }
@@ -391,6 +633,7 @@ CL3D.AnimatedMeshSceneNode.prototype.setCurrentFrame = function(frame)
 	var oldFrameNumber = this.CurrentFrameNr;
 	
 	this.CurrentFrameNr = CL3D.clamp( frame, this.StartFrame, this.EndFrame );
+	this.LastEventFrame = this.CurrentFrameNr - this.StartFrame;
 	this.BeginFrameTime = CL3D.CLTimer.getTime() - Math.floor((this.CurrentFrameNr - this.StartFrame) / this.FramesPerSecond);
 	
 	if (this.AnimationBlendingEnabled && this.BlendTimeMs)
@@ -514,15 +757,22 @@ CL3D.AnimatedMeshSceneNode.prototype.calculateMeshForCurrentFrame = function() /
 	// Update the skinned mesh for the current joint transforms.
 	if (animationChanged || skinnedMesh.skinDoesNotMatchJointPositions)
 	{
-		skinnedMesh.skinMesh(this.hasDynamicLightedMaterials());
+		if (skinnedMesh.SkinnedOnGPU)
+			skinnedMesh.skinMeshOnGPU();
+		else
+			skinnedMesh.skinMesh(this.hasDynamicLightedMaterials());
+			
 		skinnedMesh.updateBoundingBox();
 		this.Box = skinnedMesh.getBoundingBox().clone();
 		
 		// update all changed buffers
-		for (var i=0; i<skinnedMesh.LocalBuffers.length; ++i)
+		if (!skinnedMesh.SkinnedOnGPU)
 		{
-			var buf = skinnedMesh.LocalBuffers[i]; // as MeshBuffer;	
-			buf.update(true);
+			for (var i=0; i<skinnedMesh.LocalBuffers.length; ++i)
+			{
+				var buf = skinnedMesh.LocalBuffers[i]; // as MeshBuffer;	
+				buf.update(true);
+			}
 		}
 	}
 
@@ -555,8 +805,24 @@ CL3D.AnimatedMeshSceneNode.prototype.OnAnimate = function(mgr, timeMs) //:Boolea
 		framechanged = this.CurrentFrameNr != newFrameNr;
 		this.CurrentFrameNr = newFrameNr;
 		this.LastLODSkinnedAnimationTime = now;
+		
+		// fire the events of the named animation, unless a blend space is played instead of it
+		
+		var eventFrame = newFrameNr - this.StartFrame;
+		if (this.BlendSpaceLayer == null && this.LastEventFrame != eventFrame)
+		{
+			var backwards = this.FramesPerSecond < 0;
+			var oldEventFrame = this.LastEventFrame;
+			if (oldEventFrame == null)
+				oldEventFrame = backwards ? this.EndFrame - this.StartFrame + 1 : -1;
+				
+			this.LastEventFrame = eventFrame;
+			this.fireAnimationEvents(this.AnimationName, oldEventFrame, eventFrame, backwards);
+		}
 	}
 	
+	this.updateAnimationLayers(timeMs);
+	
 	//return super.OnAnimate(mgr, timeMs) || framechanged;
 	var changed = CL3D.SceneNode.prototype.OnAnimate.call(this, mgr, timeMs);
 	
@@ -592,7 +858,10 @@ CL3D.AnimatedMeshSceneNode.prototype.render = function(renderer) //:void
 		// calculate skin
 		
 		if (!skinnedMesh.isStatic())
+		{
+			skinnedMesh.setSkinnedOnGPU(this.canBeSkinnedOnGPU(renderer));
 			this.calculateMeshForCurrentFrame();
+		}
 		
 		this.WasAnimatedBefore = true;
 						
@@ -608,6 +877,8 @@ CL3D.AnimatedMeshSceneNode.prototype.render = function(renderer) //:void
 			{				
 				if (buf.Transformation != null)
 					renderer.setWorld(this.AbsoluteTransformation.multiply(buf.Transformation)); // rigid transformation of the whole buffer
+					
+				renderer.setSkinningMatrices(skinnedMesh.SkinnedOnGPU ? skinnedMesh.GPUSkinningMatrices[i] : null);
 				
 				renderer.setMaterial(buf.Mat);		
 				renderer.drawMeshBuffer(buf);
@@ -615,10 +886,40 @@ CL3D.AnimatedMeshSceneNode.prototype.render = function(renderer) //:void
 				if (buf.Transformation != null)
 					renderer.setWorld(this.AbsoluteTransformation); // set back old transformation
 			}
-		}	
+		}
+		
+		renderer.setSkinningMatrices(null);
 	}
 }
 
+/**
+ * Returns true if the mesh can be skinned on the GPU: if the renderer supports it, the mesh buffers are not 
+ * influenced by too many joints, and the shaders of all materials support it.
+ * @private
+ */
+CL3D.AnimatedMeshSceneNode.prototype.canBeSkinnedOnGPU = function(renderer)
+{
+	var skinnedMesh = this.Mesh; // as SkinnedMesh;
+	
+	if (!renderer.UseGPUSkinning || !renderer.GPUSkinningSupported)
+		return false;
+		
+	if (!skinnedMesh.prepareForGPUSkinning(renderer.SkinningMaxJoints))
+		return false;
+		
+	for (var i=0; i<skinnedMesh.LocalBuffers.length; ++i)
+	{
+		if (skinnedMesh.GPUSkinningPalettes[i] == null)
+			continue;
+			
+		var mat = i < this.Materials.length ? this.Materials[i] : skinnedMesh.LocalBuffers[i].Mat;
+		if (!renderer.canSkinMaterialOnGPU(mat))
+			return false;
+	}
+	
+	return true;
+}
+
 /**
  * @private
  */
@@ -713,7 +1014,10 @@ CL3D.AnimatedMeshSceneNode.prototype.animateJointsWithCurrentBlendingSettings =
 
 	// animate with the current frame number
 
-	return skinnedMesh.animateMesh(framenumber, blendFactor);
+	if (this.BlendSpaceLayer == null && this.AnimationLayers.length == 0)
+		return skinnedMesh.animateMesh(framenumber, blendFactor);
+		
+	return this.animateJointsWithLayers(framenumber, blendFactor);
 }
 
 /** 
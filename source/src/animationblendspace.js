@@ -0,0 +1,182 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * A blend space mixes several named animations of an {@link CL3D.AnimatedMeshSceneNode} depending on one or two parameters,
+ * for example 'idle', 'walk' and 'run' depending on the speed of a character, or additionally walking forwards, backwards
+ * and sideways depending on the direction it moves. Each animation is placed at a position in the space of the parameters,
+ * and the animations near the current parameters are mixed. All animations are played synchronized, so that for
+ * example the feet of walking and running animations move at the same time. For this, they should all start with the same foot.<br/>
+ * Play a blend space using {@link CL3D.AnimatedMeshSceneNode.setAnimationBlendSpace}() or in an {@link CL3D.AnimationLayer}.
+ * @constructor
+ * @public
+ * @class Mixes several animations depending on one or two parameters.
+ * @example
+ * // 1D blend space, mixing animations by speed
+ * var locomotion = new CL3D.AnimationBlendSpace();
+ * locomotion.addAnimation('idle', 0);
+ * locomotion.addAnimation('walk', 1.5);
+ * locomotion.addAnimation('run', 4);
+ * character.setAnimationBlendSpace(locomotion);
+ *
+ * // every frame:
+ * locomotion.setParameters(currentSpeed);
+ *
+ * // 2D blend space, mixing animations by sideways and forward speed
+ * var strafe = new CL3D.AnimationBlendSpace();
+ * strafe.addAnimation('idle', 0, 0);
+ * strafe.addAnimation('walk', 0, 1);
+ * strafe.addAnimation('walkback', 0, -1);
+ * strafe.addAnimation('strafeleft', -1, 0);
+ * strafe.addAnimation('straferight', 1, 0);
+ */
+CL3D.AnimationBlendSpace = function()
+{
+	this.Animations = new Array();
+	this.ParameterX = 0;
+	this.ParameterY = 0;
+}
+
+/**
+ * First parameter of the blend space, set it using {@link setParameters}(). Default is 0.
+ * @public
+ * @type Number
+ */
+CL3D.AnimationBlendSpace.prototype.ParameterX = 0;
+
+/**
+ * Second parameter of the blend space, set it using {@link setParameters}(). Not used by blend spaces with only one parameter.
+ * Default is 0.
+ * @public
+ * @type Number
+ */
+CL3D.AnimationBlendSpace.prototype.ParameterY = 0;
+
+/**
+ * Adds a named animation to the blend space.
+ * @public
+ * @param {String} name name of the animation, see {@link CL3D.AnimatedMeshSceneNode.getNamedAnimationInfo}().
+ * @param {Number} x value of the first parameter at which only this animation is played
+ * @param {Number} y value of the second parameter at which only this animation is played. Leave it out for blend spaces
+ * with only one parameter.
+ */
+CL3D.AnimationBlendSpace.prototype.addAnimation = function(name, x, y)
+{
+	var o = new Object();
+	o.Name = name;
+	o.X = x != null ? x : 0;
+	o.Y = y != null ? y : 0;
+	this.Animations.push(o);
+}
+
+/**
+ * Removes all animations from the blend space.
+ * @public
+ */
+CL3D.AnimationBlendSpace.prototype.clearAnimations = function()
+{
+	this.Animations = new Array();
+}
+
+/**
+ * Sets the parameters of the blend space, for example the current speed of the character.
+ * @public
+ * @param {Number} x first parameter
+ * @param {Number} y second parameter, leave it out for blend spaces with only one parameter.
+ */
+CL3D.AnimationBlendSpace.prototype.setParameters = function(x, y)
+{
+	this.ParameterX = x;
+	this.ParameterY = y != null ? y : 0;
+}
+
+/**
+ * Creates a copy of the blend space.
+ * @public
+ * @returns {CL3D.AnimationBlendSpace} the new blend space
+ */
+CL3D.AnimationBlendSpace.prototype.createClone = function()
+{
+	var c = new CL3D.AnimationBlendSpace();
+
+	for (var i=0; i<this.Animations.length; ++i)
+		c.addAnimation(this.Animations[i].Name, this.Animations[i].X, this.Animations[i].Y);
+
+	c.ParameterX = this.ParameterX;
+	c.ParameterY = this.ParameterY;
+	return c;
+}
+
+/**
+ * Returns the weights of all animations for the current parameters, using gradient band interpolation:
+ * Each animation gets less weight the further the parameters move from it towards one of the other animations.
+ * With one parameter, this interpolates linearly between the two neighbouring animations.
+ * @private
+ */
+CL3D.AnimationBlendSpace.prototype.getWeights = function()
+{
+	var weights = new Array();
+	var anims = this.Animations;
+	var sum = 0;
+
+	for (var i=0; i<anims.length; ++i)
+	{
+		var w = 1.0;
+		var px = this.ParameterX - anims[i].X;
+		var py = this.ParameterY - anims[i].Y;
+
+		for (var j=0; j<anims.length; ++j)
+		{
+			if (i == j)
+				continue;
+
+			var dx = anims[j].X - anims[i].X;
+			var dy = anims[j].Y - anims[i].Y;
+			var lenSq = dx*dx + dy*dy;
+			if (lenSq == 0)
+				continue;
+
+			w = Math.min(w, 1.0 - (px*dx + py*dy) / lenSq);
+		}
+
+		w = Math.max(w, 0.0);
+		weights.push(w);
+		sum += w;
+	}
+
+	if (sum > 0)
+	{
+		for (var i=0; i<weights.length; ++i)
+			weights[i] /= sum;
+	}
+
+	return weights;
+}
+
+/**
+ * Returns the named animation ranges of the mesh which are played with their weights, as array of objects
+ * with Range and Weight. Animations not existing in the mesh are ignored.
+ * @private
+ */
+CL3D.AnimationBlendSpace.prototype.getWeightedRanges = function(mesh)
+{
+	var ret = new Array();
+	var weights = this.getWeights();
+
+	for (var i=0; i<this.Animations.length; ++i)
+	{
+		if (weights[i] <= 0)
+			continue;
+
+		var range = mesh.getNamedAnimationRangeByName(this.Animations[i].Name);
+		if (range == null)
+			continue;
+
+		var o = new Object();
+		o.Range = range;
+		o.Weight = weights[i];
+		ret.push(o);
+	}
+
+	return ret;
+}
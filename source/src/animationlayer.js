@@ -0,0 +1,411 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * An animation layer plays a named animation or an {@link CL3D.AnimationBlendSpace} on top of the animation of an
+ * {@link CL3D.AnimatedMeshSceneNode}, for example a character shooting with its upper body while running with its legs.
+ * Layers are added using {@link CL3D.AnimatedMeshSceneNode.addAnimationLayer}() and are applied in the order they were added.<br/>
+ * A layer either replaces the pose of the joints by its own animation, or, if {@link Additive} is true, adds the movement
+ * of its animation relative to the first frame of it, for example leaning or breathing. A joint mask limits the layer
+ * to some joints, see {@link addJointToMask}().
+ * @constructor
+ * @public
+ * @class Plays an animation on top of the animation of an animated mesh, for some or all of its joints.
+ * @param {String|CL3D.AnimationBlendSpace} animation name of the named animation or blend space to play. Can be null
+ * and set later using {@link setAnimation}() or {@link setBlendSpace}().
+ * @example
+ * // shoot with the upper body while the legs keep running
+ * var shootLayer = new CL3D.AnimationLayer('shoot');
+ * shootLayer.addJointToMask('Spine', true);
+ * shootLayer.Looping = false;
+ * character.addAnimationLayer(shootLayer);
+ *
+ * // fade the layer out again after shooting
+ * if (shootLayer.isFinished())
+ *   shootLayer.fadeTo(0, 200);
+ */
+CL3D.AnimationLayer = function(animation)
+{
+	this.AnimationName = null;
+	this.BlendSpace = null;
+
+	this.Weight = 1.0;
+	this.Additive = false;
+	this.Looping = true;
+	this.Speed = 1.0;
+
+	this.Phase = 0;
+	this.Started = false;
+	this.FadeTargetWeight = 1.0;
+	this.FadeSpeed = 0;
+
+	this.MaskedJoints = new Array();
+	this.JointWeights = null;
+	this.JointWeightsMesh = null;
+
+	if (animation instanceof CL3D.AnimationBlendSpace)
+		this.BlendSpace = animation;
+	else
+	if (animation)
+		this.AnimationName = animation;
+}
+
+/**
+ * How much the layer influences the animation, between 0 (not at all) and 1 (fully). Default is 1.
+ * See also {@link fadeTo}().
+ * @public
+ * @type Number
+ */
+CL3D.AnimationLayer.prototype.Weight = 1.0;
+
+/**
+ * If true, the layer adds the difference between its current frame and the first frame of its animation to the
+ * animation below it, instead of replacing it. Default is false.
+ * @public
+ * @type Boolean
+ */
+CL3D.AnimationLayer.prototype.Additive = false;
+
+/**
+ * If the animation of the layer is played looped. Otherwise, it stops at its last frame, see {@link isFinished}().
+ * Default is true.
+ * @public
+ * @type Boolean
+ */
+CL3D.AnimationLayer.prototype.Looping = true;
+
+/**
+ * Factor for the speed of the animation of the layer. Negative values play it backwards. Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.AnimationLayer.prototype.Speed = 1.0;
+
+/**
+ * Sets the named animation played by the layer and starts it from the beginning.
+ * @public
+ * @param {String} name name of the animation, see {@link CL3D.AnimatedMeshSceneNode.getNamedAnimationInfo}().
+ */
+CL3D.AnimationLayer.prototype.setAnimation = function(name)
+{
+	this.AnimationName = name;
+	this.BlendSpace = null;
+	this.restart();
+}
+
+/**
+ * Sets the blend space played by the layer and starts it from the beginning.
+ * @public
+ * @param {CL3D.AnimationBlendSpace} blendSpace the blend space
+ */
+CL3D.AnimationLayer.prototype.setBlendSpace = function(blendSpace)
+{
+	this.AnimationName = null;
+	this.BlendSpace = blendSpace;
+	this.restart();
+}
+
+/**
+ * Returns the blend space played by the layer, or null if it plays a named animation.
+ * @public
+ * @returns {CL3D.AnimationBlendSpace} the blend space
+ */
+CL3D.AnimationLayer.prototype.getBlendSpace = function()
+{
+	return this.BlendSpace;
+}
+
+/**
+ * Plays the animation of the layer again from the beginning.
+ * @public
+ */
+CL3D.AnimationLayer.prototype.restart = function()
+{
+	this.Phase = this.Speed < 0 ? 1 : 0;
+	this.Started = false;
+}
+
+/**
+ * Returns true if the layer isn't played looped and has reached the end of its animation.
+ * @public
+ * @returns {Boolean} true if finished
+ */
+CL3D.AnimationLayer.prototype.isFinished = function()
+{
+	return !this.Looping && (this.Speed < 0 ? this.Phase <= 0 : this.Phase >= 1);
+}
+
+/**
+ * Returns the position in the animation of the layer, between 0 (first frame) and 1 (last frame).
+ * @public
+ * @returns {Number} position in the animation
+ */
+CL3D.AnimationLayer.prototype.getPhase = function()
+{
+	return this.Phase;
+}
+
+/**
+ * Smoothly changes the {@link Weight} of the layer, for example to fade it in or out.
+ * @public
+ * @param {Number} weight the new weight, between 0 and 1
+ * @param {Number} timeMs milliseconds until the new weight is reached. Use 0 to set it immediately.
+ */
+CL3D.AnimationLayer.prototype.fadeTo = function(weight, timeMs)
+{
+	this.FadeTargetWeight = weight;
+
+	if (timeMs > 0)
+		this.FadeSpeed = Math.abs(weight - this.Weight) / timeMs;
+	else
+	{
+		this.Weight = weight;
+		this.FadeSpeed = 0;
+	}
+}
+
+/**
+ * Adds a joint to the mask of the layer. As soon as the mask contains a joint, the layer only animates the joints in it.
+ * Later added joints override the weights of earlier ones, so for example the whole upper body can be added, and the
+ * head removed again with a weight of 0.
+ * @public
+ * @param {String} jointName name of the joint
+ * @param {Boolean} includeChildren set to true to also add all children of the joint. Default is true.
+ * @param {Number} weight how much the layer animates this joint, between 0 and 1. Default is 1.
+ */
+CL3D.AnimationLayer.prototype.addJointToMask = function(jointName, includeChildren, weight)
+{
+	var o = new Object();
+	o.Name = jointName;
+	o.IncludeChildren = includeChildren != null ? includeChildren : true;
+	o.Weight = weight != null ? weight : 1.0;
+
+	this.MaskedJoints.push(o);
+	this.JointWeightsMesh = null;
+}
+
+/**
+ * Removes all joints from the mask of the layer, so that it animates all joints again.
+ * @public
+ */
+CL3D.AnimationLayer.prototype.clearJointMask = function()
+{
+	this.MaskedJoints = new Array();
+	this.JointWeights = null;
+	this.JointWeightsMesh = null;
+}
+
+/**
+ * Creates a copy of the layer.
+ * @public
+ * @returns {CL3D.AnimationLayer} the new layer
+ */
+CL3D.AnimationLayer.prototype.createClone = function()
+{
+	var c = new CL3D.AnimationLayer(this.BlendSpace ? this.BlendSpace.createClone() : this.AnimationName);
+
+	c.Weight = this.Weight;
+	c.Additive = this.Additive;
+	c.Looping = this.Looping;
+	c.Speed = this.Speed;
+	c.Phase = this.Phase;
+	c.Started = this.Started;
+	c.FadeTargetWeight = this.FadeTargetWeight;
+	c.FadeSpeed = this.FadeSpeed;
+
+	for (var i=0; i<this.MaskedJoints.length; ++i)
+		c.addJointToMask(this.MaskedJoints[i].Name, this.MaskedJoints[i].IncludeChildren, this.MaskedJoints[i].Weight);
+
+	return c;
+}
+
+/**
+ * Returns the named animation ranges of the mesh played by the layer, as array of objects with Range and Weight.
+ * @private
+ */
+CL3D.AnimationLayer.prototype.getWeightedRanges = function(mesh)
+{
+	if (this.BlendSpace)
+		return this.BlendSpace.getWeightedRanges(mesh);
+
+	var ret = new Array();
+	var range = mesh.getNamedAnimationRangeByName(this.AnimationName);
+	if (range)
+	{
+		var o = new Object();
+		o.Range = range;
+		o.Weight = 1.0;
+		ret.push(o);
+	}
+
+	return ret;
+}
+
+/**
+ * Returns the last frame of a named animation range, limited to the frames of the mesh.
+ * @private
+ */
+CL3D.AnimationLayer.prototype.getEndFrame = function(mesh, range)
+{
+	return Math.max(range.Begin, Math.min(range.End, mesh.getFrameCount() - 1));
+}
+
+/**
+ * Returns the duration of a named animation range in milliseconds, or 0 if it isn't animated.
+ * @private
+ */
+CL3D.AnimationLayer.prototype.getDuration = function(mesh, range)
+{
+	var fps = range.FPS != 0 ? range.FPS : mesh.DefaultFPS;
+	if (fps <= 0)
+		return 0;
+
+	return (this.getEndFrame(mesh, range) - range.Begin) / fps;
+}
+
+/**
+ * Advances the animation of the layer and its weight, and fires the animation events of the node for the
+ * animation with the most weight.
+ * @private
+ */
+CL3D.AnimationLayer.prototype.advance = function(node, mesh, deltaMs)
+{
+	// fade the weight
+
+	if (this.FadeSpeed > 0)
+	{
+		var step = this.FadeSpeed * deltaMs;
+		if (Math.abs(this.FadeTargetWeight - this.Weight) <= step)
+		{
+			this.Weight = this.FadeTargetWeight;
+			this.FadeSpeed = 0;
+		}
+		else
+			this.Weight += this.FadeTargetWeight > this.Weight ? step : -step;
+	}
+
+	// advance the animation. The animations of a blend space are synchronized by playing them all at the same phase,
+	// and the mixed animation takes as long as the weighted durations of them.
+
+	var ranges = this.getWeightedRanges(mesh);
+	var duration = 0;
+	var mainRange = null;
+	var mainWeight = 0;
+
+	for (var i=0; i<ranges.length; ++i)
+	{
+		duration += this.getDuration(mesh, ranges[i].Range) * ranges[i].Weight;
+
+		if (ranges[i].Weight > mainWeight)
+		{
+			mainRange = ranges[i].Range;
+			mainWeight = ranges[i].Weight;
+		}
+	}
+
+	if (duration <= 0)
+		return;
+
+	var oldPhase = this.Phase;
+	var phase = oldPhase + deltaMs * this.Speed / duration;
+
+	if (this.Looping)
+		phase -= Math.floor(phase);
+	else
+		phase = CL3D.clamp(phase, 0, 1);
+
+	this.Phase = phase;
+
+	// fire animation events
+
+	if (this.Weight > 0 && mainRange != null)
+	{
+		var len = this.getEndFrame(mesh, mainRange) - mainRange.Begin;
+		var oldFrame = this.Started ? oldPhase * len : (this.Speed < 0 ? len + 1 : -1);
+
+		node.fireAnimationEvents(mainRange.Name, oldFrame, phase * len, this.Speed < 0);
+	}
+
+	this.Started = true;
+}
+
+/**
+ * Stores the pose of the animation of the layer at a phase into a pose. Returns false if the layer plays nothing.
+ * @private
+ */
+CL3D.AnimationLayer.prototype.getPose = function(mesh, phase, pose, tmpPose)
+{
+	var ranges = this.getWeightedRanges(mesh);
+	var weightSum = 0;
+
+	for (var i=0; i<ranges.length; ++i)
+	{
+		var range = ranges[i].Range;
+		var w = ranges[i].Weight;
+		var frame = range.Begin + phase * (this.getEndFrame(mesh, range) - range.Begin);
+
+		if (weightSum == 0)
+			mesh.getFramePose(frame, pose);
+		else
+		{
+			mesh.getFramePose(frame, tmpPose);
+			mesh.blendPoses(pose, tmpPose, w / (weightSum + w), null);
+		}
+
+		weightSum += w;
+	}
+
+	return weightSum > 0;
+}
+
+/**
+ * Applies the animation of the layer to a pose, using its weight, mask and blend mode.
+ * @private
+ */
+CL3D.AnimationLayer.prototype.applyToPose = function(mesh, pose, layerPose, tmpPose, referencePose)
+{
+	if (this.Weight <= 0)
+		return;
+
+	if (!this.getPose(mesh, this.Phase, layerPose, tmpPose))
+		return;
+
+	var jointWeights = this.getJointWeights(mesh);
+
+	if (this.Additive)
+	{
+		this.getPose(mesh, 0, referencePose, tmpPose);
+		mesh.addPoseDifference(pose, layerPose, referencePose, this.Weight, jointWeights);
+	}
+	else
+		mesh.blendPoses(pose, layerPose, this.Weight, jointWeights);
+}
+
+/**
+ * Returns an array with the weight of each joint of the mesh from the joint mask, or null if the mask is empty.
+ * @private
+ */
+CL3D.AnimationLayer.prototype.getJointWeights = function(mesh)
+{
+	if (this.MaskedJoints.length == 0)
+		return null;
+
+	if (this.JointWeightsMesh === mesh && this.JointWeights.length == mesh.AllJoints.length)
+		return this.JointWeights;
+
+	var weights = new Array();
+	for (var i=0; i<mesh.AllJoints.length; ++i)
+		weights.push(0);
+
+	for (var i=0; i<this.MaskedJoints.length; ++i)
+	{
+		var m = this.MaskedJoints[i];
+		var joint = mesh.getJointByName(m.Name);
+		if (joint)
+			mesh.setJointWeight(weights, joint, m.Weight, m.IncludeChildren);
+	}
+
+	this.JointWeights = weights;
+	this.JointWeightsMesh = mesh;
+	return weights;
+}
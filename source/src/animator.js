@@ -71,6 +71,18 @@ CL3D.Animator.prototype.onMouseMove = function(event)
 {
 }
 
+/**
+ * Event handler called by the engine when two fingers are moved over a touch screen, so the animator can react to
+ * pinch and two finger drag gestures.
+ * @public
+ * @param scale {Number} change of the distance between the fingers since the last call, above 1 if they move apart
+ * @param moveX {Number} horizontal movement in pixels of the point between the fingers since the last call
+ * @param moveY {Number} vertical movement in pixels of the point between the fingers since the last call
+ */
+CL3D.Animator.prototype.onGesture = function(scale, moveX, moveY)
+{
+}
+
 /**
  * Event handler called by the engine so the animator can react to mouse and key input.
  * Returns false if the event has not been processed.
@@ -5,7 +5,8 @@
  * Special scene node animator for first person shooter cameras. 
  * This scene node animator can be attached to a {@link CL3D.CameraSceneNode} to make it act like a first person shooter.
  * By pressing the cursor keys or WASD, the camera will move and by having the mouse button pressed while moving, the camera
- * will look around.
+ * will look around. The input is read from the actions of the {@link CL3D.InputManager}, so the camera can be controlled
+ * with a gamepad as well, and other keys can be used by changing the bindings of the actions.
  * @constructor
  * @public
  * @extends CL3D.Animator
@@ -23,12 +24,6 @@ CL3D.AnimatorCameraFPS = function(cam, engine)
 	this.moveByMouseMove = false; // move camera look direction by mouse movement, relative to distance of screen center
 	this.moveByPanoDrag = false; // move camera look direction only when the mouse is dragged and down, but don't reset down position
 	
-	this.leftKeyDown = false;
-	this.rightKeyDown = false;
-	this.upKeyDown = false;
-	this.downKeyDown = false;
-	this.jumpKeyDown = false;
-	
 	this.relativeRotationX = 0;
 	this.relativeRotationY = 0;
 			
@@ -57,6 +52,12 @@ CL3D.AnimatorCameraFPS.prototype.getType = function()
 	return 'camerafps';
 }
 
+/**
+ * Actions of the {@link CL3D.InputManager} used for moving the camera.
+ * @private
+ */
+CL3D.AnimatorCameraFPS.InputActions = ['moveforward', 'movebackward', 'moveleft', 'moveright', 'jump'];
+
 /**
  * Maximal vertical angle the user is able to look.
  * @public
@@ -176,11 +177,17 @@ CL3D.AnimatorCameraFPS.prototype.animateNode = function(n, timeMs)
 		timeDiff = 250;
 	this.lastAnimTime = now;
 	
+	// movement input, gamepad sticks produce values between 0 and 1
+	
+	var input = CL3D.gInputManager;
+	var forward = input.getActionValue('moveforward') - input.getActionValue('movebackward');
+	var strafe = input.getActionValue('moveright') - input.getActionValue('moveleft');
+	
 	// move forwards/backwards
 	
 	var pos = this.Camera.Pos.clone();
 	
-	if (this.MayMove && (this.upKeyDown || this.downKeyDown))
+	if (this.MayMove && forward != 0)
 	{
 		var moveVect = this.Camera.Pos.substract(this.Camera.getTarget());
 		
@@ -189,40 +196,20 @@ CL3D.AnimatorCameraFPS.prototype.animateNode = function(n, timeMs)
 		
 		moveVect.normalize();
 		
-		
-		if (this.upKeyDown)
-		{
-			pos.addToThis(moveVect.multiplyWithScal(this.MoveSpeed * -timeDiff));
-		}
-		
-		if (this.downKeyDown)
-		{
-			pos.addToThis(moveVect.multiplyWithScal(this.MoveSpeed * timeDiff));
-		}
+		pos.addToThis(moveVect.multiplyWithScal(this.MoveSpeed * -timeDiff * forward));
 	}
 	
 	// strafe
 			
-	if (this.MayMove && (this.leftKeyDown || this.rightKeyDown))
+	if (this.MayMove && strafe != 0)
 	{
 		var strafeVect = this.Camera.Pos.substract(this.Camera.getTarget()).crossProduct(this.Camera.getUpVector());
 		strafeVect.normalize(); 
 		
-		if (this.leftKeyDown)
-		{
-			strafeVect = strafeVect.multiplyWithScal(this.MoveSpeed * -timeDiff);
-			
-			pos.addToThis(strafeVect);
-			this.Camera.setTarget(this.Camera.getTarget().add(strafeVect));
-		}
+		strafeVect = strafeVect.multiplyWithScal(this.MoveSpeed * timeDiff * strafe);
 		
-		if (this.rightKeyDown)
-		{
-			strafeVect = strafeVect.multiplyWithScal(this.MoveSpeed * timeDiff);
-			
-			pos.addToThis(strafeVect);
-			this.Camera.setTarget(this.Camera.getTarget().add(strafeVect));
-		}
+		pos.addToThis(strafeVect);
+		this.Camera.setTarget(this.Camera.getTarget().add(strafeVect));
 	}
 	
 	this.Camera.Pos = pos;
@@ -319,7 +306,7 @@ CL3D.AnimatorCameraFPS.prototype.animateNode = function(n, timeMs)
 				
 				//if ((this.moveByMouseDown && ydiff != 0) || !this.moveByMouseDown)
 				if (ydiff != 0)
-					this.CursorControl.LastCameraDragTime = now;
+					this.CursorControl.LastCameraDragTime = CL3D.CLTimer.getRealTime();
 			}
 		}
 	}
@@ -368,7 +355,7 @@ CL3D.AnimatorCameraFPS.prototype.animateNode = function(n, timeMs)
 				
 				//if ((this.moveByMouseDown && xdiff != 0) || !this.moveByMouseDown)
 				if (xdiff != 0)
-					this.CursorControl.LastCameraDragTime = now;
+					this.CursorControl.LastCameraDragTime = CL3D.CLTimer.getRealTime();
 			}
 		}
 	}
@@ -385,7 +372,7 @@ CL3D.AnimatorCameraFPS.prototype.animateNode = function(n, timeMs)
 		
 	// jump
 	
-	if (this.MayMove && this.jumpKeyDown)
+	if (this.MayMove && input.isActionDown('jump'))
 	{
 		var a = n.getAnimatorOfType('collisionresponse');
 		if (a && !a.isFalling())
@@ -440,73 +427,14 @@ CL3D.AnimatorCameraFPS.prototype.onMouseMove = function(event)
 	CL3D.Animator.prototype.onMouseMove.call(this, event); 
 }
 
-/** 
- * @private
- */
-CL3D.AnimatorCameraFPS.prototype.setKeyBool = function(down, code)
-{
-	// 37 = left arrow key
-	// 38 = up arrow key
-	// 39 = right arrow key
-	// 40 = down arrow key
-	// 65 = a or A
-	// 87 = w or W
-	// 68 = d or D
-	// 83 = s or S
-	// 32 = space
-
-	if (code == 37 || code == 65 )
-	{
-		this.leftKeyDown = down;
-		
-		// fix chrome key down problem (key down sometimes doesn't arrive)
-		if (down) this.rightKeyDown = false;
-		return true;
-	}
-		
-	if (code == 39 || code == 68 )
-	{
-		this.rightKeyDown = down;
-		
-		// fix chrome key down problem (key down sometimes doesn't arrive)
-		if (down) this.leftKeyDown = false;
-		return true;
-	}
-		
-	if (code == 38 || code == 87 )
-	{
-		this.upKeyDown = down;			
-		
-		// fix chrome key down problem (key down sometimes doesn't arrive)
-		if (down) this.downKeyDown = false;
-		return true;
-	}
-		
-	if (code == 40 || code == 83 )
-	{
-		this.downKeyDown = down;
-		
-		// fix chrome key down problem (key down sometimes doesn't arrive)
-		if (down) this.upKeyDown = false;
-		return true;
-	}
-	
-	if (code == 32)
-	{
-		// jump key
-		this.jumpKeyDown = down;
-		return true;
-	}
-	
-	return false;
-}
-
 /**
+ * The key state itself is read from the input manager, this only returns if the key is used by the camera,
+ * so that the browser doesn't use it for scrolling.
  * @private
  */
 CL3D.AnimatorCameraFPS.prototype.onKeyDown = function(event)
 {
-	return this.setKeyBool(true, event.keyCode);
+	return CL3D.gInputManager.isKeyBound(event.keyCode, CL3D.AnimatorCameraFPS.InputActions);
 }
 
 /**
@@ -514,26 +442,28 @@ CL3D.AnimatorCameraFPS.prototype.onKeyDown = function(event)
  */
 CL3D.AnimatorCameraFPS.prototype.onKeyUp = function(event)
 {
-	return this.setKeyBool(false, event.keyCode);
+	return CL3D.gInputManager.isKeyBound(event.keyCode, CL3D.AnimatorCameraFPS.InputActions);
 }
 
 
 /** 
  * @private
- * for adding force to look up or down
+ * for adding force to look left or right, from the look actions of the input manager
  */
 CL3D.AnimatorCameraFPS.prototype.getAdditionalXLookDiff = function()
 {
-	return 0;
+	var input = CL3D.gInputManager;
+	return (input.getActionValue('lookright') - input.getActionValue('lookleft')) * 20.0;
 }
 
 /** 
  * @private
- * for adding force to look up or down
+ * for adding force to look up or down, from the look actions of the input manager
  */
 CL3D.AnimatorCameraFPS.prototype.getAdditionalYLookDiff = function()
 {
-	return 0;
+	var input = CL3D.gInputManager;
+	return (input.getActionValue('lookdown') - input.getActionValue('lookup')) * 20.0;
 }
 
 /** 
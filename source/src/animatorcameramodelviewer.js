@@ -5,6 +5,7 @@
  * Special scene node animator making cameras user controlled model viewrs around a pivot point on a fixed radius.
  * This scene node animator can be attached to a {@link CL3D.CameraSceneNode} to make it act like a user controlled model viewer.
  * Simply set the target of the camera to the pivot point and attach this animator to make it work.
+ * On touch screens, pinching zooms if {@link AllowZooming} is set, and dragging with two fingers moves the pivot point.
  * @constructor
  * @public
  * @extends CL3D.Animator
@@ -35,6 +36,8 @@ CL3D.AnimatorCameraModelViewer = function(cam, engine)
 	this.ZoomSpeed = 0;
 	this.TargetZoomValue = 90;
 	
+	this.AllowPanning = true;
+	
 	this.NoVerticalMovementYPos = -66666.0;
 }		
 CL3D.AnimatorCameraModelViewer.prototype = new CL3D.Animator();
@@ -74,6 +77,14 @@ CL3D.AnimatorCameraModelViewer.prototype.Radius = 100;
  */
 CL3D.AnimatorCameraModelViewer.prototype.NoVerticalMovement = false;
 
+/**
+ * Defines if dragging with two fingers on touch screens moves the camera together with its target
+ * @default true
+ * @public
+ * @type Boolean
+ */
+CL3D.AnimatorCameraModelViewer.prototype.AllowPanning = true;
+
 	
 /**
  * Animates the scene node it is attached to and returns true if scene node was modified.
@@ -247,3 +258,52 @@ CL3D.AnimatorCameraModelViewer.prototype.onMouseWheel = function(delta)
 	 if (this.TargetZoomValue > this.MaxZoom)
 		this.TargetZoomValue = this.MaxZoom;
 }
+
+/**
+ * @private
+ */
+CL3D.AnimatorCameraModelViewer.prototype.onGesture = function(scale, moveX, moveY) 
+{
+	if (this.Camera == null)
+		return;
+		
+	// pinch to zoom, like the mouse wheel
+	
+	if (this.AllowZooming && scale > 0)
+	{
+		this.TargetZoomValue /= scale;
+		
+		if (this.TargetZoomValue < this.MinZoom)
+			this.TargetZoomValue = this.MinZoom;
+		
+		if (this.TargetZoomValue > this.MaxZoom)
+			this.TargetZoomValue = this.MaxZoom;
+	}
+	
+	// drag with two fingers to move the target, so that the model moves with the fingers
+	
+	if (this.AllowPanning && (moveX != 0 || moveY != 0))
+	{
+		var screenHeight = this.CursorControl.getRenderer().getHeight();
+		if (screenHeight <= 0)
+			return;
+			
+		var target = this.Camera.getTarget();
+		var forward = target.substract(this.Camera.Pos);
+		var unitsPerPixel = 2.0 * forward.getLength() * Math.tan(this.Camera.getFov() * 0.5) / screenHeight;
+		
+		var right = this.Camera.UpVector.crossProduct(forward);
+		right.normalize();
+		var up = forward.crossProduct(right);
+		up.normalize();
+		
+		var move = right.multiplyWithScal(-moveX * unitsPerPixel);
+		move.addToThis(up.multiplyWithScal(moveY * unitsPerPixel));
+		
+		this.Camera.Pos.addToThis(move);
+		this.Camera.setTarget(target.add(move));
+		
+		if (!CL3D.equals(this.NoVerticalMovementYPos, -66666.0))
+			this.NoVerticalMovementYPos += move.Y;
+	}
+}
@@ -89,7 +89,7 @@ CL3D.AnimatorOnClick.prototype.onMouseUp = function(event)
 	if (!(n.scene === this.SMGr))
 		return false;
 		
-	var now = CL3D.CLTimer.getTime();
+	var now = CL3D.CLTimer.getRealTime();
 	
 	if (now - this.engine.LastCameraDragTime < 250)
 		return false;
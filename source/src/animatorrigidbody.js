@@ -0,0 +1,195 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Scene node animator making {@link CL3D.SceneNode}s move using rigid body physics.<br/>
+ * <br/>
+ * The animator creates a {@link CL3D.PhysicsBody} for the scene node in the {@link CL3D.PhysicsWorld} of the scene and moves
+ * the scene node with it. The body falls with the gravity of the scene, collides with the collision geometry of the scene and
+ * with all other scene nodes having an AnimatorRigidBody. If not specified otherwise, the size of the collision shape is
+ * calculated from the bounding box of the scene node when it is animated the first time.<br/>
+ * Changing the position of the scene node moves the body to the new position. Use {@link CL3D.AnimatorRigidBody.getBody}() to
+ * change the velocity of the body or to apply impulses to it.
+ * @constructor
+ * @public
+ * @extends CL3D.Animator
+ * @class Scene node animator making {@link CL3D.SceneNode}s move using rigid body physics
+ * @param shape {Number} (optional) shape of the body, one of {@link CL3D.PhysicsBody.SHAPE_BOX} (default),
+ * {@link CL3D.PhysicsBody.SHAPE_SPHERE} or {@link CL3D.PhysicsBody.SHAPE_CAPSULE}.
+ * @param mass {Number} (optional) mass of the body, default is 1. Set to 0 for a body which isn't moved by the simulation
+ * but still pushes other bodies away.
+ */
+CL3D.AnimatorRigidBody = function(shape, mass)
+{
+	this.Shape = shape;
+	if (this.Shape == null)
+		this.Shape = CL3D.PhysicsBody.SHAPE_BOX;
+
+	this.Mass = mass;
+	if (this.Mass == null)
+		this.Mass = 1.0;
+
+	this.HalfExtents = null;
+	this.Radius = null;
+	this.HalfHeight = null;
+	this.Restitution = 0.2;
+	this.Friction = 0.5;
+	this.AffectedByGravity = true;
+
+	this.Body = null;
+	this.Node = null;
+	this.LastPosition = null;
+	this.LastBodyPosition = null;
+}
+CL3D.AnimatorRigidBody.prototype = new CL3D.Animator();
+
+/**
+ * Half of the size of the box shape. If null, it is calculated from the bounding box of the scene node.
+ * @public
+ * @type Vect3d
+ */
+CL3D.AnimatorRigidBody.prototype.HalfExtents = null;
+
+/**
+ * Radius of the sphere or capsule shape. If null, it is calculated from the bounding box of the scene node.
+ * @public
+ * @type Number
+ */
+CL3D.AnimatorRigidBody.prototype.Radius = null;
+
+/**
+ * Half of the distance between the hemisphere centers of the capsule shape. If null, it is calculated from the
+ * bounding box of the scene node.
+ * @public
+ * @type Number
+ */
+CL3D.AnimatorRigidBody.prototype.HalfHeight = null;
+
+/**
+ * Returns the type of the animator.
+ * For the AnimatorRigidBody, this will return 'rigidbody'.
+ * @public
+ */
+CL3D.AnimatorRigidBody.prototype.getType = function()
+{
+	return 'rigidbody';
+}
+
+/**
+ * @private
+ */
+CL3D.AnimatorRigidBody.prototype.createClone = function(node, newManager, oldNodeId, newNodeId)
+{
+	var a = new CL3D.AnimatorRigidBody(this.Shape, this.Mass);
+	a.HalfExtents = this.HalfExtents ? this.HalfExtents.clone() : null;
+	a.Radius = this.Radius;
+	a.HalfHeight = this.HalfHeight;
+	a.Restitution = this.Restitution;
+	a.Friction = this.Friction;
+	a.AffectedByGravity = this.AffectedByGravity;
+	return a;
+}
+
+/**
+ * Returns the {@link CL3D.PhysicsBody} simulating the scene node, or null if the node hasn't been animated yet.
+ * @public
+ * @returns {CL3D.PhysicsBody} the body
+ */
+CL3D.AnimatorRigidBody.prototype.getBody = function()
+{
+	return this.Body;
+}
+
+/**
+ * Animates the scene node it is attached to and returns true if scene node was modified.
+ * @public
+ * @param {CL3D.SceneNode} n The Scene node which needs to be animated this frame.
+ * @param {Integer} timeMs The time in milliseconds since the start of the scene.
+ */
+CL3D.AnimatorRigidBody.prototype.animateNode = function(n, timeMs)
+{
+	if (n == null || n.scene == null)
+		return false;
+
+	var world = n.scene.getPhysicsWorld();
+
+	if (this.Body == null || !(this.Node === n))
+	{
+		if (this.Body && this.Body.World)
+			this.Body.World.removeBody(this.Body);
+
+		this.Node = n;
+		this.Body = this.createBody(n);
+		this.LastPosition = n.Pos.clone();
+		this.LastBodyPosition = this.Body.Position.clone();
+		world.addBody(this.Body);
+		return false;
+	}
+
+	// body may have been removed when the node was removed from the scene
+
+	if (this.Body.World == null)
+		world.addBody(this.Body);
+
+	// node moved by someone else: move the body with it
+
+	if (!n.Pos.equals(this.LastPosition))
+	{
+		this.Body.Position.addToThis(n.Pos.substract(this.LastPosition));
+		this.LastBodyPosition = this.Body.Position.clone();
+		this.LastPosition = n.Pos.clone();
+	}
+
+	if (this.Body.Position.equals(this.LastBodyPosition))
+		return false;
+
+	n.Pos.addToThis(this.Body.Position.substract(this.LastBodyPosition));
+	this.LastBodyPosition = this.Body.Position.clone();
+	this.LastPosition = n.Pos.clone();
+	return true;
+}
+
+/**
+ * Creates the body for the scene node, with a size based on its bounding box
+ * @private
+ */
+CL3D.AnimatorRigidBody.prototype.createBody = function(n)
+{
+	var body = new CL3D.PhysicsBody(this.Shape, this.Mass);
+	body.Node = n;
+	body.Restitution = this.Restitution;
+	body.Friction = this.Friction;
+	body.AffectedByGravity = this.AffectedByGravity;
+
+	n.updateAbsolutePosition();
+
+	var box = n.getTransformedBoundingBox();
+	var ext = box.getExtent().multiplyWithScal(0.5);
+
+	if (ext.equalsZero())
+	{
+		body.Position = n.getAbsolutePosition();
+		ext = new CL3D.Vect3d(10,10,10);
+	}
+	else
+		body.Position = box.getCenter();
+
+	var horizontalRadius = Math.max(ext.X, ext.Z);
+
+	body.HalfExtents = this.HalfExtents ? this.HalfExtents.clone() : ext;
+
+	if (this.Radius != null)
+		body.Radius = this.Radius;
+	else
+	if (this.Shape == CL3D.PhysicsBody.SHAPE_SPHERE)
+		body.Radius = Math.max(horizontalRadius, ext.Y);
+	else
+		body.Radius = horizontalRadius;
+
+	if (this.HalfHeight != null)
+		body.HalfHeight = this.HalfHeight;
+	else
+		body.HalfHeight = Math.max(0, ext.Y - body.Radius);
+
+	return body;
+}
@@ -304,6 +304,11 @@ CL3D.AnimatorGameAI = function(scene, engine)
 	this.CurrentlyShooting = false; // flag to be queried shoot action
 	this.CurrentlyShootingLine = new CL3D.Line3d(); // data to be queried shoot action
 	this.NextPathPointToGoTo = 0;
+	this.CurrentPath = null; // points to walk through to reach CurrentCommandTargetPos, found using the navigation mesh
+	this.CurrentPathIndex = 0;
+	this.PathTarget = null; // target CurrentPath was found for, reused while the target doesn't move much
+	this.PathEnd = null;
+	this.PathNavMesh = null;
 			
 	this.World = null;
 	this.TheObject = null;
@@ -407,6 +412,10 @@ CL3D.AnimatorGameAI.prototype.animateNode = function(node, timeMs)
 		else
 		{
 			// not reached position yet
+			// when walking along a path around obstacles, go to the next point of it
+			
+			var moveTarget = this.getNextPathPoint(currentPos, characterSize, timeMs);
+			
 			// check if we possibly hit a wall. This can be done easily by getting the moving speed and 
 			// checking the start position and start time
 
@@ -422,6 +431,7 @@ CL3D.AnimatorGameAI.prototype.animateNode = function(node, timeMs)
 					// cancel movement, moved twice as long as we should have already.
 					this.CurrentCommand = 0; //EMT_DO_NOTHING;
 					this.setAnimation(node, 0); //EAT_STAND);
+					this.PathTarget = null; // the path didn't work, search again next time
 					cancelled = true;
 				}
 			}	
@@ -432,7 +442,7 @@ CL3D.AnimatorGameAI.prototype.animateNode = function(node, timeMs)
 
 				this.CurrentCommandTicksDone += diff;
 
-				var movementVec = this.CurrentCommandTargetPos.substract(currentPos);
+				var movementVec = moveTarget.substract(currentPos);
 				movementVec.setLength((this.MovementSpeed / 1000.0) * diff);
 				
 				if (!this.CanFly)
@@ -444,7 +454,7 @@ CL3D.AnimatorGameAI.prototype.animateNode = function(node, timeMs)
 			// additionally, animate looking direction
 
 			changedNode = this.animateRotation(node, (timeMs - this.CurrentCommandStartTime), 
-				this.CurrentCommandTargetPos.substract(currentPos), this.RotationSpeedMs);
+				moveTarget.substract(currentPos), this.RotationSpeedMs);
 		}
 	}
 	else
@@ -654,9 +664,91 @@ CL3D.AnimatorGameAI.prototype.moveToTarget = function(node, target, currentPos,
 	this.BeginPositionWhenStartingCurrentCommand = currentPos;
 	this.CurrentCommandTicksDone = 0;
 	this.CurrentCommandExpectedTickCount = 0; // invalid for this command
+	
+	var navmesh = null;
+	
+	if (!this.CanFly && this.TheSceneManager)
+	{
+		navmesh = this.TheSceneManager.getNavMesh();
+		
+		if (navmesh != null && navmesh === this.PathNavMesh && this.PathTarget != null &&
+			this.PathTarget.getDistanceTo(target) < this.getCharacterWidth(node))
+		{
+			// the target hardly moved, continue on the path found for it before instead of searching again
+			this.CurrentCommandTargetPos = this.PathEnd;
+			this.setAnimation(node, 1); //EAT_WALK);
+			return;
+		}
+	}
+	
+	this.CurrentPath = null;
+	this.CurrentPathIndex = 0;
+	this.PathTarget = null;
+	this.PathNavMesh = navmesh;
+	
+	if (navmesh != null)
+	{
+		// find a path around obstacles
+		
+		var path = navmesh.findPath(currentPos, target);
+		
+		if (path != null)
+		{
+			// the target might not be reachable, use the nearest reachable position instead
+			var end = path[path.length-1];
+			this.CurrentCommandTargetPos = new CL3D.Vect3d(end.X, target.Y, end.Z);
+			
+			if (path.length > 1)
+				this.CurrentPath = path;
+				
+			// a path which only leads towards a target too far away to be found is not reused
+			if (!navmesh.SearchLimitReached)
+			{
+				this.PathTarget = target.clone();
+				this.PathEnd = this.CurrentCommandTargetPos;
+			}
+		}
+	}
+	
 	this.setAnimation(node, 1); //EAT_WALK);
 }
 
+/** 
+ * Returns the position to walk to next for reaching the target of the current command.
+ * @private
+ */
+CL3D.AnimatorGameAI.prototype.getNextPathPoint = function(currentPos, characterSize, now)
+{
+	if (this.CurrentPath == null)
+		return this.CurrentCommandTargetPos;
+		
+	var lastIndex = this.CurrentPath.length - 1;
+	
+	while (this.CurrentPathIndex < lastIndex)
+	{
+		var p = this.CurrentPath[this.CurrentPathIndex];
+		var dx = p.X - currentPos.X;
+		var dz = p.Z - currentPos.Z;
+		
+		if (Math.sqrt(dx*dx + dz*dz) >= characterSize)
+			break;
+			
+		// reached this point of the path, walk to the next one and restart
+		// checking if we hit a wall and interpolating the rotation from here
+		
+		++this.CurrentPathIndex;
+		this.BeginPositionWhenStartingCurrentCommand = currentPos;
+		this.CurrentCommandTicksDone = 0;
+		this.CurrentCommandStartTime = now;
+	}
+	
+	if (this.CurrentPathIndex >= lastIndex)
+		return this.CurrentCommandTargetPos;
+		
+	var next = this.CurrentPath[this.CurrentPathIndex];
+	return new CL3D.Vect3d(next.X, currentPos.Y, next.Z);
+}
+
 /** 
  * @private
  */
@@ -1423,16 +1515,9 @@ CL3D.AnimatorKeyboardControlled = function(scene, engine)
 	this.LastAnimationTime = CL3D.CLTimer.getTime();	
 	this.LastJumpTime = this.LastAnimationTime;
 	this.WasMovingLastFrame = false;		
-	this.ShiftIsDown = false;		
 	
 	this.Registered = false;
 	
-	this.leftKeyDown = false;
-	this.rightKeyDown = false;
-	this.upKeyDown = false;
-	this.downKeyDown = false;
-	this.jumpKeyDown = false;
-	
 	this.AcceleratedSpeed = 0;
 	this.AccelerationIsForward = false;
 	
@@ -1480,74 +1565,19 @@ CL3D.AnimatorKeyboardControlled.prototype.createClone = function(node, newManage
 	return a;
 }
 
-/** 
+/**
+ * Actions of the {@link CL3D.InputManager} used for controlling the character.
  * @private
  */
-CL3D.AnimatorKeyboardControlled.prototype.setKeyBool = function(down, code)
-{
-	// 37 = left arrow key
-	// 38 = up arrow key
-	// 39 = right arrow key
-	// 40 = down arrow key
-	// 65 = a or A
-	// 87 = w or W
-	// 68 = d or D
-	// 83 = s or S
-	// 32 = space
-
-	if (code == 37 || code == 65 )
-	{
-		this.leftKeyDown = down;
-		
-		// fix chrome key down problem (key down sometimes doesn't arrive)
-		if (down) this.rightKeyDown = false;
-		return true;
-	}
-		
-	if (code == 39 || code == 68 )
-	{
-		this.rightKeyDown = down;
-		
-		// fix chrome key down problem (key down sometimes doesn't arrive)
-		if (down) this.leftKeyDown = false;
-		return true;
-	}
-		
-	if (code == 38 || code == 87 )
-	{
-		this.upKeyDown = down;			
-		
-		// fix chrome key down problem (key down sometimes doesn't arrive)
-		if (down) this.downKeyDown = false;
-		return true;
-	}
-		
-	if (code == 40 || code == 83 )
-	{
-		this.downKeyDown = down;
-		
-		// fix chrome key down problem (key down sometimes doesn't arrive)
-		if (down) this.upKeyDown = false;
-		return true;
-	}
-	
-	if (code == 32)
-	{
-		// jump key
-		this.jumpKeyDown = down;
-		return true;
-	}
-	
-	return false;
-}
+CL3D.AnimatorKeyboardControlled.InputActions = ['moveforward', 'movebackward', 'moveleft', 'moveright', 'jump', 'run'];
 
 /**
+ * The key state itself is read from the input manager, this only returns if the key is used by the animator.
  * @private
  */
 CL3D.AnimatorKeyboardControlled.prototype.onKeyDown = function(evt)
 {
-	this.ShiftIsDown = (evt.shiftKey == 1);
-	return this.setKeyBool(true, evt.keyCode);
+	return CL3D.gInputManager.isKeyBound(evt.keyCode, CL3D.AnimatorKeyboardControlled.InputActions);
 }
 
 /**
@@ -1555,8 +1585,7 @@ CL3D.AnimatorKeyboardControlled.prototype.onKeyDown = function(evt)
  */
 CL3D.AnimatorKeyboardControlled.prototype.onKeyUp = function(evt)
 {
-	this.ShiftIsDown = (evt.shiftKey == 1);
-	return this.setKeyBool(false, evt.keyCode);
+	return CL3D.gInputManager.isKeyBound(evt.keyCode, CL3D.AnimatorKeyboardControlled.InputActions);
 }
 
 /**
@@ -1595,19 +1624,19 @@ CL3D.AnimatorKeyboardControlled.prototype.animateNode = function(node, timeMs)
 		}
 	}
 
+	// read input, gamepad sticks produce values between 0 and 1
+
+	var input = CL3D.gInputManager;
+	var turn = input.getActionValue('moveright') - input.getActionValue('moveleft');
+	var forwardAmount = input.getActionValue('moveforward') - input.getActionValue('movebackward');
+
 	// Update rotation
 
 	var currentRot = node.Rot;	
 
-	if (this.leftKeyDown)
-	{
-		currentRot.Y -= timeDiff * this.RotateSpeed * 0.001;
-		bChanged = true;
-	}
-
-	if (this.rightKeyDown)
+	if (turn != 0)
 	{
-		currentRot.Y += timeDiff * this.RotateSpeed * 0.001;
+		currentRot.Y += timeDiff * this.RotateSpeed * 0.001 * turn;
 		bChanged = true;
 	}
 
@@ -1625,12 +1654,12 @@ CL3D.AnimatorKeyboardControlled.prototype.animateNode = function(node, timeMs)
 
 	matrot.rotateVect(directionForward);
 
-	var bRun = this.ShiftIsDown;
-	var speed = (bRun ? this.RunSpeed : this.MoveSpeed) * timeDiff;
+	var bRun = input.isActionDown('run');
+	var speed = (bRun ? this.RunSpeed : this.MoveSpeed) * timeDiff * Math.abs(forwardAmount);
 	var origSpeed = 0;
 			
-	var bBackward = this.downKeyDown;
-	var bForward = this.upKeyDown;
+	var bBackward = forwardAmount < 0;
+	var bForward = forwardAmount > 0;
 	
 	if (this.UseAcceleration && timeDiff)
 	{
@@ -1712,7 +1741,7 @@ CL3D.AnimatorKeyboardControlled.prototype.animateNode = function(node, timeMs)
 
 	// For jumping, we find the collision response animator attached to our camera
 	// and if it's not falling, we tell it to jump.
-	if (this.jumpKeyDown)
+	if (input.isActionDown('jump'))
 	{
 		var b = node.getAnimatorOfType('collisionresponse');
 		if (b && !b.isFalling())
@@ -1851,6 +1880,7 @@ CL3D.Animator3rdPersonCamera = function(scene)
 	this.DeltaToCenterOfFollowObject = new CL3D.Vect3d();
 	this.NodeToFollow = null;
 	this.TriedToLinkWithNode = false;
+	this.LookRotationY = 0.0;
 		
 	this.firstUpdate = true;		
 }		
@@ -1948,6 +1978,14 @@ CL3D.Animator3rdPersonCamera.prototype.animateNode = function(node, timeMs)
 		matrotinit.setRotationDegrees(this.NodeToFollow.Rot);
 		matrotinit.inverseRotateVect(this.InitialDeltaToObject);
 	}
+	
+	// let the user orbit the camera around the followed node using the look actions of the input manager
+	
+	var input = CL3D.gInputManager;
+	this.LookRotationY += (input.getActionValue('lookright') - input.getActionValue('lookleft')) * timeDiff * 0.1;
+	
+	var matlook = new CL3D.Matrix4();
+	matlook.setRotationDegrees(new CL3D.Vect3d(0, this.LookRotationY, 0));
 
 	var currentRot = this.NodeToFollow.Rot;	
 
@@ -1971,7 +2009,10 @@ CL3D.Animator3rdPersonCamera.prototype.animateNode = function(node, timeMs)
 		{
 			// only add position
 
-			finalpos = this.NodeToFollow.getAbsolutePosition().substract(this.InitialDeltaToObject);
+			var fixeddelta = this.InitialDeltaToObject.clone();
+			matlook.rotateVect(fixeddelta);
+
+			finalpos = this.NodeToFollow.getAbsolutePosition().substract(fixeddelta);
 		}
 		break;
 	case  1: //ECFM_FOLLOW:
@@ -1980,6 +2021,7 @@ CL3D.Animator3rdPersonCamera.prototype.animateNode = function(node, timeMs)
 
 			var newdelta = this.InitialDeltaToObject.clone();
 			matrot.rotateVect(newdelta);
+			matlook.rotateVect(newdelta);
 
 			var desiredPos = this.NodeToFollow.getAbsolutePosition().substract(newdelta);
 			var distanceToDesiredPos = camera.getAbsolutePosition().getDistanceTo(desiredPos);
@@ -2157,6 +2199,7 @@ CL3D.AnimatorMobileInput = function(engine, scene, obj)
 	this.Obj = obj;
 	this.engine = engine;
 	this.MouseDown = false;
+	this.VirtualAxesSet = false;
 	scene.registerSceneNodeAnimatorForEvents(this);
 	
 	this.KeyDown = new Array();
@@ -2191,18 +2234,19 @@ CL3D.AnimatorMobileInput.prototype.animateNode = function(n, timeMs)
 	
 	if (this.Obj.InputMode == 1) // specific key
 	{
-		this.postKey(this.MouseDown && this.Obj.MouseOverButton, this.Obj.KeyCode);
+		this.postKey((this.MouseDown && this.Obj.MouseOverButton) || this.Obj.isTouched(), this.Obj.KeyCode);
 	}
 	else
 	{
 		// cursor key mode
 		
+		var isDown = this.MouseDown || this.Obj.isTouched();
 		var len = Math.sqrt(this.Obj.CursorPosX*this.Obj.CursorPosX + this.Obj.CursorPosY*this.Obj.CursorPosY);
 		var minLen = 0.3;
 		
-		if (len < minLen || !this.MouseDown)
+		if (len < minLen || !isDown || !this.Obj.PostCursorKeys)
 		{
-			if (!this.MouseDown)
+			if (!isDown)
 			{				
 				ret = (this.Obj.CursorPosX != 0 && this.Obj.CursorPosY != 0);
 				this.Obj.CursorPosX = 0;
@@ -2225,6 +2269,23 @@ CL3D.AnimatorMobileInput.prototype.animateNode = function(n, timeMs)
 				this.postKey(isPointInside, 37 + i);
 			}
 		}
+		
+		// analog input for the animators
+		
+		if (isDown)
+		{
+			CL3D.gInputManager.setVirtualAxis(this.Obj.VirtualAxisX, this.Obj.CursorPosX);
+			CL3D.gInputManager.setVirtualAxis(this.Obj.VirtualAxisY, this.Obj.CursorPosY);
+			this.VirtualAxesSet = true;
+		}
+		else
+		if (this.VirtualAxesSet)
+		{
+			// only reset once, so that other joysticks may use the same axes
+			CL3D.gInputManager.setVirtualAxis(this.Obj.VirtualAxisX, 0);
+			CL3D.gInputManager.setVirtualAxis(this.Obj.VirtualAxisY, 0);
+			this.VirtualAxesSet = false;
+		}
 	}
 
 	return ret;
@@ -2243,6 +2304,9 @@ CL3D.AnimatorMobileInput.prototype.postKey = function(down, key)
 	var e = new Object();
 	e.keyCode = key;
 	
+	// the cursor keys of the joystick are only for behaviors reacting to keys, the animators use its analog virtual axes
+	e.IgnoredByInputManager = (this.Obj.InputMode != 1);
+	
 	if (down)
 		this.engine.handleKeyDown(e);
 	else
@@ -2262,6 +2326,11 @@ CL3D.AnimatorMobileInput.prototype.onMouseUp = function(event)
  */
 CL3D.AnimatorMobileInput.prototype.onMouseDown = function(event) 
 {
+	// touches on the node are received using onTouchStart() of the node, touches somewhere else
+	// emulating the mouse are used for looking around and must not move the joystick
+	if (this.engine.isMouseEmulatedByTouch())
+		return;
+		
 	this.MouseDown = true;
 }
 
@@ -2270,22 +2339,10 @@ CL3D.AnimatorMobileInput.prototype.onMouseDown = function(event)
  */
 CL3D.AnimatorMobileInput.prototype.onMouseMove = function(event) 
 {
-	if (this.MouseDown && this.Obj.MouseOverButton && 
-	    this.Obj.RealWidth != 0 && this.Obj.RealHeight != 0)
+	if (this.MouseDown && this.Obj.MouseOverButton)
 	{
-		var x = this.engine.getMousePosXFromEvent(event) - this.Obj.RealPosX;
-		var y = this.engine.getMousePosYFromEvent(event) - this.Obj.RealPosY;
-	
-		this.Obj.CursorPosX = x / this.Obj.RealWidth; 
-		this.Obj.CursorPosY = y / this.Obj.RealHeight; 
-		
-		this.Obj.CursorPosX = CL3D.clamp(this.Obj.CursorPosX, 0.0, 1.0);
-		this.Obj.CursorPosY = CL3D.clamp(this.Obj.CursorPosY, 0.0, 1.0);
-		
-		// move coordinates from 0..1 to -1..1 range
-		
-		this.Obj.CursorPosX = (this.Obj.CursorPosX * 2.0) - 1.0;
-		this.Obj.CursorPosY = (this.Obj.CursorPosY * 2.0) - 1.0;
+		this.Obj.setCursorFromScreenPosition(this.engine.getMousePosXFromEvent(event), 
+		                                     this.engine.getMousePosYFromEvent(event));
 	}
 }
 
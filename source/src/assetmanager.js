@@ -0,0 +1,484 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Loads textures, sounds, videos and scene files and returns Promises for them, which are resolved when the asset
+ * has been loaded, and rejected with a {@link CL3D.AssetLoadingError} if it could not be loaded, for example because
+ * the file doesn't exist. Groups of assets can be preloaded from a list or a manifest file using {@link preload}(),
+ * and waiting for an asset can be cancelled using {@link cancel}().<br/>
+ * There is one asset manager per engine, get it using {@link CopperLicht.getAssetManager}(). Loading the same file
+ * twice doesn't load it again, the assets are shared with the {@link CL3D.TextureManager} and the sounds played by the scene.
+ * The browser needs to support Promises for this.
+ * @constructor
+ * @public
+ * @class Loads textures, sounds, videos and scene files, returning Promises.
+ * @example
+ * var assets = engine.getAssetManager();
+ *
+ * assets.loadTexture('copperlichtdata/crate.jpg').then(function(texture)
+ * {
+ *   cube.getMaterial(0).Tex1 = texture;
+ * })
+ * .catch(function(error)
+ * {
+ *   alert(error.message);
+ * });
+ *
+ * // preload everything needed for the next level, with a progress bar
+ * assets.preload(['level2/rock.jpg', 'level2/music.ogg', 'level2/intro.mp4'], function(done, total)
+ * {
+ *   progressBar.style.width = Math.round(done / total * 100) + '%';
+ * })
+ * .then(function() { assets.loadScene('level2/level.ccbjs'); });
+ */
+CL3D.AssetManager = function(engine)
+{
+	this.Engine = engine;
+	this.Requests = new Array(); // waiting requests, with Type, Url, Asset, Promise, Resolve, Reject and OnCancel
+}
+
+/**
+ * Loads an asset, the type is detected from the extension of the filename if not specified.
+ * @public
+ * @param url {String} url of the file
+ * @param type {String} (optional) 'texture', 'sound', 'video' or 'scene'. Images are loaded as textures, files ending with
+ * .mp3, .ogg, .wav, .m4a, .aac, .opus or .flac as sounds, .mp4, .ogv, .webm and .mov as videos, and .ccbjs, .gltf and .glb files as scenes.
+ * @returns {Promise} Promise for the loaded asset, see {@link loadTexture}(), {@link loadSound}(), {@link loadVideo}() and {@link loadScene}()
+ */
+CL3D.AssetManager.prototype.load = function(url, type)
+{
+	if (type == null)
+		type = this.getAssetTypeFromUrl(url);
+
+	switch(type)
+	{
+	case 'texture': return this.loadTexture(url);
+	case 'sound': return this.loadSound(url);
+	case 'video': return this.loadVideo(url);
+	case 'scene': return this.loadScene(url);
+	}
+
+	return Promise.reject(new CL3D.AssetLoadingError("Unknown type of asset: " + url, url, type));
+}
+
+/**
+ * Loads a texture using the {@link CL3D.TextureManager}.
+ * @public
+ * @param url {String} url of the image
+ * @returns {Promise} Promise resolved with the {@link CL3D.Texture} once the image has been loaded
+ */
+CL3D.AssetManager.prototype.loadTexture = function(url)
+{
+	if (!this.Engine.createRenderer())
+		return Promise.reject(new CL3D.AssetLoadingError("Could not load texture " + url + ", no renderer", url, 'texture'));
+
+	var t = this.Engine.getTextureManager().getTexture(url, true);
+	if (t == null || t.LoadingFailed)
+		return Promise.reject(new CL3D.AssetLoadingError("Could not load texture " + url, url, 'texture'));
+
+	if (t.Loaded)
+		return Promise.resolve(t);
+
+	return this.addRequest('texture', url, t).Promise;
+}
+
+/**
+ * Loads a sound, which can then be played for example using ccbPlaySound() with its url.
+ * @public
+ * @param url {String} url of the sound file
+ * @returns {Promise} Promise resolved with the sound once it can be played
+ */
+CL3D.AssetManager.prototype.loadSound = function(url)
+{
+	var s = CL3D.gSoundManager.getSoundFromSoundName(url, true);
+
+	// without web audio and audio elements, for example when running headless, sounds can't be played at all
+	if (s == null || s.isError || (s.audioElem == null && !s.usesWebAudio()))
+		return Promise.reject(new CL3D.AssetLoadingError("Could not load sound " + url, url, 'sound'));
+
+	if (s.readyToPlay)
+		return Promise.resolve(s);
+
+	return this.addRequest('sound', url, s).Promise;
+}
+
+/**
+ * Loads a video and starts playing it, like the 'Play Video' action does. Videos are not available when running headless.
+ * @public
+ * @param url {String} url of the video file, for example a .mp4 file
+ * @param playLooped {Boolean} (optional) set to true to play the video in a loop
+ * @returns {Promise} Promise resolved with the {@link CL3D.Texture} showing the video once it can be played, use it as texture of a material
+ */
+CL3D.AssetManager.prototype.loadVideo = function(url, playLooped)
+{
+	if (this.Engine.isHeadless() || !this.Engine.createRenderer())
+		return Promise.reject(new CL3D.AssetLoadingError("Could not load video " + url + ", no renderer", url, 'video'));
+
+	var v = this.Engine.getOrCreateVideoStream(url, true, null, null);
+	if (v.isError)
+		return Promise.reject(new CL3D.AssetLoadingError("Could not load video " + url, url, 'video'));
+
+	if (v.readyToShow)
+		return Promise.resolve(v.texture);
+
+	if (v.videoElement == null)
+		v.play(playLooped == true);
+
+	var r = this.addRequest('video', url, v);
+	r.OnCancel = function() { v.stop(); };
+	return r.Promise;
+}
+
+/**
+ * Loads a scene file and shows it, using {@link CopperLicht.load}(). The previously shown scenes are replaced.
+ * @public
+ * @param url {String} url of the .ccbjs, .gltf or .glb file
+ * @returns {Promise} Promise resolved with the current {@link CL3D.Scene} of the file once it is shown and
+ * completely loaded, like {@link CopperLicht.OnLoadingComplete}
+ */
+CL3D.AssetManager.prototype.loadScene = function(url)
+{
+	var engine = this.Engine;
+
+	// the request is added first, because loading can also fail immediately
+	var r = this.addRequest('scene', url, null);
+	r.OnCancel = function() { engine.abortLoading(); };
+
+	if (!engine.load(url))
+		this.settleRequest(r, false, null, new CL3D.AssetLoadingError("Could not load file " + url + ", no renderer", url, 'scene'));
+
+	return r.Promise;
+}
+
+/**
+ * Loads a group of assets, for example everything needed by the next level.
+ * @public
+ * @param manifest {Array|String} Array of urls of the files to load. Instead of an url, an entry can also be an object
+ * with 'url' and 'type' properties, see {@link load}(). Can also be the url of a .json file containing such an array.
+ * @param progressCallback {Function} (optional) called after each loaded or failed asset, with the amount of
+ * assets done, the total amount of assets and the amount of failed assets.
+ * @returns {Promise} Promise resolved with an array of all assets, in the same order as in the manifest. If one of them
+ * could not be loaded, it is rejected after all others are done, with a {@link CL3D.AssetLoadingError} whose Failures
+ * contain the errors of the failed assets.
+ */
+CL3D.AssetManager.prototype.preload = function(manifest, progressCallback)
+{
+	var me = this;
+	var group = this.addRequest('group', typeof manifest == 'string' ? manifest : '', null);
+	group.Children = new Array();
+	group.OnCancel = function()
+	{
+		for (var i=0; i<group.Children.length; ++i)
+			me.cancel(group.Children[i]);
+	};
+
+	var startLoading = function(entries)
+	{
+		if (me.Requests.indexOf(group) == -1)
+			return; // cancelled while loading the manifest
+
+		var results = new Array(entries.length);
+		var failures = new Array();
+		var done = 0;
+
+		var onDone = function()
+		{
+			if (me.Requests.indexOf(group) == -1)
+				return; // cancelled, the children are rejected afterwards
+
+			++done;
+			if (progressCallback)
+				progressCallback(done, entries.length, failures.length);
+
+			if (done < entries.length)
+				return;
+
+			if (failures.length == 0)
+				me.settleRequest(group, true, results, null);
+			else
+			{
+				var err = new CL3D.AssetLoadingError("Could not load " + failures.length + " of " + entries.length + " assets", group.Url, 'group');
+				err.Failures = failures;
+				me.settleRequest(group, false, null, err);
+			}
+		};
+
+		var loadEntry = function(idx)
+		{
+			var entry = entries[idx];
+			var p = typeof entry == 'string' ? me.load(entry) : me.load(entry.url, entry.type);
+			group.Children.push(p);
+			p.then(function(asset) { results[idx] = asset; onDone(); },
+				function(err) { failures.push(err); onDone(); });
+		};
+
+		if (entries.length == 0)
+			me.settleRequest(group, true, results, null);
+
+		for (var i=0; i<entries.length; ++i)
+			loadEntry(i);
+	};
+
+	if (typeof manifest == 'string')
+		this.loadManifestFile(manifest,
+			startLoading,
+			function(msg) { me.settleRequest(group, false, null, new CL3D.AssetLoadingError(msg, manifest, 'group')); });
+	else
+		startLoading(manifest);
+
+	return group.Promise;
+}
+
+/**
+ * Stops waiting for an asset or a group of assets: Its Promise is rejected with a {@link CL3D.AssetLoadingError} with
+ * Cancelled set to true. The transfer of a scene file is aborted, and a video stops playing. Textures and sounds
+ * are still loaded by the browser, but nothing waits for them anymore.
+ * @public
+ * @param promise {Promise} Promise returned by one of the load functions or by {@link preload}()
+ * @returns {Boolean} true if the asset was still being loaded
+ */
+CL3D.AssetManager.prototype.cancel = function(promise)
+{
+	for (var i=0; i<this.Requests.length; ++i)
+	{
+		var r = this.Requests[i];
+		if (r.Promise === promise)
+		{
+			this.settleRequest(r, false, null, this.createCancelledError(r));
+
+			if (r.OnCancel)
+				r.OnCancel();
+
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Cancels loading of all assets, see {@link cancel}().
+ * @public
+ */
+CL3D.AssetManager.prototype.cancelAll = function()
+{
+	while (this.Requests.length)
+		this.cancel(this.Requests[0].Promise);
+}
+
+/**
+ * Returns the amount of assets and groups of assets which are still being loaded.
+ * @public
+ * @returns {Number} amount of Promises not resolved or rejected yet
+ */
+CL3D.AssetManager.prototype.getPendingCount = function()
+{
+	return this.Requests.length;
+}
+
+/**
+ * @private
+ */
+CL3D.AssetManager.prototype.addRequest = function(type, url, asset)
+{
+	var r = new Object();
+	r.Type = type;
+	r.Url = url;
+	r.Asset = asset;
+	r.OnCancel = null;
+	r.Promise = new Promise(function(resolve, reject) { r.Resolve = resolve; r.Reject = reject; });
+
+	this.Requests.push(r);
+	return r;
+}
+
+/**
+ * Resolves or rejects the Promise of a request, if this hasn't been done before.
+ * @private
+ */
+CL3D.AssetManager.prototype.settleRequest = function(r, loaded, result, error)
+{
+	var idx = this.Requests.indexOf(r);
+	if (idx == -1)
+		return;
+
+	this.Requests.splice(idx, 1);
+
+	if (loaded)
+		r.Resolve(result);
+	else
+		r.Reject(error);
+}
+
+/**
+ * @private
+ */
+CL3D.AssetManager.prototype.createCancelledError = function(r)
+{
+	var msg = r.Url ? "Loading " + r.Url + " was cancelled" : "Loading was cancelled";
+	return new CL3D.AssetLoadingError(msg, r.Url, r.Type, true);
+}
+
+/**
+ * Called by the engine when a texture, sound or video has been loaded or failed to load.
+ * @private
+ */
+CL3D.AssetManager.prototype.onAssetLoadingDone = function(asset, loaded, result)
+{
+	var requests = this.Requests.slice();
+
+	for (var i=0; i<requests.length; ++i)
+	{
+		var r = requests[i];
+		if (r.Asset === asset)
+			this.settleRequest(r, loaded, result, new CL3D.AssetLoadingError("Could not load " + r.Type + " " + r.Url, r.Url, r.Type));
+	}
+}
+
+/**
+ * Called by the engine when it starts loading a scene file. Waiting for other scene files is cancelled, because their
+ * scenes are not shown anymore.
+ * @private
+ */
+CL3D.AssetManager.prototype.onSceneLoadingStarted = function(url)
+{
+	var requests = this.Requests.slice();
+
+	for (var i=0; i<requests.length; ++i)
+	{
+		var r = requests[i];
+		if (r.Type == 'scene' && r.Url != url)
+			this.settleRequest(r, false, null, this.createCancelledError(r));
+	}
+}
+
+/**
+ * Called by the engine when a scene file has been loaded, or loading it failed.
+ * @private
+ */
+CL3D.AssetManager.prototype.onSceneLoadingDone = function(url, loaded, msg)
+{
+	var requests = this.Requests.slice();
+
+	for (var i=0; i<requests.length; ++i)
+	{
+		var r = requests[i];
+		if (r.Type == 'scene' && r.Url == url)
+			this.settleRequest(r, loaded, this.Engine.getScene(), new CL3D.AssetLoadingError(msg, r.Url, r.Type));
+	}
+}
+
+/**
+ * Loads a .json file containing an array of assets, for preload().
+ * @private
+ */
+CL3D.AssetManager.prototype.loadManifestFile = function(url, callback, errorCallback)
+{
+	var chunks = new Array();
+	var l = new CL3D.CCFileLoader(url);
+
+	l.loadBinary(
+		function(bytes) { chunks.push(CL3D.BinaryStream.bytesToString(bytes)); },
+		function()
+		{
+			var entries = null;
+			try
+			{
+				// the file is utf-8
+				entries = JSON.parse(decodeURIComponent(escape(chunks.join(''))));
+			}
+			catch(e)
+			{
+			}
+
+			if (entries == null || entries.length == null)
+				errorCallback("The file " + url + " is not a valid list of assets");
+			else
+				callback(entries);
+		},
+		errorCallback,
+		null);
+}
+
+/**
+ * Returns 'texture', 'sound', 'video' or 'scene' depending on the extension of the filename, or null if unknown.
+ * @private
+ */
+CL3D.AssetManager.prototype.getAssetTypeFromUrl = function(url)
+{
+	if (url == null)
+		return null;
+
+	var name = url.split('?')[0].split('#')[0].toLowerCase();
+	var ext = name.substring(name.lastIndexOf('.') + 1);
+
+	switch(ext)
+	{
+	case 'jpg': case 'jpeg': case 'png': case 'gif': case 'bmp': case 'webp': case 'svg':
+		return 'texture';
+	case 'mp3': case 'ogg': case 'wav': case 'm4a': case 'aac': case 'opus': case 'flac':
+		return 'sound';
+	case 'mp4': case 'ogv': case 'webm': case 'mov':
+		return 'video';
+	case 'ccbjs': case 'gltf': case 'glb':
+		return 'scene';
+	}
+
+	return null;
+}
+
+
+/**
+ * Error with which the Promises of the {@link CL3D.AssetManager} are rejected if an asset could not be loaded,
+ * or if waiting for it was cancelled.
+ * @constructor
+ * @public
+ * @class Error of loading an asset using the {@link CL3D.AssetManager}.
+ * @param message {String} description of the error
+ * @param url {String} url of the asset
+ * @param type {String} type of the asset, 'texture', 'sound', 'video', 'scene' or 'group' for a group of assets
+ * @param cancelled {Boolean} true if loading was cancelled
+ */
+CL3D.AssetLoadingError = function(message, url, type, cancelled)
+{
+	this.message = message;
+	this.Url = url;
+	this.Type = type;
+	this.Cancelled = cancelled == true;
+	this.Failures = null;
+}
+CL3D.AssetLoadingError.prototype = new Error();
+
+/**
+ * @public
+ * @type String
+ */
+CL3D.AssetLoadingError.prototype.name = 'AssetLoadingError';
+
+/**
+ * Url of the asset which could not be loaded.
+ * @public
+ * @type String
+ */
+CL3D.AssetLoadingError.prototype.Url = '';
+
+/**
+ * Type of the asset, 'texture', 'sound', 'video', 'scene' or 'group' for a group of assets loaded using {@link CL3D.AssetManager.preload}().
+ * @public
+ * @type String
+ */
+CL3D.AssetLoadingError.prototype.Type = '';
+
+/**
+ * True if loading was cancelled, see {@link CL3D.AssetManager.cancel}().
+ * @public
+ * @type Boolean
+ */
+CL3D.AssetLoadingError.prototype.Cancelled = false;
+
+/**
+ * For groups of assets, array with the errors of all assets which could not be loaded. Otherwise null.
+ * @public
+ * @type Array
+ */
+CL3D.AssetLoadingError.prototype.Failures = null;
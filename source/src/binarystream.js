@@ -1,5 +1,5 @@
 /**
- * data is the .responseText of a GET operation
+ * data is the .responseText of a GET operation, or the bytes of a file converted using {@link CL3D.BinaryStream.bytesToString}
  * @constructor
  * @private
  */
@@ -304,4 +304,39 @@ CL3D.BinaryStream.prototype.reset = function()
 	this._offset = 0;
 	return this;
 }
+
+/**
+ * Adds data received later to the end of the stream, for parsing files while they are still being loaded.
+ * @private
+ */
+CL3D.BinaryStream.prototype.appendData = function(data)
+{
+	this._buffer += data;
+	this._length = this._buffer.length;
+}
+
+/**
+ * Returns all data of the stream.
+ * @private
+ */
+CL3D.BinaryStream.prototype.getData = function()
+{
+	return this._buffer;
+}
+
+/**
+ * Converts bytes, for example loaded as ArrayBuffer, into a string with one character per byte, like BinaryStream reads them.
+ * @private
+ * @param bytes {Uint8Array|ArrayBuffer} the bytes
+ */
+CL3D.BinaryStream.bytesToString = function(bytes)
+{
+	if (bytes.length == null)
+		bytes = new Uint8Array(bytes);
+		
+	var str = '';
+	for (var i=0; i<bytes.length; i+=8192)
+		str += String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + 8192, bytes.length)));
+	return str;
+}
 	
\ No newline at end of file
@@ -0,0 +1,451 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+// ------------------------------------------------------------------------------------------------------
+// BoundingVolumeHierarchy
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * @private
+ */
+CL3D.BVHTreeNode = function()
+{
+	this.Box = new CL3D.Box3d();
+	this.Parent = null;
+	this.Child1 = null;
+	this.Child2 = null;
+	this.Height = 0;
+
+	// leaves only
+	this.Node = null;
+	this.Hierarchy = null;
+	this.Index = -1; // position in the Leaves array of the hierarchy
+	this.TightBox = null;
+	this.LocalBox = null;
+	this.Transform = null;
+	this.Dirty = false;
+	this.SolidFrame = -1; // last frame the scene node was registered for rendering as solid node
+	this.TransparentFrame = -1; // same for transparent
+}
+
+/**
+ * @private
+ */
+CL3D.BVHTreeNode.prototype.isLeaf = function()
+{
+	return this.Child1 == null;
+}
+
+/**
+ * A dynamic bounding volume hierarchy over the scene nodes of a {@link CL3D.Scene}, used for quickly finding the
+ * scene nodes inside of a view frustrum. Every scene node is stored in a leaf with a slightly enlarged bounding box,
+ * so that moving scene nodes only need to be reinserted into the tree when they move outside of it.<br/>
+ * Scene nodes are added when they register for rendering, and their leaves are only refitted when
+ * {@link CL3D.SceneNode.updateAbsolutePosition}() marked them dirty. Leaves of scene nodes which aren't registered anymore,
+ * because they have been removed or made invisible, are removed when found by a query, or a few per frame otherwise.<br/>
+ * Enable it with {@link CL3D.Scene.setUseSpatialHierarchy}(), the scene keeps it up to date automatically.
+ * @constructor
+ * @class A dynamic bounding volume hierarchy over scene nodes.
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy = function()
+{
+	this.Root = null;
+	this.Leaves = new Array();
+	this.DirtyLeaves = new Array();
+	this.Margin = 0.1;
+	this.NodesTestedLastTime = 0;
+	this.UpdatedFrame = -1;
+	this.NextLeafToCheck = 0;
+}
+
+/**
+ * Amount of leaves checked per frame for scene nodes which aren't registered for rendering anymore.
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.LEAVES_CHECKED_PER_FRAME = 16;
+
+/**
+ * Called for every scene node registered for rendering, adds it to the hierarchy if it isn't in it yet and
+ * remembers in which frame it was registered.
+ * @private
+ * @param node {CL3D.SceneNode} the scene node
+ * @param transparent {Boolean} true if the node was registered as transparent node
+ * @param frame {Number} id of the current frame
+ */
+CL3D.BoundingVolumeHierarchy.prototype.registerSceneNode = function(node, transparent, frame)
+{
+	var leaf = node.CullingLeaf;
+
+	if (leaf != null && leaf.Hierarchy !== this)
+	{
+		// moved to another scene
+		leaf.Hierarchy.removeSceneNode(node);
+		leaf = null;
+	}
+
+	if (leaf == null)
+	{
+		leaf = new CL3D.BVHTreeNode();
+		leaf.Node = node;
+		leaf.Hierarchy = this;
+		leaf.Index = this.Leaves.length;
+		node.CullingLeaf = leaf;
+		this.Leaves.push(leaf);
+		this.updateLeaf(leaf);
+	}
+
+	if (transparent)
+		leaf.TransparentFrame = frame;
+	else
+		leaf.SolidFrame = frame;
+}
+
+/**
+ * Marks the leaf of the scene node dirty if its transformation or bounding box changed, so that it is refitted
+ * with the next update(). Called by {@link CL3D.SceneNode.updateAbsolutePosition}().
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.checkSceneNode = function(node)
+{
+	var leaf = node.CullingLeaf;
+	if (leaf.Dirty)
+		return;
+
+	var localBox = node.getBoundingBox();
+
+	if (leaf.Transform.equals(node.AbsoluteTransformation) &&
+	    leaf.LocalBox.MinEdge.equals(localBox.MinEdge) &&
+	    leaf.LocalBox.MaxEdge.equals(localBox.MaxEdge))
+		return;
+
+	leaf.Dirty = true;
+	this.DirtyLeaves.push(leaf);
+}
+
+/**
+ * Removes the scene node from the hierarchy.
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.removeSceneNode = function(node)
+{
+	var leaf = node.CullingLeaf;
+	if (leaf == null || leaf.Hierarchy !== this)
+		return;
+
+	this.removeLeaf(leaf);
+
+	// move the last leaf into the free slot
+	var last = this.Leaves.pop();
+	if (last !== leaf)
+	{
+		last.Index = leaf.Index;
+		this.Leaves[leaf.Index] = last;
+	}
+
+	node.CullingLeaf = null;
+	leaf.Node = null;
+	leaf.Hierarchy = null;
+}
+
+/**
+ * Refits the dirty leaves, and removes some leaves of scene nodes not registered for rendering anymore. 
+ * Call this once per frame, after the scene nodes have been registered.
+ * @private
+ * @param frame {Number} id of the current frame
+ */
+CL3D.BoundingVolumeHierarchy.prototype.update = function(frame)
+{
+	if (this.UpdatedFrame == frame)
+		return;
+
+	this.UpdatedFrame = frame;
+
+	var i;
+	for (i=0; i<this.DirtyLeaves.length; ++i)
+	{
+		var leaf = this.DirtyLeaves[i];
+		leaf.Dirty = false;
+
+		if (leaf.Node != null) // not removed in the meantime
+			this.updateLeaf(leaf);
+	}
+
+	this.DirtyLeaves = new Array();
+
+	for (i=0; i<CL3D.BoundingVolumeHierarchy.LEAVES_CHECKED_PER_FRAME && this.Leaves.length > 0; ++i)
+	{
+		if (this.NextLeafToCheck >= this.Leaves.length)
+			this.NextLeafToCheck = 0;
+
+		var checked = this.Leaves[this.NextLeafToCheck];
+		if (this.isLeafUnused(checked, frame))
+			this.removeSceneNode(checked.Node); // the last leaf moved into this slot, check it next
+		else
+			++this.NextLeafToCheck;
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.isLeafUnused = function(leaf, frame)
+{
+	return leaf.SolidFrame != frame && leaf.TransparentFrame != frame;
+}
+
+/**
+ * Stores the boxes and transformation of the scene node in its leaf, and reinserts the leaf into the tree
+ * if it moved outside of its enlarged box.
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.updateLeaf = function(leaf)
+{
+	var node = leaf.Node;
+
+	leaf.LocalBox = node.getBoundingBox().clone();
+	leaf.Transform = new CL3D.Matrix4(false);
+	node.AbsoluteTransformation.copyTo(leaf.Transform);
+	leaf.TightBox = node.getTransformedBoundingBox();
+
+	if (leaf.Parent != null || leaf === this.Root)
+	{
+		// still inside of the enlarged box, no need to reinsert
+		if (leaf.Box.isPointInside(leaf.TightBox.MinEdge) &&
+		    leaf.Box.isPointInside(leaf.TightBox.MaxEdge))
+			return;
+
+		this.removeLeaf(leaf);
+	}
+
+	var margin = leaf.TightBox.getExtent().multiplyWithScal(this.Margin);
+	leaf.Box.MinEdge = leaf.TightBox.MinEdge.substract(margin);
+	leaf.Box.MaxEdge = leaf.TightBox.MaxEdge.add(margin);
+
+	this.insertLeaf(leaf);
+}
+
+/**
+ * Removes all scene nodes from the hierarchy.
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.clear = function()
+{
+	for (var i=0; i<this.Leaves.length; ++i)
+	{
+		var leaf = this.Leaves[i];
+		leaf.Node.CullingLeaf = null;
+		leaf.Node = null;
+		leaf.Hierarchy = null;
+	}
+
+	this.Leaves = new Array();
+	this.DirtyLeaves = new Array();
+	this.Root = null;
+}
+
+/**
+ * Returns the amount of scene nodes in the hierarchy.
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.getSceneNodeCount = function()
+{
+	return this.Leaves.length;
+}
+
+/**
+ * Adds all scene nodes registered for rendering in the specified frame which are inside of the frustrum 
+ * to the two arrays, depending on how they were registered.
+ * @private
+ * @param frustrum {CL3D.ViewFrustrum} the view frustrum
+ * @param frame {Number} id of the current frame
+ * @param solidNodes {Array} receives the visible solid scene nodes
+ * @param transparentNodes {Array} receives the visible transparent scene nodes
+ */
+CL3D.BoundingVolumeHierarchy.prototype.getSceneNodesInFrustrum = function(frustrum, frame, solidNodes, transparentNodes)
+{
+	this.NodesTestedLastTime = 0;
+
+	if (this.Root == null)
+		return;
+
+	var unused = new Array();
+	var stack = new Array();
+	stack.push(this.Root);
+
+	while (stack.length > 0)
+	{
+		var n = stack.pop();
+
+		++this.NodesTestedLastTime;
+		var rel = frustrum.classifyBox(n.isLeaf() ? n.TightBox : n.Box);
+
+		if (rel == CL3D.ViewFrustrum.BOX_OUTSIDE)
+			continue;
+
+		if (rel == CL3D.ViewFrustrum.BOX_INSIDE || n.isLeaf())
+			this.addSubTree(n, frame, solidNodes, transparentNodes, unused);
+		else
+		{
+			stack.push(n.Child1);
+			stack.push(n.Child2);
+		}
+	}
+
+	// the tree can only be changed after traversing it
+	for (var i=0; i<unused.length; ++i)
+		this.removeSceneNode(unused[i].Node);
+}
+
+/**
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.addSubTree = function(n, frame, solidNodes, transparentNodes, unused)
+{
+	if (!n.isLeaf())
+	{
+		this.addSubTree(n.Child1, frame, solidNodes, transparentNodes, unused);
+		this.addSubTree(n.Child2, frame, solidNodes, transparentNodes, unused);
+		return;
+	}
+
+	if (n.SolidFrame == frame)
+		solidNodes.push(n.Node);
+
+	if (n.TransparentFrame == frame)
+		transparentNodes.push(n.Node);
+
+	if (this.isLeafUnused(n, frame))
+		unused.push(n);
+}
+
+/**
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.getMergedBox = function(a, b)
+{
+	var box = a.clone();
+	box.addInternalPointByVector(b.MinEdge);
+	box.addInternalPointByVector(b.MaxEdge);
+	return box;
+}
+
+/**
+ * Returns the surface area of a box, used as cost for inserting nodes.
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.getArea = function(box)
+{
+	var e = box.getExtent();
+	return 2.0 * (e.X * e.Y + e.Y * e.Z + e.Z * e.X);
+}
+
+/**
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.insertLeaf = function(leaf)
+{
+	if (this.Root == null)
+	{
+		this.Root = leaf;
+		leaf.Parent = null;
+		return;
+	}
+
+	// find the best sibling by descending into the child with the smallest increase of area
+
+	var sibling = this.Root;
+
+	while (!sibling.isLeaf())
+	{
+		var area = this.getArea(sibling.Box);
+		var combinedArea = this.getArea(this.getMergedBox(sibling.Box, leaf.Box));
+
+		var cost = 2.0 * combinedArea;
+		var inheritanceCost = 2.0 * (combinedArea - area);
+
+		var cost1 = this.getArea(this.getMergedBox(sibling.Child1.Box, leaf.Box)) + inheritanceCost;
+		if (!sibling.Child1.isLeaf())
+			cost1 -= this.getArea(sibling.Child1.Box);
+
+		var cost2 = this.getArea(this.getMergedBox(sibling.Child2.Box, leaf.Box)) + inheritanceCost;
+		if (!sibling.Child2.isLeaf())
+			cost2 -= this.getArea(sibling.Child2.Box);
+
+		if (cost < cost1 && cost < cost2)
+			break;
+
+		sibling = cost1 < cost2 ? sibling.Child1 : sibling.Child2;
+	}
+
+	// create a new parent for the sibling and the leaf
+
+	var oldParent = sibling.Parent;
+	var newParent = new CL3D.BVHTreeNode();
+	newParent.Parent = oldParent;
+	newParent.Box = this.getMergedBox(sibling.Box, leaf.Box);
+	newParent.Child1 = sibling;
+	newParent.Child2 = leaf;
+	sibling.Parent = newParent;
+	leaf.Parent = newParent;
+
+	if (oldParent == null)
+		this.Root = newParent;
+	else
+	if (oldParent.Child1 === sibling)
+		oldParent.Child1 = newParent;
+	else
+		oldParent.Child2 = newParent;
+
+	this.refit(newParent);
+}
+
+/**
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.removeLeaf = function(leaf)
+{
+	if (leaf === this.Root)
+	{
+		this.Root = null;
+		return;
+	}
+
+	var parent = leaf.Parent;
+	if (parent == null)
+		return; // not in the tree
+
+	var grandParent = parent.Parent;
+	var sibling = parent.Child1 === leaf ? parent.Child2 : parent.Child1;
+
+	leaf.Parent = null;
+
+	if (grandParent == null)
+	{
+		this.Root = sibling;
+		sibling.Parent = null;
+		return;
+	}
+
+	if (grandParent.Child1 === parent)
+		grandParent.Child1 = sibling;
+	else
+		grandParent.Child2 = sibling;
+
+	sibling.Parent = grandParent;
+	this.refit(grandParent);
+}
+
+/**
+ * Recalculates boxes and heights from the node up to the root
+ * @private
+ */
+CL3D.BoundingVolumeHierarchy.prototype.refit = function(n)
+{
+	while (n != null)
+	{
+		n.Box = this.getMergedBox(n.Child1.Box, n.Child2.Box);
+		n.Height = 1 + Math.max(n.Child1.Height, n.Child2.Height);
+		n = n.Parent;
+	}
+}
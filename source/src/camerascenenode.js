@@ -30,12 +30,37 @@ CL3D.CameraSceneNode = function()
 	this.TargetAndRotationAreBound = true;
 	this.AutoAdjustAspectratio = true;
 	
+	// rendering into a texture, see setRenderTarget() and setReflection()
+	this.RenderTarget = null;
+	this.RenderTargetUpdateInterval = 0;
+	this.LastRenderTargetUpdateTime = -1;
+	this.ClipPlane = null;
+	this.ReflectionSourceCamera = null;
+	this.ReflectionPlane = null;
+	
 	//this.recalculateProjectionMatrix();
 	//this.recalculateViewArea();
 	this.Projection.buildProjectionMatrixPerspectiveFovLH(this.Fovy, this.Aspect, this.ZNear, this.ZFar);
 }
 CL3D.CameraSceneNode.prototype = new CL3D.SceneNode();
 
+/**
+ * Time in milliseconds between two updates of the render target of the camera, see {@link setRenderTarget}().
+ * The default is 0, which updates it every frame. Use bigger values for views which don't need to be smooth, like 
+ * security monitors, to save the time needed for drawing the scene again.
+ * @public
+ * @type Number
+ */
+CL3D.CameraSceneNode.prototype.RenderTargetUpdateInterval = 0;
+
+/**
+ * Plane in world space, of type {@link CL3D.Plane3d}. When the camera renders into a texture, only the geometry on the side 
+ * of the plane the normal points to is drawn. Useful for example to draw only what is below a water surface. It is null by default.
+ * @public
+ * @type CL3D.Plane3d
+ */
+CL3D.CameraSceneNode.prototype.ClipPlane = null;
+
 /**
  * @private
  */
@@ -252,9 +277,15 @@ CL3D.CameraSceneNode.prototype.OnRegisterSceneNode = function(mgr)
 {			
 	if (mgr.getActiveCamera() === this)
 	{
-		mgr.registerNodeForRendering(this, 2); //REGISTER_MODE_CAMERA);
+		mgr.registerNodeForRendering(this, CL3D.Scene.RENDER_MODE_CAMERA);
 		CL3D.SceneNode.prototype.OnRegisterSceneNode.call(this, mgr);
 	}
+	else
+	if (this.RenderTarget != null)
+	{
+		// cameras rendering into textures are drawn before the active camera
+		mgr.registerNodeForRendering(this, CL3D.Scene.RENDER_MODE_CAMERA);
+	}
 }
 
 
@@ -267,19 +298,250 @@ CL3D.CameraSceneNode.prototype.render = function(renderer)
 	// the camera position, target or upvector in OnBeforeDraw
 	this.calculateViewMatrix();
 	
+	// while rendering into its texture, the camera uses the size of that
+	var rendersIntoTarget = this.RenderTarget != null && renderer.getRenderTarget() === this.RenderTarget;
+	
 	// if auto aspect, set now
 	if (this.Aspect == 0 || this.AutoAdjustAspectratio)
 	{
-		this.setAutoAspectIfNoFixedSet(renderer.width, renderer.height);
+		if (rendersIntoTarget)
+			this.setAutoAspectIfNoFixedSet(this.RenderTarget.getWidth(), this.RenderTarget.getHeight());
+		else
+			this.setAutoAspectIfNoFixedSet(renderer.width, renderer.height);
+			
 		if (this.Aspect == 0) 
 			this.setAspectRatio(3.0 / 4.0);
 	}
 	
+	if (rendersIntoTarget)
+	{
+		this.setRenderTargetViewIntoRenderer(renderer);
+		return;
+	}
+	
 	// render finally
 	renderer.setProjection(this.Projection);
 	renderer.setView(this.ViewMatrix);
 }
 
+/**
+ * Lets the camera render the scene into a texture every frame, for example for security monitors or picture in picture views. 
+ * The texture can be used like every other texture in a {@link CL3D.Material} or in a {@link CL3D.Overlay2DSceneNode}, and is
+ * stored top row first like loaded images, so that the usual texture coordinates of meshes work.<br/>
+ * Rendering into the texture costs about as much time as drawing the scene again. While the camera is the active 
+ * camera of the scene, it draws onto the screen as usual instead. See also {@link RenderTargetUpdateInterval}.
+ * @public
+ * @param {CL3D.Texture} texture render target created with {@link CL3D.Renderer.addRenderTargetTexture}(), or null to stop
+ * rendering into a texture.
+ * @example
+ * var monitor = new CL3D.CameraSceneNode();
+ * scene.getRootSceneNode().addChild(monitor);
+ * monitor.Pos = new CL3D.Vect3d(0, 100, 0);
+ * monitor.setTarget(new CL3D.Vect3d(100, 0, 0));
+ * monitor.setRenderTarget(renderer.addRenderTargetTexture(256, 256));
+ * 
+ * screenMeshNode.getMaterial(0).Tex1 = monitor.getRenderTarget();
+ */
+CL3D.CameraSceneNode.prototype.setRenderTarget = function(texture)
+{
+	this.RenderTarget = texture;
+	this.LastRenderTargetUpdateTime = -1;
+}
+
+/**
+ * Returns the texture the camera renders into, see {@link setRenderTarget}(). Null if the camera draws onto the screen.
+ * @public
+ * @returns {CL3D.Texture} render target of the camera
+ */
+CL3D.CameraSceneNode.prototype.getRenderTarget = function()
+{
+	return this.RenderTarget;
+}
+
+/**
+ * Lets the camera render the reflection of what another camera sees in a flat mirror or water surface. The camera then follows
+ * the other camera, and only draws what is in front of the mirror. Use the render target of the camera (see {@link setRenderTarget}())
+ * as first texture of the mirror, using the material type {@link CL3D.Material.EMT_PLANAR_REFLECTION}.
+ * @public
+ * @param {CL3D.CameraSceneNode} sourceCamera camera whose view is reflected, usually the active camera. Set this to null to stop reflecting.
+ * @param {CL3D.Plane3d} plane plane of the mirror in world space. Its normal points to the side which is reflected.
+ * @example
+ * var plane = new CL3D.Plane3d();
+ * plane.setPlane(waterNode.getAbsolutePosition(), new CL3D.Vect3d(0, 1, 0));
+ * 
+ * var reflectionCamera = new CL3D.CameraSceneNode();
+ * scene.getRootSceneNode().addChild(reflectionCamera);
+ * reflectionCamera.setRenderTarget(renderer.addRenderTargetTexture(512, 512));
+ * reflectionCamera.setReflection(scene.getActiveCamera(), plane);
+ * 
+ * var mat = waterNode.getMaterial(0);
+ * mat.Type = CL3D.Material.EMT_PLANAR_REFLECTION;
+ * mat.Tex1 = reflectionCamera.getRenderTarget();
+ */
+CL3D.CameraSceneNode.prototype.setReflection = function(sourceCamera, plane)
+{
+	this.ReflectionSourceCamera = sourceCamera;
+	this.ReflectionPlane = null;
+	
+	if (plane)
+	{
+		this.ReflectionPlane = plane.clone();
+		this.ReflectionPlane.normalize();
+	}
+}
+
+/**
+ * Returns if the render target of the camera should be drawn again, see {@link RenderTargetUpdateInterval}.
+ * @private
+ */
+CL3D.CameraSceneNode.prototype.isRenderTargetUpdateDue = function(timeMs)
+{
+	if (this.RenderTargetUpdateInterval > 0 && this.LastRenderTargetUpdateTime >= 0 &&
+		timeMs - this.LastRenderTargetUpdateTime < this.RenderTargetUpdateInterval)
+		return false;
+		
+	this.LastRenderTargetUpdateTime = timeMs;
+	return true;
+}
+
+/**
+ * Returns if the camera currently reflects the view of another camera, see {@link setReflection}().
+ * @private
+ */
+CL3D.CameraSceneNode.prototype.isReflecting = function()
+{
+	return this.ReflectionSourceCamera != null && this.ReflectionPlane != null && this.ReflectionSourceCamera !== this;
+}
+
+/**
+ * Returns the position from where the camera looks at the scene. This is the absolute position of the camera,
+ * or the mirrored position of the reflected camera, see {@link setReflection}().
+ * @private
+ */
+CL3D.CameraSceneNode.prototype.getViewPosition = function()
+{
+	if (!this.isReflecting())
+		return this.getAbsolutePosition();
+		
+	var pos = this.ReflectionSourceCamera.getAbsolutePosition();
+	var plane = this.ReflectionPlane;
+	return pos.substract(plane.Normal.multiplyWithScal(2 * plane.getDistanceTo(pos)));
+}
+
+/**
+ * Sets the projection and view of the camera into the renderer while rendering into the render target. The image is
+ * flipped vertically so that it is stored top row first like loaded images, and mirrored for reflections. Both flip the
+ * winding order of the triangles.
+ * @private
+ */
+CL3D.CameraSceneNode.prototype.setRenderTargetViewIntoRenderer = function(renderer)
+{
+	var proj = this.Projection.clone();
+	var view = this.ViewMatrix;
+	var clipPlane = this.ClipPlane;
+	var mirrored = false;
+	
+	if (this.isReflecting())
+	{
+		var src = this.ReflectionSourceCamera;
+		src.calculateViewMatrix();
+		
+		proj = src.Projection.clone();
+		view = src.ViewMatrix.multiply(this.getReflectionMatrix(this.ReflectionPlane));
+		mirrored = true;
+		
+		if (clipPlane == null)
+			clipPlane = this.ReflectionPlane;
+	}
+	
+	if (clipPlane != null)
+		this.setObliqueNearPlane(proj, view, clipPlane);
+		
+	proj.m01 = -proj.m01;
+	proj.m05 = -proj.m05;
+	proj.m09 = -proj.m09;
+	proj.m13 = -proj.m13;
+	
+	renderer.setProjection(proj);
+	renderer.setView(view);
+	renderer.setFrontFaceInverted(!mirrored);
+}
+
+/**
+ * Returns the matrix mirroring positions on a normalized plane.
+ * @private
+ */
+CL3D.CameraSceneNode.prototype.getReflectionMatrix = function(plane)
+{
+	var m = new CL3D.Matrix4(true);
+	var n = plane.Normal;
+	var d = plane.D;
+	
+	m.m00 = 1 - 2 * n.X * n.X;
+	m.m01 = -2 * n.X * n.Y;
+	m.m02 = -2 * n.X * n.Z;
+	m.m04 = -2 * n.Y * n.X;
+	m.m05 = 1 - 2 * n.Y * n.Y;
+	m.m06 = -2 * n.Y * n.Z;
+	m.m08 = -2 * n.Z * n.X;
+	m.m09 = -2 * n.Z * n.Y;
+	m.m10 = 1 - 2 * n.Z * n.Z;
+	m.m12 = -2 * d * n.X;
+	m.m13 = -2 * d * n.Y;
+	m.m14 = -2 * d * n.Z;
+	m.bIsIdentity = false;
+	
+	return m;
+}
+
+/**
+ * Changes the near plane of the projection to the clip plane (given in world space), so that everything on the other side 
+ * of it is clipped away by the hardware without any changes to the shaders. The far plane is tilted as little as possible 
+ * to still contain the whole view. See 'Oblique View Frustum Depth Projection and Clipping' by Eric Lengyel.
+ * @private
+ */
+CL3D.CameraSceneNode.prototype.setObliqueNearPlane = function(proj, view, clipPlane)
+{
+	var inverseView = new CL3D.Matrix4(false);
+	var inverseProj = new CL3D.Matrix4(false);
+	if (!view.getInverse(inverseView) || !proj.getInverse(inverseProj))
+		return;
+		
+	// plane in view space
+	
+	var n = clipPlane.Normal;
+	var d = clipPlane.D;
+	var cx = inverseView.m00 * n.X + inverseView.m01 * n.Y + inverseView.m02 * n.Z + inverseView.m03 * d;
+	var cy = inverseView.m04 * n.X + inverseView.m05 * n.Y + inverseView.m06 * n.Z + inverseView.m07 * d;
+	var cz = inverseView.m08 * n.X + inverseView.m09 * n.Y + inverseView.m10 * n.Z + inverseView.m11 * d;
+	var cw = inverseView.m12 * n.X + inverseView.m13 * n.Y + inverseView.m14 * n.Z + inverseView.m15 * d;
+	
+	// the camera needs to be on the clipped side, otherwise the plane isn't visible as near plane anyway
+	
+	if (cw >= 0)
+		return;
+		
+	// corner of the view opposite to the plane, moved onto the far plane
+	
+	var sx = cx > 0 ? 1 : (cx < 0 ? -1 : 0);
+	var sy = cy > 0 ? 1 : (cy < 0 ? -1 : 0);
+	var qx = inverseProj.m00 * sx + inverseProj.m04 * sy + inverseProj.m08 + inverseProj.m12;
+	var qy = inverseProj.m01 * sx + inverseProj.m05 * sy + inverseProj.m09 + inverseProj.m13;
+	var qz = inverseProj.m02 * sx + inverseProj.m06 * sy + inverseProj.m10 + inverseProj.m14;
+	var qw = inverseProj.m03 * sx + inverseProj.m07 * sy + inverseProj.m11 + inverseProj.m15;
+	
+	var dot = cx * qx + cy * qy + cz * qz + cw * qw;
+	if (CL3D.iszero(dot))
+		return;
+		
+	var a = 2.0 / dot;
+	
+	proj.m02 = a * cx - proj.m03;
+	proj.m06 = a * cy - proj.m07;
+	proj.m10 = a * cz - proj.m11;
+	proj.m14 = a * cw - proj.m15;
+}
+
 /**
  * @private
  */
@@ -324,6 +586,17 @@ CL3D.CameraSceneNode.prototype.onMouseMove = function(event)
 	}
 }
 
+/**
+ * @private
+ */
+CL3D.CameraSceneNode.prototype.onGesture = function(scale, moveX, moveY)
+{
+	for (var i = 0; i<this.Animators.length; ++i)
+	{
+		this.Animators[i].onGesture(scale, moveX, moveY);
+	}
+}
+
 /**
  * @private
  */
@@ -382,6 +655,10 @@ CL3D.CameraSceneNode.prototype.createClone = function(newparent, oldNodeId, newN
 	c.Aspect = this.Aspect;
 	c.ZNear = this.ZNear;
 	c.ZFar = this.ZFar;
+	c.RenderTargetUpdateInterval = this.RenderTargetUpdateInterval;
+	
+	if (this.ClipPlane)
+		c.ClipPlane = this.ClipPlane.clone();
 	
 	if (this.Box)
 		c.Box = this.Box.clone();
@@ -9,6 +9,8 @@ CL3D.CCFileLoader = function(filetoload)
 {
 	this.FileToLoad = filetoload;
 	this.xmlhttp = false;
+	this.Reader = null;
+	this.Aborted = false;
 	
 	// init xmlhttp
 
@@ -23,7 +25,7 @@ CL3D.CCFileLoader = function(filetoload)
 		}
 	}
 	
-	if (!this.xmlhttp && window.createRequest) 
+	if (!this.xmlhttp && typeof window != 'undefined' && window.createRequest) 
 	{
 		try 
 		{
@@ -88,12 +90,144 @@ CL3D.CCFileLoader = function(filetoload)
 		}
 	};
 	
+	// loads the file as bytes instead of text. chunkCallBack(Uint8Array) is called for each part of the file 
+	// as soon as it has been received, progressCallBack(bytesLoaded, bytesTotal) after each part, and completeCallBack()
+	// at the end. bytesTotal is 0 if the size of the file isn't known. errorCallBack(message) is called if loading failed.
+	this.loadBinary = function(chunkCallBack, completeCallBack, errorCallBack, progressCallBack)
+	{
+		var me = this;
+		this.Aborted = false;
+		
+		var onError = function(msg)
+		{
+			if (!me.Aborted && errorCallBack)
+				errorCallBack(msg);
+		};
+		
+		var isLocalFile = typeof location != 'undefined' && location.protocol == 'file:';
+		
+		if (typeof fetch != 'undefined' && typeof ReadableStream != 'undefined' && !isLocalFile)
+		{
+			// streamed using fetch, so the file can be parsed while it is still being received
+			
+			fetch(this.FileToLoad).then(function(response)
+			{
+				if (!response.ok)
+				{
+					onError("Could not open file " + me.FileToLoad + " (status:" + response.status + ")");
+					return;
+				}
+				
+				// the size is unknown if the file is compressed for the transfer
+				var total = parseInt(response.headers.get('Content-Length'), 10);
+				if (!(total > 0) || response.headers.get('Content-Encoding'))
+					total = 0;
+					
+				var loaded = 0;
+				var reader = response.body.getReader();
+				me.Reader = reader;
+				
+				var readNextChunk = function()
+				{
+					return reader.read().then(function(result)
+					{
+						if (me.Aborted)
+							return;
+							
+						if (result.done)
+						{
+							if (completeCallBack)
+								completeCallBack();
+							return;
+						}
+						
+						loaded += result.value.length;
+						if (chunkCallBack)
+							chunkCallBack(result.value);
+						if (progressCallBack)
+							progressCallBack(loaded, total);
+							
+						return readNextChunk();
+					});
+				};
+				
+				return readNextChunk();
+			})
+			.catch(function(e)
+			{
+				onError("Could not open file " + me.FileToLoad + ": " + e.message);
+			});
+			
+			return;
+		}
+		
+		// otherwise, the whole file is received at once
+		
+		if (this.xmlhttp == false)
+		{
+			onError("Your browser doesn't support AJAX");
+			return;
+		}
+		
+		try
+		{
+			this.xmlhttp.open("GET", this.FileToLoad, true);
+			this.xmlhttp.responseType = 'arraybuffer';
+		}
+		catch(e)
+		{
+			onError("Could not open file " + this.FileToLoad + ": " + e.message);
+			return;
+		}
+		
+		this.xmlhttp.onprogress = function(e)
+		{
+			if (progressCallBack)
+				progressCallBack(e.loaded, e.lengthComputable ? e.total : 0);
+		}
+		
+		this.xmlhttp.onreadystatechange = function() 
+		{ 
+			if (me.xmlhttp.readyState != 4 || me.Aborted) 
+				return;
+				
+			var status = me.xmlhttp.status;
+			if ((status != 200 && status != 0 && status != null) || me.xmlhttp.response == null)
+			{
+				onError("Could not open file " + me.FileToLoad + " (status:" + status + ")");
+				return;
+			}
+			
+			var bytes = new Uint8Array(me.xmlhttp.response);
+			if (chunkCallBack)
+				chunkCallBack(bytes);
+			if (progressCallBack)
+				progressCallBack(bytes.length, bytes.length);
+			if (completeCallBack)
+				completeCallBack();
+		}
+		
+		try
+		{
+			this.xmlhttp.send(null);
+		}
+		catch(e)
+		{
+			onError("Could not open file " + this.FileToLoad);
+		}
+	};
+	
 	// abort function
 	this.abort = function()
 	{
+		this.Aborted = true;
+		
 		try
 		{
-			this.xmlhttp.abort();
+			if (this.Reader)
+				this.Reader.cancel();
+			else
+				this.xmlhttp.abort();
 		}
 		catch(e)
 		{
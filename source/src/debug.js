@@ -11,6 +11,10 @@ CL3D.DebugOutput = function(elementIdToReplace, enableFPSCounter)
 	this.FPSRoot = null;
 	this.TextRoot = null;
 	
+	// without element, for example when running headless in node.js, texts are printed to the console
+	if (elementIdToReplace == null || typeof document == 'undefined')
+		return;
+		
 	var c = document.getElementById(elementIdToReplace);
 	
 	if (c == null)
@@ -42,7 +46,7 @@ CL3D.DebugOutput = function(elementIdToReplace, enableFPSCounter)
 
 CL3D.DebugOutput.prototype.enableFPSCounter = function()
 {
-	if (this.FPSRoot != null)
+	if (this.FPSRoot != null || this.DebugRoot == null)
 		return;
 		
 	this.FPSRoot = document.createElement("div");
@@ -123,6 +127,18 @@ CL3D.DebugOutput.prototype.printInternal = function(str, force, ashtml)
 	if (CL3D.gCCDebugInfoEnabled == false && force != true)
 		return;
 		
+	if (this.DebugRoot == null)
+	{
+		if (typeof console != 'undefined')
+		{
+			if (force)
+				console.error(str);
+			else
+				console.log(str);
+		}
+		return;
+	}
+		
 	if (this.TextRoot == null)
 	{
 		this.TextRoot = document.createElement("div");
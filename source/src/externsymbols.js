@@ -63,6 +63,8 @@ ccbDoHTTPRequest;
 ccbCancelHTTPRequest;
 ccbCreateMaterial;
 ccbSetShaderConstant;
+ccbCreatePostEffect;
+ccbSetPostEffectEnabled;
 ccbSetPhysicsVelocity;
 */
 /*
@@ -176,6 +178,7 @@ CL3D.AnimatorCameraFPS.prototype.MayZoom;
 CL3D.AnimatorCameraModelViewer.prototype.RotateSpeed;
 CL3D.AnimatorCameraModelViewer.prototype.Radius;
 CL3D.AnimatorCameraModelViewer.prototype.NoVerticalMovement;
+CL3D.AnimatorCameraModelViewer.prototype.AllowPanning;
 
 CL3D.AnimatorCameraFPS.prototype.animateNode = function(n, timeMs) {};
 
@@ -188,6 +191,144 @@ CL3D.Material.prototype.ClampTexture1;
 CL3D.Material.prototype.isTransparent = function() {};
 CL3D.Material.prototype.Tex1;
 CL3D.Material.prototype.Tex1;
+CL3D.Material.prototype.ReceivesShadows;
+CL3D.Material.prototype.Tex3;
+CL3D.Material.prototype.Tex4;
+CL3D.Material.prototype.Metallic;
+CL3D.Material.prototype.Roughness;
+CL3D.Material.prototype.OcclusionStrength;
+CL3D.Material.prototype.EmissiveColor;
+
+// light
+
+CL3D.Light.prototype.CastsShadows;
+
+// renderer
+
+CL3D.Renderer.prototype.ShadowMapSize;
+CL3D.Renderer.prototype.ShadowCubeMapSize;
+CL3D.Renderer.prototype.ShadowDistance;
+CL3D.Renderer.prototype.ShadowBias;
+CL3D.Renderer.prototype.vs_shader_fog;
+CL3D.Renderer.prototype.fs_shader_fog;
+CL3D.Renderer.prototype.vs_shader_skinning;
+CL3D.Renderer.prototype.UseGPUSkinning;
+CL3D.Renderer.prototype.SkinningMaxJoints;
+
+// sky box
+
+CL3D.SkyBoxSceneNode.prototype.UseAsEnvironmentMap;
+CL3D.SkyBoxSceneNode.prototype.EnvironmentMapIntensity;
+
+// post processing
+
+CL3D.PostProcessEffect.prototype.Enabled;
+CL3D.PostProcessBloom.prototype.Threshold;
+CL3D.PostProcessBloom.prototype.Intensity;
+CL3D.PostProcessBloom.prototype.Radius;
+CL3D.PostProcessColorGrading.prototype.LookupTable;
+CL3D.PostProcessColorGrading.prototype.Intensity;
+CL3D.PostProcessVignette.prototype.Intensity;
+CL3D.PostProcessVignette.prototype.Radius;
+CL3D.PostProcessVignette.prototype.Softness;
+CL3D.PostProcessVignette.prototype.Color;
+CL3D.PostProcessDepthOfField.prototype.FocusDistance;
+CL3D.PostProcessDepthOfField.prototype.FocusRange;
+CL3D.PostProcessDepthOfField.prototype.MaxBlur;
+
+// camera
+
+CL3D.CameraSceneNode.prototype.RenderTargetUpdateInterval;
+CL3D.CameraSceneNode.prototype.ClipPlane;
+
+// animation layers
+
+CL3D.AnimationBlendSpace.prototype.ParameterX;
+CL3D.AnimationBlendSpace.prototype.ParameterY;
+CL3D.AnimationLayer.prototype.Weight;
+CL3D.AnimationLayer.prototype.Additive;
+CL3D.AnimationLayer.prototype.Looping;
+CL3D.AnimationLayer.prototype.Speed;
+
+// viewport
+
+CL3D.Viewport.prototype.Camera;
+CL3D.Viewport.prototype.X;
+CL3D.Viewport.prototype.Y;
+CL3D.Viewport.prototype.Width;
+CL3D.Viewport.prototype.Height;
+CL3D.Viewport.prototype.Enabled;
+CL3D.Viewport.prototype.ClearBackBuffer;
+CL3D.Viewport.prototype.ClearZBuffer;
+CL3D.Viewport.prototype.BackgroundColor;
+CL3D.Viewport.prototype.OverlayLayer;
+CL3D.Overlay2DSceneNode.prototype.Layer;
+
+// clock
+
+CL3D.Clock.prototype.MaxFrameTime;
+CL3D.Clock.prototype.MaxStepsPerFrame;
+CL3D.Clock.prototype.InterpolateFixedTimeSteps;
+CL3D.Clock.prototype.AffectsSounds;
+
+// loading progress
+
+CL3D.LoadingProgress.prototype.FileName;
+CL3D.LoadingProgress.prototype.BytesLoaded;
+CL3D.LoadingProgress.prototype.BytesTotal;
+CL3D.LoadingProgress.prototype.FileLoaded;
+CL3D.LoadingProgress.prototype.Failed;
+CL3D.LoadingProgress.prototype.ScenesLoaded;
+CL3D.LoadingProgress.prototype.EmbeddedFilesLoaded;
+CL3D.LoadingProgress.prototype.TexturesLoaded;
+CL3D.LoadingProgress.prototype.TexturesToLoad;
+CL3D.LoadingProgress.prototype.TexturesFailed;
+
+// asset manager
+
+CL3D.AssetLoadingError.prototype.Url;
+CL3D.AssetLoadingError.prototype.Type;
+CL3D.AssetLoadingError.prototype.Cancelled;
+CL3D.AssetLoadingError.prototype.Failures;
+
+// scene
+
+CL3D.Scene.prototype.FogMode;
+CL3D.Scene.prototype.FogColor;
+CL3D.Scene.prototype.FogStart;
+CL3D.Scene.prototype.FogEnd;
+CL3D.Scene.prototype.FogDensity;
+
+// save games
+
+CL3D.SaveGameManager.prototype.DataVersion;
+CL3D.SaveGameManager.prototype.OnUpgradeSnapshot;
+
+// navigation mesh
+
+CL3D.NavMesh.prototype.CellSize;
+CL3D.NavMesh.prototype.AgentRadius;
+CL3D.NavMesh.prototype.AgentHeight;
+CL3D.NavMesh.prototype.MaxClimb;
+CL3D.NavMesh.prototype.MaxSlope;
+CL3D.NavMesh.prototype.MaxGridSize;
+CL3D.NavMesh.prototype.MaxSearchCells;
+
+// input
+
+CL3D.InputManager.prototype.DefaultDeadZone;
+CL3D.Mobile2DInputSceneNode.prototype.VirtualAxisX;
+CL3D.Mobile2DInputSceneNode.prototype.VirtualAxisY;
+CL3D.Mobile2DInputSceneNode.prototype.PostCursorKeys;
+
+// terrain
+
+CL3D.TerrainSceneNode.prototype.ChunkSize;
+CL3D.TerrainSceneNode.prototype.LODDistance;
+CL3D.TerrainSceneNode.prototype.SplatMap;
+CL3D.TerrainSceneNode.prototype.DoesCollision;
+CL3D.TerrainSceneNode.prototype.Material;
+CL3D.TerrainSceneNode.prototype.Selector;
 
 // mesh buffer
 
@@ -196,6 +337,8 @@ CL3D.MeshBuffer.prototype.Mat;
 CL3D.MeshBuffer.prototype.Indices;
 CL3D.MeshBuffer.prototype.Vertices;
 CL3D.MeshBuffer.prototype.RendererNativeArray;
+CL3D.MeshBuffer.prototype.JointIndices;
+CL3D.MeshBuffer.prototype.JointWeights;
 
 // copperlicht
 
@@ -203,6 +346,19 @@ CL3D.CopperLicht.prototype.OnAnimate;
 CL3D.CopperLicht.prototype.OnAfterDrawAll;
 CL3D.CopperLicht.prototype.OnBeforeDrawAll;
 CL3D.CopperLicht.prototype.OnLoadingComplete;
+CL3D.CopperLicht.prototype.OnLoadingProgress;
+CL3D.CopperLicht.prototype.OnLoadingError;
+CL3D.CopperLicht.prototype.ProgressiveLoading;
+CL3D.CopperLicht.prototype.UseWebGL2;
+CL3D.CopperLicht.prototype.OnStart;
+CL3D.CopperLicht.prototype.OnPause;
+CL3D.CopperLicht.prototype.OnResume;
+CL3D.CopperLicht.prototype.OnStop;
+CL3D.CopperLicht.prototype.OnFrameTimeOverBudget;
+CL3D.CopperLicht.prototype.OnFrameTimeUnderBudget;
+CL3D.CopperLicht.prototype.FPS;
+CL3D.CopperLicht.prototype.FrameTimeBudget;
+CL3D.CopperLicht.prototype.PauseWhenHidden;
 CL3D.CopperLicht.prototype.handleKeyDown;
 CL3D.CopperLicht.prototype.handleKeyUp;
 CL3D.CopperLicht.prototype.handleMouseDown;
@@ -210,6 +366,132 @@ CL3D.CopperLicht.prototype.handleMouseUp;
 CL3D.CopperLicht.prototype.handleMouseMove;
 
 
+// entries of asset manifests, read by AssetManager.preload()
+
+var assetManifestEntry;
+assetManifestEntry.url;
+assetManifestEntry.type;
+
+// glTF file content, read by GLTFLoader
+
+var gltfJson;
+gltfJson.asset;
+gltfJson.version;
+gltfJson.scene;
+gltfJson.scenes;
+gltfJson.nodes;
+gltfJson.children;
+gltfJson.name;
+gltfJson.matrix;
+gltfJson.translation;
+gltfJson.rotation;
+gltfJson.scale;
+gltfJson.mesh;
+gltfJson.skin;
+gltfJson.camera;
+gltfJson.extensions;
+gltfJson.buffers;
+gltfJson.buffer;
+gltfJson.uri;
+gltfJson.byteLength;
+gltfJson.bufferViews;
+gltfJson.byteOffset;
+gltfJson.byteStride;
+gltfJson.accessors;
+gltfJson.bufferView;
+gltfJson.componentType;
+gltfJson.count;
+gltfJson.normalized;
+gltfJson.type;
+gltfJson.sparse;
+gltfJson.indices;
+gltfJson.values;
+gltfJson.meshes;
+gltfJson.primitives;
+gltfJson.attributes;
+gltfJson.mode;
+gltfJson.material;
+gltfJson.POSITION;
+gltfJson.NORMAL;
+gltfJson.TEXCOORD_0;
+gltfJson.TEXCOORD_1;
+gltfJson.COLOR_0;
+gltfJson.materials;
+gltfJson.pbrMetallicRoughness;
+gltfJson.baseColorFactor;
+gltfJson.baseColorTexture;
+gltfJson.index;
+gltfJson.doubleSided;
+gltfJson.alphaMode;
+gltfJson.KHR_materials_unlit;
+gltfJson.textures;
+gltfJson.source;
+gltfJson.sampler;
+gltfJson.samplers;
+gltfJson.wrapS;
+gltfJson.wrapT;
+gltfJson.images;
+gltfJson.mimeType;
+gltfJson.skins;
+gltfJson.joints;
+gltfJson.inverseBindMatrices;
+gltfJson.animations;
+gltfJson.channels;
+gltfJson.target;
+gltfJson.node;
+gltfJson.path;
+gltfJson.input;
+gltfJson.output;
+gltfJson.interpolation;
+gltfJson.cameras;
+gltfJson.perspective;
+gltfJson.orthographic;
+gltfJson.yfov;
+gltfJson.znear;
+gltfJson.zfar;
+gltfJson.KHR_lights_punctual;
+gltfJson.lights;
+gltfJson.light;
+gltfJson.color;
+gltfJson.intensity;
+gltfJson.range;
+
+// saved scene documents, written by SceneSerializer
+
+var savedSceneDocument;
+savedSceneDocument.format;
+savedSceneDocument.version;
+savedSceneDocument.scene;
+savedSceneDocument.variables;
+savedSceneDocument.objects;
+savedSceneDocument.keyDownAnimators;
+savedSceneDocument.keyUpAnimators;
+savedSceneDocument.type;
+savedSceneDocument.members;
+savedSceneDocument.data;
+
+// save game snapshots, written by SaveGameManager
+
+var saveGameSnapshot;
+saveGameSnapshot.Version;
+saveGameSnapshot.DataVersion;
+saveGameSnapshot.Time;
+saveGameSnapshot.SceneName;
+saveGameSnapshot.Variables;
+saveGameSnapshot.Nodes;
+saveGameSnapshot.UserData;
+saveGameSnapshot.Name;
+saveGameSnapshot.ActiveValueType;
+saveGameSnapshot.StringValue;
+saveGameSnapshot.IntValue;
+saveGameSnapshot.FloatValue;
+saveGameSnapshot.Id;
+saveGameSnapshot.Path;
+saveGameSnapshot.Pos;
+saveGameSnapshot.Rot;
+saveGameSnapshot.Scale;
+saveGameSnapshot.Visible;
+
 // path scene node
 CL3D.PathSceneNode.prototype.Tightness;
 CL3D.PathSceneNode.prototype.IsClosedCircle;
@@ -28,10 +28,11 @@ var startCopperLichtFromFile = function(elementIdOfCanvas, filetoload, loadingSc
  * var engine = new CL3D.CopperLicht('yourCanvasID'); 
  * engine.load('somefile.ccbjs'); 
  * @class The main class of the CopperLicht engine, representing the 3D engine itself.
- * @param elementIdOfCanvas id of the canvas element embedded in the html, used to draw 3d graphics.
+ * @param elementIdOfCanvas id of the canvas element embedded in the html, used to draw 3d graphics. Set to null to run the 
+ * engine headless, see {@link CopperLicht.isHeadless}().
  * @param showInfoTexts if set to true, this shows loading indicators and error texts. If set to false no text is shown and 
  * you have to do this yourself.
- * @param fps {Number} frames per second to draw. Uses a default of 60 if set to null.
+ * @param fps {Number} maximal frames per second to draw, see {@link CopperLicht.FPS}. Uses a default of 60 if set to null.
  * @param showFPSCounter {Boolean} set to true to show a frames per second counter
  * @param loadingScreenText {String} optional parameter specifying a loadingScreen text. Setting this to a text like "Loading" will cause
  * a loading screen with this text to appear while the file is being loaded.
@@ -45,21 +46,41 @@ CL3D.CopperLicht = function(elementIdOfCanvas, showInfoTexts, fps, showFPSCounte
 		CL3D.gCCDebugOutput = new CL3D.DebugOutput(elementIdOfCanvas, showFPSCounter);
 		
 	this.ElementIdOfCanvas = elementIdOfCanvas;
-	this.MainElement = document.getElementById(this.ElementIdOfCanvas);
+	this.Headless = elementIdOfCanvas == null;
+	this.MainElement = this.Headless ? null : document.getElementById(this.ElementIdOfCanvas);
 	this.Document = new CL3D.CCDocument();
 	this.TheRenderer = null;	
 	this.IsPaused = false;
 	this.NextCameraToSetActive = null;
 	this.TheTextureManager = new CL3D.TextureManager();
 	this.TheMeshCache = new CL3D.MeshCache();
+	this.TheAssetManager = new CL3D.AssetManager(this);
 	this.LoadingAFile = false;
+	this.StreamingAFile = false;
 	this.WaitingForTexturesToBeLoaded = false;
 	this.LoadingAnimationCounter = 0;
+	this.LoadingProgress = new CL3D.LoadingProgress();
+	this.CurrentFileLoader = null;
+	this.CurrentStreamLoader = null;
+	this.CurrentGLTFLoader = null;
+	this.LoadingFilename = ''; // file loaded using load() or loadFromBuffer(), for settling the requests of the asset manager
+	this.ProgressiveLoading = false;
 	this.FPS = 60;
+	this.UseWebGL2 = false;
 	this.OnAnimate = null;
 	this.OnBeforeDrawAll = null;
 	this.OnAfterDrawAll = null;
 	this.OnLoadingComplete = null;
+	this.OnLoadingProgress = null;
+	this.OnLoadingError = null;
+	this.OnStart = null;
+	this.OnPause = null;
+	this.OnResume = null;
+	this.OnStop = null;
+	this.OnFrameTimeOverBudget = null;
+	this.OnFrameTimeUnderBudget = null;
+	this.FrameTimeBudget = 0;
+	this.PauseWhenHidden = true;
 	this.requestPointerLockAfterFullscreen = false;
 	this.pointerIsCurrentlyLocked = false;
 	this.playingVideoStreams = new Array();
@@ -79,20 +100,39 @@ CL3D.CopperLicht = function(elementIdOfCanvas, showInfoTexts, fps, showFPSCounte
 	this.MouseDownY = 0;
 	this.MouseIsInside = true;
 	
+	// main loop, see start()
+	this.MainLoopRunning = false;
+	this.StartEventPending = false;
+	this.NextFrameRequest = null;
+	this.NextFrameTime = -1;
+	this.LastDrawTime = -1;
+	this.AverageFrameTime = 0;
+	this.LastFrameTimeBudgetCheck = 0;
+	this.PausedBecauseHidden = false;
+	
 	this.LastCameraDragTime = 0; // flag to disable AnimatorOnClick actions when an AnimatorCameraFPS is currently dragging the camera
 	
+	this.Touches = new Array(); // all touches currently down, with their ids, positions and the nodes which captured them
+	this.MouseTouchId = null; // id of the touch currently emulating the mouse
+	this.GestureDistance = 0;
+	this.GestureCenterX = 0;
+	this.GestureCenterY = 0;
+	
 	this.LoadingDialog = null;
-	if (loadingScreenText != null)
+	if (loadingScreenText != null && !this.Headless)
 		this.createTextDialog(true, loadingScreenText);
 	
 	this.updateCanvasTopLeftPosition();
 	
-	if (fps)
+	if (fps != null)
 		this.FPS = fps;
 	
 	// redraw loading animator every few seconds
 	var me = this;
-	setInterval(function(){me.loadingUpdateIntervalHandler();}, 500);
+	this.TheTextureManager.OnTextureLoadingDone = function(t, loaded) { me.onTextureLoadingDone(t, loaded); };
+	CL3D.gSoundManager.addSoundLoadingListener(function(s, loaded) { me.onSoundLoadingDone(s, loaded); });
+	if (!this.Headless)
+		setInterval(function(){me.loadingUpdateIntervalHandler();}, 500);
 	
 	// init scripting
 	
@@ -142,6 +182,16 @@ CL3D.CopperLicht.prototype.registerEventHandlers = function()
 	document.onkeydown = function(evt){me.handleKeyDown(evt)};
     document.onkeyup = function(evt){me.handleKeyUp(evt)};
 	
+	// key up events aren't received while the window has no focus
+	try {
+		window.addEventListener('blur', function(){ CL3D.gInputManager.releaseAll(); }, false);
+	} catch(e) {}
+	
+	// pause while the page is hidden, see PauseWhenHidden
+	try {
+		document.addEventListener('visibilitychange', function(){ me.onVisibilityChanged(); }, false);
+	} catch(e) {}
+	
 	var c = this.MainElement;
 	if (c != null)
 	{
@@ -160,21 +210,54 @@ CL3D.CopperLicht.prototype.registerEventHandlers = function()
 			c.addEventListener('DOMMouseScroll',w, false);
 		} catch(e) {} 
 		
-		// additionally, add touch support
+		// additionally, add multi touch support. Use touch events if available, otherwise pointer events,
+		// of which only touches are used since the mouse is already handled above.
 		
 		try {
-			var touchstart = function(evt) 
-				{ if (me.handleMouseDown(evt.changedTouches[0])) me.handleEventPropagation(evt, true); };
-			var touchend = function(evt) 
-				{ if (me.handleMouseUp(evt.changedTouches[0])) me.handleEventPropagation(evt, true); };
-			var touchmove = function(evt) 
-				{ if (me.handleMouseMove(evt.changedTouches[0])) me.handleEventPropagation(evt, true); };
-			
-			c.addEventListener("touchstart", touchstart, false);
-			c.addEventListener("touchend", touchend, false);
-			c.addEventListener("touchcancel", touchend, false);
-			c.addEventListener("touchleave", touchend, false);
-			c.addEventListener("touchmove", touchmove, false);
+			if ('ontouchstart' in window)
+			{
+				var touchHandler = function(f) 
+				{
+					return function(evt) 
+					{
+						var used = false;
+						for (var i=0; i<evt.changedTouches.length; ++i)
+						{
+							var t = evt.changedTouches[i];
+							if (f.call(me, t.identifier, t))
+								used = true;
+						}
+						
+						if (used) 
+							me.handleEventPropagation(evt, true);
+					};
+				};
+				
+				c.addEventListener("touchstart", touchHandler(me.handleTouchStart), false);
+				c.addEventListener("touchend", touchHandler(me.handleTouchEnd), false);
+				c.addEventListener("touchcancel", touchHandler(me.handleTouchEnd), false);
+				c.addEventListener("touchleave", touchHandler(me.handleTouchEnd), false);
+				c.addEventListener("touchmove", touchHandler(me.handleTouchMove), false);
+			}
+			else
+			if (window['PointerEvent'])
+			{
+				var pointerHandler = function(f) 
+				{
+					return function(evt) 
+					{
+						if (evt['pointerType'] == 'touch' && f.call(me, evt['pointerId'], evt))
+							me.handleEventPropagation(evt, true);
+					};
+				};
+				
+				c.style['touchAction'] = 'none'; // otherwise, the browser scrolls and zooms the page instead
+				
+				c.addEventListener("pointerdown", pointerHandler(me.handleTouchStart), false);
+				c.addEventListener("pointerup", pointerHandler(me.handleTouchEnd), false);
+				c.addEventListener("pointercancel", pointerHandler(me.handleTouchEnd), false);
+				c.addEventListener("pointermove", pointerHandler(me.handleTouchMove), false);
+			}
 		} catch(e) {}
 	}
 }
@@ -182,10 +265,12 @@ CL3D.CopperLicht.prototype.registerEventHandlers = function()
 /**
  * Loads a the scene from a <a href="http://www.ambiera.com/coppercube/index.html" target="_blank">CopperCube</a> file and displays it.
  * This will also initialize the renderer if this has not been done before. You can also use the event handler {@link CopperLicht.OnLoadingComplete} to
- * check if the loading of the file has completed.
+ * check if the loading of the file has completed, {@link CopperLicht.OnLoadingProgress} for showing the progress and
+ * {@link CopperLicht.OnLoadingError} for handling errors. The file is transferred as binary data and parsed while it is
+ * being received, with {@link CopperLicht.ProgressiveLoading} its first scene is even shown before the whole file is loaded.
  * @param filetoload a filename such as 'test.ccbjs' which will be loaded, displayed and animated by the 3d engine.
  * .ccbjs files can be created using the <a href="http://www.ambiera.com/coppercube/index.html" target="_blank">CopperCube editor</a>,
- * it is free to use for 14 days.
+ * it is free to use for 14 days. glTF 2.0 files ending with .gltf or .glb can be loaded as well, see {@link CL3D.GLTFLoader}.
 */
 CL3D.CopperLicht.prototype.load = function(filetoload)
 {
@@ -196,13 +281,64 @@ CL3D.CopperLicht.prototype.load = function(filetoload)
 	}
 		
 	var me = this;
+	this.abortLoading(); // a file still being loaded is replaced by this one
 	this.LoadingAFile = true;
-	var l = new CL3D.CCFileLoader(filetoload);
-	l.load(function(p){me.parseFile(p, filetoload);});
+	this.LoadingFilename = filetoload;
+	this.TheAssetManager.onSceneLoadingStarted(filetoload);
+	
+	if (CL3D.GLTFLoader.isGLTFFilename(filetoload))
+	{
+		var gltfloader = new CL3D.GLTFLoader(this.TheTextureManager);
+		var gltfscene = new CL3D.Free3dScene();
+		this.CurrentGLTFLoader = gltfloader;
+		gltfloader.load(filetoload, function(n){me.onGLTFFileLoaded(n, gltfloader, gltfscene);}, gltfscene);
+		return true;
+	}
 	
+	this.loadStreamed(filetoload);
 	return true;
 };
 
+/**
+ * Loads a scene from the content of a <a href="http://www.ambiera.com/coppercube/index.html" target="_blank">CopperCube</a> 
+ * .ccbjs file which is already in memory, for example read using fs.readFileSync() when running headless in node.js, or 
+ * received over the network. Unlike {@link load}(), the scene is loaded immediately, and {@link OnLoadingComplete} is called
+ * before this returns, unless the file needs to wait for textures to be loaded.
+ * @public
+ * @param content {String|ArrayBuffer|Uint8Array} content of the .ccbjs file, as text or as bytes. A node.js Buffer works as well.
+ * The base64 encoding of .ccbjs files may already be decoded.
+ * @param filename {String} name of the file, relative paths of textures and sounds in the file are relative to it.
+ * @returns {Boolean} true if the file was loaded successfully
+ * @example
+ * var engine = new CL3D.CopperLicht(null); // headless
+ * engine.loadFromBuffer(require('fs').readFileSync('copperlichtdata/level.ccbjs'), 'copperlichtdata/level.ccbjs');
+ */
+CL3D.CopperLicht.prototype.loadFromBuffer = function(content, filename)
+{
+	if (!this.createRenderer())
+	{
+		this.createTextDialog(false, this.NoWebGLText);
+		return false;
+	}
+	
+	if (content == null)
+		return false;
+	
+	if (filename == null)
+		filename = '';
+		
+	if (typeof content != 'string')
+		content = CL3D.BinaryStream.bytesToString(content);
+	
+	var previousDocument = this.Document;
+	this.abortLoading();
+	this.LoadingAFile = true;
+	this.LoadingFilename = filename;
+	this.parseFile(content, filename);
+	
+	return this.Document != previousDocument;
+};
+
 
 /**
  * @private
@@ -212,6 +348,14 @@ CL3D.CopperLicht.prototype.createRenderer = function()
 	if (this.TheRenderer != null)
 		return true;
 		
+	if (this.Headless)
+	{
+		// no canvas, no event handlers, and no main loop until start() is called
+		this.TheRenderer = new CL3D.NullRenderer();
+		this.TheTextureManager.TheRenderer = this.TheRenderer;
+		return true;
+	}
+		
 	var c = this.MainElement;
 	if (c == null)
 		return false;
@@ -223,7 +367,7 @@ CL3D.CopperLicht.prototype.createRenderer = function()
 	var force2Dmode = CL3D.Renderer2DC != null && CL3D.Renderer2DC.debugForce2D;
 	
 	this.TheRenderer = new CL3D.Renderer();
-	if (force2Dmode || this.TheRenderer.init(canvaselement) == false)
+	if (force2Dmode || this.TheRenderer.init(canvaselement, this.UseWebGL2) == false)
 	{
 		// built-in webgl renderer didn't run. See if there is a backup renderer
 		
@@ -242,13 +386,8 @@ CL3D.CopperLicht.prototype.createRenderer = function()
 		
 	this.registerEventHandlers();
 	
-	// redraw every few seconds
-	var me = this;
-	var interval = 1000.0 / this.FPS;
-	
-	//CL3D.gCCDebugOutput.print("Using interval " + interval + " for fps:" + this.FPS);
-	
-	setInterval(function(){me.draw3DIntervalHandler();}, interval);
+	// animate and draw every frame
+	this.start();
 	
 	return true;
 };
@@ -277,6 +416,335 @@ CL3D.CopperLicht.prototype.draw3DIntervalHandler = function()
 	}
 }
 
+/**
+ * Starts the main loop of the engine, which animates and draws the scene every frame of the display, using
+ * requestAnimationFrame(). This is done automatically when the renderer is created, so usually you only need
+ * to call this to continue after {@link stop}(). Calls {@link OnStart} before the first frame is drawn.
+ * @public
+ */
+CL3D.CopperLicht.prototype.start = function()
+{
+	if (this.MainLoopRunning)
+		return;
+		
+	this.MainLoopRunning = true;
+	this.StartEventPending = true;
+	this.resetFrameTiming();
+	this.updateMediaPaused();
+	this.requestNextFrame();
+}
+
+/**
+ * Stops the main loop of the engine: The scene is neither animated nor drawn anymore, and sounds and videos are paused,
+ * until {@link start}() is called again. Calls {@link OnStop}.
+ * @public
+ */
+CL3D.CopperLicht.prototype.stop = function()
+{
+	if (!this.MainLoopRunning)
+		return;
+		
+	this.MainLoopRunning = false;
+	this.cancelNextFrame();
+	this.updateMediaPaused();
+	
+	if (this.OnStop)
+		this.OnStop();
+}
+
+/**
+ * Returns true if the main loop of the engine is running, see {@link start}() and {@link stop}().
+ * @public
+ */
+CL3D.CopperLicht.prototype.isRunning = function()
+{
+	return this.MainLoopRunning;
+}
+
+/**
+ * Pauses the engine: The scene is neither animated nor redrawn, and sounds and videos are paused, until {@link resume}()
+ * is called. Calls {@link OnPause}. This is done automatically while the page is hidden, see {@link PauseWhenHidden}.
+ * To only stop animating the scene, but still draw it, for example for a pause menu, pause the clock of the engine instead,
+ * see {@link getClock}().
+ * @public
+ */
+CL3D.CopperLicht.prototype.pause = function()
+{
+	this.PausedBecauseHidden = false;
+	
+	if (this.IsPaused)
+		return;
+		
+	this.IsPaused = true;
+	this.updateMediaPaused();
+	
+	if (this.OnPause)
+		this.OnPause();
+}
+
+/**
+ * Resumes the engine after it has been paused using {@link pause}(). Calls {@link OnResume}.
+ * @public
+ */
+CL3D.CopperLicht.prototype.resume = function()
+{
+	this.PausedBecauseHidden = false;
+	
+	if (!this.IsPaused)
+		return;
+		
+	this.IsPaused = false;
+	this.resetFrameTiming();
+	this.updateMediaPaused();
+	
+	if (this.OnResume)
+		this.OnResume();
+}
+
+/**
+ * Returns true if the engine is paused, see {@link pause}().
+ * @public
+ */
+CL3D.CopperLicht.prototype.isPaused = function()
+{
+	return this.IsPaused;
+}
+
+/**
+ * Returns the time between the last drawn frames in milliseconds, averaged over the last frames. 
+ * See also {@link FrameTimeBudget}.
+ * @public
+ */
+CL3D.CopperLicht.prototype.getAverageFrameTime = function()
+{
+	return this.AverageFrameTime;
+}
+
+/**
+ * Returns true if the engine runs headless, without canvas and WebGL. This is the case if it was created with null
+ * as id of the canvas, and is useful for running the logic of scenes in node.js, for example for automated tests
+ * or on a game server. Scenes are animated, including animators, actions, collisions, physics and scripts, and scene nodes
+ * register for rendering, but nothing is drawn: The renderer is a {@link CL3D.NullRenderer}. Textures are not loaded, 
+ * and there are no mouse and keyboard events. Load scenes using {@link loadFromBuffer}(). The main loop doesn't run 
+ * until {@link start}() is called, so the scene is only animated when calling {@link advanceTime}() or draw3dScene().
+ * @public
+ * @example
+ * // in node.js, after loading the CopperLicht source files
+ * var engine = new CL3D.CopperLicht(null);
+ * engine.loadFromBuffer(fs.readFileSync('test.ccbjs'), 'test.ccbjs');
+ * 
+ * // simulate 10 seconds in frames of 1/60 second, as fast as possible
+ * engine.advanceTime(10000, 1000 / 60);
+ * 
+ * var player = engine.getScene().getSceneNodeFromName('player');
+ */
+CL3D.CopperLicht.prototype.isHeadless = function()
+{
+	return this.Headless;
+}
+
+/**
+ * Animates the scene for the given time, in frames of the given length, without waiting for the time to pass. 
+ * Useful for headless engines, see {@link isHeadless}(). The time of the {@link CL3D.Clock} only advances by 
+ * the given time multiplied with its time scale, so the result is the same on every computer. Nothing happens 
+ * while the clock is paused.
+ * @public
+ * @param timeMs {Number} time in milliseconds
+ * @param frameTimeMs {Number} length of a frame in milliseconds. Can be left out, then 1000/FPS is used.
+ */
+CL3D.CopperLicht.prototype.advanceTime = function(timeMs, frameTimeMs)
+{
+	if (frameTimeMs == null || frameTimeMs <= 0)
+		frameTimeMs = 1000.0 / (this.FPS > 0 ? this.FPS : 60);
+		
+	var clock = CL3D.gClock;
+		
+	while (timeMs > 0)
+	{
+		var t = Math.min(timeMs, frameTimeMs);
+		timeMs -= t;
+		
+		clock.resetRealTime();
+		if (!clock.isPaused())
+			clock.step(t * clock.getTimeScale());
+			
+		this.draw3dScene();
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.requestNextFrame = function()
+{
+	if (this.NextFrameRequest != null)
+		return;
+		
+	var me = this;
+	var f = function(){ me.onAnimationFrame(); };
+	
+	if (typeof window != 'undefined' && window.requestAnimationFrame)
+		this.NextFrameRequest = window.requestAnimationFrame(f);
+	else
+		this.NextFrameRequest = setTimeout(f, 1000.0 / (this.FPS > 0 ? this.FPS : 60));
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.cancelNextFrame = function()
+{
+	if (this.NextFrameRequest == null)
+		return;
+		
+	if (typeof window != 'undefined' && window.cancelAnimationFrame)
+		window.cancelAnimationFrame(this.NextFrameRequest);
+	else
+		clearTimeout(this.NextFrameRequest);
+		
+	this.NextFrameRequest = null;
+}
+
+/**
+ * Called for every frame of the display while the main loop is running.
+ * @private
+ */
+CL3D.CopperLicht.prototype.onAnimationFrame = function()
+{
+	this.NextFrameRequest = null;
+	
+	if (!this.MainLoopRunning)
+		return;
+		
+	var now = CL3D.CLTimer.getRealTime();
+	
+	if (this.isFrameDue(now))
+	{
+		if (this.StartEventPending)
+		{
+			this.StartEventPending = false;
+			
+			if (this.OnStart)
+				this.OnStart();
+		}
+		
+		this.draw3DIntervalHandler();
+		this.updateFrameTime(now);
+	}
+	
+	if (this.MainLoopRunning)
+		this.requestNextFrame();
+}
+
+/**
+ * Returns if a frame should be drawn now to keep the frame rate at FPS, and schedules the next one.
+ * @private
+ */
+CL3D.CopperLicht.prototype.isFrameDue = function(now)
+{
+	if (this.FPS <= 0)
+		return true;
+		
+	// frames of the display don't come exactly in time, so draw slightly early rather than skipping one
+	
+	if (this.NextFrameTime >= 0 && now < this.NextFrameTime - 2)
+		return false;
+		
+	// keep the average frame rate, but don't try to catch up after frames have been missed
+	
+	var interval = 1000.0 / this.FPS;
+	this.NextFrameTime += interval;
+	if (this.NextFrameTime < now)
+		this.NextFrameTime = now + interval;
+		
+	return true;
+}
+
+/**
+ * Measures the time between frames, and calls OnFrameTimeOverBudget or OnFrameTimeUnderBudget once per second.
+ * @private
+ */
+CL3D.CopperLicht.prototype.updateFrameTime = function(now)
+{
+	if (this.IsPaused || this.isLoading())
+	{
+		this.LastDrawTime = -1;
+		return;
+	}
+	
+	if (this.LastDrawTime >= 0)
+	{
+		var frameTime = now - this.LastDrawTime;
+		this.AverageFrameTime = this.AverageFrameTime > 0 ? this.AverageFrameTime * 0.9 + frameTime * 0.1 : frameTime;
+	}
+	
+	this.LastDrawTime = now;
+	
+	if (this.FrameTimeBudget > 0 && this.AverageFrameTime > 0 && now - this.LastFrameTimeBudgetCheck >= 1000)
+	{
+		this.LastFrameTimeBudgetCheck = now;
+		
+		if (this.AverageFrameTime > this.FrameTimeBudget)
+		{
+			if (this.OnFrameTimeOverBudget)
+				this.OnFrameTimeOverBudget(this.AverageFrameTime);
+		}
+		else
+		if (this.AverageFrameTime < this.FrameTimeBudget * 0.75)
+		{
+			if (this.OnFrameTimeUnderBudget)
+				this.OnFrameTimeUnderBudget(this.AverageFrameTime);
+		}
+	}
+}
+
+/**
+ * Starts measuring frame times anew, and lets the clock continue without jumping over the time in which
+ * nothing was drawn.
+ * @private
+ */
+CL3D.CopperLicht.prototype.resetFrameTiming = function()
+{
+	this.NextFrameTime = -1;
+	this.LastDrawTime = -1;
+	CL3D.gClock.resetRealTime();
+}
+
+/**
+ * Pauses or resumes sounds and videos when the engine was paused, stopped, resumed or started.
+ * @private
+ */
+CL3D.CopperLicht.prototype.updateMediaPaused = function()
+{
+	var paused = this.IsPaused || !this.MainLoopRunning;
+	
+	CL3D.gSoundManager.setPausedByEngine(paused);
+	
+	for (var i=0; i<this.playingVideoStreams.length; ++i)
+		this.playingVideoStreams[i].updateFromClock(CL3D.gClock, paused);
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.onVisibilityChanged = function()
+{
+	if (!this.PauseWhenHidden)
+		return;
+		
+	if (document.hidden)
+	{
+		if (!this.IsPaused)
+		{
+			this.pause();
+			this.PausedBecauseHidden = true;
+		}
+	}
+	else
+	if (this.PausedBecauseHidden)
+		this.resume();
+}
+
 
 /**
  * @private
@@ -305,11 +773,14 @@ CL3D.CopperLicht.prototype.loadingUpdateIntervalHandler = function()
 		this.startFirstSceneAfterEverythingLoaded();
 	}
 		
-	if (this.LoadingAFile || texturesToLoad)
+	if (this.LoadingAFile || this.StreamingAFile || texturesToLoad)
 	{
 		var txt = 'Loading';
 		if (texturesToLoad > 0)
 			txt = 'Textures loaded: ' + (totalTextureCount - texturesToLoad) + '/' +  totalTextureCount;
+		else
+		if (this.StreamingAFile && this.LoadingProgress.BytesTotal > 0)
+			txt = 'Loading ' + Math.round(Math.min(this.LoadingProgress.BytesLoaded / this.LoadingProgress.BytesTotal, 1) * 100) + '%';
 			
 		switch(this.LoadingAnimationCounter % 4)
 		{
@@ -368,15 +839,298 @@ CL3D.CopperLicht.prototype.parseFile = function(filecontent, filename)
 			this.LastLoadedFilename = filename;
 		}
 		
-		if (!doc.WaitUntilTexturesLoaded)
-		{		
-			this.startFirstSceneAfterEverythingLoaded();
-		}
-		else
-			this.WaitingForTexturesToBeLoaded = true;
+		this.startDocument(doc);
 	}
 };
 
+/**
+ * Shows the current scene of a loaded document, or waits until all textures are loaded if the document wants this.
+ * @private
+ */
+CL3D.CopperLicht.prototype.startDocument = function(doc)
+{
+	this.Document = doc;
+	this.LoadingAFile = false;
+	
+	if (!doc.WaitUntilTexturesLoaded || this.Headless)
+	{		
+		this.startFirstSceneAfterEverythingLoaded();
+	}
+	else
+		this.WaitingForTexturesToBeLoaded = true;
+}
+
+/**
+ * Loads a CopperCube file as binary data, parsing it while it is still being received.
+ * @private
+ */
+CL3D.CopperLicht.prototype.loadStreamed = function(filetoload)
+{
+	if (this.CurrentFileLoader != null)
+		this.CurrentFileLoader.abort();
+		
+	var me = this;
+	var progress = new CL3D.LoadingProgress(filetoload);
+	var streamloader = new CL3D.FlaceStreamLoader(filetoload, this.TheTextureManager, this.TheMeshCache, this);
+	var fileloader = new CL3D.CCFileLoader(filetoload);
+	
+	this.LoadingProgress = progress;
+	this.CurrentStreamLoader = streamloader;
+	this.CurrentFileLoader = fileloader;
+	this.StreamingAFile = true;
+	
+	streamloader.OnSceneLoaded = function(scene, idx) 
+	{ 
+		++progress.ScenesLoaded; 
+		if (idx == streamloader.Document.CurrentScene)
+			me.startStreamedDocument(streamloader);
+		me.updateLoadingProgress(); 
+	};
+	
+	streamloader.OnDocumentLoaded = function() { me.startStreamedDocument(streamloader); };
+	streamloader.OnEmbeddedFileLoaded = function() { ++progress.EmbeddedFilesLoaded; me.updateLoadingProgress(); };
+	streamloader.OnError = function(msg) { me.onStreamedFileFailed(streamloader, msg); };
+	
+	fileloader.loadBinary(
+		function(bytes) { streamloader.addData(bytes); },
+		function() { me.onStreamedFileLoaded(streamloader); },
+		function(msg) { me.onStreamedFileFailed(streamloader, msg); },
+		function(loaded, total) { progress.BytesLoaded = loaded; progress.BytesTotal = total; me.updateLoadingProgress(); });
+}
+
+/**
+ * Shows the current scene of a file which is still being loaded, if ProgressiveLoading is enabled.
+ * @private
+ */
+CL3D.CopperLicht.prototype.startStreamedDocument = function(streamloader)
+{
+	if (!this.ProgressiveLoading || streamloader !== this.CurrentStreamLoader || this.Document === streamloader.Document)
+		return;
+		
+	this.startDocument(streamloader.Document);
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.onStreamedFileLoaded = function(streamloader)
+{
+	if (streamloader !== this.CurrentStreamLoader)
+		return;
+		
+	var doc = streamloader.finish();
+	if (doc == null)
+		return; // error already reported
+		
+	this.StreamingAFile = false;
+	this.CurrentStreamLoader = null;
+	this.CurrentFileLoader = null;
+	this.LoadingProgress.FileLoaded = true;
+	
+	// store file content for later possible reload (RestartSceneAction)
+	
+	var loader = streamloader.Loader;
+	if (loader.LoadedAReloadAction)
+	{
+		this.LastLoadedFileContent = loader.StoredFileContent;
+		this.LastLoadedFilename = streamloader.Filename;
+	}
+	
+	if (this.Document !== doc)
+		this.startDocument(doc);
+	else
+	if (!this.WaitingForTexturesToBeLoaded)
+	{
+		// the first scene is already running
+		this.TheAssetManager.onSceneLoadingDone(streamloader.Filename, true, null);
+		
+		if (this.OnLoadingComplete != null)
+			this.OnLoadingComplete();
+	}
+		
+	this.updateLoadingProgress();
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.onStreamedFileFailed = function(streamloader, msg)
+{
+	if (streamloader !== this.CurrentStreamLoader)
+		return;
+		
+	this.StreamingAFile = false;
+	this.LoadingAFile = false;
+	this.CurrentStreamLoader = null;
+	this.CurrentFileLoader = null;
+	this.LoadingProgress.Failed = true;
+	
+	this.onLoadingError(msg, streamloader.Filename);
+	this.TheAssetManager.onSceneLoadingDone(streamloader.Filename, false, msg);
+	this.updateLoadingProgress();
+}
+
+/**
+ * Stops loading the current scene file, used when loading it was cancelled using the {@link CL3D.AssetManager}
+ * and before loading another file. A glTF file still being loaded is ignored once it is done.
+ * @private
+ */
+CL3D.CopperLicht.prototype.abortLoading = function()
+{
+	if (this.CurrentFileLoader != null)
+		this.CurrentFileLoader.abort();
+		
+	this.CurrentFileLoader = null;
+	this.CurrentStreamLoader = null;
+	this.CurrentGLTFLoader = null;
+	this.StreamingAFile = false;
+	this.LoadingAFile = false;
+	this.WaitingForTexturesToBeLoaded = false;
+}
+
+/**
+ * Calls the OnLoadingError handler, or prints the error if there is none.
+ * @private
+ */
+CL3D.CopperLicht.prototype.onLoadingError = function(msg, url)
+{
+	if (this.OnLoadingError != null)
+		this.OnLoadingError(msg, url);
+	else
+	if (CL3D.gCCDebugOutput)
+		CL3D.gCCDebugOutput.printError(msg);
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.onTextureLoadingDone = function(t, loaded)
+{
+	if (!loaded)
+		this.onLoadingError("Could not load texture " + t.Name, t.Name);
+		
+	this.TheAssetManager.onAssetLoadingDone(t, loaded, t);
+	this.updateLoadingProgress();
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.onSoundLoadingDone = function(s, loaded)
+{
+	if (!loaded)
+		this.onLoadingError("Could not load sound " + s.Name, s.Name);
+		
+	this.TheAssetManager.onAssetLoadingDone(s, loaded, s);
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.onVideoLoadingDone = function(v, loaded)
+{
+	if (!loaded)
+		this.onLoadingError("Could not load video " + v.filename, v.filename);
+		
+	this.TheAssetManager.onAssetLoadingDone(v, loaded, v.texture);
+}
+
+/**
+ * Updates the texture counts of the loading progress and calls the OnLoadingProgress handler.
+ * @private
+ */
+CL3D.CopperLicht.prototype.updateLoadingProgress = function()
+{
+	var progress = this.LoadingProgress;
+	var tm = this.TheTextureManager;
+	
+	progress.TexturesToLoad = tm.getCountOfTexturesToLoad();
+	progress.TexturesFailed = tm.getCountOfTexturesFailedToLoad();
+	progress.TexturesLoaded = tm.getTextureCount() - progress.TexturesToLoad - progress.TexturesFailed;
+	
+	if (this.OnLoadingProgress != null)
+		this.OnLoadingProgress(progress);
+}
+
+/**
+ * Returns the progress of loading the last file loaded using {@link load}(), including its textures.
+ * @public
+ * @returns {CL3D.LoadingProgress} the progress
+ */
+CL3D.CopperLicht.prototype.getLoadingProgress = function()
+{
+	return this.LoadingProgress;
+}
+
+/**
+ * Creates a document with a single scene from the nodes loaded from a glTF file, adding a light and
+ * setting a default camera position if the file contains none.
+ * @private
+ */
+CL3D.CopperLicht.prototype.onGLTFFileLoaded = function(node, loader, scene)
+{
+	if (loader !== this.CurrentGLTFLoader)
+		return; // cancelled, or another file is being loaded now
+		
+	this.CurrentGLTFLoader = null;
+	this.LoadingAFile = false;
+	
+	if (node == null)
+	{
+		this.TheAssetManager.onSceneLoadingDone(this.LoadingFilename, false, "Could not load file " + loader.Filename);
+		return;
+	}
+		
+	scene.getRootSceneNode().addChild(node);
+	node.updateAbsolutePosition();
+	
+	var box = null;
+	var nodes = scene.getAllSceneNodesOfType('mesh').concat(scene.getAllSceneNodesOfType('animatedmesh'));
+	for (var i=0; i<nodes.length; ++i)
+	{
+		var b = nodes[i].getTransformedBoundingBox();
+		if (box == null)
+			box = b;
+		else
+		{
+			box.addInternalPointByVector(b.MinEdge);
+			box.addInternalPointByVector(b.MaxEdge);
+		}
+	}
+	
+	if (box == null)
+		box = new CL3D.Box3d();
+		
+	if (loader.CreatedLights.length == 0)
+	{
+		var light = new CL3D.LightSceneNode();
+		light.LightData.IsDirectional = true;
+		light.LightData.Direction = new CL3D.Vect3d(-0.5, -1.0, 0.7);
+		light.LightData.Direction.normalize();
+		scene.getRootSceneNode().addChild(light);
+		
+		scene.AmbientLight.R = 0.3;
+		scene.AmbientLight.G = 0.3;
+		scene.AmbientLight.B = 0.3;
+	}
+	
+	if (loader.CreatedCameras.length == 0)
+	{
+		var center = box.getCenter();
+		var radius = Math.max(box.getExtent().getLength() * 0.5, 1.0);
+		
+		scene.DefaultCameraTarget = center;
+		scene.DefaultCameraPos = center.add(new CL3D.Vect3d(0, radius * 0.5, -radius * 2.0));
+	}
+	
+	var doc = new CL3D.CCDocument();
+	doc.addScene(scene);
+	doc.setCurrentScene(scene);
+	this.Document = doc;
+	
+	this.startFirstSceneAfterEverythingLoaded();
+}
+
 /**
  * @private
  */
@@ -388,7 +1142,12 @@ CL3D.CopperLicht.prototype.startFirstSceneAfterEverythingLoaded = function()
 	// draw
 	this.draw3dScene();
 
-	// notify loading complete handler
+	// notify loading complete handler, unless the rest of the file is still being loaded
+	if (this.StreamingAFile)
+		return;
+		
+	this.TheAssetManager.onSceneLoadingDone(this.LoadingFilename, true, null);
+	
 	if (this.OnLoadingComplete != null)
 		this.OnLoadingComplete();
 }
@@ -415,9 +1174,16 @@ CL3D.CopperLicht.prototype.draw3dScene = function()
 	
 	if (!this.IsPaused && renderScene)
 	{
+		// advance the time of the simulation, and let sounds follow it
+		CL3D.gClock.update();
+		CL3D.gSoundManager.updateFromClock(CL3D.gClock);
+		
 		if (this.updateAllVideoStreams()) // at least one video is playing if it returns true
 			renderScene.forceRedrawNextFrame(); 
 		
+		// poll gamepads and update the input actions
+		CL3D.gInputManager.update();
+		
 		if (this.OnAnimate)
 			this.OnAnimate();
 			
@@ -430,8 +1196,11 @@ CL3D.CopperLicht.prototype.draw3dScene = function()
 			if (this.OnBeforeDrawAll)
 				this.OnBeforeDrawAll();
 						
-			// draw scene
-			renderScene.drawAll(this.TheRenderer);
+			// draw scene, or only let the scene nodes register for drawing when running headless
+			if (this.Headless)
+				renderScene.registerSceneNodes();
+			else
+				renderScene.drawAll(this.TheRenderer);
 					
 			// callback
 			if (this.OnAfterDrawAll)
@@ -442,9 +1211,17 @@ CL3D.CopperLicht.prototype.draw3dScene = function()
 			if (sc != null)
 				sc.runDrawCallbacks(this.TheRenderer);
 				
+			// 3d lines added in the callbacks above
+			this.TheRenderer.flush3DLines();
+				
 			// finished			
 			this.TheRenderer.endScene();	
 		}
+		else
+			this.TheRenderer.clear3DLines(); // don't let them pile up when nothing is redrawn
+			
+		// the animators have seen the keys pressed in this frame now
+		CL3D.gInputManager.endFrame();
 	}
 	
 	this.internalOnAfterRendering();
@@ -637,6 +1414,11 @@ CL3D.CopperLicht.prototype.gotoScene = function(scene)
 		// create collision geometry
 		scene.CollisionWorld = scene.createCollisionGeometry(true);
 		this.setCollisionWorldForAllSceneNodes(scene.getRootSceneNode(), scene.CollisionWorld);
+		
+		// build the navigation mesh for characters controlled by the game AI now, and not in the middle of a frame
+		var ainodes = scene.getAllSceneNodesWithAnimator('gameai');
+		if (ainodes && ainodes.length)
+			scene.getNavMesh();
 	}			
 	
 	// let scripting manager know about this
@@ -684,13 +1466,16 @@ CL3D.CopperLicht.prototype.setNextCameraActiveIfNeeded = function()
  */
 CL3D.CopperLicht.prototype.handleKeyDown = function(evt) 
 {
+	if (evt == null) 
+		evt = window.event; // hack for IE, it uses a global Event object
+		
+	if (!evt.IgnoredByInputManager)
+		CL3D.gInputManager.setKeyDown(evt.keyCode, true);
+	
 	var scene = this.getScene();
 	if (scene == null)
 		return false;
 		
-	if (evt == null) 
-		evt = window.event; // hack for IE, it uses a global Event object
-		
 	var usedToDoAction = false;
 	
 	var cam = scene.getActiveCamera();
@@ -712,13 +1497,16 @@ CL3D.CopperLicht.prototype.handleKeyDown = function(evt)
  */
 CL3D.CopperLicht.prototype.handleKeyUp = function(evt) 
 {
+	if (evt == null) 
+		evt = window.event; // hack for IE, it uses a global Event object
+		
+	if (!evt.IgnoredByInputManager)
+		CL3D.gInputManager.setKeyDown(evt.keyCode, false);
+	
 	var scene = this.getScene();
 	if (scene == null)
 		return false;
 		
-	if (evt == null) 
-		evt = window.event; // hack for IE, it uses a global Event object
-		
 	var usedToDoAction = false;
 			
 	var cam = scene.getActiveCamera();
@@ -755,6 +1543,26 @@ CL3D.CopperLicht.prototype.handleEventPropagation = function(evt, usedToDoAction
 	return false;
 }
 
+/**
+ * Returns the {@link CL3D.InputManager} mapping keys, mouse buttons and gamepad input to actions,
+ * which is the global CL3D.gInputManager.
+ * @public
+ */
+CL3D.CopperLicht.prototype.getInputManager = function()
+{
+	return CL3D.gInputManager;
+}
+
+/**
+ * Returns the {@link CL3D.Clock} of the engine, which can be paused, slowed down and advanced in fixed time steps.
+ * This is the global CL3D.gClock.
+ * @public
+ */
+CL3D.CopperLicht.prototype.getClock = function()
+{
+	return CL3D.gClock;
+}
+
 /** 
  * @private
  */
@@ -846,12 +1654,16 @@ CL3D.CopperLicht.prototype.handleMouseDown = function(evt)
 		this.MouseDownY = this.getMousePosYFromEvent(evt);
 	}
 	
+	CL3D.gInputManager.setMouseButtonDown(evt && evt.button != null ? evt.button : 0, true);
+	
 	//CL3D.gCCDebugOutput.print("MouseDown " + this.MouseDownX + " " + this.MouseDownY);
 	//CL3D.gCCDebugOutput.print("e.offsetX:" + evt.offsetX + " e.layerX:" + evt.layerX + " e.clientX:" + evt.clientX);
 		
 	var scene = this.getScene();
 	if (scene == null)
 		return false;
+		
+	this.activateViewportCameraAt(this.MouseDownX, this.MouseDownY);
 	
 	var cam = scene.getActiveCamera();
 	if (cam != null)
@@ -949,6 +1761,8 @@ CL3D.CopperLicht.prototype.handleMouseUp = function(evt)
 	
 	this.MouseIsDown = false;
 	
+	CL3D.gInputManager.setMouseButtonDown(evt && evt.button != null ? evt.button : 0, false);
+	
 	var scene = this.getScene();
 	if (scene == null)
 		return false;
@@ -975,6 +1789,8 @@ CL3D.CopperLicht.prototype.handleMouseWheel = function(evt)
 	if (scene == null)
 		return;
 		
+	this.activateViewportCameraAt(this.MouseX, this.MouseY);
+		
 	var cam = scene.getActiveCamera();
 	if (cam != null)
 		cam.onMouseWheel(delta);
@@ -982,6 +1798,22 @@ CL3D.CopperLicht.prototype.handleMouseWheel = function(evt)
 	scene.postMouseWheelToAnimators(delta);
 }
 
+/**
+ * Makes the camera of the viewport at a position on the canvas the active camera of the current scene, so that the
+ * mouse and keyboard control its animators. See {@link CL3D.Scene.addViewport}().
+ * @private
+ */
+CL3D.CopperLicht.prototype.activateViewportCameraAt = function(x, y)
+{
+	var scene = this.getScene();
+	if (scene == null || this.TheRenderer == null || this.isInPointerLockMode())
+		return;
+		
+	var vp = scene.getViewportAt(x, y, this.TheRenderer.getWidth(), this.TheRenderer.getHeight());
+	if (vp != null && vp.Camera !== scene.getActiveCamera())
+		scene.setActiveCamera(vp.Camera);
+}
+
 /**
  * When CopperLicht is created, it will register the onmousemove event of the canvas with this function.
  * If you need to handle it yourself, you should call this function with the event parameter so
@@ -1022,6 +1854,252 @@ CL3D.CopperLicht.prototype.handleMouseMove = function(evt)
 	return this.handleEventPropagation(evt, true);
 }
 
+/**
+ * Called when a finger touches the canvas. The first finger not touching a {@link CL3D.Mobile2DInputSceneNode} is
+ * emulated as mouse, so that looking around and clicking works. Fingers touching a Mobile2DInputSceneNode are
+ * only used by it, and two fingers make a pinch or drag gesture, see {@link CL3D.Animator.onGesture}.
+ * @private
+ * @param id {Number} id of the touch, stays the same until the finger is released
+ * @param t the touch object or pointer event with the position of the touch
+ */
+CL3D.CopperLicht.prototype.handleTouchStart = function(id, t) 
+{
+	this.removeTouch(id);
+	
+	var touch = new Object();
+	touch.Id = id;
+	touch.X = this.getMousePosXFromEvent(t);
+	touch.Y = this.getMousePosYFromEvent(t);
+	touch.Node = null;
+	touch.Event = t;
+	this.Touches.push(touch);
+	
+	var scene = this.getScene();
+	if (scene == null)
+		return false;
+		
+	var n = scene.isCoordOver2DOverlayNode(touch.X, touch.Y, true);
+	if (n != null && n.getType() == 'mobile2dinput')
+	{
+		touch.Node = n;
+		n.onTouchStart(id, touch.X, touch.Y);
+		return true;
+	}
+	
+	var free = this.getTouchesNotCapturedByNodes();
+	if (free.length == 1)
+	{
+		this.MouseTouchId = id;
+		this.MouseX = touch.X;
+		this.MouseY = touch.Y;
+		return this.handleMouseDown(t);
+	}
+	
+	if (free.length == 2)
+	{
+		// a second finger stops acting like the mouse and starts a gesture instead
+		this.releaseMouseTouch();
+		this.startGesture(free[0], free[1]);
+	}
+	
+	return true;
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.handleTouchMove = function(id, t) 
+{
+	var touch = this.getTouchById(id);
+	if (touch == null)
+		return false;
+		
+	touch.X = this.getMousePosXFromEvent(t);
+	touch.Y = this.getMousePosYFromEvent(t);
+	touch.Event = t;
+	
+	if (touch.Node != null)
+	{
+		touch.Node.onTouchMove(id, touch.X, touch.Y);
+		return true;
+	}
+	
+	if (id === this.MouseTouchId)
+		return this.handleMouseMove(t);
+		
+	var free = this.getTouchesNotCapturedByNodes();
+	if (free.length == 2)
+		this.handleGesture(free[0], free[1]);
+		
+	return true;
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.handleTouchEnd = function(id, t) 
+{
+	var touch = this.removeTouch(id);
+	if (touch == null)
+		return false;
+		
+	if (touch.Node != null)
+	{
+		touch.Node.onTouchEnd(id);
+		return true;
+	}
+	
+	if (id === this.MouseTouchId)
+	{
+		this.MouseTouchId = null;
+		return this.handleMouseUp(t);
+	}
+	
+	var free = this.getTouchesNotCapturedByNodes();
+	if (free.length == 2)
+		this.startGesture(free[0], free[1]);
+		
+	return true;
+}
+
+/**
+ * Ends the emulation of the mouse by a touch, if there is one.
+ * @private
+ */
+CL3D.CopperLicht.prototype.releaseMouseTouch = function() 
+{
+	var touch = this.getTouchById(this.MouseTouchId);
+	this.MouseTouchId = null;
+	
+	if (touch != null)
+		this.handleMouseUp(touch.Event);
+}
+
+/**
+ * Returns if the mouse state is currently set by a touch instead of the mouse.
+ * @private
+ */
+CL3D.CopperLicht.prototype.isMouseEmulatedByTouch = function() 
+{
+	return this.MouseTouchId != null;
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.getTouchById = function(id) 
+{
+	for (var i=0; i<this.Touches.length; ++i)
+		if (this.Touches[i].Id === id)
+			return this.Touches[i];
+			
+	return null;
+}
+
+/**
+ * Removes a touch and returns it, or null if there was none with this id.
+ * @private
+ */
+CL3D.CopperLicht.prototype.removeTouch = function(id) 
+{
+	for (var i=0; i<this.Touches.length; ++i)
+	{
+		if (this.Touches[i].Id === id)
+		{
+			var touch = this.Touches[i];
+			this.Touches.splice(i, 1);
+			return touch;
+		}
+	}
+	
+	return null;
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.getTouchesNotCapturedByNodes = function() 
+{
+	var ret = new Array();
+	for (var i=0; i<this.Touches.length; ++i)
+		if (this.Touches[i].Node == null)
+			ret.push(this.Touches[i]);
+			
+	return ret;
+}
+
+/**
+ * @private
+ */
+CL3D.CopperLicht.prototype.startGesture = function(t1, t2) 
+{
+	var dx = t2.X - t1.X;
+	var dy = t2.Y - t1.Y;
+	
+	this.GestureDistance = Math.sqrt(dx*dx + dy*dy);
+	this.GestureCenterX = (t1.X + t2.X) * 0.5;
+	this.GestureCenterY = (t1.Y + t2.Y) * 0.5;
+}
+
+/**
+ * Sends the change of a two finger gesture since the last call to the active camera and the animators.
+ * @private
+ */
+CL3D.CopperLicht.prototype.handleGesture = function(t1, t2) 
+{
+	var oldDistance = this.GestureDistance;
+	var oldCenterX = this.GestureCenterX;
+	var oldCenterY = this.GestureCenterY;
+	
+	this.startGesture(t1, t2);
+	
+	var scale = 1.0;
+	if (oldDistance > 0 && this.GestureDistance > 0)
+		scale = this.GestureDistance / oldDistance;
+		
+	var moveX = this.GestureCenterX - oldCenterX;
+	var moveY = this.GestureCenterY - oldCenterY;
+	
+	var scene = this.getScene();
+	if (scene == null)
+		return;
+		
+	var cam = scene.getActiveCamera();
+	if (cam != null)
+		cam.onGesture(scale, moveX, moveY);
+		
+	scene.postGestureToAnimators(scale, moveX, moveY);
+}
+
+/**
+ * Returns the amount of fingers currently touching the canvas.
+ * @public
+ */
+CL3D.CopperLicht.prototype.getTouchCount = function()
+{
+	return this.Touches.length;
+}
+
+/**
+ * Returns the X coordinate in pixels of a finger touching the canvas, relative to the canvas.
+ * @public
+ * @param index {Number} index of the touch, between 0 and getTouchCount()-1
+ */
+CL3D.CopperLicht.prototype.getTouchX = function(index)
+{
+	return this.Touches[index].X;
+}
+
+/**
+ * Returns the Y coordinate in pixels of a finger touching the canvas, relative to the canvas.
+ * @public
+ * @param index {Number} index of the touch, between 0 and getTouchCount()-1
+ */
+CL3D.CopperLicht.prototype.getTouchY = function(index)
+{
+	return this.Touches[index].Y;
+}
+
 /**
  * Event handler called before animating the scene. You can use this to manipulate the 3d scene every frame.
  * An example how to use it looks like this:
@@ -1094,6 +2172,146 @@ CL3D.CopperLicht.prototype.OnBeforeDrawAll = null;
 CL3D.CopperLicht.prototype.OnLoadingComplete = null;
 
 
+/**
+ * Event handler called whenever the progress of loading a file using {@link CopperLicht.load}() changed: When a part
+ * of the file was received, a scene or embedded file was parsed, or a texture was loaded. The {@link CL3D.LoadingProgress}
+ * is passed as parameter. Use it for example like here:
+ * @example
+ * engine.OnLoadingProgress = function(progress) 
+ * {
+ *   document.getElementById('progress').innerHTML = Math.round(progress.getProgress() * 100) + '%';
+ * };
+ * @public
+ */
+CL3D.CopperLicht.prototype.OnLoadingProgress = null;
+
+
+/**
+ * Event handler called when a file or a texture could not be loaded, with an error message and the url of the file.
+ * If it is not set, the error is printed over the canvas instead. Use it for example like here:
+ * @example
+ * engine.OnLoadingError = function(message, url) 
+ * {
+ *   alert('Sorry, loading ' + url + ' failed: ' + message);
+ * };
+ * @public
+ */
+CL3D.CopperLicht.prototype.OnLoadingError = null;
+
+
+/**
+ * If true, the current scene of a file loaded using {@link CopperLicht.load}() is shown as soon as it has been 
+ * received, while the other scenes, embedded files like animated meshes and the textures are still being loaded.
+ * {@link CopperLicht.OnLoadingComplete} is still called after the whole file has been loaded. Default is false.
+ * @public
+ * @type Boolean
+ */
+CL3D.CopperLicht.prototype.ProgressiveLoading = false;
+
+
+/**
+ * Event handler called before the first frame is drawn after the main loop of the engine has been started, 
+ * see {@link CopperLicht.start}(). This happens once the renderer has been created, and after each call to start()
+ * following {@link CopperLicht.stop}().
+ * @public
+ */
+CL3D.CopperLicht.prototype.OnStart = null;
+
+
+/**
+ * Event handler called when the engine has been paused, see {@link CopperLicht.pause}(). This also happens when the page
+ * is hidden, for example when switching to another browser tab, if {@link CopperLicht.PauseWhenHidden} is true.
+ * @example
+ * engine.OnPause = function() 
+ * {
+ *   // save the game, for example
+ * };
+ * @public
+ */
+CL3D.CopperLicht.prototype.OnPause = null;
+
+
+/**
+ * Event handler called when the engine continues after it has been paused, see {@link CopperLicht.resume}().
+ * @public
+ */
+CL3D.CopperLicht.prototype.OnResume = null;
+
+
+/**
+ * Event handler called when the main loop of the engine has been stopped, see {@link CopperLicht.stop}().
+ * @public
+ */
+CL3D.CopperLicht.prototype.OnStop = null;
+
+
+/**
+ * Event handler called once per second while the average time between frames is longer than {@link CopperLicht.FrameTimeBudget}.
+ * Receives the average frame time in milliseconds. Use it to reduce the quality of the rendering on slow computers, 
+ * for example by disabling post processing effects or shadows.
+ * @example
+ * engine.FrameTimeBudget = 1000 / 30;
+ * engine.OnFrameTimeOverBudget = function(averageFrameTime) 
+ * {
+ *   engine.getScene().removePostProcessEffect(bloom);
+ * };
+ * @public
+ */
+CL3D.CopperLicht.prototype.OnFrameTimeOverBudget = null;
+
+
+/**
+ * Event handler called once per second while the average time between frames is shorter than three quarters of 
+ * {@link CopperLicht.FrameTimeBudget}. Receives the average frame time in milliseconds. Use it to increase the quality
+ * of the rendering again.
+ * @public
+ */
+CL3D.CopperLicht.prototype.OnFrameTimeUnderBudget = null;
+
+
+/**
+ * Maximal number of frames per second drawn by the engine. Set to 0 to draw with the refresh rate of the display.
+ * Default is 60, or the frame rate passed to the constructor.
+ * @public
+ * @type Number
+ */
+CL3D.CopperLicht.prototype.FPS = 60;
+
+
+/**
+ * Time in milliseconds a frame may take, see {@link CopperLicht.OnFrameTimeOverBudget}. Should be clearly longer than 
+ * the time between frames at the refresh rate of the display or at {@link CopperLicht.FPS}, for example 1000/30.
+ * Default is 0, which disables checking it.
+ * @public
+ * @type Number
+ */
+CL3D.CopperLicht.prototype.FrameTimeBudget = 0;
+
+
+/**
+ * If true, the engine is paused while the page is hidden, for example when switching to another browser tab or minimizing
+ * the browser, so that sounds and videos stop playing. Browsers don't draw hidden pages anyway. Default is true.
+ * @public
+ * @type Boolean
+ */
+CL3D.CopperLicht.prototype.PauseWhenHidden = true;
+
+
+/**
+ * Set to true to let the renderer use WebGL 2 if the browser supports it, falling back to WebGL 1 otherwise.
+ * WebGL 2 draws {@link CL3D.InstancedMeshSceneNode}s, big meshes with 32 bit indices and all other geometry with less overhead.
+ * Needs to be set before the renderer is created, so before calling {@link CopperLicht.load}() or {@link CopperLicht.initRenderer}().
+ * Default is false. Use {@link CL3D.Renderer.isWebGL2}() to find out which version is used.
+ * @example
+ * var engine = new CL3D.CopperLicht('3darea');
+ * engine.UseWebGL2 = true;
+ * engine.load('test.ccbjs');
+ * @public
+ * @type Boolean
+ */
+CL3D.CopperLicht.prototype.UseWebGL2 = false;
+
+
 /**
  * Returns a 3D point from a 2D pixel coordinate on the screen. Note: A 2D position on the screen does not represent one 
  * single 3D point, but a actually a 3d line. So in order to get this line, use the 3d point returned by this function and the position 
@@ -1112,6 +2330,23 @@ CL3D.CopperLicht.prototype.get3DPositionFrom2DPosition = function(x,y)
 		
 	var proj = r.getProjection();
 	var view = r.getView();
+	var w = r.getWidth();
+	var h = r.getHeight();
+	
+	// when the scene is drawn into viewports, the camera of the viewport at the position is used
+	
+	var scene = this.getScene();
+	var vp = scene ? scene.getViewportAt(x, y, w, h) : null;
+	if (vp)
+	{
+		var rc = vp.getScreenRect(w, h);
+		proj = vp.Camera.Projection;
+		view = vp.Camera.ViewMatrix;
+		x -= rc.X;
+		y -= rc.Y;
+		w = rc.Width;
+		h = rc.Height;
+	}
 	
 	if (proj == null || view == null)
 		return null;
@@ -1124,9 +2359,6 @@ CL3D.CopperLicht.prototype.get3DPositionFrom2DPosition = function(x,y)
 	var lefttoright = frustrum.getFarRightUp().substract(farLeftUp);
 	var uptodown = frustrum.getFarLeftDown().substract(farLeftUp);
 
-	var w = r.getWidth();
-	var h = r.getHeight();
-
 	var dx = x / w;
 	var dy = y / h;
 
@@ -1157,6 +2389,22 @@ CL3D.CopperLicht.prototype.get2DPositionFrom3DPosition = function(pos3d)
 	var hHeight = r.getHeight() / 2;
 	var render2DTranslationX = hWidth;
 	var render2DTranslationY = hHeight;	
+	
+	// when the scene is drawn into viewports, the one of the active camera is used
+	
+	var scene = this.getScene();
+	var vp = scene ? scene.getViewportOfCamera(scene.getActiveCamera()) : null;
+	if (vp)
+	{
+		var rc = vp.getScreenRect(r.getWidth(), r.getHeight());
+		vp.Camera.Projection.copyTo(mat);
+		mat = mat.multiply(vp.Camera.ViewMatrix);
+		
+		hWidth = rc.Width / 2;
+		hHeight = rc.Height / 2;
+		render2DTranslationX = rc.X + hWidth;
+		render2DTranslationY = rc.Y + hHeight;
+	}
 
 	if (hHeight == 0 || hWidth == 0)
 		return null;
@@ -1189,6 +2437,16 @@ CL3D.CopperLicht.prototype.setActiveCameraNextFrame = function(cam)
 	this.NextCameraToSetActive = cam;
 }
 
+/**
+ * Returns the {@link CL3D.AssetManager}, which loads textures, sounds, videos and scene files and returns Promises for them.
+ * @public
+ * @returns {CL3D.AssetManager} the asset manager of the engine
+ */
+CL3D.CopperLicht.prototype.getAssetManager = function()
+{
+	return this.TheAssetManager;
+}
+
 /**
  * Returns the {@link TextureManager} used to load textures.
  * @public
@@ -1438,9 +2696,11 @@ CL3D.CopperLicht.prototype.getOrCreateVideoStream = function(filename, createIfN
 	
 	if (createIfNotFound)
 	{
+		var me = this;
 		var nv = new CL3D.VideoStream(filename, this.TheRenderer);
 		nv.handlerOnVideoEnded = handlerOnVideoEnded;
 		nv.handlerOnVideoFailed = handlerOnVideoFailed;
+		nv.onLoadingDone = function(v, loaded) { me.onVideoLoadingDone(v, loaded); };
 		
 		this.playingVideoStreams.push(nv);
 		
@@ -1465,6 +2725,7 @@ CL3D.CopperLicht.prototype.updateAllVideoStreams = function()
 		
 		// update
 		
+		v.updateFromClock(CL3D.gClock);
 		v.updateVideoTexture();
 		
 		// execute action on end if ended
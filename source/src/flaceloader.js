@@ -1,5 +1,5 @@
 CL3D.FlaceLoader=function(){this.Data=this.Document=null;this.Filename="";this.NextTagPos=0;this.CursorControl=this.TheTextureManager=null;this.PathRoot="";this.StoredFileContent=this.TheMeshCache=null;this.LoadedAReloadAction=false;this.loadFile=function(a,b,c,e,f){this.Filename=b;this.TheTextureManager=c;this.CursorControl=f;this.TheMeshCache=e;this.TheTextureManager!=null&&CL3D.ScriptingInterface.getScriptingInterface().setTextureManager(c);if(a.length==0){CL3D.gCCDebugOutput.printError("Error: Could not load file '"+
-b+"'");a=navigator.appVersion;a!=null&&a.indexOf("Chrome")!=-1&&CL3D.gCCDebugOutput.printError("<i>For using local files with Chrome, add the parameter '--allow-file-access-from-files' when starting the browser.<br/>Or use Firefox instead. Or run it from a web server. Or from CopperCube.</i>",true);return null}if(b.indexOf(".ccbjs"))a=CL3D.base64decode(a);this.Document=b=new CL3D.CCDocument;this.setRootPath();this.Data=new CL3D.BinaryStream(a);if(!this.parseFile())return null;this.StoredFileContent=
+b+"'");a=navigator.appVersion;a!=null&&a.indexOf("Chrome")!=-1&&CL3D.gCCDebugOutput.printError("<i>For using local files with Chrome, add the parameter '--allow-file-access-from-files' when starting the browser.<br/>Or use Firefox instead. Or run it from a web server. Or from CopperCube.</i>",true);return null}if(a.substring(0,4)!="flce")a=CL3D.base64decode(a);this.Document=b=new CL3D.CCDocument;this.setRootPath();this.Data=new CL3D.BinaryStream(a);if(!this.parseFile())return null;this.StoredFileContent=
 a;return b};this.setRootPath=function(){var a=this.Filename,b=a.lastIndexOf("/");if(b!=-1)a=a.substring(0,b+1);this.PathRoot=a};this.parseFile=function(){if(this.Data.readSI32()!=1701014630)return false;this.Data.readSI32();this.Data.readUI32();for(var a=0;this.Data.bytesAvailable()>0;){var b=this.readTag();++a;if(a==1&&b!=1)return false;switch(b){case 1:this.readDocument();break;case 12:this.readEmbeddedFiles();break;default:this.SkipToNextTag()}}return true};this.SkipToNextTag=function(){this.Data.seek(this.NextTagPos,
 true)};this.readTag=function(){var a=0;a=this.Data.readUnsignedShort();var b=0;this.CurrentTagSize=b=this.Data.readUnsignedInt();this.NextTagPos=this.Data.getPosition()+b;return a};this.ReadMatrix=function(){var a=new CL3D.Matrix4(false);this.ReadIntoExistingMatrix(a);return a};this.ReadIntoExistingMatrix=function(a){for(var b=0;b<16;++b)a.setByIndex(b,this.Data.readFloat())};this.ReadQuaternion=function(){var a=new CL3D.Quaternion;a.W=this.Data.readFloat();a.X=this.Data.readFloat();a.Y=this.Data.readFloat();
 a.Z=this.Data.readFloat();return a};this.readUTFBytes=function(a){for(var b=0,c=[],e=[0,12416,925824,63447168,4194836608,2181570688],f=[],g=0;g<a;++g)f.push(this.Data.readNumber(1));for(;b<a;){g=0;var i=this.trailingUTF8Bytes[f[b]];if(b+i>=a)return c.join("");for(var h=i;h>=0;--h){g+=f[b];++b;if(h!=0)g<<=6}if(b>a)break;g-=e[i];if(g<1114111)c.push(this.fixedFromCharCode(g));else return c.join("")}return c.join("")};this.ReadString=function(){var a=this.Data.readUnsignedInt();if(a>104857600)return"";
@@ -39,6 +39,20 @@ CL3D.Scene.prototype.init = function()
 	this.AmbientLight.B = 0.0;
 	
 	this.Gravity = 1.0;
+	this.PhysicsWorld = null;
+	this.NavMesh = null;
+	
+	this.FogMode = CL3D.Scene.FOG_NONE;
+	this.FogColor = new CL3D.ColorF();
+	this.FogColor.R = 0.5;
+	this.FogColor.G = 0.5;
+	this.FogColor.B = 0.5;
+	this.FogStart = 100.0;
+	this.FogEnd = 1000.0;
+	this.FogDensity = 0.001;
+	
+	this.PostProcessEffects = new Array();
+	this.Viewports = new Array();
 	
 	// scene manager related
 	this.LastUsedRenderer = null;
@@ -54,11 +68,17 @@ CL3D.Scene.prototype.init = function()
 	this.SceneNodesToRenderTransparent = new Array();
 	this.LightsToRender = new Array();
 	this.Overlay2DToRender = new Array();
+	this.CamerasToRenderIntoTextures = new Array();
 	this.RegisteredSceneNodeAnimatorsForEventsList = new Array();
 	
 	this.NodeCountRenderedLastTime = 0;
+	this.NodeCountCulledLastTime = 0;
+	this.CullingTestsLastTime = 0;
 	this.SkinnedMeshesRenderedLastTime = 0;
 	this.UseCulling = false;
+	this.UseSpatialHierarchy = false;
+	this.SpatialHierarchy = null;
+	this.CullingFrame = 0;
 	this.CurrentCameraFrustrum = null;
 		
 	// runtime
@@ -108,9 +128,31 @@ CL3D.Scene.prototype.doAnimate = function(renderer)
 	if (this.clearDeletionList(false)) 
 		sceneChanged = true;
 		
-	if (this.RootNode.OnAnimate(this, CL3D.CLTimer.getTime()))
+	// animate in the steps of the clock for this frame, none while it is paused
+	
+	var clock = CL3D.gClock;
+	while (clock.nextStep())
+	{
+		var now = clock.getTime();
+		
+		if (clock.isInterpolating())
+			this.storePreviousTransformations(this.RootNode);
+			
+		if (this.PhysicsWorld && this.PhysicsWorld.step(now))
+			sceneChanged = true;
+			
+		if (this.RootNode.OnAnimate(this, now))
+			sceneChanged = true;
+	}
+	
+	// scene nodes are drawn interpolated between the last two steps, so they move every frame
+	if (clock.isInterpolating() && !clock.isPaused())
 		sceneChanged = true;
 		
+	// 3d sounds are heard from the position of the active camera
+	if (this.ActiveCamera && CL3D.gSoundManager)
+		CL3D.gSoundManager.updateListenerFromCamera(this.ActiveCamera);
+		
 	var viewHasChanged = this.HasViewChangedSinceLastRedraw();
 	var textureLoadWasFinished = renderer ? renderer.getAndResetTextureWasLoadedFlag() : false;
 	
@@ -135,6 +177,74 @@ CL3D.Scene.prototype.doAnimate = function(renderer)
 
 
 
+/**
+ * Returns the {@link CL3D.PhysicsWorld} of this scene, simulating all scene nodes with an {@link CL3D.AnimatorRigidBody}.
+ * It is created when needed and stepped automatically while the scene is animated.
+ * @public
+ * @returns {CL3D.PhysicsWorld} the physics world
+ */
+CL3D.Scene.prototype.getPhysicsWorld = function()
+{
+	if (this.PhysicsWorld == null)
+		this.PhysicsWorld = new CL3D.PhysicsWorld(this);
+		
+	return this.PhysicsWorld;
+}
+
+/**
+ * Returns the {@link CL3D.NavMesh} of this scene, used by characters for finding paths around obstacles.
+ * It is built from the collision geometry of the scene (see {@link CL3D.Scene.getCollisionGeometry}) when the scene is
+ * started if it contains scene nodes controlled by the game AI, otherwise when this is called for the first time. The size of
+ * the characters is taken from the collision response animators of the scene nodes controlled by the game AI.
+ * If the collision geometry changes, call setNavMesh(null) to let it be built again.
+ * @public
+ * @returns {CL3D.NavMesh} the navigation mesh, or null if the scene has no collision geometry.
+ */
+CL3D.Scene.prototype.getNavMesh = function()
+{
+	if (this.NavMesh == null && this.CollisionWorld != null)
+	{
+		this.NavMesh = new CL3D.NavMesh();
+		
+		var ainodes = this.getAllSceneNodesWithAnimator('gameai');
+		var radius = 0;
+		var height = 0;
+		
+		for (var i=0; ainodes && i<ainodes.length; ++i)
+		{
+			var response = ainodes[i].getAnimatorOfType('collisionresponse');
+			if (response && response.Radius)
+			{
+				radius = Math.max(radius, response.Radius.X, response.Radius.Z);
+				height = Math.max(height, response.Radius.Y * 2);
+			}
+		}
+		
+		if (radius > 0 && height > 0)
+		{
+			this.NavMesh.AgentRadius = radius;
+			this.NavMesh.AgentHeight = height;
+			this.NavMesh.MaxClimb = height * 0.35;
+		}
+		
+		this.NavMesh.build(this.CollisionWorld);
+	}
+	
+	return this.NavMesh;
+}
+
+/**
+ * Sets the {@link CL3D.NavMesh} used by characters for finding paths. Set this to null to let the
+ * navigation mesh be built again from the collision geometry when needed.
+ * @public
+ * @param navmesh {CL3D.NavMesh} the navigation mesh
+ */
+CL3D.Scene.prototype.setNavMesh = function(navmesh)
+{
+	this.NavMesh = navmesh;
+}
+
+
 /**
   * Returns the current mode of rendering, can be for example {@link Scene.RENDER_MODE_TRANSPARENT}.
   * Is useful for scene nodes which render themselves for example both solid and transparent.
@@ -153,31 +263,263 @@ CL3D.Scene.prototype.getCurrentRenderMode = function()
  */
 CL3D.Scene.prototype.drawAll = function(renderer)
 {
-	// register for rendering
+	// draw between the last two fixed time steps of the clock
+	var interpolation = CL3D.gClock.isInterpolating() ? CL3D.gClock.getInterpolationFactor() : 1.0;
+	var interpolatedNodes = null;
+	if (interpolation < 1.0)
+	{
+		interpolatedNodes = new Array();
+		this.setInterpolatedTransformations(this.RootNode, interpolation, interpolatedNodes);
+	}
+	
+	this.registerSceneNodes();
+	
+	// cameras rendering into textures first, so that the active camera sees their current images
+	if (this.CamerasToRenderIntoTextures.length > 0)
+		this.drawCamerasIntoTextures(renderer);
+	
+	var nodesRendered = 0;
+	var useViewports = this.Viewports.length > 0 && renderer.getRenderTarget() == null;
+	
+	if (useViewports)
+	{
+		nodesRendered += this.drawViewports(renderer);
+		
+		// overlays of layer 0 are drawn over all viewports
+		nodesRendered += this.drawOverlays(renderer, 0);
+	}
+	else
+	{
+		// active camera
+		nodesRendered += this.drawView(renderer, this.ActiveCamera, true);
+		nodesRendered += this.drawOverlays(renderer, -1);
+	}
+	
+	this.NodeCountRenderedLastTime = nodesRendered;
+	this.StoreViewMatrixForRedrawCheck();
+	
+	if (interpolatedNodes)
+		this.restoreInterpolatedTransformations(interpolatedNodes);
+}
+
+/**
+ * Lets all scene nodes register themselves for rendering, using OnRegisterSceneNode(). Called by drawAll(), and by 
+ * headless engines instead of drawing, see {@link CopperLicht.isHeadless}().
+ * @private
+ */
+CL3D.Scene.prototype.registerSceneNodes = function()
+{
 	this.SceneNodesToRender = new Array();
 	this.SceneNodesToRenderTransparent = new Array();
 	this.LightsToRender = new Array();
 	this.Overlay2DToRender = new Array();
+	this.CamerasToRenderIntoTextures = new Array();
+	
+	// the spatial hierarchy is updated while the nodes register themselves
+	++this.CullingFrame;
+	if (this.UseCulling && this.UseSpatialHierarchy && this.SpatialHierarchy == null)
+		this.SpatialHierarchy = new CL3D.BoundingVolumeHierarchy();
+	
 	this.RootNode.OnRegisterSceneNode(this);
 	this.CurrentCameraFrustrum = null;
 	this.SkinnedMeshesRenderedLastTime = 0;
+}
+
+/**
+ * Remembers the absolute transformations of all scene nodes and the targets of cameras before the scene is animated 
+ * by a fixed time step of the clock, for drawing them interpolated. See {@link CL3D.Clock.InterpolateFixedTimeSteps}.
+ * @private
+ */
+CL3D.Scene.prototype.storePreviousTransformations = function(node)
+{
+	node.PreviousAbsoluteTransformation = node.AbsoluteTransformation;
+	
+	if (node.getType() == 'camera')
+		node.PreviousTarget = node.Target.clone();
+		
+	for (var i=0; i<node.Children.length; ++i)
+		this.storePreviousTransformations(node.Children[i]);
+}
+
+/**
+ * Sets the absolute transformations of all scene nodes which moved in the last fixed time step, and the targets of 
+ * cameras, to values between the previous and the current step. Stores the changed nodes with their real values 
+ * in the array, for restoring them after drawing.
+ * @private
+ */
+CL3D.Scene.prototype.setInterpolatedTransformations = function(node, interpolation, changedNodes)
+{
+	var prev = node.PreviousAbsoluteTransformation;
+	var moved = prev != null && prev !== node.AbsoluteTransformation && !prev.equals(node.AbsoluteTransformation);
+	var cameraTurned = node.PreviousTarget != null && node.getType() == 'camera' && !node.PreviousTarget.equals(node.Target);
 	
-	// active camera
+	if (moved || cameraTurned)
+	{
+		var o = new Object();
+		o.Node = node;
+		o.AbsoluteTransformation = node.AbsoluteTransformation;
+		o.Target = node.Target;
+		changedNodes.push(o);
+		
+		if (moved)
+		{
+			node.AbsoluteTransformation = node.AbsoluteTransformation.getInterpolated(prev, interpolation);
+			if (node.CullingLeaf != null)
+				node.CullingLeaf.Hierarchy.checkSceneNode(node);
+		}
+		if (cameraTurned)
+			node.Target = node.Target.getInterpolated(node.PreviousTarget, interpolation);
+	}
+	
+	for (var i=0; i<node.Children.length; ++i)
+		this.setInterpolatedTransformations(node.Children[i], interpolation, changedNodes);
+}
+
+/**
+ * Restores the real transformations after drawing, see setInterpolatedTransformations().
+ * @private
+ */
+CL3D.Scene.prototype.restoreInterpolatedTransformations = function(changedNodes)
+{
+	for (var i=0; i<changedNodes.length; ++i)
+	{
+		var o = changedNodes[i];
+		o.Node.AbsoluteTransformation = o.AbsoluteTransformation;
+		
+		if (o.Node.getType() == 'camera')
+			o.Node.Target = o.Target;
+	}
+}
+
+/**
+ * Draws the scene into each viewport from its camera, see {@link CL3D.Scene.addViewport}(). Returns the number of drawn scene nodes.
+ * @private
+ */
+CL3D.Scene.prototype.drawViewports = function(renderer)
+{
+	var activeCamera = this.ActiveCamera;
+	var screenWidth = renderer.getWidth();
+	var screenHeight = renderer.getHeight();
+	var nodesRendered = 0;
+	
+	for (var i=0; i<this.Viewports.length; ++i)
+	{
+		var vp = this.Viewports[i];
+		if (!vp.Enabled || vp.Camera == null)
+			continue;
+			
+		var rc = vp.getScreenRect(screenWidth, screenHeight);
+		if (rc.Width <= 0 || rc.Height <= 0)
+			continue;
+			
+		renderer.setViewport(rc.X, rc.Y, rc.Width, rc.Height);
+		renderer.setRenderTarget(null, vp.ClearBackBuffer, vp.ClearZBuffer, 
+			vp.BackgroundColor != null ? vp.BackgroundColor : this.BackgroundColor);
+		
+		// scene nodes like the sky box look at the active camera while being drawn
+		this.ActiveCamera = vp.Camera;
+		nodesRendered += this.drawView(renderer, vp.Camera, true, true);
+		
+		if (vp.OverlayLayer != 0)
+			nodesRendered += this.drawOverlays(renderer, vp.OverlayLayer);
+	}
+	
+	this.ActiveCamera = activeCamera;
+	renderer.setViewport(null);
+	
+	// the 3d lines have been drawn into every viewport
+	renderer.clear3DLines();
+	
+	return nodesRendered;
+}
+
+/**
+ * Draws the 2D overlays of a layer, or all of them if the layer is -1. Returns the number of drawn overlays.
+ * @private
+ */
+CL3D.Scene.prototype.drawOverlays = function(renderer, layer)
+{
+	var count = 0;
+	
+	this.CurrentRenderMode = CL3D.Scene.RENDER_MODE_2DOVERLAY;
+	for (var i= 0; i<this.Overlay2DToRender.length; ++i)
+	{
+		var o = this.Overlay2DToRender[i];
+		if (layer == -1 || o.Layer == layer)
+		{
+			o.render(renderer);
+			++count;
+		}
+	}
+	
+	return count;
+}
+
+/**
+ * Draws the scene as seen by each camera rendering into a texture, see {@link CL3D.CameraSceneNode.setRenderTarget}().
+ * @private
+ */
+CL3D.Scene.prototype.drawCamerasIntoTextures = function(renderer)
+{
+	var activeCamera = this.ActiveCamera;
+	var savedRenderTarget = renderer.getRenderTarget();
+	var now = CL3D.CLTimer.getTime();
+	
+	for (var i=0; i<this.CamerasToRenderIntoTextures.length; ++i)
+	{
+		var cam = this.CamerasToRenderIntoTextures[i];
+		if (!cam.isRenderTargetUpdateDue(now))
+			continue;
+			
+		if (!renderer.setRenderTarget(cam.getRenderTarget(), true, true, this.BackgroundColor))
+			continue;
+		
+		// scene nodes like the sky box look at the active camera while being drawn
+		this.ActiveCamera = cam;
+		this.drawView(renderer, cam, false);
+		renderer.setFrontFaceInverted(false);
+	}
+	
+	this.ActiveCamera = activeCamera;
+	renderer.setRenderTarget(savedRenderTarget);
+}
+
+/**
+ * Draws the registered scene nodes as seen by a camera, returns the number of drawn scene nodes. Only the main views
+ * are post processed, not the ones of cameras rendering into textures. Set keep3DLines to true to not remove the 
+ * 3d lines after drawing them into a main view, when more views follow.
+ * @private
+ */
+CL3D.Scene.prototype.drawView = function(renderer, camera, isMainView, keep3DLines)
+{
+	// camera
 	this.CurrentRenderMode = CL3D.Scene.RENDER_MODE_CAMERA;
 	var camPos = null;
-	if (this.ActiveCamera)
+	if (camera)
 	{
-		camPos = this.ActiveCamera.getAbsolutePosition();
-		this.ActiveCamera.render(renderer);
+		camPos = camera.getViewPosition();
+		camera.render(renderer);
 	}
+	
+	// with post processing, the 3d scene is drawn into a texture first
+	var postProcessing = isMainView && this.hasEnabledPostProcessEffects() && renderer.beginPostProcessing(this.BackgroundColor);
 		
-	// skybox 
+	// skybox, never fogged
+	renderer.setFog(CL3D.Scene.FOG_NONE);
+	
 	this.CurrentRenderMode = CL3D.Scene.RENDER_MODE_SKYBOX;
 	if (this.SkyBoxSceneNode)
 		this.SkyBoxSceneNode.render(renderer);
 		
+	// the sky box is reflected by physically based materials
+	if (this.SkyBoxSceneNode)
+		this.SkyBoxSceneNode.setEnvironmentMapIntoRenderer(renderer);
+	else
+		renderer.setEnvironmentMap(null);
+		
 	renderer.clearDynamicLights();
 	renderer.AmbientLight = this.AmbientLight.clone();
+	renderer.setFog(this.FogMode, this.FogColor, this.FogStart, this.FogEnd, this.FogDensity);
 	
 	var i; // i
 	var nodesRendered = 0;
@@ -209,7 +551,9 @@ CL3D.Scene.prototype.drawAll = function(renderer)
 	
 	// prepare for frustrum culling
 	
-	var cullingBox = null;
+	var cullingFrustrum = null;
+	this.NodeCountCulledLastTime = 0;
+	this.CullingTestsLastTime = 0;
 		
 	{
 		var frustrum = null;		
@@ -222,20 +566,38 @@ CL3D.Scene.prototype.drawAll = function(renderer)
 			frustrum.setFrom(proj.multiply(view)); // calculate view frustum planes
 			
 			if (this.UseCulling)
-				cullingBox = frustrum.getBoundingBox(camPos);
+				cullingFrustrum = frustrum;
 		}
 		
 		this.CurrentCameraFrustrum = frustrum;
 	}	
 	
+	// with the spatial hierarchy, only the nodes it finds inside of the frustrum are drawn, without testing each of them
+	
+	var solidNodes = this.SceneNodesToRender;
+	var transparentNodes = this.SceneNodesToRenderTransparent;
+	
+	if (cullingFrustrum != null && this.SpatialHierarchy != null)
+	{
+		solidNodes = new Array();
+		transparentNodes = new Array();
+		this.getNodesInFrustrumFromHierarchy(cullingFrustrum, solidNodes, transparentNodes);
+		cullingFrustrum = null;
+	}
+	
+	// render shadow maps of lights casting shadows
+	
+	if (renderer.needsShadowMaps())
+		this.drawShadowMaps(renderer, this.CurrentCameraFrustrum, camPos);
+	
 	// draw nodes
 
 	this.CurrentRenderMode = CL3D.Scene.RENDER_MODE_DEFAULT;
 	
-	for (i= 0; i<this.SceneNodesToRender.length; ++i)
+	for (i= 0; i<solidNodes.length; ++i)
 	{
-		var s = this.SceneNodesToRender[i];
-		if (cullingBox == null || cullingBox.intersectsWithBox(s.getTransformedBoundingBox()))
+		var s = solidNodes[i];
+		if (cullingFrustrum == null || this.isNodeInsideFrustrum(s, cullingFrustrum))
 		{
 			s.render(renderer);
 			nodesRendered += 1;
@@ -247,9 +609,9 @@ CL3D.Scene.prototype.drawAll = function(renderer)
 	
 	// sort transparent nodes
 	
-	if (camPos != null && this.SceneNodesToRenderTransparent.length > 0)
+	if (camPos != null && transparentNodes.length > 0)
 	{
-		this.SceneNodesToRenderTransparent.sort(function(a,b)
+		transparentNodes.sort(function(a,b)
 			{
 				var distance1 = camPos.getDistanceFromSQ(a.getAbsolutePosition());
 				var distance2 = camPos.getDistanceFromSQ(b.getAbsolutePosition());
@@ -263,29 +625,388 @@ CL3D.Scene.prototype.drawAll = function(renderer)
 	
 	// draw them
 	
-	for (i= 0; i<this.SceneNodesToRenderTransparent.length; ++i)
+	for (i= 0; i<transparentNodes.length; ++i)
 	{
-		var s = this.SceneNodesToRenderTransparent[i];
-		if (cullingBox == null || cullingBox.intersectsWithBox(s.getTransformedBoundingBox()))
+		var s = transparentNodes[i];
+		if (cullingFrustrum == null || this.isNodeInsideFrustrum(s, cullingFrustrum))
 		{
 			s.render(renderer);
 			nodesRendered += 1;
 		}
 	}
 	
-	// draw overlays
-	this.CurrentRenderMode = CL3D.Scene.RENDER_MODE_2DOVERLAY;
-	for (i= 0; i<this.Overlay2DToRender.length; ++i)
+	// draw 3d lines collected until now, before the 2d overlays are drawn on top
+	if (isMainView)
+		renderer.flush3DLines(keep3DLines);
+	
+	// post process effects, before the overlays so that these aren't changed
+	if (postProcessing)
+		renderer.endPostProcessing(this.PostProcessEffects);
+	
+	return nodesRendered;
+}
+
+
+/**
+ * Enables or disables frustrum culling. If enabled, scene nodes whose bounding boxes are outside of the view 
+ * frustrum of the active camera are not drawn. Disabled by default.
+ * @public
+ * @param {Boolean} enable set to true to enable culling
+ */
+CL3D.Scene.prototype.setUseCulling = function(enable)
+{
+	this.UseCulling = enable;
+	
+	if (!enable && this.SpatialHierarchy)
 	{
-		this.Overlay2DToRender[i].render(renderer);
+		this.SpatialHierarchy.clear();
+		this.SpatialHierarchy = null;
 	}
+}
+
+/**
+ * Returns if frustrum culling is enabled, see {@link CL3D.Scene.setUseCulling}.
+ * @public
+ */
+CL3D.Scene.prototype.getUseCulling = function()
+{
+	return this.UseCulling;
+}
+
+/**
+ * Enables or disables a bounding volume hierarchy over all scene nodes, used for frustrum culling. 
+ * When enabled, whole groups of scene nodes outside of the view are culled with one test, which is a lot 
+ * faster for big scenes with many scene nodes. Only has an effect if culling is enabled, see {@link CL3D.Scene.setUseCulling}.
+ * @public
+ * @param {Boolean} enable set to true to enable the hierarchy
+ */
+CL3D.Scene.prototype.setUseSpatialHierarchy = function(enable)
+{
+	this.UseSpatialHierarchy = enable;
 	
-	nodesRendered += this.Overlay2DToRender.length;
+	if (!enable && this.SpatialHierarchy)
+	{
+		this.SpatialHierarchy.clear();
+		this.SpatialHierarchy = null;
+	}
+}
+
+/**
+ * Returns if the bounding volume hierarchy for culling is enabled, see {@link CL3D.Scene.setUseSpatialHierarchy}.
+ * @public
+ */
+CL3D.Scene.prototype.getUseSpatialHierarchy = function()
+{
+	return this.UseSpatialHierarchy;
+}
+
+/**
+ * Sets the fog of the scene. Fog is applied by all built-in materials, and by materials created with
+ * {@link CL3D.Renderer.createMaterialType} which use {@link CL3D.Renderer.fs_shader_fog}. The skybox is never fogged.
+ * @public
+ * @param mode {Number} Type of the fog, one of {@link CL3D.Scene.FOG_NONE}, {@link CL3D.Scene.FOG_LINEAR}, {@link CL3D.Scene.FOG_EXP}, 
+ * {@link CL3D.Scene.FOG_EXP2} or {@link CL3D.Scene.FOG_HEIGHT}.
+ * @param color {CL3D.ColorF} Color of the fog. Optional, can be null to keep the current color.
+ * @param start {Number} For linear fog, distance from the camera where the fog starts. For height fog, height in world space below
+ * which the fog is thickest. Optional.
+ * @param end {Number} For linear fog, distance from the camera where everything is hidden by the fog. For height fog, height in 
+ * world space above which there is no fog. Optional.
+ * @param density {Number} Density of exponential and height fog, like 0.001. Optional.
+ */
+CL3D.Scene.prototype.setFog = function(mode, color, start, end, density)
+{
+	this.FogMode = mode;
 	
-	this.NodeCountRenderedLastTime = nodesRendered;	
-	this.StoreViewMatrixForRedrawCheck();
+	if (color != null)
+		this.FogColor = color.clone();
+		
+	if (start != null)
+		this.FogStart = start;
+		
+	if (end != null)
+		this.FogEnd = end;
+		
+	if (density != null)
+		this.FogDensity = density;
+		
+	this.forceRedrawNextFrame();
+}
+
+/**
+ * Returns the type of the fog of the scene, see {@link CL3D.Scene.setFog}.
+ * @public
+ * @returns {Number} one of {@link CL3D.Scene.FOG_NONE}, {@link CL3D.Scene.FOG_LINEAR}, {@link CL3D.Scene.FOG_EXP}, 
+ * {@link CL3D.Scene.FOG_EXP2} or {@link CL3D.Scene.FOG_HEIGHT}.
+ */
+CL3D.Scene.prototype.getFogMode = function()
+{
+	return this.FogMode;
+}
+
+/**
+ * Adds a post process effect to the scene, changing the image of the scene after it has been drawn. Effects are applied 
+ * in the order in which they were added. See {@link CL3D.PostProcessEffect} for details.
+ * @public
+ * @param effect {CL3D.PostProcessEffect} the effect, like {@link CL3D.PostProcessBloom} or a custom {@link CL3D.PostProcessEffect}.
+ * @example
+ * var scene = engine.getScene();
+ * scene.addPostProcessEffect(new CL3D.PostProcessBloom());
+ * scene.addPostProcessEffect(new CL3D.PostProcessVignette());
+ * scene.addPostProcessEffect(new CL3D.PostProcessFXAA());
+ */
+CL3D.Scene.prototype.addPostProcessEffect = function(effect)
+{
+	if (effect == null)
+		return;
+		
+	this.PostProcessEffects.push(effect);
+	this.forceRedrawNextFrame();
+}
+
+/**
+ * Removes a post process effect from the scene, see {@link CL3D.Scene.addPostProcessEffect}.
+ * @public
+ * @param effect {CL3D.PostProcessEffect} the effect to remove
+ */
+CL3D.Scene.prototype.removePostProcessEffect = function(effect)
+{
+	for (var i=0; i<this.PostProcessEffects.length; ++i)
+	{
+		if (this.PostProcessEffects[i] === effect)
+		{
+			this.PostProcessEffects.splice(i, 1);
+			this.forceRedrawNextFrame();
+			return;
+		}
+	}
+}
+
+/**
+ * Returns the array of post process effects of the scene, see {@link CL3D.Scene.addPostProcessEffect}. Don't modify it directly.
+ * @public
+ * @returns {Array} array of {@link CL3D.PostProcessEffect}s
+ */
+CL3D.Scene.prototype.getPostProcessEffects = function()
+{
+	return this.PostProcessEffects;
+}
+
+/**
+ * Adds a viewport to the scene. As soon as there are viewports, the scene is drawn into each of them from their own cameras 
+ * instead of from the active camera over the whole canvas, for example for split screen games. See {@link CL3D.Viewport} for details.
+ * @public
+ * @param viewport {CL3D.Viewport} the viewport to add
+ * @example
+ * // views from the top and from the front next to each other
+ * var scene = engine.getScene();
+ * scene.addViewport(new CL3D.Viewport(topCamera, 0, 0, 0.5, 1));
+ * scene.addViewport(new CL3D.Viewport(frontCamera, 0.5, 0, 0.5, 1));
+ */
+CL3D.Scene.prototype.addViewport = function(viewport)
+{
+	if (viewport == null)
+		return;
+		
+	this.Viewports.push(viewport);
+	this.forceRedrawNextFrame();
+}
+
+/**
+ * Removes a viewport from the scene, see {@link CL3D.Scene.addViewport}. If there are no viewports left, the scene 
+ * is drawn from the active camera over the whole canvas again.
+ * @public
+ * @param viewport {CL3D.Viewport} the viewport to remove
+ */
+CL3D.Scene.prototype.removeViewport = function(viewport)
+{
+	for (var i=0; i<this.Viewports.length; ++i)
+	{
+		if (this.Viewports[i] === viewport)
+		{
+			this.Viewports.splice(i, 1);
+			this.forceRedrawNextFrame();
+			return;
+		}
+	}
+}
+
+/**
+ * Returns the array of viewports of the scene, see {@link CL3D.Scene.addViewport}. Don't modify it directly.
+ * @public
+ * @returns {Array} array of {@link CL3D.Viewport}s
+ */
+CL3D.Scene.prototype.getViewports = function()
+{
+	return this.Viewports;
+}
+
+/**
+ * Returns the topmost viewport drawn at a pixel position of a canvas with the given size, or null if there is none.
+ * @private
+ */
+CL3D.Scene.prototype.getViewportAt = function(x, y, screenWidth, screenHeight)
+{
+	for (var i=this.Viewports.length-1; i>=0; --i)
+	{
+		var vp = this.Viewports[i];
+		if (vp.isVisibleAt(x, y, screenWidth, screenHeight))
+			return vp;
+	}
+	
+	return null;
+}
+
+/**
+ * Returns the first drawn viewport showing the given camera, or null if there is none.
+ * @private
+ */
+CL3D.Scene.prototype.getViewportOfCamera = function(camera)
+{
+	for (var i=0; i<this.Viewports.length; ++i)
+	{
+		var vp = this.Viewports[i];
+		if (vp.Enabled && vp.Camera != null && vp.Camera === camera)
+			return vp;
+	}
+	
+	return null;
+}
+
+/**
+ * Returns the first drawn viewport showing the 2D overlays of the given layer, or null if there is none.
+ * @private
+ */
+CL3D.Scene.prototype.getViewportWithOverlayLayer = function(layer)
+{
+	for (var i=0; i<this.Viewports.length; ++i)
+	{
+		var vp = this.Viewports[i];
+		if (vp.Enabled && vp.Camera != null && vp.OverlayLayer == layer)
+			return vp;
+	}
+	
+	return null;
+}
+
+/**
+ * @private
+ */
+CL3D.Scene.prototype.hasEnabledPostProcessEffects = function()
+{
+	for (var i=0; i<this.PostProcessEffects.length; ++i)
+		if (this.PostProcessEffects[i].Enabled)
+			return true;
+			
+	return false;
+}
+
+/**
+ * Returns statistics about the last drawn frame, as object with the members NodesRendered (amount of scene nodes drawn), 
+ * NodesCulled (amount of scene nodes not drawn because they were outside of the view frustrum) and CullingTests 
+ * (amount of bounding boxes tested against the view frustrum).
+ * @public
+ */
+CL3D.Scene.prototype.getRenderStatistics = function()
+{
+	var ret = new Object();
+	ret.NodesRendered = this.NodeCountRenderedLastTime;
+	ret.NodesCulled = this.NodeCountCulledLastTime;
+	ret.CullingTests = this.CullingTestsLastTime;
+	return ret;
 }
 
+/**
+ * Refits the leaves of the spatial hierarchy which changed, and fills the arrays with the scene nodes registered 
+ * for rendering this frame which are inside of the frustrum.
+ * @private
+ */
+CL3D.Scene.prototype.getNodesInFrustrumFromHierarchy = function(frustrum, solidNodes, transparentNodes)
+{
+	var hierarchy = this.SpatialHierarchy;
+	
+	hierarchy.update(this.CullingFrame);
+	hierarchy.getSceneNodesInFrustrum(frustrum, this.CullingFrame, solidNodes, transparentNodes);
+	
+	this.CullingTestsLastTime += hierarchy.NodesTestedLastTime;
+	this.NodeCountCulledLastTime += (this.SceneNodesToRender.length + this.SceneNodesToRenderTransparent.length) -
+		(solidNodes.length + transparentNodes.length);
+}
+
+/**
+ * @private
+ */
+CL3D.Scene.prototype.isNodeInsideFrustrum = function(node, frustrum)
+{
+	++this.CullingTestsLastTime;
+	var inside = frustrum.classifyBox(node.getTransformedBoundingBox()) != CL3D.ViewFrustrum.BOX_OUTSIDE;
+	
+	if (!inside)
+		++this.NodeCountCulledLastTime;
+		
+	return inside;
+}
+
+/**
+ * Draws all solid scene nodes into the shadow maps of the lights casting shadows.
+ * @private
+ */
+CL3D.Scene.prototype.drawShadowMaps = function(renderer, frustrum, camPos)
+{
+	var i;
+	var casterBox = null;
+	
+	for (i=0; i<this.SceneNodesToRender.length; ++i)
+	{
+		var box = this.SceneNodesToRender[i].getTransformedBoundingBox();
+		if (casterBox == null)
+			casterBox = box.clone();
+		else
+		{
+			casterBox.addInternalPointByVector(box.MinEdge);
+			casterBox.addInternalPointByVector(box.MaxEdge);
+		}
+	}
+	
+	if (casterBox == null)
+		return;
+		
+	var passCount = renderer.beginShadowMaps(frustrum, camPos, casterBox);
+	if (passCount == 0)
+		return;
+		
+	this.CurrentRenderMode = CL3D.Scene.RENDER_MODE_DEFAULT;
+	
+	for (var p=0; p<passCount; ++p)
+	{
+		var light = renderer.beginShadowMapPass(p);
+		
+		for (i=0; i<this.SceneNodesToRender.length; ++i)
+		{
+			var s = this.SceneNodesToRender[i];
+			
+			// point lights only reach scene nodes inside of their radius
+			if (light.IsDirectional || this.isNodeInsideLightRadius(s, light))
+				s.render(renderer);
+		}
+	}
+	
+	renderer.endShadowMaps();
+}
+
+/**
+ * @private
+ */
+CL3D.Scene.prototype.isNodeInsideLightRadius = function(node, light)
+{
+	var box = node.getTransformedBoundingBox();
+	var p = light.Position;
+	
+	var x = Math.max(box.MinEdge.X, Math.min(p.X, box.MaxEdge.X));
+	var y = Math.max(box.MinEdge.Y, Math.min(p.Y, box.MaxEdge.Y));
+	var z = Math.max(box.MinEdge.Z, Math.min(p.Z, box.MaxEdge.Z));
+	
+	return p.getDistanceFromSQ(new CL3D.Vect3d(x, y, z)) <= light.Radius * light.Radius;
+}
 
 /**
  * @private
@@ -433,15 +1154,21 @@ CL3D.Scene.prototype.registerNodeForRendering = function(s, mode)
 		break;
 	case CL3D.Scene.RENDER_MODE_DEFAULT:
 		this.SceneNodesToRender.push(s);
+		if (this.SpatialHierarchy)
+			this.SpatialHierarchy.registerSceneNode(s, false, this.CullingFrame);
 		break;
 	case CL3D.Scene.RENDER_MODE_LIGHTS:
 		this.LightsToRender.push(s);
 		break;
 	case CL3D.Scene.RENDER_MODE_CAMERA:
-		// ignore for now
+		// the active camera is drawn directly, others only if they render into textures
+		if (s !== this.ActiveCamera)
+			this.CamerasToRenderIntoTextures.push(s);
 		break;
 	case CL3D.Scene.RENDER_MODE_TRANSPARENT:
 		this.SceneNodesToRenderTransparent.push(s);
+		if (this.SpatialHierarchy)
+			this.SpatialHierarchy.registerSceneNode(s, true, this.CullingFrame);
 		break;
 	case CL3D.Scene.RENDER_MODE_2DOVERLAY:
 		this.Overlay2DToRender.push(s);
@@ -674,6 +1401,18 @@ CL3D.Scene.prototype.postMouseMoveToAnimators = function(event)
 	}
 }
 
+/**
+ * @private 
+ */
+CL3D.Scene.prototype.postGestureToAnimators = function(scale, moveX, moveY)
+{
+	for (var i=0; i<this.RegisteredSceneNodeAnimatorsForEventsList.length; ++i)
+	{
+		var s = this.RegisteredSceneNodeAnimatorsForEventsList[i];
+		s.onGesture(scale, moveX, moveY);
+	}
+}
+
 /**
  * Returns the automatically generated collision geometry containing all scene nodes with had the collision flag set to true
  * in the editor.
@@ -738,6 +1477,27 @@ CL3D.Scene.prototype.createCollisionGeometry = function(storeInNodes, selectorTo
 		}
 	}
 	
+	// terrains created from a heightmap
+	
+	ar = this.getAllSceneNodesOfType('terrain');
+	
+	for (var i=0; i<ar.length; ++i)
+	{
+		var fterrain = ar[i];
+		
+		if (fterrain && fterrain.DoesCollision && fterrain.hasHeightmap())
+		{
+			var selector = fterrain.Selector;
+			if (selector == null)
+				selector = new CL3D.TerrainTriangleSelector(fterrain);
+			
+			if (storeInNodes && fterrain.Selector == null)
+				fterrain.Selector = selector;
+			
+			metaselector.addSelector(selector);
+		}
+	}
+	
 	// static animated meshes
 	
 	ar = this.getAllSceneNodesOfType('animatedmesh');
@@ -954,4 +1714,40 @@ CL3D.Scene.RENDER_MODE_TRANSPARENT = 4;
  * @const 
  * @public
  */	
-CL3D.Scene.RENDER_MODE_2DOVERLAY = 5;
\ No newline at end of file
+CL3D.Scene.RENDER_MODE_2DOVERLAY = 5;
+
+/** 
+ * Constant for using in {@link Scene.setFog}, specifying that there is no fog.
+ * @const 
+ * @public
+ */	
+CL3D.Scene.FOG_NONE = 0;
+
+/** 
+ * Constant for using in {@link Scene.setFog}, specifying fog increasing linearly between start and end distance from the camera.
+ * @const 
+ * @public
+ */	
+CL3D.Scene.FOG_LINEAR = 1;
+
+/** 
+ * Constant for using in {@link Scene.setFog}, specifying fog increasing exponentially with the distance from the camera.
+ * @const 
+ * @public
+ */	
+CL3D.Scene.FOG_EXP = 2;
+
+/** 
+ * Constant for using in {@link Scene.setFog}, specifying fog increasing with the square of the exponent of the distance from the camera.
+ * @const 
+ * @public
+ */	
+CL3D.Scene.FOG_EXP2 = 3;
+
+/** 
+ * Constant for using in {@link Scene.setFog}, specifying exponential fog which is thickest below the start height and disappears above 
+ * the end height in world space.
+ * @const 
+ * @public
+ */	
+CL3D.Scene.FOG_HEIGHT = 4;
@@ -0,0 +1,276 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Parses a CopperCube file while it is still being received: Each scene and each embedded file is read as soon as all
+ * of its bytes have arrived, so the first scene can be shown before the rest of the file is loaded. Accepts both the
+ * base64 text of .ccbjs files and their already decoded binary content. Used by {@link CopperLicht.load}().
+ * @constructor
+ * @private
+ */
+CL3D.FlaceStreamLoader = function(filename, textureManager, meshCache, cursorControl)
+{
+	var loader = new CL3D.FlaceLoader();
+	loader.Filename = filename;
+	loader.TheTextureManager = textureManager;
+	loader.TheMeshCache = meshCache;
+	loader.CursorControl = cursorControl;
+	loader.Document = new CL3D.CCDocument();
+	loader.Data = new CL3D.BinaryStream('');
+	loader.setRootPath();
+
+	if (textureManager != null)
+		CL3D.ScriptingInterface.getScriptingInterface().setTextureManager(textureManager);
+
+	this.Loader = loader;
+	this.Document = loader.Document;
+	this.Filename = filename;
+
+	this.IsBase64 = null; // not known until the first bytes have been received
+	this.PendingText = ''; // received text which hasn't been decoded yet
+	this.PendingData = new Array(); // decoded data not yet added to the stream
+	this.PendingLength = 0;
+	this.ReceivedLength = 0;
+	this.BytesNeeded = 12; // length of the stream needed before parsing can continue
+
+	this.State = 0; // 0: file header, 1: top level tags, 2: inside the document tag, 3: inside the embedded files tag
+	this.SectionEnd = 0; // end of the document or embedded files tag
+	this.TopLevelTagCount = 0;
+	this.EmbeddedFilesLoaded = 0;
+	this.Failed = false;
+
+	this.OnSceneLoaded = null; // called with the scene and its index in the document
+	this.OnDocumentLoaded = null; // called when all scenes have been loaded
+	this.OnEmbeddedFileLoaded = null;
+	this.OnError = null; // called with the error message
+}
+
+/**
+ * Adds the next part of the file and parses everything which is complete now. Returns false if the file is invalid.
+ * @private
+ * @param data {String|Uint8Array} next part of the file, as text or bytes
+ */
+CL3D.FlaceStreamLoader.prototype.addData = function(data)
+{
+	if (this.Failed)
+		return false;
+
+	if (typeof data != 'string')
+		data = CL3D.BinaryStream.bytesToString(data);
+
+	if (this.IsBase64 == null)
+	{
+		// decoded files start with the magic number 'flce', everything else is base64 text
+		this.PendingText += data;
+		if (this.PendingText.length < 4)
+			return true;
+
+		this.IsBase64 = this.PendingText.substring(0, 4) != 'flce';
+		data = this.PendingText;
+		this.PendingText = '';
+	}
+
+	if (this.IsBase64)
+	{
+		// decode only complete groups of 4 characters, the rest waits for the next part
+		var text = this.PendingText + data.replace(/[^A-Za-z0-9\+\/=]/g, '');
+		var usable = text.length - (text.length % 4);
+		this.PendingText = text.substring(usable);
+		data = CL3D.base64decode(text.substring(0, usable));
+	}
+
+	this.PendingData.push(data);
+	this.PendingLength += data.length;
+	this.ReceivedLength += data.length;
+
+	if (this.ReceivedLength < this.BytesNeeded)
+		return true;
+
+	return this.parseAvailableData();
+}
+
+/**
+ * Called after the whole file has been received. Returns the document, or null if the file was invalid or incomplete.
+ * @private
+ */
+CL3D.FlaceStreamLoader.prototype.finish = function()
+{
+	if (this.Failed)
+		return null;
+
+	if (this.ReceivedLength == 0 && this.PendingText.length == 0)
+	{
+		this.fail("Error: Could not load file '" + this.Filename + "'");
+		return null;
+	}
+
+	if (this.PendingText.length)
+	{
+		var data = this.IsBase64 ? CL3D.base64decode(this.PendingText) : this.PendingText;
+		this.PendingText = '';
+		this.PendingData.push(data);
+		this.PendingLength += data.length;
+		this.ReceivedLength += data.length;
+	}
+
+	if (!this.parseAvailableData())
+		return null;
+
+	if (this.State != 1 || this.Loader.Data.bytesAvailable() > 0)
+	{
+		this.fail("Error: The file '" + this.Filename + "' is incomplete");
+		return null;
+	}
+
+	this.Loader.StoredFileContent = this.Loader.Data.getData();
+	return this.Document;
+}
+
+/**
+ * @private
+ */
+CL3D.FlaceStreamLoader.prototype.parseAvailableData = function()
+{
+	if (this.PendingLength)
+	{
+		this.Loader.Data.appendData(this.PendingData.join(''));
+		this.PendingData = new Array();
+		this.PendingLength = 0;
+	}
+
+	try
+	{
+		while (!this.Failed && this.parseNext())
+		{
+		}
+	}
+	catch(e)
+	{
+		this.fail("Error: Could not parse file '" + this.Filename + "': " + e);
+	}
+
+	return !this.Failed;
+}
+
+/**
+ * Parses the next part of the file if it has been received completely. Returns false if there is nothing to parse
+ * yet, and sets BytesNeeded to the length the stream must have for parsing the next part.
+ * @private
+ */
+CL3D.FlaceStreamLoader.prototype.parseNext = function()
+{
+	var loader = this.Loader;
+	var data = loader.Data;
+	var pos = data.getPosition();
+	var length = pos + data.bytesAvailable();
+
+	if (this.State == 0)
+	{
+		if (length < 12)
+			return this.waitFor(12);
+
+		if (data.readSI32() != 1701014630)
+			return this.fail("Error: The file '" + this.Filename + "' is not a CopperCube file");
+
+		data.readSI32();
+		data.readUI32();
+		this.State = 1;
+		return true;
+	}
+
+	if (this.State != 1 && pos >= this.SectionEnd)
+	{
+		var wasDocument = this.State == 2;
+		this.State = 1;
+
+		if (wasDocument && this.OnDocumentLoaded)
+			this.OnDocumentLoaded();
+
+		return true;
+	}
+
+	// read the header of the next tag, without consuming it yet
+
+	if (length < pos + 6)
+		return this.waitFor(pos + 6);
+
+	var tag = data.readUnsignedShort();
+	var tagEnd = data.readUnsignedInt() + pos + 6;
+	data.seek(pos, true);
+
+	if (this.State == 1)
+	{
+		if (this.TopLevelTagCount == 0 && tag != 1)
+			return this.fail("Error: The file '" + this.Filename + "' contains no document");
+
+		if (tag == 1 || tag == 12)
+		{
+			// the children of the document and embedded files tags are parsed one by one
+			++this.TopLevelTagCount;
+			loader.readTag();
+			this.SectionEnd = loader.NextTagPos;
+			this.State = tag == 1 ? 2 : 3;
+			return true;
+		}
+
+		if (length < tagEnd)
+			return this.waitFor(tagEnd);
+
+		++this.TopLevelTagCount;
+		data.seek(tagEnd, true);
+		return true;
+	}
+
+	if (length < tagEnd)
+		return this.waitFor(tagEnd);
+
+	// let the loader parse exactly this one child tag
+
+	var sceneCount = this.Document.Scenes.length;
+	loader.NextTagPos = tagEnd;
+
+	if (this.State == 2)
+		loader.readDocument();
+	else
+		loader.readEmbeddedFiles();
+
+	data.seek(tagEnd, true);
+
+	if (this.State == 2)
+	{
+		for (var i=sceneCount; i<this.Document.Scenes.length; ++i)
+			if (this.Document.Scenes[i] != null && this.OnSceneLoaded)
+				this.OnSceneLoaded(this.Document.Scenes[i], i);
+	}
+	else
+	if (tag == 13)
+	{
+		++this.EmbeddedFilesLoaded;
+		if (this.OnEmbeddedFileLoaded)
+			this.OnEmbeddedFileLoaded();
+	}
+
+	return true;
+}
+
+/**
+ * @private
+ */
+CL3D.FlaceStreamLoader.prototype.waitFor = function(length)
+{
+	this.BytesNeeded = length;
+	return false;
+}
+
+/**
+ * @private
+ */
+CL3D.FlaceStreamLoader.prototype.fail = function(msg)
+{
+	this.Failed = true;
+
+	if (this.OnError)
+		this.OnError(msg);
+
+	return false;
+}
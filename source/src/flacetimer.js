@@ -10,12 +10,289 @@
 	{
 	}
 
-	/** 
-	 * Returns the current time in milliseconds.
+	/**
+	 * Returns the current time of the simulation in milliseconds, see {@link CL3D.Clock}. It only advances once per frame,
+	 * and stands still while the clock is paused.
 	 * @public
 	 */
 	CL3D.CLTimer.getTime = function()
+	{
+		return CL3D.gClock.getTime();
+	}
+
+	/**
+	 * Returns the current real time in milliseconds, not affected by pausing or scaling the time of the {@link CL3D.Clock}.
+	 * @public
+	 */
+	CL3D.CLTimer.getRealTime = function()
 	{
 		var d = new Date();
 		return d.getTime();
 	}
+
+	/**
+	 * The clock of the engine. All animators, animated meshes, particle systems, the physics simulation, sounds and
+	 * videos use its time, so it can be paused for pause menus, slowed down for bullet time effects, sped up, or advanced
+	 * frame by frame. With a fixed time step, the scene is always animated in steps of the same length, which makes the
+	 * simulation independent of the frame rate, for example for replays.<br/>
+	 * There is one clock, get it using {@link CL3D.CopperLicht.getClock}(). While it is paused, the scene is still drawn,
+	 * so 2D overlays of pause menus keep working, but nothing is animated.
+	 * @constructor
+	 * @public
+	 * @class The clock of the engine, which can be paused, slowed down and advanced in fixed time steps.
+	 * @example
+	 * var clock = engine.getClock();
+	 *
+	 * // pause menu
+	 * clock.setPaused(true);
+	 *
+	 * // bullet time
+	 * clock.setPaused(false);
+	 * clock.setTimeScale(0.2);
+	 *
+	 * // deterministic simulation in steps of 1/60 second
+	 * clock.setFixedTimeStep(1000 / 60);
+	 */
+	CL3D.Clock = function()
+	{
+		this.Time = CL3D.CLTimer.getRealTime();
+		this.LastRealTime = -1;
+		this.TimeScale = 1.0;
+		this.Paused = false;
+		this.FixedTimeStep = 0;
+		this.Accumulator = 0;
+		this.PendingSteps = 0;
+		this.StepLength = 0;
+		this.RequestedSingleSteps = 0;
+		this.DeltaTime = 0;
+
+		this.MaxFrameTime = 250;
+		this.MaxStepsPerFrame = 10;
+		this.InterpolateFixedTimeSteps = true;
+		this.AffectsSounds = true;
+	}
+
+	/**
+	 * Longest time in milliseconds the clock advances per frame. When the browser stops drawing for a while,
+	 * for example when switching tabs, the simulation doesn't jump ahead by more than this. Default is 250.
+	 * @public
+	 * @type Number
+	 */
+	CL3D.Clock.prototype.MaxFrameTime = 250;
+
+	/**
+	 * Maximal number of fixed time steps per frame, see {@link setFixedTimeStep}(). If the computer is too slow to
+	 * simulate more, the simulation runs slower than the real time. Default is 10.
+	 * @public
+	 * @type Number
+	 */
+	CL3D.Clock.prototype.MaxStepsPerFrame = 10;
+
+	/**
+	 * When using fixed time steps, the scene is drawn with the positions of the scene nodes interpolated between the
+	 * last two steps if this is true, so that movement looks smooth when the frame rate differs from the step rate.
+	 * This delays what is drawn by up to one step. Default is true.
+	 * @public
+	 * @type Boolean
+	 */
+	CL3D.Clock.prototype.InterpolateFixedTimeSteps = true;
+
+	/**
+	 * If true, sounds are paused while the clock is paused, and played faster or slower with its time scale. Default is true.
+	 * @public
+	 * @type Boolean
+	 */
+	CL3D.Clock.prototype.AffectsSounds = true;
+
+	/**
+	 * Returns the current time of the simulation in milliseconds.
+	 * @public
+	 * @returns {Number} time in milliseconds
+	 */
+	CL3D.Clock.prototype.getTime = function()
+	{
+		return this.Time;
+	}
+
+	/**
+	 * Returns the milliseconds the simulation was advanced by in the last step.
+	 * @public
+	 * @returns {Number} time in milliseconds
+	 */
+	CL3D.Clock.prototype.getDeltaTime = function()
+	{
+		return this.DeltaTime;
+	}
+
+	/**
+	 * Pauses or continues the clock. While it is paused, the scene is not animated.
+	 * @public
+	 * @param {Boolean} paused true to pause, false to continue
+	 */
+	CL3D.Clock.prototype.setPaused = function(paused)
+	{
+		this.Paused = paused;
+	}
+
+	/**
+	 * Returns if the clock is paused.
+	 * @public
+	 * @returns {Boolean} true if paused
+	 */
+	CL3D.Clock.prototype.isPaused = function()
+	{
+		return this.Paused;
+	}
+
+	/**
+	 * Sets how fast the time of the simulation runs compared to the real time.
+	 * 1 is normal speed, 0.5 half the speed for slow motion effects, 2 twice as fast.
+	 * @public
+	 * @param {Number} scale the time scale, must not be negative
+	 */
+	CL3D.Clock.prototype.setTimeScale = function(scale)
+	{
+		this.TimeScale = Math.max(scale, 0);
+	}
+
+	/**
+	 * Returns the time scale, see {@link setTimeScale}().
+	 * @public
+	 * @returns {Number} the time scale
+	 */
+	CL3D.Clock.prototype.getTimeScale = function()
+	{
+		return this.TimeScale;
+	}
+
+	/**
+	 * Sets a fixed time step: The scene is animated in steps of always the same length, as often per frame as needed
+	 * to keep up with the time. This makes the simulation behave the same on fast and slow computers.
+	 * See also {@link InterpolateFixedTimeSteps}.
+	 * @public
+	 * @param {Number} stepMs length of a step in milliseconds, for example 1000/60. Set to 0 to animate the scene once
+	 * per frame with the time since the last frame, which is the default.
+	 */
+	CL3D.Clock.prototype.setFixedTimeStep = function(stepMs)
+	{
+		this.FixedTimeStep = stepMs > 0 ? stepMs : 0;
+		this.Accumulator = 0;
+	}
+
+	/**
+	 * Returns the fixed time step in milliseconds, or 0 if none is used. See {@link setFixedTimeStep}().
+	 * @public
+	 * @returns {Number} length of a step in milliseconds
+	 */
+	CL3D.Clock.prototype.getFixedTimeStep = function()
+	{
+		return this.FixedTimeStep;
+	}
+
+	/**
+	 * Advances the time by one step in the next frame, also when the clock is paused.
+	 * Useful for going through an animation frame by frame while paused.
+	 * @public
+	 * @param {Number} stepMs milliseconds to advance. Can be left out, then the fixed time step is used, or 1000/60
+	 * if there is none.
+	 */
+	CL3D.Clock.prototype.step = function(stepMs)
+	{
+		if (stepMs == null)
+			stepMs = this.FixedTimeStep > 0 ? this.FixedTimeStep : 1000 / 60;
+
+		this.RequestedSingleSteps += stepMs;
+	}
+
+	/**
+	 * Returns how far the real time is between the last and the next fixed time step, between 0 and 1.
+	 * Always 1 if no fixed time step is used.
+	 * @public
+	 * @returns {Number} interpolation factor
+	 */
+	CL3D.Clock.prototype.getInterpolationFactor = function()
+	{
+		if (this.FixedTimeStep <= 0)
+			return 1.0;
+
+		return CL3D.clamp(this.Accumulator / this.FixedTimeStep, 0.0, 1.0);
+	}
+
+	/**
+	 * Returns true if the scene is drawn interpolated between the last two fixed time steps.
+	 * @private
+	 */
+	CL3D.Clock.prototype.isInterpolating = function()
+	{
+		return this.FixedTimeStep > 0 && this.InterpolateFixedTimeSteps;
+	}
+
+	/**
+	 * Called once per frame by the engine, calculates how many steps the scene is animated in this frame.
+	 * @private
+	 */
+	CL3D.Clock.prototype.update = function()
+	{
+		var now = CL3D.CLTimer.getRealTime();
+		var realDelta = this.LastRealTime < 0 ? 0 : CL3D.clamp(now - this.LastRealTime, 0, this.MaxFrameTime);
+		this.LastRealTime = now;
+
+		var delta = this.Paused ? 0 : realDelta * this.TimeScale;
+		var stepRequested = this.RequestedSingleSteps > 0;
+		delta += this.RequestedSingleSteps;
+		this.RequestedSingleSteps = 0;
+
+		if (this.FixedTimeStep > 0)
+		{
+			this.Accumulator += delta;
+
+			var steps = Math.floor(this.Accumulator / this.FixedTimeStep);
+			if (steps > this.MaxStepsPerFrame)
+			{
+				// too slow to catch up, drop the remaining time
+				steps = this.MaxStepsPerFrame;
+				this.Accumulator = steps * this.FixedTimeStep;
+			}
+
+			this.PendingSteps = steps;
+			this.StepLength = this.FixedTimeStep;
+		}
+		else
+		{
+			// animate once per frame, even if no time has passed, unless paused
+			this.Accumulator = 0;
+			this.PendingSteps = (this.Paused && !stepRequested) ? 0 : 1;
+			this.StepLength = delta;
+		}
+	}
+
+	/**
+	 * Advances the time to the next step of this frame. Returns false if there are no more steps.
+	 * @private
+	 */
+	CL3D.Clock.prototype.nextStep = function()
+	{
+		if (this.PendingSteps <= 0)
+			return false;
+
+		--this.PendingSteps;
+		this.Time += this.StepLength;
+		this.DeltaTime = this.StepLength;
+
+		if (this.FixedTimeStep > 0)
+			this.Accumulator -= this.StepLength;
+
+		return true;
+	}
+
+	/**
+	 * Lets the next update() start measuring the real time anew, so the time doesn't jump ahead after frames were not drawn,
+	 * for example while the engine was paused.
+	 * @private
+	 */
+	CL3D.Clock.prototype.resetRealTime = function()
+	{
+		this.LastRealTime = -1;
+	}
+
+	CL3D.gClock = new CL3D.Clock();
@@ -0,0 +1,1760 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Loader for glTF 2.0 files, both .gltf files (with external or embedded buffers and images) and binary .glb files.
+ * The loader creates a tree of scene nodes which can be attached to any scene: Static meshes become {@link CL3D.MeshSceneNode}s,
+ * cameras {@link CL3D.CameraSceneNode}s and lights of the KHR_lights_punctual extension {@link CL3D.LightSceneNode}s.
+ * Skinned meshes and nodes moved by animations are combined into one {@link CL3D.SkinnedMesh} displayed by an
+ * {@link CL3D.AnimatedMeshSceneNode}, every animation of the file can be played by its name using
+ * {@link CL3D.AnimatedMeshSceneNode.setAnimation}().<br/>
+ * Textures are loaded using the {@link CL3D.TextureManager}. glTF uses a right handed coordinate system, all
+ * positions and rotations are converted into the left handed one of CopperLicht by mirroring the z axis.
+ * Files can also be loaded directly using {@link CL3D.CopperLicht.load}().
+ * @example
+ * var loader = new CL3D.GLTFLoader(engine.getTextureManager());
+ * loader.load('models/robot.glb', function(node)
+ * {
+ *   if (node)
+ *     scene.getRootSceneNode().addChild(node);
+ * }, scene);
+ * @constructor
+ * @public
+ * @class Loader for glTF 2.0 files.
+ * @param textureManager {CL3D.TextureManager} texture manager used for loading the textures of the file, usually {@link CL3D.CopperLicht.getTextureManager}().
+ */
+CL3D.GLTFLoader = function(textureManager)
+{
+	this.TheTextureManager = textureManager;
+	this.Filename = '';
+	this.PathRoot = '';
+	this.Scene = null;
+	this.OnLoaded = null;
+
+	this.Json = null;
+	this.Buffers = new Array(); // DataView for every buffer
+	this.BuffersToLoad = 0;
+	this.Textures = new Array(); // CL3D.Texture for every texture, created when used
+	this.Materials = new Array(); // CL3D.Material for every material, created when used
+	this.StaticMeshes = new Array(); // CL3D.Mesh for every mesh, created when used
+
+	this.ParentNodes = new Array(); // index of the parent of every node or -1
+	this.LocalMatrices = new Array(); // converted local transformation of every node
+	this.WorldMatrices = new Array(); // converted transformation of every node relative to the root of the file
+
+	this.CreatedCameras = new Array();
+	this.CreatedLights = new Array();
+}
+
+/**
+ * Loads a .gltf or .glb file and creates scene nodes from it. Loading happens asynchronously, the callback is
+ * called with the root scene node of the file once the file, its buffers and all data needed for creating the scene
+ * nodes have been loaded, or with null if loading failed. Textures may still be loading then.
+ * @public
+ * @param url {String} url of the file, like 'models/robot.gltf' or 'models/robot.glb'
+ * @param onLoaded {Function} function called with the created {@link CL3D.SceneNode}, or null if the file could not be loaded.
+ * @param scene {CL3D.Scene} optional scene the created nodes will be added to.
+ */
+CL3D.GLTFLoader.prototype.load = function(url, onLoaded, scene)
+{
+	var me = this;
+
+	this.loadBinaryFile(url, function(data)
+	{
+		if (data == null)
+		{
+			CL3D.gCCDebugOutput.printError("Could not open file " + url);
+			if (onLoaded)
+				onLoaded(null);
+			return;
+		}
+
+		me.parse(data, url, onLoaded, scene);
+	});
+}
+
+/**
+ * Creates scene nodes from the content of a glTF file which has already been loaded. External buffers referenced
+ * by the file are loaded asynchronously, so the result is passed to a callback like with {@link load}().
+ * @public
+ * @param data {ArrayBuffer} content of a .glb or .gltf file. For .gltf files, this can also be a string or the already parsed JSON object.
+ * @param filename {String} url of the file, used for loading files referenced by it with relative urls.
+ * @param onLoaded {Function} function called with the created {@link CL3D.SceneNode}, or null if the file could not be parsed.
+ * @param scene {CL3D.Scene} optional scene the created nodes will be added to.
+ */
+CL3D.GLTFLoader.prototype.parse = function(data, filename, onLoaded, scene)
+{
+	this.Filename = filename ? filename : '';
+	this.Scene = scene ? scene : null;
+	this.OnLoaded = onLoaded;
+	this.setRootPath();
+
+	var binaryChunk = null;
+
+	try
+	{
+		if (typeof data == 'string')
+			this.Json = JSON.parse(data);
+		else
+		if (data instanceof ArrayBuffer)
+		{
+			var view = new DataView(data);
+
+			if (data.byteLength >= 12 && view.getUint32(0, true) == CL3D.GLTFLoader.GLB_MAGIC)
+			{
+				// binary .glb: header, then a JSON chunk and an optional BIN chunk
+
+				var pos = 12;
+				var length = Math.min(view.getUint32(8, true), data.byteLength);
+
+				while (pos + 8 <= length)
+				{
+					var chunkLength = view.getUint32(pos, true);
+					var chunkType = view.getUint32(pos + 4, true);
+					pos += 8;
+
+					if (chunkType == CL3D.GLTFLoader.GLB_CHUNK_JSON && this.Json == null)
+						this.Json = JSON.parse(this.decodeText(new Uint8Array(data, pos, chunkLength)));
+					else
+					if (chunkType == CL3D.GLTFLoader.GLB_CHUNK_BIN && binaryChunk == null)
+						binaryChunk = new DataView(data, pos, chunkLength);
+
+					pos += chunkLength;
+				}
+			}
+			else
+				this.Json = JSON.parse(this.decodeText(new Uint8Array(data)));
+		}
+		else
+			this.Json = data;
+	}
+	catch(e)
+	{
+		CL3D.gCCDebugOutput.printError("Could not parse glTF file " + this.Filename + ": " + e.message);
+		this.Json = null;
+	}
+
+	if (this.Json == null || this.Json.asset == null ||
+	    String(this.Json.asset.version).charAt(0) != '2')
+	{
+		CL3D.gCCDebugOutput.printError("Error: " + this.Filename + " is not a glTF 2.0 file.");
+		this.finishLoading(null);
+		return;
+	}
+
+	this.loadBuffers(binaryChunk);
+}
+
+/**
+ * Returns true if the filename has the extension of a glTF file, .gltf or .glb.
+ * @private
+ */
+CL3D.GLTFLoader.isGLTFFilename = function(filename)
+{
+	if (!filename)
+		return false;
+
+	var name = filename.toLowerCase();
+
+	var pos = name.search(/[\?#]/);
+	if (pos != -1)
+		name = name.substring(0, pos);
+
+	return /\.(gltf|glb)$/.test(name);
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.setRootPath = function()
+{
+	var path = this.Filename;
+	var pos = path.lastIndexOf('/');
+	this.PathRoot = pos != -1 ? path.substring(0, pos + 1) : '';
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.finishLoading = function(node)
+{
+	if (this.OnLoaded)
+		this.OnLoaded(node);
+
+	this.OnLoaded = null;
+}
+
+/**
+ * Loads a file into an ArrayBuffer and calls the callback with it, or with null if it could not be loaded.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.loadBinaryFile = function(url, onLoaded)
+{
+	try
+	{
+		var xhr = new XMLHttpRequest();
+		xhr.open('GET', url, true);
+		xhr.responseType = 'arraybuffer';
+
+		xhr.onload = function()
+		{
+			if ((xhr.status != 200 && xhr.status != 0) || xhr.response == null)
+				onLoaded(null);
+			else
+				onLoaded(xhr.response);
+		};
+
+		xhr.onerror = function() { onLoaded(null); };
+		xhr.send(null);
+	}
+	catch(e)
+	{
+		onLoaded(null);
+	}
+}
+
+/**
+ * Converts UTF-8 encoded bytes into a string.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.decodeText = function(bytes)
+{
+	if (typeof TextDecoder != 'undefined')
+		return new TextDecoder('utf-8').decode(bytes);
+
+	var str = '';
+	for (var i=0; i<bytes.length; ++i)
+		str += String.fromCharCode(bytes[i]);
+
+	try
+	{
+		return decodeURIComponent(escape(str));
+	}
+	catch(e)
+	{
+		return str;
+	}
+}
+
+/**
+ * Converts a data uri into a DataView of its content.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.decodeDataUri = function(uri)
+{
+	var pos = uri.indexOf(',');
+	if (pos == -1)
+		return null;
+
+	var str;
+	if (uri.substring(0, pos).indexOf(';base64') != -1)
+		str = CL3D.base64decode(uri.substring(pos + 1));
+	else
+		str = decodeURIComponent(uri.substring(pos + 1));
+
+	var bytes = new Uint8Array(str.length);
+	for (var i=0; i<str.length; ++i)
+		bytes[i] = str.charCodeAt(i) & 0xff;
+
+	return new DataView(bytes.buffer);
+}
+
+/**
+ * Loads all buffers of the file and creates the scene nodes when done.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.loadBuffers = function(binaryChunk)
+{
+	var buffers = this.Json.buffers ? this.Json.buffers : new Array();
+	var me = this;
+
+	this.Buffers = new Array();
+	this.BuffersToLoad = 1; // released after starting all downloads
+
+	var onBufferLoaded = function(index, data)
+	{
+		if (data == null)
+			CL3D.gCCDebugOutput.printError("Could not load buffer of glTF file " + me.Filename);
+		else
+			me.Buffers[index] = new DataView(data);
+
+		--me.BuffersToLoad;
+		if (me.BuffersToLoad == 0)
+			me.onBuffersLoaded();
+	};
+
+	for (var i=0; i<buffers.length; ++i)
+	{
+		var uri = buffers[i].uri;
+		this.Buffers.push(null);
+
+		if (uri == null)
+		{
+			// the BIN chunk of a .glb file
+			if (i == 0)
+				this.Buffers[i] = binaryChunk;
+		}
+		else
+		if (uri.indexOf('data:') == 0)
+			this.Buffers[i] = this.decodeDataUri(uri);
+		else
+		{
+			++this.BuffersToLoad;
+			this.loadBinaryFile(this.PathRoot + uri, (function(index) { return function(data) { onBufferLoaded(index, data); }; })(i));
+		}
+	}
+
+	--this.BuffersToLoad;
+	if (this.BuffersToLoad == 0)
+		this.onBuffersLoaded();
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.onBuffersLoaded = function()
+{
+	var node = null;
+
+	try
+	{
+		node = this.createSceneNodes();
+	}
+	catch(e)
+	{
+		CL3D.gCCDebugOutput.printError("Error loading glTF file " + this.Filename + ": " + e.message);
+		node = null;
+	}
+
+	this.finishLoading(node);
+}
+
+// ------------------------------------------------------------------------------------------------------
+// accessors
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * Reads the elements of an accessor into an array of numbers, with all components of all elements after each other.
+ * Normalized integers are converted into floating point values between 0 and 1 (or -1 and 1).
+ * @private
+ */
+CL3D.GLTFLoader.prototype.readAccessor = function(index)
+{
+	var acc = this.Json.accessors[index];
+	var componentCount = CL3D.GLTFLoader.getComponentCount(acc.type);
+	var ret = new Array(acc.count * componentCount);
+	var i;
+
+	if (acc.bufferView != null)
+		this.readBufferView(acc.bufferView, acc.byteOffset ? acc.byteOffset : 0, acc.componentType,
+			componentCount, acc.count, acc.normalized, ret, 0);
+	else
+	{
+		for (i=0; i<ret.length; ++i)
+			ret[i] = 0;
+	}
+
+	if (acc.sparse && acc.sparse.count)
+	{
+		var sparse = acc.sparse;
+		var indices = new Array(sparse.count);
+		var values = new Array(sparse.count * componentCount);
+
+		this.readBufferView(sparse.indices.bufferView, sparse.indices.byteOffset ? sparse.indices.byteOffset : 0,
+			sparse.indices.componentType, 1, sparse.count, false, indices, 0);
+		this.readBufferView(sparse.values.bufferView, sparse.values.byteOffset ? sparse.values.byteOffset : 0,
+			acc.componentType, componentCount, sparse.count, acc.normalized, values, 0);
+
+		for (i=0; i<sparse.count; ++i)
+			for (var c=0; c<componentCount; ++c)
+				ret[indices[i]*componentCount + c] = values[i*componentCount + c];
+	}
+
+	return ret;
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.readBufferView = function(viewIndex, offset, componentType, componentCount, count, normalized, out, outOffset)
+{
+	var bufferView = this.Json.bufferViews[viewIndex];
+	var data = this.Buffers[bufferView.buffer];
+	if (data == null)
+		throw new Error("buffer " + bufferView.buffer + " not loaded");
+
+	var componentSize = CL3D.GLTFLoader.getComponentSize(componentType);
+	var stride = bufferView.byteStride ? bufferView.byteStride : componentSize * componentCount;
+	var pos = (bufferView.byteOffset ? bufferView.byteOffset : 0) + offset;
+
+	for (var i=0; i<count; ++i)
+	{
+		var elementPos = pos + i * stride;
+
+		for (var c=0; c<componentCount; ++c)
+		{
+			var p = elementPos + c * componentSize;
+			var v = 0;
+
+			switch(componentType)
+			{
+			case 5120: v = data.getInt8(p); if (normalized) v = Math.max(v / 127.0, -1.0); break;
+			case 5121: v = data.getUint8(p); if (normalized) v = v / 255.0; break;
+			case 5122: v = data.getInt16(p, true); if (normalized) v = Math.max(v / 32767.0, -1.0); break;
+			case 5123: v = data.getUint16(p, true); if (normalized) v = v / 65535.0; break;
+			case 5125: v = data.getUint32(p, true); break;
+			case 5126: v = data.getFloat32(p, true); break;
+			}
+
+			out[outOffset + i*componentCount + c] = v;
+		}
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.getComponentCount = function(type)
+{
+	switch(type)
+	{
+	case 'SCALAR': return 1;
+	case 'VEC2': return 2;
+	case 'VEC3': return 3;
+	case 'VEC4': return 4;
+	case 'MAT2': return 4;
+	case 'MAT3': return 9;
+	case 'MAT4': return 16;
+	}
+	return 1;
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.getComponentSize = function(componentType)
+{
+	switch(componentType)
+	{
+	case 5120:
+	case 5121: return 1;
+	case 5122:
+	case 5123: return 2;
+	}
+	return 4;
+}
+
+// ------------------------------------------------------------------------------------------------------
+// coordinate system conversion
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * Converts a position or direction from the right handed glTF coordinate system.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.convertVect = function(x, y, z)
+{
+	return new CL3D.Vect3d(x, y, -z);
+}
+
+/**
+ * Converts a rotation from the right handed glTF coordinate system. Note that CopperLicht quaternions
+ * create the transposed rotation matrix, so this is the conjugate of the mirrored rotation.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.convertQuaternion = function(x, y, z, w)
+{
+	return new CL3D.Quaternion(x, y, -z, w);
+}
+
+/**
+ * Converts a column major glTF matrix array, starting at the offset, from the right handed glTF coordinate system.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.convertMatrix = function(a, offset)
+{
+	var m = new CL3D.Matrix4(false);
+
+	for (var i=0; i<16; ++i)
+	{
+		var v = a[offset + i];
+
+		// mirror the z axis: negate the elements in the third row or column, but not in both
+		var row = i % 4;
+		var col = Math.floor(i / 4);
+		if ((row == 2) != (col == 2))
+			v = -v;
+
+		m.setByIndex(i, v);
+	}
+
+	m.bIsIdentity = false;
+	return m;
+}
+
+/**
+ * Returns the converted local transformation of a node.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.getNodeMatrix = function(n)
+{
+	if (n.matrix)
+		return this.convertMatrix(n.matrix, 0);
+
+	var m;
+
+	if (n.rotation)
+		m = this.convertQuaternion(n.rotation[0], n.rotation[1], n.rotation[2], n.rotation[3]).getMatrix();
+	else
+		m = new CL3D.Matrix4(true);
+
+	if (n.translation)
+		m.setTranslation(this.convertVect(n.translation[0], n.translation[1], n.translation[2]));
+
+	if (n.scale)
+	{
+		var smat = new CL3D.Matrix4(true);
+		smat.setScaleXYZ(n.scale[0], n.scale[1], n.scale[2]);
+		m = m.multiply(smat);
+	}
+
+	return m;
+}
+
+/**
+ * Sets position, rotation and scale of a scene node from a transformation matrix.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.setNodeTransformation = function(node, m)
+{
+	var axisX = new CL3D.Vect3d(m.m00, m.m01, m.m02);
+	var axisY = new CL3D.Vect3d(m.m04, m.m05, m.m06);
+	var axisZ = new CL3D.Vect3d(m.m08, m.m09, m.m10);
+
+	var scale = new CL3D.Vect3d(axisX.getLength(), axisY.getLength(), axisZ.getLength());
+
+	// mirroring transformations are stored as negative scale on the x axis
+	if (axisX.crossProduct(axisY).dotProduct(axisZ) < 0)
+		scale.X = -scale.X;
+
+	var rot = new CL3D.Matrix4(true);
+
+	if (scale.X != 0 && scale.Y != 0 && scale.Z != 0)
+	{
+		rot.m00 = m.m00 / scale.X; rot.m01 = m.m01 / scale.X; rot.m02 = m.m02 / scale.X;
+		rot.m04 = m.m04 / scale.Y; rot.m05 = m.m05 / scale.Y; rot.m06 = m.m06 / scale.Y;
+		rot.m08 = m.m08 / scale.Z; rot.m09 = m.m09 / scale.Z; rot.m10 = m.m10 / scale.Z;
+		rot.bIsIdentity = false;
+	}
+
+	node.Pos = m.getTranslation();
+	node.Rot = rot.getRotationDegrees();
+	node.Scale = scale;
+}
+
+/**
+ * Converts a color from linear space, as used in glTF files, to the sRGB space in which CopperLicht shades.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.linearToSRGB = function(c)
+{
+	return Math.pow(CL3D.clamp(c, 0.0, 1.0), 1.0 / 2.2);
+}
+
+// ------------------------------------------------------------------------------------------------------
+// scene nodes
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * Creates the scene nodes of the default scene of the file.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.createSceneNodes = function()
+{
+	var json = this.Json;
+	var nodes = json.nodes ? json.nodes : new Array();
+	var i;
+	var j;
+
+	// hierarchy and transformations
+
+	this.ParentNodes = new Array();
+	this.LocalMatrices = new Array();
+	this.WorldMatrices = new Array();
+
+	for (i=0; i<nodes.length; ++i)
+	{
+		this.ParentNodes.push(-1);
+		this.LocalMatrices.push(this.getNodeMatrix(nodes[i]));
+		this.WorldMatrices.push(null);
+	}
+
+	for (i=0; i<nodes.length; ++i)
+		if (nodes[i].children)
+			for (j=0; j<nodes[i].children.length; ++j)
+				this.ParentNodes[nodes[i].children[j]] = i;
+
+	var roots = new Array();
+	var sceneIdx = json.scene != null ? json.scene : 0;
+	var gltfScene = json.scenes ? json.scenes[sceneIdx] : null;
+
+	if (gltfScene)
+	{
+		if (gltfScene.nodes)
+			roots = gltfScene.nodes.slice(0);
+	}
+	else
+	{
+		for (i=0; i<nodes.length; ++i)
+			if (this.ParentNodes[i] == -1)
+				roots.push(i);
+	}
+
+	for (i=0; i<roots.length; ++i)
+		this.calculateWorldMatrices(roots[i], new CL3D.Matrix4(true));
+
+	// root node of the file
+
+	var root = new CL3D.SceneNode();
+	root.scene = this.Scene;
+	root.Name = gltfScene && gltfScene.name ? gltfScene.name : this.Filename;
+	root.updateAbsolutePosition();
+
+	// nodes which are joints of skins, skinned or animated need to be part of a skinned mesh.
+	// All root nodes containing one of them are put into it, the others are created as normal scene nodes.
+
+	var needsSkinning = new Array();
+	for (i=0; i<nodes.length; ++i)
+		needsSkinning.push(nodes[i].skin != null && nodes[i].mesh != null);
+
+	if (json.skins)
+		for (i=0; i<json.skins.length; ++i)
+			for (j=0; j<json.skins[i].joints.length; ++j)
+				needsSkinning[json.skins[i].joints[j]] = true;
+
+	if (json.animations)
+		for (i=0; i<json.animations.length; ++i)
+		{
+			var channels = json.animations[i].channels;
+			for (j=0; j<channels.length; ++j)
+				if (channels[j].target.node != null && channels[j].target.path != 'weights')
+					needsSkinning[channels[j].target.node] = true;
+		}
+
+	var animatedRoots = new Array();
+
+	for (i=0; i<roots.length; ++i)
+	{
+		if (this.isAnyNodeInSubTree(roots[i], needsSkinning))
+			animatedRoots.push(roots[i]);
+		else
+			this.createStaticSceneNode(roots[i], root);
+	}
+
+	if (animatedRoots.length)
+		this.createAnimatedMeshSceneNode(animatedRoots, root);
+
+	return root;
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.calculateWorldMatrices = function(nodeIdx, parentMatrix)
+{
+	var m = parentMatrix.multiply(this.LocalMatrices[nodeIdx]);
+	this.WorldMatrices[nodeIdx] = m;
+
+	var n = this.Json.nodes[nodeIdx];
+	if (n.children)
+		for (var i=0; i<n.children.length; ++i)
+			this.calculateWorldMatrices(n.children[i], m);
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.isAnyNodeInSubTree = function(nodeIdx, flags)
+{
+	if (flags[nodeIdx])
+		return true;
+
+	var n = this.Json.nodes[nodeIdx];
+	if (n.children)
+		for (var i=0; i<n.children.length; ++i)
+			if (this.isAnyNodeInSubTree(n.children[i], flags))
+				return true;
+
+	return false;
+}
+
+/**
+ * Adds a created scene node to its parent.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.addSceneNode = function(node, parent, name)
+{
+	node.Name = name ? name : '';
+	parent.addChild(node);
+	node.updateAbsolutePosition();
+}
+
+/**
+ * Creates a static scene node and its children.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.createStaticSceneNode = function(nodeIdx, parent)
+{
+	var n = this.Json.nodes[nodeIdx];
+	var lightIdx = this.getLightIndex(n);
+	var node = null;
+
+	if (n.mesh != null)
+	{
+		node = new CL3D.MeshSceneNode();
+		node.setMesh(this.getStaticMesh(n.mesh));
+	}
+	else
+	if (n.camera != null)
+		node = this.createCamera(n.camera, this.WorldMatrices[nodeIdx]);
+	else
+	if (lightIdx != -1)
+		node = this.createLight(lightIdx, this.WorldMatrices[nodeIdx]);
+	else
+		node = new CL3D.SceneNode();
+
+	this.setNodeTransformation(node, this.LocalMatrices[nodeIdx]);
+	this.addSceneNode(node, parent, n.name);
+
+	// cameras and lights of nodes which also have a mesh
+
+	if (n.mesh != null)
+		this.createAttachedCameraAndLight(n, node, this.WorldMatrices[nodeIdx]);
+
+	if (n.children)
+		for (var i=0; i<n.children.length; ++i)
+			this.createStaticSceneNode(n.children[i], node);
+}
+
+/**
+ * Creates the camera and the light of a node as children of the scene node, if it has them.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.createAttachedCameraAndLight = function(n, parent, worldMatrix)
+{
+	var lightIdx = this.getLightIndex(n);
+
+	if (n.camera != null)
+		this.addSceneNode(this.createCamera(n.camera, worldMatrix), parent, n.name);
+
+	if (lightIdx != -1)
+		this.addSceneNode(this.createLight(lightIdx, worldMatrix), parent, n.name);
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.getLightIndex = function(n)
+{
+	if (n.extensions && n.extensions.KHR_lights_punctual && n.extensions.KHR_lights_punctual.light != null)
+		return n.extensions.KHR_lights_punctual.light;
+	return -1;
+}
+
+/**
+ * Creates a camera. glTF cameras look along their negative z axis, the target is calculated from the transformation
+ * of the camera relative to the root of the file.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.createCamera = function(cameraIdx, worldMatrix)
+{
+	var c = this.Json.cameras[cameraIdx];
+	var cam = new CL3D.CameraSceneNode();
+
+	if (c.type == 'perspective' && c.perspective)
+	{
+		cam.Fovy = c.perspective.yfov;
+		cam.ZNear = c.perspective.znear;
+		if (c.perspective.zfar)
+			cam.ZFar = c.perspective.zfar;
+	}
+	else
+	if (c.orthographic)
+	{
+		// orthographic cameras are not supported, use a perspective camera with the same clipping planes
+		cam.ZNear = Math.max(c.orthographic.znear, 0.1);
+		cam.ZFar = c.orthographic.zfar;
+	}
+
+	cam.recalculateProjectionMatrix();
+
+	var forward = new CL3D.Vect3d(0, 0, 1);
+	var up = new CL3D.Vect3d(0, 1, 0);
+	worldMatrix.rotateVect(forward);
+	worldMatrix.rotateVect(up);
+
+	cam.Target = worldMatrix.getTranslation().add(forward.getNormalized());
+	cam.UpVector = up.getNormalized();
+	cam.Active = this.CreatedCameras.length == 0;
+
+	this.CreatedCameras.push(cam);
+	return cam;
+}
+
+/**
+ * Creates a light of the KHR_lights_punctual extension. Spot lights are created as point lights.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.createLight = function(lightIdx, worldMatrix)
+{
+	var l = this.Json.extensions.KHR_lights_punctual.lights[lightIdx];
+	var node = new CL3D.LightSceneNode();
+	var data = node.LightData;
+
+	var intensity = l.intensity != null ? Math.min(l.intensity, 1.0) : 1.0;
+	var color = l.color ? l.color : [1,1,1];
+
+	data.Color = new CL3D.ColorF();
+	data.Color.R = this.linearToSRGB(color[0]) * intensity;
+	data.Color.G = this.linearToSRGB(color[1]) * intensity;
+	data.Color.B = this.linearToSRGB(color[2]) * intensity;
+
+	if (l.type == 'directional')
+	{
+		data.IsDirectional = true;
+		data.Direction = new CL3D.Vect3d(0, 0, 1);
+		worldMatrix.rotateVect(data.Direction);
+		data.Direction.normalize();
+	}
+
+	if (l.range)
+	{
+		data.Radius = l.range;
+		data.Attenuation = 1.0 / l.range;
+	}
+
+	this.CreatedLights.push(node);
+	return node;
+}
+
+// ------------------------------------------------------------------------------------------------------
+// meshes
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the static mesh for a glTF mesh, meshes used by several nodes are shared.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.getStaticMesh = function(meshIdx)
+{
+	if (this.StaticMeshes[meshIdx])
+		return this.StaticMeshes[meshIdx];
+
+	var mesh = new CL3D.Mesh();
+	var bufs = this.createMeshBuffers(meshIdx);
+
+	for (var i=0; i<bufs.length; ++i)
+	{
+		var buf = bufs[i].Buffer;
+		mesh.AddMeshBuffer(buf);
+
+		if (i == 0)
+			mesh.Box = buf.Box.clone();
+		else
+		{
+			mesh.Box.addInternalPointByVector(buf.Box.MinEdge);
+			mesh.Box.addInternalPointByVector(buf.Box.MaxEdge);
+		}
+	}
+
+	this.StaticMeshes[meshIdx] = mesh;
+	return mesh;
+}
+
+/**
+ * Creates the mesh buffers for all triangle primitives of a mesh. Returns an array of objects with the members
+ * .Buffer, .Primitive and .SourceVertices, the indices of the vertices of the primitive used in the buffer.
+ * Primitives with more vertices than 16 bit indices can address are split into several buffers.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.createMeshBuffers = function(meshIdx)
+{
+	var primitives = this.Json.meshes[meshIdx].primitives;
+	var ret = new Array();
+
+	for (var p=0; p<primitives.length; ++p)
+	{
+		var prim = primitives[p];
+		var attr = prim.attributes;
+		var mode = prim.mode != null ? prim.mode : 4;
+
+		if (attr.POSITION == null || mode < 4)
+			continue; // points and lines are not supported
+
+		var positions = this.readAccessor(attr.POSITION);
+		var normals = attr.NORMAL != null ? this.readAccessor(attr.NORMAL) : null;
+		var tcoords = attr.TEXCOORD_0 != null ? this.readAccessor(attr.TEXCOORD_0) : null;
+		var tcoords2 = attr.TEXCOORD_1 != null ? this.readAccessor(attr.TEXCOORD_1) : null;
+		var colors = attr.COLOR_0 != null ? this.readAccessor(attr.COLOR_0) : null;
+		var tangents = attr.TANGENT != null && normals ? this.readAccessor(attr.TANGENT) : null;
+		var colorComponents = colors ? CL3D.GLTFLoader.getComponentCount(this.Json.accessors[attr.COLOR_0].type) : 4;
+		var vertexCount = this.Json.accessors[attr.POSITION].count;
+
+		var indices = this.getTriangleIndices(prim, mode, vertexCount);
+
+		var matIdx = prim.material != null ? prim.material : -1;
+		var mat = this.getMaterial(matIdx);
+		var factor = this.getBaseColorFactor(matIdx);
+
+		// create buffers with at most 65535 vertices
+
+		var map = new Array(vertexCount);
+		var start = 0;
+
+		while (start < indices.length)
+		{
+			var buf = new CL3D.MeshBuffer();
+			var sourceVertices = new Array();
+			var i;
+
+			buf.Mat = mat.clone();
+
+			// normal maps need tangents and binormals
+			if (mat.Tex2)
+			{
+				buf.Tangents = new Array();
+				buf.Binormals = new Array();
+			}
+
+			for (i=0; i<vertexCount; ++i)
+				map[i] = -1;
+
+			for (; start < indices.length && sourceVertices.length <= 65535 - 3; start += 3)
+			{
+				for (var t=0; t<3; ++t)
+				{
+					var src = indices[start + t];
+
+					if (map[src] == -1)
+					{
+						map[src] = sourceVertices.length;
+						sourceVertices.push(src);
+					}
+
+					buf.Indices.push(map[src]);
+				}
+			}
+
+			for (i=0; i<sourceVertices.length; ++i)
+			{
+				var v = sourceVertices[i];
+				var vtx = new CL3D.Vertex3D(true);
+
+				vtx.Pos = this.convertVect(positions[v*3], positions[v*3+1], positions[v*3+2]);
+
+				if (normals)
+					vtx.Normal = this.convertVect(normals[v*3], normals[v*3+1], normals[v*3+2]);
+
+				if (tcoords)
+					vtx.TCoords = new CL3D.Vect2d(tcoords[v*2], tcoords[v*2+1]);
+
+				if (tcoords2)
+					vtx.TCoords2 = new CL3D.Vect2d(tcoords2[v*2], tcoords2[v*2+1]);
+
+				if (tangents && buf.Tangents)
+				{
+					// the binormal is the cross product of normal and tangent, flipped by the sign in w
+					var tx = tangents[v*4];
+					var ty = tangents[v*4+1];
+					var tz = tangents[v*4+2];
+					var tw = tangents[v*4+3] < 0 ? -1 : 1;
+					var nx = normals[v*3];
+					var ny = normals[v*3+1];
+					var nz = normals[v*3+2];
+
+					buf.Tangents.push(this.convertVect(tx, ty, tz));
+					buf.Binormals.push(this.convertVect((ny * tz - nz * ty) * tw, (nz * tx - nx * tz) * tw, (nx * ty - ny * tx) * tw));
+				}
+
+				var r = factor[0];
+				var g = factor[1];
+				var b = factor[2];
+				var a = factor[3];
+
+				if (colors)
+				{
+					r *= colors[v*colorComponents];
+					g *= colors[v*colorComponents+1];
+					b *= colors[v*colorComponents+2];
+					if (colorComponents == 4)
+						a *= colors[v*colorComponents+3];
+				}
+
+				vtx.Color = CL3D.createColor(Math.round(CL3D.clamp(a, 0.0, 1.0) * 255),
+					Math.round(this.linearToSRGB(r) * 255),
+					Math.round(this.linearToSRGB(g) * 255),
+					Math.round(this.linearToSRGB(b) * 255));
+
+				buf.Vertices.push(vtx);
+			}
+
+			if (!normals)
+				this.calculateNormals(buf);
+
+			if (buf.Tangents && !tangents)
+				this.calculateTangents(buf);
+
+			buf.recalculateBoundingBox();
+
+			var entry = new Object();
+			entry.Buffer = buf;
+			entry.Primitive = prim;
+			entry.SourceVertices = sourceVertices;
+			ret.push(entry);
+		}
+	}
+
+	return ret;
+}
+
+/**
+ * Returns the indices of a primitive as triangle list, with the winding order of the triangles reversed because of
+ * the conversion into the left handed coordinate system.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.getTriangleIndices = function(prim, mode, vertexCount)
+{
+	var src;
+	var i;
+
+	if (prim.indices != null)
+		src = this.readAccessor(prim.indices);
+	else
+	{
+		src = new Array(vertexCount);
+		for (i=0; i<vertexCount; ++i)
+			src[i] = i;
+	}
+
+	var ret = new Array();
+
+	if (mode == 5) // triangle strip
+	{
+		for (i=0; i+2<src.length; ++i)
+		{
+			if (i % 2 == 0)
+				ret.push(src[i], src[i+2], src[i+1]);
+			else
+				ret.push(src[i], src[i+1], src[i+2]);
+		}
+	}
+	else
+	if (mode == 6) // triangle fan
+	{
+		for (i=1; i+1<src.length; ++i)
+			ret.push(src[0], src[i+1], src[i]);
+	}
+	else
+	{
+		for (i=0; i+2<src.length; i+=3)
+			ret.push(src[i], src[i+2], src[i+1]);
+	}
+
+	return ret;
+}
+
+/**
+ * Calculates smooth normals for a mesh buffer without normals.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.calculateNormals = function(buf)
+{
+	var i;
+
+	for (i=0; i<buf.Vertices.length; ++i)
+		buf.Vertices[i].Normal.set(0,0,0);
+
+	for (i=0; i+2<buf.Indices.length; i+=3)
+	{
+		var v1 = buf.Vertices[buf.Indices[i]];
+		var v2 = buf.Vertices[buf.Indices[i+1]];
+		var v3 = buf.Vertices[buf.Indices[i+2]];
+
+		var n = v2.Pos.substract(v1.Pos).crossProduct(v3.Pos.substract(v1.Pos));
+
+		v1.Normal.addToThis(n);
+		v2.Normal.addToThis(n);
+		v3.Normal.addToThis(n);
+	}
+
+	for (i=0; i<buf.Vertices.length; ++i)
+		buf.Vertices[i].Normal.normalize();
+}
+
+/**
+ * Calculates tangents and binormals for a mesh buffer with a normal map but without tangents, from the texture coordinates.
+ * Like in glTF, the binormal points into the direction of decreasing v texture coordinates.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.calculateTangents = function(buf)
+{
+	var i;
+
+	buf.Tangents = new Array();
+	buf.Binormals = new Array();
+
+	for (i=0; i<buf.Vertices.length; ++i)
+	{
+		buf.Tangents.push(new CL3D.Vect3d(0,0,0));
+		buf.Binormals.push(new CL3D.Vect3d(0,0,0));
+	}
+
+	for (i=0; i+2<buf.Indices.length; i+=3)
+	{
+		var i1 = buf.Indices[i];
+		var i2 = buf.Indices[i+1];
+		var i3 = buf.Indices[i+2];
+
+		var v1 = buf.Vertices[i1];
+		var v2 = buf.Vertices[i2];
+		var v3 = buf.Vertices[i3];
+
+		var e1 = v2.Pos.substract(v1.Pos);
+		var e2 = v3.Pos.substract(v1.Pos);
+		var du1 = v2.TCoords.X - v1.TCoords.X;
+		var dv1 = v2.TCoords.Y - v1.TCoords.Y;
+		var du2 = v3.TCoords.X - v1.TCoords.X;
+		var dv2 = v3.TCoords.Y - v1.TCoords.Y;
+
+		var det = du1 * dv2 - du2 * dv1;
+		if (det == 0)
+			continue;
+
+		var r = 1.0 / det;
+		var t = e1.multiplyWithScal(dv2 * r).substract(e2.multiplyWithScal(dv1 * r));
+		var b = e1.multiplyWithScal(du2 * r).substract(e2.multiplyWithScal(du1 * r));
+
+		buf.Tangents[i1].addToThis(t);
+		buf.Tangents[i2].addToThis(t);
+		buf.Tangents[i3].addToThis(t);
+		buf.Binormals[i1].addToThis(b);
+		buf.Binormals[i2].addToThis(b);
+		buf.Binormals[i3].addToThis(b);
+	}
+
+	for (i=0; i<buf.Vertices.length; ++i)
+	{
+		buf.Tangents[i].normalize();
+		buf.Binormals[i].normalize();
+	}
+}
+
+// ------------------------------------------------------------------------------------------------------
+// materials and textures
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the material for a glTF material index, or a default material for -1. Materials use the metallic roughness
+ * model of {@link CL3D.Material.EMT_PBR_SOLID}, the base color factor is multiplied into the vertex colors. Masked 
+ * materials are approximated using {@link CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL_REF}.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.getMaterial = function(matIdx)
+{
+	var key = matIdx + 1;
+	if (this.Materials[key])
+		return this.Materials[key];
+
+	var mat = new CL3D.Material();
+	mat.Type = CL3D.Material.EMT_PBR_SOLID;
+	mat.Lighting = true;
+	mat.Tex1 = this.getWhiteTexture();
+
+	if (matIdx >= 0)
+	{
+		var m = this.Json.materials[matIdx];
+		var pbr = m.pbrMetallicRoughness;
+
+		if (pbr && pbr.baseColorTexture)
+		{
+			var tex = this.getTexture(pbr.baseColorTexture.index);
+			if (tex)
+			{
+				mat.Tex1 = tex;
+				mat.ClampTexture1 = this.isTextureClamped(pbr.baseColorTexture.index);
+			}
+		}
+
+		if (pbr)
+		{
+			if (pbr.metallicFactor != null)
+				mat.Metallic = pbr.metallicFactor;
+
+			if (pbr.roughnessFactor != null)
+				mat.Roughness = pbr.roughnessFactor;
+
+			if (pbr.metallicRoughnessTexture)
+				mat.Tex3 = this.getTexture(pbr.metallicRoughnessTexture.index);
+		}
+
+		// the ambient occlusion is only used if it is stored in the same texture as roughness and metallic
+		mat.OcclusionStrength = 0.0;
+		if (m.occlusionTexture && pbr && pbr.metallicRoughnessTexture)
+		{
+			var occlusionImage = this.Json.textures[m.occlusionTexture.index].source;
+			if (occlusionImage != null && occlusionImage == this.Json.textures[pbr.metallicRoughnessTexture.index].source)
+				mat.OcclusionStrength = m.occlusionTexture.strength != null ? m.occlusionTexture.strength : 1.0;
+		}
+
+		if (m.normalTexture)
+			mat.Tex2 = this.getTexture(m.normalTexture.index);
+
+		if (m.emissiveTexture)
+			mat.Tex4 = this.getTexture(m.emissiveTexture.index);
+
+		if (m.emissiveFactor)
+		{
+			mat.EmissiveColor.R = m.emissiveFactor[0];
+			mat.EmissiveColor.G = m.emissiveFactor[1];
+			mat.EmissiveColor.B = m.emissiveFactor[2];
+		}
+
+		if (m.extensions && m.extensions.KHR_materials_unlit)
+			mat.Lighting = false;
+
+		mat.BackfaceCulling = !m.doubleSided;
+
+		if (m.alphaMode == 'BLEND')
+			mat.Type = CL3D.Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL;
+		else
+		if (m.alphaMode == 'MASK')
+			mat.Type = CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL_REF;
+	}
+
+	this.Materials[key] = mat;
+	return mat;
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.getBaseColorFactor = function(matIdx)
+{
+	if (matIdx >= 0)
+	{
+		var pbr = this.Json.materials[matIdx].pbrMetallicRoughness;
+		if (pbr && pbr.baseColorFactor)
+			return pbr.baseColorFactor;
+	}
+
+	return [1,1,1,1];
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.isTextureClamped = function(texIdx)
+{
+	var t = this.Json.textures[texIdx];
+	if (t.sampler == null || !this.Json.samplers)
+		return false;
+
+	var sampler = this.Json.samplers[t.sampler];
+	return sampler.wrapS == 33071 && sampler.wrapT == 33071; // CLAMP_TO_EDGE
+}
+
+/**
+ * Returns the texture for a glTF texture index, loading it with the texture manager.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.getTexture = function(texIdx)
+{
+	if (this.Textures[texIdx] !== undefined)
+		return this.Textures[texIdx];
+
+	var t = this.Json.textures[texIdx];
+	var source = t.source;
+
+	// image formats of extensions like EXT_texture_webp, if there is no image in a standard format
+	if (source == null && t.extensions)
+		for (var e in t.extensions)
+			if (t.extensions[e] && t.extensions[e].source != null)
+			{
+				source = t.extensions[e].source;
+				break;
+			}
+
+	var tex = null;
+
+	if (source != null && this.TheTextureManager)
+	{
+		var img = this.Json.images[source];
+		var url = null;
+
+		if (img.uri != null)
+			url = img.uri.indexOf('data:') == 0 ? img.uri : this.PathRoot + img.uri;
+		else
+		if (img.bufferView != null && typeof Blob != 'undefined' && typeof URL != 'undefined')
+		{
+			var bufferView = this.Json.bufferViews[img.bufferView];
+			var data = this.Buffers[bufferView.buffer];
+
+			if (data)
+			{
+				var bytes = new Uint8Array(data.buffer, data.byteOffset + (bufferView.byteOffset ? bufferView.byteOffset : 0), bufferView.byteLength);
+				url = URL.createObjectURL(new Blob([bytes], { type: img.mimeType }));
+			}
+		}
+
+		if (url)
+			tex = this.TheTextureManager.getTexture(url, true);
+	}
+
+	this.Textures[texIdx] = tex;
+	return tex;
+}
+
+/**
+ * Returns a white texture, used for materials without texture, because sampling no texture results in black.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.getWhiteTexture = function()
+{
+	var tm = this.TheTextureManager;
+	if (!tm || !tm.TheRenderer || typeof document == 'undefined')
+		return null;
+
+	var name = '#gltfwhite';
+	var tex = tm.getTextureFromName(name);
+
+	if (tex == null)
+	{
+		var canvas = document.createElement('canvas');
+		canvas.width = 1;
+		canvas.height = 1;
+
+		var ctx = canvas.getContext('2d');
+		ctx.fillStyle = '#ffffff';
+		ctx.fillRect(0, 0, 1, 1);
+
+		tex = tm.TheRenderer.createTextureFrom2DCanvas(canvas);
+		tex.Name = name;
+		tm.addTexture(tex);
+	}
+
+	return tex;
+}
+
+// ------------------------------------------------------------------------------------------------------
+// skinned and animated meshes
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * Creates one skinned mesh from the root nodes with skinned or animated nodes, every node of them becomes a joint.
+ * Meshes of nodes with a skin are skinned, other meshes are rigidly attached to the joint of their node, and
+ * cameras and lights are attached to the joints using dummy scene nodes.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.createAnimatedMeshSceneNode = function(roots, parent)
+{
+	var json = this.Json;
+	var mesh = new CL3D.SkinnedMesh();
+	var joints = new Array(); // joint of every node, or null
+	var i;
+	var j;
+
+	for (i=0; i<json.nodes.length; ++i)
+		joints.push(null);
+
+	for (i=0; i<roots.length; ++i)
+		this.createJoint(mesh, roots[i], null, joints);
+
+	// meshes
+
+	var materials = new Array();
+	var skinJoints = new Array(); // joints with inverse bind matrix of every skin, created when used
+
+	for (i=0; i<json.nodes.length; ++i)
+	{
+		var n = json.nodes[i];
+		if (joints[i] == null || n.mesh == null)
+			continue;
+
+		var bufs = this.createMeshBuffers(n.mesh);
+		var isSkinned = n.skin != null;
+
+		if (isSkinned && !skinJoints[n.skin])
+			skinJoints[n.skin] = this.getSkinJoints(mesh, n.skin, joints);
+
+		for (j=0; j<bufs.length; ++j)
+		{
+			var bufIdx = mesh.LocalBuffers.length;
+			mesh.AddMeshBuffer(bufs[j].Buffer);
+			materials.push(bufs[j].Buffer.Mat);
+
+			if (isSkinned)
+				this.addWeights(bufs[j], bufIdx, skinJoints[n.skin]);
+			else
+				joints[i].AttachedMeshes.push(bufIdx);
+		}
+	}
+
+	// animations
+
+	this.createAnimationKeys(mesh, joints);
+
+	mesh.DefaultFPS = 1;
+	mesh.finalize();
+
+	// scene node
+
+	var node = new CL3D.AnimatedMeshSceneNode();
+	this.addSceneNode(node, parent, json.nodes[roots[0]].name);
+
+	node.Materials = materials;
+	node.setMesh(mesh);
+	node.setAnimationSpeed(1);
+	node.setLoopMode(true);
+
+	if (mesh.NamedAnimationRanges.length)
+		node.setAnimation(mesh.NamedAnimationRanges[0].Name);
+
+	// cameras and lights
+
+	for (i=0; i<json.nodes.length; ++i)
+	{
+		var joint = joints[i];
+		if (joint == null || (json.nodes[i].camera == null && this.getLightIndex(json.nodes[i]) == -1))
+			continue;
+
+		var dummy = new CL3D.DummyTransformationSceneNode();
+		dummy.RelativeTransformationMatrix = joint.GlobalMatrix.clone();
+		this.addSceneNode(dummy, node, json.nodes[i].name);
+
+		var attached = new CL3D.SAnimatedDummySceneNodeChild();
+		attached.Node = dummy;
+		attached.JointIdx = mesh.AllJoints.indexOf(joint);
+		node.AnimatedDummySceneNodes.push(attached);
+
+		this.createAttachedCameraAndLight(json.nodes[i], dummy, joint.GlobalMatrix);
+	}
+
+	return node;
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.createJoint = function(mesh, nodeIdx, parentJoint, joints)
+{
+	var n = this.Json.nodes[nodeIdx];
+	var joint = new CL3D.SkinnedMeshJoint();
+
+	joint.Name = n.name ? n.name : '';
+	joint.LocalMatrix = this.LocalMatrices[nodeIdx].clone();
+
+	// start values for animated joints, used for the parts of the transformation without keys
+
+	if (n.translation)
+		joint.Animatedposition = this.convertVect(n.translation[0], n.translation[1], n.translation[2]);
+	if (n.rotation)
+		joint.Animatedrotation = this.convertQuaternion(n.rotation[0], n.rotation[1], n.rotation[2], n.rotation[3]);
+	if (n.scale)
+		joint.Animatedscale = new CL3D.Vect3d(n.scale[0], n.scale[1], n.scale[2]);
+
+	mesh.AllJoints.push(joint);
+	joints[nodeIdx] = joint;
+
+	if (parentJoint)
+		parentJoint.Children.push(joint);
+
+	if (n.children)
+		for (var i=0; i<n.children.length; ++i)
+			this.createJoint(mesh, n.children[i], joint, joints);
+}
+
+/**
+ * Returns the joints of a skin, with their inverse bind matrices set. If a node is used by several skins
+ * with different inverse bind matrices, an additional joint is created as child of it for every other matrix.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.getSkinJoints = function(mesh, skinIdx, joints)
+{
+	var skin = this.Json.skins[skinIdx];
+	var matrices = skin.inverseBindMatrices != null ? this.readAccessor(skin.inverseBindMatrices) : null;
+	var ret = new Array();
+
+	for (var i=0; i<skin.joints.length; ++i)
+	{
+		var joint = joints[skin.joints[i]];
+		var ibm = matrices ? this.convertMatrix(matrices, i*16) : new CL3D.Matrix4(true);
+
+		if (joint.GLTFInverseBindMatrixSet && !joint.GlobalInversedMatrix.equals(ibm))
+		{
+			var variant = null;
+
+			for (var c=0; c<joint.Children.length; ++c)
+				if (joint.Children[c].GLTFInverseBindMatrixVariant && joint.Children[c].GlobalInversedMatrix.equals(ibm))
+					variant = joint.Children[c];
+
+			if (variant == null)
+			{
+				variant = new CL3D.SkinnedMeshJoint();
+				variant.Name = joint.Name;
+				variant.GLTFInverseBindMatrixVariant = true;
+				variant.GlobalInversedMatrix = ibm;
+				joint.Children.push(variant);
+				mesh.AllJoints.push(variant);
+			}
+
+			joint = variant;
+		}
+		else
+		{
+			joint.GlobalInversedMatrix = ibm;
+			joint.GLTFInverseBindMatrixSet = true;
+		}
+
+		ret.push(joint);
+	}
+
+	return ret;
+}
+
+/**
+ * Adds the weights of the vertices of a skinned mesh buffer to the joints influencing them.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.addWeights = function(entry, bufIdx, skinJoints)
+{
+	var attr = entry.Primitive.attributes;
+
+	for (var set=0; attr['JOINTS_' + set] != null && attr['WEIGHTS_' + set] != null; ++set)
+	{
+		var jointIndices = this.readAccessor(attr['JOINTS_' + set]);
+		var weights = this.readAccessor(attr['WEIGHTS_' + set]);
+
+		for (var i=0; i<entry.SourceVertices.length; ++i)
+		{
+			var v = entry.SourceVertices[i];
+
+			for (var k=0; k<4; ++k)
+			{
+				var strength = weights[v*4 + k];
+				var joint = skinJoints[jointIndices[v*4 + k]];
+
+				if (strength <= 0 || !joint)
+					continue;
+
+				var w = new CL3D.SkinnedMeshWeight();
+				w.buffer_id = bufIdx;
+				w.vertex_id = i;
+				w.strength = strength;
+				joint.Weights.push(w);
+			}
+		}
+	}
+}
+
+/**
+ * Creates the keys of all animations. Frames are milliseconds, the animations are placed after each other and
+ * every one gets a named animation range.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.createAnimationKeys = function(mesh, joints)
+{
+	var animations = this.Json.animations;
+	if (!animations)
+		return;
+
+	var json = this.Json;
+	var i;
+	var j;
+	var channels;
+
+	// paths animated in any of the animations, every animation needs keys for them
+
+	var animatedPaths = new Array();
+	for (i=0; i<animations.length; ++i)
+	{
+		channels = animations[i].channels;
+		for (j=0; j<channels.length; ++j)
+		{
+			var nodeIdx = channels[j].target.node;
+			if (nodeIdx != null && joints[nodeIdx] && channels[j].target.path != 'weights')
+			{
+				if (!animatedPaths[nodeIdx])
+					animatedPaths[nodeIdx] = new Object();
+				animatedPaths[nodeIdx][channels[j].target.path] = true;
+			}
+		}
+	}
+
+	var offset = 0;
+
+	for (i=0; i<animations.length; ++i)
+	{
+		var anim = animations[i];
+		channels = anim.channels;
+		var begin = -1;
+		var end = 0;
+
+		// time range of the animation
+
+		for (j=0; j<channels.length; ++j)
+		{
+			var times = this.readAccessor(anim.samplers[channels[j].sampler].input);
+			if (times.length)
+			{
+				if (begin == -1 || times[0] < begin)
+					begin = times[0];
+				end = Math.max(end, times[times.length-1]);
+			}
+		}
+
+		if (begin == -1)
+			continue;
+
+		var beginFrame = offset + begin * 1000.0;
+		var endFrame = offset + end * 1000.0;
+		var keyed = new Array();
+
+		for (j=0; j<channels.length; ++j)
+		{
+			var target = channels[j].target;
+			var joint = target.node != null ? joints[target.node] : null;
+			if (!joint || target.path == 'weights')
+				continue;
+
+			this.addChannelKeys(joint, target.path, anim.samplers[channels[j].sampler], offset);
+
+			if (!keyed[target.node])
+				keyed[target.node] = new Object();
+			keyed[target.node][target.path] = true;
+		}
+
+		// keep joints not animated by this animation but by others in their start position
+
+		for (var n=0; n<animatedPaths.length; ++n)
+		{
+			if (!animatedPaths[n])
+				continue;
+
+			for (var path in animatedPaths[n])
+				if (!keyed[n] || !keyed[n][path])
+				{
+					this.addStartPositionKey(joints[n], json.nodes[n], path, beginFrame);
+					this.addStartPositionKey(joints[n], json.nodes[n], path, endFrame);
+				}
+		}
+
+		var range = new CL3D.NamedAnimationRange();
+		range.Name = anim.name ? anim.name : ('animation' + i);
+		range.Begin = beginFrame;
+		range.End = endFrame;
+		range.FPS = 1;
+		mesh.addNamedAnimationRange(range);
+
+		offset = Math.ceil(endFrame) + 1;
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.addChannelKeys = function(joint, path, sampler, offset)
+{
+	var times = this.readAccessor(sampler.input);
+	var values = this.readAccessor(sampler.output);
+	var interpolation = sampler.interpolation ? sampler.interpolation : 'LINEAR';
+	var components = path == 'rotation' ? 4 : 3;
+
+	for (var k=0; k<times.length; ++k)
+	{
+		var frame = offset + times[k] * 1000.0;
+
+		// cubic splines store in-tangent, value and out-tangent. They are interpolated linearly.
+		var v = interpolation == 'CUBICSPLINE' ? (k*3+1)*components : k*components;
+
+		// step interpolation: hold the previous value until just before this key
+		if (interpolation == 'STEP' && k > 0)
+		{
+			var prev = (k-1)*components;
+			this.addKey(joint, path, frame - 0.01, values[prev], values[prev+1], values[prev+2], values[prev+3]);
+		}
+
+		this.addKey(joint, path, frame, values[v], values[v+1], values[v+2], values[v+3]);
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.prototype.addStartPositionKey = function(joint, n, path, frame)
+{
+	if (path == 'translation')
+	{
+		var t = n.translation ? n.translation : [0,0,0];
+		this.addKey(joint, path, frame, t[0], t[1], t[2], 0);
+	}
+	else
+	if (path == 'rotation')
+	{
+		var r = n.rotation ? n.rotation : [0,0,0,1];
+		this.addKey(joint, path, frame, r[0], r[1], r[2], r[3]);
+	}
+	else
+	if (path == 'scale')
+	{
+		var s = n.scale ? n.scale : [1,1,1];
+		this.addKey(joint, path, frame, s[0], s[1], s[2], 0);
+	}
+}
+
+/**
+ * Adds a key with values in the glTF coordinate system to a joint.
+ * @private
+ */
+CL3D.GLTFLoader.prototype.addKey = function(joint, path, frame, x, y, z, w)
+{
+	if (path == 'translation')
+	{
+		var pk = new CL3D.SkinnedMeshPositionKey();
+		pk.frame = frame;
+		pk.position = this.convertVect(x, y, z);
+		joint.PositionKeys.push(pk);
+	}
+	else
+	if (path == 'rotation')
+	{
+		var rk = new CL3D.SkinnedMeshRotationKey();
+		rk.frame = frame;
+		rk.rotation = this.convertQuaternion(x, y, z, w);
+		rk.rotation.normalize();
+		joint.RotationKeys.push(rk);
+	}
+	else
+	if (path == 'scale')
+	{
+		var sk = new CL3D.SkinnedMeshScaleKey();
+		sk.frame = frame;
+		sk.scale = new CL3D.Vect3d(x, y, z);
+		joint.ScaleKeys.push(sk);
+	}
+}
+
+/**
+ * Magic number of binary glTF files, 'glTF'
+ * @private
+ */
+CL3D.GLTFLoader.GLB_MAGIC = 0x46546C67;
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.GLB_CHUNK_JSON = 0x4E4F534A;
+
+/**
+ * @private
+ */
+CL3D.GLTFLoader.GLB_CHUNK_BIN = 0x004E4942;
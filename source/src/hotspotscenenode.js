@@ -66,27 +66,4 @@ CL3D.DummyTransformationSceneNode.prototype.getRelativeTransformation = function
 CL3D.DummyTransformationSceneNode.prototype.getType = function()
 {
 	return 'dummytrans';
-}
-
-
-
-// -------------------------------------------------------------------
-// Terrain scene node: Also does basically nothing, 
-// mostly everything is set up in the scene graph by the editor
-// -------------------------------------------------------------------
-
-/**
- * @constructor
- * @extends CL3D.SceneNode
- */
-CL3D.TerrainSceneNode = function()
-{
-	this.init();	
-	this.Box = new CL3D.Box3d();
-}
-CL3D.TerrainSceneNode.prototype = new CL3D.SceneNode();
-
-CL3D.TerrainSceneNode.prototype.getType = function()
-{
-	return 'terrain';
 }
\ No newline at end of file
@@ -2780,4 +2780,60 @@ Document.prototype.visibilityState;
  * @see http://www.w3.org/TR/page-visibility/
  * @type {boolean}
  */
-Document.prototype.hidden;
\ No newline at end of file
+Document.prototype.hidden;
+
+// [irr:] Web Audio API, used by the sound manager
+
+/** @constructor */
+function AudioContext() {}
+/** @constructor */
+function webkitAudioContext() {}
+AudioContext.prototype.destination;
+AudioContext.prototype.listener;
+AudioContext.prototype.state;
+AudioContext.prototype.resume = function() {};
+AudioContext.prototype.createGain = function() {};
+AudioContext.prototype.createPanner = function() {};
+AudioContext.prototype.createBufferSource = function() {};
+AudioContext.prototype.decodeAudioData = function(data, success, error) {};
+
+/** @constructor */
+function AudioParam() {}
+AudioParam.prototype.value;
+
+/** @constructor */
+function AudioNode() {}
+AudioNode.prototype.connect = function(destination) {};
+AudioNode.prototype.disconnect = function() {};
+AudioNode.prototype.gain;
+AudioNode.prototype.buffer;
+AudioNode.prototype.loop;
+AudioNode.prototype.playbackRate;
+AudioNode.prototype.onended;
+AudioNode.prototype.start = function(when) {};
+AudioNode.prototype.stop = function(when) {};
+AudioNode.prototype.noteOn = function(when) {};
+AudioNode.prototype.noteOff = function(when) {};
+AudioNode.prototype.panningModel;
+AudioNode.prototype.distanceModel;
+AudioNode.prototype.refDistance;
+AudioNode.prototype.maxDistance;
+AudioNode.prototype.rolloffFactor;
+AudioNode.prototype.positionX;
+AudioNode.prototype.positionY;
+AudioNode.prototype.positionZ;
+AudioNode.prototype.setPosition = function(x, y, z) {};
+
+/** @constructor */
+function AudioListener() {}
+AudioListener.prototype.positionX;
+AudioListener.prototype.positionY;
+AudioListener.prototype.positionZ;
+AudioListener.prototype.forwardX;
+AudioListener.prototype.forwardY;
+AudioListener.prototype.forwardZ;
+AudioListener.prototype.upX;
+AudioListener.prototype.upY;
+AudioListener.prototype.upZ;
+AudioListener.prototype.setPosition = function(x, y, z) {};
+AudioListener.prototype.setOrientation = function(x, y, z, ux, uy, uz) {};
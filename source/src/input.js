@@ -0,0 +1,535 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+// -----------------------------------------------------------------------------------------
+// InputManager
+// -----------------------------------------------------------------------------------------
+
+/**
+ * Maps keys, mouse buttons, gamepad buttons, gamepad axes and the virtual joysticks of touch screens
+ * to named actions like 'moveforward' or 'jump'.
+ * There is one global instance, CL3D.gInputManager, which receives the keyboard and mouse events of the
+ * {@link CL3D.CopperLicht} engine and polls the connected gamepads every frame using the Gamepad API.<br/>
+ * The first person shooter camera, the keyboard controlled and the 3rd person camera animators read their input
+ * from the actions 'moveforward', 'movebackward', 'moveleft', 'moveright', 'jump', 'run', 'lookleft', 'lookright',
+ * 'lookup' and 'lookdown'. By default, these are bound to the cursor keys, WASD, space, shift, the sticks,
+ * d-pad and buttons of gamepads with the standard layout and the virtual axes 'movex', 'movey', 'lookx' and 'looky'
+ * set by the virtual joysticks of {@link CL3D.Mobile2DInputSceneNode}s, but they can be bound to other inputs as well:
+ * @example
+ * // jump with the enter key and the right shoulder button instead
+ * CL3D.gInputManager.clearBindings('jump');
+ * CL3D.gInputManager.bindKey('jump', 13);
+ * CL3D.gInputManager.bindGamepadButton('jump', 5);
+ *
+ * // own action, queried in the game loop
+ * CL3D.gInputManager.bindMouseButton('fire', 0);
+ * CL3D.gInputManager.bindGamepadAxis('fire', 7, 1, 0.3); // right trigger
+ *
+ * engine.OnAnimate = function()
+ * {
+ *   if (CL3D.gInputManager.wasActionPressed('fire'))
+ *     shoot();
+ * }
+ * @constructor
+ * @public
+ * @class Maps keys, mouse buttons and gamepad input to named actions.
+ */
+CL3D.InputManager = function()
+{
+	this.Bindings = new Object();
+
+	this.KeysDown = new Object();
+	this.KeysPressed = new Object(); // pressed since the last update, so that very short presses aren't lost
+	this.MouseButtonsDown = new Object();
+	this.MouseButtonsPressed = new Object();
+	this.Gamepads = new Array();
+	this.VirtualAxes = new Object();
+
+	this.ActionValues = new Object();
+	this.LastActionValues = new Object();
+
+	/**
+	 * Dead zone for gamepad axes bound without specifying an own dead zone, between 0 and 1.
+	 * Axis values below this are ignored, so that sticks which don't exactly return to the center don't cause movement.
+	 * @public
+	 * @type Number
+	 * @default 0.2
+	 */
+	this.DefaultDeadZone = 0.2;
+
+	this.setDefaultBindings();
+}
+
+/**
+ * Binding type: key of the keyboard.
+ * @private
+ * @const
+ */
+CL3D.InputManager.BINDING_KEY = 0;
+
+/**
+ * Binding type: mouse button.
+ * @private
+ * @const
+ */
+CL3D.InputManager.BINDING_MOUSE_BUTTON = 1;
+
+/**
+ * Binding type: gamepad button.
+ * @private
+ * @const
+ */
+CL3D.InputManager.BINDING_GAMEPAD_BUTTON = 2;
+
+/**
+ * Binding type: direction of a gamepad axis.
+ * @private
+ * @const
+ */
+CL3D.InputManager.BINDING_GAMEPAD_AXIS = 3;
+
+/**
+ * Binding type: direction of a virtual axis, set using setVirtualAxis().
+ * @private
+ * @const
+ */
+CL3D.InputManager.BINDING_VIRTUAL_AXIS = 4;
+
+/**
+ * Removes all bindings and binds the default actions used by the animators to the cursor keys, WASD,
+ * space, shift and the sticks, d-pad and buttons of gamepads with the standard layout.
+ * @public
+ */
+CL3D.InputManager.prototype.setDefaultBindings = function()
+{
+	this.clearBindings();
+
+	// keys: 37 to 40 = cursor keys, 65 = a, 87 = w, 68 = d, 83 = s, 32 = space, 16 = shift
+	// gamepad: axis 0, 1 = left stick, axis 2, 3 = right stick,
+	// button 0 = bottom face button, button 10 = left stick pressed, buttons 12 to 15 = d-pad
+	// virtual axes: set by the virtual joysticks on touch screens
+
+	this.bindKey('moveforward', 38);
+	this.bindKey('moveforward', 87);
+	this.bindGamepadAxis('moveforward', 1, -1);
+	this.bindGamepadButton('moveforward', 12);
+	this.bindVirtualAxis('moveforward', 'movey', -1);
+
+	this.bindKey('movebackward', 40);
+	this.bindKey('movebackward', 83);
+	this.bindGamepadAxis('movebackward', 1, 1);
+	this.bindGamepadButton('movebackward', 13);
+	this.bindVirtualAxis('movebackward', 'movey', 1);
+
+	this.bindKey('moveleft', 37);
+	this.bindKey('moveleft', 65);
+	this.bindGamepadAxis('moveleft', 0, -1);
+	this.bindGamepadButton('moveleft', 14);
+	this.bindVirtualAxis('moveleft', 'movex', -1);
+
+	this.bindKey('moveright', 39);
+	this.bindKey('moveright', 68);
+	this.bindGamepadAxis('moveright', 0, 1);
+	this.bindGamepadButton('moveright', 15);
+	this.bindVirtualAxis('moveright', 'movex', 1);
+
+	this.bindKey('jump', 32);
+	this.bindGamepadButton('jump', 0);
+
+	this.bindKey('run', 16);
+	this.bindGamepadButton('run', 10);
+
+	this.bindGamepadAxis('lookleft', 2, -1);
+	this.bindVirtualAxis('lookleft', 'lookx', -1);
+	this.bindGamepadAxis('lookright', 2, 1);
+	this.bindVirtualAxis('lookright', 'lookx', 1);
+	this.bindGamepadAxis('lookup', 3, -1);
+	this.bindVirtualAxis('lookup', 'looky', -1);
+	this.bindGamepadAxis('lookdown', 3, 1);
+	this.bindVirtualAxis('lookdown', 'looky', 1);
+}
+
+/**
+ * Removes all bindings of an action.
+ * @public
+ * @param action {String} name of the action. If null, the bindings of all actions are removed.
+ */
+CL3D.InputManager.prototype.clearBindings = function(action)
+{
+	if (action == null)
+		this.Bindings = new Object();
+	else
+		delete this.Bindings[action];
+}
+
+/**
+ * @private
+ */
+CL3D.InputManager.prototype.addBinding = function(action, binding)
+{
+	if (!this.Bindings.hasOwnProperty(action))
+		this.Bindings[action] = new Array();
+
+	this.Bindings[action].push(binding);
+}
+
+/**
+ * Binds a key of the keyboard to an action.
+ * @public
+ * @param action {String} name of the action
+ * @param keyCode {Number} key code of the key, as in the keyCode of key events. For example 32 for space.
+ */
+CL3D.InputManager.prototype.bindKey = function(action, keyCode)
+{
+	this.addBinding(action, { Type: CL3D.InputManager.BINDING_KEY, Code: keyCode });
+}
+
+/**
+ * Binds a mouse button to an action. Only presses of the mouse over the canvas of the engine are received.
+ * @public
+ * @param action {String} name of the action
+ * @param button {Number} 0 for the left, 1 for the middle and 2 for the right mouse button.
+ */
+CL3D.InputManager.prototype.bindMouseButton = function(action, button)
+{
+	this.addBinding(action, { Type: CL3D.InputManager.BINDING_MOUSE_BUTTON, Code: button });
+}
+
+/**
+ * Binds a gamepad button to an action. Analog buttons like triggers produce values between 0 and 1,
+ * see {@link getActionValue}().
+ * @public
+ * @param action {String} name of the action
+ * @param button {Number} index of the button. For gamepads with the standard layout, 0 to 3 are the face buttons
+ * (bottom, right, left, top), 4 and 5 the shoulder buttons, 6 and 7 the triggers, 8 select, 9 start,
+ * 10 and 11 the pressed sticks and 12 to 15 the d-pad (up, down, left, right).
+ * @param gamepadIndex {Number} optional index of the gamepad. If not set, all connected gamepads are used.
+ */
+CL3D.InputManager.prototype.bindGamepadButton = function(action, button, gamepadIndex)
+{
+	this.addBinding(action, { Type: CL3D.InputManager.BINDING_GAMEPAD_BUTTON, Code: button,
+		Gamepad: gamepadIndex == null ? -1 : gamepadIndex });
+}
+
+/**
+ * Binds one direction of a gamepad axis to an action.
+ * @public
+ * @param action {String} name of the action
+ * @param axis {Number} index of the axis. For gamepads with the standard layout, 0 and 1 are the x and y axis of
+ * the left stick, 2 and 3 those of the right stick. Moving a stick up or left produces negative values.
+ * @param direction {Number} 1 to use the positive part of the axis, -1 to use the negative part.
+ * @param deadZone {Number} optional dead zone between 0 and 1. If not set, {@link DefaultDeadZone} is used.
+ * @param gamepadIndex {Number} optional index of the gamepad. If not set, all connected gamepads are used.
+ */
+CL3D.InputManager.prototype.bindGamepadAxis = function(action, axis, direction, deadZone, gamepadIndex)
+{
+	this.addBinding(action, { Type: CL3D.InputManager.BINDING_GAMEPAD_AXIS, Code: axis,
+		Direction: direction < 0 ? -1 : 1,
+		DeadZone: deadZone,
+		Gamepad: gamepadIndex == null ? -1 : gamepadIndex });
+}
+
+/**
+ * Binds one direction of a virtual axis to an action. Virtual axes are identified by a name and set using
+ * {@link setVirtualAxis}(), for example by the virtual joysticks of {@link CL3D.Mobile2DInputSceneNode}s.
+ * @public
+ * @param action {String} name of the action
+ * @param name {String} name of the virtual axis, for example 'movex'
+ * @param direction {Number} 1 to use the positive part of the axis, -1 to use the negative part.
+ * @param deadZone {Number} optional dead zone between 0 and 1. If not set, {@link DefaultDeadZone} is used.
+ */
+CL3D.InputManager.prototype.bindVirtualAxis = function(action, name, direction, deadZone)
+{
+	this.addBinding(action, { Type: CL3D.InputManager.BINDING_VIRTUAL_AXIS, Code: name,
+		Direction: direction < 0 ? -1 : 1,
+		DeadZone: deadZone });
+}
+
+/**
+ * Sets the value of a virtual axis. Can be used to feed input from own controls into the actions.
+ * @public
+ * @param name {String} name of the virtual axis, for example 'movex'
+ * @param value {Number} value between -1 and 1. For the y axis, negative values mean up, like for gamepad sticks.
+ */
+CL3D.InputManager.prototype.setVirtualAxis = function(name, value)
+{
+	this.VirtualAxes[name] = CL3D.clamp(value, -1, 1);
+}
+
+/**
+ * Returns the names of all actions which have bindings.
+ * @public
+ */
+CL3D.InputManager.prototype.getActionNames = function()
+{
+	var ret = new Array();
+	for (var action in this.Bindings)
+		if (this.Bindings.hasOwnProperty(action))
+			ret.push(action);
+
+	return ret;
+}
+
+/**
+ * Returns how much an action is currently active, between 0 and 1. Keys and buttons produce 1 when pressed,
+ * gamepad axes and analog buttons produce values in between. If several inputs are bound to the action,
+ * the highest value is returned.
+ * @public
+ * @param action {String} name of the action
+ */
+CL3D.InputManager.prototype.getActionValue = function(action)
+{
+	var bindings = this.Bindings[action];
+	if (!bindings || !this.Bindings.hasOwnProperty(action))
+		return 0;
+
+	var ret = 0;
+	for (var i=0; i<bindings.length; ++i)
+		ret = Math.max(ret, this.getBindingValue(bindings[i]));
+
+	return Math.min(ret, 1);
+}
+
+/**
+ * Returns if an action is currently active.
+ * @public
+ * @param action {String} name of the action
+ */
+CL3D.InputManager.prototype.isActionDown = function(action)
+{
+	return this.getActionValue(action) > 0;
+}
+
+/**
+ * Returns if an action became active in the current frame.
+ * @public
+ * @param action {String} name of the action
+ */
+CL3D.InputManager.prototype.wasActionPressed = function(action)
+{
+	return this.ActionValues[action] > 0 && !(this.LastActionValues[action] > 0);
+}
+
+/**
+ * Returns if an action stopped being active in the current frame.
+ * @public
+ * @param action {String} name of the action
+ */
+CL3D.InputManager.prototype.wasActionReleased = function(action)
+{
+	return !(this.ActionValues[action] > 0) && this.LastActionValues[action] > 0;
+}
+
+/**
+ * Returns if a key is bound to one of the given actions.
+ * @private
+ */
+CL3D.InputManager.prototype.isKeyBound = function(keyCode, actions)
+{
+	for (var i=0; i<actions.length; ++i)
+	{
+		var bindings = this.Bindings[actions[i]];
+		if (!bindings || !this.Bindings.hasOwnProperty(actions[i]))
+			continue;
+
+		for (var j=0; j<bindings.length; ++j)
+			if (bindings[j].Type == CL3D.InputManager.BINDING_KEY && bindings[j].Code == keyCode)
+				return true;
+	}
+
+	return false;
+}
+
+/**
+ * @private
+ */
+CL3D.InputManager.prototype.getBindingValue = function(binding)
+{
+	switch(binding.Type)
+	{
+	case CL3D.InputManager.BINDING_KEY:
+		return (this.KeysDown[binding.Code] || this.KeysPressed[binding.Code]) ? 1 : 0;
+	case CL3D.InputManager.BINDING_MOUSE_BUTTON:
+		return (this.MouseButtonsDown[binding.Code] || this.MouseButtonsPressed[binding.Code]) ? 1 : 0;
+	case CL3D.InputManager.BINDING_VIRTUAL_AXIS:
+		return this.VirtualAxes.hasOwnProperty(binding.Code) ? this.getAxisBindingValue(binding, this.VirtualAxes[binding.Code]) : 0;
+	}
+
+	var ret = 0;
+
+	for (var i=0; i<this.Gamepads.length; ++i)
+	{
+		var pad = this.Gamepads[i];
+		if (pad == null || !pad.Connected || (binding.Gamepad != -1 && binding.Gamepad != i))
+			continue;
+
+		if (binding.Type == CL3D.InputManager.BINDING_GAMEPAD_BUTTON)
+		{
+			if (binding.Code < pad.Buttons.length)
+				ret = Math.max(ret, pad.Buttons[binding.Code]);
+		}
+		else
+		if (binding.Code < pad.Axes.length)
+			ret = Math.max(ret, this.getAxisBindingValue(binding, pad.Axes[binding.Code]));
+	}
+
+	return ret;
+}
+
+/**
+ * Returns the value of an axis for a binding to one of its directions, with the dead zone applied.
+ * @private
+ */
+CL3D.InputManager.prototype.getAxisBindingValue = function(binding, axisValue)
+{
+	var deadZone = binding.DeadZone != null ? binding.DeadZone : this.DefaultDeadZone;
+	var v = axisValue * binding.Direction;
+
+	if (v > deadZone)
+		return (v - deadZone) / (1 - deadZone);
+
+	return 0;
+}
+
+/**
+ * Returns if a gamepad is connected.
+ * @public
+ * @param index {Number} index of the gamepad. If not set, returns if any gamepad is connected.
+ */
+CL3D.InputManager.prototype.isGamepadConnected = function(index)
+{
+	for (var i=0; i<this.Gamepads.length; ++i)
+	{
+		var pad = this.Gamepads[i];
+		if (pad != null && pad.Connected && (index == null || index == i))
+			return true;
+	}
+
+	return false;
+}
+
+/**
+ * Polls the gamepads and updates the states of the actions. Called by the engine every frame before animating the scene.
+ * @private
+ */
+CL3D.InputManager.prototype.update = function()
+{
+	this.pollGamepads();
+
+	this.LastActionValues = this.ActionValues;
+	this.ActionValues = new Object();
+
+	for (var action in this.Bindings)
+		if (this.Bindings.hasOwnProperty(action))
+			this.ActionValues[action] = this.getActionValue(action);
+}
+
+/**
+ * Forgets the keys and mouse buttons pressed during the last frame. Called by the engine every frame after the
+ * scene has been animated, so that the animators still see keys which have been pressed and released again
+ * before the frame.
+ * @private
+ */
+CL3D.InputManager.prototype.endFrame = function()
+{
+	this.KeysPressed = new Object();
+	this.MouseButtonsPressed = new Object();
+}
+
+/**
+ * @private
+ */
+CL3D.InputManager.prototype.pollGamepads = function()
+{
+	this.Gamepads = new Array();
+
+	var pads = null;
+
+	try
+	{
+		if (typeof navigator == 'undefined')
+			return;
+
+		if (navigator['getGamepads'])
+			pads = navigator['getGamepads']();
+		else
+		if (navigator['webkitGetGamepads'])
+			pads = navigator['webkitGetGamepads']();
+	}
+	catch(e)
+	{
+		// not allowed, for example in some iframes
+	}
+
+	if (!pads)
+		return;
+
+	for (var i=0; i<pads.length; ++i)
+	{
+		var p = pads[i];
+		if (!p)
+		{
+			this.Gamepads.push(null);
+			continue;
+		}
+
+		var pad = { Buttons: new Array(), Axes: new Array(), Connected: p['connected'] !== false };
+		var buttons = p['buttons'];
+		var axes = p['axes'];
+		var j;
+
+		for (j=0; buttons && j<buttons.length; ++j)
+		{
+			var b = buttons[j];
+			var v = (typeof b == 'number') ? b : b['value'];
+			if (typeof b == 'object' && b['pressed'] && !(v > 0))
+				v = 1;
+
+			pad.Buttons.push(v > 0 ? v : 0);
+		}
+
+		for (j=0; axes && j<axes.length; ++j)
+			pad.Axes.push(axes[j]);
+
+		this.Gamepads.push(pad);
+	}
+}
+
+/**
+ * Called by the engine when a key is pressed or released.
+ * @private
+ */
+CL3D.InputManager.prototype.setKeyDown = function(keyCode, down)
+{
+	if (down)
+		this.KeysPressed[keyCode] = true;
+
+	this.KeysDown[keyCode] = down;
+}
+
+/**
+ * Called by the engine when a mouse button is pressed or released over the canvas.
+ * @private
+ */
+CL3D.InputManager.prototype.setMouseButtonDown = function(button, down)
+{
+	if (down)
+		this.MouseButtonsPressed[button] = true;
+
+	this.MouseButtonsDown[button] = down;
+}
+
+/**
+ * Releases all keys, mouse buttons and virtual axes, called when the window loses the focus, because
+ * the release events wouldn't be received then.
+ * @private
+ */
+CL3D.InputManager.prototype.releaseAll = function()
+{
+	this.KeysDown = new Object();
+	this.MouseButtonsDown = new Object();
+	this.VirtualAxes = new Object();
+}
+
+
+CL3D.gInputManager = new CL3D.InputManager();
@@ -0,0 +1,332 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+// ------------------------------------------------------------------------------------------------------
+// InstancedMeshSceneNode
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * A scene node drawing a static {@link Mesh} many times at different positions, for example thousands of trees or rocks.<br/>
+ * Each instance has its own position, rotation and scale relative to the scene node, see {@link addInstance}(). If supported
+ * (see {@link CL3D.Renderer.isInstancingSupported}()), all instances are drawn with only one draw call per mesh buffer, otherwise
+ * they are drawn one by one. The scene node is culled as a whole, so for big areas it is better to use several of these
+ * scene nodes, each one with the instances of a part of the area.<br/>
+ * Instancing works with all built-in materials and with custom materials using {@link CL3D.Renderer.vs_shader_skinning}.
+ * Normals of instances which aren't scaled uniformly are only approximated.
+ * @example
+ * var trees = new CL3D.InstancedMeshSceneNode(treeMesh);
+ * scene.getRootSceneNode().addChild(trees);
+ *
+ * for (var i=0; i<1000; ++i)
+ * {
+ *   var x = Math.random() * 1000;
+ *   var z = Math.random() * 1000;
+ *   trees.addInstance(new CL3D.Vect3d(x, terrain.getHeightAt(x, z), z), new CL3D.Vect3d(0, Math.random() * 360, 0));
+ * }
+ * @constructor
+ * @public
+ * @extends CL3D.SceneNode
+ * @class A scene node drawing a static {@link Mesh} many times at different positions.
+ * @param {CL3D.Mesh} mesh the mesh to draw, can be null and set later using {@link setMesh}().
+ */
+CL3D.InstancedMeshSceneNode = function(mesh)
+{
+	this.init();
+
+	this.Box = new CL3D.Box3d();
+	this.BoxNeedsUpdate = false;
+	this.OwnedMesh = mesh ? mesh : null;
+
+	// transformations of the instances, in the form used by the renderer, see CL3D.Renderer.setInstances()
+	this.Instances = new Object();
+	this.Instances.Transformations = new Array();
+	this.Instances.Matrices = new Float32Array(16 * 16);
+	this.Instances.Count = 0;
+	this.Instances.Changed = true;
+	this.Instances.NativeBuffer = null;
+}
+CL3D.InstancedMeshSceneNode.prototype = new CL3D.SceneNode();
+
+/**
+ * Returns the {@link Mesh} drawn by this scene node.
+ * @public
+ * @returns {CL3D.Mesh} the 3d mesh of this scene node
+ */
+CL3D.InstancedMeshSceneNode.prototype.getMesh = function()
+{
+	return this.OwnedMesh;
+}
+
+/**
+ * Sets the {@link Mesh} which should be drawn for each instance.
+ * @public
+ * @param {CL3D.Mesh} m the mesh to draw from now on
+ */
+CL3D.InstancedMeshSceneNode.prototype.setMesh = function(m)
+{
+	this.OwnedMesh = m;
+	this.BoxNeedsUpdate = true;
+}
+
+/**
+ * Adds an instance of the mesh. Returns the index of the new instance.
+ * @public
+ * @param {CL3D.Vect3d} pos position of the instance, relative to the scene node.
+ * @param {CL3D.Vect3d} rot rotation of the instance in degrees, like {@link CL3D.SceneNode.Rot}. Can be null.
+ * @param {CL3D.Vect3d} scale scale of the instance. Can be null.
+ * @returns {Number} index of the instance
+ */
+CL3D.InstancedMeshSceneNode.prototype.addInstance = function(pos, rot, scale)
+{
+	var index = this.Instances.Count;
+
+	this.Instances.Count += 1;
+	this.Instances.Transformations.push(null);
+
+	if (this.Instances.Matrices.length < this.Instances.Count * 16)
+	{
+		var matrices = new Float32Array(this.Instances.Matrices.length * 2);
+		matrices.set(this.Instances.Matrices);
+		this.Instances.Matrices = matrices;
+	}
+
+	this.setInstance(index, pos, rot, scale);
+	return index;
+}
+
+/**
+ * Changes the position, rotation and scale of an instance.
+ * @public
+ * @param {Number} index index of the instance, as returned by {@link addInstance}().
+ * @param {CL3D.Vect3d} pos position of the instance, relative to the scene node.
+ * @param {CL3D.Vect3d} rot rotation of the instance in degrees. Can be null.
+ * @param {CL3D.Vect3d} scale scale of the instance. Can be null.
+ */
+CL3D.InstancedMeshSceneNode.prototype.setInstance = function(index, pos, rot, scale)
+{
+	if (index < 0 || index >= this.Instances.Count)
+		return;
+
+	var mat = new CL3D.Matrix4();
+
+	if (rot)
+		mat.setRotationDegrees(rot);
+
+	if (pos)
+		mat.setTranslation(pos);
+
+	if (scale && (scale.X != 1 || scale.Y != 1 || scale.Z != 1))
+	{
+		var smat = new CL3D.Matrix4();
+		smat.setScale(scale);
+		mat = mat.multiply(smat);
+	}
+
+	this.Instances.Transformations[index] = mat;
+	this.Instances.Matrices.set(mat.asArray(), index * 16);
+	this.Instances.Changed = true;
+	this.BoxNeedsUpdate = true;
+}
+
+/**
+ * Removes an instance. The indices of all following instances decrease by one.
+ * @public
+ * @param {Number} index index of the instance, as returned by {@link addInstance}().
+ */
+CL3D.InstancedMeshSceneNode.prototype.removeInstance = function(index)
+{
+	if (index < 0 || index >= this.Instances.Count)
+		return;
+
+	this.Instances.Transformations.splice(index, 1);
+	this.Instances.Count -= 1;
+
+	this.Instances.Matrices.set(this.Instances.Matrices.subarray((index + 1) * 16, (this.Instances.Count + 1) * 16), index * 16);
+	this.Instances.Changed = true;
+	this.BoxNeedsUpdate = true;
+}
+
+/**
+ * Removes all instances.
+ * @public
+ */
+CL3D.InstancedMeshSceneNode.prototype.clearInstances = function()
+{
+	this.Instances.Transformations = new Array();
+	this.Instances.Count = 0;
+	this.Instances.Changed = true;
+	this.BoxNeedsUpdate = true;
+}
+
+/**
+ * Returns the amount of instances of the mesh.
+ * @public
+ * @returns {Number} amount of instances
+ */
+CL3D.InstancedMeshSceneNode.prototype.getInstanceCount = function()
+{
+	return this.Instances.Count;
+}
+
+/**
+ * Returns the transformation of an instance, relative to the scene node. Don't modify it, use {@link setInstance}() instead.
+ * @public
+ * @param {Number} index index of the instance, as returned by {@link addInstance}().
+ * @returns {CL3D.Matrix4} the transformation of the instance, or null if there is no instance with this index.
+ */
+CL3D.InstancedMeshSceneNode.prototype.getInstanceTransformation = function(index)
+{
+	if (index < 0 || index >= this.Instances.Count)
+		return null;
+
+	return this.Instances.Transformations[index];
+}
+
+/**
+ * Get the axis aligned, not transformed bounding box of this node, enclosing all instances.
+ * @public
+ * @returns {CL3D.Box3d} Bounding box of this scene node.
+ */
+CL3D.InstancedMeshSceneNode.prototype.getBoundingBox = function()
+{
+	if (this.BoxNeedsUpdate)
+	{
+		this.BoxNeedsUpdate = false;
+		this.Box.reset(0, 0, 0);
+
+		if (this.OwnedMesh != null)
+		{
+			for (var i=0; i<this.Instances.Count; ++i)
+			{
+				var b = this.OwnedMesh.Box.clone();
+				this.Instances.Transformations[i].transformBoxEx(b);
+
+				if (i == 0)
+				{
+					this.Box.MinEdge = b.MinEdge.clone();
+					this.Box.MaxEdge = b.MaxEdge.clone();
+				}
+				else
+				{
+					this.Box.addInternalPointByVector(b.MinEdge);
+					this.Box.addInternalPointByVector(b.MaxEdge);
+				}
+			}
+		}
+	}
+
+	return this.Box;
+}
+
+/**
+ * Returns the type string of the scene node.
+ * Returns 'instancedmesh' for the instanced mesh scene node.
+ * @public
+ * @returns {String} type name of the scene node.
+ */
+CL3D.InstancedMeshSceneNode.prototype.getType = function()
+{
+	return 'instancedmesh';
+}
+
+/**
+ * @private
+ */
+CL3D.InstancedMeshSceneNode.prototype.OnRegisterSceneNode = function(mgr)
+{
+	var mesh = this.OwnedMesh;
+
+	if (!this.Visible)
+		return;
+
+	if (mesh && this.Instances.Count > 0)
+	{
+		var hasTransparentMaterials = false;
+		var hasSolidMaterials = false;
+
+		for (var i=0; i<mesh.MeshBuffers.length; ++i)
+		{
+			var buf = mesh.MeshBuffers[i];
+			if ( buf.Mat.isTransparent() )
+				hasTransparentMaterials = true;
+			else
+				hasSolidMaterials = true;
+		}
+
+		if (hasTransparentMaterials)
+			mgr.registerNodeForRendering(this, CL3D.Scene.RENDER_MODE_TRANSPARENT);
+
+		if (hasSolidMaterials)
+			mgr.registerNodeForRendering(this, CL3D.Scene.RENDER_MODE_DEFAULT);
+	}
+
+	CL3D.SceneNode.prototype.OnRegisterSceneNode.call(this, mgr);
+}
+
+/**
+ * @private
+ */
+CL3D.InstancedMeshSceneNode.prototype.render = function(renderer)
+{
+	renderer.setWorld(this.AbsoluteTransformation);
+	renderer.setInstances(this.Instances);
+
+	for (var i=0; i<this.OwnedMesh.MeshBuffers.length; ++i)
+	{
+		var buf = this.OwnedMesh.MeshBuffers[i];
+
+		if (buf.Mat.isTransparent() == (this.scene.getCurrentRenderMode() == CL3D.Scene.RENDER_MODE_TRANSPARENT))
+		{
+			renderer.setMaterial(buf.Mat);
+			renderer.drawMeshBuffer(buf);
+		}
+	}
+
+	renderer.setInstances(null);
+}
+
+/**
+ * @private
+ */
+CL3D.InstancedMeshSceneNode.prototype.getMaterialCount = function()
+{
+	if (this.OwnedMesh)
+		return this.OwnedMesh.MeshBuffers.length;
+
+	return 0;
+}
+
+/**
+ * @private
+ */
+CL3D.InstancedMeshSceneNode.prototype.getMaterial = function(i)
+{
+	if (this.OwnedMesh != null)
+	{
+		if (i>=0 && i<this.OwnedMesh.MeshBuffers.length)
+		{
+			var buf = this.OwnedMesh.MeshBuffers[i];
+			return buf.Mat;
+		}
+	}
+	return null;
+}
+
+/**
+ * @public
+ */
+CL3D.InstancedMeshSceneNode.prototype.createClone = function(newparent, oldNodeId, newNodeId)
+{
+	var c = new CL3D.InstancedMeshSceneNode();
+	this.cloneMembers(c, newparent, oldNodeId, newNodeId);
+
+	if (this.OwnedMesh)
+		c.OwnedMesh = this.OwnedMesh.createClone();
+
+	c.Instances.Transformations = this.Instances.Transformations.slice(0);
+	c.Instances.Matrices = new Float32Array(this.Instances.Matrices);
+	c.Instances.Count = this.Instances.Count;
+	c.BoxNeedsUpdate = true;
+
+	return c;
+}
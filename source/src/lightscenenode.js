@@ -17,6 +17,7 @@ CL3D.Light = function()
 	this.Attenuation = 1 / 100.0;
 	this.Direction = null;
 	this.IsDirectional = false;	
+	this.CastsShadows = false;
 }
 
 /**
@@ -32,6 +33,7 @@ CL3D.Light.prototype.clone = function()
 	r.Attenuation = this.Attenuation;
 	r.IsDirectional = this.IsDirectional;
 	r.Direction = this.Direction != null ? this.Direction.clone() : null;
+	r.CastsShadows = this.CastsShadows;
 	return r;
 }
 
@@ -57,7 +59,7 @@ CL3D.Light.prototype.Color = null;
 CL3D.Light.prototype.Attenuation = null;
 
 /**
- * Radius of the light. Currently ignored.
+ * Radius of the light. Used as range of the shadow map if the light casts shadows.
  * @public
  * @type Number
  */
@@ -77,6 +79,16 @@ CL3D.Light.prototype.Direction = null;
  */
 CL3D.Light.prototype.IsDirectional = false;
 
+/**
+ * Set this to true to make the light cast shadows onto all materials with Lighting and {@link CL3D.Material.ReceivesShadows} enabled.
+ * For the directional light, a shadow map around the visible area is rendered every frame, for point lights a cube 
+ * shadow map with the size of the Radius of the light. Only the first 4 point lights can cast shadows. Note that
+ * every point light casting shadows needs to render the scene 6 times, so use this sparingly. Default is false.
+ * @public
+ * @type Boolean
+ */
+CL3D.Light.prototype.CastsShadows = false;
+
 /**
  * A class rendering a point light.
  * Lighting works like this: Simply add a light scene node to the scene (as shown in the example below), and
@@ -0,0 +1,142 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Progress of loading a scene file using {@link CopperLicht.load}(), including the textures it uses.
+ * Get it using {@link CopperLicht.getLoadingProgress}(), or in the {@link CopperLicht.OnLoadingProgress} event handler,
+ * which is called whenever it changes.
+ * @constructor
+ * @public
+ * @class Progress of loading a scene file and its textures.
+ * @example
+ * engine.OnLoadingProgress = function(progress)
+ * {
+ *   progressBar.style.width = Math.round(progress.getProgress() * 100) + '%';
+ *   progressText.innerHTML = 'Textures: ' + progress.TexturesLoaded + '/' + progress.getTextureCount();
+ * };
+ */
+CL3D.LoadingProgress = function(filename)
+{
+	this.FileName = filename ? filename : '';
+	this.BytesLoaded = 0;
+	this.BytesTotal = 0;
+	this.FileLoaded = false;
+	this.Failed = false;
+	this.ScenesLoaded = 0;
+	this.EmbeddedFilesLoaded = 0;
+	this.TexturesLoaded = 0;
+	this.TexturesToLoad = 0;
+	this.TexturesFailed = 0;
+}
+
+/**
+ * Name of the file being loaded.
+ * @public
+ * @type String
+ */
+CL3D.LoadingProgress.prototype.FileName = '';
+
+/**
+ * Amount of bytes of the file received so far.
+ * @public
+ * @type Number
+ */
+CL3D.LoadingProgress.prototype.BytesLoaded = 0;
+
+/**
+ * Size of the file in bytes, or 0 if it isn't known, for example when the server compresses the file for the transfer.
+ * @public
+ * @type Number
+ */
+CL3D.LoadingProgress.prototype.BytesTotal = 0;
+
+/**
+ * True after the whole file has been received and parsed.
+ * @public
+ * @type Boolean
+ */
+CL3D.LoadingProgress.prototype.FileLoaded = false;
+
+/**
+ * True if the file could not be loaded, see {@link CopperLicht.OnLoadingError}.
+ * @public
+ * @type Boolean
+ */
+CL3D.LoadingProgress.prototype.Failed = false;
+
+/**
+ * Amount of scenes of the file loaded so far.
+ * @public
+ * @type Number
+ */
+CL3D.LoadingProgress.prototype.ScenesLoaded = 0;
+
+/**
+ * Amount of files embedded in the scene file loaded so far, like animated meshes and scripts.
+ * @public
+ * @type Number
+ */
+CL3D.LoadingProgress.prototype.EmbeddedFilesLoaded = 0;
+
+/**
+ * Amount of textures of the texture manager which have been loaded.
+ * @public
+ * @type Number
+ */
+CL3D.LoadingProgress.prototype.TexturesLoaded = 0;
+
+/**
+ * Amount of textures of the texture manager which are still being loaded.
+ * @public
+ * @type Number
+ */
+CL3D.LoadingProgress.prototype.TexturesToLoad = 0;
+
+/**
+ * Amount of textures of the texture manager which could not be loaded.
+ * @public
+ * @type Number
+ */
+CL3D.LoadingProgress.prototype.TexturesFailed = 0;
+
+/**
+ * Returns the total amount of textures, loaded, still loading and failed.
+ * @public
+ * @returns {Number} amount of textures
+ */
+CL3D.LoadingProgress.prototype.getTextureCount = function()
+{
+	return this.TexturesLoaded + this.TexturesToLoad + this.TexturesFailed;
+}
+
+/**
+ * Returns the overall progress between 0 and 1, useful for progress bars. Receiving the file counts for 70 percent,
+ * and loading the textures for the remaining 30 percent. If the size of the file isn't known, its part only counts
+ * once it is loaded completely.
+ * @public
+ * @returns {Number} progress between 0 and 1
+ */
+CL3D.LoadingProgress.prototype.getProgress = function()
+{
+	var fileProgress = 0;
+	if (this.FileLoaded)
+		fileProgress = 1;
+	else
+	if (this.BytesTotal > 0)
+		fileProgress = Math.min(this.BytesLoaded / this.BytesTotal, 1);
+
+	var textureCount = this.getTextureCount();
+	var textureProgress = textureCount > 0 ? (textureCount - this.TexturesToLoad) / textureCount : 1;
+
+	return fileProgress * 0.7 + textureProgress * 0.3;
+}
+
+/**
+ * Returns true if the file and all textures have been loaded.
+ * @public
+ * @returns {Boolean} true if loading is complete
+ */
+CL3D.LoadingProgress.prototype.isComplete = function()
+{
+	return this.FileLoaded && this.TexturesToLoad == 0;
+}
@@ -21,6 +21,18 @@ CL3D.Material = function()
 	this.ClampTexture1 = false; //:Boolean;
 	this.Lighting = false; //:Boolean;
 	this.BackfaceCulling = true;
+	this.ReceivesShadows = true;
+	
+	// physically based materials, see EMT_PBR_SOLID
+	this.Tex3 = null; //:Texture;
+	this.Tex4 = null; //:Texture;
+	this.Metallic = 1.0;
+	this.Roughness = 1.0;
+	this.OcclusionStrength = 1.0;
+	this.EmissiveColor = new CL3D.ColorF();
+	this.EmissiveColor.R = 0.0;
+	this.EmissiveColor.G = 0.0;
+	this.EmissiveColor.B = 0.0;
 }
 
 CL3D.Material.prototype.setFrom = function(mat)
@@ -35,6 +47,13 @@ CL3D.Material.prototype.setFrom = function(mat)
 	this.ClampTexture1 = mat.ClampTexture1;
 	this.Lighting = mat.Lighting;
 	this.BackfaceCulling = mat.BackfaceCulling;
+	this.ReceivesShadows = mat.ReceivesShadows;
+	this.Tex3 = mat.Tex3;
+	this.Tex4 = mat.Tex4;
+	this.Metallic = mat.Metallic;
+	this.Roughness = mat.Roughness;
+	this.OcclusionStrength = mat.OcclusionStrength;
+	this.EmissiveColor = mat.EmissiveColor ? mat.EmissiveColor.clone() : null;
 }
 
 CL3D.Material.prototype.clone = function()
@@ -49,6 +68,13 @@ CL3D.Material.prototype.clone = function()
 	mat.ClampTexture1 = this.ClampTexture1;
 	mat.Lighting = this.Lighting;
 	mat.BackfaceCulling = this.BackfaceCulling;
+	mat.ReceivesShadows = this.ReceivesShadows;
+	mat.Tex3 = this.Tex3;
+	mat.Tex4 = this.Tex4;
+	mat.Metallic = this.Metallic;
+	mat.Roughness = this.Roughness;
+	mat.OcclusionStrength = this.OcclusionStrength;
+	mat.EmissiveColor = this.EmissiveColor ? this.EmissiveColor.clone() : null;
 	
 	return mat;
 }
@@ -61,7 +87,8 @@ CL3D.Material.prototype.doesNotUseDepthMap = function()
 {
 	return this.Type == CL3D.Material.EMT_TRANSPARENT_ADD_COLOR ||
 	       this.Type == CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL ||
-		   this.Type == CL3D.Material.EMT_TRANSPARENT_REFLECTION_2_LAYER;
+		   this.Type == CL3D.Material.EMT_TRANSPARENT_REFLECTION_2_LAYER ||
+		   this.Type == CL3D.Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL;
 }
 
 /** 
@@ -74,7 +101,8 @@ CL3D.Material.prototype.isTransparent = function()
 	return this.Type == CL3D.Material.EMT_TRANSPARENT_ADD_COLOR ||
 	       this.Type == CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL ||
 		   this.Type == CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL_REF ||
-		   this.Type == CL3D.Material.EMT_TRANSPARENT_REFLECTION_2_LAYER;
+		   this.Type == CL3D.Material.EMT_TRANSPARENT_REFLECTION_2_LAYER ||
+		   this.Type == CL3D.Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL;
 }
 
 /**
@@ -129,6 +157,14 @@ CL3D.Material.prototype.ClampTexture1 = false;
  */
 CL3D.Material.prototype.BackfaceCulling = true;
 
+/**
+ * Specifies if shadows of lights with {@link CL3D.Light.CastsShadows} set to true are drawn onto this material. 
+ * Only has an effect for materials with Lighting enabled. Default is true.
+ * @public
+ * @type Boolean
+ */
+CL3D.Material.prototype.ReceivesShadows = true;
+
 /**
  * Specifies if lighting is enabled for the material. Default is false.
  * @public
@@ -136,6 +172,54 @@ CL3D.Material.prototype.BackfaceCulling = true;
  */
 CL3D.Material.prototype.Lighting = false;
 
+/**
+ * Texture 3 of this material of type {@link Texture}. Only used by physically based materials like {@link Material.EMT_PBR_SOLID},
+ * where it is the occlusion, roughness and metallic map.
+ * @public
+ * @type {CL3D.Texture}.
+ */
+CL3D.Material.prototype.Tex3 = null;
+
+/**
+ * Texture 4 of this material of type {@link Texture}. Only used by physically based materials like {@link Material.EMT_PBR_SOLID},
+ * where it is the emissive map.
+ * @public
+ * @type {CL3D.Texture}.
+ */
+CL3D.Material.prototype.Tex4 = null;
+
+/**
+ * How metallic the surface of a physically based material like {@link Material.EMT_PBR_SOLID} is, between 0 (dielectric)
+ * and 1 (metal). Multiplied with the blue channel of {@link Tex3}, if set. Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.Material.prototype.Metallic = 1.0;
+
+/**
+ * Roughness of the surface of a physically based material like {@link Material.EMT_PBR_SOLID}, between 0 (mirror)
+ * and 1 (completely rough). Multiplied with the green channel of {@link Tex3}, if set. Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.Material.prototype.Roughness = 1.0;
+
+/**
+ * How much the ambient occlusion in the red channel of {@link Tex3} darkens a physically based material like {@link Material.EMT_PBR_SOLID}, 
+ * between 0 (not at all) and 1 (fully). Set this to 0 if the red channel of {@link Tex3} doesn't contain ambient occlusion. Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.Material.prototype.OcclusionStrength = 1.0;
+
+/**
+ * Color of the light emitted by a physically based material like {@link Material.EMT_PBR_SOLID}, multiplied 
+ * with {@link Tex4}, if set. Default is black.
+ * @public
+ * @type CL3D.ColorF
+ */
+CL3D.Material.prototype.EmissiveColor = null;
+
 
 /** 
  * Solid material, constant for using in {@link Material.Type}, specifying the type of the material.
@@ -236,4 +320,43 @@ CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL_REF		= 14;
  */
 CL3D.Material.EMT_SOLID_VERTEX_ALPHA_TWO_TEXTURE_BLEND		= 25;
 
-//! 
\ No newline at end of file
+/** 
+ * Material for one texture layer of a splat mapped terrain, constant for using in {@link Material.Type}, specifying the type of the material.
+ * The first texture is the repeated texture of the layer, the second one the splat map whose channels define where the layer is visible.
+ * Used by the {@link CL3D.TerrainSceneNode}, which sets the layer parameters when drawing it.
+ * @const 
+ * @public
+ */
+CL3D.Material.EMT_TERRAIN_SPLAT_LAYER		= 26;
+
+//! 
+
+/** 
+ * Physically based material using the metallic roughness model, constant for using in {@link Material.Type}, specifying the type of the material.
+ * {@link Tex1} is the base color, {@link Tex2} an optional normal map, {@link Tex3} an optional map with the ambient occlusion in the red,
+ * the roughness in the green and the metallic value in the blue channel (like in glTF files), and {@link Tex4} an optional emissive map. 
+ * See also {@link Metallic}, {@link Roughness}, {@link OcclusionStrength} and {@link EmissiveColor}.<br/>
+ * If {@link Lighting} is true, the material is lit by the dynamic lights and reflects the sky box of the scene (see 
+ * {@link CL3D.SkyBoxSceneNode.UseAsEnvironmentMap}), otherwise only the base color is drawn. Normal maps need tangents and 
+ * binormals in the mesh buffer. If the system doesn't support this material, {@link Material.EMT_SOLID} is used instead.
+ * @const 
+ * @public
+ */
+CL3D.Material.EMT_PBR_SOLID		= 27;
+
+/** 
+ * Transparent physically based material, like {@link Material.EMT_PBR_SOLID} but blended using the alpha channel of the base color.
+ * If the system doesn't support this material, {@link Material.EMT_TRANSPARENT_ALPHA_CHANNEL} is used instead.
+ * @const 
+ * @public
+ */
+CL3D.Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL		= 28;
+
+/** 
+ * Mirror material for flat surfaces, constant for using in {@link Material.Type}, specifying the type of the material.
+ * {@link Tex1} is the texture into which a camera renders the reflection, see {@link CL3D.CameraSceneNode.setReflection}(). 
+ * It is placed at the position on the screen instead of using texture coordinates, and tinted by the vertex colors.
+ * @const 
+ * @public
+ */
+CL3D.Material.EMT_PLANAR_REFLECTION		= 29;
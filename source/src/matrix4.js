@@ -560,6 +560,28 @@ CL3D.Matrix4.prototype.copyTo = function(mat)
 	mat.bIsIdentity = this.bIsIdentity;
 }
 
+/**
+ * Returns a new matrix interpolated between this and another one, element by element: other*(1-d) + this*d.
+ * Good enough for matrices of scene nodes which only moved and rotated a bit.
+ * @public
+ * @param {CL3D.Matrix4} other other matrix
+ * @param {Number} d value between 0 (returns the other matrix) and 1 (returns this matrix)
+ * @returns {CL3D.Matrix4} the interpolated matrix
+ */
+CL3D.Matrix4.prototype.getInterpolated = function(other, d)
+{
+	var inv = 1.0 - d;
+	var m = new CL3D.Matrix4(false);
+	
+	m.m00 = other.m00*inv + this.m00*d;  m.m01 = other.m01*inv + this.m01*d;  m.m02 = other.m02*inv + this.m02*d;  m.m03 = other.m03*inv + this.m03*d;
+	m.m04 = other.m04*inv + this.m04*d;  m.m05 = other.m05*inv + this.m05*d;  m.m06 = other.m06*inv + this.m06*d;  m.m07 = other.m07*inv + this.m07*d;
+	m.m08 = other.m08*inv + this.m08*d;  m.m09 = other.m09*inv + this.m09*d;  m.m10 = other.m10*inv + this.m10*d;  m.m11 = other.m11*inv + this.m11*d;
+	m.m12 = other.m12*inv + this.m12*d;  m.m13 = other.m13*inv + this.m13*d;  m.m14 = other.m14*inv + this.m14*d;  m.m15 = other.m15*inv + this.m15*d;
+	
+	m.bIsIdentity = this.bIsIdentity && other.bIsIdentity;
+	return m;
+}
+
 /**
  * Builds a left-handed perspective projection matrix based on a field of view.
  * @public
@@ -593,6 +615,35 @@ CL3D.Matrix4.prototype.buildProjectionMatrixPerspectiveFovLH = function(fieldOfV
 	this.bIsIdentity = false;
 }
 
+/**
+ * Builds a left-handed orthogonal projection matrix.
+ * @public
+ */
+CL3D.Matrix4.prototype.buildProjectionMatrixOrthoLH = function(widthOfViewVolume, heightOfViewVolume, zNear, zFar)
+{
+	this.m00 = 2.0 / widthOfViewVolume;
+	this.m01 = 0;
+	this.m02 = 0;
+	this.m03 = 0;
+
+	this.m04 = 0;
+	this.m05 = 2.0 / heightOfViewVolume;
+	this.m06 = 0;
+	this.m07 = 0;
+
+	this.m08 = 0;
+	this.m09 = 0;
+	this.m10 = 1.0 / (zFar - zNear);
+	this.m11 = 0;
+
+	this.m12 = 0;
+	this.m13 = 0;
+	this.m14 = zNear / (zNear - zFar);
+	this.m15 = 1;
+
+	this.bIsIdentity = false;
+}
+
 /**
  * Builds a left-handed look-at matrix.
  * @public
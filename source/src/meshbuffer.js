@@ -23,6 +23,8 @@ CL3D.MeshBuffer = function()
 	this.OnlyUpdateBufferIfPossible = false;
 	this.Tangents = null;
 	this.Binormals = null;
+	this.JointIndices = null;
+	this.JointWeights = null;
 }
 
 /**
@@ -71,6 +73,18 @@ CL3D.MeshBuffer.prototype.Tangents = null;
  */
 CL3D.MeshBuffer.prototype.Binormals = null;
 
+/**
+ * Indices of the 4 joints influencing each vertex, 4 numbers per vertex. Only needed for skinned meshes animated on the GPU, and null otherwise.
+ * @public
+ */
+CL3D.MeshBuffer.prototype.JointIndices = null;
+
+/**
+ * Weights of the 4 joints influencing each vertex, 4 numbers per vertex. Only needed for skinned meshes animated on the GPU, and null otherwise.
+ * @public
+ */
+CL3D.MeshBuffer.prototype.JointWeights = null;
+
 
 /**
  * Needs to be called when the Vertices or Indices have been changed so that the {@link RendererNativeArray} gets recreated.
@@ -117,14 +131,23 @@ CL3D.MeshBuffer.prototype.freeNativeArray = function()
 		if (obj.colorBuffer)
 			obj.gl.deleteBuffer(obj.colorBuffer);
 			
+		if (obj.jointIndexBuffer)
+			obj.gl.deleteBuffer(obj.jointIndexBuffer);
+			
+		if (obj.jointWeightBuffer)
+			obj.gl.deleteBuffer(obj.jointWeightBuffer);
+			
 		if (obj.indexBuffer)
 			obj.gl.deleteBuffer(obj.colorBuffer);	
 
-		if (this.Tangents)
-			obj.gl.deleteBuffer(obj.gl.tangentBuffer);
+		if (obj.tangentBuffer)
+			obj.gl.deleteBuffer(obj.tangentBuffer);
 			
-		if (this.Binormals)
-			obj.gl.deleteBuffer(obj.gl.binormalBuffer);
+		if (obj.binormalBuffer)
+			obj.gl.deleteBuffer(obj.binormalBuffer);
+
+		if (obj.vertexArray)
+			obj.gl.deleteVertexArray(obj.vertexArray);
 	}
 	
 	delete this.RendererNativeArray;
@@ -189,12 +212,14 @@ CL3D.MeshBuffer.prototype.createClone = function()
 	
 	if (this.Tangents)
 	{
+		ret.Tangents = new Array();
 		for (var i=0; i<this.Tangents.length; ++i)
 			ret.Tangents.push(this.Tangents[i].clone());
 	}
 	
 	if (this.Binormals)
 	{
+		ret.Binormals = new Array();
 		for (var i=0; i<this.Binormals.length; ++i)
 			ret.Binormals.push(this.Binormals[i].clone());
 	}
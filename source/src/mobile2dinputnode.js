@@ -2,7 +2,15 @@
 // This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
 
 /**
- * A simple node derived from Mobile2DInputSceneNode to emulate keyboard input for games on touchscreen devices like phones, tablets and similar 
+ * A simple node derived from Mobile2DInputSceneNode to emulate keyboard input for games on touchscreen devices like phones, tablets and similar.<br/>
+ * In cursor key mode, the node acts as an analog virtual joystick: It sets the virtual axes {@link VirtualAxisX} and {@link VirtualAxisY}
+ * of the {@link CL3D.InputManager}, which move the characters and cameras. Touches on the node are tracked separately from other
+ * touches, so one thumb can use the joystick while another one looks around or uses a second joystick:
+ * @example
+ * // make a virtual joystick rotate the camera instead of moving it
+ * joystickNode.VirtualAxisX = 'lookx';
+ * joystickNode.VirtualAxisY = 'looky';
+ * joystickNode.PostCursorKeys = false;
  * @class Scene Node which draws a 2d mobile input control
  * @constructor
  * @extends CL3D.SceneNode
@@ -24,6 +32,35 @@ CL3D.Mobile2DInputSceneNode = function(engine, scene)
 	this.InputMode = 0;
 	this.KeyCode = 0;
 	
+	/**
+	 * Name of the virtual axis of the {@link CL3D.InputManager} set by the horizontal position of the joystick,
+	 * if the node is in cursor key mode. 'movex' moves and 'lookx' rotates the camera or character.
+	 * @public
+	 * @type String
+	 * @default 'movex'
+	 */
+	this.VirtualAxisX = 'movex';
+	
+	/**
+	 * Name of the virtual axis of the {@link CL3D.InputManager} set by the vertical position of the joystick,
+	 * if the node is in cursor key mode. 'movey' moves and 'looky' rotates the camera or character.
+	 * @public
+	 * @type String
+	 * @default 'movey'
+	 */
+	this.VirtualAxisY = 'movey';
+	
+	/**
+	 * If set to true, the joystick additionally sends the cursor keys to the scene in cursor key mode, so that
+	 * behaviors reacting to key presses work as well.
+	 * @public
+	 * @type Boolean
+	 * @default true
+	 */
+	this.PostCursorKeys = true;
+	
+	this.TouchId = null;
+	
 	this.addAnimator(new CL3D.AnimatorMobileInput(engine, scene, this));
 }
 CL3D.Mobile2DInputSceneNode.prototype = new CL3D.Overlay2DSceneNode();
@@ -49,6 +86,68 @@ CL3D.Mobile2DInputSceneNode.prototype.blocksCameraInput = function()
 	return true;
 }
 
+/**
+ * Called by the engine when a touch started on this node. Following moves of this touch are
+ * only sent to this node, not emulated as mouse input.
+ * @private
+ */
+CL3D.Mobile2DInputSceneNode.prototype.onTouchStart = function(id, x, y)
+{
+	this.TouchId = id;
+	this.setCursorFromScreenPosition(x, y);
+}
+
+/**
+ * @private
+ */
+CL3D.Mobile2DInputSceneNode.prototype.onTouchMove = function(id, x, y)
+{
+	if (this.TouchId === id)
+		this.setCursorFromScreenPosition(x, y);
+}
+
+/**
+ * @private
+ */
+CL3D.Mobile2DInputSceneNode.prototype.onTouchEnd = function(id)
+{
+	if (this.TouchId === id)
+		this.TouchId = null;
+}
+
+/**
+ * Returns if the node is currently being touched.
+ * @private
+ */
+CL3D.Mobile2DInputSceneNode.prototype.isTouched = function()
+{
+	return this.TouchId != null;
+}
+
+/**
+ * Moves the cursor of the joystick to a position on the screen, given in pixels relative to the canvas.
+ * @private
+ */
+CL3D.Mobile2DInputSceneNode.prototype.setCursorFromScreenPosition = function(screenX, screenY)
+{
+	if (this.RealWidth == 0 || this.RealHeight == 0)
+		return;
+		
+	var x = screenX - this.RealPosX;
+	var y = screenY - this.RealPosY;
+
+	this.CursorPosX = x / this.RealWidth; 
+	this.CursorPosY = y / this.RealHeight; 
+	
+	this.CursorPosX = CL3D.clamp(this.CursorPosX, 0.0, 1.0);
+	this.CursorPosY = CL3D.clamp(this.CursorPosY, 0.0, 1.0);
+	
+	// move coordinates from 0..1 to -1..1 range
+	
+	this.CursorPosX = (this.CursorPosX * 2.0) - 1.0;
+	this.CursorPosY = (this.CursorPosY * 2.0) - 1.0;
+}
+
 /**
  * @private
  */
@@ -66,6 +165,14 @@ CL3D.Mobile2DInputSceneNode.prototype.render = function(renderer)
 		var mposx = this.engine.getMouseX();
 		var mposy = this.engine.getMouseY();
 		
+		// while drawn into a viewport, positions are relative to it
+		var viewport = renderer.getViewport();
+		if (viewport)
+		{
+			mposx -= viewport.X;
+			mposy -= viewport.Y;
+		}
+		
 		this.MouseOverButton = (rctTarget.x <= mposx && rctTarget.y <= mposy &&
 				     rctTarget.x + rctTarget.w >= mposx &&
 				     rctTarget.y + rctTarget.h >= mposy);
@@ -141,6 +248,14 @@ CL3D.Mobile2DInputSceneNode.prototype.render = function(renderer)
 	this.RealPosX = rctTarget.x;
 	this.RealPosY = rctTarget.y;
 	
+	// the cursor is moved using positions relative to the canvas
+	var drawnViewport = renderer.getViewport();
+	if (drawnViewport)
+	{
+		this.RealPosX += drawnViewport.X;
+		this.RealPosY += drawnViewport.Y;
+	}
+	
 	if (this.InputMode == 0 &&
 	    this.CursorTex != null && 
 	    this.CursorTex.isLoaded() &&
@@ -0,0 +1,955 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+// ------------------------------------------------------------------------------------------------------
+// NavMesh
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * A navigation mesh, describing where characters can walk in a scene, used for finding paths around obstacles.<br/>
+ * It is built from collision geometry like the one returned by {@link CL3D.Scene.getCollisionGeometry}(): The geometry is
+ * divided into a grid of cells, and every cell with a surface which is not too steep and has enough free space above it
+ * for a character is walkable. Walkable cells are connected to their neighbours if the height difference can be climbed,
+ * and cells nearer to walls and edges than the radius of the character are removed.<br/>
+ * Paths are found using A* and then smoothed, so that characters walk in straight lines wherever possible.<br/>
+ * Usually you don't need to create a navigation mesh yourself, {@link CL3D.Scene.getNavMesh}() creates one when needed,
+ * and characters moved by the game AI of CopperCube use it automatically.
+ * @example
+ * var navmesh = new CL3D.NavMesh();
+ * navmesh.AgentRadius = 20;
+ * navmesh.build(scene.getCollisionGeometry());
+ * var path = navmesh.findPath(startPos, targetPos);
+ * @constructor
+ * @public
+ * @class A navigation mesh for finding paths around obstacles.
+ */
+CL3D.NavMesh = function()
+{
+	/**
+	 * Size of a cell of the grid. If 0, it is set automatically to half of the {@link AgentRadius}.
+	 * Has to be set before calling {@link build}().
+	 * @public
+	 * @type Number
+	 */
+	this.CellSize = 0;
+
+	/**
+	 * Radius of the characters walking on the navigation mesh. Has to be set before calling {@link build}().
+	 * @public
+	 * @type Number
+	 */
+	this.AgentRadius = 5;
+
+	/**
+	 * Height of the characters walking on the navigation mesh. Has to be set before calling {@link build}().
+	 * @public
+	 * @type Number
+	 */
+	this.AgentHeight = 20;
+
+	/**
+	 * Maximal height of steps characters can climb. Has to be set before calling {@link build}().
+	 * @public
+	 * @type Number
+	 */
+	this.MaxClimb = 7;
+
+	/**
+	 * Maximal angle of slopes characters can walk on, in degrees. Has to be set before calling {@link build}().
+	 * @public
+	 * @type Number
+	 */
+	this.MaxSlope = 45;
+
+	/**
+	 * Maximal number of cells along the x and z axis. If the scene is too big for this, the cell size is increased.
+	 * @public
+	 * @type Number
+	 */
+	this.MaxGridSize = 512;
+
+	/**
+	 * Maximal number of cells examined when finding a path, limiting the time {@link findPath}() can take in big scenes.
+	 * If the target is further away, the path leads to the position nearest to it found until then.
+	 * @public
+	 * @type Number
+	 */
+	this.MaxSearchCells = 3000;
+
+	this.clear();
+}
+
+/**
+ * Directions of the links of a cell to its neighbours: +x, +z, -x, -z.
+ * @private
+ */
+CL3D.NavMesh.DIR_X = [1, 0, -1, 0];
+
+/**
+ * @private
+ */
+CL3D.NavMesh.DIR_Z = [0, 1, 0, -1];
+
+/**
+ * Removes all walkable cells.
+ * @public
+ */
+CL3D.NavMesh.prototype.clear = function()
+{
+	this.UsedCellSize = 1;
+	this.OriginX = 0;
+	this.OriginZ = 0;
+	this.Width = 0;
+	this.Depth = 0;
+
+	// walkable cells. Every cell has a height and up to 4 links to neighbour cells, stored in
+	// flat arrays. Columns contains the cells of every grid position, as array or null.
+	this.Columns = new Array();
+	this.CellY = new Array();
+	this.CellCeiling = new Array();
+	this.CellColumn = new Array();
+	this.Links = new Array();
+
+	// data for searching
+	this.SearchId = 0;
+	this.SearchLimitReached = false; // if the last search stopped before reaching the target because of MaxSearchCells
+	this.SearchVisited = new Array();
+	this.SearchClosed = new Array();
+	this.SearchCost = new Array();
+	this.SearchParent = new Array();
+}
+
+/**
+ * Returns true if the navigation mesh has no walkable cells.
+ * @public
+ */
+CL3D.NavMesh.prototype.isEmpty = function()
+{
+	return this.CellY.length == 0;
+}
+
+/**
+ * Builds the navigation mesh from collision geometry.
+ * @public
+ * @param selector {CL3D.TriangleSelector} triangle selector providing the geometry, for example the one returned by
+ * {@link CL3D.Scene.getCollisionGeometry}().
+ * @returns {Boolean} true if walkable cells were found.
+ */
+CL3D.NavMesh.prototype.build = function(selector)
+{
+	this.clear();
+
+	if (selector == null)
+		return false;
+
+	var tris = new Array();
+	selector.getAllTriangles(null, tris);
+	if (tris.length == 0)
+		return false;
+
+	var i;
+	var t;
+
+	// find size of the grid
+
+	var minX = tris[0].pointA.X;
+	var minZ = tris[0].pointA.Z;
+	var maxX = minX;
+	var maxZ = minZ;
+
+	for (i=0; i<tris.length; ++i)
+	{
+		t = tris[i];
+		minX = Math.min(minX, t.pointA.X, t.pointB.X, t.pointC.X);
+		minZ = Math.min(minZ, t.pointA.Z, t.pointB.Z, t.pointC.Z);
+		maxX = Math.max(maxX, t.pointA.X, t.pointB.X, t.pointC.X);
+		maxZ = Math.max(maxZ, t.pointA.Z, t.pointB.Z, t.pointC.Z);
+	}
+
+	var cs = this.CellSize > 0 ? this.CellSize : this.AgentRadius * 0.5;
+	var maxExtent = Math.max(maxX - minX, maxZ - minZ);
+	if (maxExtent > cs * this.MaxGridSize)
+		cs = maxExtent / this.MaxGridSize;
+	if (!(cs > 0))
+		cs = 1;
+
+	this.UsedCellSize = cs;
+	this.OriginX = minX;
+	this.OriginZ = minZ;
+	this.Width = Math.floor((maxX - minX) / cs) + 1;
+	this.Depth = Math.floor((maxZ - minZ) / cs) + 1;
+
+	// rasterize the triangles into height ranges for every grid position
+
+	var raw = new Array(this.Width * this.Depth);
+	var cosSlope = Math.cos(this.MaxSlope * CL3D.DEGTORAD);
+
+	for (i=0; i<tris.length; ++i)
+	{
+		t = tris[i];
+
+		var normal = t.getNormal();
+		var len = normal.getLength();
+		if (len == 0)
+			continue;
+
+		this.rasterizeTriangle(t, normal.Y / len >= cosSlope, raw);
+	}
+
+	// merge the ranges and find the walkable cells
+
+	for (i=0; i<raw.length; ++i)
+		if (raw[i])
+			this.createCellsForColumn(i, raw[i]);
+
+	// connect and erode
+
+	for (i=0; i<this.CellY.length; ++i)
+		this.linkCell(i);
+
+	this.erode(Math.ceil(this.AgentRadius / cs));
+
+	return !this.isEmpty();
+}
+
+/**
+ * Adds the height ranges covered by a triangle to the grid positions it overlaps.
+ * @private
+ */
+CL3D.NavMesh.prototype.rasterizeTriangle = function(t, walkable, raw)
+{
+	var cs = this.UsedCellSize;
+	var poly = [ t.pointA.X, t.pointA.Y, t.pointA.Z,
+	             t.pointB.X, t.pointB.Y, t.pointB.Z,
+	             t.pointC.X, t.pointC.Y, t.pointC.Z ];
+
+	var x0 = Math.floor((Math.min(poly[0], poly[3], poly[6]) - this.OriginX) / cs);
+	var x1 = Math.floor((Math.max(poly[0], poly[3], poly[6]) - this.OriginX) / cs);
+	var z0 = Math.floor((Math.min(poly[2], poly[5], poly[8]) - this.OriginZ) / cs);
+	var z1 = Math.floor((Math.max(poly[2], poly[5], poly[8]) - this.OriginZ) / cs);
+
+	x0 = CL3D.clamp(x0, 0, this.Width-1);
+	x1 = CL3D.clamp(x1, 0, this.Width-1);
+	z0 = CL3D.clamp(z0, 0, this.Depth-1);
+	z1 = CL3D.clamp(z1, 0, this.Depth-1);
+
+	for (var z=z0; z<=z1; ++z)
+	{
+		var rowMin = this.OriginZ + z * cs;
+		var row = CL3D.NavMesh.clipPolygon(poly, 2, rowMin, 1);
+		row = CL3D.NavMesh.clipPolygon(row, 2, rowMin + cs, -1);
+		if (row.length == 0)
+			continue;
+
+		for (var x=x0; x<=x1; ++x)
+		{
+			var cellMin = this.OriginX + x * cs;
+			var cell = CL3D.NavMesh.clipPolygon(row, 0, cellMin, 1);
+			cell = CL3D.NavMesh.clipPolygon(cell, 0, cellMin + cs, -1);
+			if (cell.length == 0)
+				continue;
+
+			var minY = cell[1];
+			var maxY = cell[1];
+			for (var j=4; j<cell.length; j+=3)
+			{
+				minY = Math.min(minY, cell[j]);
+				maxY = Math.max(maxY, cell[j]);
+			}
+
+			var idx = x + z * this.Width;
+			if (!raw[idx])
+				raw[idx] = new Array();
+
+			raw[idx].push({ Min: minY, Max: maxY, Walkable: walkable });
+		}
+	}
+}
+
+/**
+ * Clips a polygon, stored as flat array of x, y, z coordinates, against an axis aligned plane.
+ * @private
+ * @param axis 0 for x, 2 for z
+ * @param sign 1 to keep the part above the value, -1 to keep the part below
+ */
+CL3D.NavMesh.clipPolygon = function(poly, axis, value, sign)
+{
+	var ret = new Array();
+	var cnt = poly.length / 3;
+
+	for (var i=0; i<cnt; ++i)
+	{
+		var a = i*3;
+		var b = ((i+1) % cnt)*3;
+		var da = (poly[a+axis] - value) * sign;
+		var db = (poly[b+axis] - value) * sign;
+
+		if (da >= 0)
+			ret.push(poly[a], poly[a+1], poly[a+2]);
+
+		if ((da >= 0) != (db >= 0))
+		{
+			var f = da / (da - db);
+			ret.push(poly[a] + (poly[b] - poly[a]) * f,
+			         poly[a+1] + (poly[b+1] - poly[a+1]) * f,
+			         poly[a+2] + (poly[b+2] - poly[a+2]) * f);
+		}
+	}
+
+	return ret;
+}
+
+/**
+ * Merges the height ranges of one grid position and creates cells for all walkable surfaces with enough space above.
+ * @private
+ */
+CL3D.NavMesh.prototype.createCellsForColumn = function(column, ranges)
+{
+	ranges.sort(function(a, b) { return a.Min - b.Min; });
+
+	var merged = new Array();
+	var cur = { Min: ranges[0].Min, Max: ranges[0].Max, Walkable: ranges[0].Walkable };
+	var touchEps = this.UsedCellSize * 0.001;
+	var i;
+
+	for (i=1; i<ranges.length; ++i)
+	{
+		var r = ranges[i];
+
+		if (r.Min > cur.Max + touchEps)
+		{
+			merged.push(cur);
+			cur = { Min: r.Min, Max: r.Max, Walkable: r.Walkable };
+			continue;
+		}
+
+		// overlapping: the surface on top decides if it is walkable, if two surfaces
+		// are nearly at the same height, one of them being walkable is enough
+
+		if (r.Max > cur.Max)
+		{
+			cur.Walkable = (r.Max - cur.Max <= this.MaxClimb) ? (r.Walkable || cur.Walkable) : r.Walkable;
+			cur.Max = r.Max;
+		}
+		else
+		if (cur.Max - r.Max <= this.MaxClimb)
+			cur.Walkable = cur.Walkable || r.Walkable;
+	}
+
+	merged.push(cur);
+
+	var cells = null;
+
+	for (i=0; i<merged.length; ++i)
+	{
+		if (!merged[i].Walkable)
+			continue;
+
+		var ceiling = (i+1 < merged.length) ? merged[i+1].Min : Infinity;
+		if (ceiling - merged[i].Max < this.AgentHeight)
+			continue;
+
+		if (cells == null)
+			cells = new Array();
+
+		cells.push(this.CellY.length);
+		this.CellY.push(merged[i].Max);
+		this.CellCeiling.push(ceiling);
+		this.CellColumn.push(column);
+		this.Links.push(-1, -1, -1, -1);
+	}
+
+	this.Columns[column] = cells;
+}
+
+/**
+ * Connects a cell to the cells of neighbour grid positions which can be reached from it.
+ * @private
+ */
+CL3D.NavMesh.prototype.linkCell = function(cell)
+{
+	var column = this.CellColumn[cell];
+	var x = column % this.Width;
+	var z = (column - x) / this.Width;
+	var y = this.CellY[cell];
+
+	for (var d=0; d<4; ++d)
+	{
+		var nx = x + CL3D.NavMesh.DIR_X[d];
+		var nz = z + CL3D.NavMesh.DIR_Z[d];
+		if (nx < 0 || nz < 0 || nx >= this.Width || nz >= this.Depth)
+			continue;
+
+		var cells = this.Columns[nx + nz * this.Width];
+		if (cells == null)
+			continue;
+
+		var best = -1;
+		var bestDiff = 0;
+
+		for (var i=0; i<cells.length; ++i)
+		{
+			var other = cells[i];
+			var diff = Math.abs(this.CellY[other] - y);
+			if (diff > this.MaxClimb)
+				continue;
+
+			// enough space to walk over the step
+			var space = Math.min(this.CellCeiling[cell], this.CellCeiling[other]) - Math.max(y, this.CellY[other]);
+			if (space < this.AgentHeight)
+				continue;
+
+			if (best == -1 || diff < bestDiff)
+			{
+				best = other;
+				bestDiff = diff;
+			}
+		}
+
+		this.Links[cell*4+d] = best;
+	}
+}
+
+/**
+ * Removes all cells nearer to walls and edges than the given number of cells.
+ * @private
+ */
+CL3D.NavMesh.prototype.erode = function(iterations)
+{
+	var cellCount = this.CellY.length;
+	var removed = new Array(cellCount);
+	var i;
+	var d;
+
+	for (var it=0; it<iterations; ++it)
+	{
+		var border = new Array();
+
+		for (i=0; i<cellCount; ++i)
+		{
+			if (removed[i])
+				continue;
+
+			for (d=0; d<4; ++d)
+				if (this.Links[i*4+d] == -1)
+				{
+					border.push(i);
+					break;
+				}
+		}
+
+		if (border.length == 0)
+			break;
+
+		for (i=0; i<border.length; ++i)
+			removed[border[i]] = true;
+
+		for (i=0; i<border.length; ++i)
+			this.unlinkCell(border[i]);
+	}
+
+	// remove the cells from the grid
+
+	for (i=0; i<this.Columns.length; ++i)
+	{
+		var cells = this.Columns[i];
+		if (cells == null)
+			continue;
+
+		var remaining = new Array();
+		for (var j=0; j<cells.length; ++j)
+			if (!removed[cells[j]])
+				remaining.push(cells[j]);
+
+		this.Columns[i] = remaining.length ? remaining : null;
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.NavMesh.prototype.unlinkCell = function(cell)
+{
+	for (var d=0; d<4; ++d)
+	{
+		var other = this.Links[cell*4+d];
+		if (other == -1)
+			continue;
+
+		var back = (d+2) % 4;
+		if (this.Links[other*4+back] == cell)
+			this.Links[other*4+back] = -1;
+
+		this.Links[cell*4+d] = -1;
+	}
+}
+
+/**
+ * Returns the walkable cell for a position, or -1 if there is no walkable cell near it.
+ * If there is no walkable cell at the position itself, the nearest one not above it is returned,
+ * or if there is none, any cell at the position.
+ * @private
+ */
+CL3D.NavMesh.prototype.findCell = function(x, y, z)
+{
+	if (this.isEmpty())
+		return -1;
+
+	var cs = this.UsedCellSize;
+	var gx = Math.floor((x - this.OriginX) / cs);
+	var gz = Math.floor((z - this.OriginZ) / cs);
+
+	var cell = this.findCellInColumn(gx, gz, y, false);
+	if (cell != -1)
+		return cell;
+
+	// search around the position, ring by ring
+
+	var maxRing = Math.max(this.Width, this.Depth) + Math.max(Math.abs(gx), Math.abs(gz));
+
+	for (var r=1; r<=maxRing; ++r)
+	{
+		var best = -1;
+		var bestDist = 0;
+
+		for (var i=-r; i<=r; ++i)
+			for (var side=0; side<4; ++side)
+			{
+				var cx, cz;
+				switch(side)
+				{
+				case 0: cx = gx + i; cz = gz - r; break;
+				case 1: cx = gx + i; cz = gz + r; break;
+				case 2: cx = gx - r; cz = gz + i; if (i == -r || i == r) continue; break;
+				default: cx = gx + r; cz = gz + i; if (i == -r || i == r) continue; break;
+				}
+
+				cell = this.findCellInColumn(cx, cz, y, false);
+				if (cell == -1)
+					continue;
+
+				var dx = this.OriginX + (cx + 0.5) * cs - x;
+				var dz = this.OriginZ + (cz + 0.5) * cs - z;
+				var dist = dx*dx + dz*dz;
+
+				if (best == -1 || dist < bestDist)
+				{
+					best = cell;
+					bestDist = dist;
+				}
+			}
+
+		if (best != -1)
+			return best;
+	}
+
+	return this.findCellInColumn(gx, gz, y, true);
+}
+
+/**
+ * Returns the cell of a grid position to be used for something at the given height: the highest cell not more than
+ * a climbable step above it or, if there is none and allowAbove is true, the lowest one.
+ * @private
+ */
+CL3D.NavMesh.prototype.findCellInColumn = function(gx, gz, y, allowAbove)
+{
+	if (gx < 0 || gz < 0 || gx >= this.Width || gz >= this.Depth)
+		return -1;
+
+	var cells = this.Columns[gx + gz * this.Width];
+	if (cells == null)
+		return -1;
+
+	var best = -1;
+	var lowest = -1;
+
+	for (var i=0; i<cells.length; ++i)
+	{
+		var c = cells[i];
+		var cy = this.CellY[c];
+
+		if (cy <= y + this.MaxClimb && (best == -1 || cy > this.CellY[best]))
+			best = c;
+
+		if (lowest == -1 || cy < this.CellY[lowest])
+			lowest = c;
+	}
+
+	return (best != -1 || !allowAbove) ? best : lowest;
+}
+
+/**
+ * Returns the center of a cell.
+ * @private
+ */
+CL3D.NavMesh.prototype.getCellCenter = function(cell)
+{
+	var column = this.CellColumn[cell];
+	var x = column % this.Width;
+	var z = (column - x) / this.Width;
+
+	return new CL3D.Vect3d(this.OriginX + (x + 0.5) * this.UsedCellSize,
+	                       this.CellY[cell],
+	                       this.OriginZ + (z + 0.5) * this.UsedCellSize);
+}
+
+/**
+ * Returns the nearest position on the navigation mesh to the given one, or null if the navigation mesh is empty.
+ * @public
+ * @param pos {CL3D.Vect3d} position
+ * @returns {CL3D.Vect3d} the position on the navigation mesh
+ */
+CL3D.NavMesh.prototype.getClosestPoint = function(pos)
+{
+	var cell = this.findCell(pos.X, pos.Y, pos.Z);
+	if (cell == -1)
+		return null;
+
+	return this.getPointInCell(cell, pos);
+}
+
+/**
+ * Returns the position inside of a cell nearest to the given one.
+ * @private
+ */
+CL3D.NavMesh.prototype.getPointInCell = function(cell, pos)
+{
+	var center = this.getCellCenter(cell);
+	var h = this.UsedCellSize * 0.5;
+
+	return new CL3D.Vect3d(CL3D.clamp(pos.X, center.X - h, center.X + h),
+	                       center.Y,
+	                       CL3D.clamp(pos.Z, center.Z - h, center.Z + h));
+}
+
+/**
+ * Finds a path between two positions. The path walks around obstacles and is smoothed, so that it only contains
+ * the points where the direction changes.
+ * @public
+ * @param start {CL3D.Vect3d} start position, for example the position of a character
+ * @param end {CL3D.Vect3d} target position. If it is not on the navigation mesh, the nearest position on it is used.
+ * If it cannot be reached from the start position, the path leads to the nearest position which can be reached.
+ * @returns {Array} an array of {@link CL3D.Vect3d} positions to walk through to reach the target, not including
+ * the start position. The last position is the target. Returns null if the start position is not on the navigation mesh.
+ * If the target is too far away to be found within {@link MaxSearchCells}, the path only leads towards it.
+ */
+CL3D.NavMesh.prototype.findPath = function(start, end)
+{
+	var startCell = this.findCell(start.X, start.Y, start.Z);
+	var endCell = this.findCell(end.X, end.Y, end.Z);
+
+	if (startCell == -1 || endCell == -1)
+		return null;
+
+	var cells = this.findCellPath(startCell, endCell);
+	endCell = cells[cells.length-1];
+
+	// positions of the path, from the start position through the centers of all cells to the target
+
+	var points = new Array();
+	var i;
+
+	points.push(this.getPointInCell(startCell, start));
+	for (i=1; i<cells.length-1; ++i)
+		points.push(this.getCellCenter(cells[i]));
+	points.push(this.getPointInCell(endCell, end));
+
+	if (cells.length == 1)
+		cells.push(endCell);
+
+	// smooth the path by skipping all points which can be reached by walking straight
+
+	var ret = new Array();
+	var current = 0;
+
+	while (current < points.length - 1)
+	{
+		var next = current + 1;
+
+		while (next + 1 < points.length &&
+		       this.isWalkableStraight(cells[current], points[current], cells[next+1], points[next+1]))
+			++next;
+
+		ret.push(points[next]);
+		current = next;
+	}
+
+	return ret;
+}
+
+/**
+ * Returns if it is possible to walk straight from one position to another, without leaving the navigation mesh.
+ * @private
+ */
+CL3D.NavMesh.prototype.isWalkableStraight = function(startCell, start, endCell, end)
+{
+	var cs = this.UsedCellSize;
+	var gx = (start.X - this.OriginX) / cs;
+	var gz = (start.Z - this.OriginZ) / cs;
+	var hx = (end.X - this.OriginX) / cs;
+	var hz = (end.Z - this.OriginZ) / cs;
+
+	var column = this.CellColumn[startCell];
+	var x = column % this.Width;
+	var z = (column - x) / this.Width;
+
+	column = this.CellColumn[endCell];
+	var tx = column % this.Width;
+	var tz = (column - tx) / this.Width;
+
+	var dx = hx - gx;
+	var dz = hz - gz;
+	var dirX = dx > 0 ? 0 : 2;
+	var dirZ = dz > 0 ? 1 : 3;
+
+	// distances along the line to the next cell borders
+
+	var deltaX = dx != 0 ? 1 / Math.abs(dx) : Infinity;
+	var deltaZ = dz != 0 ? 1 / Math.abs(dz) : Infinity;
+	var nextX = dx != 0 ? (dx > 0 ? (x + 1 - gx) : (gx - x)) * deltaX : Infinity;
+	var nextZ = dz != 0 ? (dz > 0 ? (z + 1 - gz) : (gz - z)) * deltaZ : Infinity;
+
+	var cell = startCell;
+	var steps = Math.abs(tx - x) + Math.abs(tz - z);
+
+	while (steps > 0 && cell != -1)
+	{
+		if (Math.abs(nextX - nextZ) < 0.000001)
+		{
+			// through a corner: both neighbours have to be walkable
+			var a = this.Links[cell*4+dirX];
+			var b = this.Links[cell*4+dirZ];
+			var viaA = a != -1 ? this.Links[a*4+dirZ] : -1;
+			var viaB = b != -1 ? this.Links[b*4+dirX] : -1;
+
+			cell = (viaA == viaB) ? viaA : -1;
+			nextX += deltaX;
+			nextZ += deltaZ;
+			steps -= 2;
+		}
+		else
+		if (nextX < nextZ)
+		{
+			cell = this.Links[cell*4+dirX];
+			nextX += deltaX;
+			--steps;
+		}
+		else
+		{
+			cell = this.Links[cell*4+dirZ];
+			nextZ += deltaZ;
+			--steps;
+		}
+	}
+
+	return cell == endCell;
+}
+
+/**
+ * Finds the cells to walk through from one cell to another using A*, including both.
+ * If the cells aren't connected, returns the way to the cell nearest to the target which can be reached.
+ * @private
+ */
+CL3D.NavMesh.prototype.findCellPath = function(startCell, endCell)
+{
+	this.SearchLimitReached = false;
+
+	if (startCell == endCell)
+		return [ startCell ];
+
+	if (this.SearchCost.length != this.CellY.length)
+	{
+		// typed arrays with one entry per cell, filling normal arrays at random indices would make them slow
+		var cellCount = this.CellY.length;
+		this.SearchVisited = new Int32Array(cellCount);
+		this.SearchClosed = new Int32Array(cellCount);
+		this.SearchCost = new Float64Array(cellCount);
+		this.SearchParent = new Int32Array(cellCount);
+		this.SearchId = 0;
+	}
+
+	++this.SearchId;
+	var id = this.SearchId;
+	var cs = this.UsedCellSize;
+	var diagonalCost = cs * Math.SQRT2;
+
+	var endColumn = this.CellColumn[endCell];
+	var endX = endColumn % this.Width;
+	var endZ = (endColumn - endX) / this.Width;
+	var me = this;
+
+	var heuristic = function(cell)
+	{
+		var column = me.CellColumn[cell];
+		var x = column % me.Width;
+		var z = (column - x) / me.Width;
+		var ax = Math.abs(x - endX);
+		var az = Math.abs(z - endZ);
+		return (Math.max(ax, az) - Math.min(ax, az)) * cs + Math.min(ax, az) * diagonalCost;
+	};
+
+	var open = new CL3D.NavMeshOpenList();
+	var searchedCells = 0;
+	var nearestCell = startCell;
+	var nearestDist = heuristic(startCell);
+
+	this.SearchVisited[startCell] = id;
+	this.SearchCost[startCell] = 0;
+	this.SearchParent[startCell] = -1;
+	open.push(startCell, heuristic(startCell));
+
+	var visit = function(from, to, stepCost)
+	{
+		if (me.SearchClosed[to] == id)
+			return;
+
+		var cost = me.SearchCost[from] + stepCost + Math.abs(me.CellY[to] - me.CellY[from]);
+
+		if (me.SearchVisited[to] == id && me.SearchCost[to] <= cost)
+			return;
+
+		me.SearchVisited[to] = id;
+		me.SearchCost[to] = cost;
+		me.SearchParent[to] = from;
+		open.push(to, cost + heuristic(to));
+	};
+
+	while (!open.isEmpty())
+	{
+		var cell = open.pop();
+
+		if (this.SearchClosed[cell] == id)
+			continue; // already reached with lower cost
+
+		if (cell == endCell)
+		{
+			nearestCell = endCell;
+			break;
+		}
+
+		if (++searchedCells > this.MaxSearchCells)
+		{
+			this.SearchLimitReached = true;
+			break;
+		}
+
+		this.SearchClosed[cell] = id;
+
+		var dist = heuristic(cell);
+		if (dist < nearestDist)
+		{
+			nearestCell = cell;
+			nearestDist = dist;
+		}
+
+		for (var d=0; d<4; ++d)
+		{
+			var a = this.Links[cell*4+d];
+			if (a == -1)
+				continue;
+
+			visit(cell, a, cs);
+
+			// diagonal, only if both ways around the corner are walkable
+			var d2 = (d+1) % 4;
+			var b = this.Links[cell*4+d2];
+			if (b == -1)
+				continue;
+
+			var diag = this.Links[a*4+d2];
+			if (diag != -1 && diag == this.Links[b*4+d])
+				visit(cell, diag, diagonalCost);
+		}
+	}
+
+	var ret = new Array();
+	for (var c=nearestCell; c != -1; c=this.SearchParent[c])
+		ret.push(c);
+
+	ret.reverse();
+	return ret;
+}
+
+// ------------------------------------------------------------------------------------------------------
+// NavMeshOpenList
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * Binary heap of cells sorted by cost, used for finding paths.
+ * @private
+ * @constructor
+ */
+CL3D.NavMeshOpenList = function()
+{
+	this.Items = new Array();
+	this.Costs = new Array();
+}
+
+/**
+ * @private
+ */
+CL3D.NavMeshOpenList.prototype.isEmpty = function()
+{
+	return this.Items.length == 0;
+}
+
+/**
+ * @private
+ */
+CL3D.NavMeshOpenList.prototype.push = function(item, cost)
+{
+	var i = this.Items.length;
+	this.Items.push(item);
+	this.Costs.push(cost);
+
+	while (i > 0)
+	{
+		var parent = (i - 1) >> 1;
+		if (this.Costs[parent] <= cost)
+			break;
+
+		this.Items[i] = this.Items[parent];
+		this.Costs[i] = this.Costs[parent];
+		i = parent;
+	}
+
+	this.Items[i] = item;
+	this.Costs[i] = cost;
+}
+
+/**
+ * Removes and returns the item with the lowest cost.
+ * @private
+ */
+CL3D.NavMeshOpenList.prototype.pop = function()
+{
+	var ret = this.Items[0];
+	var lastItem = this.Items.pop();
+	var lastCost = this.Costs.pop();
+	var cnt = this.Items.length;
+
+	if (cnt == 0)
+		return ret;
+
+	var i = 0;
+	while (true)
+	{
+		var child = i*2 + 1;
+		if (child >= cnt)
+			break;
+
+		if (child + 1 < cnt && this.Costs[child+1] < this.Costs[child])
+			++child;
+
+		if (this.Costs[child] >= lastCost)
+			break;
+
+		this.Items[i] = this.Items[child];
+		this.Costs[i] = this.Costs[child];
+		i = child;
+	}
+
+	this.Items[i] = lastItem;
+	this.Costs[i] = lastCost;
+	return ret;
+}
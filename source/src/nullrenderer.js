@@ -0,0 +1,303 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Renderer which draws nothing, used by {@link CopperLicht} engines running headless, without canvas and WebGL.
+ * For example in node.js, for simulating scenes on a server or running automated tests of the game logic.
+ * It has the same interface as the {@link CL3D.Renderer} where it is needed for animating scenes and running scripts,
+ * but all drawing functions do nothing. You can access it using {@link CopperLicht}.getRenderer().
+ * @constructor
+ * @public
+ * @class Renderer which draws nothing, for running the engine headless.
+ * @param {Number} width width of the simulated screen in pixels, used for example by scripts and 2D overlays. Default is 640.
+ * @param {Number} height height of the simulated screen in pixels. Default is 480.
+ */
+CL3D.NullRenderer = function(width, height)
+{
+	this.width = width ? width : 640;
+	this.height = height ? height : 480;
+	this.textureWasLoadedFlag = false;
+
+	this.Projection = new CL3D.Matrix4();
+	this.View = new CL3D.Matrix4();
+	this.World = new CL3D.Matrix4();
+
+	this.MaterialPrograms = new Array();
+	this.OnChangeMaterial = null;
+}
+
+/**
+ * Returns the width of the simulated screen.
+ * @public
+ */
+CL3D.NullRenderer.prototype.getWidth = function()
+{
+	return this.width;
+}
+
+/**
+ * Returns the height of the simulated screen.
+ * @public
+ */
+CL3D.NullRenderer.prototype.getHeight = function()
+{
+	return this.height;
+}
+
+/**
+ * Sets the size of the simulated screen.
+ * @public
+ * @param {Number} width width in pixels
+ * @param {Number} height height in pixels
+ */
+CL3D.NullRenderer.prototype.setSize = function(width, height)
+{
+	this.width = width;
+	this.height = height;
+}
+
+/**
+ * Always returns null, there is no WebGL context.
+ * @public
+ */
+CL3D.NullRenderer.prototype.getWebGL = function()
+{
+	return null;
+}
+
+/**
+ * @public
+ */
+CL3D.NullRenderer.prototype.isWebGL2 = function()
+{
+	return false;
+}
+
+/**
+ * @public
+ */
+CL3D.NullRenderer.prototype.isInstancingSupported = function()
+{
+	return false;
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.getAndResetTextureWasLoadedFlag = function()
+{
+	var b = this.textureWasLoadedFlag;
+	this.textureWasLoadedFlag = false;
+	return b;
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.finalizeLoadedImageTexture = function(t)
+{
+	this.textureWasLoadedFlag = true;
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.createTextureFrom2DCanvas = function(canvas, nonscaling)
+{
+	return null;
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.updateTextureFrom2DCanvas = function(t, canvas, nonscaling)
+{
+	return t;
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.deleteTexture = function(tex)
+{
+}
+
+/**
+ * Does nothing, there are no shaders without WebGL.
+ * @public
+ * @returns {Integer} always -1
+ */
+CL3D.NullRenderer.prototype.createMaterialType = function(vertexShaderSource, fragmentShaderSource, blendenabled, blendsfactor, blenddfactor)
+{
+	return -1;
+}
+
+/**
+ * Sets the projection transformation matrix.
+ * @public
+ */
+CL3D.NullRenderer.prototype.setProjection = function(m)
+{
+	m.copyTo(this.Projection);
+}
+
+/**
+ * Returns the projection transformation matrix.
+ * @public
+ */
+CL3D.NullRenderer.prototype.getProjection = function()
+{
+	return this.Projection;
+}
+
+/**
+ * Sets the view transformation matrix.
+ * @public
+ */
+CL3D.NullRenderer.prototype.setView = function(m)
+{
+	m.copyTo(this.View);
+}
+
+/**
+ * Returns the view transformation matrix.
+ * @public
+ */
+CL3D.NullRenderer.prototype.getView = function()
+{
+	return this.View;
+}
+
+/**
+ * Sets the world transformation matrix.
+ * @public
+ */
+CL3D.NullRenderer.prototype.setWorld = function(m)
+{
+	if (m)
+		m.copyTo(this.World);
+}
+
+/**
+ * Returns the world transformation matrix.
+ * @public
+ */
+CL3D.NullRenderer.prototype.getWorld = function()
+{
+	return this.World;
+}
+
+/**
+ * Always returns null, there are no render targets.
+ * @public
+ */
+CL3D.NullRenderer.prototype.getRenderTarget = function()
+{
+	return null;
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.registerFrame = function()
+{
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.beginScene = function(clearColor)
+{
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.endScene = function()
+{
+}
+
+/**
+ * Does nothing.
+ * @public
+ */
+CL3D.NullRenderer.prototype.drawMesh = function(mesh)
+{
+}
+
+/**
+ * Does nothing.
+ * @public
+ */
+CL3D.NullRenderer.prototype.draw2DRectangle = function(x, y, width, height, color, blend)
+{
+}
+
+/**
+ * Does nothing.
+ * @public
+ */
+CL3D.NullRenderer.prototype.draw2DImage = function(x, y, width, height, tex, blend, shaderToUse, srcRightX, srcBottomY)
+{
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.draw2DFontImage = function(x, y, width, height, tex, color)
+{
+}
+
+/**
+ * Does nothing.
+ * @public
+ */
+CL3D.NullRenderer.prototype.draw3DLine = function(vect3dFrom, vect3dTo, color)
+{
+}
+
+/**
+ * Does nothing.
+ * @public
+ */
+CL3D.NullRenderer.prototype.draw3DLine3d = function(line, color)
+{
+}
+
+/**
+ * Does nothing.
+ * @public
+ */
+CL3D.NullRenderer.prototype.draw3DBox = function(box, color)
+{
+}
+
+/**
+ * Does nothing.
+ * @public
+ */
+CL3D.NullRenderer.prototype.draw3DFrustrum = function(frustrum, color)
+{
+}
+
+/**
+ * Does nothing.
+ * @public
+ */
+CL3D.NullRenderer.prototype.draw3DPath = function(path, color, segmentsPerPathNode)
+{
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.flush3DLines = function(keepLines)
+{
+}
+
+/**
+ * @private
+ */
+CL3D.NullRenderer.prototype.clear3DLines = function()
+{
+}
@@ -40,6 +40,7 @@ CL3D.Overlay2DSceneNode = function(engine)
 	this.SizeRelativeHeight = 1.0 / 6.0;
 	
 	this.SizeModeIsAbsolute = true;
+	this.Layer = 0;
 	
 	// what it looks like
 	
@@ -104,6 +105,16 @@ CL3D.Overlay2DSceneNode.prototype.TextColor = 0;
  */
 CL3D.Overlay2DSceneNode.prototype.TextAlignment = 1;
 
+/**
+ * Layer of the overlay. When the scene is drawn into viewports, overlays are drawn over the viewports whose 
+ * {@link CL3D.Viewport.OverlayLayer} is the same, with positions relative to the viewport. Overlays of layer 0
+ * are drawn over the whole canvas. Without viewports, the layer isn't used.
+ * @public
+ * @type Number
+ * @default 0
+ */
+CL3D.Overlay2DSceneNode.prototype.Layer = 0;
+
 /** 
  * @private
  */
@@ -223,6 +234,14 @@ CL3D.Overlay2DSceneNode.prototype.render = function(renderer)
 	{
 		var mposx = this.engine.getMouseX();
 		var mposy = this.engine.getMouseY();
+		
+		// while drawn into a viewport, positions are relative to it
+		var viewport = renderer.getViewport();
+		if (viewport)
+		{
+			mposx -= viewport.X;
+			mposy -= viewport.Y;
+		}
 	
 		// is point inside rect
 		bHovering = (rctTarget.x <= mposx && rctTarget.y <= mposy &&
@@ -553,23 +572,40 @@ CL3D.Overlay2DSceneNode.prototype.getScreenCoordinatesRect = function(adjustForV
 {	
 	var w = renderer.getWidth();
 	var h = renderer.getHeight();
+	var x = 0;
+	var y = 0;
 	//core::dimension2d<s32> screensize = driver->getScreenSize();
+	
+	// overlays of a viewport are placed inside of it. While the viewport is being drawn, the renderer already uses its coordinates.
+	
+	if (this.Layer != 0 && this.scene != null && renderer.getViewport() == null)
+	{
+		var vp = this.scene.getViewportWithOverlayLayer(this.Layer);
+		if (vp)
+		{
+			var rc = vp.getScreenRect(w, h);
+			x = rc.X;
+			y = rc.Y;
+			w = rc.Width;
+			h = rc.Height;
+		}
+	}
 
 	var retobj = new Object();
 
 	if (this.SizeModeIsAbsolute)
 	{
 		// use absolute coordinates
-		retobj.x = this.PosAbsoluteX;
-		retobj.y = this.PosAbsoluteY;
+		retobj.x = x + this.PosAbsoluteX;
+		retobj.y = y + this.PosAbsoluteY;
 		retobj.w = this.SizeAbsoluteWidth;
 		retobj.h = this.SizeAbsoluteHeight;
 	}
 	else
 	{
 		// use relative coordinates
-		retobj.x = this.PosRelativeX * w;
-		retobj.y = this.PosRelativeY * h;
+		retobj.x = x + this.PosRelativeX * w;
+		retobj.y = y + this.PosRelativeY * h;
 		retobj.w = this.SizeRelativeWidth * w;
 		retobj.h = this.SizeRelativeHeight * h;
 	}
@@ -596,6 +632,7 @@ CL3D.Overlay2DSceneNode.prototype.createClone = function(newparent, oldNodeId, n
 	c.SizeRelativeHeight = this.SizeRelativeHeight;
 	
 	c.SizeModeIsAbsolute = this.SizeModeIsAbsolute;
+	c.Layer = this.Layer;
 	
 	// other properties
 	
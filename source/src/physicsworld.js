@@ -0,0 +1,1074 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+// ------------------------------------------------------------------------------------------------------
+// PhysicsBody
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * A rigid body simulated by a {@link CL3D.PhysicsWorld}. A body has a simple collision shape (box, sphere or capsule),
+ * a mass and a linear velocity. Shapes are always axis aligned, rotation of bodies is not simulated.
+ * A body with a mass of 0 is treated as kinematic: It isn't moved by gravity or collisions, but other bodies collide with it.<br/>
+ * Usually, you don't need to create bodies yourself, simply attach an {@link CL3D.AnimatorRigidBody} to a scene node.
+ * @constructor
+ * @public
+ * @class A rigid body simulated by a {@link CL3D.PhysicsWorld}.
+ * @param shape {Number} shape of the body, one of {@link CL3D.PhysicsBody.SHAPE_BOX}, {@link CL3D.PhysicsBody.SHAPE_SPHERE}
+ * or {@link CL3D.PhysicsBody.SHAPE_CAPSULE}.
+ * @param mass {Number} mass of the body. Set to 0 for kinematic bodies.
+ */
+CL3D.PhysicsBody = function(shape, mass)
+{
+	this.Shape = shape;
+	if (this.Shape == null)
+		this.Shape = CL3D.PhysicsBody.SHAPE_BOX;
+
+	this.HalfExtents = new CL3D.Vect3d(10,10,10);
+	this.Radius = 10;
+	this.HalfHeight = 10;
+
+	this.Position = new CL3D.Vect3d(0,0,0);
+	this.Velocity = new CL3D.Vect3d(0,0,0);
+	this.Force = new CL3D.Vect3d(0,0,0);
+
+	this.Restitution = 0.2;
+	this.Friction = 0.5;
+	this.LinearDamping = 0.05;
+	this.AffectedByGravity = true;
+	this.OnGround = false;
+
+	this.Node = null;
+	this.World = null;
+	this.StaticTriangles = new Array();
+
+	this.setMass(mass == null ? 1.0 : mass);
+}
+
+/**
+ * Constant for {@link CL3D.PhysicsBody}: Shape is an axis aligned box, see {@link CL3D.PhysicsBody.HalfExtents}.
+ * @const
+ * @public
+ */
+CL3D.PhysicsBody.SHAPE_BOX = 0;
+
+/**
+ * Constant for {@link CL3D.PhysicsBody}: Shape is a sphere, see {@link CL3D.PhysicsBody.Radius}.
+ * @const
+ * @public
+ */
+CL3D.PhysicsBody.SHAPE_SPHERE = 1;
+
+/**
+ * Constant for {@link CL3D.PhysicsBody}: Shape is a capsule along the y axis, see {@link CL3D.PhysicsBody.Radius} and
+ * {@link CL3D.PhysicsBody.HalfHeight}.
+ * @const
+ * @public
+ */
+CL3D.PhysicsBody.SHAPE_CAPSULE = 2;
+
+/**
+ * Half of the size of the box, if the shape of the body is {@link CL3D.PhysicsBody.SHAPE_BOX}.
+ * @public
+ * @type Vect3d
+ */
+CL3D.PhysicsBody.prototype.HalfExtents = null;
+
+/**
+ * Radius of the sphere or capsule.
+ * @public
+ * @type Number
+ */
+CL3D.PhysicsBody.prototype.Radius = 10;
+
+/**
+ * Half of the distance between the centers of the two hemispheres of a capsule. The total height of the capsule
+ * is 2*HalfHeight + 2*Radius.
+ * @public
+ * @type Number
+ */
+CL3D.PhysicsBody.prototype.HalfHeight = 10;
+
+/**
+ * Center of the body in world space.
+ * @public
+ * @type Vect3d
+ */
+CL3D.PhysicsBody.prototype.Position = null;
+
+/**
+ * Linear velocity of the body in units per second.
+ * @public
+ * @type Vect3d
+ */
+CL3D.PhysicsBody.prototype.Velocity = null;
+
+/**
+ * Bounciness of the body, from 0 (no bounce) to 1 (full bounce).
+ * @public
+ * @type Number
+ */
+CL3D.PhysicsBody.prototype.Restitution = 0.2;
+
+/**
+ * Friction coefficient of the body, usually between 0 and 1.
+ * @public
+ * @type Number
+ */
+CL3D.PhysicsBody.prototype.Friction = 0.5;
+
+/**
+ * Sets the mass of the body. Use 0 to make the body kinematic.
+ * @public
+ * @param mass {Number} new mass
+ */
+CL3D.PhysicsBody.prototype.setMass = function(mass)
+{
+	this.Mass = mass;
+	this.InvMass = mass > 0 ? 1.0 / mass : 0;
+}
+
+/**
+ * Returns the mass of the body.
+ * @public
+ */
+CL3D.PhysicsBody.prototype.getMass = function()
+{
+	return this.Mass;
+}
+
+/**
+ * Returns true if the body is kinematic, i.e. isn't moved by the simulation.
+ * @public
+ */
+CL3D.PhysicsBody.prototype.isKinematic = function()
+{
+	return this.InvMass == 0;
+}
+
+/**
+ * Sets the linear velocity of the body, in units per second.
+ * @public
+ * @param v {CL3D.Vect3d} new velocity
+ */
+CL3D.PhysicsBody.prototype.setVelocity = function(v)
+{
+	this.Velocity = v.clone();
+}
+
+/**
+ * Returns the linear velocity of the body, in units per second.
+ * @public
+ * @returns {CL3D.Vect3d} velocity
+ */
+CL3D.PhysicsBody.prototype.getVelocity = function()
+{
+	return this.Velocity.clone();
+}
+
+/**
+ * Applies an impulse to the body, changing its velocity by impulse / mass immediately.
+ * Has no effect on kinematic bodies.
+ * @public
+ * @param impulse {CL3D.Vect3d} the impulse
+ */
+CL3D.PhysicsBody.prototype.applyImpulse = function(impulse)
+{
+	this.Velocity.addToThis(impulse.multiplyWithScal(this.InvMass));
+}
+
+/**
+ * Applies a force to the body during the next simulation step.
+ * Has no effect on kinematic bodies.
+ * @public
+ * @param force {CL3D.Vect3d} the force
+ */
+CL3D.PhysicsBody.prototype.applyForce = function(force)
+{
+	this.Force.addToThis(force);
+}
+
+/**
+ * Returns the world space bounding box of the shape of the body.
+ * @public
+ * @returns {CL3D.Box3d} bounding box
+ */
+CL3D.PhysicsBody.prototype.getBoundingBox = function()
+{
+	var ext;
+
+	if (this.Shape == CL3D.PhysicsBody.SHAPE_BOX)
+		ext = this.HalfExtents.clone();
+	else
+	if (this.Shape == CL3D.PhysicsBody.SHAPE_SPHERE)
+		ext = new CL3D.Vect3d(this.Radius, this.Radius, this.Radius);
+	else
+		ext = new CL3D.Vect3d(this.Radius, this.Radius + this.HalfHeight, this.Radius);
+
+	var box = new CL3D.Box3d();
+	box.MinEdge = this.Position.substract(ext);
+	box.MaxEdge = this.Position.add(ext);
+	return box;
+}
+
+/**
+ * Returns the start and end point of the core segment of a sphere or capsule, spheres have a segment of length 0.
+ * @private
+ */
+CL3D.PhysicsBody.prototype.getSegment = function()
+{
+	var h = this.Shape == CL3D.PhysicsBody.SHAPE_CAPSULE ? this.HalfHeight : 0;
+	return [ new CL3D.Vect3d(this.Position.X, this.Position.Y - h, this.Position.Z),
+	         new CL3D.Vect3d(this.Position.X, this.Position.Y + h, this.Position.Z) ];
+}
+
+// ------------------------------------------------------------------------------------------------------
+// PhysicsWorld
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * A simple rigid body physics simulation. Every {@link CL3D.Scene} has one, available using {@link CL3D.Scene.getPhysicsWorld}(),
+ * which is stepped automatically while the scene is animated. Bodies collide with each other and with static triangle
+ * geometry: By default, this is the collision world of the scene (see {@link CL3D.Scene.getCollisionGeometry}), more
+ * geometry can be added using {@link CL3D.PhysicsWorld.addStaticMeshSceneNode} or {@link CL3D.PhysicsWorld.addStaticTriangleSelector}.<br/>
+ * Gravity is taken from the Gravity value of the scene, unless set explicitly with {@link CL3D.PhysicsWorld.setGravity}.
+ * @constructor
+ * @public
+ * @class A simple rigid body physics simulation.
+ * @param scene {CL3D.Scene} the scene this physics world belongs to, can be null.
+ */
+CL3D.PhysicsWorld = function(scene)
+{
+	this.Scene = scene;
+	this.Bodies = new Array();
+	this.StaticGeometry = new CL3D.MetaTriangleSelector();
+	this.UseSceneCollisionWorld = true;
+	this.Gravity = null;
+
+	this.FixedTimeStepMs = 1000 / 60;
+	this.MaxSubSteps = 5;
+	this.Iterations = 4;
+	this.LastStepTime = -1;
+	this.TimeAccumulator = 0;
+}
+
+/**
+ * Scale between the Gravity value of a scene and the acceleration in units per second^2 used by the simulation.
+ * @private
+ */
+CL3D.PhysicsWorld.GRAVITY_SCALE = 100.0;
+
+/**
+ * Adds a body to the simulation.
+ * @public
+ * @param body {CL3D.PhysicsBody} body to add
+ */
+CL3D.PhysicsWorld.prototype.addBody = function(body)
+{
+	if (body.World === this)
+		return;
+
+	if (body.World)
+		body.World.removeBody(body);
+
+	body.World = this;
+	this.Bodies.push(body);
+}
+
+/**
+ * Removes a body from the simulation.
+ * @public
+ * @param body {CL3D.PhysicsBody} body to remove
+ */
+CL3D.PhysicsWorld.prototype.removeBody = function(body)
+{
+	for (var i=0; i<this.Bodies.length; ++i)
+	{
+		if (this.Bodies[i] === body)
+		{
+			this.Bodies.splice(i, 1);
+			body.World = null;
+			return;
+		}
+	}
+}
+
+/**
+ * Returns the body simulating the specified scene node, or null if there is none.
+ * @public
+ * @param node {CL3D.SceneNode} scene node
+ * @returns {CL3D.PhysicsBody} body or null
+ */
+CL3D.PhysicsWorld.prototype.getBodyForNode = function(node)
+{
+	if (node == null)
+		return null;
+
+	for (var i=0; i<this.Bodies.length; ++i)
+		if (this.Bodies[i].Node === node)
+			return this.Bodies[i];
+
+	return null;
+}
+
+/**
+ * Returns the array of all bodies in the simulation.
+ * @public
+ */
+CL3D.PhysicsWorld.prototype.getBodies = function()
+{
+	return this.Bodies;
+}
+
+/**
+ * Adds a triangle selector as static collision geometry.
+ * @public
+ * @param selector {CL3D.TriangleSelector} the selector
+ */
+CL3D.PhysicsWorld.prototype.addStaticTriangleSelector = function(selector)
+{
+	if (selector)
+		this.StaticGeometry.addSelector(selector);
+}
+
+/**
+ * Removes a triangle selector previously added with {@link CL3D.PhysicsWorld.addStaticTriangleSelector}.
+ * @public
+ * @param selector {CL3D.TriangleSelector} the selector
+ */
+CL3D.PhysicsWorld.prototype.removeStaticTriangleSelector = function(selector)
+{
+	this.StaticGeometry.removeSelector(selector);
+}
+
+/**
+ * Adds the mesh of a {@link CL3D.MeshSceneNode} as static collision geometry. Uses the Selector of the node if it has one,
+ * otherwise a new {@link CL3D.MeshTriangleSelector} is created for it.
+ * @public
+ * @param node {CL3D.MeshSceneNode} the scene node
+ * @returns {CL3D.TriangleSelector} the selector used for the node, or null if the node has no mesh
+ */
+CL3D.PhysicsWorld.prototype.addStaticMeshSceneNode = function(node)
+{
+	if (node == null)
+		return null;
+
+	var selector = node.Selector;
+	if (selector == null)
+	{
+		if (node.OwnedMesh == null)
+			return null;
+
+		selector = new CL3D.MeshTriangleSelector(node.OwnedMesh, node);
+	}
+
+	this.addStaticTriangleSelector(selector);
+	return selector;
+}
+
+/**
+ * Sets the gravity of the simulation in units per second^2. Set to null to use the gravity of the scene.
+ * @public
+ * @param gravity {CL3D.Vect3d} gravity vector, or null
+ */
+CL3D.PhysicsWorld.prototype.setGravity = function(gravity)
+{
+	this.Gravity = gravity ? gravity.clone() : null;
+}
+
+/**
+ * Returns the gravity of the simulation in units per second^2.
+ * @public
+ * @returns {CL3D.Vect3d} gravity vector
+ */
+CL3D.PhysicsWorld.prototype.getGravity = function()
+{
+	if (this.Gravity)
+		return this.Gravity.clone();
+
+	var g = this.Scene ? this.Scene.Gravity : 1.0;
+	return new CL3D.Vect3d(0, -g * CL3D.PhysicsWorld.GRAVITY_SCALE, 0);
+}
+
+/**
+ * Advances the simulation to the specified time, in fixed time steps. Called by the scene every frame.
+ * @public
+ * @param timeMs {Number} current time in milliseconds
+ * @returns {Boolean} true if a body was moved
+ */
+CL3D.PhysicsWorld.prototype.step = function(timeMs)
+{
+	if (this.LastStepTime < 0 || this.Bodies.length == 0)
+	{
+		this.LastStepTime = timeMs;
+		return false;
+	}
+
+	var difftime = timeMs - this.LastStepTime;
+	this.LastStepTime = timeMs;
+
+	if (difftime > 250) difftime = 250;
+	if (difftime <= 0)
+		return false;
+
+	this.removeBodiesOfRemovedNodes();
+
+	this.TimeAccumulator += difftime;
+
+	var steps = 0;
+	while (this.TimeAccumulator >= this.FixedTimeStepMs)
+	{
+		this.stepFixed(this.FixedTimeStepMs / 1000.0);
+		this.TimeAccumulator -= this.FixedTimeStepMs;
+
+		++steps;
+		if (steps >= this.MaxSubSteps)
+		{
+			this.TimeAccumulator = 0;
+			break;
+		}
+	}
+
+	return steps > 0;
+}
+
+/**
+ * Removes bodies whose scene nodes have been removed from the scene.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.removeBodiesOfRemovedNodes = function()
+{
+	if (this.Scene == null)
+		return;
+
+	var root = this.Scene.getRootSceneNode();
+
+	for (var i=0; i<this.Bodies.length;)
+	{
+		var n = this.Bodies[i].Node;
+		while (n != null && n !== root)
+			n = n.Parent;
+
+		if (this.Bodies[i].Node != null && n == null)
+		{
+			this.Bodies[i].World = null;
+			this.Bodies.splice(i, 1);
+		}
+		else
+			++i;
+	}
+}
+
+/**
+ * Does one simulation step.
+ * @private
+ * @param dt {Number} time step in seconds
+ */
+CL3D.PhysicsWorld.prototype.stepFixed = function(dt)
+{
+	var gravity = this.getGravity();
+	var i;
+	var j;
+	var b;
+
+	// integrate
+
+	for (i=0; i<this.Bodies.length; ++i)
+	{
+		b = this.Bodies[i];
+		b.OnGround = false;
+
+		if (b.InvMass == 0)
+		{
+			b.Force = new CL3D.Vect3d(0,0,0);
+			continue;
+		}
+
+		var acc = b.Force.multiplyWithScal(b.InvMass);
+		if (b.AffectedByGravity)
+			acc.addToThis(gravity);
+
+		b.Velocity.addToThis(acc.multiplyWithScal(dt));
+		b.Velocity.multiplyThisWithScal(1.0 / (1.0 + b.LinearDamping * dt));
+		b.Position.addToThis(b.Velocity.multiplyWithScal(dt));
+		b.Force = new CL3D.Vect3d(0,0,0);
+	}
+
+	// gather static triangles near each body once per step
+
+	for (i=0; i<this.Bodies.length; ++i)
+	{
+		b = this.Bodies[i];
+		b.StaticTriangles = new Array();
+
+		if (b.InvMass == 0)
+			continue;
+
+		var box = b.getBoundingBox();
+		var margin = new CL3D.Vect3d(1,1,1);
+		box.MinEdge.substractFromThis(margin);
+		box.MaxEdge.addToThis(margin);
+
+		this.collectStaticTriangles(this.StaticGeometry, box, b.StaticTriangles);
+		if (this.UseSceneCollisionWorld && this.Scene && this.Scene.CollisionWorld)
+			this.collectStaticTriangles(this.Scene.CollisionWorld, box, b.StaticTriangles);
+	}
+
+	// resolve collisions
+
+	var restingSpeed = gravity.getLength() * dt * 2;
+
+	for (var it=0; it<this.Iterations; ++it)
+	{
+		for (i=0; i<this.Bodies.length; ++i)
+		{
+			b = this.Bodies[i];
+
+			for (j=i+1; j<this.Bodies.length; ++j)
+			{
+				var b2 = this.Bodies[j];
+				if (b.InvMass == 0 && b2.InvMass == 0)
+					continue;
+
+				if (!b.getBoundingBox().intersectsWithBox(b2.getBoundingBox()))
+					continue;
+
+				var contact = this.collideBodies(b, b2);
+				if (contact)
+					this.resolveContact(b, b2, contact, restingSpeed);
+			}
+
+			for (j=0; j<b.StaticTriangles.length; ++j)
+			{
+				var contact2 = this.collideBodyWithTriangle(b, b.StaticTriangles[j]);
+				if (contact2)
+					this.resolveContact(b, null, contact2, restingSpeed);
+			}
+		}
+	}
+}
+
+/**
+ * Collects triangles of a selector in a box, ignoring the selectors of scene nodes simulated by bodies.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.collectStaticTriangles = function(selector, box, outArray)
+{
+	if (selector.Selectors)
+	{
+		// meta selector
+		for (var i=0; i<selector.Selectors.length; ++i)
+			this.collectStaticTriangles(selector.Selectors[i], box, outArray);
+		return;
+	}
+
+	var node = selector.getRelatedSceneNode();
+	if (node != null && this.getBodyForNode(node) != null)
+		return;
+
+	var tris = new Array();
+	selector.getTrianglesInBox(box, null, tris);
+
+	for (var t=0; t<tris.length; ++t)
+	{
+		var tri = tris[t];
+
+		if (box.MinEdge.X > tri.pointA.X && box.MinEdge.X > tri.pointB.X && box.MinEdge.X > tri.pointC.X) continue;
+		if (box.MaxEdge.X < tri.pointA.X && box.MaxEdge.X < tri.pointB.X && box.MaxEdge.X < tri.pointC.X) continue;
+		if (box.MinEdge.Y > tri.pointA.Y && box.MinEdge.Y > tri.pointB.Y && box.MinEdge.Y > tri.pointC.Y) continue;
+		if (box.MaxEdge.Y < tri.pointA.Y && box.MaxEdge.Y < tri.pointB.Y && box.MaxEdge.Y < tri.pointC.Y) continue;
+		if (box.MinEdge.Z > tri.pointA.Z && box.MinEdge.Z > tri.pointB.Z && box.MinEdge.Z > tri.pointC.Z) continue;
+		if (box.MaxEdge.Z < tri.pointA.Z && box.MaxEdge.Z < tri.pointB.Z && box.MaxEdge.Z < tri.pointC.Z) continue;
+
+		outArray.push(tri);
+	}
+}
+
+/**
+ * Pushes two bodies apart and changes their velocities, using a contact with a normal pointing from b2 to b.
+ * b2 may be null for static geometry.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.resolveContact = function(b, b2, contact, restingSpeed)
+{
+	var n = contact.Normal;
+	var invMass1 = b.InvMass;
+	var invMass2 = b2 ? b2.InvMass : 0;
+	var invMassSum = invMass1 + invMass2;
+
+	if (invMassSum == 0)
+		return;
+
+	// positional correction
+
+	b.Position.addToThis(n.multiplyWithScal(contact.Depth * invMass1 / invMassSum));
+	if (b2)
+		b2.Position.substractFromThis(n.multiplyWithScal(contact.Depth * invMass2 / invMassSum));
+
+	if (n.Y > 0.7)
+		b.OnGround = true;
+	if (b2 && n.Y < -0.7)
+		b2.OnGround = true;
+
+	// velocity
+
+	var relVel = b2 ? b.Velocity.substract(b2.Velocity) : b.Velocity.clone();
+	var vn = relVel.dotProduct(n);
+
+	if (vn >= 0)
+		return;
+
+	var restitution = b2 ? Math.max(b.Restitution, b2.Restitution) : b.Restitution;
+	if (-vn < restingSpeed)
+		restitution = 0;
+
+	var jn = -(1 + restitution) * vn / invMassSum;
+
+	b.Velocity.addToThis(n.multiplyWithScal(jn * invMass1));
+	if (b2)
+		b2.Velocity.substractFromThis(n.multiplyWithScal(jn * invMass2));
+
+	// friction
+
+	var tangent = relVel.substract(n.multiplyWithScal(vn));
+	var tangentSpeed = tangent.getLength();
+
+	if (tangentSpeed > 0.00001)
+	{
+		tangent.multiplyThisWithScal(1.0 / tangentSpeed);
+
+		var friction = b2 ? Math.sqrt(b.Friction * b2.Friction) : b.Friction;
+		var jt = Math.min(tangentSpeed / invMassSum, friction * jn);
+
+		b.Velocity.substractFromThis(tangent.multiplyWithScal(jt * invMass1));
+		if (b2)
+			b2.Velocity.addToThis(tangent.multiplyWithScal(jt * invMass2));
+	}
+}
+
+/**
+ * Returns a contact between two bodies with a normal pointing from b2 to b, or null if they don't collide.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.collideBodies = function(b, b2)
+{
+	var isBox1 = b.Shape == CL3D.PhysicsBody.SHAPE_BOX;
+	var isBox2 = b2.Shape == CL3D.PhysicsBody.SHAPE_BOX;
+	var contact;
+
+	if (isBox1 && isBox2)
+		return this.collideBoxes(b.Position, b.HalfExtents, b2.Position, b2.HalfExtents);
+
+	if (isBox1)
+	{
+		contact = this.collideRoundShapeWithBox(b2.getSegment(), b2.Radius, b.Position, b.HalfExtents);
+		if (contact)
+			contact.Normal.multiplyThisWithScal(-1);
+		return contact;
+	}
+
+	if (isBox2)
+		return this.collideRoundShapeWithBox(b.getSegment(), b.Radius, b2.Position, b2.HalfExtents);
+
+	return this.collideRoundShapes(b.getSegment(), b.Radius, b2.getSegment(), b2.Radius);
+}
+
+/**
+ * Returns a contact between a body and a static triangle with a normal pointing away from the triangle, or null.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.collideBodyWithTriangle = function(b, tri)
+{
+	if (b.Shape == CL3D.PhysicsBody.SHAPE_BOX)
+		return this.collideBoxWithTriangle(b.Position, b.HalfExtents, tri);
+
+	return this.collideRoundShapeWithTriangle(b.getSegment(), b.Radius, tri);
+}
+
+/**
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.createContact = function(normal, depth)
+{
+	if (depth <= 0)
+		return null;
+
+	var c = new Object();
+	c.Normal = normal;
+	c.Depth = depth;
+	return c;
+}
+
+/**
+ * Contact between two axis aligned boxes, normal points from box 2 to box 1.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.collideBoxes = function(pos1, ext1, pos2, ext2)
+{
+	var d = pos1.substract(pos2);
+
+	var ox = ext1.X + ext2.X - Math.abs(d.X);
+	var oy = ext1.Y + ext2.Y - Math.abs(d.Y);
+	var oz = ext1.Z + ext2.Z - Math.abs(d.Z);
+
+	if (ox <= 0 || oy <= 0 || oz <= 0)
+		return null;
+
+	if (oy <= ox && oy <= oz)
+		return this.createContact(new CL3D.Vect3d(0, d.Y < 0 ? -1 : 1, 0), oy);
+	if (ox <= oz)
+		return this.createContact(new CL3D.Vect3d(d.X < 0 ? -1 : 1, 0, 0), ox);
+	return this.createContact(new CL3D.Vect3d(0, 0, d.Z < 0 ? -1 : 1), oz);
+}
+
+/**
+ * Contact between two spheres or capsules, given by their segment and radius. Normal points from shape 2 to shape 1.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.collideRoundShapes = function(seg1, radius1, seg2, radius2)
+{
+	var pts = CL3D.PhysicsWorld.closestPointsOnSegments(seg1[0], seg1[1], seg2[0], seg2[1]);
+	var d = pts[0].substract(pts[1]);
+	var len = d.getLength();
+
+	if (len >= radius1 + radius2)
+		return null;
+
+	if (len < 0.00001)
+		d = new CL3D.Vect3d(0,1,0);
+	else
+		d.multiplyThisWithScal(1.0 / len);
+
+	return this.createContact(d, radius1 + radius2 - len);
+}
+
+/**
+ * Contact between a sphere or capsule and an axis aligned box. Normal points from the box to the round shape.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.collideRoundShapeWithBox = function(seg, radius, boxPos, boxExt)
+{
+	var min = boxPos.substract(boxExt);
+	var max = boxPos.add(boxExt);
+
+	var p = CL3D.PhysicsWorld.closestPointOnSegment(boxPos, seg[0], seg[1]);
+	var q = CL3D.PhysicsWorld.clampToBox(p, min, max);
+	p = CL3D.PhysicsWorld.closestPointOnSegment(q, seg[0], seg[1]);
+	q = CL3D.PhysicsWorld.clampToBox(p, min, max);
+
+	var d = p.substract(q);
+	var len = d.getLength();
+
+	if (len > 0.00001)
+	{
+		if (len >= radius)
+			return null;
+
+		d.multiplyThisWithScal(1.0 / len);
+		return this.createContact(d, radius - len);
+	}
+
+	// center of the shape is inside the box, push out along the axis with smallest penetration
+
+	var rel = p.substract(boxPos);
+	var ox = boxExt.X - Math.abs(rel.X);
+	var oy = boxExt.Y - Math.abs(rel.Y);
+	var oz = boxExt.Z - Math.abs(rel.Z);
+
+	if (oy <= ox && oy <= oz)
+		return this.createContact(new CL3D.Vect3d(0, rel.Y < 0 ? -1 : 1, 0), oy + radius);
+	if (ox <= oz)
+		return this.createContact(new CL3D.Vect3d(rel.X < 0 ? -1 : 1, 0, 0), ox + radius);
+	return this.createContact(new CL3D.Vect3d(0, 0, rel.Z < 0 ? -1 : 1), oz + radius);
+}
+
+/**
+ * Contact between a sphere or capsule and a triangle. Normal points from the triangle to the round shape.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.collideRoundShapeWithTriangle = function(seg, radius, tri)
+{
+	var a = tri.pointA;
+	var b = tri.pointB;
+	var c = tri.pointC;
+
+	var normal = b.substract(a).crossProduct(c.substract(a));
+	if (normal.getLengthSQ() < 0.0000001)
+		return null;
+	normal.normalize();
+
+	// if the segment crosses the triangle, push out along the triangle normal
+
+	var d0 = seg[0].substract(a).dotProduct(normal);
+	var d1 = seg[1].substract(a).dotProduct(normal);
+
+	if ((d0 < 0) != (d1 < 0))
+	{
+		var f = d0 / (d0 - d1);
+		var crossing = seg[0].add(seg[1].substract(seg[0]).multiplyWithScal(f));
+
+		if (CL3D.PhysicsWorld.closestPointOnTriangle(crossing, a, b, c).getDistanceFromSQ(crossing) < 0.0001)
+		{
+			var center = seg[0].add(seg[1]).multiplyWithScal(0.5);
+			if (center.substract(a).dotProduct(normal) < 0)
+			{
+				normal.multiplyThisWithScal(-1);
+				d0 = -d0;
+				d1 = -d1;
+			}
+
+			return this.createContact(normal, radius - Math.min(d0, d1));
+		}
+	}
+
+	// otherwise find the closest points: segment end points against the triangle, and segment against the triangle edges
+
+	var best = null;
+	var bestDistSQ = radius * radius;
+
+	var candidates = new Array();
+	candidates.push([seg[0], CL3D.PhysicsWorld.closestPointOnTriangle(seg[0], a, b, c)]);
+	candidates.push([seg[1], CL3D.PhysicsWorld.closestPointOnTriangle(seg[1], a, b, c)]);
+
+	if (!seg[0].equals(seg[1]))
+	{
+		candidates.push(CL3D.PhysicsWorld.closestPointsOnSegments(seg[0], seg[1], a, b));
+		candidates.push(CL3D.PhysicsWorld.closestPointsOnSegments(seg[0], seg[1], b, c));
+		candidates.push(CL3D.PhysicsWorld.closestPointsOnSegments(seg[0], seg[1], c, a));
+	}
+
+	for (var i=0; i<candidates.length; ++i)
+	{
+		var distSQ = candidates[i][0].getDistanceFromSQ(candidates[i][1]);
+		if (distSQ < bestDistSQ)
+		{
+			bestDistSQ = distSQ;
+			best = candidates[i];
+		}
+	}
+
+	if (best == null)
+		return null;
+
+	var len = Math.sqrt(bestDistSQ);
+	var dir;
+
+	if (len < 0.00001)
+	{
+		dir = normal;
+		if (seg[0].add(seg[1]).multiplyWithScal(0.5).substract(a).dotProduct(normal) < 0)
+			dir.multiplyThisWithScal(-1);
+	}
+	else
+		dir = best[0].substract(best[1]).multiplyWithScal(1.0 / len);
+
+	return this.createContact(dir, radius - len);
+}
+
+/**
+ * Contact between an axis aligned box and a triangle, using the separating axis test.
+ * Normal points from the triangle to the box.
+ * @private
+ */
+CL3D.PhysicsWorld.prototype.collideBoxWithTriangle = function(boxPos, boxExt, tri)
+{
+	var v0 = tri.pointA.substract(boxPos);
+	var v1 = tri.pointB.substract(boxPos);
+	var v2 = tri.pointC.substract(boxPos);
+
+	var e0 = v1.substract(v0);
+	var e1 = v2.substract(v1);
+	var e2 = v0.substract(v2);
+
+	var normal = e0.crossProduct(e1);
+	if (normal.getLengthSQ() < 0.0000001)
+		return null;
+
+	// triangle normal first, so that it is preferred on ties
+
+	var axes = new Array();
+	axes.push(normal);
+	axes.push(new CL3D.Vect3d(1,0,0));
+	axes.push(new CL3D.Vect3d(0,1,0));
+	axes.push(new CL3D.Vect3d(0,0,1));
+
+	var edges = [e0, e1, e2];
+	for (var e=0; e<3; ++e)
+	{
+		axes.push(new CL3D.Vect3d(0, -edges[e].Z, edges[e].Y));
+		axes.push(new CL3D.Vect3d(edges[e].Z, 0, -edges[e].X));
+		axes.push(new CL3D.Vect3d(-edges[e].Y, edges[e].X, 0));
+	}
+
+	var bestDepth = 999999999.9;
+	var bestAxis = null;
+
+	for (var i=0; i<axes.length; ++i)
+	{
+		var axis = axes[i];
+		var len = axis.getLength();
+		if (len < 0.00001)
+			continue;
+		axis.multiplyThisWithScal(1.0 / len);
+
+		var p0 = v0.dotProduct(axis);
+		var p1 = v1.dotProduct(axis);
+		var p2 = v2.dotProduct(axis);
+		var triMin = Math.min(p0, Math.min(p1, p2));
+		var triMax = Math.max(p0, Math.max(p1, p2));
+		var r = boxExt.X * Math.abs(axis.X) + boxExt.Y * Math.abs(axis.Y) + boxExt.Z * Math.abs(axis.Z);
+
+		if (triMin >= r || triMax <= -r)
+			return null;
+
+		// the box can be moved against or along the axis to get out
+
+		var depthNeg = r - triMin;
+		var depthPos = triMax + r;
+
+		if (depthNeg < bestDepth)
+		{
+			bestDepth = depthNeg;
+			bestAxis = axis.multiplyWithScal(-1);
+		}
+
+		if (depthPos < bestDepth)
+		{
+			bestDepth = depthPos;
+			bestAxis = axis.clone();
+		}
+	}
+
+	if (bestAxis == null)
+		return null;
+
+	return this.createContact(bestAxis, bestDepth);
+}
+
+/**
+ * Returns the point on the segment a-b closest to p.
+ * @private
+ */
+CL3D.PhysicsWorld.closestPointOnSegment = function(p, a, b)
+{
+	var ab = b.substract(a);
+	var lenSQ = ab.getLengthSQ();
+	if (lenSQ < 0.0000001)
+		return a.clone();
+
+	var t = p.substract(a).dotProduct(ab) / lenSQ;
+	t = CL3D.clamp(t, 0, 1);
+	return a.add(ab.multiplyWithScal(t));
+}
+
+/**
+ * Returns the closest points of the segments p1-q1 and p2-q2 as array of two points.
+ * @private
+ */
+CL3D.PhysicsWorld.closestPointsOnSegments = function(p1, q1, p2, q2)
+{
+	var d1 = q1.substract(p1);
+	var d2 = q2.substract(p2);
+	var r = p1.substract(p2);
+	var a = d1.getLengthSQ();
+	var e = d2.getLengthSQ();
+	var f = d2.dotProduct(r);
+	var s = 0;
+	var t = 0;
+	var eps = 0.0000001;
+
+	if (a <= eps && e <= eps)
+		return [p1.clone(), p2.clone()];
+
+	if (a <= eps)
+	{
+		t = CL3D.clamp(f / e, 0, 1);
+	}
+	else
+	{
+		var c = d1.dotProduct(r);
+		if (e <= eps)
+		{
+			s = CL3D.clamp(-c / a, 0, 1);
+		}
+		else
+		{
+			var b = d1.dotProduct(d2);
+			var denom = a*e - b*b;
+
+			if (denom != 0)
+				s = CL3D.clamp((b*f - c*e) / denom, 0, 1);
+
+			t = (b*s + f) / e;
+
+			if (t < 0)
+			{
+				t = 0;
+				s = CL3D.clamp(-c / a, 0, 1);
+			}
+			else
+			if (t > 1)
+			{
+				t = 1;
+				s = CL3D.clamp((b - c) / a, 0, 1);
+			}
+		}
+	}
+
+	return [p1.add(d1.multiplyWithScal(s)), p2.add(d2.multiplyWithScal(t))];
+}
+
+/**
+ * Returns the point on the triangle a-b-c closest to p.
+ * @private
+ */
+CL3D.PhysicsWorld.closestPointOnTriangle = function(p, a, b, c)
+{
+	var ab = b.substract(a);
+	var ac = c.substract(a);
+	var ap = p.substract(a);
+
+	var d1 = ab.dotProduct(ap);
+	var d2 = ac.dotProduct(ap);
+	if (d1 <= 0 && d2 <= 0)
+		return a.clone();
+
+	var bp = p.substract(b);
+	var d3 = ab.dotProduct(bp);
+	var d4 = ac.dotProduct(bp);
+	if (d3 >= 0 && d4 <= d3)
+		return b.clone();
+
+	var vc = d1*d4 - d3*d2;
+	if (vc <= 0 && d1 >= 0 && d3 <= 0)
+		return a.add(ab.multiplyWithScal(d1 / (d1 - d3)));
+
+	var cp = p.substract(c);
+	var d5 = ab.dotProduct(cp);
+	var d6 = ac.dotProduct(cp);
+	if (d6 >= 0 && d5 <= d6)
+		return c.clone();
+
+	var vb = d5*d2 - d1*d6;
+	if (vb <= 0 && d2 >= 0 && d6 <= 0)
+		return a.add(ac.multiplyWithScal(d2 / (d2 - d6)));
+
+	var va = d3*d6 - d5*d4;
+	if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0)
+		return b.add(c.substract(b).multiplyWithScal((d4 - d3) / ((d4 - d3) + (d5 - d6))));
+
+	var denom = 1.0 / (va + vb + vc);
+	var v = vb * denom;
+	var w = vc * denom;
+	return a.add(ab.multiplyWithScal(v)).add(ac.multiplyWithScal(w));
+}
+
+/**
+ * Returns p clamped into the box given by min and max.
+ * @private
+ */
+CL3D.PhysicsWorld.clampToBox = function(p, min, max)
+{
+	return new CL3D.Vect3d(CL3D.clamp(p.X, min.X, max.X),
+	                       CL3D.clamp(p.Y, min.Y, max.Y),
+	                       CL3D.clamp(p.Z, min.Z, max.Z));
+}
@@ -0,0 +1,152 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Post process effect letting bright parts of the image glow. Add it to a scene using {@link CL3D.Scene.addPostProcessEffect}().
+ * @constructor
+ * @public
+ * @extends CL3D.PostProcessEffect
+ * @class Post process effect letting bright parts of the image glow.
+ * @example
+ * var bloom = new CL3D.PostProcessBloom();
+ * bloom.Threshold = 0.7;
+ * bloom.Intensity = 1.5;
+ * engine.getScene().addPostProcessEffect(bloom);
+ */
+CL3D.PostProcessBloom = function()
+{
+	this.init();
+
+	this.Threshold = 0.8;
+	this.Intensity = 1.0;
+	this.Radius = 1.0;
+}
+CL3D.PostProcessBloom.prototype = new CL3D.PostProcessEffect();
+
+/**
+ * Brightness above which parts of the image glow, between 0 and 1. Default is 0.8.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessBloom.prototype.Threshold = 0.8;
+
+/**
+ * Strength of the glow. Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessBloom.prototype.Intensity = 1.0;
+
+/**
+ * Size of the glow around bright parts, relative to the default size. Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessBloom.prototype.Radius = 1.0;
+
+/**
+ * Returns the type of the effect.
+ * @public
+ * @returns {String} 'bloom'
+ */
+CL3D.PostProcessBloom.prototype.getType = function()
+{
+	return 'bloom';
+}
+
+/**
+ * @private
+ */
+CL3D.PostProcessBloom.prototype.render = function(renderer, source, target)
+{
+	var gl = renderer.getWebGL();
+
+	var programBright = this.getProgram(renderer, 'bright', this.fs_shader_bright);
+	var programBlur = this.getProgram(renderer, 'blur', this.fs_shader_blur);
+	var programCombine = this.getProgram(renderer, 'combine', this.fs_shader_combine);
+
+	if (programBright == null || programBlur == null || programCombine == null)
+		return;
+
+	// the glow is blurred in a quarter of the size, which makes it smooth and fast
+
+	var w = source.getWidth() / 4;
+	var h = source.getHeight() / 4;
+
+	var glow1 = this.getRenderTarget(renderer, 'glow1', w, h);
+	var glow2 = this.getRenderTarget(renderer, 'glow2', w, h);
+
+	if (glow1 == null || glow2 == null)
+		return;
+
+	renderer.beginPostProcessPass(programBright, glow1, source, null);
+	gl.uniform1f(gl.getUniformLocation(programBright, "threshold"), this.Threshold);
+	renderer.drawPostProcessQuad();
+
+	renderer.beginPostProcessPass(programBlur, glow2, glow1, null);
+	gl.uniform2f(gl.getUniformLocation(programBlur, "blurDirection"), this.Radius / glow1.getWidth(), 0);
+	renderer.drawPostProcessQuad();
+
+	renderer.beginPostProcessPass(programBlur, glow1, glow2, null);
+	gl.uniform2f(gl.getUniformLocation(programBlur, "blurDirection"), 0, this.Radius / glow2.getHeight());
+	renderer.drawPostProcessQuad();
+
+	renderer.beginPostProcessPass(programCombine, target, source, glow1);
+	gl.uniform1f(gl.getUniformLocation(programCombine, "intensity"), this.Intensity);
+	renderer.drawPostProcessQuad();
+}
+
+// keeps only the parts of the image brighter than the threshold
+CL3D.PostProcessBloom.prototype.fs_shader_bright = "\n\
+	uniform sampler2D texture1;\n\
+	uniform vec4 texture1Size;\n\
+	uniform float threshold;\n\
+	varying vec2 v_texCoord1;\n\
+	\n\
+	void main()\n\
+	{\n\
+		// average of the 4x4 pixels covered by this one\n\
+		vec2 o = texture1Size.zw;\n\
+		vec3 color = texture2D(texture1, v_texCoord1 + vec2(-o.x, -o.y)).rgb;\n\
+		color += texture2D(texture1, v_texCoord1 + vec2(o.x, -o.y)).rgb;\n\
+		color += texture2D(texture1, v_texCoord1 + vec2(-o.x, o.y)).rgb;\n\
+		color += texture2D(texture1, v_texCoord1 + vec2(o.x, o.y)).rgb;\n\
+		color *= 0.25;\n\
+		\n\
+		float brightness = max(color.r, max(color.g, color.b));\n\
+		float contribution = max(brightness - threshold, 0.0) / max(brightness, 0.0001);\n\
+		gl_FragColor = vec4(color * contribution, 1.0);\n\
+	}\n\
+	";
+
+// gaussian blur into one direction, using the linear filtering to read two pixels with each sample
+CL3D.PostProcessBloom.prototype.fs_shader_blur = "\n\
+	uniform sampler2D texture1;\n\
+	uniform vec2 blurDirection;\n\
+	varying vec2 v_texCoord1;\n\
+	\n\
+	void main()\n\
+	{\n\
+		vec3 color = texture2D(texture1, v_texCoord1).rgb * 0.2270270270;\n\
+		color += texture2D(texture1, v_texCoord1 + blurDirection * 1.3846153846).rgb * 0.3162162162;\n\
+		color += texture2D(texture1, v_texCoord1 - blurDirection * 1.3846153846).rgb * 0.3162162162;\n\
+		color += texture2D(texture1, v_texCoord1 + blurDirection * 3.2307692308).rgb * 0.0702702703;\n\
+		color += texture2D(texture1, v_texCoord1 - blurDirection * 3.2307692308).rgb * 0.0702702703;\n\
+		gl_FragColor = vec4(color, 1.0);\n\
+	}\n\
+	";
+
+// adds the blurred bright parts to the image
+CL3D.PostProcessBloom.prototype.fs_shader_combine = "\n\
+	uniform sampler2D texture1;\n\
+	uniform sampler2D texture2;\n\
+	uniform float intensity;\n\
+	varying vec2 v_texCoord1;\n\
+	\n\
+	void main()\n\
+	{\n\
+		vec4 color = texture2D(texture1, v_texCoord1);\n\
+		vec3 glow = texture2D(texture2, v_texCoord1).rgb;\n\
+		gl_FragColor = vec4(color.rgb + glow * intensity, color.a);\n\
+	}\n\
+	";
@@ -0,0 +1,101 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Post process effect changing the colors of the image using a color lookup table (LUT). The lookup table is a texture
+ * with N*N times N pixels, like 256x16 or 1024x32: N squares next to each other, one for each blue value from left to right.
+ * In each square, red increases from left to right and green from top to bottom. To create one, color grade a screenshot
+ * together with the neutral lookup table in an image editor. Add the effect to a scene using
+ * {@link CL3D.Scene.addPostProcessEffect}().
+ * @constructor
+ * @public
+ * @extends CL3D.PostProcessEffect
+ * @class Post process effect changing the colors of the image using a color lookup table.
+ * @param {CL3D.Texture} lookupTable texture with the color lookup table. Can be null and set later using {@link LookupTable}.
+ * @example
+ * var lut = engine.getTextureManager().getTexture("warmcolors.png", true);
+ * engine.getScene().addPostProcessEffect(new CL3D.PostProcessColorGrading(lut));
+ */
+CL3D.PostProcessColorGrading = function(lookupTable)
+{
+	this.init();
+
+	this.LookupTable = lookupTable ? lookupTable : null;
+	this.Intensity = 1.0;
+}
+CL3D.PostProcessColorGrading.prototype = new CL3D.PostProcessEffect();
+
+/**
+ * Texture with the color lookup table. The effect does nothing while it is null or not loaded yet.
+ * @public
+ * @type CL3D.Texture
+ */
+CL3D.PostProcessColorGrading.prototype.LookupTable = null;
+
+/**
+ * Strength of the effect, between 0 (original colors) and 1 (colors of the lookup table). Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessColorGrading.prototype.Intensity = 1.0;
+
+/**
+ * Returns the type of the effect.
+ * @public
+ * @returns {String} 'colorgrading'
+ */
+CL3D.PostProcessColorGrading.prototype.getType = function()
+{
+	return 'colorgrading';
+}
+
+/**
+ * @private
+ */
+CL3D.PostProcessColorGrading.prototype.render = function(renderer, source, target)
+{
+	var gl = renderer.getWebGL();
+	var lut = this.LookupTable;
+	var lutSize = lut && lut.isLoaded() ? lut.getHeight() : 0;
+	var intensity = this.Intensity;
+
+	if (lutSize < 2)
+	{
+		lut = null;
+		intensity = 0;
+	}
+
+	var program = this.getProgram(renderer, 'main', this.fs_shader_colorgrading);
+	if (program == null)
+		return;
+
+	renderer.beginPostProcessPass(program, target, source, lut);
+	gl.uniform2f(gl.getUniformLocation(program, "lutParams"), Math.max(lutSize, 2), intensity);
+	renderer.drawPostProcessQuad();
+}
+
+// looks up the color in the two nearest squares of the lookup table and interpolates between them
+CL3D.PostProcessColorGrading.prototype.fs_shader_colorgrading = "\n\
+	uniform sampler2D texture1;\n\
+	uniform sampler2D texture2;\n\
+	uniform vec2 lutParams;\n\
+	varying vec2 v_texCoord1;\n\
+	\n\
+	void main()\n\
+	{\n\
+		vec4 color = texture2D(texture1, v_texCoord1);\n\
+		vec3 c = clamp(color.rgb, 0.0, 1.0);\n\
+		float size = lutParams.x;\n\
+		\n\
+		float blue = c.b * (size - 1.0);\n\
+		float square0 = floor(blue);\n\
+		float square1 = min(square0 + 1.0, size - 1.0);\n\
+		\n\
+		vec2 uv = vec2((c.r * (size - 1.0) + 0.5) / (size * size), (c.g * (size - 1.0) + 0.5) / size);\n\
+		vec3 graded0 = texture2D(texture2, uv + vec2(square0 / size, 0.0)).rgb;\n\
+		vec3 graded1 = texture2D(texture2, uv + vec2(square1 / size, 0.0)).rgb;\n\
+		vec3 graded = mix(graded0, graded1, blue - square0);\n\
+		\n\
+		gl_FragColor = vec4(mix(color.rgb, graded, lutParams.y), color.a);\n\
+	}\n\
+	";
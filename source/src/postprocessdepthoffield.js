@@ -0,0 +1,118 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Post process effect blurring everything which is nearer or farther away from the camera than the focus distance.
+ * Needs depth textures, which are supported by WebGL 2 and by most WebGL 1 implementations. Otherwise, the effect
+ * does nothing. Add it to a scene using {@link CL3D.Scene.addPostProcessEffect}().
+ * @constructor
+ * @public
+ * @extends CL3D.PostProcessEffect
+ * @class Post process effect blurring everything which is out of focus.
+ * @example
+ * var dof = new CL3D.PostProcessDepthOfField();
+ * dof.FocusDistance = 150;
+ * dof.FocusRange = 100;
+ * engine.getScene().addPostProcessEffect(dof);
+ */
+CL3D.PostProcessDepthOfField = function()
+{
+	this.init();
+
+	this.FocusDistance = 100.0;
+	this.FocusRange = 50.0;
+	this.MaxBlur = 6.0;
+}
+CL3D.PostProcessDepthOfField.prototype = new CL3D.PostProcessEffect();
+
+/**
+ * Distance from the camera which is in focus. Default is 100.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessDepthOfField.prototype.FocusDistance = 100.0;
+
+/**
+ * Everything nearer than this to the focus distance stays sharp, and everything this much farther away is blurred fully.
+ * Default is 50.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessDepthOfField.prototype.FocusRange = 50.0;
+
+/**
+ * Radius of the blur of parts of the image which are out of focus, in pixels. Default is 6.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessDepthOfField.prototype.MaxBlur = 6.0;
+
+/**
+ * Returns the type of the effect.
+ * @public
+ * @returns {String} 'depthoffield'
+ */
+CL3D.PostProcessDepthOfField.prototype.getType = function()
+{
+	return 'depthoffield';
+}
+
+/**
+ * @private
+ */
+CL3D.PostProcessDepthOfField.prototype.render = function(renderer, source, target)
+{
+	var gl = renderer.getWebGL();
+
+	var program = this.getProgram(renderer, 'main', this.fs_shader_depthoffield);
+	if (program == null)
+		return;
+
+	renderer.beginPostProcessPass(program, target, source, null);
+	gl.uniform3f(gl.getUniformLocation(program, "focusParams"), this.FocusDistance, Math.max(this.FocusRange, 0.001),
+		renderer.DepthTextureSupported ? this.MaxBlur : 0);
+	renderer.drawPostProcessQuad();
+}
+
+// gathers samples on a spiral around each pixel. Samples only contribute if their own blur reaches the pixel,
+// and samples behind the pixel are blurred at most as much as the pixel, so sharp objects don't get blurry edges.
+CL3D.PostProcessDepthOfField.prototype.fs_shader_depthoffield = "\n\
+	uniform sampler2D texture1;\n\
+	uniform vec4 texture1Size;\n\
+	uniform vec3 focusParams;\n\
+	varying vec2 v_texCoord1;\n\
+	" + CL3D.PostProcessEffect.fs_shader_depth + "\n\
+	\n\
+	float getBlurRadius(highp float dist)\n\
+	{\n\
+		return clamp((abs(dist - focusParams.x) - focusParams.y) / focusParams.y, 0.0, 1.0) * focusParams.z;\n\
+	}\n\
+	\n\
+	void main()\n\
+	{\n\
+		vec4 centerColor = texture2D(texture1, v_texCoord1);\n\
+		highp float centerDist = getSceneDistance(v_texCoord1);\n\
+		float centerRadius = getBlurRadius(centerDist);\n\
+		\n\
+		vec3 color = centerColor.rgb;\n\
+		float weight = 1.0;\n\
+		\n\
+		for (int i=1; i<32; ++i)\n\
+		{\n\
+			float r = sqrt(float(i) / 31.0) * focusParams.z;\n\
+			float a = float(i) * 2.39996323;\n\
+			vec2 texCoord = v_texCoord1 + vec2(cos(a), sin(a)) * r * texture1Size.zw;\n\
+			\n\
+			highp float dist = getSceneDistance(texCoord);\n\
+			float radius = getBlurRadius(dist);\n\
+			if (dist > centerDist)\n\
+				radius = min(radius, centerRadius);\n\
+			\n\
+			float w = clamp(radius - r + 1.0, 0.0, 1.0);\n\
+			color += texture2D(texture1, texCoord).rgb * w;\n\
+			weight += w;\n\
+		}\n\
+		\n\
+		gl_FragColor = vec4(color / weight, centerColor.a);\n\
+	}\n\
+	";
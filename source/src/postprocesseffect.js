@@ -0,0 +1,168 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * A post process effect changes the image of the scene after it has been drawn, before the 2D overlays are drawn on top.
+ * Add it to a scene using {@link CL3D.Scene.addPostProcessEffect}(). All effects of a scene are applied one after another.<br/>
+ * This class draws the image with a custom fragment shader. CopperLicht provides these uniforms and varyings to it:<br/>
+ * <ul>
+ * <li>varying vec2 v_texCoord1: texture coordinate of the pixel</li>
+ * <li>uniform sampler2D texture1: the image of the scene, after the previous effects were applied</li>
+ * <li>uniform vec4 texture1Size: width and height of texture1 in pixels, and their reciprocals</li>
+ * <li>uniform sampler2D depthTexture: depth of the scene, if supported. Use {@link CL3D.PostProcessEffect.fs_shader_depth}
+ * to read the distance to the camera from it.</li>
+ * </ul>
+ * To set other uniforms, pass a callback function which is called when the shader is used. There are also ready to use
+ * effects like {@link CL3D.PostProcessBloom}, {@link CL3D.PostProcessFXAA}, {@link CL3D.PostProcessColorGrading},
+ * {@link CL3D.PostProcessVignette} and {@link CL3D.PostProcessDepthOfField}.
+ * @constructor
+ * @public
+ * @class A post process effect changes the image of the scene after it has been drawn.
+ * @param {String} fragmentShader source of the fragment shader, can be null for classes derived from this one.
+ * @param {Function} shaderCallback function called with the renderer and the webgl shader program as parameters before
+ * the effect is drawn, for setting uniforms. Can be null.
+ * @example
+ * var fragmentShader = "\
+ *   uniform sampler2D texture1;\
+ *   uniform float strength;\
+ *   varying vec2 v_texCoord1;\
+ *   void main()\
+ *   {\
+ *     vec4 color = texture2D(texture1, v_texCoord1);\
+ *     float gray = dot(color.rgb, vec3(0.299, 0.587, 0.114));\
+ *     gl_FragColor = vec4(mix(color.rgb, vec3(gray), strength), 1.0);\
+ *   }";
+ *
+ * var grayscale = new CL3D.PostProcessEffect(fragmentShader, function(renderer, program)
+ * {
+ *   var gl = renderer.getWebGL();
+ *   gl.uniform1f(gl.getUniformLocation(program, "strength"), 0.8);
+ * });
+ *
+ * engine.getScene().addPostProcessEffect(grayscale);
+ */
+CL3D.PostProcessEffect = function(fragmentShader, shaderCallback)
+{
+	this.init();
+	
+	this.FragmentShader = fragmentShader ? fragmentShader : null;
+	this.ShaderCallback = shaderCallback ? shaderCallback : null;
+}
+
+/**
+ * Initializes the members of the effect, called by the constructors of all effects.
+ * @private
+ */
+CL3D.PostProcessEffect.prototype.init = function()
+{
+	this.Enabled = true;
+	this.Programs = new Object();
+	this.RenderTargets = new Object();
+}
+
+/**
+ * Set to false to skip this effect.
+ * @public
+ * @type Boolean
+ */
+CL3D.PostProcessEffect.prototype.Enabled = true;
+
+/**
+ * Returns the type of the effect. Returns 'custom' for effects with a custom shader, see the derived classes for other type strings.
+ * @public
+ * @returns {String} type name of the effect
+ */
+CL3D.PostProcessEffect.prototype.getType = function()
+{
+	return 'custom';
+}
+
+/**
+ * Draws the effect. Classes derived from this one can override this to draw more than one pass, see
+ * {@link CL3D.PostProcessBloom} for an example.
+ * @public
+ * @param {CL3D.Renderer} renderer the renderer
+ * @param {CL3D.Texture} source render target texture with the image of the scene, after the previous effects were applied.
+ * @param {CL3D.Texture} target render target texture to draw into, or null for the screen.
+ */
+CL3D.PostProcessEffect.prototype.render = function(renderer, source, target)
+{
+	var program = this.getProgram(renderer, 'main', this.FragmentShader);
+	if (program == null)
+		return;
+
+	renderer.beginPostProcessPass(program, target, source, null);
+
+	if (this.ShaderCallback)
+		this.ShaderCallback(renderer, program);
+
+	renderer.drawPostProcessQuad();
+}
+
+/**
+ * Returns the shader program with the given name, and creates it from the fragment shader when it is needed the first time.
+ * @private
+ */
+CL3D.PostProcessEffect.prototype.getProgram = function(renderer, name, fragmentShader)
+{
+	var program = this.Programs[name];
+
+	if (program === undefined)
+	{
+		program = fragmentShader ? renderer.createPostProcessProgram(fragmentShader) : null;
+		this.Programs[name] = program;
+
+		if (program == null)
+			CL3D.gCCDebugOutput.printError("Could not create the shader of a post process effect.");
+	}
+
+	return program;
+}
+
+/**
+ * Returns a render target texture stored in this effect, created or resized when necessary.
+ * @private
+ */
+CL3D.PostProcessEffect.prototype.getRenderTarget = function(renderer, name, width, height)
+{
+	var t = this.RenderTargets[name];
+
+	width = Math.max(1, Math.round(width));
+	height = Math.max(1, Math.round(height));
+
+	if (t == null)
+	{
+		t = renderer.createRenderTarget(width, height, 0);
+		this.RenderTargets[name] = t;
+	}
+	else
+	if (t.getWidth() != width || t.getHeight() != height)
+		renderer.createRenderTargetBuffers(t, width, height);
+
+	return t;
+}
+
+/**
+ * Shader code which can be inserted into fragment shaders of post process effects, declaring the uniforms depthTexture
+ * and depthParams and a function 'highp float getSceneDistance(vec2 texCoord)' returning the distance from the camera plane
+ * to the scene at a texture coordinate. If depth textures are not supported, it returns a very big distance.
+ * @public
+ * @type String
+ */
+CL3D.PostProcessEffect.fs_shader_depth = "\n\
+	uniform sampler2D depthTexture;\n\
+	uniform highp vec4 depthParams;\n\
+	\n\
+	highp float getSceneDistance(vec2 texCoord)\n\
+	{\n\
+		if (depthParams.w == 0.0)\n\
+			return 1000000.0;\n\
+		\n\
+		highp float z = texture2D(depthTexture, texCoord).r * 2.0 - 1.0;\n\
+		\n\
+		if (depthParams.z == 0.0)\n\
+			return (z - depthParams.y) / depthParams.x;\n\
+		\n\
+		return depthParams.y / (z - depthParams.x);\n\
+	}\n\
+	";
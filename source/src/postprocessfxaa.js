@@ -0,0 +1,84 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Post process effect smoothing the edges of polygons (fast approximate anti aliasing). When post processing is used,
+ * the scene is drawn into a texture without the anti aliasing of the browser, so it is a good idea to add this as
+ * last effect. Add it to a scene using {@link CL3D.Scene.addPostProcessEffect}().
+ * @constructor
+ * @public
+ * @extends CL3D.PostProcessEffect
+ * @class Post process effect smoothing the edges of polygons.
+ */
+CL3D.PostProcessFXAA = function()
+{
+	this.init();
+}
+CL3D.PostProcessFXAA.prototype = new CL3D.PostProcessEffect();
+
+/**
+ * Returns the type of the effect.
+ * @public
+ * @returns {String} 'fxaa'
+ */
+CL3D.PostProcessFXAA.prototype.getType = function()
+{
+	return 'fxaa';
+}
+
+/**
+ * @private
+ */
+CL3D.PostProcessFXAA.prototype.render = function(renderer, source, target)
+{
+	var program = this.getProgram(renderer, 'main', this.fs_shader_fxaa);
+	if (program == null)
+		return;
+
+	renderer.beginPostProcessPass(program, target, source, null);
+	renderer.drawPostProcessQuad();
+}
+
+// blurs along edges found by comparing the brightness of neighbouring pixels
+CL3D.PostProcessFXAA.prototype.fs_shader_fxaa = "\n\
+	uniform sampler2D texture1;\n\
+	uniform vec4 texture1Size;\n\
+	varying vec2 v_texCoord1;\n\
+	\n\
+	void main()\n\
+	{\n\
+		vec2 o = texture1Size.zw;\n\
+		vec4 colorM = texture2D(texture1, v_texCoord1);\n\
+		vec3 rgbNW = texture2D(texture1, v_texCoord1 + vec2(-o.x, -o.y)).rgb;\n\
+		vec3 rgbNE = texture2D(texture1, v_texCoord1 + vec2(o.x, -o.y)).rgb;\n\
+		vec3 rgbSW = texture2D(texture1, v_texCoord1 + vec2(-o.x, o.y)).rgb;\n\
+		vec3 rgbSE = texture2D(texture1, v_texCoord1 + vec2(o.x, o.y)).rgb;\n\
+		\n\
+		vec3 luma = vec3(0.299, 0.587, 0.114);\n\
+		float lumaNW = dot(rgbNW, luma);\n\
+		float lumaNE = dot(rgbNE, luma);\n\
+		float lumaSW = dot(rgbSW, luma);\n\
+		float lumaSE = dot(rgbSE, luma);\n\
+		float lumaM = dot(colorM.rgb, luma);\n\
+		float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));\n\
+		float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));\n\
+		\n\
+		// direction along the edge\n\
+		vec2 dir = vec2((lumaSW + lumaSE) - (lumaNW + lumaNE), (lumaNW + lumaSW) - (lumaNE + lumaSE));\n\
+		float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * (0.25 / 8.0), 1.0 / 128.0);\n\
+		float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);\n\
+		dir = clamp(dir * rcpDirMin, vec2(-8.0), vec2(8.0)) * o;\n\
+		\n\
+		vec3 rgbA = 0.5 * (texture2D(texture1, v_texCoord1 + dir * (1.0 / 3.0 - 0.5)).rgb +\n\
+		                   texture2D(texture1, v_texCoord1 + dir * (2.0 / 3.0 - 0.5)).rgb);\n\
+		vec3 rgbB = rgbA * 0.5 + 0.25 * (texture2D(texture1, v_texCoord1 - dir * 0.5).rgb +\n\
+		                                 texture2D(texture1, v_texCoord1 + dir * 0.5).rgb);\n\
+		float lumaB = dot(rgbB, luma);\n\
+		\n\
+		// the wider blur may reach over the edge, then use the smaller one\n\
+		if (lumaB < lumaMin || lumaB > lumaMax)\n\
+			gl_FragColor = vec4(rgbA, colorM.a);\n\
+		else\n\
+			gl_FragColor = vec4(rgbB, colorM.a);\n\
+	}\n\
+	";
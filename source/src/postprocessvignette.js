@@ -0,0 +1,94 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Post process effect darkening the corners of the image. Add it to a scene using {@link CL3D.Scene.addPostProcessEffect}().
+ * @constructor
+ * @public
+ * @extends CL3D.PostProcessEffect
+ * @class Post process effect darkening the corners of the image.
+ */
+CL3D.PostProcessVignette = function()
+{
+	this.init();
+
+	this.Intensity = 0.6;
+	this.Radius = 0.75;
+	this.Softness = 0.5;
+	this.Color = new CL3D.ColorF();
+	this.Color.R = 0;
+	this.Color.G = 0;
+	this.Color.B = 0;
+}
+CL3D.PostProcessVignette.prototype = new CL3D.PostProcessEffect();
+
+/**
+ * How much the corners are darkened, between 0 and 1. Default is 0.6.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessVignette.prototype.Intensity = 0.6;
+
+/**
+ * Distance from the center where the darkening starts, relative to the distance to the corners. Default is 0.75.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessVignette.prototype.Radius = 0.75;
+
+/**
+ * Width of the transition from the undarkened center to the corners. Default is 0.5.
+ * @public
+ * @type Number
+ */
+CL3D.PostProcessVignette.prototype.Softness = 0.5;
+
+/**
+ * Color of the corners, black by default.
+ * @public
+ * @type CL3D.ColorF
+ */
+CL3D.PostProcessVignette.prototype.Color = null;
+
+/**
+ * Returns the type of the effect.
+ * @public
+ * @returns {String} 'vignette'
+ */
+CL3D.PostProcessVignette.prototype.getType = function()
+{
+	return 'vignette';
+}
+
+/**
+ * @private
+ */
+CL3D.PostProcessVignette.prototype.render = function(renderer, source, target)
+{
+	var gl = renderer.getWebGL();
+
+	var program = this.getProgram(renderer, 'main', this.fs_shader_vignette);
+	if (program == null)
+		return;
+
+	renderer.beginPostProcessPass(program, target, source, null);
+	gl.uniform3f(gl.getUniformLocation(program, "vignetteParams"), this.Intensity, this.Radius, Math.max(this.Softness, 0.001));
+	gl.uniform3f(gl.getUniformLocation(program, "vignetteColor"), this.Color.R, this.Color.G, this.Color.B);
+	renderer.drawPostProcessQuad();
+}
+
+// blends to the vignette color depending on the distance to the center
+CL3D.PostProcessVignette.prototype.fs_shader_vignette = "\n\
+	uniform sampler2D texture1;\n\
+	uniform vec3 vignetteParams;\n\
+	uniform vec3 vignetteColor;\n\
+	varying vec2 v_texCoord1;\n\
+	\n\
+	void main()\n\
+	{\n\
+		vec4 color = texture2D(texture1, v_texCoord1);\n\
+		float dist = length(v_texCoord1 - vec2(0.5)) * 1.41421356;\n\
+		float amount = smoothstep(vignetteParams.y, vignetteParams.y + vignetteParams.z, dist) * vignetteParams.x;\n\
+		gl_FragColor = vec4(mix(color.rgb, vignetteColor, amount), color.a);\n\
+	}\n\
+	";
@@ -3,62 +3,75 @@
 //window['CopperLicht'] = CopperLicht;
 //CopperLicht.prototype['load'] = CopperLicht.load;
 //CL3D['startCopperLichtFromFile'] = CL3D.startCopperLichtFromFile;
-window['startCopperLichtFromFile'] = startCopperLichtFromFile;
-
-window['CL3D'] = CL3D;
-
-// scripting interface
-window['ccbGetSceneNodeFromId'] = ccbGetSceneNodeFromId;
-window['ccbCloneSceneNode'] = ccbCloneSceneNode;
-window['ccbGetActiveCamera'] = ccbGetActiveCamera;
-window['ccbSetActiveCamera'] = ccbSetActiveCamera;
-window['ccbGetChildSceneNode'] = ccbGetChildSceneNode;
-window['ccbGetRootSceneNode'] = ccbGetRootSceneNode;
-window['ccbGetSceneNodeChildCount'] = ccbGetSceneNodeChildCount;
-window['ccbGetSceneNodeFromName'] = ccbGetSceneNodeFromName;
-window['ccbRemoveSceneNode'] = ccbRemoveSceneNode;
-window['ccbGetSceneNodeMaterialCount'] = ccbGetSceneNodeMaterialCount;
-window['ccbGetSceneNodeMaterialProperty'] = ccbGetSceneNodeMaterialProperty;
-window['ccbSetSceneNodeMaterialProperty'] = ccbSetSceneNodeMaterialProperty;
-window['ccbSetSceneNodeProperty'] = ccbSetSceneNodeProperty;
-window['ccbGetSceneNodeProperty'] = ccbGetSceneNodeProperty;
-window['ccbSetSceneNodePositionWithoutCollision'] = ccbSetSceneNodePositionWithoutCollision;
-window['ccbRegisterOnFrameEvent'] = ccbRegisterOnFrameEvent;
-window['ccbDrawColoredRectangle'] = ccbDrawColoredRectangle;
-window['ccbDrawTextureRectangle'] = ccbDrawTextureRectangle;
-window['ccbDrawTextureRectangleWithAlpha'] = ccbDrawTextureRectangleWithAlpha;
-window['ccbGet3DPosFrom2DPos'] = ccbGet3DPosFrom2DPos;
-window['ccbGet2DPosFrom3DPos'] = ccbGet2DPosFrom3DPos;
-window['ccbGetCollisionPointOfWorldWithLine'] = ccbGetCollisionPointOfWorldWithLine;
-window['ccbEndProgram'] = ccbEndProgram;
-window['ccbDoesLineCollideWithBoundingBoxOfSceneNode'] = ccbDoesLineCollideWithBoundingBoxOfSceneNode;
-window['ccbLoadTexture'] = ccbLoadTexture;
-window['ccbGetMousePosX'] = ccbGetMousePosX;
-window['ccbGetMousePosY'] = ccbGetMousePosY;
-window['ccbGetScreenWidth'] = ccbGetScreenWidth;
-window['ccbGetScreenHeight'] = ccbGetScreenHeight;
-window['ccbSetCloseOnEscapePressed'] = ccbSetCloseOnEscapePressed;
-window['ccbSetCursorVisible'] = ccbSetCursorVisible;
-window['ccbSwitchToScene'] = ccbSwitchToScene;
-window['ccbPlaySound'] = ccbPlaySound;
-window['ccbGetCopperCubeVariable'] = ccbGetCopperCubeVariable;
-window['ccbSetCopperCubeVariable'] = ccbSetCopperCubeVariable;
-window['ccbReadFileContent'] = ccbReadFileContent;
-window['ccbWriteFileContent'] = ccbWriteFileContent;
-window['ccbGetPlatform'] = ccbGetPlatform;
-window['ccbInvokeAction'] = ccbInvokeAction;
-window['ccbCleanMemory'] = ccbCleanMemory;
-window['print'] = print;
-window['system'] = system;
-window['ccbRegisterBehaviorEventReceiver'] = ccbRegisterBehaviorEventReceiver;
-window['ccbUnregisterOnFrameEvent'] = ccbUnregisterOnFrameEvent;
-window['ccbSwitchToFullscreen'] = ccbSwitchToFullscreen;
-window['ccbDoHTTPRequest'] = ccbDoHTTPRequest;
-window['ccbCancelHTTPRequest'] = ccbCancelHTTPRequest;
-window['ccbCreateMaterial'] = ccbCreateMaterial;
-window['ccbSetShaderConstant'] = ccbSetShaderConstant;
-window['ccbSetPhysicsVelocity'] = ccbSetPhysicsVelocity;
-window['ccbAICommand'] = ccbAICommand;
+
+// there is no window when running headless, in node.js
+if (typeof window != 'undefined')
+{
+	window['startCopperLichtFromFile'] = startCopperLichtFromFile;
+
+	window['CL3D'] = CL3D;
+
+	// scripting interface
+	window['ccbGetSceneNodeFromId'] = ccbGetSceneNodeFromId;
+	window['ccbCloneSceneNode'] = ccbCloneSceneNode;
+	window['ccbGetActiveCamera'] = ccbGetActiveCamera;
+	window['ccbSetActiveCamera'] = ccbSetActiveCamera;
+	window['ccbGetChildSceneNode'] = ccbGetChildSceneNode;
+	window['ccbGetRootSceneNode'] = ccbGetRootSceneNode;
+	window['ccbGetSceneNodeChildCount'] = ccbGetSceneNodeChildCount;
+	window['ccbGetSceneNodeFromName'] = ccbGetSceneNodeFromName;
+	window['ccbRemoveSceneNode'] = ccbRemoveSceneNode;
+	window['ccbGetSceneNodeMaterialCount'] = ccbGetSceneNodeMaterialCount;
+	window['ccbGetSceneNodeMaterialProperty'] = ccbGetSceneNodeMaterialProperty;
+	window['ccbSetSceneNodeMaterialProperty'] = ccbSetSceneNodeMaterialProperty;
+	window['ccbSetSceneNodeProperty'] = ccbSetSceneNodeProperty;
+	window['ccbGetSceneNodeProperty'] = ccbGetSceneNodeProperty;
+	window['ccbSetSceneNodePositionWithoutCollision'] = ccbSetSceneNodePositionWithoutCollision;
+	window['ccbRegisterOnFrameEvent'] = ccbRegisterOnFrameEvent;
+	window['ccbDrawColoredRectangle'] = ccbDrawColoredRectangle;
+	window['ccbDrawTextureRectangle'] = ccbDrawTextureRectangle;
+	window['ccbDrawTextureRectangleWithAlpha'] = ccbDrawTextureRectangleWithAlpha;
+	window['ccbGet3DPosFrom2DPos'] = ccbGet3DPosFrom2DPos;
+	window['ccbGet2DPosFrom3DPos'] = ccbGet2DPosFrom3DPos;
+	window['ccbGetCollisionPointOfWorldWithLine'] = ccbGetCollisionPointOfWorldWithLine;
+	window['ccbEndProgram'] = ccbEndProgram;
+	window['ccbDoesLineCollideWithBoundingBoxOfSceneNode'] = ccbDoesLineCollideWithBoundingBoxOfSceneNode;
+	window['ccbLoadTexture'] = ccbLoadTexture;
+	window['ccbGetMousePosX'] = ccbGetMousePosX;
+	window['ccbGetMousePosY'] = ccbGetMousePosY;
+	window['ccbGetScreenWidth'] = ccbGetScreenWidth;
+	window['ccbGetScreenHeight'] = ccbGetScreenHeight;
+	window['ccbSetCloseOnEscapePressed'] = ccbSetCloseOnEscapePressed;
+	window['ccbSetCursorVisible'] = ccbSetCursorVisible;
+	window['ccbSwitchToScene'] = ccbSwitchToScene;
+	window['ccbPlaySound'] = ccbPlaySound;
+	window['ccbGetCopperCubeVariable'] = ccbGetCopperCubeVariable;
+	window['ccbSetCopperCubeVariable'] = ccbSetCopperCubeVariable;
+	window['ccbReadFileContent'] = ccbReadFileContent;
+	window['ccbWriteFileContent'] = ccbWriteFileContent;
+	window['ccbGetPlatform'] = ccbGetPlatform;
+	window['ccbInvokeAction'] = ccbInvokeAction;
+	window['ccbCleanMemory'] = ccbCleanMemory;
+	window['print'] = print;
+	window['system'] = system;
+	window['ccbRegisterBehaviorEventReceiver'] = ccbRegisterBehaviorEventReceiver;
+	window['ccbUnregisterOnFrameEvent'] = ccbUnregisterOnFrameEvent;
+	window['ccbSwitchToFullscreen'] = ccbSwitchToFullscreen;
+	window['ccbDoHTTPRequest'] = ccbDoHTTPRequest;
+	window['ccbCancelHTTPRequest'] = ccbCancelHTTPRequest;
+	window['ccbCreateMaterial'] = ccbCreateMaterial;
+	window['ccbSetShaderConstant'] = ccbSetShaderConstant;
+	window['ccbCreatePostEffect'] = ccbCreatePostEffect;
+	window['ccbSetPostEffectEnabled'] = ccbSetPostEffectEnabled;
+	window['ccbSetPhysicsVelocity'] = ccbSetPhysicsVelocity;
+	window['ccbGetPhysicsVelocity'] = ccbGetPhysicsVelocity;
+	window['ccbApplyPhysicsImpulse'] = ccbApplyPhysicsImpulse;
+	window['ccbAICommand'] = ccbAICommand;
+}
+
+// in node.js, the library can also be loaded using require()
+if (typeof module != 'undefined' && module['exports'])
+	module['exports'] = CL3D;
 
 /*
 with (CL3D)
@@ -106,6 +119,8 @@ Quaternion.prototype['getMatrix'] = Quaternion.prototype.getMatrix;
 Quaternion.prototype['toEuler'] = Quaternion.prototype.toEuler;
 Quaternion.prototype['setFromEuler'] = Quaternion.prototype.setFromEuler;
 Quaternion.prototype['normalize'] = Quaternion.prototype.normalize;
+Quaternion.prototype['multiply'] = Quaternion.prototype.multiply;
+Quaternion.prototype['getInverse'] = Quaternion.prototype.getInverse;
 
 Triangle3d.prototype['getIntersectionWithLine'] = Triangle3d.prototype.getIntersectionWithLine;
 Triangle3d.prototype['getIntersectionOfPlaneWithLine'] = Triangle3d.prototype.getIntersectionOfPlaneWithLine;
@@ -123,6 +138,7 @@ Matrix4.prototype['isTranslateOnly'] = Matrix4.prototype.isTranslateOnly;
 Matrix4.prototype['equals'] = Matrix4.prototype.equals;
 Matrix4.prototype['getTranslation'] = Matrix4.prototype.getTranslation;
 Matrix4.prototype['getScale'] = Matrix4.prototype.getScale;
+Matrix4.prototype['getInterpolated'] = Matrix4.prototype.getInterpolated;
 Matrix4.prototype['rotateVect'] = Matrix4.prototype.rotateVect;
 Matrix4.prototype['rotateVect2'] = Matrix4.prototype.rotateVect2;
 Matrix4.prototype['getRotatedVect'] = Matrix4.prototype.getRotatedVect;
@@ -188,6 +204,11 @@ Scene['RENDER_MODE_LIGHTS'] = Scene.RENDER_MODE_LIGHTS;
 Scene['RENDER_MODE_CAMERA'] = Scene.RENDER_MODE_CAMERA;
 Scene['RENDER_MODE_TRANSPARENT'] = Scene.RENDER_MODE_TRANSPARENT;
 Scene['RENDER_MODE_2DOVERLAY'] = Scene.RENDER_MODE_2DOVERLAY;
+Scene['FOG_NONE'] = Scene.FOG_NONE;
+Scene['FOG_LINEAR'] = Scene.FOG_LINEAR;
+Scene['FOG_EXP'] = Scene.FOG_EXP;
+Scene['FOG_EXP2'] = Scene.FOG_EXP2;
+Scene['FOG_HEIGHT'] = Scene.FOG_HEIGHT;
 
 Scene.prototype['setRedrawMode'] = Scene.prototype.setRedrawMode;
 Scene.prototype['setActiveCamera'] = Scene.prototype.setActiveCamera;
@@ -206,6 +227,22 @@ Scene.prototype['getBackgroundColor'] = Scene.prototype.getBackgroundColor;
 Scene.prototype['setName'] = Scene.prototype.setName;
 Scene.prototype['getName'] = Scene.prototype.getName;
 Scene.prototype['getCollisionGeometry'] = Scene.prototype.getCollisionGeometry;
+Scene.prototype['getPhysicsWorld'] = Scene.prototype.getPhysicsWorld;
+Scene.prototype['getNavMesh'] = Scene.prototype.getNavMesh;
+Scene.prototype['setNavMesh'] = Scene.prototype.setNavMesh;
+Scene.prototype['setUseCulling'] = Scene.prototype.setUseCulling;
+Scene.prototype['getUseCulling'] = Scene.prototype.getUseCulling;
+Scene.prototype['setUseSpatialHierarchy'] = Scene.prototype.setUseSpatialHierarchy;
+Scene.prototype['getUseSpatialHierarchy'] = Scene.prototype.getUseSpatialHierarchy;
+Scene.prototype['getRenderStatistics'] = Scene.prototype.getRenderStatistics;
+Scene.prototype['setFog'] = Scene.prototype.setFog;
+Scene.prototype['getFogMode'] = Scene.prototype.getFogMode;
+Scene.prototype['addPostProcessEffect'] = Scene.prototype.addPostProcessEffect;
+Scene.prototype['removePostProcessEffect'] = Scene.prototype.removePostProcessEffect;
+Scene.prototype['getPostProcessEffects'] = Scene.prototype.getPostProcessEffects;
+Scene.prototype['addViewport'] = Scene.prototype.addViewport;
+Scene.prototype['removeViewport'] = Scene.prototype.removeViewport;
+Scene.prototype['getViewports'] = Scene.prototype.getViewports;
 
 SceneNode.prototype['getParent'] = SceneNode.prototype.getParent;
 SceneNode.prototype['getAnimators'] = SceneNode.prototype.getAnimators;
@@ -248,10 +285,39 @@ AnimatorCollisionResponse.prototype['isFalling'] = AnimatorCollisionResponse.pro
 AnimatorCollisionResponse.prototype['setGravity'] = AnimatorCollisionResponse.prototype.setGravity;
 AnimatorCollisionResponse.prototype['getGravity'] = AnimatorCollisionResponse.prototype.getGravity;
 
+AnimatorRigidBody.prototype['getType'] = AnimatorRigidBody.prototype.getType;
+AnimatorRigidBody.prototype['getBody'] = AnimatorRigidBody.prototype.getBody;
+
+PhysicsBody['SHAPE_BOX'] = PhysicsBody.SHAPE_BOX;
+PhysicsBody['SHAPE_SPHERE'] = PhysicsBody.SHAPE_SPHERE;
+PhysicsBody['SHAPE_CAPSULE'] = PhysicsBody.SHAPE_CAPSULE;
+PhysicsBody.prototype['setMass'] = PhysicsBody.prototype.setMass;
+PhysicsBody.prototype['getMass'] = PhysicsBody.prototype.getMass;
+PhysicsBody.prototype['isKinematic'] = PhysicsBody.prototype.isKinematic;
+PhysicsBody.prototype['setVelocity'] = PhysicsBody.prototype.setVelocity;
+PhysicsBody.prototype['getVelocity'] = PhysicsBody.prototype.getVelocity;
+PhysicsBody.prototype['applyImpulse'] = PhysicsBody.prototype.applyImpulse;
+PhysicsBody.prototype['applyForce'] = PhysicsBody.prototype.applyForce;
+PhysicsBody.prototype['getBoundingBox'] = PhysicsBody.prototype.getBoundingBox;
+
+PhysicsWorld.prototype['addBody'] = PhysicsWorld.prototype.addBody;
+PhysicsWorld.prototype['removeBody'] = PhysicsWorld.prototype.removeBody;
+PhysicsWorld.prototype['getBodyForNode'] = PhysicsWorld.prototype.getBodyForNode;
+PhysicsWorld.prototype['getBodies'] = PhysicsWorld.prototype.getBodies;
+PhysicsWorld.prototype['addStaticTriangleSelector'] = PhysicsWorld.prototype.addStaticTriangleSelector;
+PhysicsWorld.prototype['removeStaticTriangleSelector'] = PhysicsWorld.prototype.removeStaticTriangleSelector;
+PhysicsWorld.prototype['addStaticMeshSceneNode'] = PhysicsWorld.prototype.addStaticMeshSceneNode;
+PhysicsWorld.prototype['setGravity'] = PhysicsWorld.prototype.setGravity;
+PhysicsWorld.prototype['getGravity'] = PhysicsWorld.prototype.getGravity;
+PhysicsWorld.prototype['step'] = PhysicsWorld.prototype.step;
+
 Material['EMT_SOLID'] = Material.EMT_SOLID;
 Material['EMT_LIGHTMAP'] = Material.EMT_LIGHTMAP;
 Material['EMT_TRANSPARENT_ADD_COLOR'] = Material.EMT_TRANSPARENT_ADD_COLOR;
 Material['EMT_TRANSPARENT_ALPHA_CHANNEL'] = Material.EMT_TRANSPARENT_ALPHA_CHANNEL;
+Material['EMT_PBR_SOLID'] = Material.EMT_PBR_SOLID;
+Material['EMT_PBR_TRANSPARENT_ALPHA_CHANNEL'] = Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL;
+Material['EMT_PLANAR_REFLECTION'] = Material.EMT_PLANAR_REFLECTION;
 
 CopperLicht.prototype['getRenderer'] = CopperLicht.prototype.getRenderer;
 CopperLicht.prototype['getScene'] = CopperLicht.prototype.getScene;
@@ -270,6 +336,23 @@ CopperLicht.prototype['getTextureManager'] = CopperLicht.prototype.getTextureMan
 CopperLicht.prototype['get2DPositionFrom3DPosition'] = CopperLicht.prototype.get2DPositionFrom3DPosition;
 CopperLicht.prototype['get3DPositionFrom2DPosition'] = CopperLicht.prototype.get3DPositionFrom2DPosition;
 CopperLicht.prototype['addScene'] = CopperLicht.prototype.addScene;
+CopperLicht.prototype['getInputManager'] = CopperLicht.prototype.getInputManager;
+CopperLicht.prototype['getClock'] = CopperLicht.prototype.getClock;
+CopperLicht.prototype['start'] = CopperLicht.prototype.start;
+CopperLicht.prototype['stop'] = CopperLicht.prototype.stop;
+CopperLicht.prototype['isRunning'] = CopperLicht.prototype.isRunning;
+CopperLicht.prototype['pause'] = CopperLicht.prototype.pause;
+CopperLicht.prototype['resume'] = CopperLicht.prototype.resume;
+CopperLicht.prototype['isPaused'] = CopperLicht.prototype.isPaused;
+CopperLicht.prototype['getAverageFrameTime'] = CopperLicht.prototype.getAverageFrameTime;
+CopperLicht.prototype['isHeadless'] = CopperLicht.prototype.isHeadless;
+CopperLicht.prototype['advanceTime'] = CopperLicht.prototype.advanceTime;
+CopperLicht.prototype['loadFromBuffer'] = CopperLicht.prototype.loadFromBuffer;
+CopperLicht.prototype['getLoadingProgress'] = CopperLicht.prototype.getLoadingProgress;
+CopperLicht.prototype['getAssetManager'] = CopperLicht.prototype.getAssetManager;
+CopperLicht.prototype['getTouchCount'] = CopperLicht.prototype.getTouchCount;
+CopperLicht.prototype['getTouchX'] = CopperLicht.prototype.getTouchX;
+CopperLicht.prototype['getTouchY'] = CopperLicht.prototype.getTouchY;
 
 CameraSceneNode.prototype['setAspectRatio'] = CameraSceneNode.prototype.setAspectRatio;
 CameraSceneNode.prototype['getAspectRatio'] = CameraSceneNode.prototype.getAspectRatio;
@@ -284,6 +367,9 @@ CameraSceneNode.prototype['setNearValue'] = CameraSceneNode.prototype.setNearVal
 CameraSceneNode.prototype['getFarValue'] = CameraSceneNode.prototype.getFarValue;
 CameraSceneNode.prototype['setFarValue'] = CameraSceneNode.prototype.setFarValue;
 CameraSceneNode.prototype['createClone'] = CameraSceneNode.prototype.createClone;
+CameraSceneNode.prototype['setRenderTarget'] = CameraSceneNode.prototype.setRenderTarget;
+CameraSceneNode.prototype['getRenderTarget'] = CameraSceneNode.prototype.getRenderTarget;
+CameraSceneNode.prototype['setReflection'] = CameraSceneNode.prototype.setReflection;
 
 BillboardSceneNode.prototype['getBoundingBox'] = BillboardSceneNode.prototype.getBoundingBox;
 BillboardSceneNode.prototype['getType'] = BillboardSceneNode.prototype.getType;
@@ -296,6 +382,7 @@ BillboardSceneNode.prototype['getSize'] = BillboardSceneNode.prototype.getSize;
 
 SkyBoxSceneNode.prototype['createClone'] = SkyBoxSceneNode.prototype.createClone;
 SkyBoxSceneNode.prototype['getType'] = SkyBoxSceneNode.prototype.getType;
+SkyBoxSceneNode.prototype['getEnvironmentMap'] = SkyBoxSceneNode.prototype.getEnvironmentMap;
 
 Overlay2DSceneNode.prototype['createClone'] = Overlay2DSceneNode.prototype.createClone;
 Overlay2DSceneNode.prototype['getType'] = Overlay2DSceneNode.prototype.getType;
@@ -316,6 +403,28 @@ AnimatedMeshSceneNode.prototype['setMinimalUpdateDelay'] = AnimatedMeshSceneNode
 AnimatedMeshSceneNode.prototype['getNamedAnimationCount'] = AnimatedMeshSceneNode.prototype.getNamedAnimationCount;
 AnimatedMeshSceneNode.prototype['getNamedAnimationInfo'] = AnimatedMeshSceneNode.prototype.getNamedAnimationInfo;
 AnimatedMeshSceneNode.prototype['setAnimation'] = AnimatedMeshSceneNode.prototype.setAnimation;
+AnimatedMeshSceneNode.prototype['setAnimationBlendSpace'] = AnimatedMeshSceneNode.prototype.setAnimationBlendSpace;
+AnimatedMeshSceneNode.prototype['getAnimationBlendSpace'] = AnimatedMeshSceneNode.prototype.getAnimationBlendSpace;
+AnimatedMeshSceneNode.prototype['addAnimationLayer'] = AnimatedMeshSceneNode.prototype.addAnimationLayer;
+AnimatedMeshSceneNode.prototype['removeAnimationLayer'] = AnimatedMeshSceneNode.prototype.removeAnimationLayer;
+AnimatedMeshSceneNode.prototype['getAnimationLayers'] = AnimatedMeshSceneNode.prototype.getAnimationLayers;
+AnimatedMeshSceneNode.prototype['addAnimationEvent'] = AnimatedMeshSceneNode.prototype.addAnimationEvent;
+AnimatedMeshSceneNode.prototype['removeAnimationEvents'] = AnimatedMeshSceneNode.prototype.removeAnimationEvents;
+
+AnimationBlendSpace.prototype['addAnimation'] = AnimationBlendSpace.prototype.addAnimation;
+AnimationBlendSpace.prototype['clearAnimations'] = AnimationBlendSpace.prototype.clearAnimations;
+AnimationBlendSpace.prototype['setParameters'] = AnimationBlendSpace.prototype.setParameters;
+AnimationBlendSpace.prototype['createClone'] = AnimationBlendSpace.prototype.createClone;
+AnimationLayer.prototype['setAnimation'] = AnimationLayer.prototype.setAnimation;
+AnimationLayer.prototype['setBlendSpace'] = AnimationLayer.prototype.setBlendSpace;
+AnimationLayer.prototype['getBlendSpace'] = AnimationLayer.prototype.getBlendSpace;
+AnimationLayer.prototype['restart'] = AnimationLayer.prototype.restart;
+AnimationLayer.prototype['isFinished'] = AnimationLayer.prototype.isFinished;
+AnimationLayer.prototype['getPhase'] = AnimationLayer.prototype.getPhase;
+AnimationLayer.prototype['fadeTo'] = AnimationLayer.prototype.fadeTo;
+AnimationLayer.prototype['addJointToMask'] = AnimationLayer.prototype.addJointToMask;
+AnimationLayer.prototype['clearJointMask'] = AnimationLayer.prototype.clearJointMask;
+AnimationLayer.prototype['createClone'] = AnimationLayer.prototype.createClone;
 
 PathSceneNode.prototype['getBoundingBox'] = PathSceneNode.prototype.getBoundingBox;
 PathSceneNode.prototype['getType'] = PathSceneNode.prototype.getType;
@@ -330,6 +439,44 @@ MeshSceneNode.prototype['createClone'] = MeshSceneNode.prototype.createClone;
 MeshSceneNode.prototype['setMesh'] = MeshSceneNode.prototype.setMesh;
 MeshSceneNode.prototype['getBoundingBox'] = MeshSceneNode.prototype.getBoundingBox;
 
+InstancedMeshSceneNode.prototype['getMesh'] = InstancedMeshSceneNode.prototype.getMesh;
+InstancedMeshSceneNode.prototype['setMesh'] = InstancedMeshSceneNode.prototype.setMesh;
+InstancedMeshSceneNode.prototype['addInstance'] = InstancedMeshSceneNode.prototype.addInstance;
+InstancedMeshSceneNode.prototype['setInstance'] = InstancedMeshSceneNode.prototype.setInstance;
+InstancedMeshSceneNode.prototype['removeInstance'] = InstancedMeshSceneNode.prototype.removeInstance;
+InstancedMeshSceneNode.prototype['clearInstances'] = InstancedMeshSceneNode.prototype.clearInstances;
+InstancedMeshSceneNode.prototype['getInstanceCount'] = InstancedMeshSceneNode.prototype.getInstanceCount;
+InstancedMeshSceneNode.prototype['getInstanceTransformation'] = InstancedMeshSceneNode.prototype.getInstanceTransformation;
+InstancedMeshSceneNode.prototype['getMaterialCount'] = InstancedMeshSceneNode.prototype.getMaterialCount;
+InstancedMeshSceneNode.prototype['getMaterial'] = InstancedMeshSceneNode.prototype.getMaterial;
+InstancedMeshSceneNode.prototype['createClone'] = InstancedMeshSceneNode.prototype.createClone;
+InstancedMeshSceneNode.prototype['getBoundingBox'] = InstancedMeshSceneNode.prototype.getBoundingBox;
+InstancedMeshSceneNode.prototype['getType'] = InstancedMeshSceneNode.prototype.getType;
+
+PostProcessEffect.prototype['getType'] = PostProcessEffect.prototype.getType;
+PostProcessEffect.prototype['render'] = PostProcessEffect.prototype.render;
+PostProcessEffect['fs_shader_depth'] = PostProcessEffect.fs_shader_depth;
+PostProcessBloom.prototype['getType'] = PostProcessBloom.prototype.getType;
+PostProcessFXAA.prototype['getType'] = PostProcessFXAA.prototype.getType;
+PostProcessColorGrading.prototype['getType'] = PostProcessColorGrading.prototype.getType;
+PostProcessVignette.prototype['getType'] = PostProcessVignette.prototype.getType;
+PostProcessDepthOfField.prototype['getType'] = PostProcessDepthOfField.prototype.getType;
+
+Viewport.prototype['setRect'] = Viewport.prototype.setRect;
+
+Clock.prototype['getTime'] = Clock.prototype.getTime;
+Clock.prototype['getDeltaTime'] = Clock.prototype.getDeltaTime;
+Clock.prototype['setPaused'] = Clock.prototype.setPaused;
+Clock.prototype['isPaused'] = Clock.prototype.isPaused;
+Clock.prototype['setTimeScale'] = Clock.prototype.setTimeScale;
+Clock.prototype['getTimeScale'] = Clock.prototype.getTimeScale;
+Clock.prototype['setFixedTimeStep'] = Clock.prototype.setFixedTimeStep;
+Clock.prototype['getFixedTimeStep'] = Clock.prototype.getFixedTimeStep;
+Clock.prototype['step'] = Clock.prototype.step;
+Clock.prototype['getInterpolationFactor'] = Clock.prototype.getInterpolationFactor;
+CLTimer['getTime'] = CLTimer.getTime;
+CLTimer['getRealTime'] = CLTimer.getRealTime;
+
 Plane3d['ISREL3D_FRONT'] = Plane3d.ISREL3D_FRONT;
 Plane3d['ISREL3D_BACK'] = Plane3d.ISREL3D_BACK;
 Plane3d['ISREL3D_PLANAR'] = Plane3d.ISREL3D_PLANAR;
@@ -374,17 +521,130 @@ Renderer.prototype['draw2DRectangle'] = Renderer.prototype.draw2DRectangle;
 Renderer.prototype['draw2DImage'] = Renderer.prototype.draw2DImage; 
 Renderer.prototype['deleteTexture'] = Renderer.prototype.deleteTexture; 
 Renderer.prototype['createTextureFrom2DCanvas'] = Renderer.prototype.createTextureFrom2DCanvas;
+Renderer.prototype['draw3DLine'] = Renderer.prototype.draw3DLine; 
+Renderer.prototype['draw3DLine3d'] = Renderer.prototype.draw3DLine3d; 
+Renderer.prototype['draw3DBox'] = Renderer.prototype.draw3DBox; 
+Renderer.prototype['draw3DFrustrum'] = Renderer.prototype.draw3DFrustrum; 
+Renderer.prototype['draw3DPath'] = Renderer.prototype.draw3DPath; 
+Renderer.prototype['flush3DLines'] = Renderer.prototype.flush3DLines; 
+Renderer.prototype['clear3DLines'] = Renderer.prototype.clear3DLines; 
+Renderer.prototype['setFog'] = Renderer.prototype.setFog; 
+Renderer.prototype['isWebGL2'] = Renderer.prototype.isWebGL2; 
+Renderer.prototype['isInstancingSupported'] = Renderer.prototype.isInstancingSupported; 
+Renderer.prototype['setEnvironmentMap'] = Renderer.prototype.setEnvironmentMap; 
+Renderer.prototype['createEnvironmentMap'] = Renderer.prototype.createEnvironmentMap; 
+Renderer.prototype['deleteEnvironmentMap'] = Renderer.prototype.deleteEnvironmentMap; 
+Renderer.prototype['addRenderTargetTexture'] = Renderer.prototype.addRenderTargetTexture; 
+Renderer.prototype['setRenderTarget'] = Renderer.prototype.setRenderTarget; 
+Renderer.prototype['getRenderTarget'] = Renderer.prototype.getRenderTarget; 
+Renderer.prototype['setViewport'] = Renderer.prototype.setViewport; 
+
+NullRenderer.prototype['getWidth'] = NullRenderer.prototype.getWidth; 
+NullRenderer.prototype['getHeight'] = NullRenderer.prototype.getHeight; 
+NullRenderer.prototype['setSize'] = NullRenderer.prototype.setSize; 
+NullRenderer.prototype['getWebGL'] = NullRenderer.prototype.getWebGL; 
+NullRenderer.prototype['isWebGL2'] = NullRenderer.prototype.isWebGL2; 
+NullRenderer.prototype['isInstancingSupported'] = NullRenderer.prototype.isInstancingSupported; 
+NullRenderer.prototype['createMaterialType'] = NullRenderer.prototype.createMaterialType; 
+NullRenderer.prototype['setProjection'] = NullRenderer.prototype.setProjection; 
+NullRenderer.prototype['getProjection'] = NullRenderer.prototype.getProjection; 
+NullRenderer.prototype['setView'] = NullRenderer.prototype.setView; 
+NullRenderer.prototype['getView'] = NullRenderer.prototype.getView; 
+NullRenderer.prototype['setWorld'] = NullRenderer.prototype.setWorld; 
+NullRenderer.prototype['getWorld'] = NullRenderer.prototype.getWorld; 
+NullRenderer.prototype['getRenderTarget'] = NullRenderer.prototype.getRenderTarget; 
+NullRenderer.prototype['drawMesh'] = NullRenderer.prototype.drawMesh; 
+NullRenderer.prototype['draw2DRectangle'] = NullRenderer.prototype.draw2DRectangle; 
+NullRenderer.prototype['draw2DImage'] = NullRenderer.prototype.draw2DImage; 
+NullRenderer.prototype['draw3DLine'] = NullRenderer.prototype.draw3DLine; 
+NullRenderer.prototype['draw3DLine3d'] = NullRenderer.prototype.draw3DLine3d; 
+NullRenderer.prototype['draw3DBox'] = NullRenderer.prototype.draw3DBox; 
+NullRenderer.prototype['draw3DFrustrum'] = NullRenderer.prototype.draw3DFrustrum; 
+NullRenderer.prototype['draw3DPath'] = NullRenderer.prototype.draw3DPath; 
+
+GLTFLoader.prototype['load'] = GLTFLoader.prototype.load; 
+GLTFLoader.prototype['parse'] = GLTFLoader.prototype.parse; 
+
+SceneSerializer.prototype['saveScene'] = SceneSerializer.prototype.saveScene; 
+SceneSerializer.prototype['loadScene'] = SceneSerializer.prototype.loadScene; 
+SceneSerializer.prototype['serializeScene'] = SceneSerializer.prototype.serializeScene; 
+SceneSerializer.prototype['deserializeScene'] = SceneSerializer.prototype.deserializeScene; 
+
+SaveGameManager.prototype['setStorage'] = SaveGameManager.prototype.setStorage; 
+SaveGameManager.prototype['getStorage'] = SaveGameManager.prototype.getStorage; 
+SaveGameManager.prototype['isReady'] = SaveGameManager.prototype.isReady; 
+SaveGameManager.prototype['onReady'] = SaveGameManager.prototype.onReady; 
+SaveGameManager.prototype['setValue'] = SaveGameManager.prototype.setValue; 
+SaveGameManager.prototype['getValue'] = SaveGameManager.prototype.getValue; 
+SaveGameManager.prototype['removeValue'] = SaveGameManager.prototype.removeValue; 
+SaveGameManager.prototype['saveSnapshot'] = SaveGameManager.prototype.saveSnapshot; 
+SaveGameManager.prototype['loadSnapshot'] = SaveGameManager.prototype.loadSnapshot; 
+SaveGameManager.prototype['getSnapshot'] = SaveGameManager.prototype.getSnapshot; 
+SaveGameManager.prototype['deleteSnapshot'] = SaveGameManager.prototype.deleteSnapshot; 
+SaveGameManager.prototype['hasSnapshot'] = SaveGameManager.prototype.hasSnapshot; 
+SaveGameManager.prototype['getSnapshotSlotNames'] = SaveGameManager.prototype.getSnapshotSlotNames; 
+
+NavMesh.prototype['build'] = NavMesh.prototype.build; 
+NavMesh.prototype['clear'] = NavMesh.prototype.clear; 
+NavMesh.prototype['isEmpty'] = NavMesh.prototype.isEmpty; 
+NavMesh.prototype['findPath'] = NavMesh.prototype.findPath; 
+NavMesh.prototype['getClosestPoint'] = NavMesh.prototype.getClosestPoint; 
+
+InputManager.prototype['setDefaultBindings'] = InputManager.prototype.setDefaultBindings; 
+InputManager.prototype['clearBindings'] = InputManager.prototype.clearBindings; 
+InputManager.prototype['bindKey'] = InputManager.prototype.bindKey; 
+InputManager.prototype['bindMouseButton'] = InputManager.prototype.bindMouseButton; 
+InputManager.prototype['bindGamepadButton'] = InputManager.prototype.bindGamepadButton; 
+InputManager.prototype['bindGamepadAxis'] = InputManager.prototype.bindGamepadAxis; 
+InputManager.prototype['bindVirtualAxis'] = InputManager.prototype.bindVirtualAxis; 
+InputManager.prototype['setVirtualAxis'] = InputManager.prototype.setVirtualAxis; 
+InputManager.prototype['getActionNames'] = InputManager.prototype.getActionNames; 
+InputManager.prototype['getActionValue'] = InputManager.prototype.getActionValue; 
+InputManager.prototype['isActionDown'] = InputManager.prototype.isActionDown; 
+InputManager.prototype['wasActionPressed'] = InputManager.prototype.wasActionPressed; 
+InputManager.prototype['wasActionReleased'] = InputManager.prototype.wasActionReleased; 
+InputManager.prototype['isGamepadConnected'] = InputManager.prototype.isGamepadConnected; 
+
+TerrainSceneNode.prototype['createFromHeightmap'] = TerrainSceneNode.prototype.createFromHeightmap; 
+TerrainSceneNode.prototype['createFromHeights'] = TerrainSceneNode.prototype.createFromHeights; 
+TerrainSceneNode.prototype['hasHeightmap'] = TerrainSceneNode.prototype.hasHeightmap; 
+TerrainSceneNode.prototype['setLayer'] = TerrainSceneNode.prototype.setLayer; 
+TerrainSceneNode.prototype['getLayerTexture'] = TerrainSceneNode.prototype.getLayerTexture; 
+TerrainSceneNode.prototype['getHeightAt'] = TerrainSceneNode.prototype.getHeightAt; 
+TerrainSceneNode.prototype['getNormalAt'] = TerrainSceneNode.prototype.getNormalAt; 
+TerrainSceneNode.prototype['getBoundingBox'] = TerrainSceneNode.prototype.getBoundingBox; 
+TerrainSceneNode.prototype['getType'] = TerrainSceneNode.prototype.getType; 
+TerrainSceneNode.prototype['getMaterialCount'] = TerrainSceneNode.prototype.getMaterialCount; 
+TerrainSceneNode.prototype['getMaterial'] = TerrainSceneNode.prototype.getMaterial; 
+TerrainSceneNode.prototype['createClone'] = TerrainSceneNode.prototype.createClone; 
 
 TextureManager.prototype['getTexture'] = TextureManager.prototype.getTexture; 
 TextureManager.prototype['getTextureCount'] = TextureManager.prototype.getTextureCount; 
 TextureManager.prototype['getCountOfTexturesToLoad'] = TextureManager.prototype.getCountOfTexturesToLoad; 
+TextureManager.prototype['getCountOfTexturesFailedToLoad'] = TextureManager.prototype.getCountOfTexturesFailedToLoad; 
 
 Texture.prototype['getWidth'] = Texture.prototype.getWidth; 
 Texture.prototype['getHeight'] = Texture.prototype.getHeight; 
 Texture.prototype['getURL'] = Texture.prototype.getURL; 
 Texture.prototype['isLoaded'] = Texture.prototype.isLoaded; 
+Texture.prototype['hasLoadingFailed'] = Texture.prototype.hasLoadingFailed; 
 Texture.prototype['getWebGLTexture'] = Texture.prototype.getWebGLTexture; 
-Texture.prototype['getImage'] = Texture.prototype.getImage; 
+Texture.prototype['getImage'] = Texture.prototype.getImage;
+Texture.prototype['isRenderTarget'] = Texture.prototype.isRenderTarget; 
+
+LoadingProgress.prototype['getTextureCount'] = LoadingProgress.prototype.getTextureCount;
+LoadingProgress.prototype['getProgress'] = LoadingProgress.prototype.getProgress;
+LoadingProgress.prototype['isComplete'] = LoadingProgress.prototype.isComplete;
+
+AssetManager.prototype['load'] = AssetManager.prototype.load;
+AssetManager.prototype['loadTexture'] = AssetManager.prototype.loadTexture;
+AssetManager.prototype['loadSound'] = AssetManager.prototype.loadSound;
+AssetManager.prototype['loadVideo'] = AssetManager.prototype.loadVideo;
+AssetManager.prototype['loadScene'] = AssetManager.prototype.loadScene;
+AssetManager.prototype['preload'] = AssetManager.prototype.preload;
+AssetManager.prototype['cancel'] = AssetManager.prototype.cancel;
+AssetManager.prototype['cancelAll'] = AssetManager.prototype.cancelAll;
+AssetManager.prototype['getPendingCount'] = AssetManager.prototype.getPendingCount;
 
 TriangleSelector.prototype['getAllTriangles'] = TriangleSelector.prototype.getAllTriangles; 
 TriangleSelector.prototype['getTrianglesInBox'] = TriangleSelector.prototype.getTrianglesInBox; 
@@ -395,6 +655,8 @@ MetaTriangleSelector.prototype['getAllTriangles'] = MetaTriangleSelector.prototy
 MetaTriangleSelector.prototype['getTrianglesInBox'] = MetaTriangleSelector.prototype.getTrianglesInBox; 
 OctTreeTriangleSelector.prototype['getAllTriangles'] = OctTreeTriangleSelector.prototype.getAllTriangles; 
 OctTreeTriangleSelector.prototype['getTrianglesInBox'] = OctTreeTriangleSelector.prototype.getTrianglesInBox; 
+TerrainTriangleSelector.prototype['getAllTriangles'] = TerrainTriangleSelector.prototype.getAllTriangles; 
+TerrainTriangleSelector.prototype['getTrianglesInBox'] = TerrainTriangleSelector.prototype.getTrianglesInBox; 
 
 } // end with
 */
@@ -113,6 +113,32 @@ CL3D.Quaternion.prototype.addToThis = function(b) //:Quaternion
 	return this;
 }
 
+/**
+ * Returns the product of this quaternion with another one, as new quaternion. The result rotates like
+ * this quaternion followed by the other one.
+ * @public
+ * @param {CL3D.Quaternion} q other quaternion
+ * @returns {CL3D.Quaternion} the product of both quaternions
+ */
+CL3D.Quaternion.prototype.multiply = function(q) //:Quaternion
+{
+	return new CL3D.Quaternion(
+		this.W*q.X + this.X*q.W + this.Y*q.Z - this.Z*q.Y,
+		this.W*q.Y - this.X*q.Z + this.Y*q.W + this.Z*q.X,
+		this.W*q.Z + this.X*q.Y - this.Y*q.X + this.Z*q.W,
+		this.W*q.W - this.X*q.X - this.Y*q.Y - this.Z*q.Z);
+}
+
+/**
+ * Returns the inverse rotation of this quaternion as new quaternion. This quaternion needs to be normalized.
+ * @public
+ * @returns {CL3D.Quaternion} the inverse rotation
+ */
+CL3D.Quaternion.prototype.getInverse = function() //:Quaternion
+{
+	return new CL3D.Quaternion(-this.X, -this.Y, -this.Z, this.W);
+}
+
 /**
  * set this quaternion to the result of the interpolation between two quaternions. Time is a float between 0 and 1
  * @public
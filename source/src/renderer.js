@@ -39,6 +39,7 @@ CL3D.Renderer = function()
 	this.Program2DDrawingColorOnly = null;
 	this.Program2DDrawingTextureOnly = null;
 	this.Program2DDrawingCanvasFontColor = null;
+	this.Program3DLines = null;
 	
 	this.OnChangeMaterial = null;
 	
@@ -47,6 +48,77 @@ CL3D.Renderer = function()
 	this.Lights = new Array();
 	this.DirectionalLight = null;
 	
+	// shadow maps, see beginShadowMaps()
+	this.ShadowMapSize = 1024;
+	this.ShadowCubeMapSize = 256;
+	this.ShadowDistance = 1000;
+	this.ShadowBias = 0.003;
+	this.ShadowMapsSupported = true;
+	this.ShadowsActive = false;
+	this.ShadowMapPassActive = false;
+	this.ShadowMapDirectional = null;
+	this.ShadowMapsPoint = new Array();
+	this.ShadowMapPasses = new Array();
+	this.ShadowViewDirectional = null;
+	this.ShadowProjectionDirectional = null;
+	this.ShadowViewProjDirectional = null;
+	this.ShadowSavedView = null;
+	this.ShadowSavedProjection = null;
+	this.ProgramShadowDepth = null;
+	this.MaterialProgramsWithShadows = new Array();
+	
+	// skinning of animated meshes on the GPU, see setSkinningMatrices()
+	this.UseGPUSkinning = true;
+	this.GPUSkinningSupported = false;
+	this.SkinningMaxJoints = 0;
+	this.SkinningMatrices = null;
+	
+	// webgl 2 and instanced drawing, see init() and drawMeshBufferInstanced()
+	this.IsWebGL2 = false;
+	this.InstancingSupported = false;
+	this.InstancingExtension = null;
+	this.ElementIndexUintSupported = false;
+	this.ShadowLightPosition = [0, 0, 0, 0];
+	this.Instances = null;
+	
+	// image based lighting of physically based materials, see setEnvironmentMap()
+	this.EnvironmentMap = null;
+	this.EnvironmentMapIntensity = 1.0;
+	this.EnvironmentMapTransformation = null;
+	
+	// render targets and post processing, see setRenderTarget() and beginPostProcessing()
+	this.CurrentRenderTarget = null;
+	this.DepthTextureSupported = false;
+	this.PostProcessingSupported = true;
+	this.PostProcessTargets = null; // the set of targets currently drawn into
+	this.PostProcessTargetSets = new Array(); // one set per size drawn with post processing, for viewports of different sizes
+	this.FrameNumber = 0;
+	this.PostProcessSavedRenderTarget = null;
+	this.PostProcessDepthParams = [0, 0, 0, 0];
+	this.PostProcessQuadBuffer = null;
+	this.ProgramPostProcessCopy = null;
+	
+	// true while drawing mirrored, which flips the winding order of the triangles, see setFrontFaceInverted()
+	this.FrontFaceInverted = false;
+	
+	// rectangle of the screen drawn into, and the size of the whole screen while it is set, see setViewport()
+	this.ViewportRect = null;
+	this.ViewportScreenWidth = 0;
+	this.ViewportScreenHeight = 0;
+	
+	// fog, see setFog()
+	this.FogMode = 0;
+	this.FogColor = new CL3D.ColorF();
+	this.FogStart = 0;
+	this.FogEnd = 0;
+	this.FogDensity = 0;
+	
+	// batched 3d lines, see draw3DLine()
+	this.Lines3DPositions = new Array();
+	this.Lines3DColors = new Array();
+	this.Lines3DNativeBuffer = null;
+	this.Lines3DDepthTest = true;
+	
 	// webgl specific
 	this.currentGLProgram = null;
 	
@@ -174,26 +246,32 @@ CL3D.Renderer.prototype.setMaterial = function(mat)
 	// set material
 
 
-	var program = null;
-	try
+	var program = this.getProgramForMaterial(mat);
+	if (program == null)
+		return;
+		
+	if (this.Instances != null)
 	{
-		if (mat.Lighting)
-			program = this.MaterialProgramsWithLight[mat.Type];
-		else
-			program = this.MaterialPrograms[mat.Type];
+		var instancedProgram = this.getInstancedProgram(program);
+		if (instancedProgram != null)
+			program = instancedProgram;
 	}
-	catch(e) 
+	else
+	if (this.SkinningMatrices != null)
 	{
+		var skinnedProgram = this.getSkinnedProgram(program);
+		if (skinnedProgram != null)
+			program = skinnedProgram;
 	}
-	
-	if (program == null)
-		return;
 
 	this.currentGLProgram = program;
 	gl.useProgram(program);
 	
+	if (this.ShadowMapPassActive && program != this.ProgramShadowDepth)
+		this.setShadowLightPositionIntoConstants(program);
+	
 	// call callback function
-	if (this.OnChangeMaterial != null)
+	if (this.OnChangeMaterial != null && !this.ShadowMapPassActive)
 	{
 		try
 		{			
@@ -240,7 +318,9 @@ CL3D.Renderer.prototype.setMaterial = function(mat)
 	
 	// texture 1
 	
-	if (mat.Tex1 && mat.Tex1.Loaded)
+	// a render target cannot be read while drawing into it, so it is not bound then
+	
+	if (mat.Tex1 && mat.Tex1.Loaded && mat.Tex1 !== this.CurrentRenderTarget)
 	{
 		gl.activeTexture(gl.TEXTURE0);
 		gl.bindTexture(gl.TEXTURE_2D, mat.Tex1.Texture);
@@ -262,7 +342,7 @@ CL3D.Renderer.prototype.setMaterial = function(mat)
 	
 	// texture 2
 	
-	if (mat.Tex2 && mat.Tex2.Loaded)
+	if (mat.Tex2 && mat.Tex2.Loaded && mat.Tex2 !== this.CurrentRenderTarget)
 	{
 		gl.activeTexture(gl.TEXTURE1);
 		gl.bindTexture(gl.TEXTURE_2D, mat.Tex2.Texture);
@@ -276,8 +356,141 @@ CL3D.Renderer.prototype.setMaterial = function(mat)
 	}
 	
 	gl.uniform1i(gl.getUniformLocation(program, "texture2"), 1);
+	
+	// textures and factors of physically based materials
+	
+	if (program.locPbrFactors != null)
+		this.setPBRMaterialIntoConstants(program, mat);
+}
+
+/**
+ * Sets the textures 3 and 4, the factors of a physically based material and the environment map into a shader program.
+ * @private
+ */
+CL3D.Renderer.prototype.setPBRMaterialIntoConstants = function(program, mat)
+{
+	var gl = this.gl;
+	
+	var hasNormalMap = mat.Tex2 != null && mat.Tex2.Loaded;
+	var hasORMMap = mat.Tex3 != null && mat.Tex3.Loaded;
+	var hasEmissiveMap = mat.Tex4 != null && mat.Tex4.Loaded;
+	var env = this.EnvironmentMap;
+	
+	// textures 3 and 4 and the environment map are bound to the texture units following the shadow maps
+	
+	gl.activeTexture(gl.TEXTURE7);
+	gl.bindTexture(gl.TEXTURE_2D, hasORMMap ? mat.Tex3.Texture : null);
+	
+	gl.activeTexture(gl.TEXTURE8);
+	gl.bindTexture(gl.TEXTURE_2D, hasEmissiveMap ? mat.Tex4.Texture : null);
+	
+	gl.activeTexture(gl.TEXTURE9);
+	gl.bindTexture(gl.TEXTURE_CUBE_MAP, env ? env.Texture : null);
+	
+	gl.activeTexture(gl.TEXTURE10);
+	gl.bindTexture(gl.TEXTURE_CUBE_MAP, env ? env.IrradianceTexture : null);
+	
+	gl.activeTexture(gl.TEXTURE0);
+	
+	gl.uniform3f(program.locPbrFactors, mat.Metallic, mat.Roughness, mat.OcclusionStrength);
+	gl.uniform3f(program.locPbrMaps, hasNormalMap ? 1.0 : 0.0, hasORMMap ? 1.0 : 0.0, hasEmissiveMap ? 1.0 : 0.0);
+	
+	var e = mat.EmissiveColor;
+	if (e)
+		gl.uniform3f(program.locEmissiveColor, e.R, e.G, e.B);
+	else
+		gl.uniform3f(program.locEmissiveColor, 0.0, 0.0, 0.0);
+	
+	// (environment map set, intensity, highest mip map level)
+	
+	if (env)
+		gl.uniform4f(program.locEnvironmentParams, 1.0, this.EnvironmentMapIntensity, env.LevelCount - 1, 0.0);
+	else
+		gl.uniform4f(program.locEnvironmentParams, 0.0, 0.0, 0.0, 0.0);
+		
+	if (program.locEnvironmentTransform != null)
+	{
+		var envTransform = this.EnvironmentMapTransformation ? this.EnvironmentMapTransformation : new CL3D.Matrix4(true);
+		gl.uniformMatrix4fv(program.locEnvironmentTransform, false, this.getMatrixAsWebGLFloatArray(envTransform));
+	}
+	
+	// camera position, for calculating the direction to the viewer
+	
+	if (program.locEyePosition != null)
+	{
+		var inverseView = new CL3D.Matrix4(false);
+		this.View.getInverse(inverseView);
+		var eye = inverseView.getTranslation();
+		gl.uniform3f(program.locEyePosition, eye.X, eye.Y, eye.Z);
+	}
+}
+
+
+/**
+ * Returns the shader program used for drawing a material, depending on its lighting and the current shadow maps.
+ * @private
+ */
+CL3D.Renderer.prototype.getProgramForMaterial = function(mat)
+{
+	var program = null;
+	try
+	{
+		if (this.ShadowMapPassActive)
+			program = this.ProgramShadowDepth;
+		else
+		if (mat.Lighting)
+		{
+			if (this.ShadowsActive && mat.ReceivesShadows)
+				program = this.MaterialProgramsWithShadows[mat.Type];
+				
+			if (program == null)
+				program = this.MaterialProgramsWithLight[mat.Type];
+		}
+		else
+			program = this.MaterialPrograms[mat.Type];
+	}
+	catch(e) 
+	{
+	}
+	
+	return program;
+}
+
+/**
+ * Sets the layer drawn by the current {@link CL3D.Material.EMT_TERRAIN_SPLAT_LAYER} material. Has to be called after
+ * {@link setMaterial}(). Layers are drawn on top of each other into the same depth, so this also lets the depth test
+ * pass for equal depth values until {@link endTerrainLayers}() is called.
+ * @private
+ * @param {Array} channel weights of the red, green, blue and alpha channel of the splat map for the opacity of the layer
+ * @param {Number} base opacity added to the one from the splat map, 1 for the base layer
+ * @param {Number} scale how often the texture of the layer is repeated over the terrain
+ */
+CL3D.Renderer.prototype.setTerrainLayer = function(channel, base, scale)
+{
+	var gl = this.gl;
+	var program = this.currentGLProgram;
+	if (gl == null || program == null)
+		return;
+		
+	gl.depthFunc(gl.LEQUAL);
+		
+	if (program.locTerrainLayerChannel != null)
+		gl.uniform4f(program.locTerrainLayerChannel, channel[0], channel[1], channel[2], channel[3]);
+		
+	if (program.locTerrainLayerParams != null)
+		gl.uniform2f(program.locTerrainLayerParams, scale, base);
 }
 
+/**
+ * Restores the depth test after drawing terrain layers with {@link setTerrainLayer}().
+ * @private
+ */
+CL3D.Renderer.prototype.endTerrainLayers = function()
+{
+	var gl = this.gl;
+	if (gl != null)
+		gl.depthFunc(gl.LESS);
+}
 
 /**
  * Draws a mesh buffer.
@@ -305,6 +518,33 @@ CL3D.Renderer.prototype.drawMeshBuffer = function(buf, indexCountToUse)
 		
 	buf.OnlyPositionsChanged = false;
 	buf.OnlyUpdateBufferIfPossible = false;
+	
+	var instances = this.Instances;
+	
+	if (instances != null)
+	{
+		if (instances.Count == 0)
+			return;
+			
+		if (this.currentGLProgram.instancedProgram == this.currentGLProgram)
+		{
+			this.drawWebGlStaticGeometry(buf.RendererNativeArray, indexCountToUse, instances);
+			return;
+		}
+		
+		// instancing not supported, draw all instances one by one
+		
+		var world = this.World;
+		
+		for (var i=0; i<instances.Count; ++i)
+		{
+			this.World = world.multiply(instances.Transformations[i]);
+			this.drawWebGlStaticGeometry(buf.RendererNativeArray, indexCountToUse);
+		}
+		
+		this.World = world;
+		return;
+	}
 		
 	this.drawWebGlStaticGeometry(buf.RendererNativeArray, indexCountToUse);
 }
@@ -321,6 +561,10 @@ CL3D.Renderer.prototype.updateRendererNativeArray = function(buf)
 	if (buf.RendererNativeArray.vertexCount < buf.Vertices.length ||
 	    buf.RendererNativeArray.indexCount < buf.Indices.length)
 	{
+		// the vertex array object is recreated with the new buffers
+		if (buf.RendererNativeArray.vertexArray)
+			this.gl.deleteVertexArray(buf.RendererNativeArray.vertexArray);
+
 		buf.RendererNativeArray = null;
 		this.createRendererNativeArray(buf)
 		return;
@@ -357,15 +601,14 @@ CL3D.Renderer.prototype.updateRendererNativeArray = function(buf)
 		// this is used for particle systems. The indices only update when size of the array changes
 		if (buf.RendererNativeArray.indexCount < buf.Indices.length)
 		{
-			var indexCount = buf.Indices.length;
-			var indexArray = new WebGLUnsignedShortArray(indexCount);		
-			
-			for (var j=0; j<indexCount; j+=3)
+			var indexArray = this.createWebGlIndexArray(buf, buf.RendererNativeArray);
+
+			// the vertex array object still references the old index buffer
+			if (buf.RendererNativeArray.vertexArray)
 			{
-				indexArray[j+0] = buf.Indices[j+0];
-				indexArray[j+1] = buf.Indices[j+2];
-				indexArray[j+2] = buf.Indices[j+1];
-			}	
+				gl.deleteVertexArray(buf.RendererNativeArray.vertexArray);
+				buf.RendererNativeArray.vertexArray = null;
+			}
 
 			buf.RendererNativeArray.indexBuffer = gl.createBuffer();
 			gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buf.RendererNativeArray.indexBuffer);
@@ -407,6 +650,37 @@ CL3D.Renderer.prototype.updatePositionsInRendererNativeArray = function(buf)
 }
 
 
+/**
+ * Creates the index array of a mesh buffer native render array, with the winding order of the triangles swapped.
+ * Mesh buffers with more than 65536 vertices use 32 bit indices if supported, the type of the indices is stored in the native array.
+ * @private
+ */
+CL3D.Renderer.prototype.createWebGlIndexArray = function(buf, obj)
+{
+	var indexCount = buf.Indices.length;
+	var indexArray = null;
+	
+	if (buf.Vertices.length > 65536 && this.ElementIndexUintSupported)
+	{
+		indexArray = new Uint32Array(indexCount);
+		obj.indexType = this.gl.UNSIGNED_INT;
+	}
+	else
+	{
+		indexArray = new WebGLUnsignedShortArray(indexCount);
+		obj.indexType = this.gl.UNSIGNED_SHORT;
+	}
+	
+	for (var j=0; j<indexCount; j+=3)
+	{
+		indexArray[j+0] = buf.Indices[j+0];
+		indexArray[j+1] = buf.Indices[j+2];
+		indexArray[j+2] = buf.Indices[j+1];
+	}
+	
+	return indexArray;
+}
+
 /**
  * Creates a mesh buffer native render array
  * @private
@@ -475,14 +749,7 @@ CL3D.Renderer.prototype.createRendererNativeArray = function(buf)
 		}
 
 		var indexCount = buf.Indices.length;
-		var indexArray = new WebGLUnsignedShortArray(indexCount);		
-		
-		for (var j=0; j<indexCount; j+=3)
-		{
-			indexArray[j+0] = buf.Indices[j+0];
-			indexArray[j+1] = buf.Indices[j+2];
-			indexArray[j+2] = buf.Indices[j+1];
-		}		
+		var indexArray = this.createWebGlIndexArray(buf, obj);
 		
 		// create render arrays
 				
@@ -514,6 +781,17 @@ CL3D.Renderer.prototype.createRendererNativeArray = function(buf)
 			gl.bufferData(gl.ARRAY_BUFFER, binormalsArray, gl.STATIC_DRAW);
 		}
 		
+		if (buf.JointIndices && buf.JointWeights)
+		{
+			obj.jointIndexBuffer = gl.createBuffer();
+			gl.bindBuffer(gl.ARRAY_BUFFER, obj.jointIndexBuffer);
+			gl.bufferData(gl.ARRAY_BUFFER, new WebGLFloatArray(buf.JointIndices), gl.STATIC_DRAW);
+			
+			obj.jointWeightBuffer = gl.createBuffer();
+			gl.bindBuffer(gl.ARRAY_BUFFER, obj.jointWeightBuffer);
+			gl.bufferData(gl.ARRAY_BUFFER, new WebGLFloatArray(buf.JointWeights), gl.STATIC_DRAW);
+		}
+		
 		gl.bindBuffer(gl.ARRAY_BUFFER, null);
 		
 		obj.colorBuffer = gl.createBuffer();
@@ -544,7 +822,7 @@ CL3D.Renderer.prototype.createRendererNativeArray = function(buf)
 /**
  * @private
  */
-CL3D.Renderer.prototype.drawWebGlStaticGeometry = function(b, indexCountToUse)
+CL3D.Renderer.prototype.drawWebGlStaticGeometry = function(b, indexCountToUse, instances)
 {
 	//CL3D.gCCDebugOutput.print("drawElementsBegin with " + b.indexCount + " indices " + b.positionBuffer + " " + b.texcoordsBuffer + " " + b.normalBuffer);
 	
@@ -552,46 +830,34 @@ CL3D.Renderer.prototype.drawWebGlStaticGeometry = function(b, indexCountToUse)
 	
 	var withTangentsAndBinormals = b.tangentBuffer && b.binormalBuffer;
 	
-	// enable all of the vertex attribute arrays.
-	
-	gl.enableVertexAttribArray(0);
-	gl.enableVertexAttribArray(1);
-	gl.enableVertexAttribArray(2);
-	gl.enableVertexAttribArray(3);
-	gl.enableVertexAttribArray(4);
-
-	// set up all the vertex attributes for vertices, normals and texCoords
-
-	gl.bindBuffer(gl.ARRAY_BUFFER, b.positionBuffer);
-	gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
-
-	gl.bindBuffer(gl.ARRAY_BUFFER, b.texcoordsBuffer);
-	gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 0, 0);
-	
-	gl.bindBuffer(gl.ARRAY_BUFFER, b.texcoordsBuffer2);
-	gl.vertexAttribPointer(2, 2, gl.FLOAT, false, 0, 0);
-
-	gl.bindBuffer(gl.ARRAY_BUFFER, b.normalBuffer);
-	gl.vertexAttribPointer(3, 3, gl.FLOAT, false, 0, 0);
+	// joints of skinned meshes animated on the GPU
 	
-	gl.bindBuffer(gl.ARRAY_BUFFER, b.colorBuffer);
-	gl.vertexAttribPointer(4, 4, gl.FLOAT, false, 0, 0);
+	var program = this.currentGLProgram;
+	var withSkinning = b.jointIndexBuffer && program.locJointMatrices != null && this.SkinningMatrices != null;
 	
-	if (withTangentsAndBinormals)
+	if (this.IsWebGL2)
 	{
-		gl.enableVertexAttribArray(5);
-		gl.enableVertexAttribArray(6);
-	
-		gl.bindBuffer(gl.ARRAY_BUFFER, b.tangentBuffer);
-		gl.vertexAttribPointer(5, 3, gl.FLOAT, false, 0, 0);
-	
-		gl.bindBuffer(gl.ARRAY_BUFFER, b.binormalBuffer);
-		gl.vertexAttribPointer(6, 3, gl.FLOAT, false, 0, 0);
+		// with WebGL 2, the vertex attributes are set up only once and stored in a vertex array object
+		
+		if (b.vertexArray)
+			gl.bindVertexArray(b.vertexArray);
+		else
+		{
+			b.vertexArray = gl.createVertexArray();
+			gl.bindVertexArray(b.vertexArray);
+			this.setWebGlStaticGeometryAttributes(b, withTangentsAndBinormals, b.jointIndexBuffer != null);
+		}
 	}
-
-	// bind the index array
+	else
+		this.setWebGlStaticGeometryAttributes(b, withTangentsAndBinormals, withSkinning);
 	
-	gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, b.indexBuffer);
+	if (withSkinning)
+		gl.uniform4fv(program.locJointMatrices, this.SkinningMatrices);
+		
+	// transformations of the instances
+	
+	if (instances)
+		this.setWebGlInstanceAttributes(instances);
 	
 	// matrices
 	
@@ -601,7 +867,6 @@ CL3D.Renderer.prototype.drawWebGlStaticGeometry = function(b, indexCountToUse)
 	mat = mat.multiply(this.World);
 	
 	// set world view projection matrix
-	var program = this.currentGLProgram;
 	if (program.locWorldViewProj != null)
 		gl.uniformMatrix4fv(program.locWorldViewProj, false, this.getMatrixAsWebGLFloatArray(mat));
 	
@@ -640,17 +905,43 @@ CL3D.Renderer.prototype.drawWebGlStaticGeometry = function(b, indexCountToUse)
 	
 	// set light values
 	if (program.locLightPositions != null)
-		this.setDynamicLightsIntoConstants(program, withTangentsAndBinormals, withTangentsAndBinormals); // when using normal maps, we need word space coordinates of the light positions
+	{
+		// when using normal maps or physically based materials, we need world space coordinates of the light positions
+		var isPBR = program.locEyePosition != null;
+		this.setDynamicLightsIntoConstants(program, withTangentsAndBinormals || isPBR, withTangentsAndBinormals && !isPBR);
+	}
+		
+	// set shadow maps
+	if (program.locShadowParams != null)
+		this.setShadowMapsIntoConstants(program);
+		
+	// set fog
+	if (program.locFogParams != null)
+		this.setFogIntoConstants(program);
 	
 	// draw
 	
 	if (indexCountToUse == null)
 		indexCountToUse = b.indexCount;
 		
-    gl.drawElements(gl.TRIANGLES, indexCountToUse, gl.UNSIGNED_SHORT, 0);
+	var indexType = b.indexType ? b.indexType : gl.UNSIGNED_SHORT;
+		
+	if (instances)
+		this.drawWebGlElementsInstanced(indexCountToUse, indexType, instances.Count);
+	else
+		gl.drawElements(gl.TRIANGLES, indexCountToUse, indexType, 0);
 	
 	//CL3D.gCCDebugOutput.print("drawElementsEnd");
 	
+	if (instances)
+		this.unsetWebGlInstanceAttributes();
+	
+	if (this.IsWebGL2)
+	{
+		gl.bindVertexArray(null);
+		return;
+	}
+	
 	// unbind optional buffers
 	
 	if (withTangentsAndBinormals)
@@ -664,57 +955,193 @@ CL3D.Renderer.prototype.drawWebGlStaticGeometry = function(b, indexCountToUse)
 		gl.bindBuffer(gl.ARRAY_BUFFER, null);
 		gl.vertexAttribPointer(6, 3, gl.FLOAT, false, 0, 0);*/
 	}
+	
+	if (withSkinning)
+	{
+		gl.disableVertexAttribArray(7);
+		gl.disableVertexAttribArray(8);
+	}
 }
 
 /**
+ * Enables the vertex attribute arrays of a mesh buffer native render array and binds its buffers.
  * @private
  */
-CL3D.Renderer.prototype.setDynamicLightsIntoConstants = function(program, useWorldSpacePositionsForLights, useOldNormalMappingAttenuationCalculation)
+CL3D.Renderer.prototype.setWebGlStaticGeometryAttributes = function(b, withTangentsAndBinormals, withJoints)
 {
-	// we use two contants per light, where we pack Position, Color and Attenuation into, like this:
-	// (px, py, pz, att) and (cr, cg, cb, 1)
+	var gl = this.gl;
 	
-	var buf1 = new ArrayBuffer(4 * 4 * Float32Array.BYTES_PER_ELEMENT);
-	var positionArray = new WebGLFloatArray(buf1);
+	// enable all of the vertex attribute arrays.
 	
-	var buf2 = new ArrayBuffer(5 * 4 * Float32Array.BYTES_PER_ELEMENT);
-	var colorArray = new WebGLFloatArray(buf2);
+	gl.enableVertexAttribArray(0);
+	gl.enableVertexAttribArray(1);
+	gl.enableVertexAttribArray(2);
+	gl.enableVertexAttribArray(3);
+	gl.enableVertexAttribArray(4);
 
-	// calculate matrix to transform light position into object space (unless useWorldSpacePositionsForLights is true)
+	// set up all the vertex attributes for vertices, normals and texCoords
+
+	gl.bindBuffer(gl.ARRAY_BUFFER, b.positionBuffer);
+	gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
+
+	gl.bindBuffer(gl.ARRAY_BUFFER, b.texcoordsBuffer);
+	gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 0, 0);
 	
-	var mat = new CL3D.Matrix4(true);
+	gl.bindBuffer(gl.ARRAY_BUFFER, b.texcoordsBuffer2);
+	gl.vertexAttribPointer(2, 2, gl.FLOAT, false, 0, 0);
+
+	gl.bindBuffer(gl.ARRAY_BUFFER, b.normalBuffer);
+	gl.vertexAttribPointer(3, 3, gl.FLOAT, false, 0, 0);
 	
-	if (!useWorldSpacePositionsForLights && ((this.Lights != null && this.Lights.length > 0) || this.DirectionalLight != null))
-		this.World.getInverse(mat);
+	gl.bindBuffer(gl.ARRAY_BUFFER, b.colorBuffer);
+	gl.vertexAttribPointer(4, 4, gl.FLOAT, false, 0, 0);
 	
-	// add all lights
+	if (withTangentsAndBinormals)
+	{
+		gl.enableVertexAttribArray(5);
+		gl.enableVertexAttribArray(6);
 	
-	for (var i=0; i<4; ++i)
+		gl.bindBuffer(gl.ARRAY_BUFFER, b.tangentBuffer);
+		gl.vertexAttribPointer(5, 3, gl.FLOAT, false, 0, 0);
+	
+		gl.bindBuffer(gl.ARRAY_BUFFER, b.binormalBuffer);
+		gl.vertexAttribPointer(6, 3, gl.FLOAT, false, 0, 0);
+	}
+	
+	if (withJoints)
 	{
-		var idx = i*4;
+		gl.enableVertexAttribArray(7);
+		gl.enableVertexAttribArray(8);
 		
-		if (this.Lights != null && i < this.Lights.length)
-		{
-			var l = this.Lights[i];
-			
-			var vt = mat.getTransformedVect(l.Position); // we need to set the position of the light in the current object's space
-			
-			positionArray[idx]   = vt.X; 
-			positionArray[idx+1] = vt.Y; 
-			positionArray[idx+2] = vt.Z;
-			
-			var attenuation = 1.0;
+		gl.bindBuffer(gl.ARRAY_BUFFER, b.jointIndexBuffer);
+		gl.vertexAttribPointer(7, 4, gl.FLOAT, false, 0, 0);
+		
+		gl.bindBuffer(gl.ARRAY_BUFFER, b.jointWeightBuffer);
+		gl.vertexAttribPointer(8, 4, gl.FLOAT, false, 0, 0);
+	}
 
-			if (useOldNormalMappingAttenuationCalculation)			
-				attenuation = 1.0 / (l.Radius * l.Radius); 
-			else
-				attenuation = l.Attenuation;			
-				
-			positionArray[idx+3] = attenuation;
-			
-			colorArray[idx]   = l.Color.R; 
-			colorArray[idx+1] = l.Color.G; 
-			colorArray[idx+2] = l.Color.B; 
+	// bind the index array
+	
+	gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, b.indexBuffer);
+}
+
+/**
+ * Uploads the transformations of a list of instances if they changed and sets them as vertex attributes 9 to 12,
+ * advancing once per instance.
+ * @private
+ */
+CL3D.Renderer.prototype.setWebGlInstanceAttributes = function(instances)
+{
+	var gl = this.gl;
+	
+	if (instances.NativeBuffer == null)
+	{
+		instances.NativeBuffer = gl.createBuffer();
+		instances.Changed = true;
+	}
+	
+	gl.bindBuffer(gl.ARRAY_BUFFER, instances.NativeBuffer);
+	
+	if (instances.Changed)
+	{
+		gl.bufferData(gl.ARRAY_BUFFER, instances.Matrices, gl.DYNAMIC_DRAW);
+		instances.Changed = false;
+	}
+	
+	for (var i=0; i<4; ++i)
+	{
+		gl.enableVertexAttribArray(9 + i);
+		gl.vertexAttribPointer(9 + i, 4, gl.FLOAT, false, 64, i * 16);
+		this.setWebGlVertexAttribDivisor(9 + i, 1);
+	}
+}
+
+/**
+ * Disables the vertex attributes of the instance transformations again.
+ * @private
+ */
+CL3D.Renderer.prototype.unsetWebGlInstanceAttributes = function()
+{
+	for (var i=0; i<4; ++i)
+	{
+		this.setWebGlVertexAttribDivisor(9 + i, 0);
+		this.gl.disableVertexAttribArray(9 + i);
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.setWebGlVertexAttribDivisor = function(index, divisor)
+{
+	if (this.IsWebGL2)
+		this.gl.vertexAttribDivisor(index, divisor);
+	else
+		this.InstancingExtension.vertexAttribDivisorANGLE(index, divisor);
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.drawWebGlElementsInstanced = function(indexCount, indexType, instanceCount)
+{
+	var gl = this.gl;
+	
+	if (this.IsWebGL2)
+		gl.drawElementsInstanced(gl.TRIANGLES, indexCount, indexType, 0, instanceCount);
+	else
+		this.InstancingExtension.drawElementsInstancedANGLE(gl.TRIANGLES, indexCount, indexType, 0, instanceCount);
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.setDynamicLightsIntoConstants = function(program, useWorldSpacePositionsForLights, useOldNormalMappingAttenuationCalculation)
+{
+	// we use two contants per light, where we pack Position, Color and Attenuation into, like this:
+	// (px, py, pz, att) and (cr, cg, cb, 1)
+	
+	var buf1 = new ArrayBuffer(4 * 4 * Float32Array.BYTES_PER_ELEMENT);
+	var positionArray = new WebGLFloatArray(buf1);
+	
+	var buf2 = new ArrayBuffer(5 * 4 * Float32Array.BYTES_PER_ELEMENT);
+	var colorArray = new WebGLFloatArray(buf2);
+
+	// calculate matrix to transform light position into object space (unless useWorldSpacePositionsForLights is true)
+	
+	var mat = new CL3D.Matrix4(true);
+	
+	if (!useWorldSpacePositionsForLights && ((this.Lights != null && this.Lights.length > 0) || this.DirectionalLight != null))
+		this.World.getInverse(mat);
+	
+	// add all lights
+	
+	for (var i=0; i<4; ++i)
+	{
+		var idx = i*4;
+		
+		if (this.Lights != null && i < this.Lights.length)
+		{
+			var l = this.Lights[i];
+			
+			var vt = mat.getTransformedVect(l.Position); // we need to set the position of the light in the current object's space
+			
+			positionArray[idx]   = vt.X; 
+			positionArray[idx+1] = vt.Y; 
+			positionArray[idx+2] = vt.Z;
+			
+			var attenuation = 1.0;
+
+			if (useOldNormalMappingAttenuationCalculation)			
+				attenuation = 1.0 / (l.Radius * l.Radius); 
+			else
+				attenuation = l.Attenuation;			
+				
+			positionArray[idx+3] = attenuation;
+			
+			colorArray[idx]   = l.Color.R; 
+			colorArray[idx+1] = l.Color.G; 
+			colorArray[idx+2] = l.Color.B; 
 			colorArray[idx+3] = 1; 
 		}
 		else
@@ -774,13 +1201,258 @@ CL3D.Renderer.prototype.setDynamicLightsIntoConstants = function(program, useWor
 
 
 /**
- * @private
- * Draws a 3d line with the current material
+ * Draws a 3d line in world space. The line is not drawn immediately, but collected together with all other lines
+ * added during the current frame and drawn in one single batch after the 3d geometry of the scene has been drawn, so
+ * it is no problem to add thousands of lines every frame. This is useful for debugging, for example for visualizing 
+ * rays, paths, bounding boxes or normals. Lines need to be added again every frame they should be visible.
+ * @example
+ * engine.OnAnimate = function() 
+ * {
+ *   var renderer = engine.getRenderer();
+ *   renderer.draw3DLine(new CL3D.Vect3d(0,0,0), new CL3D.Vect3d(0,100,0), CL3D.createColor(255, 255, 0, 0));
+ * };
+ * @public
+ * @param vect3dFrom {CL3D.Vect3d} start of the line in world coordinates
+ * @param vect3dTo {CL3D.Vect3d} end of the line in world coordinates
+ * @param color {Number} (optional) color of the line. See CL3D.createColor(). Default is white.
+ */
+CL3D.Renderer.prototype.draw3DLine = function(vect3dFrom, vect3dTo, color)
+{
+	if (vect3dFrom == null || vect3dTo == null)
+		return;
+		
+	if (color == null)
+		color = 0xffffffff;
+		
+	var p = this.Lines3DPositions;
+	p.push(vect3dFrom.X);
+	p.push(vect3dFrom.Y);
+	p.push(vect3dFrom.Z);
+	p.push(vect3dTo.X);
+	p.push(vect3dTo.Y);
+	p.push(vect3dTo.Z);
+	
+	var r = CL3D.getRed(color) / 255.0;
+	var g = CL3D.getGreen(color) / 255.0;
+	var b = CL3D.getBlue(color) / 255.0;
+	var a = CL3D.getAlpha(color) / 255.0;
+	
+	var c = this.Lines3DColors;
+	for (var i=0; i<2; ++i)
+	{
+		c.push(r);
+		c.push(g);
+		c.push(b);
+		c.push(a);
+	}
+}
+
+/**
+ * Draws a {@link Line3d} in world space. See {@link draw3DLine} for details.
+ * @public
+ * @param line {CL3D.Line3d} the line to draw
+ * @param color {Number} (optional) color of the line. See CL3D.createColor(). Default is white.
+ */
+CL3D.Renderer.prototype.draw3DLine3d = function(line, color)
+{
+	if (line == null)
+		return;
+		
+	this.draw3DLine(line.Start, line.End, color);
+}
+
+/**
+ * Draws the 12 edges of a {@link Box3d} in world space. See {@link draw3DLine} for details.
+ * @public
+ * @param box {CL3D.Box3d} the box to draw, for example returned by {@link SceneNode.getTransformedBoundingBox}.
+ * @param color {Number} (optional) color of the lines. See CL3D.createColor(). Default is white.
+ */
+CL3D.Renderer.prototype.draw3DBox = function(box, color)
+{
+	if (box == null)
+		return;
+		
+	var mi = box.MinEdge;
+	var ma = box.MaxEdge;
+	
+	var e = [ new CL3D.Vect3d(mi.X, mi.Y, mi.Z), new CL3D.Vect3d(ma.X, mi.Y, mi.Z),
+	          new CL3D.Vect3d(ma.X, ma.Y, mi.Z), new CL3D.Vect3d(mi.X, ma.Y, mi.Z),
+	          new CL3D.Vect3d(mi.X, mi.Y, ma.Z), new CL3D.Vect3d(ma.X, mi.Y, ma.Z),
+	          new CL3D.Vect3d(ma.X, ma.Y, ma.Z), new CL3D.Vect3d(mi.X, ma.Y, ma.Z) ];
+	
+	for (var i=0; i<4; ++i)
+	{
+		this.draw3DLine(e[i], e[(i+1)%4], color);     // bottom quad
+		this.draw3DLine(e[i+4], e[(i+1)%4+4], color); // top quad
+		this.draw3DLine(e[i], e[i+4], color);         // connecting edges
+	}
+}
+
+/**
+ * Draws the outline of a {@link ViewFrustrum} in world space. See {@link draw3DLine} for details.
+ * Useful for debugging cameras, for example by using {@link Scene.getCurrentCameraFrustrum}.
+ * @public
+ * @param frustrum {CL3D.ViewFrustrum} the frustrum to draw
+ * @param color {Number} (optional) color of the lines. See CL3D.createColor(). Default is white.
+ */
+CL3D.Renderer.prototype.draw3DFrustrum = function(frustrum, color)
+{
+	if (frustrum == null)
+		return;
+		
+	var n = [ frustrum.getNearLeftUp(), frustrum.getNearRightUp(), frustrum.getNearRightDown(), frustrum.getNearLeftDown() ];
+	var f = [ frustrum.getFarLeftUp(), frustrum.getFarRightUp(), frustrum.getFarRightDown(), frustrum.getFarLeftDown() ];
+	
+	for (var i=0; i<4; ++i)
+	{
+		this.draw3DLine(n[i], n[(i+1)%4], color);
+		this.draw3DLine(f[i], f[(i+1)%4], color);
+		this.draw3DLine(n[i], f[i], color);
+	}
+}
+
+/**
+ * Draws the route of a {@link PathSceneNode} in world space, interpolated the same way as animators moving 
+ * along the path do it. See {@link draw3DLine} for details.
+ * @public
+ * @param path {CL3D.PathSceneNode} the path to draw
+ * @param color {Number} (optional) color of the lines. See CL3D.createColor(). Default is white.
+ * @param segmentsPerPathNode {Number} (optional) amount of line segments drawn between two path nodes. Default is 10.
+ */
+CL3D.Renderer.prototype.draw3DPath = function(path, color, segmentsPerPathNode)
+{
+	if (path == null)
+		return;
+		
+	var nodeCount = path.getPathNodeCount();
+	if (nodeCount < 2)
+		return;
+		
+	if (segmentsPerPathNode == null)
+		segmentsPerPathNode = 10;
+		
+	var segments = segmentsPerPathNode * (path.IsClosedCircle ? nodeCount : nodeCount - 1);
+	var last = path.getPointOnPath(0, false);
+	
+	for (var i=1; i<=segments; ++i)
+	{
+		var p = path.getPointOnPath(i / segments, false);
+		this.draw3DLine(last, p, color);
+		last = p;
+	}
+}
+
+/**
+ * Draws all 3d lines collected with {@link draw3DLine} and the other 3d line drawing functions since the last call,
+ * using the current view and projection matrix. Called by {@link Scene.drawAll}() and {@link CopperLicht.draw3dScene}(),
+ * so it shouldn't be necessary to call this yourself.
+ * @public
+ * @param keepLines {Boolean} Optional, set to true to keep the lines for drawing them again, for example into the next
+ * viewport. Remove them afterwards with {@link clear3DLines}().
+ */
+CL3D.Renderer.prototype.flush3DLines = function(keepLines)
+{
+	var vertexCount = this.Lines3DPositions.length / 3;
+	if (vertexCount == 0)
+		return;
+		
+	var gl = this.gl;
+	if (gl == null || this.Program3DLines == null)
+	{
+		if (!keepLines)
+			this.clear3DLines();
+		return;
+	}
+	
+	// (re)create the dynamic buffers if they are too small, otherwise only update them
+	
+	var b = this.Lines3DNativeBuffer;
+	
+	if (b == null || b.vertexCapacity < vertexCount)
+	{
+		if (b != null)
+		{
+			gl.deleteBuffer(b.positionBuffer);
+			gl.deleteBuffer(b.colorBuffer);
+		}
+		
+		var capacity = b ? b.vertexCapacity : 256;
+		while (capacity < vertexCount)
+			capacity *= 2;
+			
+		b = new Object();
+		b.vertexCapacity = capacity;
+		b.positionsArray = new WebGLFloatArray(capacity*3);
+		b.colorArray = new WebGLFloatArray(capacity*4);
+		
+		b.positionBuffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, b.positionBuffer);
+		gl.bufferData(gl.ARRAY_BUFFER, b.positionsArray, gl.DYNAMIC_DRAW);
+		
+		b.colorBuffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, b.colorBuffer);
+		gl.bufferData(gl.ARRAY_BUFFER, b.colorArray, gl.DYNAMIC_DRAW);
+		
+		this.Lines3DNativeBuffer = b;
+	}
+	
+	b.positionsArray.set(this.Lines3DPositions);
+	b.colorArray.set(this.Lines3DColors);
+	
+	gl.enableVertexAttribArray(0);
+	gl.disableVertexAttribArray(1);
+	gl.disableVertexAttribArray(2);
+	gl.disableVertexAttribArray(3);
+	gl.enableVertexAttribArray(4);
+	
+	gl.bindBuffer(gl.ARRAY_BUFFER, b.positionBuffer);
+	gl.bufferSubData(gl.ARRAY_BUFFER, 0, b.positionsArray.subarray(0, vertexCount*3));
+	gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
+	
+	gl.bindBuffer(gl.ARRAY_BUFFER, b.colorBuffer);
+	gl.bufferSubData(gl.ARRAY_BUFFER, 0, b.colorArray.subarray(0, vertexCount*4));
+	gl.vertexAttribPointer(4, 4, gl.FLOAT, false, 0, 0);
+	
+	// set shader, lines are already in world space
+	
+	this.currentGLProgram = this.Program3DLines;
+	gl.useProgram(this.currentGLProgram);
+	
+	var mat = new CL3D.Matrix4(false);
+	this.Projection.copyTo(mat);
+	mat = mat.multiply(this.View);
+	gl.uniformMatrix4fv(this.currentGLProgram.locWorldViewProj, false, this.getMatrixAsWebGLFloatArray(mat));
+	
+	// set blend mode and other tests
+	
+	gl.depthMask(false);
+	
+	if (this.Lines3DDepthTest)
+		gl.enable(gl.DEPTH_TEST);
+	else
+		gl.disable(gl.DEPTH_TEST);
+	
+	gl.enable(gl.BLEND);
+	gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	
+	// draw
+	
+	gl.drawArrays(gl.LINES, 0, vertexCount);
+	
+	gl.bindBuffer(gl.ARRAY_BUFFER, null);
+	
+	if (!keepLines)
+		this.clear3DLines();
+}
+
+/**
+ * Removes all 3d lines collected with {@link draw3DLine} since the last time they were drawn, without drawing them.
+ * @public
  */
-CL3D.Renderer.prototype.draw3DLine = function(vect3dFrom, vect3dTo)
+CL3D.Renderer.prototype.clear3DLines = function()
 {
-	// TODO: implement
-	 //gl.drawElements(gl.LINES, b.indexCount, gl.UNSIGNED_SHORT, 0);
+	this.Lines3DPositions = new Array();
+	this.Lines3DColors = new Array();
 }
 
 /**
@@ -1139,6 +1811,8 @@ CL3D.Renderer.prototype.beginScene = function(clearColor)
 					1); //CL3D.getAlpha(clearColor) / 255.0);
 					
 	gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+	
+	++this.FrameNumber;
 }
 
 
@@ -1168,6 +1842,7 @@ CL3D.Renderer.prototype.clearDynamicLights = function()
 {
 	this.Lights = new Array();
 	this.DirectionalLight = null;
+	this.ShadowsActive = false;
 }
 
 /**
@@ -1192,1274 +1867,4079 @@ CL3D.Renderer.prototype.setDirectionalLight = function(l)
 	this.DirectionalLight = l;
 }
 
+/**
+ * Sets the fog used for rendering all following geometry. Is called by {@link CL3D.Scene.drawAll}() with the fog
+ * settings of the scene, see {@link CL3D.Scene.setFog}(), so it shouldn't be necessary to call this yourself.
+ * @public
+ * @param mode {Number} Type of the fog, one of {@link CL3D.Scene.FOG_NONE}, {@link CL3D.Scene.FOG_LINEAR}, {@link CL3D.Scene.FOG_EXP}, 
+ * {@link CL3D.Scene.FOG_EXP2} or {@link CL3D.Scene.FOG_HEIGHT}.
+ * @param color {CL3D.ColorF} Color of the fog. Can be null to keep the current color.
+ * @param start {Number} Distance from the camera where linear fog starts, or height in world space below which height fog is thickest.
+ * @param end {Number} Distance from the camera where linear fog is thickest, or height in world space above which there is no height fog.
+ * @param density {Number} Density of exponential and height fog.
+ */
+CL3D.Renderer.prototype.setFog = function(mode, color, start, end, density)
+{
+	this.FogMode = mode ? mode : 0;
+	
+	if (color != null)
+		this.FogColor = color;
+		
+	if (start != null)
+		this.FogStart = start;
+		
+	if (end != null)
+		this.FogEnd = end;
+		
+	if (density != null)
+		this.FogDensity = density;
+}
 
 /**
  * @private
  */
-CL3D.Renderer.prototype.ensuresizeok = function()
+CL3D.Renderer.prototype.setFogIntoConstants = function(program)
 {
-	if (this.canvas == null  || this.gl == null)
-		return;
+	var gl = this.gl;
 	
-	if (this.width == this.canvas.width &&
-	    this.height == this.canvas.height)
-		return;
+	// (mode, start, end, density). Prevent a division by zero in the shader when start and end are equal.
 	
-	this.width = this.canvas.width;
-	this.height = this.canvas.height;
-
-	var gl = this.gl;
+	var end = this.FogEnd;
+	if (end == this.FogStart)
+		end += 0.0001;
 	
-	// Set the viewport and projection matrix for the scene
-	if (gl.viewport)
-		gl.viewport(0, 0, this.width, this.height);
-
-	//CL3D.gCCDebugOutput.print("adjusted size: " + this.width + " " + this.height);
+	gl.uniform4f(program.locFogParams, this.FogMode, this.FogStart, end, this.FogDensity);
+	
+	// additive materials fade out into black, otherwise they would add the fog color to what's behind them
+	
+	if (program.locFogColor != null)
+	{
+		if (program.blendenabled && program.blendsfactor == gl.ONE)
+			gl.uniform4f(program.locFogColor, 0, 0, 0, 1);
+		else
+			gl.uniform4f(program.locFogColor, this.FogColor.R, this.FogColor.G, this.FogColor.B, 1);
+	}
+		
+	// the second row of the world matrix, for calculating the height in world space
+	
+	if (program.locFogWorldY != null)
+	{
+		var w = this.World;
+		gl.uniform4f(program.locFogWorldY, w.m01, w.m05, w.m09, w.m13);
+	}
 }
 
 /**
+ * Sets the joint matrices used for drawing the following mesh buffers of a skinned mesh animated on the GPU, 
+ * or null to draw normal geometry again. Needs to be set before calling {@link setMaterial}(). The mesh buffers
+ * need joint indices and weights, see {@link CL3D.MeshBuffer.JointIndices}. Is called by {@link CL3D.AnimatedMeshSceneNode}.
  * @private
+ * @param matrices {WebGLFloatArray} array of the first three rows of each joint matrix, or null
  */
-CL3D.Renderer.prototype.init = function(canvaselement)
-{	
-	this.canvas = canvaselement;
-	this.gl = null;
-	try
-	{
-		//this.gl = canvaselement.getContext("2d");
-		
-		var names = [ "webgl", "experimental-webgl", "moz-webgl", "webkit-3d", "3d" ];
+CL3D.Renderer.prototype.setSkinningMatrices = function(matrices)
+{
+	this.SkinningMatrices = matrices;
+}
 
-		for (var i=0; i<names.length; i++) 
-		{
-			try 
-			{ 
-				this.gl = this.canvas.getContext(names[i], {alpha: false }); // { antialias: true }
-				if (this.gl != null) 
-				{
-					//CL3D.gCCDebugOutput.print("initialized renderer with: " + names[i]);
-					break;
-				}
-			} 
-			catch (e)
-			{ 
-				//CL3D.gCCDebugOutput.printError("error trying:" + e.message);
-			}
-		}
-	} 
-	catch (e) 
-	{
-	}
+/**
+ * Sets the instances used for drawing the following mesh buffers, or null to draw normal geometry again. Needs to be set 
+ * before calling {@link setMaterial}(). Every following call to {@link drawMeshBuffer}() then draws the mesh buffer once for each 
+ * instance, with one instanced draw call if supported, see {@link CL3D.Renderer.isInstancingSupported}. Is called by 
+ * {@link CL3D.InstancedMeshSceneNode}.
+ * @private
+ * @param instances {Object} the instances, with the members Transformations (Array of {@link CL3D.Matrix4}), Matrices 
+ * (Float32Array with all transformations), Count, Changed (set to true when the matrices need to be uploaded again) 
+ * and NativeBuffer. Or null.
+ */
+CL3D.Renderer.prototype.setInstances = function(instances)
+{
+	this.Instances = instances;
+}
+
+/**
+ * Returns if skinned meshes using this material can be animated on the GPU, see {@link CL3D.Renderer.UseGPUSkinning}.
+ * @private
+ */
+CL3D.Renderer.prototype.canSkinMaterialOnGPU = function(mat)
+{
+	if (!this.UseGPUSkinning || !this.GPUSkinningSupported || mat == null)
+		return false;
+		
+	var programs = new Array();
 	
-	if (this.gl == null)
+	if (mat.Lighting)
 	{
-		//CL3D.gCCDebugOutput.printError("Error: This browser does not support WebGL (or it is disabled).");
-		//CL3D.gCCDebugOutput.printError("See www.ambiera.com/copperlicht/browsersupport.html for details.");
-		return false;
+		programs.push(this.MaterialProgramsWithLight[mat.Type]);
+		if (mat.ReceivesShadows && this.MaterialProgramsWithShadows[mat.Type] != null)
+			programs.push(this.MaterialProgramsWithShadows[mat.Type]);
 	}
 	else
+		programs.push(this.MaterialPrograms[mat.Type]);
+		
+	if (this.ProgramShadowDepth != null)
+		programs.push(this.ProgramShadowDepth);
+		
+	for (var i=0; i<programs.length; ++i)
+		if (programs[i] == null || this.getSkinnedProgram(programs[i]) == null)
+			return false;
+			
+	return true;
+}
+
+/**
+ * Returns the variant of a shader program for skinned meshes animated on the GPU. It is created when first needed,
+ * by compiling the vertex shader with SKINNING defined. Returns null if the shader doesn't support this.
+ * @private
+ */
+CL3D.Renderer.prototype.getSkinnedProgram = function(program)
+{
+	if (program.skinnedProgram !== undefined)
+		return program.skinnedProgram;
+		
+	var skinnedProgram = null;
+	
+	if (this.GPUSkinningSupported && program.vsSource && program.vsSource.indexOf('calculateSkinning') != -1)
 	{
-		this.removeCompatibilityProblems();
-		this.ensureCorrectMethodNamesSetForClosure();		
-		this.initWebGL();
-		this.ensuresizeok();
+		var defines = "#define SKINNING\n#define MAX_JOINTS " + this.SkinningMaxJoints + "\n";
+		
+		var printErrors = this.printShaderErrors;
+		this.printShaderErrors = false;
+		
+		skinnedProgram = this.createMaterialTypeInternal(defines + program.vsSource, program.fsSource, 
+			program.blendenabled, program.blendsfactor, program.blenddfactor, program.useBinormalsAndTangents);
+			
+		this.printShaderErrors = printErrors;
+			
+		if (skinnedProgram && skinnedProgram.locJointMatrices == null)
+			skinnedProgram = null;
+			
+		if (skinnedProgram)
+			skinnedProgram.skinnedProgram = skinnedProgram;
 	}
 	
-	return true;
+	program.skinnedProgram = skinnedProgram;
+	return skinnedProgram;
 }
 
 /**
+ * Returns the variant of a shader program for drawing instanced meshes. It is created when first needed, by compiling
+ * the vertex shader with INSTANCING defined. Returns null if instancing or the shader doesn't support this.
  * @private
  */
-CL3D.Renderer.prototype.removeCompatibilityProblems = function()
+CL3D.Renderer.prototype.getInstancedProgram = function(program)
 {
-	// WebKit and Chrome: 
-	// 20. Aug 2010: WebGLFloatArray has been renamed to Float32Array and 
-	// WebGLUnsignedShortArray to Uint16Array
+	if (program.instancedProgram !== undefined)
+		return program.instancedProgram;
+		
+	var instancedProgram = null;
 	
-	if ( typeof WebGLFloatArray == 'undefined' &&
-	     typeof Float32Array != 'undefined' )
+	if (this.InstancingSupported && program.vsSource && program.vsSource.indexOf('calculateSkinning') != -1)
 	{
-		try
-		{
-			WebGLFloatArray = Float32Array;
-			WebGLUnsignedShortArray = Uint16Array;
-		}
-		catch (e) 
-		{
-			CL3D.gCCDebugOutput.printError("Error: Float32 array types for webgl not found.");
-		}
+		var printErrors = this.printShaderErrors;
+		this.printShaderErrors = false;
+		
+		instancedProgram = this.createMaterialTypeInternal("#define INSTANCING\n" + program.vsSource, program.fsSource, 
+			program.blendenabled, program.blendsfactor, program.blenddfactor, program.useBinormalsAndTangents);
+			
+		this.printShaderErrors = printErrors;
+			
+		if (instancedProgram && this.gl.getAttribLocation(instancedProgram, "vInstanceMatrix0") == -1)
+			instancedProgram = null;
+			
+		if (instancedProgram)
+			instancedProgram.instancedProgram = instancedProgram;
 	}
 	
-	/*
-	if ( typeof WebGLIntArray == 'undefined' &&
-	     typeof Int32Array != 'undefined' )
+	program.instancedProgram = instancedProgram;
+	return instancedProgram;
+}
+
+/**
+ * Returns if the renderer uses a WebGL 2 context, see {@link CopperLicht.UseWebGL2}.
+ * @public
+ */
+CL3D.Renderer.prototype.isWebGL2 = function()
+{
+	return this.IsWebGL2;
+}
+
+/**
+ * Returns if instanced meshes are drawn with instanced draw calls. This is supported by WebGL 2 and on most hardware also
+ * by WebGL 1. Otherwise, {@link CL3D.InstancedMeshSceneNode} draws all instances one by one.
+ * @public
+ */
+CL3D.Renderer.prototype.isInstancingSupported = function()
+{
+	return this.InstancingSupported;
+}
+
+/**
+ * Set to false to animate all skinned meshes on the CPU. If true (default), skinned meshes are animated on the GPU if the 
+ * hardware supports it and their materials support it, and the amount of joints isn't too big, see {@link CL3D.Renderer.SkinningMaxJoints}.
+ * @public
+ * @type Boolean
+ */
+CL3D.Renderer.prototype.UseGPUSkinning = true;
+
+/**
+ * Maximal amount of joints influencing one mesh buffer of a skinned mesh animated on the GPU. Skinned meshes with mesh buffers 
+ * using more joints are animated on the CPU. Depends on the hardware, read only.
+ * @public
+ * @type Number
+ */
+CL3D.Renderer.prototype.SkinningMaxJoints = 0;
+
+/**
+ * Size in pixels of the shadow map of the directional light, if it casts shadows. Default is 1024.
+ * @public
+ * @type Number
+ */
+CL3D.Renderer.prototype.ShadowMapSize = 1024;
+
+/**
+ * Size in pixels of each side of the cube shadow maps of point lights casting shadows. Default is 256.
+ * @public
+ * @type Number
+ */
+CL3D.Renderer.prototype.ShadowCubeMapSize = 256;
+
+/**
+ * Distance from the camera up to which the directional light casts shadows. The shadow map of the directional light
+ * is stretched over this distance, so smaller values give sharper shadows. Default is 1000.
+ * @public
+ * @type Number
+ */
+CL3D.Renderer.prototype.ShadowDistance = 1000;
+
+/**
+ * Value subtracted from the depth of a pixel before comparing it with the shadow map, relative to the depth range of the
+ * shadow map. Increase this if surfaces shadow themselves in stripes, decrease it if shadows detach from their casters.
+ * Default is 0.003.
+ * @public
+ * @type Number
+ */
+CL3D.Renderer.prototype.ShadowBias = 0.003;
+
+/**
+ * Returns true if one of the current dynamic lights casts shadows, see {@link CL3D.Light.CastsShadows}.
+ * @private
+ */
+CL3D.Renderer.prototype.needsShadowMaps = function()
+{
+	if (this.gl == null || this.ProgramShadowDepth == null || !this.ShadowMapsSupported)
+		return false;
+
+	if (this.DirectionalLight && this.DirectionalLight.CastsShadows)
+		return true;
+
+	for (var i=0; i<this.Lights.length && i<4; ++i)
+		if (this.Lights[i].CastsShadows)
+			return true;
+
+	return false;
+}
+
+/**
+ * Prepares rendering of the shadow maps of all lights casting shadows and returns the amount of passes needed for this.
+ * For every pass, call beginShadowMapPass() and draw all shadow casting geometry, then call endShadowMaps(). This is
+ * done by {@link CL3D.Scene.drawAll}(), so it shouldn't be necessary to call this yourself.
+ * @private
+ * @param frustrum {CL3D.ViewFrustrum} view frustrum of the camera
+ * @param camPos {CL3D.Vect3d} position of the camera
+ * @param casterBox {CL3D.Box3d} box around all geometry casting shadows, in world space
+ */
+CL3D.Renderer.prototype.beginShadowMaps = function(frustrum, camPos, casterBox)
+{
+	this.ShadowMapPasses = new Array();
+
+	var i;
+	var gl = this.gl;
+
+	// directional light: one pass
+
+	var dirlight = this.DirectionalLight;
+
+	if (dirlight && dirlight.CastsShadows && dirlight.Direction && frustrum && camPos)
 	{
-		try
+		if (this.ShadowMapDirectional != null && this.ShadowMapDirectional.Size != this.ShadowMapSize)
 		{
-			WebGLIntArray = Int32Array;
+			this.deleteShadowMap(this.ShadowMapDirectional);
+			this.ShadowMapDirectional = null;
 		}
-		catch (e) 
+
+		if (this.ShadowMapDirectional == null)
+			this.ShadowMapDirectional = this.createShadowMap(this.ShadowMapSize, false);
+
+		if (this.ShadowMapDirectional != null)
 		{
-			CL3D.gCCDebugOutput.printError("Error: Int32 array types for webgl not found.");
+			this.calculateDirectionalShadowMatrices(dirlight, frustrum, camPos, casterBox);
+			this.ShadowMapPasses.push(this.createShadowMapPass(dirlight, -1, 0));
 		}
 	}
-	*/	
 
-	// Firefox:
-	// The WebGL*Array where named Canvas*Array in the past.
-	// However, this will only affect old nightly builds. The current nightly does already
-	// support the new names. (13 Dec 2009).	
-	if ( typeof WebGLFloatArray == 'undefined' &&
-	     typeof CanvasFloatArray != 'undefined' )
+	// point lights: one pass for every side of the cube
+
+	for (i=0; i<this.Lights.length && i<4; ++i)
 	{
-		try
+		var l = this.Lights[i];
+		if (!l.CastsShadows || l.Radius <= 0)
+			continue;
+
+		var map = this.ShadowMapsPoint[i];
+
+		if (map != null && map.Size != this.ShadowCubeMapSize)
 		{
-			WebGLFloatArray = CanvasFloatArray;
-			WebGLUnsignedShortArray = CanvasUnsignedShortArray;
-			
-			// others, not used by copperlicht
-			//WebGLArrayBuffer = CanvasArrayBuffer;
-			//WebGLByteArray = CanvasByteArray;
-			//WebGLUnsignedByteArray = CanvasUnsignedByteArray;
-			//WebGLShortArray = CanvasShortArray;			
-			//WebGLIntArray = CanvasIntArray;
-			//WebGLUnsignedIntArray = CanvasUnsignedIntArray;
-			
+			this.deleteShadowMap(map);
+			map = null;
 		}
-		catch (e) 
+
+		if (map == null)
 		{
-			CL3D.gCCDebugOutput.printError("Error: canvas array types for webgl not found.");
+			map = this.createShadowMap(this.ShadowCubeMapSize, true);
+			this.ShadowMapsPoint[i] = map;
 		}
+
+		if (map == null)
+			continue;
+
+		for (var f=0; f<6; ++f)
+			this.ShadowMapPasses.push(this.createShadowMapPass(l, i, f));
 	}
 
-	var gl = this.gl;
-	
-	// Google Chrome compatibility code
-	// Since a JavaScript function may have multiple return types, functions 
-	// 'getProgrami' and 'getShaderi' where renamed. However, Chrome does still
-	// use the old names.  (30 Nov 2009)
-	if (!gl['getProgramParameter'])
-		gl['getProgramParameter'] = gl['getProgrami'];
-	if (!gl['getShaderParameter'])
-		gl['getShaderParameter'] = gl['getShaderi'];
+	if (this.ShadowMapPasses.length == 0)
+		return 0;
+
+	this.ShadowSavedProjection = this.Projection.clone();
+	this.ShadowSavedView = this.View.clone();
+
+	// the shadow maps must not be bound while rendering into them
+
+	for (i=0; i<5; ++i)
+	{
+		gl.activeTexture(gl.TEXTURE2 + i);
+		gl.bindTexture(i == 0 ? gl.TEXTURE_2D : gl.TEXTURE_CUBE_MAP, null);
+	}
+
+	gl.activeTexture(gl.TEXTURE0);
+
+	return this.ShadowMapPasses.length;
 }
 
 /**
+ * Starts rendering into the shadow map for the pass with the given index, see beginShadowMaps(). Returns the light
+ * for which the shadow map is rendered. Until endShadowMaps() is called, all materials are drawn using the shadow depth shader.
  * @private
  */
-CL3D.Renderer.prototype.loadShader = function(shaderType, shaderSource) 
+CL3D.Renderer.prototype.beginShadowMapPass = function(passIndex)
 {
 	var gl = this.gl;
-    var shader = gl.createShader(shaderType);
-    if (shader == null) 
-		return null;	
-		
-    gl.shaderSource(shader, shaderSource);
-    gl.compileShader(shader);
- 
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) 
+	var pass = this.ShadowMapPasses[passIndex];
+	var l = pass.Light;
+	var map = pass.LightIndex < 0 ? this.ShadowMapDirectional : this.ShadowMapsPoint[pass.LightIndex];
+
+	gl.bindFramebuffer(gl.FRAMEBUFFER, map.Framebuffers[pass.Face]);
+	gl.viewport(0, 0, map.Size, map.Size);
+
+	// clear to the biggest possible depth
+
+	gl.clearColor(1, 1, 1, 1);
+	gl.depthMask(true);
+	gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+	this.ShadowMapPassActive = true;
+	this.currentGLProgram = this.ProgramShadowDepth;
+	gl.useProgram(this.ProgramShadowDepth);
+
+	if (pass.LightIndex < 0)
 	{
-		if (this.printShaderErrors)
-		{
-			var strType = (shaderType == gl.VERTEX_SHADER) ? "vertex" : "fragment";
-			CL3D.gCCDebugOutput.printError("Error loading " + strType + " shader: " + gl.getShaderInfoLog(shader));
-		}
-        return null;
-    }    
- 
-    return shader;
+		this.ShadowProjectionDirectional.copyTo(this.Projection);
+		this.ShadowViewDirectional.copyTo(this.View);
+
+		this.ShadowLightPosition = [0, 0, 0, 0];
+		gl.frontFace(gl.CCW);
+	}
+	else
+	{
+		var proj = new CL3D.Matrix4(false);
+		proj.buildProjectionMatrixPerspectiveFovLH(Math.PI / 2.0, 1.0, l.Radius * 0.01, l.Radius);
+
+		// cube map sides are mirrored compared to a left handed view, which also flips the winding order of the triangles
+		proj.m00 = -proj.m00;
+		gl.frontFace(gl.CW);
+
+		var view = new CL3D.Matrix4(false);
+		view.buildCameraLookAtMatrixLH(l.Position, l.Position.add(this.getShadowCubeFaceDirection(pass.Face)), this.getShadowCubeFaceUpVector(pass.Face));
+
+		proj.copyTo(this.Projection);
+		view.copyTo(this.View);
+
+		this.ShadowLightPosition = [l.Position.X, l.Position.Y, l.Position.Z, 1.0 / l.Radius];
+	}
+	
+	this.setShadowLightPositionIntoConstants(this.ProgramShadowDepth);
+
+	return l;
 }
 
+/**
+ * Sets the position of the light of the current shadow map pass into the shadow depth shader, or into one of its
+ * variants for skinned and instanced meshes.
+ * @private
+ */
+CL3D.Renderer.prototype.setShadowLightPositionIntoConstants = function(program)
+{
+	var p = this.ShadowLightPosition;
+	if (program.locShadowLightPosition != null)
+		this.gl.uniform4f(program.locShadowLightPosition, p[0], p[1], p[2], p[3]);
+}
 
 /**
+ * Ends rendering the shadow maps, restores the view of the camera and enables the shadow maps for all
+ * materials receiving shadows.
  * @private
  */
-CL3D.Renderer.prototype.createShaderProgram = function(vertexShaderSource, fragmentShaderSource, useBinormalsAndTangents)
+CL3D.Renderer.prototype.endShadowMaps = function()
 {
-	// create shader
-	
 	var gl = this.gl;
-	
-	var finalVertexShader = vertexShaderSource;
-	var finalFramentShader = fragmentShaderSource;
-	
-	var midump_append = 
-	"#ifdef GL_ES												\n\
-	precision mediump float;									\n\
-	#endif														\n";
-	
-	if ( finalVertexShader.indexOf('precision ') == -1 )
-		finalVertexShader = midump_append + vertexShaderSource;
-		
-	if ( finalFramentShader.indexOf('precision ') == -1 )
-		finalFramentShader = midump_append + fragmentShaderSource;
-		
-	var vertexShader = this.loadShader(gl.VERTEX_SHADER, finalVertexShader);
-	var fragmentShader = this.loadShader(gl.FRAGMENT_SHADER, finalFramentShader);
-	
-	if (!vertexShader || !fragmentShader)
-	{
-		if (this.printShaderErrors)
-			CL3D.gCCDebugOutput.print("Could not create shader program");
-		 return null;
-	}
-		 
-	// create program
-	
-	// create program object
-	var program = gl.createProgram();
-	 
-	// attach our two shaders to the program
-	gl.attachShader(program, vertexShader);
-	gl.attachShader(program, fragmentShader);
-	 
-	// setup attributes (optional)
-	gl.bindAttribLocation(program, 0, "vPosition");
-	gl.bindAttribLocation(program, 1, "vTexCoord1");
-	gl.bindAttribLocation(program, 2, "vTexCoord2");
-	gl.bindAttribLocation(program, 3, "vNormal");	
-	gl.bindAttribLocation(program, 4, "vColor");	
-	
-	if (useBinormalsAndTangents)
+
+	this.bindCurrentRenderTarget();
+	gl.frontFace(this.FrontFaceInverted ? gl.CW : gl.CCW);
+
+	this.ShadowSavedProjection.copyTo(this.Projection);
+	this.ShadowSavedView.copyTo(this.View);
+
+	this.ShadowMapPassActive = false;
+	this.ShadowsActive = true;
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.createShadowMapPass = function(light, lightIndex, face)
+{
+	var pass = new Object();
+	pass.Light = light;
+	pass.LightIndex = lightIndex; // -1 for the directional light
+	pass.Face = face;
+	return pass;
+}
+
+/**
+ * Returns true if a shadow map has been rendered in this frame for the point light with the specified index, or for the directional light if the index is -1.
+ * @private
+ */
+CL3D.Renderer.prototype.isShadowMapRenderedForLight = function(lightIndex)
+{
+	for (var i=0; i<this.ShadowMapPasses.length; ++i)
+		if (this.ShadowMapPasses[i].LightIndex == lightIndex)
+			return true;
+
+	return false;
+}
+
+/**
+ * Calculates view and projection of the shadow map of the directional light, so that it covers the visible area up to
+ * ShadowDistance and all shadow casters between this area and the light.
+ * @private
+ */
+CL3D.Renderer.prototype.calculateDirectionalShadowMatrices = function(light, frustrum, camPos, casterBox)
+{
+	var dir = light.Direction.clone();
+	dir.normalize();
+
+	var up = new CL3D.Vect3d(0,1,0);
+	if (Math.abs(dir.Y) > 0.99)
+		up = new CL3D.Vect3d(0,0,1);
+
+	var rot = new CL3D.Matrix4(false);
+	rot.buildCameraLookAtMatrixLH(new CL3D.Vect3d(0,0,0), dir, up);
+
+	// visible area, cut off at the shadow distance
+
+	var points = new Array();
+	points.push(frustrum.getNearLeftUp());
+	points.push(frustrum.getNearRightUp());
+	points.push(frustrum.getNearRightDown());
+	points.push(frustrum.getNearLeftDown());
+
+	var farPoints = new Array();
+	farPoints.push(frustrum.getFarLeftUp());
+	farPoints.push(frustrum.getFarRightUp());
+	farPoints.push(frustrum.getFarRightDown());
+	farPoints.push(frustrum.getFarLeftDown());
+
+	var i;
+
+	for (i=0; i<farPoints.length; ++i)
 	{
-		gl.bindAttribLocation(program, 5, "vBinormal");	
-		gl.bindAttribLocation(program, 6, "vTangent");	
+		var v = farPoints[i].substract(camPos);
+		var len = v.getLength();
+		if (len > this.ShadowDistance)
+			points.push(camPos.add(v.multiplyWithScal(this.ShadowDistance / len)));
+		else
+			points.push(farPoints[i]);
 	}
-	
-	//gl.bindTexture(gl.TEXTURE_2D, mat.Tex1.Texture);
-	 
-	// linking
-	gl.linkProgram(program);
-	if (!gl.getProgramParameter(program, gl.LINK_STATUS)) 
+
+	// use a sphere around it, its size doesn't change when the camera rotates
+
+	var center = new CL3D.Vect3d(0,0,0);
+	for (i=0; i<points.length; ++i)
+		center.addToThis(points[i]);
+	center.multiplyThisWithScal(1.0 / points.length);
+
+	var radius = 0;
+	for (i=0; i<points.length; ++i)
+		radius = Math.max(radius, points[i].getDistanceTo(center));
+	radius = Math.max(1, Math.ceil(radius));
+
+	rot.transformVect(center);
+
+	// move in steps of whole texels only, so that the shadow edges don't flicker when the camera moves
+
+	var texelSize = (2.0 * radius) / this.ShadowMapSize;
+	center.X = Math.floor(center.X / texelSize) * texelSize;
+	center.Y = Math.floor(center.Y / texelSize) * texelSize;
+
+	// extend the depth range towards the light, for shadow casters outside of the visible area
+
+	var zNear = center.Z - radius;
+	var zFar = center.Z + radius;
+
+	if (casterBox)
 	{
-		if (this.printShaderErrors)
-			CL3D.gCCDebugOutput.print("Could not link program:" + gl.getProgramInfoLog(program));
+		var box = casterBox.clone();
+		rot.transformBoxEx(box);
+		zNear = Math.min(zNear, box.MinEdge.Z);
 	}
-	else
+
+	var trans = new CL3D.Matrix4(true);
+	trans.setTranslation(new CL3D.Vect3d(-center.X, -center.Y, 0));
+
+	this.ShadowViewDirectional = trans.multiply(rot);
+	this.ShadowProjectionDirectional = new CL3D.Matrix4(false);
+	this.ShadowProjectionDirectional.buildProjectionMatrixOrthoLH(2.0 * radius, 2.0 * radius, zNear, zFar);
+	this.ShadowViewProjDirectional = this.ShadowProjectionDirectional.multiply(this.ShadowViewDirectional);
+}
+
+/**
+ * Returns the view direction for rendering a side of a cube shadow map, in the order of TEXTURE_CUBE_MAP_POSITIVE_X and following.
+ * @private
+ */
+CL3D.Renderer.prototype.getShadowCubeFaceDirection = function(face)
+{
+	switch(face)
 	{
-		gl.useProgram(program);
-		gl.uniform1i(gl.getUniformLocation(program, "texture1"), 0);
-		gl.uniform1i(gl.getUniformLocation(program, "texture2"), 1);
+	case 0: return new CL3D.Vect3d(1,0,0);
+	case 1: return new CL3D.Vect3d(-1,0,0);
+	case 2: return new CL3D.Vect3d(0,1,0);
+	case 3: return new CL3D.Vect3d(0,-1,0);
+	case 4: return new CL3D.Vect3d(0,0,1);
 	}
-	 
-	// setup uniforms (optional)
-	//this.gl.useProgram(program);
-	//this.gl.uniform1i(gl.getUniformLocation(program, "uTexture"), 0);
-	
-	return program;
+	return new CL3D.Vect3d(0,0,-1);
 }
 
 /**
- * Creates a new CL3D.Material type with custom shaders. Returns an id which can be used in {@link Material.Type}.
- * There is a tutorial showing how to create a new CL3D.Material in the documentation, but also this short
- * example may give an overview:
- * @public
- * @example 
- * // add a cube to test out
- * var cubenode = new CubeSceneNode();
- * scene.getRootSceneNode().addChild(cubenode);
- * cubenode.getMaterial(0).Tex1 = 
- *   engine.getTextureManager().getTexture("crate_wood.jpg", true);
- *
- * // now, we want to use a custom material for our cube, lets write
- * // a vertex and a fragment shader:
- * // (note: there must be no character, even no space behind 
- * // the '\' characters).
- * var vertex_shader = "           \
- *   uniform mat4 worldviewproj;   \
- *   attribute vec4 vPosition;     \
- *   attribute vec4 vNormal;       \
- *   attribute vec2 vTexCoord1;    \
- *   attribute vec2 vTexCoord2;    \
- *   varying vec2 v_texCoord1;     \
- *   varying vec2 v_texCoord2;     \
- *   void main()                   \
- *   {                             \
- *     gl_Position = worldviewproj * vPosition;\
- *     v_texCoord1 = vTexCoord1.st; \
- *     v_texCoord2 = vTexCoord2.st; \
- *   }";
- *   
- *  var fragment_shader = "        \
- *   uniform sampler2D texture1;   \
- *   uniform sampler2D texture2;   \
- *                                 \
- *   varying vec2 v_texCoord1;     \
- *   varying vec2 v_texCoord2;     \
- *                                 \
- *   void main()                   \
- *   {                             \
- *     vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t); \
- *     gl_FragColor = texture2D(texture1, texCoord) * 2; \
- *   }";
- *  
- *  // create a solid material using the shaders. For transparent materials, 
- *  // take a look at the other parameters of createMaterialType  
- *  var newMaterialType = engine.getRenderer().createMaterialType(vertex_shader, fragment_shader);
- *  if (newMaterialType != -1)
- *    cubenode.getMaterial(0).Type = newMaterialType;
- *  else
- *    alert('could not create shader');
- * @param vertexShaderSource {String} Source for the vertex shader of the new CL3D.Material. CopperLicht will set the current
- *  World-View-Projection matrix in an attribute named 'worldviewproj' (if existing), the world transformation matrix into 'worldtransform', the normal transformation matrix in an attribute named 
- *  'normaltransform' if available, and the concatenated view model transformation into an attribute named 'modelviewtransform', if available.
- * Positions will be stored in vPosition, 
- * normals in vNormal, the first texture coordinate in vTexCoord1 and the second in vTexCoord2.
- * All other variables will need to be set manually by you. Use {@link getGLProgramFromMaterialType} to do this.
- * @param fragmentShaderSource {String} Source for the fragment shader of the new CL3D.Material. If the fragment shader uses a variable 'texture1' and 'texture2' as in the example above, CopperLicht will set this to the textures of the current material.
- * @param blendenabled  {Boolean} this is optional and can be set to true to enable blending. See next two parameters. Note: When creating
- * a transparent material, in order to let it be sorted correctly by CopperLicht, override the {@link Material.isTransparent} to return true for
- * your material type.
- * @param blendsfactor this is optional. Blend source factor, when blending is enabled. Set to a webGL blend factor like gl.ONE or gl.SRC_ALPHA. You can get the gl object by using {@link getWebGL()}.
- * @param blenddfactor this is optional. Blend destination factor, when blending is enabled. Set to a webGL blend factor like gl.ONE_MINUS_SRC_ALPHA or gl.ONE_MINUS_SRC_COLOR. You can get the gl object by using {@link getWebGL()}.
+ * Returns the up vector for rendering a side of a cube shadow map, see getShadowCubeFaceDirection().
+ * @private
  */
-CL3D.Renderer.prototype.createMaterialType = function(vertexShaderSource, fragmentShaderSource, blendenabled, blendsfactor, blenddfactor)
+CL3D.Renderer.prototype.getShadowCubeFaceUpVector = function(face)
 {
-	var program = this.createMaterialTypeInternal(vertexShaderSource, fragmentShaderSource, blendenabled, blendsfactor, blenddfactor);
-	if (!program)
-		return -1;
-		
-	this.MinExternalMaterialTypeId += 1;		
-	this.MaterialPrograms[this.MinExternalMaterialTypeId] = program;
-	this.MaterialProgramsWithLight[this.MinExternalMaterialTypeId] = program;
-	
-	return this.MinExternalMaterialTypeId;
+	switch(face)
+	{
+	case 2: return new CL3D.Vect3d(0,0,1);
+	case 3: return new CL3D.Vect3d(0,0,-1);
+	}
+	return new CL3D.Vect3d(0,-1,0);
 }
 
-
-
 /**
- * Returns the webgl shader program from a material type. This is useful when you are using {@link createMaterialType} to create your
- * own shaders and need to set material constants using for example uniform1i.
- * @public
- * @param mattype {int} The material type, like for example {@link Material.EMT_SOLID}, or your own material type returned by {@link createMaterialType}.
- * @returns {program} Returns the WebGL shader program or null if not found.
+ * Creates a shadow map: a texture (or cube texture) into which the depth is rendered packed into the RGBA channels,
+ * together with its framebuffers. Returns null if not supported.
+ * @private
  */
-CL3D.Renderer.prototype.getGLProgramFromMaterialType = function(mattype)
+CL3D.Renderer.prototype.createShadowMap = function(size, isCube)
 {
-	var program = null;
-	try
+	var gl = this.gl;
+
+	var map = new Object();
+	map.Size = size;
+	map.IsCube = isCube;
+	map.Framebuffers = new Array();
+
+	var target = isCube ? gl.TEXTURE_CUBE_MAP : gl.TEXTURE_2D;
+	var faceCount = isCube ? 6 : 1;
+	var f;
+
+	map.Texture = gl.createTexture();
+	gl.bindTexture(target, map.Texture);
+
+	// no filtering, the packed depth values cannot be interpolated
+	gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+	gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+	gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+	gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+	for (f=0; f<faceCount; ++f)
+		gl.texImage2D(isCube ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + f : gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+	map.DepthBuffer = gl.createRenderbuffer();
+	gl.bindRenderbuffer(gl.RENDERBUFFER, map.DepthBuffer);
+	gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, size, size);
+
+	var complete = true;
+
+	for (f=0; f<faceCount; ++f)
 	{
-		program = this.MaterialPrograms[mattype];
+		var fb = gl.createFramebuffer();
+		gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, isCube ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + f : gl.TEXTURE_2D, map.Texture, 0);
+		gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, map.DepthBuffer);
+
+		if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE)
+			complete = false;
+
+		map.Framebuffers.push(fb);
+	}
+
+	gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+	gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+	gl.bindTexture(target, null);
+
+	if (!complete)
+	{
+		CL3D.gCCDebugOutput.printError("Shadow maps are not supported on this system.");
+		this.ShadowMapsSupported = false;
+		this.deleteShadowMap(map);
+		return null;
 	}
-	catch(e) {}
-	
-	return program;
-}
 
+	return map;
+}
 
 /**
  * @private
  */
-CL3D.Renderer.prototype.createMaterialTypeInternal = function(vsshader, fsshader, blendenabled, blendsfactor, blenddfactor, useBinormalsAndTangents)
+CL3D.Renderer.prototype.deleteShadowMap = function(map)
 {
-	if (useBinormalsAndTangents == null)
-		useBinormalsAndTangents = false;
-		
-	var program = this.createShaderProgram(vsshader, fsshader, useBinormalsAndTangents);
-	if (program)
-	{
-		// store blend mode
-		program.blendenabled = blendenabled ? blendenabled : false;
-		program.blendsfactor = blendsfactor;
-		program.blenddfactor = blenddfactor;
-		
-		var gl = this.gl;
-		
-		// store preset shader attribute locations
-		program.locWorldViewProj = gl.getUniformLocation(program, "worldviewproj");
-		program.locNormalMatrix = gl.getUniformLocation(program, "normaltransform");
-		program.locModelViewMatrix = gl.getUniformLocation(program, "modelviewtransform");
-		program.locModelWorldMatrix = gl.getUniformLocation(program, "worldtransform");
-		program.locLightPositions = gl.getUniformLocation(program, "arrLightPositions");
-		program.locLightColors = gl.getUniformLocation(program, "arrLightColors");
-		program.locDirectionalLight = gl.getUniformLocation(program, "vecDirLight");
-		program.locDirectionalLightColor = gl.getUniformLocation(program, "colorDirLight");
-	}		
-		
-	return program;
+	var gl = this.gl;
+
+	for (var i=0; i<map.Framebuffers.length; ++i)
+		gl.deleteFramebuffer(map.Framebuffers[i]);
+
+	gl.deleteRenderbuffer(map.DepthBuffer);
+	gl.deleteTexture(map.Texture);
+	map.Framebuffers = new Array();
 }
 
 /**
+ * Sets the shadow maps and the light positions and transformations needed for reading them into a shader program
  * @private
  */
-CL3D.Renderer.prototype.initWebGL = function()
+CL3D.Renderer.prototype.setShadowMapsIntoConstants = function(program)
 {
 	var gl = this.gl;
+	var i;
+
+	var dirShadowActive = this.ShadowsActive && this.ShadowMapDirectional != null && this.isShadowMapRenderedForLight(-1);
+
+	// transformation from object space into the shadow map of the directional light
+
+	if (dirShadowActive && program.locShadowTransform != null)
+		gl.uniformMatrix4fv(program.locShadowTransform, false, this.getMatrixAsWebGLFloatArray(this.ShadowViewProjDirectional.multiply(this.World)));
+
+	// (directional shadow enabled, bias, texel size of shadow map, texel size of cube shadow maps)
+
+	gl.uniform4f(program.locShadowParams,
+		dirShadowActive ? 1.0 : 0.0,
+		this.ShadowBias,
+		1.0 / (this.ShadowMapDirectional ? this.ShadowMapDirectional.Size : this.ShadowMapSize),
+		2.0 / this.ShadowCubeMapSize);
+
+	// world space positions of point lights casting shadows, packed like (px, py, pz, 1 / radius).
+	// A zero in w means the light casts no shadow.
+
+	var buf = new ArrayBuffer(4 * 4 * Float32Array.BYTES_PER_ELEMENT);
+	var positionArray = new WebGLFloatArray(buf);
+	var pointShadowActive = new Array();
+
+	for (i=0; i<4; ++i)
+	{
+		var active = this.ShadowsActive && this.ShadowMapsPoint[i] != null && this.isShadowMapRenderedForLight(i);
+		pointShadowActive.push(active);
+
+		if (active)
+		{
+			var l = this.Lights[i];
+			positionArray[i*4]   = l.Position.X;
+			positionArray[i*4+1] = l.Position.Y;
+			positionArray[i*4+2] = l.Position.Z;
+			positionArray[i*4+3] = 1.0 / l.Radius;
+		}
+	}
+
+	if (program.locShadowLightPositions != null)
+		gl.uniform4fv(program.locShadowLightPositions, positionArray);
+
+	// bind shadow maps to the texture units following texture1 and texture2
+
+	gl.activeTexture(gl.TEXTURE2);
+	gl.bindTexture(gl.TEXTURE_2D, dirShadowActive ? this.ShadowMapDirectional.Texture : null);
+
+	for (i=0; i<4; ++i)
+	{
+		gl.activeTexture(gl.TEXTURE3 + i);
+		gl.bindTexture(gl.TEXTURE_CUBE_MAP, pointShadowActive[i] ? this.ShadowMapsPoint[i].Texture : null);
+	}
+
+	gl.activeTexture(gl.TEXTURE0);
+}
+
+
+/**
+ * Sets the environment map used for the image based lighting of physically based materials like {@link CL3D.Material.EMT_PBR_SOLID}:
+ * They reflect it and are lit by the light coming from it. This is done automatically by the {@link CL3D.Scene} with the sky box, see 
+ * {@link CL3D.SkyBoxSceneNode.UseAsEnvironmentMap}, so usually it isn't necessary to call this yourself.
+ * @public
+ * @param map {Object} environment map created with {@link createEnvironmentMap}(), or null for no image based lighting.
+ * @param intensity {Number} (optional) factor for the light of the environment map, 1 if not set.
+ * @param transformation {CL3D.Matrix4} (optional) rotation from world space directions into directions of the environment map.
+ */
+CL3D.Renderer.prototype.setEnvironmentMap = function(map, intensity, transformation)
+{
+	this.EnvironmentMap = map;
+	this.EnvironmentMapIntensity = intensity != null ? intensity : 1.0;
+	this.EnvironmentMapTransformation = transformation ? transformation : null;
+}
+
+/**
+ * Creates an environment map for the image based lighting of physically based materials, see {@link setEnvironmentMap}(). 
+ * The colors of the environment are queried using a function, and then prefiltered for all roughness values of the materials.
+ * This is done on the CPU and takes some time, so environment maps should be created only once and not every frame.
+ * @example
+ * // a simple gradient from a blue sky to a brown ground
+ * var map = renderer.createEnvironmentMap(function(x, y, z, color) 
+ * {
+ *   var up = y / Math.sqrt(x*x + y*y + z*z);
+ *   color[0] = up > 0 ? 0.5 : 0.4;
+ *   color[1] = up > 0 ? 0.7 : 0.3;
+ *   color[2] = up > 0 ? 1.0 : 0.2;
+ * });
+ * renderer.setEnvironmentMap(map);
+ * @public
+ * @param getColor {function} function(x, y, z, color) setting the color of the environment in the direction (x, y, z), which 
+ * is not normalized, into color[0], color[1] and color[2]. The values are between 0 and 1, in sRGB space like image colors.
+ * @param size {Number} (optional) size of each side of the environment map, a power of two. 64 if not set.
+ * @returns {Object} the environment map, or null if it could not be created. Delete it with {@link deleteEnvironmentMap}() when no longer needed.
+ */
+CL3D.Renderer.prototype.createEnvironmentMap = function(getColor, size)
+{
+	var gl = this.gl;
+	if (gl == null || getColor == null)
+		return null;
+		
+	if (!size)
+		size = 64;
+		
+	size = this.nextHighestPowerOfTwo(size);
 	
-	// don't print shader errors
-	this.printShaderErrors = false;
-	
-	// create shaders
-	
-	var fallbackShader = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_onlyfirsttexture_gouraud);
-	
-	var programStandardMaterial = fallbackShader;
-	var programLightmapMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_lightmapcombine);
-	var programLightmapMaterial_m4 = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_lightmapcombine_m4);
-	var programTransparentAlphaChannel = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_onlyfirsttexture_gouraud, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-	var programTransparentAlphaChannelRef = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_onlyfirsttexture_gouraud_alpharef, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-	var programTransparentAdd = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_onlyfirsttexture_gouraud, true, gl.ONE, gl.ONE_MINUS_SRC_COLOR);
-	var programReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform, this.fs_shader_lightmapcombine);
-	var programTranspReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform, this.fs_shader_lightmapcombine, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-	var programGouraudShaded = this.createMaterialTypeInternal(this.vs_shader_normaltransform_gouraud, this.fs_shader_onlyfirsttexture_gouraud);
-	var programNormalmappedMaterial = this.createMaterialTypeInternal(this.vs_shader_normalmappedtransform, this.fs_shader_normalmapped);
-	var programSolidVertexAlphaTwoTextureBlendMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_vertex_alpha_two_textureblend);
-	
-	this.Program2DDrawingColorOnly = this.createMaterialTypeInternal(this.vs_shader_2ddrawing_coloronly, this.fs_shader_simplecolor);
-	this.Program2DDrawingTextureOnly = this.createMaterialTypeInternal(this.vs_shader_2ddrawing_texture, this.fs_shader_onlyfirsttexture);
-	this.Program2DDrawingCanvasFontColor = this.createMaterialTypeInternal(this.vs_shader_2ddrawing_texture, this.fs_shader_2ddrawing_canvasfont);
-	
-	this.MaterialPrograms[CL3D.Material.EMT_SOLID] = programStandardMaterial;
-	this.MaterialPrograms[CL3D.Material.EMT_SOLID+1] = programStandardMaterial;
-	this.MaterialPrograms[CL3D.Material.EMT_LIGHTMAP] = programLightmapMaterial;
-	this.MaterialPrograms[CL3D.Material.EMT_LIGHTMAP+1] = programLightmapMaterial;
-	this.MaterialPrograms[CL3D.Material.EMT_LIGHTMAP+2] = programLightmapMaterial;
-	this.MaterialPrograms[CL3D.Material.EMT_LIGHTMAP+3] = programLightmapMaterial_m4;
-	this.MaterialPrograms[CL3D.Material.EMT_TRANSPARENT_ADD_COLOR] = programTransparentAdd;
-	this.MaterialPrograms[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL] = programTransparentAlphaChannel;
-	this.MaterialPrograms[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL_REF] = programTransparentAlphaChannelRef;
-	this.MaterialPrograms[CL3D.Material.EMT_REFLECTION_2_LAYER] = programReflectionMaterial;
-	this.MaterialPrograms[CL3D.Material.EMT_TRANSPARENT_REFLECTION_2_LAYER] = programTranspReflectionMaterial;
-	this.MaterialPrograms[CL3D.Material.EMT_NORMAL_MAP_SOLID] = programNormalmappedMaterial;
-	this.MaterialPrograms[CL3D.Material.EMT_SOLID_VERTEX_ALPHA_TWO_TEXTURE_BLEND] = programSolidVertexAlphaTwoTextureBlendMaterial;
-	
-	// EMT_ONETEXTURE_BLEND
-	this.MaterialPrograms[23] = programGouraudShaded;
+	// linear colors of all levels, from size x size down to 1 x 1
 	
-	// now do the same with materials with lighting
+	var levels = new Array();
+	var dir = new CL3D.Vect3d();
+	var color = [0, 0, 0];
+	var levelSize = size;
+	var data = new Float32Array(6 * size * size * 3);
+	var f, x, y, p;
 	
-	programStandardMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_onlyfirsttexture_gouraud);
-	programTransparentAlphaChannel = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_onlyfirsttexture_gouraud, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-	programTransparentAlphaChannelRef = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_onlyfirsttexture_gouraud_alpharef, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-	programTransparentAdd = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_onlyfirsttexture_gouraud, true, gl.ONE, gl.ONE_MINUS_SRC_COLOR);
+	for (f=0; f<6; ++f)
+		for (y=0; y<size; ++y)
+			for (x=0; x<size; ++x)
+			{
+				this.getEnvironmentMapDirection(f, (x + 0.5) / size * 2.0 - 1.0, (y + 0.5) / size * 2.0 - 1.0, dir);
+				getColor(dir.X, dir.Y, dir.Z, color);
+				
+				p = ((f * size + y) * size + x) * 3;
+				data[p]   = Math.pow(CL3D.clamp(color[0], 0.0, 1.0), 2.2);
+				data[p+1] = Math.pow(CL3D.clamp(color[1], 0.0, 1.0), 2.2);
+				data[p+2] = Math.pow(CL3D.clamp(color[2], 0.0, 1.0), 2.2);
+			}
+			
+	levels.push(data);
 	
-	programReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform_with_light, this.fs_shader_lightmapcombine_gouraud);
-	programTranspReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform_with_light, this.fs_shader_lightmapcombine_gouraud, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-	programSolidVertexAlphaTwoTextureBlendMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_vertex_alpha_two_textureblend);
+	// every following level is filtered from the previous one, for a roughness growing from 0 to 1
 	
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_SOLID] = programStandardMaterial;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_SOLID+1] = programStandardMaterial;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_LIGHTMAP] = programLightmapMaterial;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_LIGHTMAP+1] = programLightmapMaterial;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_LIGHTMAP+2] = programLightmapMaterial;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_LIGHTMAP+3] = programLightmapMaterial_m4;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_TRANSPARENT_ADD_COLOR] = programTransparentAdd;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL] = programTransparentAlphaChannel;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL_REF] = programTransparentAlphaChannelRef;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_REFLECTION_2_LAYER] = programReflectionMaterial;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_TRANSPARENT_REFLECTION_2_LAYER] = programTranspReflectionMaterial;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_NORMAL_MAP_SOLID] = programNormalmappedMaterial;
-	this.MaterialProgramsWithLight[CL3D.Material.EMT_SOLID_VERTEX_ALPHA_TWO_TEXTURE_BLEND] = programSolidVertexAlphaTwoTextureBlendMaterial;
+	while (levelSize > 1)
+	{
+		levelSize /= 2;
+		levels.push(null);
+	}
 	
-	// reset shader error output
-	this.printShaderErrors = true;
+	for (var l=1; l<levels.length; ++l)
+		levels[l] = this.prefilterEnvironmentMapLevel(levels[l-1], size >> (l-1), size >> l, l / (levels.length - 1));
 	
-	// set fallback materials
-	for (var f=0; f<this.MinExternalMaterialTypeId; ++f)
+	// the light coming from all directions onto a surface, from one of the smaller levels
+	
+	var irradianceSize = Math.min(size, 8);
+	var irradiance = this.calculateIrradianceMap(levels[Math.round(Math.log(size / irradianceSize) / Math.LN2)], irradianceSize);
+	
+	// create the cube maps
+	
+	var map = new Object();
+	map.Size = size;
+	map.LevelCount = levels.length;
+	
+	map.Texture = gl.createTexture();
+	gl.bindTexture(gl.TEXTURE_CUBE_MAP, map.Texture);
+	gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+	gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+	gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+	gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+	
+	for (l=0; l<levels.length; ++l)
+		this.uploadEnvironmentMapLevel(levels[l], size >> l, l);
+	
+	map.IrradianceTexture = gl.createTexture();
+	gl.bindTexture(gl.TEXTURE_CUBE_MAP, map.IrradianceTexture);
+	gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+	gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+	gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+	gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+	
+	this.uploadEnvironmentMapLevel(irradiance, irradianceSize, 0);
+	
+	gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+	
+	return map;
+}
+
+/**
+ * Deletes an environment map created with {@link createEnvironmentMap}().
+ * @public
+ * @param map {Object} the environment map
+ */
+CL3D.Renderer.prototype.deleteEnvironmentMap = function(map)
+{
+	if (map == null || this.gl == null)
+		return;
+		
+	if (this.EnvironmentMap === map)
+		this.EnvironmentMap = null;
+		
+	this.gl.deleteTexture(map.Texture);
+	this.gl.deleteTexture(map.IrradianceTexture);
+	map.Texture = null;
+	map.IrradianceTexture = null;
+}
+
+/**
+ * Sets the direction of a texel of a cube map face into out, in the same way as WebGL reads cube maps. 
+ * s and t are between -1 and 1.
+ * @private
+ */
+CL3D.Renderer.prototype.getEnvironmentMapDirection = function(face, s, t, out)
+{
+	switch(face)
 	{
-		if (this.MaterialPrograms[f] == null)
-			this.MaterialPrograms[f] = fallbackShader;
-			
-		if (this.MaterialProgramsWithLight[f] == null)
-			this.MaterialProgramsWithLight[f] = fallbackShader;
+	case 0: out.set(1, -t, -s); break;
+	case 1: out.set(-1, -t, s); break;
+	case 2: out.set(s, 1, t); break;
+	case 3: out.set(s, -1, -t); break;
+	case 4: out.set(s, -t, 1); break;
+	default: out.set(-s, -t, -1); break;
 	}
+}
+
+/**
+ * Reads the bilinear filtered color of a level of an environment map in a direction into out.
+ * @private
+ */
+CL3D.Renderer.prototype.sampleEnvironmentMapLevel = function(data, size, x, y, z, out)
+{
+	var ax = Math.abs(x);
+	var ay = Math.abs(y);
+	var az = Math.abs(z);
+	var face, s, t;
 	
-	// set WebGL default values
+	if (ax >= ay && ax >= az)
+	{
+		face = x > 0 ? 0 : 1;
+		s = (x > 0 ? -z : z) / ax;
+		t = -y / ax;
+	}
+	else
+	if (ay >= az)
+	{
+		face = y > 0 ? 2 : 3;
+		s = x / ay;
+		t = (y > 0 ? z : -z) / ay;
+	}
+	else
+	{
+		face = z > 0 ? 4 : 5;
+		s = (z > 0 ? x : -x) / az;
+		t = -y / az;
+	}
 	
-	gl.useProgram(programStandardMaterial);
-	this.currentGLProgram = programStandardMaterial;
+	var u = CL3D.clamp((s + 1.0) * 0.5 * size - 0.5, 0, size - 1);
+	var v = CL3D.clamp((t + 1.0) * 0.5 * size - 0.5, 0, size - 1);
+	
+	var x0 = Math.floor(u);
+	var y0 = Math.floor(v);
+	var x1 = Math.min(x0 + 1, size - 1);
+	var y1 = Math.min(y0 + 1, size - 1);
+	var fx = u - x0;
+	var fy = v - y0;
+	
+	var base = face * size * size;
+	var p00 = (base + y0 * size + x0) * 3;
+	var p10 = (base + y0 * size + x1) * 3;
+	var p01 = (base + y1 * size + x0) * 3;
+	var p11 = (base + y1 * size + x1) * 3;
+	
+	for (var i=0; i<3; ++i)
+		out[i] = (data[p00+i] * (1 - fx) + data[p10+i] * fx) * (1 - fy) + 
+				 (data[p01+i] * (1 - fx) + data[p11+i] * fx) * fy;
+}
+
+/**
+ * Calculates a level of an environment map for a roughness by filtering the previous level with the GGX distribution,
+ * using importance sampling.
+ * @private
+ */
+CL3D.Renderer.prototype.prefilterEnvironmentMapLevel = function(source, sourceSize, size, roughness)
+{
+	var sampleCount = 32;
+	var a = roughness * roughness;
+	var i;
+	
+	// half vectors around the z axis, from a Hammersley sequence
+	
+	var halfVectors = new Array();
+	
+	for (i=0; i<sampleCount; ++i)
+	{
+		var bits = i;
+		var radicalInverse = 0;
+		for (var b=0.5; bits > 0; b*=0.5, bits >>= 1)
+			if (bits & 1)
+				radicalInverse += b;
+				
+		var phi = 2.0 * Math.PI * i / sampleCount;
+		var cosTheta = Math.sqrt((1.0 - radicalInverse) / (1.0 + (a * a - 1.0) * radicalInverse));
+		var sinTheta = Math.sqrt(1.0 - cosTheta * cosTheta);
 		
-	gl.clearColor(0, 0, 1, 1);
-    gl.clearDepth(10000);
+		halfVectors.push(new CL3D.Vect3d(sinTheta * Math.cos(phi), sinTheta * Math.sin(phi), cosTheta));
+	}
+	
+	var data = new Float32Array(6 * size * size * 3);
+	var n = new CL3D.Vect3d();
+	var color = [0, 0, 0];
+	
+	for (var f=0; f<6; ++f)
+		for (var y=0; y<size; ++y)
+			for (var x=0; x<size; ++x)
+			{
+				this.getEnvironmentMapDirection(f, (x + 0.5) / size * 2.0 - 1.0, (y + 0.5) / size * 2.0 - 1.0, n);
+				n.normalize();
+				
+				// tangent space of the direction, which is used as normal and view direction
+				
+				var tangent = Math.abs(n.Z) < 0.999 ? new CL3D.Vect3d(0, 0, 1).crossProduct(n) : new CL3D.Vect3d(1, 0, 0).crossProduct(n);
+				tangent.normalize();
+				var binormal = n.crossProduct(tangent);
+				
+				var r = 0;
+				var g = 0;
+				var bl = 0;
+				var weight = 0;
+				
+				for (i=0; i<sampleCount; ++i)
+				{
+					var h = halfVectors[i];
+					var hx = tangent.X * h.X + binormal.X * h.Y + n.X * h.Z;
+					var hy = tangent.Y * h.X + binormal.Y * h.Y + n.Y * h.Z;
+					var hz = tangent.Z * h.X + binormal.Z * h.Y + n.Z * h.Z;
+					
+					// reflect the direction at the half vector
+					
+					var NdotH = h.Z;
+					var lx = 2.0 * NdotH * hx - n.X;
+					var ly = 2.0 * NdotH * hy - n.Y;
+					var lz = 2.0 * NdotH * hz - n.Z;
+					
+					var NdotL = lx * n.X + ly * n.Y + lz * n.Z;
+					if (NdotL > 0)
+					{
+						this.sampleEnvironmentMapLevel(source, sourceSize, lx, ly, lz, color);
+						r += color[0] * NdotL;
+						g += color[1] * NdotL;
+						bl += color[2] * NdotL;
+						weight += NdotL;
+					}
+				}
+				
+				var p = ((f * size + y) * size + x) * 3;
+				if (weight > 0)
+				{
+					data[p]   = r / weight;
+					data[p+1] = g / weight;
+					data[p+2] = bl / weight;
+				}
+			}
+			
+	return data;
+}
 
-	gl.depthMask(true);
-	gl.enable(gl.DEPTH_TEST);
-	gl.disable(gl.BLEND);
-	gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-	//gl.enable(gl.TEXTURE_2D); invalid in webgl
-	gl.enable(gl.CULL_FACE);
-	gl.cullFace(gl.BACK);
+/**
+ * Calculates the cosine weighted average of the colors of all texels of an environment map level, for every direction.
+ * @private
+ */
+CL3D.Renderer.prototype.calculateIrradianceMap = function(source, size)
+{
+	// directions and solid angles of the texels
+	
+	var texelCount = 6 * size * size;
+	var dirs = new Float32Array(texelCount * 4);
+	var dir = new CL3D.Vect3d();
+	var f, x, y, i, j;
+	
+	for (i=0, f=0; f<6; ++f)
+		for (y=0; y<size; ++y)
+			for (x=0; x<size; ++x, ++i)
+			{
+				var s = (x + 0.5) / size * 2.0 - 1.0;
+				var t = (y + 0.5) / size * 2.0 - 1.0;
+				
+				this.getEnvironmentMapDirection(f, s, t, dir);
+				dir.normalize();
+				
+				dirs[i*4]   = dir.X;
+				dirs[i*4+1] = dir.Y;
+				dirs[i*4+2] = dir.Z;
+				dirs[i*4+3] = 1.0 / Math.pow(1.0 + s*s + t*t, 1.5);
+			}
+			
+	var data = new Float32Array(texelCount * 3);
+	
+	for (i=0; i<texelCount; ++i)
+	{
+		var r = 0;
+		var g = 0;
+		var b = 0;
+		var weight = 0;
+		
+		for (j=0; j<texelCount; ++j)
+		{
+			var w = dirs[i*4] * dirs[j*4] + dirs[i*4+1] * dirs[j*4+1] + dirs[i*4+2] * dirs[j*4+2];
+			if (w > 0)
+			{
+				w *= dirs[j*4+3];
+				r += source[j*3] * w;
+				g += source[j*3+1] * w;
+				b += source[j*3+2] * w;
+				weight += w;
+			}
+		}
+		
+		if (weight > 0)
+		{
+			data[i*3]   = r / weight;
+			data[i*3+1] = g / weight;
+			data[i*3+2] = b / weight;
+		}
+	}
+	
+	return data;
 }
 
 /**
- * Sets the projection transformation matrix. This is automatically called by {@link CopperLicht.draw3dScene}(),
- * so it shouldn't be necessary to call this yourself.
- * @param {CL3D.Matrix4} m matrix representing the transformation matrix.
- * @public
+ * Uploads the linear colors of an environment map level into the currently bound cube map, converted into sRGB.
+ * @private
  */
-CL3D.Renderer.prototype.setProjection = function(m)
+CL3D.Renderer.prototype.uploadEnvironmentMapLevel = function(data, size, level)
 {
-	m.copyTo(this.Projection);
+	var gl = this.gl;
+	var pixels = new Uint8Array(size * size * 4);
+	
+	for (var f=0; f<6; ++f)
+	{
+		for (var i=0; i<size*size; ++i)
+		{
+			var p = (f * size * size + i) * 3;
+			pixels[i*4]   = Math.round(Math.pow(CL3D.clamp(data[p], 0.0, 1.0), 1.0 / 2.2) * 255);
+			pixels[i*4+1] = Math.round(Math.pow(CL3D.clamp(data[p+1], 0.0, 1.0), 1.0 / 2.2) * 255);
+			pixels[i*4+2] = Math.round(Math.pow(CL3D.clamp(data[p+2], 0.0, 1.0), 1.0 / 2.2) * 255);
+			pixels[i*4+3] = 255;
+		}
+		
+		gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + f, level, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+	}
 }
 
+
 /**
- * Returns the currently used projection matrix.
+ * Creates a texture into which can be rendered instead of the screen, see {@link CL3D.Renderer.setRenderTarget}(). 
+ * It can be used in materials like every other texture, and has its own depth buffer.
  * @public
+ * @param {Number} width width of the texture in pixels
+ * @param {Number} height height of the texture in pixels
+ * @returns {CL3D.Texture} the new texture, or null if render targets are not supported. Delete it using 
+ * {@link CL3D.Renderer.deleteTexture}() when it isn't needed anymore.
+ * @example
+ * var rtt = renderer.addRenderTargetTexture(256, 256);
+ * 
+ * renderer.setRenderTarget(rtt, true, true, CL3D.createColor(255, 0, 0, 64));
+ * renderer.draw2DRectangle(32, 32, 64, 64, CL3D.createColor(255, 255, 255, 255));
+ * renderer.setRenderTarget(null);
+ *
+ * mesh.getMaterial(0).Tex1 = rtt;
  */
-CL3D.Renderer.prototype.getProjection = function()
+CL3D.Renderer.prototype.addRenderTargetTexture = function(width, height)
 {
-	return this.Projection;
+	return this.createRenderTarget(width, height, 1);
 }
 
 /**
- * Sets the view transformation matrix. This is automatically called by {@link CopperLicht.draw3dScene}(),
- * so it shouldn't be necessary to call this yourself.
- * @param {CL3D.Matrix4} m matrix representing the transformation matrix.
+ * Sets the render target into which everything is drawn from now on. 
  * @public
+ * @param {CL3D.Texture} texture texture created using {@link CL3D.Renderer.addRenderTargetTexture}(), or null to draw
+ * onto the screen again.
+ * @param {Boolean} clearBackBuffer set to true to clear the colors of the render target
+ * @param {Boolean} clearZBuffer set to true to clear the depth buffer of the render target
+ * @param {Number} bgcolor color to clear the render target with, see {@link CL3D.createColor}. Optional.
+ * @returns {Boolean} true if successful, false if the texture isn't a render target.
  */
-CL3D.Renderer.prototype.setView = function(m)
+CL3D.Renderer.prototype.setRenderTarget = function(texture, clearBackBuffer, clearZBuffer, bgcolor)
 {
-	m.copyTo(this.View);
+	if (this.gl == null)
+		return false;
+		
+	if (texture != null && texture.RTTFrameBuffer == null)
+		return false;
+		
+	var gl = this.gl;
+	
+	this.CurrentRenderTarget = texture;
+	this.bindCurrentRenderTarget();
+	
+	var mask = 0;
+	
+	if (clearBackBuffer)
+	{
+		if (bgcolor == null)
+			bgcolor = 0;
+			
+		gl.clearColor(CL3D.getRed(bgcolor) / 255.0, CL3D.getGreen(bgcolor) / 255.0, CL3D.getBlue(bgcolor) / 255.0, 1);
+		mask |= gl.COLOR_BUFFER_BIT;
+	}
+	
+	if (clearZBuffer)
+	{
+		gl.depthMask(true);
+		mask |= gl.DEPTH_BUFFER_BIT;
+	}
+	
+	if (mask != 0)
+		gl.clear(mask);
+		
+	return true;
 }
 
 /**
- * Returns the currently used view matrix.
+ * Returns the texture into which is currently rendered, or null if rendering onto the screen. 
+ * See {@link CL3D.Renderer.setRenderTarget}().
  * @public
+ * @returns {CL3D.Texture} the current render target
  */
-CL3D.Renderer.prototype.getView = function()
+CL3D.Renderer.prototype.getRenderTarget = function()
 {
-	return this.View;
+	return this.CurrentRenderTarget;
 }
 
 /**
- * Returns the currently used view matrix.
- * @public
+ * Returns the width of the current render target in pixels, or the width of the canvas when rendering onto the screen.
+ * @private
  */
-CL3D.Renderer.prototype.getWorld = function()
+CL3D.Renderer.prototype.getRenderTargetWidth = function()
 {
-	return this.World;
+	return this.CurrentRenderTarget ? this.CurrentRenderTarget.getWidth() : this.width;
 }
 
 /**
- * Sets the world transformation matrix. This is automatically called by {@link CopperLicht.draw3dScene}(),
- * so it shouldn't be necessary to call this yourself.
- * @param {CL3D.Matrix4} m matrix representing the transformation matrix.
- * @public
+ * Returns the height of the current render target in pixels, or the height of the canvas when rendering onto the screen.
+ * @private
  */
-CL3D.Renderer.prototype.setWorld = function(m)
+CL3D.Renderer.prototype.getRenderTargetHeight = function()
 {
-	if (m)
-		m.copyTo(this.World);	
+	return this.CurrentRenderTarget ? this.CurrentRenderTarget.getHeight() : this.height;
 }
 
 /**
+ * Sets if triangles are drawn mirrored, for example by a projection or view matrix flipping one axis. This flips their
+ * winding order, so the front faces need to be the clockwise ones to keep backface culling working.
  * @private
  */
-CL3D.Renderer.prototype.ensureCorrectMethodNamesSetForClosure = function(m)
+CL3D.Renderer.prototype.setFrontFaceInverted = function(inverted)
 {
-	// when using google closure compiler, it won't recognize webgl functions, so change them here.
+	this.FrontFaceInverted = inverted;
 	
-	// Update: outcommented because we are no longer using closure
-	/*var gl = this.gl;
+	if (this.gl)
+		this.gl.frontFace(inverted ? this.gl.CW : this.gl.CCW);
+}
+
+/**
+ * Restricts drawing onto the screen to a rectangle of it, for example for split screen views. While it is set, the rectangle
+ * is used like the whole screen: {@link CL3D.Renderer.getWidth}() and {@link CL3D.Renderer.getHeight}() return its size,
+ * 2D positions are relative to its top left corner, and clearing only clears the rectangle. Render targets are not affected.
+ * Usually, it is easier to use {@link CL3D.Scene.addViewport}() instead.
+ * @public
+ * @param {Number} x left side of the rectangle in pixels, from the left side of the canvas. Set this to null to draw onto the 
+ * whole canvas again.
+ * @param {Number} y top side of the rectangle in pixels, from the top of the canvas
+ * @param {Number} width width of the rectangle in pixels
+ * @param {Number} height height of the rectangle in pixels
+ */
+CL3D.Renderer.prototype.setViewport = function(x, y, width, height)
+{
+	if (this.gl == null)
+		return;
+		
+	if (this.ViewportRect == null)
+	{
+		this.ViewportScreenWidth = this.width;
+		this.ViewportScreenHeight = this.height;
+	}
 	
-	gl.activeTexture = gl['activeTexture'];
-	gl.attachShader = gl['attachShader'];
-	gl.blendFunc = gl['blendFunc'];
-	gl.bindAttribLocation = gl['bindAttribLocation'];
-	gl.bindBuffer = gl['bindBuffer'];
-	gl.bindTexture = gl['bindTexture'];
-	gl.bufferData = gl['bufferData'];	
-	gl.clearColor = gl['clearColor'];
-    gl.clearDepth = gl['clearDepth'];
-	gl.createShader = gl['createShader'];
-	gl.createProgram = gl['createProgram'];
-	gl.createBuffer = gl['createBuffer'];
-	gl.compileShader = gl['compileShader'];
-	gl.createTexture = gl['createTexture'];
-	gl.cullFace = gl['cullFace'];
-	gl.drawElements = gl['drawElements'];
-	gl.disable = gl['disable'];
-	gl.deleteBuffer = gl['deleteBuffer'];
-	gl.deleteTexture = gl['deleteBuffer'];
-	gl.depthMask = gl['depthMask'];
-	gl.enable = gl['enable'];
-	gl.enableVertexAttribArray = gl['enableVertexAttribArray'];
-	gl.disableVertexAttribArray = gl['disableVertexAttribArray'];
-	gl.generateMipmap = gl['generateMipmap'];
-	gl.vertexAttribPointer = gl['vertexAttribPointer'];
-	gl.flush = gl['flush'];	
-    gl.getProgramParameter = gl['getProgramParameter'];
-	gl.getShaderParameter = gl['getShaderParameter'];
-	gl.getShaderInfoLog = gl['getShaderInfoLog'];
-	gl.getProgramInfoLog = gl['getProgramInfoLog'];
-	gl.getUniformLocation = gl['getUniformLocation'];
-	gl.linkProgram = gl['linkProgram'];
-	gl.useProgram = gl['useProgram'];
-	gl.uniform1i = gl['uniform1i'];
-	gl.uniformMatrix4fv = gl['uniformMatrix4fv'];
-	gl.uniform4f = gl['uniform4f'];
-	gl.viewport = gl['viewport'];
-	gl.shaderSource = gl['shaderSource'];
-	gl.texImage2D = gl['texImage2D'];
-	gl.texParameteri = gl['texParameteri'];
+	if (x == null || width == null || height == null)
+	{
+		if (this.ViewportRect == null)
+			return;
+			
+		this.ViewportRect = null;
+		this.width = this.ViewportScreenWidth;
+		this.height = this.ViewportScreenHeight;
+	}
+	else
+	{
+		var v = new Object();
+		v.X = Math.round(x);
+		v.Y = Math.round(y);
+		v.Width = Math.max(Math.round(width), 1);
+		v.Height = Math.max(Math.round(height), 1);
 		
-	gl.ARRAY_BUFFER = gl['ARRAY_BUFFER'];
-	gl.BACK = gl['BACK'];
-	gl.BLEND = gl['BLEND'];
-	gl.COMPILE_STATUS = gl['COMPILE_STATUS']; 
-	gl.COLOR_BUFFER_BIT = gl['COLOR_BUFFER_BIT'];
-	gl.COMPILE_STATUS = gl['COMPILE_STATUS'];
-	gl.CLAMP_TO_EDGE = gl['CLAMP_TO_EDGE'];
-	gl.CULL_FACE = gl['CULL_FACE'];
-	gl.DEPTH_BUFFER_BIT = gl['DEPTH_BUFFER_BIT'];
-	gl.DEPTH_TEST = gl['DEPTH_TEST'];
-	gl.ELEMENT_ARRAY_BUFFER = gl['ELEMENT_ARRAY_BUFFER'];
-	gl.FLOAT = gl['FLOAT'];
-	gl.FRAGMENT_SHADER = gl['FRAGMENT_SHADER'];
-	gl.LINEAR = gl['LINEAR'];
-	gl.LINEAR_MIPMAP_NEAREST = gl['LINEAR_MIPMAP_NEAREST'];
-	gl.LINK_STATUS = gl['LINK_STATUS'];
-	gl.UNSIGNED_BYTE = gl['UNSIGNED_BYTE'];
-	gl.UNSIGNED_SHORT = gl['UNSIGNED_SHORT'];
-	gl.VERTEX_SHADER = gl['VERTEX_SHADER'];
-	gl.ONE_MINUS_SRC_ALPHA = gl['ONE_MINUS_SRC_ALPHA'];	
-	gl.ONE_MINUS_SRC_COLOR = gl['ONE_MINUS_SRC_COLOR'];
-	gl.ONE = gl['ONE'];
-	gl.RGBA = gl['RGBA'];
-	gl.SRC_ALPHA = gl['SRC_ALPHA'];
-	gl.STATIC_DRAW = gl['STATIC_DRAW'];
-	gl.TEXTURE0 = gl['TEXTURE0'];
-	gl.TEXTURE1 = gl['TEXTURE1'];
-	gl.TEXTURE_2D = gl['TEXTURE_2D'];
-	gl.TEXTURE_MAG_FILTER = gl['TEXTURE_MAG_FILTER'];
-	gl.TEXTURE_MIN_FILTER = gl['TEXTURE_MIN_FILTER'];
-	gl.TEXTURE_WRAP_T = gl['TEXTURE_WRAP_T'];
-	gl.TEXTURE_WRAP_S = gl['TEXTURE_WRAP_S'];
-	gl.TRIANGLES = gl['TRIANGLES'];	*/
+		this.ViewportRect = v;
+		this.width = v.Width;
+		this.height = v.Height;
+	}
+	
+	this.bindCurrentRenderTarget();
 }
 
-
 /**
+ * Returns the rectangle set with {@link CL3D.Renderer.setViewport}() as object with X, Y, Width and Height in pixels, 
+ * or null if drawing onto the whole canvas.
  * @private
  */
-CL3D.Renderer.prototype.getMatrixAsWebGLFloatArray = function(mat)
+CL3D.Renderer.prototype.getViewport = function()
 {
-    return new WebGLFloatArray(mat.asArray());
+	return this.ViewportRect;
 }
 
- /**
- * Deletes a {@link Texture}, freeing a lot of memory
- * @public
- * @param {CL3D.Texture} tex the texture to draw
+/**
+ * Binds the framebuffer of the current render target and sets the viewport to its size. When drawing onto the
+ * screen, the rectangle set with setViewport() is used instead, and the scissor test keeps clearing inside of it.
+ * @private
  */
-CL3D.Renderer.prototype.deleteTexture = function(tex)
+CL3D.Renderer.prototype.bindCurrentRenderTarget = function()
 {
-	if (tex == null)
-		return;
-		
 	var gl = this.gl;
-	gl.deleteTexture(tex.getWebGLTexture());
+	var t = this.CurrentRenderTarget;
+	var v = this.ViewportRect;
 	
-	tex.Texture = null;
-	tex.Loaded = false;
+	gl.bindFramebuffer(gl.FRAMEBUFFER, t ? t.RTTFrameBuffer : null);
+	
+	if (t == null && v != null)
+	{
+		// WebGL counts from the bottom of the canvas
+		var bottom = this.ViewportScreenHeight - v.Y - v.Height;
+		gl.viewport(v.X, bottom, v.Width, v.Height);
+		gl.scissor(v.X, bottom, v.Width, v.Height);
+		gl.enable(gl.SCISSOR_TEST);
+	}
+	else
+	{
+		gl.viewport(0, 0, this.getRenderTargetWidth(), this.getRenderTargetHeight());
+		gl.disable(gl.SCISSOR_TEST);
+	}
 }
 
- /**
- * Replaces the content of a placeholder texture with the content of a new texture.
- * The new texture shouldn't be used anymore after this.
- * Usefult for creating placeholder textures for videos, for example.
+/**
+ * Creates a render target texture. depthMode is 0 for no depth buffer, 1 for a depth buffer and 2 for a depth texture
+ * which can be read by shaders. If depth textures are not supported, a depth buffer is created instead.
  * @private
  */
-CL3D.Renderer.prototype.replacePlaceholderTextureWithNewTextureContent = function(placeholderTexture, newtexture)
+CL3D.Renderer.prototype.createRenderTarget = function(width, height, depthMode)
 {
-	placeholderTexture.Texture = newtexture.Texture;
-	placeholderTexture.CachedWidth = newtexture.CachedWidth;
-	placeholderTexture.CachedHeight = newtexture.CachedHeight;
-	placeholderTexture.OriginalWidth = newtexture.OriginalWidth;
-	placeholderTexture.OriginalHeight = newtexture.OriginalHeight;
+	if (this.gl == null)
+		return null;
+		
+	var t = new CL3D.Texture();
+	t.RTTDepthMode = depthMode;
+	
+	if (!this.createRenderTargetBuffers(t, width, height))
+		return null;
+		
+	return t;
 }
 
- /**
- * Fills an existing {@link CL3D.Texture} with the content of a from a 2d canvas
- * @public
- * @param {Canvas} canvas a 2d canvas to be converted into a texture
- * @param {boolean} nonscaling optional parameter, if set to true, and the texture don't have a power-of-two size, the texture will not be scaled up, but copied without scaling. 
- *        This is useful for font or 2D textures, for example, to make them less blurry.
+/**
+ * (Re)creates the texture, framebuffer and depth buffer of a render target texture with the given size.
+ * @private
  */
-CL3D.Renderer.prototype.updateTextureFrom2DCanvas = function(t, canvas, nonscaling)
+CL3D.Renderer.prototype.createRenderTargetBuffers = function(t, width, height)
 {
 	var gl = this.gl;
 	
-	var texture = t.Texture;
-	gl.bindTexture(gl.TEXTURE_2D, texture);
+	width = Math.max(1, Math.round(width));
+	height = Math.max(1, Math.round(height));
 	
-	var origwidth = canvas.width;
-	var origheight = canvas.height;
+	this.deleteRenderTargetBuffers(t);
 	
-	if (canvas.videoWidth)
-		origwidth = canvas.videoWidth;
-	if (canvas.videoHeight)
-		origheight = canvas.videoHeight;
-		
-	var scaledUpWidth = origwidth;
-	var scaledUpHeight = origheight;
+	// no mip maps, so any size is possible
 	
-	 if (!this.isPowerOfTwo(origwidth) || !this.isPowerOfTwo(origheight))
-	 {
-        // Scale up the texture to the next highest power of two dimensions.
-		
-        var tmpcanvas = document.createElement("canvas");
-        tmpcanvas.width = this.nextHighestPowerOfTwo(origwidth);
-        tmpcanvas.height = this.nextHighestPowerOfTwo(origheight);
-        var tmpctx = tmpcanvas.getContext("2d");
-		
-		tmpctx.fillStyle = "rgba(0, 255, 255, 1)";
-		tmpctx.fillRect(0, 0, tmpcanvas.width, tmpcanvas.height);
-		
-		if (nonscaling)
-			tmpctx.drawImage(canvas, 0, 0, origwidth, origheight, 0, 0, origwidth, origheight);
-		else
-			tmpctx.drawImage(canvas, 0, 0, origwidth, origheight, 0, 0, tmpcanvas.width, tmpcanvas.height);
-
-        canvas = tmpcanvas;
-		scaledUpWidth = tmpcanvas.width;
-		scaledUpHeight = tmpcanvas.height;
-    }
+	t.Texture = gl.createTexture();
+	gl.bindTexture(gl.TEXTURE_2D, t.Texture);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+	gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
 	
-	//CL3D.gCCDebugOutput.print("createTextureFrom2DCanvas orig " + origwidth + "x" + origheight + " and scaled" + scaledUpWidth + "x" + scaledUpHeight);
+	t.RTTFrameBuffer = gl.createFramebuffer();
+	gl.bindFramebuffer(gl.FRAMEBUFFER, t.RTTFrameBuffer);
+	gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, t.Texture, 0);
 	
-	this.fillTextureFromDOMObject(texture, canvas);
+	if (t.RTTDepthMode == 2 && this.DepthTextureSupported)
+	{
+		var depthTexture = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, depthTexture);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+		gl.texImage2D(gl.TEXTURE_2D, 0, this.IsWebGL2 ? gl.DEPTH_COMPONENT16 : gl.DEPTH_COMPONENT, width, height, 0, gl.DEPTH_COMPONENT, gl.UNSIGNED_SHORT, null);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, depthTexture, 0);
+		
+		t.RTTDepthTexture = new CL3D.Texture();
+		t.RTTDepthTexture.Texture = depthTexture;
+		t.RTTDepthTexture.CachedWidth = width;
+		t.RTTDepthTexture.CachedHeight = height;
+		t.RTTDepthTexture.Loaded = true;
+	}
+	else
+	if (t.RTTDepthMode != 0)
+	{
+		t.RTTDepthBuffer = gl.createRenderbuffer();
+		gl.bindRenderbuffer(gl.RENDERBUFFER, t.RTTDepthBuffer);
+		gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+		gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, t.RTTDepthBuffer);
+		gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+	}
 	
-	//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    //gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_NEAREST);
+	var complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) == gl.FRAMEBUFFER_COMPLETE;
 	
-	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-		
-	gl.generateMipmap(gl.TEXTURE_2D);
 	gl.bindTexture(gl.TEXTURE_2D, null);
+	
+	t.CachedWidth = width;
+	t.CachedHeight = height;
+	t.OriginalWidth = width;
+	t.OriginalHeight = height;
+	t.Loaded = complete;
+	
+	if (!complete)
+	{
+		CL3D.gCCDebugOutput.printError("Render targets are not supported on this system.");
+		this.deleteRenderTargetBuffers(t);
+	}
+	
+	this.bindCurrentRenderTarget();
+	return complete;
 }
 
- /**
- * Creates a {@link CL3D.Texture} from a 2d canvas
- * @public
- * @param {Canvas} canvas a 2d canvas to be converted into a texture
- * @param {boolean} nonscaling optional parameter, if set to true, and the texture don't have a power-of-two size, the texture will not be scaled up, but copied without scaling. 
- *        This is useful for font or 2D textures, for example, to make them less blurry.
+/**
+ * Deletes the texture, framebuffer and depth buffer of a render target texture.
+ * @private
  */
-CL3D.Renderer.prototype.createTextureFrom2DCanvas = function(canvas, nonscaling)
+CL3D.Renderer.prototype.deleteRenderTargetBuffers = function(t)
 {
 	var gl = this.gl;
 	
-	var texture = gl.createTexture();
-	gl.bindTexture(gl.TEXTURE_2D, texture);
-	
-	var origwidth = canvas.width;
-	var origheight = canvas.height;
-	
-	if (canvas.videoWidth)
-		origwidth = canvas.videoWidth;
-	if (canvas.videoHeight)
-		origheight = canvas.videoHeight;
+	if (t.Texture)
+		gl.deleteTexture(t.Texture);
 		
-	var scaledUpWidth = origwidth;
-	var scaledUpHeight = origheight;
-	
-	 if (!this.isPowerOfTwo(origwidth) || !this.isPowerOfTwo(origheight))
-	 {
-        // Scale up the texture to the next highest power of two dimensions.
+	if (t.RTTFrameBuffer)
+		gl.deleteFramebuffer(t.RTTFrameBuffer);
 		
-        var tmpcanvas = document.createElement("canvas");
-        tmpcanvas.width = this.nextHighestPowerOfTwo(origwidth);
-        tmpcanvas.height = this.nextHighestPowerOfTwo(origheight);
-        var tmpctx = tmpcanvas.getContext("2d");
+	if (t.RTTDepthBuffer)
+		gl.deleteRenderbuffer(t.RTTDepthBuffer);
 		
-		//tmpctx.fillStyle = "rgba(0, 255, 255, 1)";
-		//tmpctx.fillRect(0, 0, tmpcanvas.width, tmpcanvas.height);
+	if (t.RTTDepthTexture)
+		gl.deleteTexture(t.RTTDepthTexture.Texture);
 		
-		if (nonscaling)
-			tmpctx.drawImage(canvas, 0, 0, origwidth, origheight, 0, 0, origwidth, origheight);
-		else
-			tmpctx.drawImage(canvas, 0, 0, origwidth, origheight, 0, 0, tmpcanvas.width, tmpcanvas.height);
+	t.Texture = null;
+	t.RTTFrameBuffer = null;
+	t.RTTDepthBuffer = null;
+	t.RTTDepthTexture = null;
+	t.Loaded = false;
+}
 
-        canvas = tmpcanvas;
-		scaledUpWidth = tmpcanvas.width;
-		scaledUpHeight = tmpcanvas.height;
-    }
+/**
+ * Starts drawing the scene into an offscreen render target for post processing, see {@link CL3D.Scene.addPostProcessEffect}().
+ * There is a set of render targets for each size drawn with post processing in a frame, so that viewports of different 
+ * sizes don't resize them all the time. Sets not used in the last frame are resized when necessary. Returns false if 
+ * post processing is not possible. Is called by {@link CL3D.Scene.drawAll}().
+ * @private
+ */
+CL3D.Renderer.prototype.beginPostProcessing = function(clearColor)
+{
+	if (this.gl == null || !this.PostProcessingSupported)
+		return false;
+		
+	var width = this.getRenderTargetWidth();
+	var height = this.getRenderTargetHeight();
 	
-	//CL3D.gCCDebugOutput.print("createTextureFrom2DCanvas orig " + origwidth + "x" + origheight + " and scaled" + scaledUpWidth + "x" + scaledUpHeight);
+	if (width <= 0 || height <= 0)
+		return false;
+		
+	var sets = this.PostProcessTargetSets;
+	var set = null;
+	var i;
 	
-	this.fillTextureFromDOMObject(texture, canvas);
+	// prefer a set with the same size, otherwise the one unused for the longest time
 	
-	//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    //gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_NEAREST);
+	for (i=0; i<sets.length; ++i)
+	{
+		var s = sets[i];
+		
+		if (s.Targets[0].getWidth() == width && s.Targets[0].getHeight() == height)
+		{
+			set = s;
+			break;
+		}
+		
+		if (s.LastUsedFrame < this.FrameNumber && (set == null || s.LastUsedFrame < set.LastUsedFrame))
+			set = s;
+	}
 	
-	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+	if (set == null)
+	{
+		// the scene together with its depth, and two targets between which the effects switch
 		
-	gl.generateMipmap(gl.TEXTURE_2D);
-	gl.bindTexture(gl.TEXTURE_2D, null);
+		var targets = [ this.createRenderTarget(width, height, 2), 
+		                this.createRenderTarget(width, height, 0), 
+		                this.createRenderTarget(width, height, 0) ];
+					
+		if (targets[0] == null || targets[1] == null || targets[2] == null)
+		{
+			for (i=0; i<targets.length; ++i)
+				if (targets[i])
+					this.deleteRenderTargetBuffers(targets[i]);
+					
+			this.PostProcessingSupported = false;
+			return false;
+		}
+		
+		set = new Object();
+		set.Targets = targets;
+		sets.push(set);
+	}
+	else
+	if (set.Targets[0].getWidth() != width || set.Targets[0].getHeight() != height)
+	{
+		for (i=0; i<set.Targets.length; ++i)
+			this.createRenderTargetBuffers(set.Targets[i], width, height);
+	}
 	
-	var t = new CL3D.Texture();
-	t.Name = "";
-	t.Texture = texture;	
-	t.Image = null;
-	t.Loaded = true;
-	t.CachedWidth = scaledUpWidth;
-	t.CachedHeight = scaledUpHeight;
-	t.OriginalWidth = origwidth;
-	t.OriginalHeight = origheight;
+	set.LastUsedFrame = this.FrameNumber;
+	this.PostProcessTargets = set.Targets;
 	
-	return t;
+	this.PostProcessSavedRenderTarget = this.CurrentRenderTarget;
+	return this.setRenderTarget(set.Targets[0], true, true, clearColor);
 }
 
 /**
+ * Draws the scene rendered since beginPostProcessing() with all enabled effects onto the render target which was 
+ * active before, usually the screen. Each effect draws the result of the previous one into one of the post processing 
+ * render targets, the last one into the original render target.
  * @private
  */
-CL3D.Renderer.prototype.isPowerOfTwo = function(x) 
-{
-    return (x & (x - 1)) == 0;
-}
- 
-/**
- * @private
- */
-CL3D.Renderer.prototype.nextHighestPowerOfTwo = function(x) 
+CL3D.Renderer.prototype.endPostProcessing = function(effects)
 {
-    --x;
-    for (var i = 1; i < 32; i <<= 1) {
-        x = x | x >> i;
-    }
-    return x + 1;
+	var gl = this.gl;
+	var targets = this.PostProcessTargets;
+	var finalTarget = this.PostProcessSavedRenderTarget;
+	var i;
+	
+	this.PostProcessSavedRenderTarget = null;
+	
+	// for reconstructing the distance to the camera from the depth texture
+	
+	var proj = this.Projection;
+	this.PostProcessDepthParams = [proj.m10, proj.m14, proj.m11, this.DepthTextureSupported ? 1 : 0];
+	
+	var enabledEffects = new Array();
+	for (i=0; i<effects.length; ++i)
+		if (effects[i].Enabled)
+			enabledEffects.push(effects[i]);
+			
+	var source = targets[0];
+	var nextTarget = 1;
+	
+	for (i=0; i<enabledEffects.length; ++i)
+	{
+		var target = (i == enabledEffects.length - 1) ? finalTarget : targets[nextTarget];
+		enabledEffects[i].render(this, source, target);
+		
+		source = target;
+		nextTarget = nextTarget == 1 ? 2 : 1;
+	}
+	
+	if (enabledEffects.length == 0)
+	{
+		if (this.ProgramPostProcessCopy == null)
+			this.ProgramPostProcessCopy = this.createPostProcessProgram(this.fs_shader_postprocess_copy);
+			
+		this.beginPostProcessPass(this.ProgramPostProcessCopy, finalTarget, source, null);
+		this.drawPostProcessQuad();
+	}
+	
+	// the render targets must not be bound as textures when drawing into them again
+	
+	for (i=0; i<3; ++i)
+	{
+		gl.activeTexture(gl.TEXTURE0 + i);
+		gl.bindTexture(gl.TEXTURE_2D, null);
+	}
+	
+	gl.activeTexture(gl.TEXTURE0);
+	
+	this.setRenderTarget(finalTarget, false, false);
 }
 
 /**
+ * Creates a shader program for drawing a post process effect, using the fragment shader and a vertex shader 
+ * covering the whole render target. See {@link CL3D.PostProcessEffect} for the uniforms set by CopperLicht.
  * @private
- * domobj is an image or a canvas element
  */
-CL3D.Renderer.prototype.fillTextureFromDOMObject = function(wgltex, domobj)
+CL3D.Renderer.prototype.createPostProcessProgram = function(fragmentShader)
 {
-	var gl = this.gl;
-	
-	// new version replaced the old:
-	//  texImage2D(target, level, HTMLImageElement, [optional] flipY, [optional] premultiplyAlpha)
-	//  with the new
-	// texImage2D(target, level, internalformat, format, type, HTMLImageElement)
-	// concrete:
-	try
+	var program = this.createShaderProgram(this.vs_shader_postprocess, fragmentShader, false);
+	if (program)
 	{
-		// new version
-		
-		//void texImage2D(GLenum target, GLint level, GLenum internalformat,
-        //           GLenum format, GLenum type, HTMLImageElement image) raises (DOMException);		
+		var gl = this.gl;
 		
-		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, domobj);
+		program.locTexture1Size = gl.getUniformLocation(program, "texture1Size");
+		program.locDepthParams = gl.getUniformLocation(program, "depthParams");
 		
-	}
-	catch(e)
-	{			
-		if (e.code != null && DOMException != null && DOMException['SECURITY_ERR'] != null && 
-		    e.code == DOMException['SECURITY_ERR'])
-		{
-			if (this.domainTextureLoadErrorPrinted == false)
-				CL3D.gCCDebugOutput.printError("<i>A security setting in the browser prevented loading a texture.<br/>Workaround: run this from a webserver, change security settings, or allow the specific domain.</i>", true);
-			
-			this.domainTextureLoadErrorPrinted = true;
-			return;
-		}
-			
-		//CL3D.gCCDebugOutput.print(browserVersion + "Could not texImage2D texture: " + e);
+		// the depth of the scene is bound after texture1 and texture2
 		
-		try
-		{
-			// old version
-			gl.texImage2D(gl.TEXTURE_2D, 0, domobj);
-		}
-		catch(e2)
-		{
-			// something is pretty wrong here
-			//CL3D.gCCDebugOutput.print("Could not texImage2D texture (2nd try):" + e2);
-		}
+		var locDepthTexture = gl.getUniformLocation(program, "depthTexture");
+		if (locDepthTexture != null)
+			gl.uniform1i(locDepthTexture, 2);
 	}
 	
+	return program;
 }
 
 /**
+ * Starts drawing a pass of a post process effect into a render target (null for the screen), with a shader program 
+ * created by createPostProcessProgram() and the textures texture1 and texture2. Set additional uniforms of the program 
+ * after this, and then call drawPostProcessQuad().
  * @private
  */
-CL3D.Renderer.prototype.finalizeLoadedImageTexture = function(t)
+CL3D.Renderer.prototype.beginPostProcessPass = function(program, target, texture1, texture2)
 {
 	var gl = this.gl;
 	
-	var texture = gl.createTexture();	
-	var objToCopyFrom = t.Image;
+	this.setRenderTarget(target, false, false);
 	
-	if (!this.isPowerOfTwo(objToCopyFrom.width) || !this.isPowerOfTwo(objToCopyFrom.height))
+	this.currentGLProgram = program;
+	gl.useProgram(program);
+	
+	gl.disable(gl.DEPTH_TEST);
+	gl.depthMask(false);
+	gl.disable(gl.BLEND);
+	gl.disable(gl.CULL_FACE);
+	
+	var textures = [ texture1, texture2, this.PostProcessTargets ? this.PostProcessTargets[0].RTTDepthTexture : null ];
+	
+	for (var i=0; i<textures.length; ++i)
 	{
-		// Scale up the texture to the next highest power of two dimensions.
+		var tex = textures[i];
 		
-		var tmpcanvas = document.createElement("canvas");
-		if (tmpcanvas != null)
+		gl.activeTexture(gl.TEXTURE0 + i);
+		gl.bindTexture(gl.TEXTURE_2D, tex ? tex.getWebGLTexture() : null);
+		
+		// textures like color lookup tables are read without mip maps and repeating
+		
+		if (tex && tex.RTTFrameBuffer == null && i < 2)
 		{
-			tmpcanvas.width = this.nextHighestPowerOfTwo(objToCopyFrom.width);
-			tmpcanvas.height = this.nextHighestPowerOfTwo(objToCopyFrom.height);
-			var tmpctx = tmpcanvas.getContext("2d");
-			tmpctx.drawImage(objToCopyFrom,
-						  0, 0, objToCopyFrom.width, objToCopyFrom.height,
-						  0, 0, tmpcanvas.width, tmpcanvas.height);
-			objToCopyFrom = tmpcanvas;
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 		}
 	}
 	
-	gl.bindTexture(gl.TEXTURE_2D, texture);
-	
-	this.fillTextureFromDOMObject(texture, objToCopyFrom);
-	
-	//  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-	//	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.generateMipmap(gl.TEXTURE_2D);
+	gl.activeTexture(gl.TEXTURE0);
 	
-	// TODO: enable these lines for anisotropic filtering (looks much nicer)
-	/*var ext = gl.getExtension('EXT_texture_filter_anisotropic');
-	if (ext)
+	if (program.locTexture1Size != null && texture1 != null)
 	{
-		gl.texParameterf(gl.TEXTURE_2D, ext['TEXTURE_MAX_ANISOTROPY_EXT'], 4);
-	}*/
-	
-	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER,  gl.LINEAR_MIPMAP_NEAREST);
-	
-    gl.bindTexture(gl.TEXTURE_2D, null);
-	
-	this.textureWasLoadedFlag = true;
+		var w = texture1.getWidth();
+		var h = texture1.getHeight();
+		gl.uniform4f(program.locTexture1Size, w, h, 1.0 / w, 1.0 / h);
+	}
 	
-	t.Texture = texture;
+	if (program.locDepthParams != null)
+	{
+		var p = this.PostProcessDepthParams;
+		gl.uniform4f(program.locDepthParams, p[0], p[1], p[2], p[3]);
+	}
 }
 
 /**
+ * Draws a rectangle covering the whole render target with the post process pass started by beginPostProcessPass().
  * @private
  */
-CL3D.Renderer.prototype.getStaticBillboardMeshBuffer = function()
+CL3D.Renderer.prototype.drawPostProcessQuad = function()
 {
-	if (this.StaticBillboardMeshBuffer == null)
-		this.createStaticBillboardMeshBuffer();
+	var gl = this.gl;
 	
-	return this.StaticBillboardMeshBuffer;
+	if (this.PostProcessQuadBuffer == null)
+	{
+		this.PostProcessQuadBuffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.PostProcessQuadBuffer);
+		gl.bufferData(gl.ARRAY_BUFFER, new WebGLFloatArray([-1,-1, 1,-1, -1,1, 1,1]), gl.STATIC_DRAW);
+	}
+	else
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.PostProcessQuadBuffer);
+		
+	gl.enableVertexAttribArray(0);
+	gl.disableVertexAttribArray(1);
+	gl.disableVertexAttribArray(2);
+	gl.disableVertexAttribArray(3);
+	gl.disableVertexAttribArray(4);
+	gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+	
+	gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
 }
 
 /**
  * @private
  */
-CL3D.Renderer.prototype.createStaticBillboardMeshBuffer = function()
+CL3D.Renderer.prototype.ensuresizeok = function()
 {
-	if (this.StaticBillboardMeshBuffer != null)
+	if (this.canvas == null  || this.gl == null)
 		return;
-		
-	var mb = null;
-		
-	mb = new CL3D.MeshBuffer();
-	var vtx1 = new CL3D.Vertex3D(true);
-	var vtx2 = new CL3D.Vertex3D(true);
-	var vtx3 = new CL3D.Vertex3D(true);
-	var vtx4 = new CL3D.Vertex3D(true);
-	
-	var indices = mb.Indices;
-	indices.push(0);
-	indices.push(2);
-	indices.push(1);
-	indices.push(0);
-	indices.push(3);
-	indices.push(2);
-	
-	var vertices = mb.Vertices;
-	vertices.push(vtx1);
-	vertices.push(vtx2);
-	vertices.push(vtx3);
-	vertices.push(vtx4);
-	
-	vtx1.TCoords.X = 1;
-	vtx1.TCoords.Y = 1;
-	vtx1.Pos.set(1,-1,0);
 	
-	vtx2.TCoords.X = 1;
-	vtx2.TCoords.Y = 0;
-	vtx2.Pos.set(1,1,0);
-	
-	vtx3.TCoords.X = 0;
-	vtx3.TCoords.Y = 0;
-	vtx3.Pos.set(-1,1,0);
+	if (this.width == this.canvas.width &&
+	    this.height == this.canvas.height)
+		return;
 	
-	vtx4.TCoords.X = 0;
-	vtx4.TCoords.Y = 1;	
-	vtx4.Pos.set(-1,-1,0);
+	this.width = this.canvas.width;
+	this.height = this.canvas.height;
+
+	var gl = this.gl;
 	
-	this.StaticBillboardMeshBuffer = mb;
+	// Set the viewport and projection matrix for the scene
+	if (gl.viewport && this.CurrentRenderTarget == null)
+		gl.viewport(0, 0, this.width, this.height);
+
+	//CL3D.gCCDebugOutput.print("adjusted size: " + this.width + " " + this.height);
 }
 
-// to add shader validation compatible shaders:
-// http://www.khronos.org/webgl/public-mailing-list/archives/1007/msg00034.html
-// add this on top of every shader:
-// #ifdef GL_ES
-// precision highp float;
-// #endif
-// The GL_ES define is not present on desktop, so that line is ignored; however it is present
-// when running under validation, because the translator implements GLSL ES.  Note that the precision qualifiers will have // no effect on the desktop (I believe they're just ignored by the translator), but may have an impact on mobile.
+/**
+ * @private
+ * @param canvaselement the canvas to render into
+ * @param {Boolean} useWebGL2 if true, a WebGL 2 context is created if the browser supports it, see {@link CopperLicht.UseWebGL2}
+ */
+CL3D.Renderer.prototype.init = function(canvaselement, useWebGL2)
+{	
+	this.canvas = canvaselement;
+	this.gl = null;
+	this.IsWebGL2 = false;
+	try
+	{
+		//this.gl = canvaselement.getContext("2d");
+		
+		var names = [ "webgl", "experimental-webgl", "moz-webgl", "webkit-3d", "3d" ];
+		if (useWebGL2)
+			names.unshift("webgl2");
 
-// drawing 2d rectangles with a color and a position only
-CL3D.Renderer.prototype.vs_shader_2ddrawing_coloronly = "			\
-	attribute vec4 vPosition;									\
-																\
-    void main()													\
-    {															\
-        gl_Position = vPosition;								\
-    }															\
-	";
-	
-// drawing 2d rectangles with an image only
-CL3D.Renderer.prototype.vs_shader_2ddrawing_texture = "				\
-	attribute vec4 vPosition;									\
-	attribute vec4 vTexCoord1;									\
-	varying vec2 v_texCoord1;									\
-																\
-    void main()													\
-    {															\
-        gl_Position = vPosition;								\
-		v_texCoord1 = vTexCoord1.st;							\
-    }															\
-	";	
-	
+		for (var i=0; i<names.length; i++) 
+		{
+			try 
+			{ 
+				this.gl = this.canvas.getContext(names[i], {alpha: false }); // { antialias: true }
+				if (this.gl != null) 
+				{
+					//CL3D.gCCDebugOutput.print("initialized renderer with: " + names[i]);
+					this.IsWebGL2 = names[i] == "webgl2";
+					break;
+				}
+			} 
+			catch (e)
+			{ 
+				//CL3D.gCCDebugOutput.printError("error trying:" + e.message);
+			}
+		}
+	} 
+	catch (e) 
+	{
+	}
+	
+	if (this.gl == null)
+	{
+		//CL3D.gCCDebugOutput.printError("Error: This browser does not support WebGL (or it is disabled).");
+		//CL3D.gCCDebugOutput.printError("See www.ambiera.com/copperlicht/browsersupport.html for details.");
+		return false;
+	}
+	else
+	{
+		this.removeCompatibilityProblems();
+		this.ensureCorrectMethodNamesSetForClosure();		
+		this.initWebGL();
+		this.ensuresizeok();
+	}
+	
+	return true;
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.removeCompatibilityProblems = function()
+{
+	// WebKit and Chrome: 
+	// 20. Aug 2010: WebGLFloatArray has been renamed to Float32Array and 
+	// WebGLUnsignedShortArray to Uint16Array
+	
+	if ( typeof WebGLFloatArray == 'undefined' &&
+	     typeof Float32Array != 'undefined' )
+	{
+		try
+		{
+			WebGLFloatArray = Float32Array;
+			WebGLUnsignedShortArray = Uint16Array;
+		}
+		catch (e) 
+		{
+			CL3D.gCCDebugOutput.printError("Error: Float32 array types for webgl not found.");
+		}
+	}
+	
+	/*
+	if ( typeof WebGLIntArray == 'undefined' &&
+	     typeof Int32Array != 'undefined' )
+	{
+		try
+		{
+			WebGLIntArray = Int32Array;
+		}
+		catch (e) 
+		{
+			CL3D.gCCDebugOutput.printError("Error: Int32 array types for webgl not found.");
+		}
+	}
+	*/	
+
+	// Firefox:
+	// The WebGL*Array where named Canvas*Array in the past.
+	// However, this will only affect old nightly builds. The current nightly does already
+	// support the new names. (13 Dec 2009).	
+	if ( typeof WebGLFloatArray == 'undefined' &&
+	     typeof CanvasFloatArray != 'undefined' )
+	{
+		try
+		{
+			WebGLFloatArray = CanvasFloatArray;
+			WebGLUnsignedShortArray = CanvasUnsignedShortArray;
+			
+			// others, not used by copperlicht
+			//WebGLArrayBuffer = CanvasArrayBuffer;
+			//WebGLByteArray = CanvasByteArray;
+			//WebGLUnsignedByteArray = CanvasUnsignedByteArray;
+			//WebGLShortArray = CanvasShortArray;			
+			//WebGLIntArray = CanvasIntArray;
+			//WebGLUnsignedIntArray = CanvasUnsignedIntArray;
+			
+		}
+		catch (e) 
+		{
+			CL3D.gCCDebugOutput.printError("Error: canvas array types for webgl not found.");
+		}
+	}
+
+	var gl = this.gl;
+	
+	// Google Chrome compatibility code
+	// Since a JavaScript function may have multiple return types, functions 
+	// 'getProgrami' and 'getShaderi' where renamed. However, Chrome does still
+	// use the old names.  (30 Nov 2009)
+	if (!gl['getProgramParameter'])
+		gl['getProgramParameter'] = gl['getProgrami'];
+	if (!gl['getShaderParameter'])
+		gl['getShaderParameter'] = gl['getShaderi'];
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.loadShader = function(shaderType, shaderSource) 
+{
+	var gl = this.gl;
+    var shader = gl.createShader(shaderType);
+    if (shader == null) 
+		return null;	
+		
+    gl.shaderSource(shader, shaderSource);
+    gl.compileShader(shader);
+ 
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) 
+	{
+		if (this.printShaderErrors)
+		{
+			var strType = (shaderType == gl.VERTEX_SHADER) ? "vertex" : "fragment";
+			CL3D.gCCDebugOutput.printError("Error loading " + strType + " shader: " + gl.getShaderInfoLog(shader));
+		}
+        return null;
+    }    
+ 
+    return shader;
+}
+
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.createShaderProgram = function(vertexShaderSource, fragmentShaderSource, useBinormalsAndTangents)
+{
+	// create shader
+	
+	var gl = this.gl;
+	
+	var finalVertexShader = vertexShaderSource;
+	var finalFramentShader = fragmentShaderSource;
+	
+	var midump_append = 
+	"#ifdef GL_ES												\n\
+	precision mediump float;									\n\
+	#endif														\n";
+	
+	if ( finalVertexShader.indexOf('precision ') == -1 )
+		finalVertexShader = midump_append + vertexShaderSource;
+		
+	if ( finalFramentShader.indexOf('precision ') == -1 )
+		finalFramentShader = midump_append + fragmentShaderSource;
+		
+	var vertexShader = this.loadShader(gl.VERTEX_SHADER, finalVertexShader);
+	var fragmentShader = this.loadShader(gl.FRAGMENT_SHADER, finalFramentShader);
+	
+	if (!vertexShader || !fragmentShader)
+	{
+		if (this.printShaderErrors)
+			CL3D.gCCDebugOutput.print("Could not create shader program");
+		 return null;
+	}
+		 
+	// create program
+	
+	// create program object
+	var program = gl.createProgram();
+	 
+	// attach our two shaders to the program
+	gl.attachShader(program, vertexShader);
+	gl.attachShader(program, fragmentShader);
+	 
+	// setup attributes (optional)
+	gl.bindAttribLocation(program, 0, "vPosition");
+	gl.bindAttribLocation(program, 1, "vTexCoord1");
+	gl.bindAttribLocation(program, 2, "vTexCoord2");
+	gl.bindAttribLocation(program, 3, "vNormal");	
+	gl.bindAttribLocation(program, 4, "vColor");	
+	
+	if (useBinormalsAndTangents)
+	{
+		gl.bindAttribLocation(program, 5, "vBinormal");	
+		gl.bindAttribLocation(program, 6, "vTangent");	
+	}
+	
+	if (this.GPUSkinningSupported)
+	{
+		gl.bindAttribLocation(program, 7, "vJointIndices");	
+		gl.bindAttribLocation(program, 8, "vJointWeights");	
+	}
+	
+	if (this.InstancingSupported)
+	{
+		gl.bindAttribLocation(program, 9, "vInstanceMatrix0");	
+		gl.bindAttribLocation(program, 10, "vInstanceMatrix1");	
+		gl.bindAttribLocation(program, 11, "vInstanceMatrix2");	
+		gl.bindAttribLocation(program, 12, "vInstanceMatrix3");	
+	}
+	
+	//gl.bindTexture(gl.TEXTURE_2D, mat.Tex1.Texture);
+	 
+	// linking
+	gl.linkProgram(program);
+	if (!gl.getProgramParameter(program, gl.LINK_STATUS)) 
+	{
+		if (this.printShaderErrors)
+			CL3D.gCCDebugOutput.print("Could not link program:" + gl.getProgramInfoLog(program));
+	}
+	else
+	{
+		gl.useProgram(program);
+		gl.uniform1i(gl.getUniformLocation(program, "texture1"), 0);
+		gl.uniform1i(gl.getUniformLocation(program, "texture2"), 1);
+	}
+	 
+	// setup uniforms (optional)
+	//this.gl.useProgram(program);
+	//this.gl.uniform1i(gl.getUniformLocation(program, "uTexture"), 0);
+	
+	return program;
+}
+
+/**
+ * Creates a new CL3D.Material type with custom shaders. Returns an id which can be used in {@link Material.Type}.
+ * There is a tutorial showing how to create a new CL3D.Material in the documentation, but also this short
+ * example may give an overview.<br/>
+ * To apply the fog of the scene (see {@link CL3D.Scene.setFog}), insert {@link CL3D.Renderer.vs_shader_fog} into the vertex shader after 
+ * the declaration of vPosition and call calculateFog() after setting gl_Position. Then insert {@link CL3D.Renderer.fs_shader_fog} 
+ * into the fragment shader and finish it with 'gl_FragColor = applyFog(gl_FragColor);'. CopperLicht sets the uniforms 'fogParams', 
+ * 'fogColor' and 'fogWorldY' used by them automatically.<br/>
+ * In the same way, insert {@link CL3D.Renderer.vs_shader_skinning} after the declaration of vPosition and vNormal and call 
+ * calculateSkinning() at the beginning of main() to let CopperLicht animate skinned meshes using the material on the GPU. Otherwise,
+ * meshes using the material are skinned on the CPU.
+ * @public
+ * @example 
+ * // add a cube to test out
+ * var cubenode = new CubeSceneNode();
+ * scene.getRootSceneNode().addChild(cubenode);
+ * cubenode.getMaterial(0).Tex1 = 
+ *   engine.getTextureManager().getTexture("crate_wood.jpg", true);
+ *
+ * // now, we want to use a custom material for our cube, lets write
+ * // a vertex and a fragment shader:
+ * // (note: there must be no character, even no space behind 
+ * // the '\' characters).
+ * var vertex_shader = "           \
+ *   uniform mat4 worldviewproj;   \
+ *   attribute vec4 vPosition;     \
+ *   attribute vec4 vNormal;       \
+ *   attribute vec2 vTexCoord1;    \
+ *   attribute vec2 vTexCoord2;    \
+ *   varying vec2 v_texCoord1;     \
+ *   varying vec2 v_texCoord2;     \
+ *   void main()                   \
+ *   {                             \
+ *     gl_Position = worldviewproj * vPosition;\
+ *     v_texCoord1 = vTexCoord1.st; \
+ *     v_texCoord2 = vTexCoord2.st; \
+ *   }";
+ *   
+ *  var fragment_shader = "        \
+ *   uniform sampler2D texture1;   \
+ *   uniform sampler2D texture2;   \
+ *                                 \
+ *   varying vec2 v_texCoord1;     \
+ *   varying vec2 v_texCoord2;     \
+ *                                 \
+ *   void main()                   \
+ *   {                             \
+ *     vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t); \
+ *     gl_FragColor = texture2D(texture1, texCoord) * 2; \
+ *   }";
+ *  
+ *  // create a solid material using the shaders. For transparent materials, 
+ *  // take a look at the other parameters of createMaterialType  
+ *  var newMaterialType = engine.getRenderer().createMaterialType(vertex_shader, fragment_shader);
+ *  if (newMaterialType != -1)
+ *    cubenode.getMaterial(0).Type = newMaterialType;
+ *  else
+ *    alert('could not create shader');
+ * @param vertexShaderSource {String} Source for the vertex shader of the new CL3D.Material. CopperLicht will set the current
+ *  World-View-Projection matrix in an attribute named 'worldviewproj' (if existing), the world transformation matrix into 'worldtransform', the normal transformation matrix in an attribute named 
+ *  'normaltransform' if available, and the concatenated view model transformation into an attribute named 'modelviewtransform', if available.
+ * Positions will be stored in vPosition, 
+ * normals in vNormal, the first texture coordinate in vTexCoord1 and the second in vTexCoord2.
+ * All other variables will need to be set manually by you. Use {@link getGLProgramFromMaterialType} to do this.
+ * @param fragmentShaderSource {String} Source for the fragment shader of the new CL3D.Material. If the fragment shader uses a variable 'texture1' and 'texture2' as in the example above, CopperLicht will set this to the textures of the current material.
+ * @param blendenabled  {Boolean} this is optional and can be set to true to enable blending. See next two parameters. Note: When creating
+ * a transparent material, in order to let it be sorted correctly by CopperLicht, override the {@link Material.isTransparent} to return true for
+ * your material type.
+ * @param blendsfactor this is optional. Blend source factor, when blending is enabled. Set to a webGL blend factor like gl.ONE or gl.SRC_ALPHA. You can get the gl object by using {@link getWebGL()}.
+ * @param blenddfactor this is optional. Blend destination factor, when blending is enabled. Set to a webGL blend factor like gl.ONE_MINUS_SRC_ALPHA or gl.ONE_MINUS_SRC_COLOR. You can get the gl object by using {@link getWebGL()}.
+ */
+CL3D.Renderer.prototype.createMaterialType = function(vertexShaderSource, fragmentShaderSource, blendenabled, blendsfactor, blenddfactor)
+{
+	var program = this.createMaterialTypeInternal(vertexShaderSource, fragmentShaderSource, blendenabled, blendsfactor, blenddfactor);
+	if (!program)
+		return -1;
+		
+	this.MinExternalMaterialTypeId += 1;		
+	this.MaterialPrograms[this.MinExternalMaterialTypeId] = program;
+	this.MaterialProgramsWithLight[this.MinExternalMaterialTypeId] = program;
+	
+	return this.MinExternalMaterialTypeId;
+}
+
+
+
+/**
+ * Returns the webgl shader program from a material type. This is useful when you are using {@link createMaterialType} to create your
+ * own shaders and need to set material constants using for example uniform1i.
+ * @public
+ * @param mattype {int} The material type, like for example {@link Material.EMT_SOLID}, or your own material type returned by {@link createMaterialType}.
+ * @returns {program} Returns the WebGL shader program or null if not found.
+ */
+CL3D.Renderer.prototype.getGLProgramFromMaterialType = function(mattype)
+{
+	var program = null;
+	try
+	{
+		program = this.MaterialPrograms[mattype];
+	}
+	catch(e) {}
+	
+	return program;
+}
+
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.createMaterialTypeInternal = function(vsshader, fsshader, blendenabled, blendsfactor, blenddfactor, useBinormalsAndTangents)
+{
+	if (useBinormalsAndTangents == null)
+		useBinormalsAndTangents = false;
+		
+	var program = this.createShaderProgram(vsshader, fsshader, useBinormalsAndTangents);
+	if (program)
+	{
+		// store blend mode
+		program.blendenabled = blendenabled ? blendenabled : false;
+		program.blendsfactor = blendsfactor;
+		program.blenddfactor = blenddfactor;
+		
+		// store sources for creating the variant for skinned meshes later, see getSkinnedProgram()
+		program.vsSource = vsshader;
+		program.fsSource = fsshader;
+		program.useBinormalsAndTangents = useBinormalsAndTangents;
+		
+		var gl = this.gl;
+		
+		// store preset shader attribute locations
+		program.locWorldViewProj = gl.getUniformLocation(program, "worldviewproj");
+		program.locNormalMatrix = gl.getUniformLocation(program, "normaltransform");
+		program.locModelViewMatrix = gl.getUniformLocation(program, "modelviewtransform");
+		program.locModelWorldMatrix = gl.getUniformLocation(program, "worldtransform");
+		program.locLightPositions = gl.getUniformLocation(program, "arrLightPositions");
+		program.locLightColors = gl.getUniformLocation(program, "arrLightColors");
+		program.locDirectionalLight = gl.getUniformLocation(program, "vecDirLight");
+		program.locDirectionalLightColor = gl.getUniformLocation(program, "colorDirLight");
+		program.locShadowTransform = gl.getUniformLocation(program, "shadowtransform");
+		program.locShadowParams = gl.getUniformLocation(program, "shadowParams");
+		program.locShadowLightPositions = gl.getUniformLocation(program, "arrShadowLightPositions");
+		program.locShadowLightPosition = gl.getUniformLocation(program, "shadowLightPosition");
+		program.locFogParams = gl.getUniformLocation(program, "fogParams");
+		program.locFogColor = gl.getUniformLocation(program, "fogColor");
+		program.locFogWorldY = gl.getUniformLocation(program, "fogWorldY");
+		program.locJointMatrices = gl.getUniformLocation(program, "arrJointMatrices");
+		program.locTerrainLayerChannel = gl.getUniformLocation(program, "terrainLayerChannel");
+		program.locTerrainLayerParams = gl.getUniformLocation(program, "terrainLayerParams");
+		program.locPbrFactors = gl.getUniformLocation(program, "pbrFactors");
+		program.locPbrMaps = gl.getUniformLocation(program, "pbrMaps");
+		program.locEmissiveColor = gl.getUniformLocation(program, "emissiveColor");
+		program.locEnvironmentParams = gl.getUniformLocation(program, "environmentParams");
+		program.locEyePosition = gl.getUniformLocation(program, "eyePosition");
+		program.locEnvironmentTransform = gl.getUniformLocation(program, "environmentTransform");
+		
+		// shadow maps are bound to the texture units following texture1 and texture2
+		
+		gl.useProgram(program);
+		
+		var locShadowMap = gl.getUniformLocation(program, "shadowMapDir");
+		if (locShadowMap != null)
+			gl.uniform1i(locShadowMap, 2);
+			
+		for (var i=0; i<4; ++i)
+		{
+			locShadowMap = gl.getUniformLocation(program, "shadowMapPoint" + i);
+			if (locShadowMap != null)
+				gl.uniform1i(locShadowMap, 3 + i);
+		}
+		
+		// and textures 3 and 4 of physically based materials and the environment map follow the shadow maps
+		
+		var pbrSamplers = ["texture3", "texture4", "environmentMap", "irradianceMap"];
+		for (i=0; i<pbrSamplers.length; ++i)
+		{
+			var locSampler = gl.getUniformLocation(program, pbrSamplers[i]);
+			if (locSampler != null)
+				gl.uniform1i(locSampler, 7 + i);
+		}
+	}		
+		
+	return program;
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.initWebGL = function()
+{
+	var gl = this.gl;
+	
+	// don't print shader errors
+	this.printShaderErrors = false;
+	
+	// skinning on the GPU needs two more vertex attributes and 3 uniform vectors per joint. Keep 64 uniform
+	// vectors for everything else the built-in shaders use.
+	
+	var maxVertexAttribs = gl.getParameter(gl.MAX_VERTEX_ATTRIBS);
+	var maxVertexUniforms = gl.getParameter(gl.MAX_VERTEX_UNIFORM_VECTORS);
+	
+	this.SkinningMaxJoints = Math.min(Math.floor((maxVertexUniforms - 64) / 3), 64);
+	this.GPUSkinningSupported = maxVertexAttribs >= 9 && this.SkinningMaxJoints >= 16;
+	
+	// instanced drawing needs four more vertex attributes for the transformation of each instance. WebGL 2 
+	// supports it and 32 bit indices directly, WebGL 1 only with extensions.
+	
+	this.InstancingExtension = null;
+	this.ElementIndexUintSupported = this.IsWebGL2;
+	
+	if (!this.IsWebGL2)
+	{
+		this.InstancingExtension = gl.getExtension("ANGLE_instanced_arrays");
+		this.ElementIndexUintSupported = gl.getExtension("OES_element_index_uint") != null;
+	}
+	
+	this.InstancingSupported = maxVertexAttribs >= 13 && (this.IsWebGL2 || this.InstancingExtension != null);
+	
+	// post processing effects like depth of field read the depth of the scene from a texture
+	
+	this.DepthTextureSupported = this.IsWebGL2 || gl.getExtension("WEBGL_depth_texture") != null;
+	
+	// create shaders
+	
+	var fallbackShader = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_onlyfirsttexture_gouraud);
+	
+	var programStandardMaterial = fallbackShader;
+	var programLightmapMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_lightmapcombine);
+	var programLightmapMaterial_m4 = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_lightmapcombine_m4);
+	var programTransparentAlphaChannel = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_onlyfirsttexture_gouraud, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	var programTransparentAlphaChannelRef = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_onlyfirsttexture_gouraud_alpharef, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	var programTransparentAdd = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_onlyfirsttexture_gouraud, true, gl.ONE, gl.ONE_MINUS_SRC_COLOR);
+	var programReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform, this.fs_shader_lightmapcombine);
+	var programTranspReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform, this.fs_shader_lightmapcombine, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	var programGouraudShaded = this.createMaterialTypeInternal(this.vs_shader_normaltransform_gouraud, this.fs_shader_onlyfirsttexture_gouraud);
+	var programNormalmappedMaterial = this.createMaterialTypeInternal(this.vs_shader_normalmappedtransform, this.fs_shader_normalmapped);
+	var programSolidVertexAlphaTwoTextureBlendMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_vertex_alpha_two_textureblend);
+	var programTerrainSplatLayerMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform, this.fs_shader_terrain_splat_layer, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	var programPlanarReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_planarreflection, this.fs_shader_planarreflection);
+	
+	this.Program2DDrawingColorOnly = this.createMaterialTypeInternal(this.vs_shader_2ddrawing_coloronly, this.fs_shader_simplecolor);
+	this.Program2DDrawingTextureOnly = this.createMaterialTypeInternal(this.vs_shader_2ddrawing_texture, this.fs_shader_onlyfirsttexture);
+	this.Program2DDrawingCanvasFontColor = this.createMaterialTypeInternal(this.vs_shader_2ddrawing_texture, this.fs_shader_2ddrawing_canvasfont);
+	this.Program3DLines = this.createMaterialTypeInternal(this.vs_shader_3dlines, this.fs_shader_vertexcolor);
+	
+	this.MaterialPrograms[CL3D.Material.EMT_SOLID] = programStandardMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_SOLID+1] = programStandardMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_LIGHTMAP] = programLightmapMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_LIGHTMAP+1] = programLightmapMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_LIGHTMAP+2] = programLightmapMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_LIGHTMAP+3] = programLightmapMaterial_m4;
+	this.MaterialPrograms[CL3D.Material.EMT_TRANSPARENT_ADD_COLOR] = programTransparentAdd;
+	this.MaterialPrograms[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL] = programTransparentAlphaChannel;
+	this.MaterialPrograms[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL_REF] = programTransparentAlphaChannelRef;
+	this.MaterialPrograms[CL3D.Material.EMT_REFLECTION_2_LAYER] = programReflectionMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_TRANSPARENT_REFLECTION_2_LAYER] = programTranspReflectionMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_NORMAL_MAP_SOLID] = programNormalmappedMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_SOLID_VERTEX_ALPHA_TWO_TEXTURE_BLEND] = programSolidVertexAlphaTwoTextureBlendMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_TERRAIN_SPLAT_LAYER] = programTerrainSplatLayerMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_PBR_SOLID] = programStandardMaterial;
+	this.MaterialPrograms[CL3D.Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL] = programTransparentAlphaChannel;
+	this.MaterialPrograms[CL3D.Material.EMT_PLANAR_REFLECTION] = programPlanarReflectionMaterial;
+	
+	// EMT_ONETEXTURE_BLEND
+	this.MaterialPrograms[23] = programGouraudShaded;
+	
+	// now do the same with materials with lighting
+	
+	programStandardMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_onlyfirsttexture_gouraud);
+	programTransparentAlphaChannel = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_onlyfirsttexture_gouraud, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	programTransparentAlphaChannelRef = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_onlyfirsttexture_gouraud_alpharef, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	programTransparentAdd = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_onlyfirsttexture_gouraud, true, gl.ONE, gl.ONE_MINUS_SRC_COLOR);
+	
+	programReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform_with_light, this.fs_shader_lightmapcombine_gouraud);
+	programTranspReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform_with_light, this.fs_shader_lightmapcombine_gouraud, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	programSolidVertexAlphaTwoTextureBlendMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_vertex_alpha_two_textureblend);
+	programTerrainSplatLayerMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light, this.fs_shader_terrain_splat_layer, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_SOLID] = programStandardMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_SOLID+1] = programStandardMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_LIGHTMAP] = programLightmapMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_LIGHTMAP+1] = programLightmapMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_LIGHTMAP+2] = programLightmapMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_LIGHTMAP+3] = programLightmapMaterial_m4;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_TRANSPARENT_ADD_COLOR] = programTransparentAdd;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL] = programTransparentAlphaChannel;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL_REF] = programTransparentAlphaChannelRef;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_REFLECTION_2_LAYER] = programReflectionMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_TRANSPARENT_REFLECTION_2_LAYER] = programTranspReflectionMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_NORMAL_MAP_SOLID] = programNormalmappedMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_SOLID_VERTEX_ALPHA_TWO_TEXTURE_BLEND] = programSolidVertexAlphaTwoTextureBlendMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_TERRAIN_SPLAT_LAYER] = programTerrainSplatLayerMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_PBR_SOLID] = programStandardMaterial;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL] = programTransparentAlphaChannel;
+	this.MaterialProgramsWithLight[CL3D.Material.EMT_PLANAR_REFLECTION] = programPlanarReflectionMaterial;
+	
+	// and materials with lighting receiving shadows. If these shaders are not supported, the ones above are used
+	
+	programStandardMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light_and_shadows, this.fs_shader_onlyfirsttexture_gouraud_shadows);
+	programTransparentAlphaChannel = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light_and_shadows, this.fs_shader_onlyfirsttexture_gouraud_shadows, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	programTransparentAlphaChannelRef = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light_and_shadows, this.fs_shader_onlyfirsttexture_gouraud_alpharef_shadows, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	programTransparentAdd = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light_and_shadows, this.fs_shader_onlyfirsttexture_gouraud_shadows, true, gl.ONE, gl.ONE_MINUS_SRC_COLOR);
+	programReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform_with_light_and_shadows, this.fs_shader_lightmapcombine_gouraud_shadows);
+	programTranspReflectionMaterial = this.createMaterialTypeInternal(this.vs_shader_reflectiontransform_with_light_and_shadows, this.fs_shader_lightmapcombine_gouraud_shadows, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	programNormalmappedMaterial = this.createMaterialTypeInternal(this.vs_shader_normalmappedtransform_with_shadows, this.fs_shader_normalmapped_shadows);
+	programSolidVertexAlphaTwoTextureBlendMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light_and_shadows, this.fs_shader_vertex_alpha_two_textureblend_shadows);
+	programTerrainSplatLayerMaterial = this.createMaterialTypeInternal(this.vs_shader_normaltransform_with_light_and_shadows, this.fs_shader_terrain_splat_layer_shadows, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_SOLID] = programStandardMaterial;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_SOLID+1] = programStandardMaterial;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_TRANSPARENT_ADD_COLOR] = programTransparentAdd;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL] = programTransparentAlphaChannel;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_TRANSPARENT_ALPHA_CHANNEL_REF] = programTransparentAlphaChannelRef;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_REFLECTION_2_LAYER] = programReflectionMaterial;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_TRANSPARENT_REFLECTION_2_LAYER] = programTranspReflectionMaterial;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_NORMAL_MAP_SOLID] = programNormalmappedMaterial;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_SOLID_VERTEX_ALPHA_TWO_TEXTURE_BLEND] = programSolidVertexAlphaTwoTextureBlendMaterial;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_TERRAIN_SPLAT_LAYER] = programTerrainSplatLayerMaterial;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_PBR_SOLID] = programStandardMaterial;
+	this.MaterialProgramsWithShadows[CL3D.Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL] = programTransparentAlphaChannel;
+	
+	// physically based materials need four more texture units following the shadow maps. If there are not enough,
+	// or the shaders are not supported, they are drawn like the standard materials set above.
+	
+	if (gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS) >= 11)
+	{
+		// WebGL 1 needs an extension for selecting the mip map level of the environment map
+		if (!this.IsWebGL2)
+			gl.getExtension("EXT_shader_texture_lod");
+			
+		var programPBR = this.createMaterialTypeInternal(this.vs_shader_pbr, this.fs_shader_pbr, false, null, null, true);
+		var programPBRTransparent = this.createMaterialTypeInternal(this.vs_shader_pbr, this.fs_shader_pbr, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, true);
+		var programPBRShadows = this.createMaterialTypeInternal(this.vs_shader_pbr_with_shadows, this.fs_shader_pbr_with_shadows, false, null, null, true);
+		var programPBRTransparentShadows = this.createMaterialTypeInternal(this.vs_shader_pbr_with_shadows, this.fs_shader_pbr_with_shadows, true, gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, true);
+		
+		if (programPBR && programPBRTransparent)
+		{
+			this.MaterialProgramsWithLight[CL3D.Material.EMT_PBR_SOLID] = programPBR;
+			this.MaterialProgramsWithLight[CL3D.Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL] = programPBRTransparent;
+			this.MaterialProgramsWithShadows[CL3D.Material.EMT_PBR_SOLID] = programPBRShadows ? programPBRShadows : programPBR;
+			this.MaterialProgramsWithShadows[CL3D.Material.EMT_PBR_TRANSPARENT_ALPHA_CHANNEL] = programPBRTransparentShadows ? programPBRTransparentShadows : programPBRTransparent;
+		}
+	}
+	
+	this.ProgramShadowDepth = this.createMaterialTypeInternal(this.vs_shader_shadowdepth, this.fs_shader_shadowdepth);
+	
+	// reset shader error output
+	this.printShaderErrors = true;
+	
+	// set fallback materials
+	for (var f=0; f<this.MinExternalMaterialTypeId; ++f)
+	{
+		if (this.MaterialPrograms[f] == null)
+			this.MaterialPrograms[f] = fallbackShader;
+			
+		if (this.MaterialProgramsWithLight[f] == null)
+			this.MaterialProgramsWithLight[f] = fallbackShader;
+	}
+	
+	// set WebGL default values
+	
+	gl.useProgram(programStandardMaterial);
+	this.currentGLProgram = programStandardMaterial;
+		
+	gl.clearColor(0, 0, 1, 1);
+    gl.clearDepth(10000);
+
+	gl.depthMask(true);
+	gl.enable(gl.DEPTH_TEST);
+	gl.disable(gl.BLEND);
+	gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	//gl.enable(gl.TEXTURE_2D); invalid in webgl
+	gl.enable(gl.CULL_FACE);
+	gl.cullFace(gl.BACK);
+}
+
+/**
+ * Sets the projection transformation matrix. This is automatically called by {@link CopperLicht.draw3dScene}(),
+ * so it shouldn't be necessary to call this yourself.
+ * @param {CL3D.Matrix4} m matrix representing the transformation matrix.
+ * @public
+ */
+CL3D.Renderer.prototype.setProjection = function(m)
+{
+	m.copyTo(this.Projection);
+}
+
+/**
+ * Returns the currently used projection matrix.
+ * @public
+ */
+CL3D.Renderer.prototype.getProjection = function()
+{
+	return this.Projection;
+}
+
+/**
+ * Sets the view transformation matrix. This is automatically called by {@link CopperLicht.draw3dScene}(),
+ * so it shouldn't be necessary to call this yourself.
+ * @param {CL3D.Matrix4} m matrix representing the transformation matrix.
+ * @public
+ */
+CL3D.Renderer.prototype.setView = function(m)
+{
+	m.copyTo(this.View);
+}
+
+/**
+ * Returns the currently used view matrix.
+ * @public
+ */
+CL3D.Renderer.prototype.getView = function()
+{
+	return this.View;
+}
+
+/**
+ * Returns the currently used view matrix.
+ * @public
+ */
+CL3D.Renderer.prototype.getWorld = function()
+{
+	return this.World;
+}
+
+/**
+ * Sets the world transformation matrix. This is automatically called by {@link CopperLicht.draw3dScene}(),
+ * so it shouldn't be necessary to call this yourself.
+ * @param {CL3D.Matrix4} m matrix representing the transformation matrix.
+ * @public
+ */
+CL3D.Renderer.prototype.setWorld = function(m)
+{
+	if (m)
+		m.copyTo(this.World);	
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.ensureCorrectMethodNamesSetForClosure = function(m)
+{
+	// when using google closure compiler, it won't recognize webgl functions, so change them here.
+	
+	// Update: outcommented because we are no longer using closure
+	/*var gl = this.gl;
+	
+	gl.activeTexture = gl['activeTexture'];
+	gl.attachShader = gl['attachShader'];
+	gl.blendFunc = gl['blendFunc'];
+	gl.bindAttribLocation = gl['bindAttribLocation'];
+	gl.bindBuffer = gl['bindBuffer'];
+	gl.bindTexture = gl['bindTexture'];
+	gl.bufferData = gl['bufferData'];	
+	gl.clearColor = gl['clearColor'];
+    gl.clearDepth = gl['clearDepth'];
+	gl.createShader = gl['createShader'];
+	gl.createProgram = gl['createProgram'];
+	gl.createBuffer = gl['createBuffer'];
+	gl.compileShader = gl['compileShader'];
+	gl.createTexture = gl['createTexture'];
+	gl.cullFace = gl['cullFace'];
+	gl.drawElements = gl['drawElements'];
+	gl.disable = gl['disable'];
+	gl.deleteBuffer = gl['deleteBuffer'];
+	gl.deleteTexture = gl['deleteBuffer'];
+	gl.depthMask = gl['depthMask'];
+	gl.enable = gl['enable'];
+	gl.enableVertexAttribArray = gl['enableVertexAttribArray'];
+	gl.disableVertexAttribArray = gl['disableVertexAttribArray'];
+	gl.generateMipmap = gl['generateMipmap'];
+	gl.vertexAttribPointer = gl['vertexAttribPointer'];
+	gl.flush = gl['flush'];	
+    gl.getProgramParameter = gl['getProgramParameter'];
+	gl.getShaderParameter = gl['getShaderParameter'];
+	gl.getShaderInfoLog = gl['getShaderInfoLog'];
+	gl.getProgramInfoLog = gl['getProgramInfoLog'];
+	gl.getUniformLocation = gl['getUniformLocation'];
+	gl.linkProgram = gl['linkProgram'];
+	gl.useProgram = gl['useProgram'];
+	gl.uniform1i = gl['uniform1i'];
+	gl.uniformMatrix4fv = gl['uniformMatrix4fv'];
+	gl.uniform4f = gl['uniform4f'];
+	gl.viewport = gl['viewport'];
+	gl.shaderSource = gl['shaderSource'];
+	gl.texImage2D = gl['texImage2D'];
+	gl.texParameteri = gl['texParameteri'];
+		
+	gl.ARRAY_BUFFER = gl['ARRAY_BUFFER'];
+	gl.BACK = gl['BACK'];
+	gl.BLEND = gl['BLEND'];
+	gl.COMPILE_STATUS = gl['COMPILE_STATUS']; 
+	gl.COLOR_BUFFER_BIT = gl['COLOR_BUFFER_BIT'];
+	gl.COMPILE_STATUS = gl['COMPILE_STATUS'];
+	gl.CLAMP_TO_EDGE = gl['CLAMP_TO_EDGE'];
+	gl.CULL_FACE = gl['CULL_FACE'];
+	gl.DEPTH_BUFFER_BIT = gl['DEPTH_BUFFER_BIT'];
+	gl.DEPTH_TEST = gl['DEPTH_TEST'];
+	gl.ELEMENT_ARRAY_BUFFER = gl['ELEMENT_ARRAY_BUFFER'];
+	gl.FLOAT = gl['FLOAT'];
+	gl.FRAGMENT_SHADER = gl['FRAGMENT_SHADER'];
+	gl.LINEAR = gl['LINEAR'];
+	gl.LINEAR_MIPMAP_NEAREST = gl['LINEAR_MIPMAP_NEAREST'];
+	gl.LINK_STATUS = gl['LINK_STATUS'];
+	gl.UNSIGNED_BYTE = gl['UNSIGNED_BYTE'];
+	gl.UNSIGNED_SHORT = gl['UNSIGNED_SHORT'];
+	gl.VERTEX_SHADER = gl['VERTEX_SHADER'];
+	gl.ONE_MINUS_SRC_ALPHA = gl['ONE_MINUS_SRC_ALPHA'];	
+	gl.ONE_MINUS_SRC_COLOR = gl['ONE_MINUS_SRC_COLOR'];
+	gl.ONE = gl['ONE'];
+	gl.RGBA = gl['RGBA'];
+	gl.SRC_ALPHA = gl['SRC_ALPHA'];
+	gl.STATIC_DRAW = gl['STATIC_DRAW'];
+	gl.TEXTURE0 = gl['TEXTURE0'];
+	gl.TEXTURE1 = gl['TEXTURE1'];
+	gl.TEXTURE_2D = gl['TEXTURE_2D'];
+	gl.TEXTURE_MAG_FILTER = gl['TEXTURE_MAG_FILTER'];
+	gl.TEXTURE_MIN_FILTER = gl['TEXTURE_MIN_FILTER'];
+	gl.TEXTURE_WRAP_T = gl['TEXTURE_WRAP_T'];
+	gl.TEXTURE_WRAP_S = gl['TEXTURE_WRAP_S'];
+	gl.TRIANGLES = gl['TRIANGLES'];	*/
+}
+
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.getMatrixAsWebGLFloatArray = function(mat)
+{
+    return new WebGLFloatArray(mat.asArray());
+}
+
+ /**
+ * Deletes a {@link Texture}, freeing a lot of memory
+ * @public
+ * @param {CL3D.Texture} tex the texture to draw
+ */
+CL3D.Renderer.prototype.deleteTexture = function(tex)
+{
+	if (tex == null)
+		return;
+		
+	if (tex.RTTFrameBuffer != null)
+	{
+		if (this.CurrentRenderTarget == tex)
+			this.setRenderTarget(null);
+			
+		this.deleteRenderTargetBuffers(tex);
+		return;
+	}
+		
+	var gl = this.gl;
+	gl.deleteTexture(tex.getWebGLTexture());
+	
+	tex.Texture = null;
+	tex.Loaded = false;
+}
+
+ /**
+ * Replaces the content of a placeholder texture with the content of a new texture.
+ * The new texture shouldn't be used anymore after this.
+ * Usefult for creating placeholder textures for videos, for example.
+ * @private
+ */
+CL3D.Renderer.prototype.replacePlaceholderTextureWithNewTextureContent = function(placeholderTexture, newtexture)
+{
+	placeholderTexture.Texture = newtexture.Texture;
+	placeholderTexture.CachedWidth = newtexture.CachedWidth;
+	placeholderTexture.CachedHeight = newtexture.CachedHeight;
+	placeholderTexture.OriginalWidth = newtexture.OriginalWidth;
+	placeholderTexture.OriginalHeight = newtexture.OriginalHeight;
+}
+
+ /**
+ * Fills an existing {@link CL3D.Texture} with the content of a from a 2d canvas
+ * @public
+ * @param {Canvas} canvas a 2d canvas to be converted into a texture
+ * @param {boolean} nonscaling optional parameter, if set to true, and the texture don't have a power-of-two size, the texture will not be scaled up, but copied without scaling. 
+ *        This is useful for font or 2D textures, for example, to make them less blurry.
+ */
+CL3D.Renderer.prototype.updateTextureFrom2DCanvas = function(t, canvas, nonscaling)
+{
+	var gl = this.gl;
+	
+	var texture = t.Texture;
+	gl.bindTexture(gl.TEXTURE_2D, texture);
+	
+	var origwidth = canvas.width;
+	var origheight = canvas.height;
+	
+	if (canvas.videoWidth)
+		origwidth = canvas.videoWidth;
+	if (canvas.videoHeight)
+		origheight = canvas.videoHeight;
+		
+	var scaledUpWidth = origwidth;
+	var scaledUpHeight = origheight;
+	
+	 if (!this.isPowerOfTwo(origwidth) || !this.isPowerOfTwo(origheight))
+	 {
+        // Scale up the texture to the next highest power of two dimensions.
+		
+        var tmpcanvas = document.createElement("canvas");
+        tmpcanvas.width = this.nextHighestPowerOfTwo(origwidth);
+        tmpcanvas.height = this.nextHighestPowerOfTwo(origheight);
+        var tmpctx = tmpcanvas.getContext("2d");
+		
+		tmpctx.fillStyle = "rgba(0, 255, 255, 1)";
+		tmpctx.fillRect(0, 0, tmpcanvas.width, tmpcanvas.height);
+		
+		if (nonscaling)
+			tmpctx.drawImage(canvas, 0, 0, origwidth, origheight, 0, 0, origwidth, origheight);
+		else
+			tmpctx.drawImage(canvas, 0, 0, origwidth, origheight, 0, 0, tmpcanvas.width, tmpcanvas.height);
+
+        canvas = tmpcanvas;
+		scaledUpWidth = tmpcanvas.width;
+		scaledUpHeight = tmpcanvas.height;
+    }
+	
+	//CL3D.gCCDebugOutput.print("createTextureFrom2DCanvas orig " + origwidth + "x" + origheight + " and scaled" + scaledUpWidth + "x" + scaledUpHeight);
+	
+	this.fillTextureFromDOMObject(texture, canvas);
+	
+	//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    //gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_NEAREST);
+	
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+		
+	gl.generateMipmap(gl.TEXTURE_2D);
+	gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+ /**
+ * Creates a {@link CL3D.Texture} from a 2d canvas
+ * @public
+ * @param {Canvas} canvas a 2d canvas to be converted into a texture
+ * @param {boolean} nonscaling optional parameter, if set to true, and the texture don't have a power-of-two size, the texture will not be scaled up, but copied without scaling. 
+ *        This is useful for font or 2D textures, for example, to make them less blurry.
+ */
+CL3D.Renderer.prototype.createTextureFrom2DCanvas = function(canvas, nonscaling)
+{
+	var gl = this.gl;
+	
+	var texture = gl.createTexture();
+	gl.bindTexture(gl.TEXTURE_2D, texture);
+	
+	var origwidth = canvas.width;
+	var origheight = canvas.height;
+	
+	if (canvas.videoWidth)
+		origwidth = canvas.videoWidth;
+	if (canvas.videoHeight)
+		origheight = canvas.videoHeight;
+		
+	var scaledUpWidth = origwidth;
+	var scaledUpHeight = origheight;
+	
+	 if (!this.isPowerOfTwo(origwidth) || !this.isPowerOfTwo(origheight))
+	 {
+        // Scale up the texture to the next highest power of two dimensions.
+		
+        var tmpcanvas = document.createElement("canvas");
+        tmpcanvas.width = this.nextHighestPowerOfTwo(origwidth);
+        tmpcanvas.height = this.nextHighestPowerOfTwo(origheight);
+        var tmpctx = tmpcanvas.getContext("2d");
+		
+		//tmpctx.fillStyle = "rgba(0, 255, 255, 1)";
+		//tmpctx.fillRect(0, 0, tmpcanvas.width, tmpcanvas.height);
+		
+		if (nonscaling)
+			tmpctx.drawImage(canvas, 0, 0, origwidth, origheight, 0, 0, origwidth, origheight);
+		else
+			tmpctx.drawImage(canvas, 0, 0, origwidth, origheight, 0, 0, tmpcanvas.width, tmpcanvas.height);
+
+        canvas = tmpcanvas;
+		scaledUpWidth = tmpcanvas.width;
+		scaledUpHeight = tmpcanvas.height;
+    }
+	
+	//CL3D.gCCDebugOutput.print("createTextureFrom2DCanvas orig " + origwidth + "x" + origheight + " and scaled" + scaledUpWidth + "x" + scaledUpHeight);
+	
+	this.fillTextureFromDOMObject(texture, canvas);
+	
+	//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    //gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_NEAREST);
+	
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+		
+	gl.generateMipmap(gl.TEXTURE_2D);
+	gl.bindTexture(gl.TEXTURE_2D, null);
+	
+	var t = new CL3D.Texture();
+	t.Name = "";
+	t.Texture = texture;	
+	t.Image = null;
+	t.Loaded = true;
+	t.CachedWidth = scaledUpWidth;
+	t.CachedHeight = scaledUpHeight;
+	t.OriginalWidth = origwidth;
+	t.OriginalHeight = origheight;
+	
+	return t;
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.isPowerOfTwo = function(x) 
+{
+    return (x & (x - 1)) == 0;
+}
+ 
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.nextHighestPowerOfTwo = function(x) 
+{
+    --x;
+    for (var i = 1; i < 32; i <<= 1) {
+        x = x | x >> i;
+    }
+    return x + 1;
+}
+
+/**
+ * @private
+ * domobj is an image or a canvas element
+ */
+CL3D.Renderer.prototype.fillTextureFromDOMObject = function(wgltex, domobj)
+{
+	var gl = this.gl;
+	
+	// new version replaced the old:
+	//  texImage2D(target, level, HTMLImageElement, [optional] flipY, [optional] premultiplyAlpha)
+	//  with the new
+	// texImage2D(target, level, internalformat, format, type, HTMLImageElement)
+	// concrete:
+	try
+	{
+		// new version
+		
+		//void texImage2D(GLenum target, GLint level, GLenum internalformat,
+        //           GLenum format, GLenum type, HTMLImageElement image) raises (DOMException);		
+		
+		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, domobj);
+		
+	}
+	catch(e)
+	{			
+		if (e.code != null && DOMException != null && DOMException['SECURITY_ERR'] != null && 
+		    e.code == DOMException['SECURITY_ERR'])
+		{
+			if (this.domainTextureLoadErrorPrinted == false)
+				CL3D.gCCDebugOutput.printError("<i>A security setting in the browser prevented loading a texture.<br/>Workaround: run this from a webserver, change security settings, or allow the specific domain.</i>", true);
+			
+			this.domainTextureLoadErrorPrinted = true;
+			return;
+		}
+			
+		//CL3D.gCCDebugOutput.print(browserVersion + "Could not texImage2D texture: " + e);
+		
+		try
+		{
+			// old version
+			gl.texImage2D(gl.TEXTURE_2D, 0, domobj);
+		}
+		catch(e2)
+		{
+			// something is pretty wrong here
+			//CL3D.gCCDebugOutput.print("Could not texImage2D texture (2nd try):" + e2);
+		}
+	}
+	
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.finalizeLoadedImageTexture = function(t)
+{
+	var gl = this.gl;
+	
+	var texture = gl.createTexture();	
+	var objToCopyFrom = t.Image;
+	
+	if (!this.isPowerOfTwo(objToCopyFrom.width) || !this.isPowerOfTwo(objToCopyFrom.height))
+	{
+		// Scale up the texture to the next highest power of two dimensions.
+		
+		var tmpcanvas = document.createElement("canvas");
+		if (tmpcanvas != null)
+		{
+			tmpcanvas.width = this.nextHighestPowerOfTwo(objToCopyFrom.width);
+			tmpcanvas.height = this.nextHighestPowerOfTwo(objToCopyFrom.height);
+			var tmpctx = tmpcanvas.getContext("2d");
+			tmpctx.drawImage(objToCopyFrom,
+						  0, 0, objToCopyFrom.width, objToCopyFrom.height,
+						  0, 0, tmpcanvas.width, tmpcanvas.height);
+			objToCopyFrom = tmpcanvas;
+		}
+	}
+	
+	gl.bindTexture(gl.TEXTURE_2D, texture);
+	
+	this.fillTextureFromDOMObject(texture, objToCopyFrom);
+	
+	//  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+	//	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.generateMipmap(gl.TEXTURE_2D);
+	
+	// TODO: enable these lines for anisotropic filtering (looks much nicer)
+	/*var ext = gl.getExtension('EXT_texture_filter_anisotropic');
+	if (ext)
+	{
+		gl.texParameterf(gl.TEXTURE_2D, ext['TEXTURE_MAX_ANISOTROPY_EXT'], 4);
+	}*/
+	
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER,  gl.LINEAR_MIPMAP_NEAREST);
+	
+    gl.bindTexture(gl.TEXTURE_2D, null);
+	
+	this.textureWasLoadedFlag = true;
+	
+	t.Texture = texture;
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.getStaticBillboardMeshBuffer = function()
+{
+	if (this.StaticBillboardMeshBuffer == null)
+		this.createStaticBillboardMeshBuffer();
+	
+	return this.StaticBillboardMeshBuffer;
+}
+
+/**
+ * @private
+ */
+CL3D.Renderer.prototype.createStaticBillboardMeshBuffer = function()
+{
+	if (this.StaticBillboardMeshBuffer != null)
+		return;
+		
+	var mb = null;
+		
+	mb = new CL3D.MeshBuffer();
+	var vtx1 = new CL3D.Vertex3D(true);
+	var vtx2 = new CL3D.Vertex3D(true);
+	var vtx3 = new CL3D.Vertex3D(true);
+	var vtx4 = new CL3D.Vertex3D(true);
+	
+	var indices = mb.Indices;
+	indices.push(0);
+	indices.push(2);
+	indices.push(1);
+	indices.push(0);
+	indices.push(3);
+	indices.push(2);
+	
+	var vertices = mb.Vertices;
+	vertices.push(vtx1);
+	vertices.push(vtx2);
+	vertices.push(vtx3);
+	vertices.push(vtx4);
+	
+	vtx1.TCoords.X = 1;
+	vtx1.TCoords.Y = 1;
+	vtx1.Pos.set(1,-1,0);
+	
+	vtx2.TCoords.X = 1;
+	vtx2.TCoords.Y = 0;
+	vtx2.Pos.set(1,1,0);
+	
+	vtx3.TCoords.X = 0;
+	vtx3.TCoords.Y = 0;
+	vtx3.Pos.set(-1,1,0);
+	
+	vtx4.TCoords.X = 0;
+	vtx4.TCoords.Y = 1;	
+	vtx4.Pos.set(-1,-1,0);
+	
+	this.StaticBillboardMeshBuffer = mb;
+}
+
+// to add shader validation compatible shaders:
+// http://www.khronos.org/webgl/public-mailing-list/archives/1007/msg00034.html
+// add this on top of every shader:
+// #ifdef GL_ES
+// precision highp float;
+// #endif
+// The GL_ES define is not present on desktop, so that line is ignored; however it is present
+// when running under validation, because the translator implements GLSL ES.  Note that the precision qualifiers will have // no effect on the desktop (I believe they're just ignored by the translator), but may have an impact on mobile.
+
+// drawing 2d rectangles with a color and a position only
+CL3D.Renderer.prototype.vs_shader_2ddrawing_coloronly = "			\
+	attribute vec4 vPosition;									\
+																\
+    void main()													\
+    {															\
+        gl_Position = vPosition;								\
+    }															\
+	";
+	
+// drawing 2d rectangles with an image only
+CL3D.Renderer.prototype.vs_shader_2ddrawing_texture = "				\
+	attribute vec4 vPosition;									\
+	attribute vec4 vTexCoord1;									\
+	varying vec2 v_texCoord1;									\
+																\
+    void main()													\
+    {															\
+        gl_Position = vPosition;								\
+		v_texCoord1 = vTexCoord1.st;							\
+    }															\
+	";	
+	
+// drawing post process effects: a rectangle covering the whole render target, see createPostProcessProgram()
+CL3D.Renderer.prototype.vs_shader_postprocess = "\n\
+	attribute vec4 vPosition;\n\
+	varying vec2 v_texCoord1;\n\
+	\n\
+	void main()\n\
+	{\n\
+		gl_Position = vec4(vPosition.xy, 0.0, 1.0);\n\
+		v_texCoord1 = vPosition.xy * 0.5 + 0.5;\n\
+	}\n\
+	";
+	
+// copies the scene onto the screen when no post process effect is enabled
+CL3D.Renderer.prototype.fs_shader_postprocess_copy = "\n\
+	uniform sampler2D texture1;\n\
+	varying vec2 v_texCoord1;\n\
+	\n\
+	void main()\n\
+	{\n\
+		gl_FragColor = texture2D(texture1, v_texCoord1);\n\
+	}\n\
+	";
+	
+// drawing 3d lines with a color per vertex, already in world space
+CL3D.Renderer.prototype.vs_shader_3dlines = "					\
+	uniform mat4 worldviewproj;									\
+																\
+	attribute vec4 vPosition;									\
+	attribute vec4 vColor;										\
+																\
+	varying vec4 v_color;										\
+																\
+    void main()													\
+    {															\
+        gl_Position = worldviewproj * vPosition;				\
+		v_color = vColor;										\
+    }															\
+	";
+	
+// simply use the interpolated vertex color (used for drawing 3d lines)
+CL3D.Renderer.prototype.fs_shader_vertexcolor = "					\
+	varying vec4 v_color;										\
+																\
+    void main()													\
+    {															\
+         gl_FragColor = v_color;								\
+    }															\
+	";
+	
 // 2D Fragment shader: simply set the color from a shader parameter (used for 2d drawing rectangles)
 CL3D.Renderer.prototype.fs_shader_simplecolor = "					\
 	uniform vec4 vColor;										\
 																\
     void main()													\
     {															\
-         gl_FragColor = vColor;									\
+         gl_FragColor = vColor;									\
+    }															\
+	";								
+	
+// 2D fragment shader for drawing fonts: The font texture is white/gray on black. Draw the font using the white as alpha,
+// multiplied by a color as parameter
+CL3D.Renderer.prototype.fs_shader_2ddrawing_canvasfont = "			\
+	uniform vec4 vColor;										\
+	uniform sampler2D texture1;									\
+	uniform sampler2D texture2;									\
+																\
+    varying vec2 v_texCoord1;									\
+																\
+    void main()													\
+    {															\
+	    vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
+        float alpha = texture2D(texture1, texCoord).r;		\
+        gl_FragColor = vec4(vColor.rgb, alpha);						\
+    }															\
+	";								
+
+
+/**
+ * Part of a vertex shader for skinned meshes animated on the GPU. When the shader is compiled for skinning (see
+ * {@link CL3D.Renderer.createMaterialType}), it transforms vPosition and vNormal by the joints of the vertex, and all 
+ * code following it will use the animated position and normal. Insert it after the declaration of vPosition and vNormal and 
+ * call calculateSkinning() at the beginning of main().<br/>
+ * The same code is used for drawing instanced meshes (see {@link CL3D.InstancedMeshSceneNode}): When compiled for instancing,
+ * vPosition and vNormal are transformed by the transformation of the instance instead. Normals of non uniformly scaled 
+ * instances are only approximated by this.
+ * @public
+ * @type String
+ */
+CL3D.Renderer.prototype.vs_shader_skinning = "					\n\
+	#ifdef INSTANCING											\n\
+	attribute vec4 vInstanceMatrix0;	// columns of the transformation of the instance	\n\
+	attribute vec4 vInstanceMatrix1;							\n\
+	attribute vec4 vInstanceMatrix2;							\n\
+	attribute vec4 vInstanceMatrix3;							\n\
+																\n\
+	vec4 instancedPosition;										\n\
+	vec3 instancedNormal;										\n\
+																\n\
+	void calculateSkinning()									\n\
+	{															\n\
+		mat4 instanceMatrix = mat4(vInstanceMatrix0, vInstanceMatrix1, vInstanceMatrix2, vInstanceMatrix3);	\n\
+		instancedPosition = instanceMatrix * vPosition;			\n\
+		instancedNormal = (instanceMatrix * vec4(vNormal.xyz, 0.0)).xyz;	\n\
+	}															\n\
+																\n\
+	#define vPosition instancedPosition							\n\
+	#define vNormal instancedNormal								\n\
+	#else														\n\
+	#ifdef SKINNING												\n\
+	uniform vec4 arrJointMatrices[MAX_JOINTS * 3];	// first three rows of the joint matrices	\n\
+	attribute vec4 vJointIndices;								\n\
+	attribute vec4 vJointWeights;								\n\
+																\n\
+	vec4 skinnedPosition;										\n\
+	vec3 skinnedNormal;											\n\
+																\n\
+	void addJointInfluence(float jointIndex, float weight)		\n\
+	{															\n\
+		int i = int(jointIndex + 0.5) * 3;						\n\
+		vec4 r0 = arrJointMatrices[i];							\n\
+		vec4 r1 = arrJointMatrices[i+1];						\n\
+		vec4 r2 = arrJointMatrices[i+2];						\n\
+		skinnedPosition.xyz += weight * vec3(dot(vPosition, r0), dot(vPosition, r1), dot(vPosition, r2));	\n\
+		skinnedNormal += weight * vec3(dot(vNormal.xyz, r0.xyz), dot(vNormal.xyz, r1.xyz), dot(vNormal.xyz, r2.xyz));	\n\
+	}															\n\
+																\n\
+	void calculateSkinning()									\n\
+	{															\n\
+		skinnedPosition = vec4(0.0, 0.0, 0.0, 1.0);				\n\
+		skinnedNormal = vec3(0.0, 0.0, 0.0);					\n\
+		addJointInfluence(vJointIndices.x, vJointWeights.x);	\n\
+		addJointInfluence(vJointIndices.y, vJointWeights.y);	\n\
+		addJointInfluence(vJointIndices.z, vJointWeights.z);	\n\
+		addJointInfluence(vJointIndices.w, vJointWeights.w);	\n\
+																\n\
+		// vertices not influenced by any joint stay where they are	\n\
+		float notSkinned = 1.0 - step(0.0001, dot(vJointWeights, vec4(1.0, 1.0, 1.0, 1.0)));	\n\
+		skinnedPosition.xyz = mix(skinnedPosition.xyz, vPosition.xyz, notSkinned);	\n\
+		skinnedNormal = mix(skinnedNormal, vNormal.xyz, notSkinned);	\n\
+	}															\n\
+																\n\
+	#define vPosition skinnedPosition							\n\
+	#define vNormal skinnedNormal								\n\
+	#else														\n\
+	void calculateSkinning()									\n\
+	{															\n\
+	}															\n\
+	#endif														\n\
+	#endif														\n\
+	";
+
+/**
+ * Part of a vertex shader calculating the values needed for fog: the distance to the camera and the height in world space.
+ * Insert it after the declaration of vPosition and call calculateFog() after gl_Position has been set.
+ * See {@link CL3D.Renderer.createMaterialType}.
+ * @public
+ * @type String
+ */
+CL3D.Renderer.prototype.vs_shader_fog = "						\n\
+	uniform vec4 fogWorldY;	// second row of the world transformation	\n\
+																\n\
+	varying vec2 v_fogCoord;									\n\
+																\n\
+	void calculateFog()											\n\
+	{															\n\
+		v_fogCoord = vec2(gl_Position.w, dot(vPosition, fogWorldY));	\n\
+	}															\n\
+	";
+
+/**
+ * Part of a fragment shader blending a color with the fog color, use it like 'gl_FragColor = applyFog(gl_FragColor);'.
+ * The uniform fogParams holds the fog mode (one of the CL3D.Scene.FOG_ constants), start, end and density.
+ * See {@link CL3D.Renderer.createMaterialType}.
+ * @public
+ * @type String
+ */
+CL3D.Renderer.prototype.fs_shader_fog = "						\n\
+	uniform vec4 fogColor;										\n\
+	uniform vec4 fogParams;										\n\
+																\n\
+	varying vec2 v_fogCoord;									\n\
+																\n\
+	vec4 applyFog(vec4 color)									\n\
+	{															\n\
+		float mode = fogParams.x;								\n\
+		if (mode < 0.5)											\n\
+			return color;										\n\
+																\n\
+		float distance = v_fogCoord.x;							\n\
+		float fog = 0.0;										\n\
+																\n\
+		if (mode < 1.5)											\n\
+			fog = (distance - fogParams.y) / (fogParams.z - fogParams.y);	\n\
+		else													\n\
+		if (mode < 2.5)											\n\
+			fog = 1.0 - exp(-fogParams.w * distance);			\n\
+		else													\n\
+		if (mode < 3.5)											\n\
+			fog = 1.0 - exp(-(fogParams.w * distance) * (fogParams.w * distance));	\n\
+		else													\n\
+			fog = (1.0 - exp(-fogParams.w * distance)) * clamp((fogParams.z - v_fogCoord.y) / (fogParams.z - fogParams.y), 0.0, 1.0);	\n\
+																\n\
+		fog = clamp(fog, 0.0, 1.0);								\n\
+		return vec4(mix(color.xyz, fogColor.xyz, fog), color.a);	\n\
+	}															\n\
+	";
+
+// simple normal 3d world 3d transformation shader
+CL3D.Renderer.prototype.vs_shader_normaltransform = "				\
+	uniform mat4 worldviewproj;									\
+																\
+	attribute vec4 vPosition;									\
+    attribute vec4 vNormal;										\
+	attribute vec4 vColor;										\
+    attribute vec2 vTexCoord1;									\
+	attribute vec2 vTexCoord2;									\
+																\
+	varying vec4 v_color;										\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
+																\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\
+    {															\
+		calculateSkinning();										\n\
+		v_color = vColor;										\
+        gl_Position = worldviewproj * vPosition;				\
+        v_texCoord1 = vTexCoord1.st;							\
+		v_texCoord2 = vTexCoord2.st;							\
+		calculateFog();											\n\
+    }															\
+	";
+	
+// simple normal 3d world 3d transformation shader, which also calculates the light of up to 4 point light sources
+// // our lighting works like this:
+// vertexToLight = lightPos - vertexPos;
+// distance = length(vertexToLight)
+// distanceFact = 1 /( lightAttenuation * distance )
+// vertexToLight = normalize(vertexToLight)
+// angle = sin(normal.dotproduct(vertexToLight));
+// if (angle < 0) angle = 0;
+// intensity = angle * distanceFact;
+// color = intensity * lightcolor;		
+CL3D.Renderer.prototype.vs_shader_normaltransform_with_light = "				\
+	uniform mat4 worldviewproj;									\n\
+	uniform vec4 arrLightPositions[4];							\n\
+	uniform vec4 arrLightColors[5]; 							\n\
+	uniform vec3 vecDirLight; 									\n\
+	uniform vec4 colorDirLight; 								\n\
+																\
+	attribute vec4 vPosition;									\
+    attribute vec4 vNormal;										\
+	attribute vec4 vColor;										\
+    attribute vec2 vTexCoord1;									\
+	attribute vec2 vTexCoord2;									\
+																\
+	varying vec4 v_color;										\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
+																\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\
+    {															\
+		calculateSkinning();										\n\
+        gl_Position = worldviewproj * vPosition;				\
+        v_texCoord1 = vTexCoord1.st;							\
+		v_texCoord2 = vTexCoord2.st;							\
+																\n\
+		vec3 n = normalize(vec3(vNormal.xyz));					\
+		vec4 currentLight = vec4(0, 0, 0, 1.0);					\
+		for(int i=0; i<4; ++i)									\
+		{														\
+			vec3 lPos = vec3(arrLightPositions[i].xyz);			\
+			vec3 vertexToLight = lPos - vec3(vPosition.xyz);	\
+			float distance = length( vertexToLight );			\
+			float distanceFact = 1.0 / (arrLightPositions[i].w * distance); \
+			vertexToLight = normalize(vertexToLight); 			\
+			float angle = max(0.0, dot(n, vertexToLight));		\
+			float intensity = angle * distanceFact;				\
+			currentLight = currentLight + vec4(arrLightColors[i].x*intensity, arrLightColors[i].y*intensity, arrLightColors[i].z*intensity, 1.0);		\
+		}														\
+																\
+		// directional light									\n\
+		float dirlight = max(0.0, dot(n, vecDirLight));	\
+		currentLight = currentLight + vec4(colorDirLight.x*dirlight, colorDirLight.y*dirlight, colorDirLight.z*dirlight, 1.0);		\
+																\
+		// ambient light										\n\
+		currentLight = currentLight + arrLightColors[4];		\
+		currentLight = max(currentLight, vec4(0.0,0.0,0.0,0.0));	\
+		currentLight = currentLight * vec4(vColor.x, vColor.y, vColor.z, 1.0);	\
+		v_color = min(currentLight, vec4(1.0,1.0,1.0,1.0));		\
+		v_color.a = vColor.a;	// preserve vertex alpha \n\
+		calculateFog();											\n\
+    }															\
+	";
+	
+// simple normal 3d world 3d transformation shader
+CL3D.Renderer.prototype.vs_shader_normaltransform_gouraud = "				\
+	uniform mat4 worldviewproj;									\
+																\
+	attribute vec4 vPosition;									\
+    attribute vec2 vTexCoord1;									\
+	attribute vec2 vTexCoord2;									\
+	attribute vec4 vNormal;										\
+	attribute vec4 vColor;										\
+																\
+	varying vec4 v_color;										\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
+																\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\
+    {															\
+		calculateSkinning();										\n\
+        gl_Position = worldviewproj * vPosition;				\
+        v_texCoord1 = vTexCoord1.st;							\
+		v_texCoord2 = vTexCoord2.st;							\
+		v_color = vColor;										\
+		calculateFog();											\n\
+    }															\
+	";
+
+	
+ // 3d world 3d transformation shader generating a reflection in texture coordinate 2
+ // normaltransform is the inverse transpose of the upper 3x3 part of the modelview matrix.
+ // 
+ // this is based on 
+ // D3DTSS_TCI_CAMERASPACEREFLECTIONVECTOR from D3D9:
+ // Use the reflection vector, transformed to camera space, as input texture coordinates. 
+ // The reflection vector is computed from the input vertex position and normal vector.
+CL3D.Renderer.prototype.vs_shader_reflectiontransform = "		\
+	uniform mat4 worldviewproj;									\n\
+	uniform mat4 normaltransform;								\n\
+	uniform mat4 modelviewtransform;							\n\
+	uniform mat4 worldtransform;								\n\
+																\
+	attribute vec4 vPosition;									\
+    attribute vec3 vNormal;										\
+    attribute vec2 vTexCoord1;									\
+	attribute vec2 vTexCoord2;									\
+																\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
+																\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\
+    {															\n\
+		calculateSkinning();										\n\
+		gl_Position = worldviewproj * vPosition;					\n\
+																	\n\
+		//	use reflection											\n\
+		vec3 pos = normalize((modelviewtransform * vPosition).xyz);					\n\
+		vec3 n = normalize((normaltransform * vec4(vNormal, 1)).xyz);		\n\
+		vec3 r = reflect( pos.xyz, n.xyz );							\n\
+		float m = sqrt( r.x*r.x + r.y*r.y + (r.z+1.0)*(r.z+1.0) ); \n\
+															\n\
+		//	texture coordinates								\n\
+		v_texCoord1 = vTexCoord1.st;						\n\
+		v_texCoord2.x = (r.x / (2.0 * m)  + 0.5);						\n\
+		v_texCoord2.y = (r.y / (2.0 * m)  + 0.5);						\n\
+		calculateFog();											\n\
+    }														\n\
+	";	
+	
+	
+	// same shader as before, but now with light
+CL3D.Renderer.prototype.vs_shader_reflectiontransform_with_light = "		\
+	uniform mat4 worldviewproj;									\n\
+	uniform mat4 normaltransform;								\n\
+	uniform mat4 modelviewtransform;							\n\
+	uniform vec4 arrLightPositions[4];							\n\
+	uniform vec4 arrLightColors[5]; 							\n\
+	uniform vec3 vecDirLight; 									\n\
+	uniform vec4 colorDirLight; 								\n\
+																\
+	attribute vec4 vPosition;									\
+    attribute vec3 vNormal;										\
+    attribute vec2 vTexCoord1;									\
+	attribute vec2 vTexCoord2;									\
+																\
+	varying vec4 v_color;										\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
+																\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\
+    {															\
+		calculateSkinning();										\n\
+        gl_Position = worldviewproj * vPosition;					\n\
+																	\n\
+		//	use reflection											\n\
+		vec3 pos = normalize((modelviewtransform * vPosition).xyz);					\n\
+		vec3 nt = normalize((normaltransform * vec4(vNormal, 1)).xyz);		\n\
+		vec3 r = reflect( pos.xyz, nt.xyz );							\n\
+		float m = sqrt( r.x*r.x + r.y*r.y + (r.z+1.0)*(r.z+1.0) ); \n\
+		//	texture coordinates								\n\
+		v_texCoord1 = vTexCoord1.st;						\n\
+		v_texCoord2.x = r.x / (2.0 * m)  + 0.5;						\n\
+		v_texCoord2.y = r.y / (2.0 * m)  + 0.5;						\n\
+															\n\
+		vec3 n = normalize(vec3(vNormal.xyz));					\
+		vec4 currentLight = vec4(0.0, 0.0, 0.0, 1.0);	 		\
+		for(int i=0; i<4; ++i)									\
+		{														\
+			vec3 lPos = vec3(arrLightPositions[i].xyz);			\
+			vec3 vertexToLight = lPos - vec3(vPosition.xyz);	\
+			float distance = length( vertexToLight );			\
+			float distanceFact = 1.0 / (arrLightPositions[i].w * distance); \
+			vertexToLight = normalize(vertexToLight); 			\
+			float angle = max(0.0, dot(n, vertexToLight));		\
+			float intensity = angle * distanceFact;				\
+			currentLight = currentLight + vec4(arrLightColors[i].x*intensity, arrLightColors[i].y*intensity, arrLightColors[i].z*intensity, 1.0);		\
+		}														\
+		// directional light									\n\
+		float dirlight = max(0.0, dot(n, vecDirLight));	\
+		currentLight = currentLight + vec4(colorDirLight.x*dirlight, colorDirLight.y*dirlight, colorDirLight.z*dirlight, 1.0);		\
+																\
+		// ambient light										\n\
+		currentLight = currentLight + arrLightColors[4];		\
+		currentLight = max(currentLight, vec4(0.0,0.0,0.0,0.0));	\
+		//v_color = currentLight;								\n\
+		v_color = min(currentLight, vec4(1.0,1.0,1.0,1.0));		\
+																\
+		calculateFog();											\n\
+    }														\n\
+	";	
+
+// normal mapped material		
+CL3D.Renderer.prototype.vs_shader_normalmappedtransform = "				\
+	uniform mat4 worldviewproj;									\n\
+	uniform mat4 normaltransform;								\n\
+	uniform mat4 worldtransform;								\n\
+	uniform vec4 arrLightPositions[4];							\n\
+	uniform vec4 arrLightColors[5]; 							\n\
+																\n\
+	attribute vec4 vPosition;									\n\
+    attribute vec3 vNormal;										\n\
+	attribute vec4 vColor;										\n\
+    attribute vec2 vTexCoord1;									\n\
+	attribute vec2 vTexCoord2;									\n\
+	attribute vec3 vBinormal;									\n\
+	attribute vec3 vTangent;									\n\
+																\n\
+	// Output:													\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+	varying vec3 v_lightVector[4];								\n\
+	varying vec3 v_lightColor[4];								\n\
+	varying vec3 ambientLight;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+		calculateSkinning();										\n\
+        gl_Position = worldviewproj * vPosition;				\n\
+        v_texCoord1 = vTexCoord1.st;							\n\
+		v_texCoord2 = vTexCoord2.st;							\n\
+																\n\
+		vec4 pos = vec4(dot(vPosition, worldtransform[0]), dot(vPosition, worldtransform[1]), dot(vPosition, worldtransform[2]), dot(vPosition, worldtransform[3]));							\n\
+																\n\
+		// transform normal, binormal and tangent					\n\
+		vec3 normal = vec3(dot(vNormal.xyz, worldtransform[0].xyz), dot(vNormal.xyz, worldtransform[1].xyz), dot(vNormal.xyz, worldtransform[2].xyz));		\n\
+		vec3 tangent = vec3(dot(vTangent.xyz, worldtransform[0].xyz), dot(vTangent.xyz, worldtransform[1].xyz), dot(vTangent.xyz, worldtransform[2].xyz));     \n\
+		vec3 binormal = vec3(dot(vBinormal.xyz, worldtransform[0].xyz), dot(vBinormal.xyz, worldtransform[1].xyz), dot(vBinormal.xyz, worldtransform[2].xyz));     \n\
+																\n\
+		vec3 temp = vec3(0.0, 0.0, 0.0);						\n\
+		for(int i=0; i<4; ++i) 									\n\
+		{														\n\
+			vec3 lightPos = vec3(arrLightPositions[i].xyz);		\n\
+			vec3 vertexToLight = lightPos - vec3(pos.xyz); \n\
+																\
+			// transform the light vector 1 with U, V, W		\n\
+			temp.x = dot(tangent.xyz, vertexToLight);				\n\
+			temp.y = dot(binormal.xyz, vertexToLight);				\n\
+			temp.z = dot(normal.xyz, vertexToLight);				\n\
+																\n\
+			// normalize light vector					\n\
+			temp = normalize(temp); 					\n\
+																\n\
+			// move from -1..1 to 0..1 and put into output		\n\
+			temp = temp * 0.5;							\n\
+			temp = temp + vec3(0.5,0.5,0.5);			\n\
+			v_lightVector[i] = temp;				\n\
+														\n\
+			// calculate attenuation					\n\
+			float distanceFact = 1.0 / sqrt(dot(vertexToLight, vertexToLight) * arrLightPositions[i].w); \n\
+			v_lightColor[i] = min(vec3(arrLightColors[i].x*distanceFact, arrLightColors[i].y*distanceFact, arrLightColors[i].z*distanceFact), vec3(1,1,1));		\n\
+		}														\n\
+		// ambient light\n\
+		ambientLight = arrLightColors[4].xyz;				\n\
+		calculateFog();											\n\
+    }															\n\
+	";	
+	
+CL3D.Renderer.prototype.fs_shader_onlyfirsttexture = "				\
+	uniform sampler2D texture1;									\
+	uniform sampler2D texture2;									\
+																\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
+																\
+    void main()													\
+    {															\
+        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
+        gl_FragColor = texture2D(texture1, texCoord);			\
     }															\
-	";								
-	
-// 2D fragment shader for drawing fonts: The font texture is white/gray on black. Draw the font using the white as alpha,
-// multiplied by a color as parameter
-CL3D.Renderer.prototype.fs_shader_2ddrawing_canvasfont = "			\
-	uniform vec4 vColor;										\
+	";							
+
+CL3D.Renderer.prototype.fs_shader_onlyfirsttexture_gouraud	 = "	\
 	uniform sampler2D texture1;									\
 	uniform sampler2D texture2;									\
 																\
+	varying vec4 v_color;										\
     varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
 																\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
     void main()													\
     {															\
-	    vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
-        float alpha = texture2D(texture1, texCoord).r;		\
-        gl_FragColor = vec4(vColor.rgb, alpha);						\
+        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
+        gl_FragColor = texture2D(texture1, texCoord) * v_color;	\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
     }															\
-	";								
-
+	";			
 
-// simple normal 3d world 3d transformation shader
-CL3D.Renderer.prototype.vs_shader_normaltransform = "				\
-	uniform mat4 worldviewproj;									\
-																\
-	attribute vec4 vPosition;									\
-    attribute vec4 vNormal;										\
-	attribute vec4 vColor;										\
-    attribute vec2 vTexCoord1;									\
-	attribute vec2 vTexCoord2;									\
+CL3D.Renderer.prototype.fs_shader_onlyfirsttexture_gouraud_alpharef	= "		\
+	uniform sampler2D texture1;									\
+	uniform sampler2D texture2;									\
 																\
 	varying vec4 v_color;										\
     varying vec2 v_texCoord1;									\
 	varying vec2 v_texCoord2;									\
 																\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
     void main()													\
     {															\
-		v_color = vColor;										\
-        gl_Position = worldviewproj * vPosition;				\
-        v_texCoord1 = vTexCoord1.st;							\
-		v_texCoord2 = vTexCoord2.st;							\
+        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
+        gl_FragColor = texture2D(texture1, texCoord) * v_color;	\
+		if(gl_FragColor.a < 0.5)								\
+			discard;											\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
     }															\
 	";
 	
-// simple normal 3d world 3d transformation shader, which also calculates the light of up to 4 point light sources
-// // our lighting works like this:
-// vertexToLight = lightPos - vertexPos;
-// distance = length(vertexToLight)
-// distanceFact = 1 /( lightAttenuation * distance )
-// vertexToLight = normalize(vertexToLight)
-// angle = sin(normal.dotproduct(vertexToLight));
-// if (angle < 0) angle = 0;
-// intensity = angle * distanceFact;
-// color = intensity * lightcolor;		
-CL3D.Renderer.prototype.vs_shader_normaltransform_with_light = "				\
-	uniform mat4 worldviewproj;									\n\
-	uniform vec4 arrLightPositions[4];							\n\
-	uniform vec4 arrLightColors[5]; 							\n\
-	uniform vec3 vecDirLight; 									\n\
-	uniform vec4 colorDirLight; 								\n\
+CL3D.Renderer.prototype.fs_shader_lightmapcombine = "				\
+	uniform sampler2D texture1;									\
+	uniform sampler2D texture2;									\
 																\
-	attribute vec4 vPosition;									\
-    attribute vec4 vNormal;										\
-	attribute vec4 vColor;										\
-    attribute vec2 vTexCoord1;									\
-	attribute vec2 vTexCoord2;									\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
+																\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\
+    {															\
+        vec2 texCoord1 = vec2(v_texCoord1.s, v_texCoord1.t);	\
+		vec2 texCoord2 = vec2(v_texCoord2.s, v_texCoord2.t);	\
+        vec4 col1 = texture2D(texture1, texCoord1);				\
+		vec4 col2 = texture2D(texture2, texCoord2);				\
+		gl_FragColor = col1 * col2;								\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\
+	";		
+
+CL3D.Renderer.prototype.fs_shader_lightmapcombine_m4 = "		\
+	uniform sampler2D texture1;									\
+	uniform sampler2D texture2;									\
+																\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
+																\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\
+    {															\
+        vec2 texCoord1 = vec2(v_texCoord1.s, v_texCoord1.t);	\
+		vec2 texCoord2 = vec2(v_texCoord2.s, v_texCoord2.t);	\
+        vec4 col1 = texture2D(texture1, texCoord1);				\
+		vec4 col2 = texture2D(texture2, texCoord2);				\
+		gl_FragColor = col1 * col2 * 3.0;						\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\
+	";			
+	
+CL3D.Renderer.prototype.fs_shader_lightmapcombine_gouraud = "	\
+	uniform sampler2D texture1;									\
+	uniform sampler2D texture2;									\
 																\
 	varying vec4 v_color;										\
     varying vec2 v_texCoord1;									\
 	varying vec2 v_texCoord2;									\
 																\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
     void main()													\
     {															\
-        gl_Position = worldviewproj * vPosition;				\
-        v_texCoord1 = vTexCoord1.st;							\
-		v_texCoord2 = vTexCoord2.st;							\
+        vec2 texCoord1 = vec2(v_texCoord1.s, v_texCoord1.t);	\
+		vec2 texCoord2 = vec2(v_texCoord2.s, v_texCoord2.t);	\
+        vec4 col1 = texture2D(texture1, texCoord1);				\
+		vec4 col2 = texture2D(texture2, texCoord2);				\
+		vec4 final = col1 * col2 * v_color;						\
+		gl_FragColor = vec4(final.x, final.y, final.z, col1.w);	\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\
+	";		
+	
+CL3D.Renderer.prototype.fs_shader_normalmapped	 = "	\
+	uniform sampler2D texture1;									\
+	uniform sampler2D texture2;									\
+																\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
+	varying vec3 v_lightVector[4];								\
+	varying vec3 v_lightColor[4];								\
+	varying vec3 ambientLight;									\
+																\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\
+    {															\
+		vec4 colorMapSample = texture2D(texture1, v_texCoord1);	\
+		vec3 normalMapVector = texture2D(texture2, v_texCoord1).xyz;\
+		//normalMapVector -= vec3(0.5, 0.5, 0.5);					\n\
+		//normalMapVector = normalize(normalMapVector); 			\n\
+		normalMapVector *= vec3(2.0, 2.0, 2.0);					\n\
+		normalMapVector -= vec3(1.0, 1.0, 1.0);					\n\
 																\n\
-		vec3 n = normalize(vec3(vNormal.xyz));					\
-		vec4 currentLight = vec4(0, 0, 0, 1.0);					\
-		for(int i=0; i<4; ++i)									\
-		{														\
-			vec3 lPos = vec3(arrLightPositions[i].xyz);			\
-			vec3 vertexToLight = lPos - vec3(vPosition.xyz);	\
-			float distance = length( vertexToLight );			\
-			float distanceFact = 1.0 / (arrLightPositions[i].w * distance); \
-			vertexToLight = normalize(vertexToLight); 			\
-			float angle = max(0.0, dot(n, vertexToLight));		\
-			float intensity = angle * distanceFact;				\
-			currentLight = currentLight + vec4(arrLightColors[i].x*intensity, arrLightColors[i].y*intensity, arrLightColors[i].z*intensity, 1.0);		\
-		}														\
+		vec3 totallight = vec3(0.0, 0.0, 0.0);						\n\
+		for(int i=0; i<4; ++i) 									\n\
+		{														\n\
+			// process light									\n\
+			//vec3 lightvect = v_lightVector[i] + vec3(-0.5, -0.5, -0.5); \n\
+			vec3 lightvect = (v_lightVector[i] * vec3(2.0, 2.0, 2.0)) - vec3(1.0, 1.0, 1.0); \n\
+			lightvect = normalize(lightvect);					\n\
+			float luminance = dot(lightvect, normalMapVector); // normal DOT light		\n\
+			luminance = clamp(luminance, 0.0, 1.0);	// clamp result to positive numbers		\n\
+			lightvect = luminance * v_lightColor[i];	// luminance * light color \n\
+																\n\
+			// add to previously calculated lights				\n\
+			totallight = totallight + lightvect;				\n\
+		}														\n\
+																\n\
+		totallight = totallight + ambientLight;					\n\
+		gl_FragColor = colorMapSample * vec4(totallight.x, totallight.y, totallight.z, 0.0);	\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\n\
+	";
+	
+CL3D.Renderer.prototype.fs_shader_vertex_alpha_two_textureblend	 = "	\
+	uniform sampler2D texture1;									\
+	uniform sampler2D texture2;									\
 																\
-		// directional light									\n\
-		float dirlight = max(0.0, dot(n, vecDirLight));	\
-		currentLight = currentLight + vec4(colorDirLight.x*dirlight, colorDirLight.y*dirlight, colorDirLight.z*dirlight, 1.0);		\
+	varying vec4 v_color;										\
+    varying vec2 v_texCoord1;									\
+	varying vec2 v_texCoord2;									\
 																\
-		// ambient light										\n\
-		currentLight = currentLight + arrLightColors[4];		\
-		currentLight = max(currentLight, vec4(0.0,0.0,0.0,0.0));	\
-		currentLight = currentLight * vec4(vColor.x, vColor.y, vColor.z, 1.0);	\
-		v_color = min(currentLight, vec4(1.0,1.0,1.0,1.0));		\
-		v_color.a = vColor.a;	// preserve vertex alpha \n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\
+    {															\
+        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
+		vec4 color1 = texture2D(texture1, texCoord);			\
+		vec4 color2 = texture2D(texture2, texCoord);			\
+		color1 = ((1.0 - v_color.w) * color1) + (v_color.w * color2);	// interpolate texture colors based on vertex alpha	 \n\
+		gl_FragColor = color1 * v_color;		\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
     }															\
+	";	
+	
+// one layer of a splat mapped terrain: texture1 is the layer, repeated terrainLayerParams.x times, and the
+// channels of the splat map in texture2 selected by terrainLayerChannel plus terrainLayerParams.y are its opacity
+CL3D.Renderer.prototype.fs_shader_terrain_splat_layer = "	\
+	uniform sampler2D texture1;									\n\
+	uniform sampler2D texture2;									\n\
+	uniform vec4 terrainLayerChannel;							\n\
+	uniform vec2 terrainLayerParams;							\n\
+																\n\
+	varying vec4 v_color;										\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+		vec4 col = texture2D(texture1, v_texCoord1 * terrainLayerParams.x);	\n\
+		float weight = dot(texture2D(texture2, v_texCoord2), terrainLayerChannel) + terrainLayerParams.y;	\n\
+		col = col * v_color;									\n\
+		gl_FragColor = vec4(col.x, col.y, col.z, clamp(weight, 0.0, 1.0));	\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\n\
+	";
+	
+// transformation shader also passing the position on the screen, for looking up the reflection rendered by a camera
+CL3D.Renderer.prototype.vs_shader_planarreflection = "			\n\
+	uniform mat4 worldviewproj;									\n\
+																\n\
+	attribute vec4 vPosition;									\n\
+    attribute vec4 vNormal;										\n\
+	attribute vec4 vColor;										\n\
+    attribute vec2 vTexCoord1;									\n\
+	attribute vec2 vTexCoord2;									\n\
+																\n\
+	varying vec4 v_color;										\n\
+	varying vec4 v_screenPosition;								\n\
+																\n\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+		calculateSkinning();									\n\
+		v_color = vColor;										\n\
+        gl_Position = worldviewproj * vPosition;				\n\
+		v_screenPosition = gl_Position;							\n\
+		calculateFog();											\n\
+    }															\n\
+	";
+
+// reads the reflection at the position on the screen. Render targets of cameras are stored top row first, like images.
+CL3D.Renderer.prototype.fs_shader_planarreflection = "			\n\
+	uniform sampler2D texture1;									\n\
+																\n\
+	varying vec4 v_color;										\n\
+	varying vec4 v_screenPosition;								\n\
+																\n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+		vec2 screenPos = v_screenPosition.xy / v_screenPosition.w;	\n\
+		vec4 col = texture2D(texture1, vec2(0.5 + 0.5 * screenPos.x, 0.5 - 0.5 * screenPos.y));	\n\
+		gl_FragColor = vec4(col.rgb * v_color.rgb, v_color.a);	\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\n\
+	";
+	
+// renders the depth into a shadow map, packed into the 4 color channels. For point lights (shadowLightPosition.w
+// is 1/radius of the light), this is the distance to the light relative to its radius, for the directional light
+// (shadowLightPosition.w is 0) the depth in its orthogonal projection.
+CL3D.Renderer.prototype.vs_shader_shadowdepth = "				\
+	#ifdef GL_ES												\n\
+	precision highp float;										\n\
+	#endif														\n\
+	uniform mat4 worldviewproj;									\n\
+	uniform mat4 worldtransform;								\n\
+																\n\
+	attribute vec4 vPosition;									\n\
+	attribute vec3 vNormal;										\n\
+																\n\
+	varying vec4 v_worldPos;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+    void main()													\n\
+    {															\n\
+		calculateSkinning();										\n\
+        gl_Position = worldviewproj * vPosition;				\n\
+		v_worldPos = vec4(dot(vPosition, worldtransform[0]), dot(vPosition, worldtransform[1]), dot(vPosition, worldtransform[2]), gl_Position.z / gl_Position.w);	\n\
+    }															\n\
+	";
+
+CL3D.Renderer.prototype.fs_shader_shadowdepth = "				\
+	#ifdef GL_FRAGMENT_PRECISION_HIGH							\n\
+	precision highp float;										\n\
+	#else														\n\
+	precision mediump float;									\n\
+	#endif														\n\
+	uniform vec4 shadowLightPosition;							\n\
+																\n\
+	varying vec4 v_worldPos;									\n\
+																\n\
+    void main()													\n\
+    {															\n\
+		float depth = v_worldPos.w;								\n\
+		if (shadowLightPosition.w > 0.0)						\n\
+			depth = length(v_worldPos.xyz - shadowLightPosition.xyz) * shadowLightPosition.w;	\n\
+		depth = clamp(depth, 0.0, 0.9999);						\n\
+																\n\
+		vec4 enc = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));		\n\
+		gl_FragColor = enc - enc.yzww * vec4(1.0/255.0, 1.0/255.0, 1.0/255.0, 0.0);	\n\
+    }															\n\
+	";
+
+// part of the vertex shaders of materials with lighting receiving shadows. Instead of the final light color,
+// the intensity of each light is passed to the fragment shader, which multiplies it with the shadow of the light.
+// Needs to be inserted after the declaration of vPosition.
+CL3D.Renderer.prototype.vs_shader_shadow_lighting = "			\
+	uniform mat4 worldtransform;								\n\
+	uniform mat4 shadowtransform;								\n\
+	uniform vec4 arrLightPositions[4];							\n\
+	uniform vec3 vecDirLight; 									\n\
+																\n\
+	varying vec4 v_lightIntensity;								\n\
+	varying vec4 v_worldPos;									\n\
+	varying vec4 v_shadowCoord;									\n\
+																\n\
+	float getLightIntensity(vec4 lightPos, vec3 n)				\n\
+	{															\n\
+		vec3 vertexToLight = lightPos.xyz - vPosition.xyz;		\n\
+		float distanceFact = 1.0 / (lightPos.w * length(vertexToLight));	\n\
+		return max(0.0, dot(n, normalize(vertexToLight))) * distanceFact;	\n\
+	}															\n\
+																\n\
+	void calculateLightIntensities(vec3 n)						\n\
+	{															\n\
+		v_lightIntensity = vec4(getLightIntensity(arrLightPositions[0], n), getLightIntensity(arrLightPositions[1], n),	\n\
+								getLightIntensity(arrLightPositions[2], n), getLightIntensity(arrLightPositions[3], n));	\n\
+																\n\
+		// world position, with the intensity of the directional light in w	\n\
+		v_worldPos = vec4(dot(vPosition, worldtransform[0]), dot(vPosition, worldtransform[1]), dot(vPosition, worldtransform[2]),	\n\
+						  max(0.0, dot(n, vecDirLight)));		\n\
+		v_shadowCoord = shadowtransform * vPosition;			\n\
+	}															\n\
 	";
-	
-// simple normal 3d world 3d transformation shader
-CL3D.Renderer.prototype.vs_shader_normaltransform_gouraud = "				\
-	uniform mat4 worldviewproj;									\
-																\
-	attribute vec4 vPosition;									\
-    attribute vec2 vTexCoord1;									\
-	attribute vec2 vTexCoord2;									\
-	attribute vec4 vNormal;										\
-	attribute vec4 vColor;										\
-																\
-	varying vec4 v_color;										\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
-    {															\
-        gl_Position = worldviewproj * vPosition;				\
-        v_texCoord1 = vTexCoord1.st;							\
-		v_texCoord2 = vTexCoord2.st;							\
-		v_color = vColor;										\
-    }															\
+
+// same as vs_shader_normaltransform_with_light, but receiving shadows
+CL3D.Renderer.prototype.vs_shader_normaltransform_with_light_and_shadows = "	\
+	#ifdef GL_ES												\n\
+	precision highp float;										\n\
+	#endif														\n\
+	uniform mat4 worldviewproj;									\n\
+																\n\
+	attribute vec4 vPosition;									\n\
+    attribute vec4 vNormal;										\n\
+	attribute vec4 vColor;										\n\
+    attribute vec2 vTexCoord1;									\n\
+	attribute vec2 vTexCoord2;									\n\
+																\n\
+	varying vec4 v_color;										\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_shadow_lighting + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+		calculateSkinning();										\n\
+        gl_Position = worldviewproj * vPosition;				\n\
+        v_texCoord1 = vTexCoord1.st;							\n\
+		v_texCoord2 = vTexCoord2.st;							\n\
+		v_color = vColor;										\n\
+		calculateLightIntensities(normalize(vec3(vNormal.xyz)));	\n\
+		calculateFog();											\n\
+    }															\n\
 	";
 
-	
- // 3d world 3d transformation shader generating a reflection in texture coordinate 2
- // normaltransform is the inverse transpose of the upper 3x3 part of the modelview matrix.
- // 
- // this is based on 
- // D3DTSS_TCI_CAMERASPACEREFLECTIONVECTOR from D3D9:
- // Use the reflection vector, transformed to camera space, as input texture coordinates. 
- // The reflection vector is computed from the input vertex position and normal vector.
-CL3D.Renderer.prototype.vs_shader_reflectiontransform = "		\
+// same as vs_shader_reflectiontransform_with_light, but receiving shadows
+CL3D.Renderer.prototype.vs_shader_reflectiontransform_with_light_and_shadows = "	\
+	#ifdef GL_ES												\n\
+	precision highp float;										\n\
+	#endif														\n\
 	uniform mat4 worldviewproj;									\n\
 	uniform mat4 normaltransform;								\n\
 	uniform mat4 modelviewtransform;							\n\
-	uniform mat4 worldtransform;								\n\
-																\
-	attribute vec4 vPosition;									\
-    attribute vec3 vNormal;										\
-    attribute vec2 vTexCoord1;									\
-	attribute vec2 vTexCoord2;									\
-																\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
+																\n\
+	attribute vec4 vPosition;									\n\
+    attribute vec3 vNormal;										\n\
+    attribute vec2 vTexCoord1;									\n\
+	attribute vec2 vTexCoord2;									\n\
+																\n\
+	varying vec4 v_color;										\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_shadow_lighting + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\n\
     {															\n\
-		gl_Position = worldviewproj * vPosition;					\n\
-																	\n\
-		//	use reflection											\n\
-		vec3 pos = normalize((modelviewtransform * vPosition).xyz);					\n\
-		vec3 n = normalize((normaltransform * vec4(vNormal, 1)).xyz);		\n\
-		vec3 r = reflect( pos.xyz, n.xyz );							\n\
-		float m = sqrt( r.x*r.x + r.y*r.y + (r.z+1.0)*(r.z+1.0) ); \n\
-															\n\
-		//	texture coordinates								\n\
-		v_texCoord1 = vTexCoord1.st;						\n\
-		v_texCoord2.x = (r.x / (2.0 * m)  + 0.5);						\n\
-		v_texCoord2.y = (r.y / (2.0 * m)  + 0.5);						\n\
-    }														\n\
-	";	
-	
-	
-	// same shader as before, but now with light
-CL3D.Renderer.prototype.vs_shader_reflectiontransform_with_light = "		\
+		calculateSkinning();										\n\
+        gl_Position = worldviewproj * vPosition;				\n\
+																\n\
+		//	use reflection										\n\
+		vec3 pos = normalize((modelviewtransform * vPosition).xyz);			\n\
+		vec3 nt = normalize((normaltransform * vec4(vNormal, 1)).xyz);		\n\
+		vec3 r = reflect( pos.xyz, nt.xyz );					\n\
+		float m = sqrt( r.x*r.x + r.y*r.y + (r.z+1.0)*(r.z+1.0) );	\n\
+																\n\
+		//	texture coordinates									\n\
+		v_texCoord1 = vTexCoord1.st;							\n\
+		v_texCoord2.x = r.x / (2.0 * m)  + 0.5;					\n\
+		v_texCoord2.y = r.y / (2.0 * m)  + 0.5;					\n\
+																\n\
+		v_color = vec4(1.0, 1.0, 1.0, 1.0);						\n\
+		calculateLightIntensities(normalize(vNormal));			\n\
+		calculateFog();											\n\
+    }															\n\
+	";
+
+// same as vs_shader_normalmappedtransform, but also passing the world position for looking up shadows
+CL3D.Renderer.prototype.vs_shader_normalmappedtransform_with_shadows = "	\
+	#ifdef GL_ES												\n\
+	precision highp float;										\n\
+	#endif														\n\
 	uniform mat4 worldviewproj;									\n\
 	uniform mat4 normaltransform;								\n\
-	uniform mat4 modelviewtransform;							\n\
+	uniform mat4 worldtransform;								\n\
 	uniform vec4 arrLightPositions[4];							\n\
 	uniform vec4 arrLightColors[5]; 							\n\
-	uniform vec3 vecDirLight; 									\n\
-	uniform vec4 colorDirLight; 								\n\
-																\
-	attribute vec4 vPosition;									\
-    attribute vec3 vNormal;										\
-    attribute vec2 vTexCoord1;									\
-	attribute vec2 vTexCoord2;									\
-																\
-	varying vec4 v_color;										\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
-    {															\
-        gl_Position = worldviewproj * vPosition;					\n\
-																	\n\
-		//	use reflection											\n\
-		vec3 pos = normalize((modelviewtransform * vPosition).xyz);					\n\
-		vec3 nt = normalize((normaltransform * vec4(vNormal, 1)).xyz);		\n\
-		vec3 r = reflect( pos.xyz, nt.xyz );							\n\
-		float m = sqrt( r.x*r.x + r.y*r.y + (r.z+1.0)*(r.z+1.0) ); \n\
-		//	texture coordinates								\n\
-		v_texCoord1 = vTexCoord1.st;						\n\
-		v_texCoord2.x = r.x / (2.0 * m)  + 0.5;						\n\
-		v_texCoord2.y = r.y / (2.0 * m)  + 0.5;						\n\
-															\n\
-		vec3 n = normalize(vec3(vNormal.xyz));					\
-		vec4 currentLight = vec4(0.0, 0.0, 0.0, 1.0);	 		\
-		for(int i=0; i<4; ++i)									\
-		{														\
-			vec3 lPos = vec3(arrLightPositions[i].xyz);			\
-			vec3 vertexToLight = lPos - vec3(vPosition.xyz);	\
-			float distance = length( vertexToLight );			\
-			float distanceFact = 1.0 / (arrLightPositions[i].w * distance); \
-			vertexToLight = normalize(vertexToLight); 			\
-			float angle = max(0.0, dot(n, vertexToLight));		\
-			float intensity = angle * distanceFact;				\
-			currentLight = currentLight + vec4(arrLightColors[i].x*intensity, arrLightColors[i].y*intensity, arrLightColors[i].z*intensity, 1.0);		\
-		}														\
-		// directional light									\n\
-		float dirlight = max(0.0, dot(n, vecDirLight));	\
-		currentLight = currentLight + vec4(colorDirLight.x*dirlight, colorDirLight.y*dirlight, colorDirLight.z*dirlight, 1.0);		\
-																\
+																\n\
+	attribute vec4 vPosition;									\n\
+    attribute vec3 vNormal;										\n\
+	attribute vec4 vColor;										\n\
+    attribute vec2 vTexCoord1;									\n\
+	attribute vec2 vTexCoord2;									\n\
+	attribute vec3 vBinormal;									\n\
+	attribute vec3 vTangent;									\n\
+																\n\
+	// Output:													\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+	varying vec3 v_lightVector[4];								\n\
+	varying vec3 v_lightColor[4];								\n\
+	varying vec3 ambientLight;									\n\
+	varying vec3 v_worldPos;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+		calculateSkinning();										\n\
+        gl_Position = worldviewproj * vPosition;				\n\
+        v_texCoord1 = vTexCoord1.st;							\n\
+		v_texCoord2 = vTexCoord2.st;							\n\
+																\n\
+		vec4 pos = vec4(dot(vPosition, worldtransform[0]), dot(vPosition, worldtransform[1]), dot(vPosition, worldtransform[2]), dot(vPosition, worldtransform[3]));	\n\
+		v_worldPos = pos.xyz;									\n\
+																\n\
+		// transform normal, binormal and tangent				\n\
+		vec3 normal = vec3(dot(vNormal.xyz, worldtransform[0].xyz), dot(vNormal.xyz, worldtransform[1].xyz), dot(vNormal.xyz, worldtransform[2].xyz));	\n\
+		vec3 tangent = vec3(dot(vTangent.xyz, worldtransform[0].xyz), dot(vTangent.xyz, worldtransform[1].xyz), dot(vTangent.xyz, worldtransform[2].xyz));	\n\
+		vec3 binormal = vec3(dot(vBinormal.xyz, worldtransform[0].xyz), dot(vBinormal.xyz, worldtransform[1].xyz), dot(vBinormal.xyz, worldtransform[2].xyz));	\n\
+																\n\
+		vec3 temp = vec3(0.0, 0.0, 0.0);						\n\
+		for(int i=0; i<4; ++i) 									\n\
+		{														\n\
+			vec3 lightPos = vec3(arrLightPositions[i].xyz);		\n\
+			vec3 vertexToLight = lightPos - vec3(pos.xyz);		\n\
+																\n\
+			// transform the light vector 1 with U, V, W		\n\
+			temp.x = dot(tangent.xyz, vertexToLight);			\n\
+			temp.y = dot(binormal.xyz, vertexToLight);			\n\
+			temp.z = dot(normal.xyz, vertexToLight);			\n\
+																\n\
+			// normalize light vector							\n\
+			temp = normalize(temp);								\n\
+																\n\
+			// move from -1..1 to 0..1 and put into output		\n\
+			temp = temp * 0.5;									\n\
+			temp = temp + vec3(0.5,0.5,0.5);					\n\
+			v_lightVector[i] = temp;							\n\
+																\n\
+			// calculate attenuation							\n\
+			float distanceFact = 1.0 / sqrt(dot(vertexToLight, vertexToLight) * arrLightPositions[i].w);	\n\
+			v_lightColor[i] = min(vec3(arrLightColors[i].x*distanceFact, arrLightColors[i].y*distanceFact, arrLightColors[i].z*distanceFact), vec3(1,1,1));	\n\
+		}														\n\
 		// ambient light										\n\
-		currentLight = currentLight + arrLightColors[4];		\
-		currentLight = max(currentLight, vec4(0.0,0.0,0.0,0.0));	\
-		//v_color = currentLight;								\n\
-		v_color = min(currentLight, vec4(1.0,1.0,1.0,1.0));		\
-																\
-    }														\n\
-	";	
+		ambientLight = arrLightColors[4].xyz;					\n\
+		calculateFog();											\n\
+    }															\n\
+	";
+
+// part of the fragment shaders of materials receiving shadows: reads the shadow maps with percentage closer filtering
+// and returns how much a pixel is lit by a light, between 0 (in shadow) and 1 (lit).
+// Shadow maps are set by the renderer into shadowMapDir and shadowMapPoint0 to shadowMapPoint3.
+CL3D.Renderer.prototype.fs_shader_shadow_functions = "			\
+	#ifdef GL_FRAGMENT_PRECISION_HIGH							\n\
+	precision highp float;										\n\
+	#else														\n\
+	precision mediump float;									\n\
+	#endif														\n\
+	uniform sampler2D shadowMapDir;								\n\
+	uniform samplerCube shadowMapPoint0;						\n\
+	uniform samplerCube shadowMapPoint1;						\n\
+	uniform samplerCube shadowMapPoint2;						\n\
+	uniform samplerCube shadowMapPoint3;						\n\
+																\n\
+	// (px, py, pz, 1/radius) of the point lights, w is 0 for lights without shadow	\n\
+	uniform vec4 arrShadowLightPositions[4];					\n\
+	// (directional shadow enabled, bias, texel size of shadowMapDir, texel size of the cube maps)	\n\
+	uniform vec4 shadowParams;									\n\
+																\n\
+	float unpackShadowDepth(vec4 c)								\n\
+	{															\n\
+		return dot(c, vec4(1.0, 1.0/255.0, 1.0/65025.0, 1.0/16581375.0));	\n\
+	}															\n\
+																\n\
+	float getDirectionalShadow(vec4 shadowCoord)				\n\
+	{															\n\
+		if (shadowParams.x < 0.5)								\n\
+			return 1.0;											\n\
+																\n\
+		vec3 c = shadowCoord.xyz / shadowCoord.w;				\n\
+		vec2 uv = c.xy * 0.5 + vec2(0.5, 0.5);					\n\
+		if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0 || c.z > 1.0)	\n\
+			return 1.0;											\n\
+																\n\
+		// 3x3 samples											\n\
+		float depth = c.z - shadowParams.y;						\n\
+		float lit = 0.0;										\n\
+		for(int x=-1; x<=1; ++x)								\n\
+			for(int y=-1; y<=1; ++y)							\n\
+				lit += step(depth, unpackShadowDepth(texture2D(shadowMapDir, uv + vec2(float(x), float(y)) * shadowParams.z)));	\n\
+		return lit / 9.0;										\n\
+	}															\n\
+																\n\
+	float getPointShadow(samplerCube shadowMap, vec4 lightPos, vec3 worldPos)	\n\
+	{															\n\
+		if (lightPos.w == 0.0)									\n\
+			return 1.0;											\n\
+																\n\
+		vec3 d = worldPos - lightPos.xyz;						\n\
+		float depth = length(d) * lightPos.w - shadowParams.y;	\n\
+		if (depth >= 1.0)										\n\
+			return 1.0;											\n\
+																\n\
+		// center and 4 diagonal samples, about one texel away	\n\
+		d = normalize(d);										\n\
+		vec3 t = normalize(cross(d, abs(d.y) > 0.9 ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 1.0, 0.0))) * shadowParams.w;	\n\
+		vec3 b = cross(d, t);									\n\
+		float lit = step(depth, unpackShadowDepth(textureCube(shadowMap, d)));	\n\
+		lit += step(depth, unpackShadowDepth(textureCube(shadowMap, d + t + b)));	\n\
+		lit += step(depth, unpackShadowDepth(textureCube(shadowMap, d + t - b)));	\n\
+		lit += step(depth, unpackShadowDepth(textureCube(shadowMap, d - t + b)));	\n\
+		lit += step(depth, unpackShadowDepth(textureCube(shadowMap, d - t - b)));	\n\
+		return lit / 5.0;										\n\
+	}															\n\
+																\n\
+	vec4 getPointShadows(vec3 worldPos)							\n\
+	{															\n\
+		return vec4(getPointShadow(shadowMapPoint0, arrShadowLightPositions[0], worldPos),	\n\
+					getPointShadow(shadowMapPoint1, arrShadowLightPositions[1], worldPos),	\n\
+					getPointShadow(shadowMapPoint2, arrShadowLightPositions[2], worldPos),	\n\
+					getPointShadow(shadowMapPoint3, arrShadowLightPositions[3], worldPos));	\n\
+	}															\n\
+	";
+
+// part of the fragment shaders of materials with lighting receiving shadows, to be used together with
+// vs_shader_shadow_lighting: calculates the light color like vs_shader_normaltransform_with_light does, but with shadows.
+CL3D.Renderer.prototype.fs_shader_shadow_lighting = CL3D.Renderer.prototype.fs_shader_shadow_functions + "	\
+	uniform vec4 arrLightColors[5]; 							\n\
+	uniform vec4 colorDirLight; 								\n\
+																\n\
+	varying vec4 v_lightIntensity;								\n\
+	varying vec4 v_worldPos;									\n\
+	varying vec4 v_shadowCoord;									\n\
+																\n\
+	vec4 getShadowedLight(vec4 vertexColor)						\n\
+	{															\n\
+		vec4 intensity = getPointShadows(v_worldPos.xyz) * v_lightIntensity;	\n\
+																\n\
+		// ambient, point and directional light					\n\
+		vec3 light = arrLightColors[4].xyz;						\n\
+		light += arrLightColors[0].xyz * intensity.x;			\n\
+		light += arrLightColors[1].xyz * intensity.y;			\n\
+		light += arrLightColors[2].xyz * intensity.z;			\n\
+		light += arrLightColors[3].xyz * intensity.w;			\n\
+		light += colorDirLight.xyz * (v_worldPos.w * getDirectionalShadow(v_shadowCoord));	\n\
+																\n\
+		light = max(light, vec3(0.0, 0.0, 0.0)) * vertexColor.xyz;	\n\
+		return vec4(min(light, vec3(1.0, 1.0, 1.0)), vertexColor.a);	\n\
+	}															\n\
+	";
+
+CL3D.Renderer.prototype.fs_shader_onlyfirsttexture_gouraud_shadows = CL3D.Renderer.prototype.fs_shader_shadow_lighting + "	\
+	uniform sampler2D texture1;									\n\
+	uniform sampler2D texture2;									\n\
+																\n\
+	varying vec4 v_color;										\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\n\
+        gl_FragColor = texture2D(texture1, texCoord) * getShadowedLight(v_color);	\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\n\
+	";
+
+CL3D.Renderer.prototype.fs_shader_onlyfirsttexture_gouraud_alpharef_shadows = CL3D.Renderer.prototype.fs_shader_shadow_lighting + "	\
+	uniform sampler2D texture1;									\n\
+	uniform sampler2D texture2;									\n\
+																\n\
+	varying vec4 v_color;										\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\n\
+        gl_FragColor = texture2D(texture1, texCoord) * getShadowedLight(v_color);	\n\
+		if(gl_FragColor.a < 0.5)								\n\
+			discard;											\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\n\
+	";
+
+CL3D.Renderer.prototype.fs_shader_lightmapcombine_gouraud_shadows = CL3D.Renderer.prototype.fs_shader_shadow_lighting + "	\
+	uniform sampler2D texture1;									\n\
+	uniform sampler2D texture2;									\n\
+																\n\
+	varying vec4 v_color;										\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+        vec2 texCoord1 = vec2(v_texCoord1.s, v_texCoord1.t);	\n\
+		vec2 texCoord2 = vec2(v_texCoord2.s, v_texCoord2.t);	\n\
+        vec4 col1 = texture2D(texture1, texCoord1);				\n\
+		vec4 col2 = texture2D(texture2, texCoord2);				\n\
+		vec4 final = col1 * col2 * getShadowedLight(v_color);	\n\
+		gl_FragColor = vec4(final.x, final.y, final.z, col1.w);	\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\n\
+	";
+
+CL3D.Renderer.prototype.fs_shader_vertex_alpha_two_textureblend_shadows = CL3D.Renderer.prototype.fs_shader_shadow_lighting + "	\
+	uniform sampler2D texture1;									\n\
+	uniform sampler2D texture2;									\n\
+																\n\
+	varying vec4 v_color;										\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\n\
+		vec4 color1 = texture2D(texture1, texCoord);			\n\
+		vec4 color2 = texture2D(texture2, texCoord);			\n\
+		color1 = ((1.0 - v_color.w) * color1) + (v_color.w * color2);	// interpolate texture colors based on vertex alpha	 \n\
+		gl_FragColor = color1 * getShadowedLight(v_color);		\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\n\
+	";
+
+CL3D.Renderer.prototype.fs_shader_terrain_splat_layer_shadows = CL3D.Renderer.prototype.fs_shader_shadow_lighting + "	\
+	uniform sampler2D texture1;									\n\
+	uniform sampler2D texture2;									\n\
+	uniform vec4 terrainLayerChannel;							\n\
+	uniform vec2 terrainLayerParams;							\n\
+																\n\
+	varying vec4 v_color;										\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+		vec4 col = texture2D(texture1, v_texCoord1 * terrainLayerParams.x);	\n\
+		float weight = dot(texture2D(texture2, v_texCoord2), terrainLayerChannel) + terrainLayerParams.y;	\n\
+		col = col * getShadowedLight(v_color);					\n\
+		gl_FragColor = vec4(col.x, col.y, col.z, clamp(weight, 0.0, 1.0));	\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\n\
+	";
+
+CL3D.Renderer.prototype.fs_shader_normalmapped_shadows = CL3D.Renderer.prototype.fs_shader_shadow_functions + "	\
+	uniform sampler2D texture1;									\n\
+	uniform sampler2D texture2;									\n\
+																\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+	varying vec3 v_lightVector[4];								\n\
+	varying vec3 v_lightColor[4];								\n\
+	varying vec3 ambientLight;									\n\
+	varying vec3 v_worldPos;									\n\
+																\n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+    void main()													\n\
+    {															\n\
+		vec4 colorMapSample = texture2D(texture1, v_texCoord1);	\n\
+		vec3 normalMapVector = texture2D(texture2, v_texCoord1).xyz;	\n\
+		normalMapVector *= vec3(2.0, 2.0, 2.0);					\n\
+		normalMapVector -= vec3(1.0, 1.0, 1.0);					\n\
+																\n\
+		vec4 shadows = getPointShadows(v_worldPos);				\n\
+																\n\
+		vec3 totallight = vec3(0.0, 0.0, 0.0);					\n\
+		for(int i=0; i<4; ++i) 									\n\
+		{														\n\
+			// process light									\n\
+			vec3 lightvect = (v_lightVector[i] * vec3(2.0, 2.0, 2.0)) - vec3(1.0, 1.0, 1.0);	\n\
+			lightvect = normalize(lightvect);					\n\
+			float luminance = dot(lightvect, normalMapVector); // normal DOT light	\n\
+			luminance = clamp(luminance, 0.0, 1.0);	// clamp result to positive numbers	\n\
+			lightvect = luminance * shadows[i] * v_lightColor[i];	// luminance * shadow * light color	\n\
+																\n\
+			// add to previously calculated lights				\n\
+			totallight = totallight + lightvect;				\n\
+		}														\n\
+																\n\
+		totallight = totallight + ambientLight;					\n\
+		gl_FragColor = colorMapSample * vec4(totallight.x, totallight.y, totallight.z, 0.0);	\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
+    }															\n\
+	";
 
-// normal mapped material		
-CL3D.Renderer.prototype.vs_shader_normalmappedtransform = "				\
+// physically based material using the metallic roughness model, see CL3D.Material.EMT_PBR_SOLID. The vertex shader
+// only passes the world space position, normal, tangent and binormal, everything else is calculated per pixel.
+// Note that the tangents of the mesh buffer are set into vBinormal and its binormals into vTangent.
+CL3D.Renderer.prototype.vs_shader_pbr = "	\
+	#ifdef GL_ES												\n\
+	precision highp float;										\n\
+	#endif														\n\
 	uniform mat4 worldviewproj;									\n\
-	uniform mat4 normaltransform;								\n\
 	uniform mat4 worldtransform;								\n\
-	uniform vec4 arrLightPositions[4];							\n\
-	uniform vec4 arrLightColors[5]; 							\n\
 																\n\
 	attribute vec4 vPosition;									\n\
     attribute vec3 vNormal;										\n\
@@ -2469,210 +5949,230 @@ CL3D.Renderer.prototype.vs_shader_normalmappedtransform = "				\
 	attribute vec3 vBinormal;									\n\
 	attribute vec3 vTangent;									\n\
 																\n\
-	// Output:													\n\
+	varying vec4 v_color;										\n\
     varying vec2 v_texCoord1;									\n\
 	varying vec2 v_texCoord2;									\n\
-	varying vec3 v_lightVector[4];								\n\
-	varying vec3 v_lightColor[4];								\n\
-	varying vec3 ambientLight;									\n\
+	varying vec3 v_worldPos;									\n\
+	varying vec3 v_normal;										\n\
+	varying vec3 v_tangent;										\n\
+	varying vec3 v_binormal;									\n\
+																\n\
+	#ifdef RECEIVE_SHADOWS										\n\
+	uniform mat4 shadowtransform;								\n\
+	varying vec4 v_shadowCoord;									\n\
+	#endif														\n\
+																\n\
+	" + CL3D.Renderer.prototype.vs_shader_skinning + "	\
+	" + CL3D.Renderer.prototype.vs_shader_fog + "	\
+	vec3 transformDirection(vec3 v)								\n\
+	{															\n\
+		return vec3(dot(v, worldtransform[0].xyz), dot(v, worldtransform[1].xyz), dot(v, worldtransform[2].xyz));	\n\
+	}															\n\
 																\n\
     void main()													\n\
     {															\n\
+		calculateSkinning();									\n\
         gl_Position = worldviewproj * vPosition;				\n\
+		v_color = vColor;										\n\
         v_texCoord1 = vTexCoord1.st;							\n\
 		v_texCoord2 = vTexCoord2.st;							\n\
 																\n\
-		vec4 pos = vec4(dot(vPosition, worldtransform[0]), dot(vPosition, worldtransform[1]), dot(vPosition, worldtransform[2]), dot(vPosition, worldtransform[3]));							\n\
-																\n\
-		// transform normal, binormal and tangent					\n\
-		vec3 normal = vec3(dot(vNormal.xyz, worldtransform[0].xyz), dot(vNormal.xyz, worldtransform[1].xyz), dot(vNormal.xyz, worldtransform[2].xyz));		\n\
-		vec3 tangent = vec3(dot(vTangent.xyz, worldtransform[0].xyz), dot(vTangent.xyz, worldtransform[1].xyz), dot(vTangent.xyz, worldtransform[2].xyz));     \n\
-		vec3 binormal = vec3(dot(vBinormal.xyz, worldtransform[0].xyz), dot(vBinormal.xyz, worldtransform[1].xyz), dot(vBinormal.xyz, worldtransform[2].xyz));     \n\
-																\n\
-		vec3 temp = vec3(0.0, 0.0, 0.0);						\n\
-		for(int i=0; i<4; ++i) 									\n\
-		{														\n\
-			vec3 lightPos = vec3(arrLightPositions[i].xyz);		\n\
-			vec3 vertexToLight = lightPos - vec3(pos.xyz); \n\
-																\
-			// transform the light vector 1 with U, V, W		\n\
-			temp.x = dot(tangent.xyz, vertexToLight);				\n\
-			temp.y = dot(binormal.xyz, vertexToLight);				\n\
-			temp.z = dot(normal.xyz, vertexToLight);				\n\
-																\n\
-			// normalize light vector					\n\
-			temp = normalize(temp); 					\n\
+		v_worldPos = vec3(dot(vPosition, worldtransform[0]), dot(vPosition, worldtransform[1]), dot(vPosition, worldtransform[2]));	\n\
+		v_normal = transformDirection(vNormal.xyz);				\n\
+		v_tangent = transformDirection(vBinormal);				\n\
+		v_binormal = transformDirection(vTangent);				\n\
 																\n\
-			// move from -1..1 to 0..1 and put into output		\n\
-			temp = temp * 0.5;							\n\
-			temp = temp + vec3(0.5,0.5,0.5);			\n\
-			v_lightVector[i] = temp;				\n\
-														\n\
-			// calculate attenuation					\n\
-			float distanceFact = 1.0 / sqrt(dot(vertexToLight, vertexToLight) * arrLightPositions[i].w); \n\
-			v_lightColor[i] = min(vec3(arrLightColors[i].x*distanceFact, arrLightColors[i].y*distanceFact, arrLightColors[i].z*distanceFact), vec3(1,1,1));		\n\
-		}														\n\
-		// ambient light\n\
-		ambientLight = arrLightColors[4].xyz;				\n\
+		#ifdef RECEIVE_SHADOWS									\n\
+		v_shadowCoord = shadowtransform * vPosition;			\n\
+		#endif													\n\
+		calculateFog();											\n\
     }															\n\
-	";	
-	
-CL3D.Renderer.prototype.fs_shader_onlyfirsttexture = "				\
-	uniform sampler2D texture1;									\
-	uniform sampler2D texture2;									\
-																\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
-    {															\
-        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
-        gl_FragColor = texture2D(texture1, texCoord);			\
-    }															\
-	";							
+	";
 
-CL3D.Renderer.prototype.fs_shader_onlyfirsttexture_gouraud	 = "	\
-	uniform sampler2D texture1;									\
-	uniform sampler2D texture2;									\
-																\
-	varying vec4 v_color;										\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
-    {															\
-        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
-        gl_FragColor = texture2D(texture1, texCoord) * v_color;	\n\
-    }															\
-	";			
+CL3D.Renderer.prototype.vs_shader_pbr_with_shadows = "#define RECEIVE_SHADOWS\n" + CL3D.Renderer.prototype.vs_shader_pbr;
 
-CL3D.Renderer.prototype.fs_shader_onlyfirsttexture_gouraud_alpharef	= "		\
-	uniform sampler2D texture1;									\
-	uniform sampler2D texture2;									\
-																\
-	varying vec4 v_color;										\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
-    {															\
-        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
-        gl_FragColor = texture2D(texture1, texCoord) * v_color;	\
-		if(gl_FragColor.a < 0.5)								\
-			discard;											\
-    }															\
+// start of the fragment shaders of physically based materials. The extension for selecting the mip map level of
+// the environment map is only available if it has been enabled in initWebGL(), otherwise the level is used as bias.
+CL3D.Renderer.prototype.fs_shader_pbr_header = "	\
+	#ifdef GL_EXT_shader_texture_lod							\n\
+	#extension GL_EXT_shader_texture_lod : enable				\n\
+	#endif														\n\
+	#ifdef GL_FRAGMENT_PRECISION_HIGH							\n\
+	precision highp float;										\n\
+	#else														\n\
+	precision mediump float;									\n\
+	#endif														\n\
 	";
-	
-CL3D.Renderer.prototype.fs_shader_lightmapcombine = "				\
-	uniform sampler2D texture1;									\
-	uniform sampler2D texture2;									\
-																\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
-    {															\
-        vec2 texCoord1 = vec2(v_texCoord1.s, v_texCoord1.t);	\
-		vec2 texCoord2 = vec2(v_texCoord2.s, v_texCoord2.t);	\
-        vec4 col1 = texture2D(texture1, texCoord1);				\
-		vec4 col2 = texture2D(texture2, texCoord2);				\
-		gl_FragColor = col1 * col2;								\
-    }															\
-	";		
 
-CL3D.Renderer.prototype.fs_shader_lightmapcombine_m4 = "		\
-	uniform sampler2D texture1;									\
-	uniform sampler2D texture2;									\
-																\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
-    {															\
-        vec2 texCoord1 = vec2(v_texCoord1.s, v_texCoord1.t);	\
-		vec2 texCoord2 = vec2(v_texCoord2.s, v_texCoord2.t);	\
-        vec4 col1 = texture2D(texture1, texCoord1);				\
-		vec4 col2 = texture2D(texture2, texCoord2);				\
-		gl_FragColor = col1 * col2 * 3.0;						\
-    }															\
-	";			
-	
-CL3D.Renderer.prototype.fs_shader_lightmapcombine_gouraud = "	\
-	uniform sampler2D texture1;									\
-	uniform sampler2D texture2;									\
-																\
-	varying vec4 v_color;										\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
-    {															\
-        vec2 texCoord1 = vec2(v_texCoord1.s, v_texCoord1.t);	\
-		vec2 texCoord2 = vec2(v_texCoord2.s, v_texCoord2.t);	\
-        vec4 col1 = texture2D(texture1, texCoord1);				\
-		vec4 col2 = texture2D(texture2, texCoord2);				\
-		vec4 final = col1 * col2 * v_color;						\
-		gl_FragColor = vec4(final.x, final.y, final.z, col1.w);	\
-    }															\
-	";		
-	
-CL3D.Renderer.prototype.fs_shader_normalmapped	 = "	\
-	uniform sampler2D texture1;									\
-	uniform sampler2D texture2;									\
-																\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-	varying vec3 v_lightVector[4];								\
-	varying vec3 v_lightColor[4];								\
-	varying vec3 ambientLight;									\
-																\
-    void main()													\
-    {															\
-		vec4 colorMapSample = texture2D(texture1, v_texCoord1);	\
-		vec3 normalMapVector = texture2D(texture2, v_texCoord1).xyz;\
-		//normalMapVector -= vec3(0.5, 0.5, 0.5);					\n\
-		//normalMapVector = normalize(normalMapVector); 			\n\
-		normalMapVector *= vec3(2.0, 2.0, 2.0);					\n\
-		normalMapVector -= vec3(1.0, 1.0, 1.0);					\n\
+// Lights are shaded with the GGX distribution, the Smith visibility term and the Schlick fresnel approximation.
+// To match the gouraud shaded materials, a light with the color c lighting a white, rough surface from a distance d
+// contributes c / (attenuation * d). The environment map is used with the split sum approximation, with the 
+// analytical approximation of the BRDF integral by Karis. Colors of textures, vertices and the environment map are in 
+// sRGB space, the material, light and emissive colors are used as they are.
+CL3D.Renderer.prototype.fs_shader_pbr_main = "	\
+	uniform sampler2D texture1;		// base color				\n\
+	uniform sampler2D texture2;		// normal map				\n\
+	uniform sampler2D texture3;		// occlusion, roughness, metallic	\n\
+	uniform sampler2D texture4;		// emissive					\n\
+	uniform samplerCube environmentMap;							\n\
+	uniform samplerCube irradianceMap;							\n\
 																\n\
-		vec3 totallight = vec3(0.0, 0.0, 0.0);						\n\
-		for(int i=0; i<4; ++i) 									\n\
+	uniform vec4 arrLightPositions[4];							\n\
+	uniform vec4 arrLightColors[5];								\n\
+	uniform vec3 vecDirLight;									\n\
+	uniform vec4 colorDirLight;									\n\
+																\n\
+	// (metallic, roughness, occlusion strength)				\n\
+	uniform vec3 pbrFactors;									\n\
+	// (normal map set, occlusion roughness metallic map set, emissive map set)	\n\
+	uniform vec3 pbrMaps;										\n\
+	uniform vec3 emissiveColor;									\n\
+	// (environment map set, intensity, highest mip map level of the environment map)	\n\
+	uniform vec4 environmentParams;								\n\
+	// rotation from world space into the space of the environment map	\n\
+	uniform mat4 environmentTransform;							\n\
+	uniform vec3 eyePosition;									\n\
+																\n\
+	varying vec4 v_color;										\n\
+    varying vec2 v_texCoord1;									\n\
+	varying vec2 v_texCoord2;									\n\
+	varying vec3 v_worldPos;									\n\
+	varying vec3 v_normal;										\n\
+	varying vec3 v_tangent;										\n\
+	varying vec3 v_binormal;									\n\
+																\n\
+	#ifdef RECEIVE_SHADOWS										\n\
+	varying vec4 v_shadowCoord;									\n\
+	#endif														\n\
+																\n\
+	" + CL3D.Renderer.prototype.fs_shader_fog + "	\
+	const float PI = 3.14159265;								\n\
+																\n\
+	vec3 toLinear(vec3 c)										\n\
+	{															\n\
+		return pow(c, vec3(2.2, 2.2, 2.2));						\n\
+	}															\n\
+																\n\
+	vec3 getLightContribution(vec3 n, vec3 v, vec3 l, vec3 radiance, vec3 albedo, vec3 f0, float roughness, float metallic)	\n\
+	{															\n\
+		vec3 h = normalize(v + l);								\n\
+		float NdotL = max(dot(n, l), 0.0);						\n\
+		float NdotV = max(dot(n, v), 0.0001);					\n\
+		float NdotH = max(dot(n, h), 0.0);						\n\
+		float VdotH = max(dot(v, h), 0.0);						\n\
+																\n\
+		float a2 = roughness * roughness * roughness * roughness;	\n\
+		float d = NdotH * NdotH * (a2 - 1.0) + 1.0;				\n\
+		float distribution = a2 / (PI * d * d);					\n\
+																\n\
+		float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;	\n\
+		float visibility = 1.0 / (4.0 * (NdotV * (1.0 - k) + k) * (NdotL * (1.0 - k) + k));	\n\
+																\n\
+		vec3 fresnel = f0 + (vec3(1.0, 1.0, 1.0) - f0) * pow(1.0 - VdotH, 5.0);	\n\
+		vec3 diffuse = (vec3(1.0, 1.0, 1.0) - fresnel) * (1.0 - metallic) * albedo / PI;	\n\
+																\n\
+		return (diffuse + fresnel * (distribution * visibility)) * radiance * NdotL;	\n\
+	}															\n\
+																\n\
+	vec3 getEnvironmentColor(vec3 dir, float level)				\n\
+	{															\n\
+		#ifdef GL_EXT_shader_texture_lod						\n\
+		return toLinear(textureCubeLodEXT(environmentMap, dir, level).xyz);	\n\
+		#else													\n\
+		return toLinear(textureCube(environmentMap, dir, level).xyz);	\n\
+		#endif													\n\
+	}															\n\
+																\n\
+    void main()													\n\
+    {															\n\
+		vec4 baseColor = texture2D(texture1, v_texCoord1) * v_color;	\n\
+		vec3 albedo = toLinear(baseColor.xyz);					\n\
+																\n\
+		float metallic = pbrFactors.x;							\n\
+		float roughness = pbrFactors.y;							\n\
+		float occlusion = 1.0;									\n\
+																\n\
+		if (pbrMaps.y > 0.5)									\n\
 		{														\n\
-			// process light									\n\
-			//vec3 lightvect = v_lightVector[i] + vec3(-0.5, -0.5, -0.5); \n\
-			vec3 lightvect = (v_lightVector[i] * vec3(2.0, 2.0, 2.0)) - vec3(1.0, 1.0, 1.0); \n\
-			lightvect = normalize(lightvect);					\n\
-			float luminance = dot(lightvect, normalMapVector); // normal DOT light		\n\
-			luminance = clamp(luminance, 0.0, 1.0);	// clamp result to positive numbers		\n\
-			lightvect = luminance * v_lightColor[i];	// luminance * light color \n\
+			vec3 orm = texture2D(texture3, v_texCoord1).xyz;	\n\
+			occlusion = mix(1.0, orm.x, pbrFactors.z);			\n\
+			roughness *= orm.y;									\n\
+			metallic *= orm.z;									\n\
+		}														\n\
 																\n\
-			// add to previously calculated lights				\n\
-			totallight = totallight + lightvect;				\n\
+		metallic = clamp(metallic, 0.0, 1.0);					\n\
+		roughness = clamp(roughness, 0.05, 1.0);				\n\
+																\n\
+		// normal, from the normal map if there are tangents	\n\
+		vec3 n = normalize(v_normal);							\n\
+		if (pbrMaps.x > 0.5 && dot(v_tangent, v_tangent) > 0.000001)	\n\
+		{														\n\
+			vec3 t = normalize(v_tangent - n * dot(n, v_tangent));	\n\
+			vec3 b = cross(n, t);								\n\
+			b *= sign(dot(b, v_binormal));	// mirrored texture coordinates	\n\
+			vec3 m = texture2D(texture2, v_texCoord1).xyz * 2.0 - vec3(1.0, 1.0, 1.0);	\n\
+			n = normalize(t * m.x + b * m.y + n * m.z);			\n\
 		}														\n\
 																\n\
-		totallight = totallight + ambientLight;					\n\
-		gl_FragColor = colorMapSample * vec4(totallight.x, totallight.y, totallight.z, 0.0);	\n\
+		vec3 v = normalize(eyePosition - v_worldPos);			\n\
+		vec3 f0 = mix(vec3(0.04, 0.04, 0.04), albedo, metallic);	\n\
+																\n\
+		#ifdef RECEIVE_SHADOWS									\n\
+		vec4 shadows = getPointShadows(v_worldPos);				\n\
+		float dirShadow = getDirectionalShadow(v_shadowCoord);	\n\
+		#else													\n\
+		vec4 shadows = vec4(1.0, 1.0, 1.0, 1.0);				\n\
+		float dirShadow = 1.0;									\n\
+		#endif													\n\
+																\n\
+		// point lights and directional light					\n\
+		vec3 color = vec3(0.0, 0.0, 0.0);						\n\
+		for(int i=0; i<4; ++i)									\n\
+		{														\n\
+			vec3 vertexToLight = arrLightPositions[i].xyz - v_worldPos;	\n\
+			float distance = max(length(vertexToLight), 0.0001);	\n\
+			vec3 radiance = arrLightColors[i].xyz * (PI * shadows[i] / (arrLightPositions[i].w * distance));	\n\
+			color += getLightContribution(n, v, vertexToLight / distance, radiance, albedo, f0, roughness, metallic);	\n\
+		}														\n\
+																\n\
+		color += getLightContribution(n, v, vecDirLight, colorDirLight.xyz * (PI * dirShadow), albedo, f0, roughness, metallic);	\n\
+																\n\
+		// ambient light										\n\
+		color += arrLightColors[4].xyz * albedo * occlusion;	\n\
+																\n\
+		// image based lighting									\n\
+		if (environmentParams.x > 0.5)							\n\
+		{														\n\
+			float NdotV = max(dot(n, v), 0.0);					\n\
+			vec4 r = roughness * vec4(-1.0, -0.0275, -0.572, 0.022) + vec4(1.0, 0.0425, 1.04, -0.04);	\n\
+			float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;	\n\
+			vec2 brdf = vec2(-1.04, 1.04) * a004 + r.zw;		\n\
+																\n\
+			vec3 reflected = (environmentTransform * vec4(reflect(-v, n), 0.0)).xyz;	\n\
+			vec3 normal = (environmentTransform * vec4(n, 0.0)).xyz;	\n\
+																\n\
+			vec3 specular = getEnvironmentColor(reflected, roughness * environmentParams.z) * (f0 * brdf.x + brdf.y);	\n\
+			vec3 diffuse = toLinear(textureCube(irradianceMap, normal).xyz) * albedo * (1.0 - metallic);	\n\
+			color += (diffuse + specular) * (environmentParams.y * occlusion);	\n\
+		}														\n\
+																\n\
+		// emissive light										\n\
+		vec3 emissive = emissiveColor;							\n\
+		if (pbrMaps.z > 0.5)									\n\
+			emissive *= toLinear(texture2D(texture4, v_texCoord1).xyz);	\n\
+		color += emissive;										\n\
+																\n\
+		color = pow(clamp(color, 0.0, 1.0), vec3(1.0 / 2.2, 1.0 / 2.2, 1.0 / 2.2));	\n\
+		gl_FragColor = vec4(color.x, color.y, color.z, baseColor.w);	\n\
+		gl_FragColor = applyFog(gl_FragColor);					\n\
     }															\n\
 	";
-	
-CL3D.Renderer.prototype.fs_shader_vertex_alpha_two_textureblend	 = "	\
-	uniform sampler2D texture1;									\
-	uniform sampler2D texture2;									\
-																\
-	varying vec4 v_color;										\
-    varying vec2 v_texCoord1;									\
-	varying vec2 v_texCoord2;									\
-																\
-    void main()													\
-    {															\
-        vec2 texCoord = vec2(v_texCoord1.s, v_texCoord1.t);		\
-		vec4 color1 = texture2D(texture1, texCoord);			\
-		vec4 color2 = texture2D(texture2, texCoord);			\
-		color1 = ((1.0 - v_color.w) * color1) + (v_color.w * color2);	// interpolate texture colors based on vertex alpha	 \n\
-		gl_FragColor = color1 * v_color;		\n\
-    }															\
-	";	
-	
+
+CL3D.Renderer.prototype.fs_shader_pbr = CL3D.Renderer.prototype.fs_shader_pbr_header + CL3D.Renderer.prototype.fs_shader_pbr_main;
+
+CL3D.Renderer.prototype.fs_shader_pbr_with_shadows = CL3D.Renderer.prototype.fs_shader_pbr_header + CL3D.Renderer.prototype.fs_shader_shadow_functions +
+	"#define RECEIVE_SHADOWS\n" + CL3D.Renderer.prototype.fs_shader_pbr_main;
+
 // shader for lighting
 //vec3 lightDir = vec3(1.0, 1.0, 0.0);					\n\
 //vec4 transNormal = normaltransform * vec4(vNormal, 1);		\n\
@@ -0,0 +1,728 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+// -----------------------------------------------------------------------------------------
+// SaveGameManager
+// -----------------------------------------------------------------------------------------
+
+/**
+ * Stores save games and other persistent data of the application. Data is kept in memory and written into a
+ * storage backend: {@link CL3D.SaveGameStorageLocal} using localStorage, {@link CL3D.SaveGameStorageIndexedDB} using
+ * IndexedDB or {@link CL3D.SaveGameStorageMemory}, which keeps the data only as long as the page is open.<br/>
+ * Save games are stored as snapshots in named slots. A snapshot contains the values of all CopperCube variables
+ * (see {@link CL3D.CopperCubeVariable}) and optionally the position, rotation, scale and visibility of all scene nodes.
+ * Snapshots store the version of the format and the {@link DataVersion} of the application, so that snapshots of older
+ * versions of a game can be converted using {@link OnUpgradeSnapshot} when loaded.<br/>
+ * There is one global instance, CL3D.gSaveGameManager, which is also used by the 'Store or load a variable' action
+ * and the scripting functions ccbWriteFileContent() and ccbReadFileContent(). By default, it uses localStorage if available.
+ * @example
+ * CL3D.gSaveGameManager.saveSnapshot('slot1', engine.getScene(), true);
+ *
+ * // later:
+ * CL3D.gSaveGameManager.loadSnapshot('slot1', engine.getScene());
+ * @constructor
+ * @public
+ * @class Stores save games and other persistent data of the application.
+ * @param storage {Object} storage backend, for example a {@link CL3D.SaveGameStorageLocal}. If null, data is only stored in memory.
+ */
+CL3D.SaveGameManager = function(storage)
+{
+	this.Storage = null;
+	this.Entries = new Object();
+	this.RemovedWhileLoading = new Object(); // keys removed before the data of the storage has been loaded
+	this.Ready = false;
+	this.ReadyCallbacks = new Array();
+
+	/**
+	 * Version of the data of the application, stored in every snapshot. Increase this when the variables or scene nodes
+	 * of the game change in a way that old snapshots need to be converted, see {@link OnUpgradeSnapshot}.
+	 * @public
+	 * @type Number
+	 */
+	this.DataVersion = 1;
+
+	/**
+	 * Function called when loading a snapshot saved with an older {@link DataVersion}. It is called with the snapshot
+	 * object and the version it was saved with, and can change the members .Variables and .Nodes of the snapshot.
+	 * @public
+	 * @type Function
+	 */
+	this.OnUpgradeSnapshot = null;
+
+	this.setStorage(storage ? storage : new CL3D.SaveGameStorageMemory());
+}
+
+/**
+ * Version of the snapshot format.
+ * @private
+ */
+CL3D.SaveGameManager.SNAPSHOT_VERSION = 1;
+
+/**
+ * Prefix of the keys of the snapshots.
+ * @private
+ */
+CL3D.SaveGameManager.SLOT_PREFIX = 'slot/';
+
+/**
+ * Prefix of the keys of variables stored using the 'Store or load a variable' action.
+ * @private
+ */
+CL3D.SaveGameManager.VARIABLE_PREFIX = 'var/';
+
+/**
+ * Prefix of the keys of files written using ccbWriteFileContent().
+ * @private
+ */
+CL3D.SaveGameManager.FILE_PREFIX = 'file/';
+
+/**
+ * Sets the storage backend. The data stored in it is loaded, which may happen asynchronously,
+ * see {@link isReady}(). Data not yet written into the new storage is lost.
+ * @public
+ * @param storage {Object} the storage backend, for example a {@link CL3D.SaveGameStorageIndexedDB}.
+ * @param onReady {Function} optional function called when the data of the storage has been loaded.
+ */
+CL3D.SaveGameManager.prototype.setStorage = function(storage, onReady)
+{
+	var me = this;
+
+	this.Storage = storage;
+	this.Entries = new Object();
+	this.RemovedWhileLoading = new Object();
+	this.Ready = false;
+
+	if (onReady)
+		this.ReadyCallbacks.push(onReady);
+
+	storage.loadAll(function(entries)
+	{
+		if (me.Storage !== storage)
+			return; // replaced while loading
+
+		// keep values written and removed while loading
+
+		var key;
+		for (key in me.RemovedWhileLoading)
+			if (me.RemovedWhileLoading.hasOwnProperty(key))
+				delete entries[key];
+
+		for (key in me.Entries)
+			if (me.Entries.hasOwnProperty(key))
+				entries[key] = me.Entries[key];
+
+		me.Entries = entries;
+		me.RemovedWhileLoading = new Object();
+		me.Ready = true;
+
+		var callbacks = me.ReadyCallbacks;
+		me.ReadyCallbacks = new Array();
+
+		for (var i=0; i<callbacks.length; ++i)
+			callbacks[i]();
+	});
+}
+
+/**
+ * Returns the storage backend.
+ * @public
+ */
+CL3D.SaveGameManager.prototype.getStorage = function()
+{
+	return this.Storage;
+}
+
+/**
+ * Returns true if the data of the storage has been loaded. Before that, {@link getValue}() and
+ * {@link loadSnapshot}() only return data stored since the storage has been set.
+ * @public
+ */
+CL3D.SaveGameManager.prototype.isReady = function()
+{
+	return this.Ready;
+}
+
+/**
+ * Calls a function as soon as the data of the storage has been loaded, or immediately if this already happened.
+ * @public
+ * @param f {Function} function to call
+ */
+CL3D.SaveGameManager.prototype.onReady = function(f)
+{
+	if (this.Ready)
+		f();
+	else
+		this.ReadyCallbacks.push(f);
+}
+
+/**
+ * Stores a string.
+ * @public
+ * @param key {String} name of the value
+ * @param value {String} value to store. If this is null, the value is removed.
+ */
+CL3D.SaveGameManager.prototype.setValue = function(key, value)
+{
+	if (value == null)
+	{
+		this.removeValue(key);
+		return;
+	}
+
+	value = String(value);
+	this.Entries[key] = value;
+	delete this.RemovedWhileLoading[key];
+	this.Storage.write(key, value);
+}
+
+/**
+ * Returns a stored string, or null if there is no value with this name.
+ * @public
+ * @param key {String} name of the value
+ */
+CL3D.SaveGameManager.prototype.getValue = function(key)
+{
+	if (this.Entries.hasOwnProperty(key))
+		return this.Entries[key];
+
+	return null;
+}
+
+/**
+ * Removes a stored value.
+ * @public
+ * @param key {String} name of the value
+ */
+CL3D.SaveGameManager.prototype.removeValue = function(key)
+{
+	if (!this.Ready)
+	{
+		// the value may still be in the data being loaded, so remove it from there when it arrives
+		this.RemovedWhileLoading[key] = true;
+	}
+	else
+	if (!this.Entries.hasOwnProperty(key))
+		return;
+
+	delete this.Entries[key];
+	this.Storage.remove(key);
+}
+
+/**
+ * Returns the names of all stored values starting with a prefix.
+ * @private
+ */
+CL3D.SaveGameManager.prototype.getKeysWithPrefix = function(prefix)
+{
+	var ret = new Array();
+
+	for (var key in this.Entries)
+		if (this.Entries.hasOwnProperty(key) && key.indexOf(prefix) == 0)
+			ret.push(key.substring(prefix.length));
+
+	return ret;
+}
+
+/**
+ * Saves a snapshot of the current state of the game into a slot, replacing the snapshot stored in it before.
+ * @public
+ * @param slotName {String} name of the slot, like 'slot1' or 'autosave'.
+ * @param scene {CL3D.Scene} the scene to save the scene nodes of. Can be null if includeNodes is false.
+ * @param includeNodes {Boolean} set to true to also save position, rotation, scale and visibility of all scene nodes.
+ * @param userData {Object} optional additional data to store with the snapshot, must be convertible to JSON.
+ * @returns {Boolean} true if successful.
+ */
+CL3D.SaveGameManager.prototype.saveSnapshot = function(slotName, scene, includeNodes, userData)
+{
+	if (!slotName)
+		return false;
+
+	var snapshot = new Object();
+	snapshot.Version = CL3D.SaveGameManager.SNAPSHOT_VERSION;
+	snapshot.DataVersion = this.DataVersion;
+	snapshot.Time = new Date().getTime();
+	snapshot.SceneName = scene ? scene.Name : '';
+	snapshot.Variables = new Array();
+	snapshot.Nodes = null;
+	snapshot.UserData = userData != null ? userData : null;
+
+	var vars = CL3D.CopperCubeVariables;
+	for (var i=0; i<vars.length; ++i)
+	{
+		var v = vars[i];
+		if (v == null)
+			continue;
+
+		snapshot.Variables.push({ 'Name': v.Name, 'ActiveValueType': v.ActiveValueType,
+			'StringValue': v.StringValue, 'IntValue': v.IntValue, 'FloatValue': v.FloatValue });
+	}
+
+	if (includeNodes && scene)
+	{
+		snapshot.Nodes = new Array();
+		this.saveNodeStates(scene.getRootSceneNode(), new Array(), snapshot.Nodes);
+	}
+
+	try
+	{
+		this.setValue(CL3D.SaveGameManager.SLOT_PREFIX + slotName, JSON.stringify(snapshot));
+	}
+	catch(e)
+	{
+		CL3D.gCCDebugOutput.printError("Could not save game: " + e.message);
+		return false;
+	}
+
+	return true;
+}
+
+/**
+ * Loads a snapshot from a slot, setting all CopperCube variables stored in it and, if the snapshot contains them,
+ * the position, rotation, scale and visibility of the scene nodes.
+ * @public
+ * @param slotName {String} name of the slot
+ * @param scene {CL3D.Scene} the scene to restore the scene nodes in. Can be null to only load the variables.
+ * @returns {Boolean} true if successful, false if there is no snapshot in this slot.
+ */
+CL3D.SaveGameManager.prototype.loadSnapshot = function(slotName, scene)
+{
+	var snapshot = this.getSnapshot(slotName);
+	if (snapshot == null)
+		return false;
+
+	var i;
+
+	if (snapshot.Variables)
+		for (i=0; i<snapshot.Variables.length; ++i)
+		{
+			var saved = snapshot.Variables[i];
+			if (!saved.Name)
+				continue;
+
+			var v = CL3D.CopperCubeVariable.getVariable(saved.Name, true, scene);
+			if (v)
+			{
+				v.setAsCopy(saved);
+				CL3D.CopperCubeVariable.saveContentOfPotentialTemporaryVariableIntoSource(v, scene);
+			}
+		}
+
+	if (snapshot.Nodes && scene)
+		for (i=0; i<snapshot.Nodes.length; ++i)
+			this.restoreNodeState(scene, snapshot.Nodes[i]);
+
+	return true;
+}
+
+/**
+ * Returns the snapshot stored in a slot, or null if there is none. The returned object has the members Time
+ * (time of saving, in milliseconds since 1970), SceneName, DataVersion, UserData, Variables and Nodes.
+ * Snapshots of older data versions are already converted using {@link OnUpgradeSnapshot}.
+ * @public
+ * @param slotName {String} name of the slot
+ */
+CL3D.SaveGameManager.prototype.getSnapshot = function(slotName)
+{
+	var data = this.getValue(CL3D.SaveGameManager.SLOT_PREFIX + slotName);
+	if (data == null)
+		return null;
+
+	var snapshot = null;
+
+	try
+	{
+		snapshot = JSON.parse(data);
+	}
+	catch(e)
+	{
+		snapshot = null;
+	}
+
+	if (snapshot == null || snapshot.Version == null || snapshot.Version > CL3D.SaveGameManager.SNAPSHOT_VERSION)
+	{
+		CL3D.gCCDebugOutput.printError("Could not load save game '" + slotName + "': unsupported format.");
+		return null;
+	}
+
+	if (snapshot.DataVersion < this.DataVersion && this.OnUpgradeSnapshot)
+	{
+		this.OnUpgradeSnapshot(snapshot, snapshot.DataVersion);
+		snapshot.DataVersion = this.DataVersion;
+	}
+
+	return snapshot;
+}
+
+/**
+ * Deletes the snapshot stored in a slot.
+ * @public
+ * @param slotName {String} name of the slot
+ */
+CL3D.SaveGameManager.prototype.deleteSnapshot = function(slotName)
+{
+	this.removeValue(CL3D.SaveGameManager.SLOT_PREFIX + slotName);
+}
+
+/**
+ * Returns if there is a snapshot in a slot.
+ * @public
+ * @param slotName {String} name of the slot
+ */
+CL3D.SaveGameManager.prototype.hasSnapshot = function(slotName)
+{
+	return this.getValue(CL3D.SaveGameManager.SLOT_PREFIX + slotName) != null;
+}
+
+/**
+ * Returns an array with the names of all slots containing a snapshot.
+ * @public
+ */
+CL3D.SaveGameManager.prototype.getSnapshotSlotNames = function()
+{
+	return this.getKeysWithPrefix(CL3D.SaveGameManager.SLOT_PREFIX);
+}
+
+/**
+ * Stores the state of a node and its children. Nodes are identified by their id, and by their name and the
+ * indices of the children leading to them from the root for nodes without id.
+ * @private
+ */
+CL3D.SaveGameManager.prototype.saveNodeStates = function(node, path, out)
+{
+	for (var i=0; i<node.Children.length; ++i)
+	{
+		var n = node.Children[i];
+		var childPath = path.concat([i]);
+
+		out.push({ 'Id': n.Id, 'Name': n.Name, 'Path': childPath,
+			'Pos': [n.Pos.X, n.Pos.Y, n.Pos.Z],
+			'Rot': [n.Rot.X, n.Rot.Y, n.Rot.Z],
+			'Scale': [n.Scale.X, n.Scale.Y, n.Scale.Z],
+			'Visible': n.Visible });
+
+		this.saveNodeStates(n, childPath, out);
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameManager.prototype.restoreNodeState = function(scene, state)
+{
+	var node = null;
+
+	if (state.Id != null && state.Id != -1)
+		node = scene.getSceneNodeFromId(state.Id);
+
+	if (node == null && state.Path)
+	{
+		node = scene.getRootSceneNode();
+		for (var i=0; i<state.Path.length && node; ++i)
+			node = node.Children[state.Path[i]];
+
+		if (node && node.Name != state.Name)
+			node = null;
+	}
+
+	if (node == null)
+		return;
+
+	node.Pos = new CL3D.Vect3d(state.Pos[0], state.Pos[1], state.Pos[2]);
+	node.Rot = new CL3D.Vect3d(state.Rot[0], state.Rot[1], state.Rot[2]);
+	node.Scale = new CL3D.Vect3d(state.Scale[0], state.Scale[1], state.Scale[2]);
+	node.Visible = state.Visible;
+	node.updateAbsolutePosition();
+}
+
+// -----------------------------------------------------------------------------------------
+// Storage backends
+// -----------------------------------------------------------------------------------------
+
+/**
+ * Storage backend for the {@link CL3D.SaveGameManager} keeping all data only in memory.<br/>
+ * All storage backends implement the methods loadAll(callback), calling the callback with an object
+ * containing all stored keys and values, write(key, value) and remove(key).
+ * @constructor
+ * @public
+ * @class Storage backend keeping all data only in memory.
+ */
+CL3D.SaveGameStorageMemory = function()
+{
+	this.Entries = new Object();
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameStorageMemory.prototype.loadAll = function(callback)
+{
+	var ret = new Object();
+
+	for (var key in this.Entries)
+		if (this.Entries.hasOwnProperty(key))
+			ret[key] = this.Entries[key];
+
+	callback(ret);
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameStorageMemory.prototype.write = function(key, value)
+{
+	this.Entries[key] = value;
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameStorageMemory.prototype.remove = function(key)
+{
+	delete this.Entries[key];
+}
+
+/**
+ * Storage backend for the {@link CL3D.SaveGameManager} using the localStorage of the browser.
+ * Only a few megabytes can be stored using localStorage, use {@link CL3D.SaveGameStorageIndexedDB} for more.
+ * @constructor
+ * @public
+ * @class Storage backend using localStorage.
+ * @param name {String} name of the application, used as prefix for the stored keys so that several applications on the same web site don't overwrite each other's data. Default is 'copperlicht'.
+ */
+CL3D.SaveGameStorageLocal = function(name)
+{
+	this.Prefix = (name ? name : 'copperlicht') + '/';
+}
+
+/**
+ * Returns true if localStorage can be used in this browser.
+ * @public
+ */
+CL3D.SaveGameStorageLocal.isAvailable = function()
+{
+	try
+	{
+		return typeof window != 'undefined' && window.localStorage != null;
+	}
+	catch(e)
+	{
+		// accessing localStorage throws if it is disabled
+		return false;
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameStorageLocal.prototype.loadAll = function(callback)
+{
+	var ret = new Object();
+
+	try
+	{
+		var ls = window.localStorage;
+
+		for (var i=0; i<ls.length; ++i)
+		{
+			var key = ls.key(i);
+			if (key != null && key.indexOf(this.Prefix) == 0)
+				ret[key.substring(this.Prefix.length)] = ls.getItem(key);
+		}
+	}
+	catch(e)
+	{
+		CL3D.gCCDebugOutput.printError("Could not read from localStorage: " + e.message);
+	}
+
+	callback(ret);
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameStorageLocal.prototype.write = function(key, value)
+{
+	try
+	{
+		window.localStorage.setItem(this.Prefix + key, value);
+	}
+	catch(e)
+	{
+		CL3D.gCCDebugOutput.printError("Could not write to localStorage: " + e.message);
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameStorageLocal.prototype.remove = function(key)
+{
+	try
+	{
+		window.localStorage.removeItem(this.Prefix + key);
+	}
+	catch(e)
+	{
+	}
+}
+
+/**
+ * Storage backend for the {@link CL3D.SaveGameManager} using an IndexedDB database of the browser.
+ * Loading the data happens asynchronously, use {@link CL3D.SaveGameManager.onReady} to wait for it.
+ * @constructor
+ * @public
+ * @class Storage backend using IndexedDB.
+ * @param name {String} name of the database. Default is 'copperlicht'.
+ */
+CL3D.SaveGameStorageIndexedDB = function(name)
+{
+	this.Name = name ? name : 'copperlicht';
+	this.DB = null;
+	this.Failed = false;
+	this.PendingOperations = new Array(); // operations done before the database was opened
+}
+
+/**
+ * Name of the object store in the database.
+ * @private
+ */
+CL3D.SaveGameStorageIndexedDB.STORE_NAME = 'savegames';
+
+/**
+ * Returns true if IndexedDB can be used in this browser.
+ * @public
+ */
+CL3D.SaveGameStorageIndexedDB.isAvailable = function()
+{
+	try
+	{
+		return typeof window != 'undefined' && window.indexedDB != null;
+	}
+	catch(e)
+	{
+		return false;
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameStorageIndexedDB.prototype.loadAll = function(callback)
+{
+	var me = this;
+	var ret = new Object();
+	var storeName = CL3D.SaveGameStorageIndexedDB.STORE_NAME;
+
+	var fail = function(msg)
+	{
+		CL3D.gCCDebugOutput.printError("Could not open IndexedDB database " + me.Name + ": " + msg);
+		me.Failed = true;
+		me.PendingOperations = new Array();
+		callback(ret);
+	};
+
+	var request;
+
+	try
+	{
+		request = window.indexedDB.open(this.Name, 1);
+	}
+	catch(e)
+	{
+		fail(e.message);
+		return;
+	}
+
+	request.onupgradeneeded = function()
+	{
+		var db = request.result;
+		if (!db.objectStoreNames.contains(storeName))
+			db.createObjectStore(storeName);
+	};
+
+	request.onerror = function()
+	{
+		fail(request.error ? request.error.message : '');
+	};
+
+	request.onsuccess = function()
+	{
+		var db = request.result;
+		var tx = db.transaction(storeName, 'readonly');
+		var cursorRequest = tx.objectStore(storeName).openCursor();
+
+		cursorRequest.onsuccess = function()
+		{
+			var cursor = cursorRequest.result;
+			if (cursor)
+			{
+				ret[cursor.key] = cursor.value;
+				cursor['continue']();
+				return;
+			}
+
+			me.DB = db;
+
+			var ops = me.PendingOperations;
+			me.PendingOperations = new Array();
+			for (var i=0; i<ops.length; ++i)
+				ops[i]();
+
+			callback(ret);
+		};
+
+		cursorRequest.onerror = function()
+		{
+			fail(cursorRequest.error ? cursorRequest.error.message : '');
+		};
+	};
+}
+
+/**
+ * Runs an operation on the object store, or queues it if the database has not been opened yet.
+ * @private
+ */
+CL3D.SaveGameStorageIndexedDB.prototype.runOperation = function(op)
+{
+	if (this.Failed)
+		return;
+
+	var me = this;
+	var run = function()
+	{
+		try
+		{
+			var tx = me.DB.transaction(CL3D.SaveGameStorageIndexedDB.STORE_NAME, 'readwrite');
+			op(tx.objectStore(CL3D.SaveGameStorageIndexedDB.STORE_NAME));
+		}
+		catch(e)
+		{
+			CL3D.gCCDebugOutput.printError("Could not write to IndexedDB database " + me.Name + ": " + e.message);
+		}
+	};
+
+	if (this.DB)
+		run();
+	else
+		this.PendingOperations.push(run);
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameStorageIndexedDB.prototype.write = function(key, value)
+{
+	this.runOperation(function(store) { store.put(value, key); });
+}
+
+/**
+ * @private
+ */
+CL3D.SaveGameStorageIndexedDB.prototype.remove = function(key)
+{
+	this.runOperation(function(store) { store['delete'](key); });
+}
+
+
+CL3D.gSaveGameManager = new CL3D.SaveGameManager(
+	CL3D.SaveGameStorageLocal.isAvailable() ? new CL3D.SaveGameStorageLocal() : null);
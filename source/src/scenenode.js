@@ -29,6 +29,7 @@ CL3D.SceneNode = function()
 	this.AbsoluteTransformation = new CL3D.Matrix4();
 	this.scene = null;		
 	this.Selector = null;
+	this.CullingLeaf = null;
 }
 
 
@@ -453,6 +454,10 @@ CL3D.SceneNode.prototype.updateAbsolutePosition = function()
 	}
 	else
 		this.AbsoluteTransformation = this.getRelativeTransformation();
+	
+	// let the culling hierarchy refit this node only if it changed
+	if (this.CullingLeaf != null)
+		this.CullingLeaf.Hierarchy.checkSceneNode(this);
 }
 
 /**
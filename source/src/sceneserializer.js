@@ -0,0 +1,667 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * Saves a running {@link CL3D.Scene} into a JSON document and loads it again. All scene nodes reachable from
+ * {@link CL3D.Scene.getRootSceneNode}() are written with their current state, including their materials, meshes,
+ * animators and the actions of their action handlers, as well as all CopperCube variables (see {@link CL3D.CopperCubeVariable}).
+ * So moved, changed and cloned scene nodes are restored when the document is loaded again.<br/>
+ * Members of the objects are written generically, so also scene nodes and animators of custom classes in the CL3D
+ * namespace are saved. Textures and sounds are written as their urls and loaded again by the texture and sound managers.
+ * Runtime data like the collision world, physics bodies and renderer buffers is not saved but recreated when the loaded
+ * scene is used, for example after calling {@link CL3D.CopperLicht.gotoScene}().
+ * @example
+ * var serializer = new CL3D.SceneSerializer(engine);
+ * var text = serializer.saveScene(engine.getScene());
+ *
+ * // later:
+ * var scene = serializer.loadScene(text);
+ * engine.addScene(scene);
+ * engine.gotoScene(scene);
+ * @constructor
+ * @public
+ * @class Saves and loads scenes as JSON documents.
+ * @param engine {CL3D.CopperLicht} the engine instance. Its texture manager is used for loading textures of loaded scenes.
+ */
+CL3D.SceneSerializer = function(engine)
+{
+	this.Engine = engine;
+	this.TheTextureManager = engine ? engine.getTextureManager() : null;
+
+	// state while writing or reading a document
+	this.SavedScene = null;
+	this.Objects = null;
+	this.ObjectData = null;
+}
+
+/**
+ * Name of the format, written into every document.
+ * @private
+ */
+CL3D.SceneSerializer.FORMAT = 'CopperLichtScene';
+
+/**
+ * Version of the format, written into every document.
+ * @private
+ */
+CL3D.SceneSerializer.VERSION = 1;
+
+/**
+ * Members of the scene which are saved. All other members only contain runtime data.
+ * @private
+ */
+CL3D.SceneSerializer.SceneMembers = ['Name', 'BackgroundColor', 'AmbientLight', 'Gravity',
+	'FogMode', 'FogColor', 'FogStart', 'FogEnd', 'FogDensity', 'UseCulling', 'UseSpatialHierarchy',
+	'DefaultCameraPos', 'DefaultCameraTarget', 'RootNode', 'ActiveCamera', 'RegisteredSceneNodeAnimatorsForEventsList'];
+
+/**
+ * Members of objects which are never saved, because they only contain data created by the renderer.
+ * @private
+ */
+CL3D.SceneSerializer.TransientMembers = ['RendererNativeArray', 'EnvironmentMap', 'EnvironmentMapTextures'];
+
+/**
+ * Name of the member used for marking already written objects while saving.
+ * @private
+ */
+CL3D.SceneSerializer.ID_MEMBER = '__cl3dSerializerId';
+
+/**
+ * Saves a scene into a string containing a JSON document.
+ * @public
+ * @param scene {CL3D.Scene} the scene to save
+ * @returns {String} the document as string, which can be loaded again using {@link loadScene}().
+ */
+CL3D.SceneSerializer.prototype.saveScene = function(scene)
+{
+	return JSON.stringify(this.serializeScene(scene));
+}
+
+/**
+ * Loads a scene from a document created by {@link saveScene}() or {@link serializeScene}().
+ * The variables stored in the document are set as CopperCube variables.
+ * @public
+ * @param data {String} the document, as string or as already parsed object.
+ * @returns {CL3D.Scene} the loaded scene, or null if the data is not a valid document. Add it to the engine using {@link CL3D.CopperLicht.addScene}().
+ */
+CL3D.SceneSerializer.prototype.loadScene = function(data)
+{
+	var doc = data;
+
+	if (typeof data == 'string')
+	{
+		try
+		{
+			doc = JSON.parse(data);
+		}
+		catch(e)
+		{
+			doc = null;
+		}
+	}
+
+	return this.deserializeScene(doc);
+}
+
+/**
+ * Writes a scene into an object which can be stored as JSON.
+ * @public
+ * @param scene {CL3D.Scene} the scene to save
+ * @returns {Object} the document
+ */
+CL3D.SceneSerializer.prototype.serializeScene = function(scene)
+{
+	this.SavedScene = scene;
+	this.Objects = new Array();
+	this.ObjectData = new Array();
+
+	var doc = new Object();
+	doc.format = CL3D.SceneSerializer.FORMAT;
+	doc.version = CL3D.SceneSerializer.VERSION;
+
+	try
+	{
+		var sceneData = new Object();
+		sceneData.type = CL3D.SceneSerializer.getClassName(scene);
+
+		var members = CL3D.SceneSerializer.SceneMembers;
+		for (var i=0; i<members.length; ++i)
+			if (scene[members[i]] !== undefined)
+				sceneData[members[i]] = this.writeValue(scene[members[i]]);
+
+		doc.scene = sceneData;
+		doc.variables = this.writeValue(CL3D.CopperCubeVariables);
+
+		// write the members of all referenced objects, this adds more objects while running
+
+		for (var o=0; o<this.Objects.length; ++o)
+			this.writeObjectMembers(this.Objects[o], this.ObjectData[o]);
+
+		doc.objects = this.ObjectData;
+
+		// animators of the scene receiving key events from the engine
+
+		if (this.Engine)
+		{
+			doc.keyDownAnimators = this.getWrittenObjectIds(this.Engine.RegisteredAnimatorsForKeyDown);
+			doc.keyUpAnimators = this.getWrittenObjectIds(this.Engine.RegisteredAnimatorsForKeyUp);
+		}
+	}
+	finally
+	{
+		for (var j=0; j<this.Objects.length; ++j)
+			delete this.Objects[j][CL3D.SceneSerializer.ID_MEMBER];
+
+		this.SavedScene = null;
+		this.Objects = null;
+		this.ObjectData = null;
+	}
+
+	return doc;
+}
+
+/**
+ * Creates a scene from an object created by {@link serializeScene}().
+ * @public
+ * @param doc {Object} the document
+ * @returns {CL3D.Scene} the loaded scene, or null if the data is not a valid document.
+ */
+CL3D.SceneSerializer.prototype.deserializeScene = function(doc)
+{
+	if (doc == null || doc.format != CL3D.SceneSerializer.FORMAT || doc.scene == null || doc.objects == null)
+	{
+		CL3D.gCCDebugOutput.printError("Could not load scene: Not a saved CopperLicht scene.");
+		return null;
+	}
+
+	if (doc.version > CL3D.SceneSerializer.VERSION)
+	{
+		CL3D.gCCDebugOutput.printError("Could not load scene: Saved with a newer version of CopperLicht.");
+		return null;
+	}
+
+	var ctor = CL3D.SceneSerializer.getClassConstructor(doc.scene.type);
+	var scene = ctor ? new ctor() : new CL3D.Free3dScene();
+	var i;
+
+	this.SavedScene = scene;
+	this.Objects = new Array();
+	this.ObjectData = doc.objects;
+
+	try
+	{
+		// create all objects first, so that they can reference each other
+
+		for (i=0; i<doc.objects.length; ++i)
+			this.Objects.push(CL3D.SceneSerializer.createInstance(doc.objects[i].type));
+
+		for (i=0; i<doc.objects.length; ++i)
+			this.readObjectMembers(this.Objects[i], doc.objects[i]);
+
+		var members = CL3D.SceneSerializer.SceneMembers;
+		for (i=0; i<members.length; ++i)
+			if (doc.scene[members[i]] !== undefined)
+				scene[members[i]] = this.readValue(doc.scene[members[i]]);
+
+		if (scene.RootNode == null)
+			scene.RootNode = new CL3D.SceneNode();
+		if (scene.RegisteredSceneNodeAnimatorsForEventsList == null)
+			scene.RegisteredSceneNodeAnimatorsForEventsList = new Array();
+
+		scene.RootNode.scene = scene;
+		scene.RootNode.Parent = null;
+		this.onNodeLoaded(scene.RootNode);
+
+		if (this.Engine)
+		{
+			if (doc.keyDownAnimators)
+				for (i=0; i<doc.keyDownAnimators.length; ++i)
+					this.Engine.registerAnimatorForKeyDown(this.Objects[doc.keyDownAnimators[i]]);
+
+			if (doc.keyUpAnimators)
+				for (i=0; i<doc.keyUpAnimators.length; ++i)
+					this.Engine.registerAnimatorForKeyUp(this.Objects[doc.keyUpAnimators[i]]);
+		}
+
+		var variables = this.readValue(doc.variables);
+		if (variables)
+			for (i=0; i<variables.length; ++i)
+			{
+				var v = variables[i];
+				if (v == null || !v.Name)
+					continue;
+
+				var existing = CL3D.CopperCubeVariable.getVariable(v.Name, true, scene);
+				if (existing)
+					existing.setAsCopy(v);
+			}
+	}
+	finally
+	{
+		this.SavedScene = null;
+		this.Objects = null;
+		this.ObjectData = null;
+	}
+
+	return scene;
+}
+
+/**
+ * Updates the absolute positions of a loaded scene node and its children. References between nodes
+ * are stored directly, so there is no need for linking them using their ids like the FlaceLoader does.
+ * @private
+ */
+CL3D.SceneSerializer.prototype.onNodeLoaded = function(node)
+{
+	node.updateAbsolutePosition();
+
+	for (var i=0; i<node.Children.length; ++i)
+		this.onNodeLoaded(node.Children[i]);
+}
+
+/**
+ * Returns the indices of the objects of an array which have been written into the current document.
+ * @private
+ */
+CL3D.SceneSerializer.prototype.getWrittenObjectIds = function(ar)
+{
+	var ret = new Array();
+
+	if (ar)
+		for (var i=0; i<ar.length; ++i)
+		{
+			var id = ar[i] ? ar[i][CL3D.SceneSerializer.ID_MEMBER] : null;
+			if (id != null)
+				ret.push(id);
+		}
+
+	return ret;
+}
+
+/**
+ * @private
+ */
+CL3D.SceneSerializer.prototype.writeObjectMembers = function(obj, data)
+{
+	var members = new Object();
+	var transientMembers = CL3D.SceneSerializer.TransientMembers;
+
+	for (var m in obj)
+	{
+		if (!obj.hasOwnProperty(m) || m == CL3D.SceneSerializer.ID_MEMBER)
+			continue;
+
+		var v = obj[m];
+		if (typeof v == 'function' || v === undefined)
+			continue;
+
+		if (transientMembers.indexOf(m) != -1)
+			v = null;
+
+		members[m] = this.writeValue(v);
+	}
+
+	data.members = members;
+}
+
+/**
+ * @private
+ */
+CL3D.SceneSerializer.prototype.readObjectMembers = function(obj, data)
+{
+	var members = data.members;
+
+	for (var m in members)
+		if (members.hasOwnProperty(m))
+			obj[m] = this.readValue(members[m]);
+}
+
+/**
+ * Converts a value into data which can be stored as JSON.
+ * Objects are stored once in the object list of the document and referenced by their index.
+ * @private
+ */
+CL3D.SceneSerializer.prototype.writeValue = function(v)
+{
+	if (v == null)
+		return null;
+
+	var type = typeof v;
+
+	if (type == 'number')
+		return isFinite(v) ? v : null;
+
+	if (type == 'boolean' || type == 'string')
+		return v;
+
+	if (type != 'object')
+		return null;
+
+	var i;
+	var ret;
+
+	if (v instanceof Array)
+	{
+		ret = new Array();
+		for (i=0; i<v.length; ++i)
+			ret.push(typeof v[i] == 'function' ? null : this.writeValue(v[i]));
+		return ret;
+	}
+
+	var typedArrayName = CL3D.SceneSerializer.getTypedArrayName(v);
+	if (typedArrayName)
+		return { '$typed': typedArrayName, 'data': Array.prototype.slice.call(v) };
+
+	// values
+
+	if (v instanceof CL3D.Vect3d)
+		return { '$v3': [v.X, v.Y, v.Z] };
+
+	if (v instanceof CL3D.Vect2d)
+		return { '$v2': [v.X, v.Y] };
+
+	if (v instanceof CL3D.ColorF)
+		return { '$color': [v.R, v.G, v.B, v.A] };
+
+	if (v instanceof CL3D.Quaternion)
+		return { '$quat': [v.X, v.Y, v.Z, v.W] };
+
+	if (v instanceof CL3D.Matrix4)
+		return { '$matrix': [v.m00, v.m01, v.m02, v.m03, v.m04, v.m05, v.m06, v.m07,
+			v.m08, v.m09, v.m10, v.m11, v.m12, v.m13, v.m14, v.m15] };
+
+	if (v instanceof CL3D.Vertex3D)
+	{
+		var vtx = [v.Pos.X, v.Pos.Y, v.Pos.Z, v.Normal.X, v.Normal.Y, v.Normal.Z, v.Color,
+			v.TCoords.X, v.TCoords.Y];
+		if (v.TCoords2)
+			vtx.push(v.TCoords2.X, v.TCoords2.Y);
+		return { '$vertex': vtx };
+	}
+
+	// objects managed by the engine, stored by reference
+
+	if (v instanceof CL3D.Texture)
+		return v.Name ? { '$texture': v.Name } : null;
+
+	if (v instanceof CL3D.SoundSource)
+		return { '$sound': v.Name };
+
+	if (v instanceof CL3D.Scene)
+		return v === this.SavedScene ? { '$scene': 0 } : null;
+
+	if (v instanceof CL3D.CopperLicht)
+		return { '$engine': 0 };
+
+	if (CL3D.SceneSerializer.isTransientObject(v))
+		return null;
+
+	// other objects
+
+	var id = v[CL3D.SceneSerializer.ID_MEMBER];
+	if (id != null)
+		return { '$ref': id };
+
+	var className = CL3D.SceneSerializer.getClassName(v);
+	if (className == null)
+		return null; // DOM and browser objects
+
+	id = this.Objects.length;
+	v[CL3D.SceneSerializer.ID_MEMBER] = id;
+
+	this.Objects.push(v);
+	this.ObjectData.push({ 'type': className, 'members': null });
+
+	return { '$ref': id };
+}
+
+/**
+ * Converts data written by {@link writeValue} back into a value.
+ * @private
+ */
+CL3D.SceneSerializer.prototype.readValue = function(d)
+{
+	if (d == null || typeof d != 'object')
+		return d;
+
+	var i;
+	var ret;
+
+	if (d instanceof Array)
+	{
+		ret = new Array();
+		for (i=0; i<d.length; ++i)
+			ret.push(this.readValue(d[i]));
+		return ret;
+	}
+
+	var a;
+
+	if ((a = d['$ref']) != null)
+		return this.Objects[a];
+
+	if ((a = d['$v3']) != null)
+		return new CL3D.Vect3d(a[0], a[1], a[2]);
+
+	if ((a = d['$v2']) != null)
+		return new CL3D.Vect2d(a[0], a[1]);
+
+	if ((a = d['$color']) != null)
+	{
+		ret = new CL3D.ColorF();
+		ret.R = a[0];
+		ret.G = a[1];
+		ret.B = a[2];
+		ret.A = a[3];
+		return ret;
+	}
+
+	if ((a = d['$quat']) != null)
+		return new CL3D.Quaternion(a[0], a[1], a[2], a[3]);
+
+	if ((a = d['$matrix']) != null)
+	{
+		ret = new CL3D.Matrix4(false);
+		for (i=0; i<16; ++i)
+			ret.setByIndex(i, a[i]);
+		return ret;
+	}
+
+	if ((a = d['$vertex']) != null)
+	{
+		ret = new CL3D.Vertex3D(true);
+		ret.Pos.set(a[0], a[1], a[2]);
+		ret.Normal.set(a[3], a[4], a[5]);
+		ret.Color = a[6];
+		ret.TCoords.X = a[7];
+		ret.TCoords.Y = a[8];
+		if (a.length > 9)
+		{
+			ret.TCoords2.X = a[9];
+			ret.TCoords2.Y = a[10];
+		}
+		return ret;
+	}
+
+	if ((a = d['$typed']) != null)
+	{
+		var ctor = CL3D.SceneSerializer.getTypedArrayConstructor(a);
+		return ctor ? new ctor(d.data) : d.data;
+	}
+
+	if ((a = d['$texture']) != null)
+	{
+		if (this.TheTextureManager == null)
+			return null;
+
+		var t = this.TheTextureManager.getTextureFromName(a);
+		return t ? t : this.TheTextureManager.getTexture(a, true);
+	}
+
+	if ((a = d['$sound']) != null)
+		return CL3D.gSoundManager.getSoundFromSoundName(a, true);
+
+	if (d['$scene'] != null)
+		return this.SavedScene;
+
+	if (d['$engine'] != null)
+		return this.Engine;
+
+	return null;
+}
+
+/**
+ * Returns if an object only contains runtime data and is not saved.
+ * @private
+ */
+CL3D.SceneSerializer.isTransientObject = function(v)
+{
+	return v instanceof CL3D.TriangleSelector ||
+		v instanceof CL3D.PhysicsWorld ||
+		v instanceof CL3D.PhysicsBody ||
+		v instanceof CL3D.BoundingVolumeHierarchy ||
+		v instanceof CL3D.BVHTreeNode ||
+		v instanceof CL3D.NavMesh ||
+		v instanceof CL3D.PlayingSound ||
+		v instanceof CL3D.Renderer ||
+		v instanceof CL3D.TextureManager ||
+		v instanceof CL3D.SoundManager ||
+		v instanceof CL3D.CCDocument;
+}
+
+/**
+ * Returns the name of the class of an object in the CL3D namespace, 'Object' for plain objects,
+ * or null if the object is of any other class.
+ * @private
+ */
+CL3D.SceneSerializer.getClassName = function(v)
+{
+	var proto = Object.getPrototypeOf(v);
+	if (proto === Object.prototype)
+		return 'Object';
+
+	var reg = CL3D.SceneSerializer.getClassRegistry();
+
+	for (var i=0; i<reg.Prototypes.length; ++i)
+		if (reg.Prototypes[i] === proto)
+			return reg.Names[i];
+
+	return null;
+}
+
+/**
+ * @private
+ */
+CL3D.SceneSerializer.getClassConstructor = function(name)
+{
+	if (name == null || name == 'Object')
+		return null;
+
+	// classes in nested namespaces, like 'Action.SetOverlayText'
+	var parts = name.split('.');
+	var c = CL3D;
+
+	for (var i=0; i<parts.length && c != null; ++i)
+		c = c[parts[i]];
+
+	return typeof c == 'function' ? c : null;
+}
+
+/**
+ * Creates an object of a class without calling its constructor, because constructors of scene nodes and animators
+ * may need parameters or register the object somewhere. All members are set from the saved data afterwards.
+ * @private
+ */
+CL3D.SceneSerializer.createInstance = function(name)
+{
+	var ctor = CL3D.SceneSerializer.getClassConstructor(name);
+	if (ctor == null)
+		return new Object();
+
+	var F = function() {};
+	F.prototype = ctor.prototype;
+	return new F();
+}
+
+/**
+ * Returns the prototypes and names of all classes in the CL3D namespace, including the classes
+ * stored as members of other classes, like the actions in CL3D.Action.
+ * @private
+ */
+CL3D.SceneSerializer.getClassRegistry = function()
+{
+	if (CL3D.SceneSerializer.ClassRegistry)
+		return CL3D.SceneSerializer.ClassRegistry;
+
+	var reg = new Object();
+	reg.Prototypes = new Array();
+	reg.Names = new Array();
+
+	var add = function(c, name)
+	{
+		if (typeof c == 'function' && c.prototype && reg.Prototypes.indexOf(c.prototype) == -1)
+		{
+			reg.Prototypes.push(c.prototype);
+			reg.Names.push(name);
+		}
+	};
+
+	for (var name in CL3D)
+		add(CL3D[name], name);
+
+	for (var outer in CL3D)
+	{
+		var ns = CL3D[outer];
+		if (typeof ns == 'function')
+			for (var inner in ns)
+				if (ns.hasOwnProperty(inner) && inner != 'prototype')
+					add(ns[inner], outer + '.' + inner);
+	}
+
+	CL3D.SceneSerializer.ClassRegistry = reg;
+	return reg;
+}
+
+/**
+ * @private
+ */
+CL3D.SceneSerializer.ClassRegistry = null;
+
+/**
+ * Typed arrays which can be stored, by name. Not looked up on the global object, which is different when
+ * running headless.
+ * @private
+ */
+CL3D.SceneSerializer.TypedArrays = {
+	'Float32Array': Float32Array,
+	'Float64Array': Float64Array,
+	'Int8Array': Int8Array,
+	'Uint8Array': Uint8Array,
+	'Int16Array': Int16Array,
+	'Uint16Array': Uint16Array,
+	'Int32Array': Int32Array,
+	'Uint32Array': Uint32Array
+};
+
+/**
+ * @private
+ */
+CL3D.SceneSerializer.getTypedArrayConstructor = function(name)
+{
+	var arrays = CL3D.SceneSerializer.TypedArrays;
+	return arrays.hasOwnProperty(name) ? arrays[name] : null;
+}
+
+/**
+ * @private
+ */
+CL3D.SceneSerializer.getTypedArrayName = function(v)
+{
+	var arrays = CL3D.SceneSerializer.TypedArrays;
+
+	for (var name in arrays)
+		if (arrays.hasOwnProperty(name) && v instanceof arrays[name])
+			return name;
+
+	return null;
+}
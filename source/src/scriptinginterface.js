@@ -126,6 +126,8 @@ CL3D.ScriptingInterface = function()
 	this.OriginalShaderCallBack = null;
 	this.ShaderCallbacks = new Object();
 	this.CurrentShaderMaterialType = 0;
+	this.CurrentShaderProgram = null; // set while the shader callback of a post effect runs
+	this.PostEffects = new Array();
 			
 	//this.registerScriptingFunctions();
 }
@@ -347,6 +349,28 @@ CL3D.ScriptingInterface.prototype.getSceneNodePropertyFromOverlay = function(ove
 	return null;
 }
 
+/**
+ * Returns the physics body of a scene node with a rigid body animator. The node can also be specified by its id.
+ * @private
+ */
+CL3D.ScriptingInterface.prototype.getPhysicsBodyOfSceneNode = function(node)
+{
+	if (typeof node == 'number')
+		node = ccbGetSceneNodeFromId(node);
+		
+	if (node == null)
+		return null;
+		
+	var a = node.getAnimatorOfType('rigidbody');
+	if (a == null)
+		return null;
+		
+	if (a.getBody() == null && node.scene)
+		a.animateNode(node, CL3D.CLTimer.getTime()); // creates the body
+		
+	return a.getBody();
+}
+
 // --------------------------------------------------------------
 // AnimatorExtensionScript
 // --------------------------------------------------------------
@@ -1134,6 +1158,7 @@ function ccbSetSceneNodeProperty( node, propName, arg0, arg1, arg2 )
 	var animnode = null;
 	var lightnode = null;
 	var overlaynode = null;
+	var scene = null;
 	var type = node.getType();
 	
 	if (type == 'camera') 
@@ -1147,6 +1172,10 @@ function ccbSetSceneNodeProperty( node, propName, arg0, arg1, arg2 )
 	else
 	if (type == '2doverlay') 
 		overlaynode = node;
+		
+	// the root scene node holds the settings of the scene, like fog
+	if (node.scene != null && node.scene.getRootSceneNode() === node)
+		scene = node.scene;
 	
 	// set property
 	
@@ -1239,6 +1268,55 @@ function ccbSetSceneNodeProperty( node, propName, arg0, arg1, arg2 )
 			lightnode.LightData.Radius = firstParam;
 	}
 	else
+	if (propName == "FogMode")
+	{
+		if (scene != null)
+		{
+			var modes = ['none', 'linear', 'exp', 'exp2', 'height'];
+			var mode = firstParam;
+			
+			if (typeof firstParam == 'string')
+			{
+				mode = 0;
+				for (var i=0; i<modes.length; ++i)
+					if (modes[i] == firstParam.toLowerCase())
+						mode = i;
+			}
+			
+			scene.setFog(mode);
+		}
+	}
+	else
+	if (propName == "FogColor")
+	{
+		if (scene != null)
+		{
+			var color = new CL3D.ColorF();
+			color.R = x;
+			color.G = y;
+			color.B = z;
+			scene.setFog(scene.FogMode, color);
+		}
+	}
+	else
+	if (propName == "FogStart")
+	{
+		if (scene != null)
+			scene.setFog(scene.FogMode, null, firstParam);
+	}
+	else
+	if (propName == "FogEnd")
+	{
+		if (scene != null)
+			scene.setFog(scene.FogMode, null, null, firstParam);
+	}
+	else
+	if (propName == "FogDensity")
+	{
+		if (scene != null)
+			scene.setFog(scene.FogMode, null, null, null, firstParam);
+	}
+	else
 	if (propName == "Name")
 	{
 		node.Name = firstParam;
@@ -1259,6 +1337,7 @@ function ccbGetSceneNodeProperty( node, propName )
 	var animnode = null;
 	var lightnode = null;
 	var overlaynode = null;
+	var scene = null;
 	var type = node.getType();
 	
 	if (type == 'camera') 
@@ -1273,6 +1352,10 @@ function ccbGetSceneNodeProperty( node, propName )
 	if (type == '2doverlay') 
 		overlaynode = node;
 		
+	// the root scene node holds the settings of the scene, like fog
+	if (node.scene != null && node.scene.getRootSceneNode() === node)
+		scene = node.scene;
+		
 	
 	if (propName == "Visible")
 		return node.Visible;
@@ -1343,6 +1426,36 @@ function ccbGetSceneNodeProperty( node, propName )
 			return lightnode.LightData.Radius;
 	}
 	else
+	if (propName == "FogMode")
+	{
+		if (scene != null)
+			return scene.FogMode;
+	}
+	else
+	if (propName == "FogColor")
+	{
+		if (scene != null)
+			return new vector3d(scene.FogColor.R, scene.FogColor.G, scene.FogColor.B);
+	}
+	else
+	if (propName == "FogStart")
+	{
+		if (scene != null)
+			return scene.FogStart;
+	}
+	else
+	if (propName == "FogEnd")
+	{
+		if (scene != null)
+			return scene.FogEnd;
+	}
+	else
+	if (propName == "FogDensity")
+	{
+		if (scene != null)
+			return scene.FogDensity;
+	}
+	else
 	if (propName == "Name")
 	{
 		return node.Name;
@@ -1513,9 +1626,33 @@ function ccbEndProgram()
 /**
  * @ignore
  */
-function ccbSetPhysicsVelocity(nodeid, x, y, z)
+function ccbSetPhysicsVelocity(node, x, y, z)
+{
+	var body = CL3D.ScriptingInterface.getScriptingInterface().getPhysicsBodyOfSceneNode(node);
+	if (body != null)
+		body.setVelocity(new CL3D.Vect3d(x, y, z));
+}
+
+/**
+ * @ignore
+ */
+function ccbGetPhysicsVelocity(node)
+{
+	var body = CL3D.ScriptingInterface.getScriptingInterface().getPhysicsBodyOfSceneNode(node);
+	if (body == null)
+		return null;
+		
+	return new vector3d(body.Velocity.X, body.Velocity.Y, body.Velocity.Z);
+}
+
+/**
+ * @ignore
+ */
+function ccbApplyPhysicsImpulse(node, x, y, z)
 {
-	// ignore
+	var body = CL3D.ScriptingInterface.getScriptingInterface().getPhysicsBodyOfSceneNode(node);
+	if (body != null)
+		body.applyImpulse(new CL3D.Vect3d(x, y, z));
 }
 
 
@@ -1679,8 +1816,8 @@ function ccbSwitchToFullscreen(enablePointerLock, elementToSwitchToFullscreen)
  */
 function ccbReadFileContent(filename)
 {
-	// not possible
-	return null;
+	// files are stored by the save game manager, not in the file system
+	return CL3D.gSaveGameManager.getValue(CL3D.SaveGameManager.FILE_PREFIX + filename);
 }
 
 /**
@@ -1688,7 +1825,7 @@ function ccbReadFileContent(filename)
  */
 function ccbWriteFileContent(filename, content)
 {
-	// not possible
+	CL3D.gSaveGameManager.setValue(CL3D.SaveGameManager.FILE_PREFIX + filename, content);
 }
 
 /**
@@ -1803,7 +1940,7 @@ function ccbCreateMaterial(vertexShader, fragmentShader, baseMaterialType, shade
 	var scripting = CL3D.ScriptingInterface.getScriptingInterface();
 	var engine = scripting.Engine;
 	var renderer = engine.getRenderer();
-	if (renderer == null)
+	if (renderer == null || renderer.getWebGL() == null)
 		return -1;
 
 	var basemat = renderer.MaterialPrograms[baseMaterialType];
@@ -1828,6 +1965,7 @@ function ccbCreateMaterial(vertexShader, fragmentShader, baseMaterialType, shade
 				if (c != null)
 				{
 					scripting.CurrentShaderMaterialType = mattype;
+					scripting.CurrentShaderProgram = null;
 					c();
 				}
 			}
@@ -1845,16 +1983,63 @@ function ccbSetShaderConstant(type, name, value1, value2, value3, value4)
 	var scripting = CL3D.ScriptingInterface.getScriptingInterface();
 	var engine = scripting.Engine;
 	var renderer = engine.getRenderer();
-	if (renderer == null)
+	if (renderer == null || renderer.getWebGL() == null)
 		return;
 		
 	var gl = renderer.getWebGL();
 	
-	var program = renderer.getGLProgramFromMaterialType(scripting.CurrentShaderMaterialType);
+	var program = scripting.CurrentShaderProgram;
+	if (program == null)
+		program = renderer.getGLProgramFromMaterialType(scripting.CurrentShaderMaterialType);
+		
 	var variableLocation = gl.getUniformLocation(program, name);
     gl.uniform4f(variableLocation, value1, value2, value3, value4);
 }
 
+/**
+ * @ignore
+ */
+function ccbCreatePostEffect(fragmentShader, shaderCallback)
+{
+	var scripting = CL3D.ScriptingInterface.getScriptingInterface();
+	var scene = scripting.CurrentlyActiveScene;
+	if (scene == null)
+		return -1;
+		
+	var callback = null;
+	if (shaderCallback != null)
+	{
+		callback = function(renderer, program)
+		{
+			scripting.CurrentShaderProgram = program;
+			shaderCallback();
+			scripting.CurrentShaderProgram = null;
+		}
+	}
+	
+	var effect = new CL3D.PostProcessEffect(fragmentShader, callback);
+	scene.addPostProcessEffect(effect);
+	
+	scripting.PostEffects.push(effect);
+	return scripting.PostEffects.length - 1;
+}
+
+/**
+ * @ignore
+ */
+function ccbSetPostEffectEnabled(id, enabled)
+{
+	var scripting = CL3D.ScriptingInterface.getScriptingInterface();
+	var effect = scripting.PostEffects[id];
+	if (effect == null)
+		return;
+		
+	effect.Enabled = enabled ? true : false;
+	
+	if (scripting.CurrentlyActiveScene)
+		scripting.CurrentlyActiveScene.forceRedrawNextFrame();
+}
+
 /**
  * @ignore
  */
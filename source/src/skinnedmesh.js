@@ -191,6 +191,15 @@ CL3D.SkinnedMesh = function()
 	this.Vertices_Moved = new Array(); // Vector.< Vector.<Boolean> > = new Vector.< Vector.<Boolean> >;
 	this.skinDoesNotMatchJointPositions = true;
 	
+	// skinning on the GPU, see prepareForGPUSkinning()
+	this.SkinnedOnGPU = false;
+	this.GPUSkinningPossible = false;
+	this.GPUSkinningPreparedForMaxJoints = -1;
+	this.GPUSkinningPalettes = new Array(); // per buffer: indices of the joints influencing it, or null
+	this.GPUSkinningMatrices = new Array(); // per buffer: WebGLFloatArray with the joint matrices, or null
+	this.GPUSkinningBoxes = new Array(); // per buffer: boxes around the vertices influenced by each joint in the palette
+	this.GPUSkinningStaticBoxes = new Array(); // per buffer: box around the vertices not influenced by any joint, or null
+	
 	this.NamedAnimationRanges = new Array(); // NamedAnimationRange
 }
 
@@ -508,8 +517,8 @@ CL3D.SkinnedMesh.prototype.animateMesh = function(frame, blend)
 							scale, joint.scaleHint,
 							rotation, joint.rotationHint);	
 
-			joint.Animatedposition = oldposition.getInterpolated(position, blend);
-			joint.Animatedscale = oldscale.getInterpolated(scale, blend);
+			joint.Animatedposition = position.getInterpolated(oldposition, blend);
+			joint.Animatedscale = scale.getInterpolated(oldscale, blend);
 			joint.Animatedrotation.slerp(oldrotation, rotation, blend);
 		}
 	}
@@ -592,7 +601,7 @@ CL3D.SkinnedMesh.prototype.getFrameData = function(frame, joint,
 			if (this.InterpolationMode == 0 /*EIM_CONSTANT*/ || foundPositionIndex == 0)
 			{
 				poskey = PositionKeys[foundPositionIndex];
-				position = poskey.position.clone();
+				position.setTo(poskey.position);
 			}
 			else if (this.InterpolationMode== 1 /*EIM_LINEAR*/ )
 			{
@@ -670,7 +679,7 @@ CL3D.SkinnedMesh.prototype.getFrameData = function(frame, joint,
 			if (this.InterpolationMode == 0 /*EIM_CONSTANT*/ || foundScaleIndex==0)
 			{
 				scalekey = ScaleKeys[foundScaleIndex];
-				scale = scalekey.scale.clone();
+				scale.setTo(scalekey.scale);
 			}
 			else 
 			if (this.InterpolationMode == 1 /*EIM_LINEAR*/ )
@@ -739,7 +748,7 @@ CL3D.SkinnedMesh.prototype.getFrameData = function(frame, joint,
 			if (this.InterpolationMode == 0 /*EIM_CONSTANT*/ || foundRotationIndex == 0)
 			{
 				rotkey = RotationKeys[foundRotationIndex];
-				rotation = rotkey.rotation.clone();
+				rotkey.rotation.copyTo(rotation);
 			}
 			else if (this.InterpolationMode == 1 /*EIM_LINEAR*/ )
 			{
@@ -848,7 +857,7 @@ CL3D.SkinnedMesh.prototype.updateBoundingBox = function()
 	if (this.LocalBuffers.length)
 	{
 		var mbuffer = this.LocalBuffers[0]; // as MeshBuffer;
-		mbuffer.recalculateBoundingBox();
+		this.recalculateBufferBoundingBox(0);
 		this.BoundingBox.MinEdge = mbuffer.Box.MinEdge.clone();
 		this.BoundingBox.MaxEdge = mbuffer.Box.MaxEdge.clone();
 		
@@ -856,7 +865,7 @@ CL3D.SkinnedMesh.prototype.updateBoundingBox = function()
 		{				
 			mbuffer = this.LocalBuffers[i]; // as MeshBuffer;
 			
-			mbuffer.recalculateBoundingBox();
+			this.recalculateBufferBoundingBox(i);
 			
 			if (mbuffer.Transformation == null)
 			{
@@ -875,6 +884,19 @@ CL3D.SkinnedMesh.prototype.updateBoundingBox = function()
 	}
 }
 
+/**
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.recalculateBufferBoundingBox = function(bufferIdx)
+{
+	// boxes of mesh buffers skinned on the GPU have already been calculated by skinMeshOnGPU()
+	
+	if (this.SkinnedOnGPU && this.GPUSkinningPalettes[bufferIdx])
+		return;
+		
+	this.LocalBuffers[bufferIdx].recalculateBoundingBox();
+}
+
 /**
  * @private
  */
@@ -918,19 +940,8 @@ CL3D.SkinnedMesh.prototype.skinMesh = function(animateNormals)
 		
 	var i = 0;
 	var j = 0;
-	var mbuffer;
-	
-	// rigid animation
 	
-	for (i=0; i<this.AllJoints.length; ++i)
-	{	
-		var joint = this.AllJoints[i]; // as SkinnedMeshJoint;
-		for (j=0; j<joint.AttachedMeshes.length; ++j)
-		{
-			mbuffer = this.LocalBuffers[joint.AttachedMeshes[j]];
-			mbuffer.Transformation = joint.GlobalAnimatedMatrix.clone();
-		}
-	}
+	this.animateRigidMeshes();
 	
 	// clear skinning helper array
 
@@ -952,6 +963,318 @@ CL3D.SkinnedMesh.prototype.skinMesh = function(animateNormals)
 	}
 }
 
+/**
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.animateRigidMeshes = function()
+{
+	for (var i=0; i<this.AllJoints.length; ++i)
+	{	
+		var joint = this.AllJoints[i]; // as SkinnedMeshJoint;
+		for (var j=0; j<joint.AttachedMeshes.length; ++j)
+		{
+			var mbuffer = this.LocalBuffers[joint.AttachedMeshes[j]];
+			mbuffer.Transformation = joint.GlobalAnimatedMatrix.clone();
+		}
+	}
+}
+
+/**
+ * Prepares the mesh for being skinned on the GPU: Creates the joint indices and weights of the vertices of every
+ * mesh buffer, at most 4 per vertex, and the palette of joints used by every mesh buffer. Returns false if a mesh buffer 
+ * is influenced by more than maxJoints joints, then the mesh needs to be skinned on the CPU.
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.prepareForGPUSkinning = function(maxJoints)
+{
+	if (this.GPUSkinningPreparedForMaxJoints == maxJoints)
+		return this.GPUSkinningPossible;
+		
+	this.GPUSkinningPreparedForMaxJoints = maxJoints;
+	this.GPUSkinningPossible = false;
+	
+	if (!this.HasAnimation)
+		return false;
+		
+	var i;
+	var j;
+	var mbuffer;
+	
+	// collect the joints influencing every vertex
+	
+	var influences = new Array();
+	for (i=0; i<this.LocalBuffers.length; ++i)
+		influences.push(null);
+		
+	for (j=0; j<this.AllJoints.length; ++j)
+	{
+		var joint = this.AllJoints[j];
+		for (var w=0; w<joint.Weights.length; ++w)
+		{
+			var weight = joint.Weights[w];
+			
+			if (influences[weight.buffer_id] == null)
+				influences[weight.buffer_id] = new Array();
+				
+			var bufferInfluences = influences[weight.buffer_id];
+			if (bufferInfluences[weight.vertex_id] == null)
+				bufferInfluences[weight.vertex_id] = new Array();
+				
+			var o = new Object();
+			o.Joint = j;
+			o.Strength = weight.strength;
+			o.Pos = weight.StaticPos;
+			bufferInfluences[weight.vertex_id].push(o);
+		}
+	}
+	
+	// create palettes, joint indices and weights
+	
+	var palettes = new Array();
+	var jointIndices = new Array();
+	var jointWeights = new Array();
+	var boxes = new Array();
+	var staticBoxes = new Array();
+	
+	for (i=0; i<this.LocalBuffers.length; ++i)
+	{
+		mbuffer = this.LocalBuffers[i];
+		var bufferInfluences = influences[i];
+		
+		if (bufferInfluences == null)
+		{
+			palettes.push(null);
+			jointIndices.push(null);
+			jointWeights.push(null);
+			boxes.push(null);
+			staticBoxes.push(null);
+			continue;
+		}
+		
+		var palette = new Array();
+		var slotOfJoint = new Object();
+		var indicesArray = new Array();
+		var weightsArray = new Array();
+		var bufferBoxes = new Array();
+		var staticBox = null;
+		
+		for (var v=0; v<mbuffer.Vertices.length; ++v)
+		{
+			var vtxInfluences = bufferInfluences[v];
+			var k;
+			
+			if (vtxInfluences == null)
+			{
+				// not influenced by any joint, stays where it is
+				
+				for (k=0; k<4; ++k)
+				{
+					indicesArray.push(0);
+					weightsArray.push(0);
+				}
+				
+				var pos = mbuffer.Vertices[v].Pos;
+				if (staticBox == null)
+				{
+					staticBox = new CL3D.Box3d();
+					staticBox.reset(pos.X, pos.Y, pos.Z);
+				}
+				else
+					staticBox.addInternalPointByVector(pos);
+					
+				continue;
+			}
+			
+			// use the 4 strongest joints, scaled so that the sum of the weights stays the same
+			
+			var sumAll = 0;
+			for (k=0; k<vtxInfluences.length; ++k)
+				sumAll += vtxInfluences[k].Strength;
+				
+			vtxInfluences.sort(function(a, b) { return b.Strength - a.Strength; });
+			
+			var count = Math.min(vtxInfluences.length, 4);
+			var sumUsed = 0;
+			for (k=0; k<count; ++k)
+				sumUsed += vtxInfluences[k].Strength;
+				
+			var scale = sumUsed > 0 ? sumAll / sumUsed : 0;
+			
+			for (k=0; k<4; ++k)
+			{
+				if (k >= count)
+				{
+					indicesArray.push(0);
+					weightsArray.push(0);
+					continue;
+				}
+				
+				var influence = vtxInfluences[k];
+				var slot = slotOfJoint[influence.Joint];
+				
+				if (slot == null)
+				{
+					slot = palette.length;
+					slotOfJoint[influence.Joint] = slot;
+					palette.push(influence.Joint);
+					
+					var box = new CL3D.Box3d();
+					box.reset(influence.Pos.X, influence.Pos.Y, influence.Pos.Z);
+					bufferBoxes.push(box);
+				}
+				else
+					bufferBoxes[slot].addInternalPointByVector(influence.Pos);
+				
+				indicesArray.push(slot);
+				weightsArray.push(influence.Strength * scale);
+			}
+		}
+		
+		if (palette.length > maxJoints)
+			return false;
+			
+		palettes.push(palette);
+		jointIndices.push(indicesArray);
+		jointWeights.push(weightsArray);
+		boxes.push(bufferBoxes);
+		staticBoxes.push(staticBox);
+	}
+	
+	// all mesh buffers fit, store the data
+	
+	this.GPUSkinningPalettes = palettes;
+	this.GPUSkinningBoxes = boxes;
+	this.GPUSkinningStaticBoxes = staticBoxes;
+	this.GPUSkinningMatrices = new Array();
+	
+	for (i=0; i<this.LocalBuffers.length; ++i)
+	{
+		mbuffer = this.LocalBuffers[i];
+		mbuffer.JointIndices = jointIndices[i];
+		mbuffer.JointWeights = jointWeights[i];
+		
+		this.GPUSkinningMatrices.push(palettes[i] ? new WebGLFloatArray(palettes[i].length * 12) : null);
+	}
+	
+	this.GPUSkinningPossible = true;
+	return true;
+}
+
+/**
+ * Switches between skinning on the CPU and the GPU. When skinned on the GPU, the vertices of the mesh buffers 
+ * stay in their original position and are transformed by the shader using the joint indices and weights of 
+ * the vertices, see {@link prepareForGPUSkinning}.
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.setSkinnedOnGPU = function(onGPU)
+{
+	if (this.SkinnedOnGPU == onGPU)
+		return;
+		
+	this.SkinnedOnGPU = onGPU;
+	this.skinDoesNotMatchJointPositions = true;
+	
+	var i;
+	
+	if (onGPU)
+	{
+		// move the vertices back into their original positions
+		
+		for (i=0; i<this.AllJoints.length; ++i)
+		{
+			var joint = this.AllJoints[i];
+			for (var j=0; j<joint.Weights.length; ++j)
+			{
+				var weight = joint.Weights[j];
+				var vtx = this.LocalBuffers[weight.buffer_id].Vertices[weight.vertex_id];
+				vtx.Pos = weight.StaticPos.clone();
+				vtx.Normal = weight.StaticNormal.clone();
+			}
+		}
+	}
+	
+	// recreate the buffers of the renderer, with the joint data or with normals changed by the CPU
+	
+	for (i=0; i<this.LocalBuffers.length; ++i)
+		if (this.GPUSkinningPalettes[i])
+			this.LocalBuffers[i].update();
+}
+
+/**
+ * Skins the mesh on the GPU: calculates the joint matrices of every mesh buffer, and its bounding box.
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.skinMeshOnGPU = function()
+{
+	if (!this.HasAnimation)
+		return;
+		
+	this.skinDoesNotMatchJointPositions = false;
+	this.buildAll_GlobalAnimatedMatrices(null, null);
+	
+	this.animateRigidMeshes();
+	
+	var i;
+	var jointVertexPulls = new Array();
+	
+	for (i=0; i<this.AllJoints.length; ++i)
+	{
+		var joint = this.AllJoints[i];
+		jointVertexPulls.push(joint.GlobalAnimatedMatrix.multiply(joint.GlobalInversedMatrix));
+	}
+	
+	for (i=0; i<this.LocalBuffers.length; ++i)
+	{
+		var palette = this.GPUSkinningPalettes[i];
+		if (!palette)
+			continue;
+			
+		// the first three rows of every joint matrix
+			
+		var arr = this.GPUSkinningMatrices[i];
+		
+		for (var j=0; j<palette.length; ++j)
+		{
+			var m = jointVertexPulls[palette[j]];
+			var o = j * 12;
+			
+			arr[o]   = m.m00; arr[o+1] = m.m04; arr[o+2]  = m.m08; arr[o+3]  = m.m12;
+			arr[o+4] = m.m01; arr[o+5] = m.m05; arr[o+6]  = m.m09; arr[o+7]  = m.m13;
+			arr[o+8] = m.m02; arr[o+9] = m.m06; arr[o+10] = m.m10; arr[o+11] = m.m14;
+		}
+		
+		// the vertices aren't moved, so calculate the bounding box from the boxes around the 
+		// vertices of every joint. Blended vertices are always inside of these.
+		
+		var mbuffer = this.LocalBuffers[i];
+		var boxes = this.GPUSkinningBoxes[i];
+		var staticBox = this.GPUSkinningStaticBoxes[i];
+		
+		for (j=0; j<palette.length; ++j)
+		{
+			var box = boxes[j].clone();
+			jointVertexPulls[palette[j]].transformBoxEx2(box);
+			
+			if (j == 0 && staticBox == null)
+			{
+				mbuffer.Box.MinEdge = box.MinEdge.clone();
+				mbuffer.Box.MaxEdge = box.MaxEdge.clone();
+			}
+			else
+			{
+				if (j == 0)
+				{
+					mbuffer.Box.MinEdge = staticBox.MinEdge.clone();
+					mbuffer.Box.MaxEdge = staticBox.MaxEdge.clone();
+				}
+				
+				mbuffer.Box.addInternalPointByVector(box.MinEdge);
+				mbuffer.Box.addInternalPointByVector(box.MaxEdge);
+			}
+		}
+	}
+}
+
 /**
  * @private
  */
@@ -1036,3 +1359,200 @@ CL3D.SkinnedMesh.prototype.addNamedAnimationRange = function(n)
 	this.NamedAnimationRanges.push(n);
 }
 
+
+// ------------------------------------------------------------------------------------------------
+// animation poses, used for blend spaces and animation layers
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Creates an array with a position, scale and rotation for each joint, for storing a pose of the skeleton.
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.createPose = function()
+{
+	var pose = new Array();
+	
+	for (var i=0; i<this.AllJoints.length; ++i)
+	{
+		var o = new Object();
+		o.Animatedposition = new CL3D.Vect3d(0,0,0);
+		o.Animatedscale = new CL3D.Vect3d(1,1,1);
+		o.Animatedrotation = new CL3D.Quaternion();
+		pose.push(o);
+	}
+	
+	return pose;
+}
+
+/**
+ * Stores the pose of all joints at a frame into a pose created with createPose().
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.getFramePose = function(frame, pose)
+{
+	for (var i=0; i<this.AllJoints.length; ++i)
+	{
+		var joint = this.AllJoints[i];
+		var p = pose[i];
+		
+		this.getFrameData(frame, joint, 
+						p.Animatedposition, joint.positionHint,
+						p.Animatedscale, joint.scaleHint,
+						p.Animatedrotation, joint.rotationHint);
+	}
+}
+
+/**
+ * Copies the current animated position, scale and rotation of all joints into a pose.
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.getJointPose = function(pose)
+{
+	for (var i=0; i<this.AllJoints.length; ++i)
+	{
+		var joint = this.AllJoints[i];
+		var p = pose[i];
+		
+		p.Animatedposition.setTo(joint.Animatedposition);
+		p.Animatedscale.setTo(joint.Animatedscale);
+		joint.Animatedrotation.copyTo(p.Animatedrotation);
+	}
+}
+
+/**
+ * Sets the animated position, scale and rotation of all joints to a pose and updates their matrices.
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.setJointPose = function(pose)
+{
+	for (var i=0; i<this.AllJoints.length; ++i)
+	{
+		var joint = this.AllJoints[i];
+		var p = pose[i];
+		
+		joint.Animatedposition = p.Animatedposition.clone();
+		joint.Animatedscale = p.Animatedscale.clone();
+		joint.Animatedrotation = p.Animatedrotation.clone();
+	}
+	
+	this.buildAll_LocalAnimatedMatrices();
+	this.skinDoesNotMatchJointPositions = true;
+	
+	// joints don't show a frame of the mesh anymore, so animateMesh() needs to animate them again
+	this.LastAnimatedFrame = -1;
+}
+
+/**
+ * Copies one pose into another one.
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.copyPose = function(source, target)
+{
+	for (var i=0; i<source.length && i<target.length; ++i)
+	{
+		target[i].Animatedposition.setTo(source[i].Animatedposition);
+		target[i].Animatedscale.setTo(source[i].Animatedscale);
+		source[i].Animatedrotation.copyTo(target[i].Animatedrotation);
+	}
+}
+
+/**
+ * Interpolates the target pose towards the source pose. 
+ * weight: 0 keeps the target pose, 1 replaces it with the source pose.
+ * jointWeights: optional array with a factor for the weight of each joint, see AnimationLayer
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.blendPoses = function(target, source, weight, jointWeights)
+{
+	for (var i=0; i<target.length && i<source.length; ++i)
+	{
+		var w = jointWeights ? weight * jointWeights[i] : weight;
+		if (w <= 0.0)
+			continue;
+			
+		var t = target[i];
+		var s = source[i];
+		
+		t.Animatedposition = s.Animatedposition.getInterpolated(t.Animatedposition, w);
+		t.Animatedscale = s.Animatedscale.getInterpolated(t.Animatedscale, w);
+		t.Animatedrotation.slerp(t.Animatedrotation, s.Animatedrotation, w);
+	}
+}
+
+/**
+ * Adds the difference between the source pose and a reference pose to the target pose.
+ * weight: amount of the difference to add, jointWeights: optional array with a factor for each joint
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.addPoseDifference = function(target, source, reference, weight, jointWeights)
+{
+	var identity = new CL3D.Quaternion();
+	var one = new CL3D.Vect3d(1,1,1);
+	
+	for (var i=0; i<target.length && i<source.length && i<reference.length; ++i)
+	{
+		var w = jointWeights ? weight * jointWeights[i] : weight;
+		if (w <= 0.0)
+			continue;
+			
+		var t = target[i];
+		var s = source[i];
+		var r = reference[i];
+		
+		t.Animatedposition.addToThis(s.Animatedposition.substract(r.Animatedposition).multiplyWithScal(w));
+		
+		if (r.Animatedscale.X != 0 && r.Animatedscale.Y != 0 && r.Animatedscale.Z != 0)
+		{
+			var scaleDiff = s.Animatedscale.divideThroughVect(r.Animatedscale);
+			t.Animatedscale = t.Animatedscale.multiplyWithVect(scaleDiff.getInterpolated(one, w));
+		}
+		
+		// rotation from the reference to the source, applied before the rotation of the target
+		
+		var rotationDiff = s.Animatedrotation.multiply(r.Animatedrotation.getInverse());
+		var q = new CL3D.Quaternion();
+		q.slerp(identity, rotationDiff, w);
+		t.Animatedrotation = q.multiply(t.Animatedrotation);
+		t.Animatedrotation.normalize();
+	}
+}
+
+/**
+ * Sets the weight of a joint and optionally of all its children in an array with a weight for each joint.
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.setJointWeight = function(weights, joint, weight, includeChildren)
+{
+	var idx = this.AllJoints.indexOf(joint);
+	if (idx < 0)
+		return;
+		
+	weights[idx] = weight;
+	
+	if (includeChildren)
+	{
+		for (var i=0; i<joint.Children.length; ++i)
+			this.setJointWeight(weights, joint.Children[i], weight, true);
+	}
+}
+
+/**
+ * Returns the joint with the given name, or null if there is none.
+ * @private
+ */
+CL3D.SkinnedMesh.prototype.getJointByName = function(name)
+{
+	if (!name)
+		return null;
+		
+	var lwrname = name.toLowerCase();
+	
+	for (var i=0; i<this.AllJoints.length; ++i)
+	{
+		var joint = this.AllJoints[i];
+		if (joint.Name && joint.Name.toLowerCase() == lwrname)
+			return joint;
+	}
+	
+	return null;
+}
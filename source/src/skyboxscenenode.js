@@ -3,7 +3,8 @@
 
 /**
  * A class rendering a sky box around the whole scene. It is a cube with 6 faces and six textures, which
- * can be accessed using {@link CL3D.SceneNode}.getMaterial().
+ * can be accessed using {@link CL3D.SceneNode}.getMaterial(). The sky box is also reflected by physically based
+ * materials like {@link CL3D.Material.EMT_PBR_SOLID}, see {@link UseAsEnvironmentMap}.
  * @constructor
  * @extends CL3D.MeshSceneNode 
  * @class A class rendering a sky box around the whole scene. 
@@ -11,6 +12,11 @@
 CL3D.SkyBoxSceneNode = function()
 {
 	this.OwnedMesh = new CL3D.Mesh();
+	
+	this.UseAsEnvironmentMap = true;
+	this.EnvironmentMapIntensity = 1.0;
+	this.EnvironmentMap = null;
+	this.EnvironmentMapTextures = null;
 		
 	var baseindices = [0,1,2, 0,2,3]; 
 	
@@ -82,6 +88,34 @@ CL3D.SkyBoxSceneNode = function()
 }
 CL3D.SkyBoxSceneNode.prototype = new CL3D.MeshSceneNode();
 
+/**
+ * Specifies if the sky box is used as environment map for the image based lighting of physically based materials 
+ * like {@link CL3D.Material.EMT_PBR_SOLID}: They reflect the sky box and are lit by the light coming from it. 
+ * The environment map is created from the textures of the sky box once they are loaded, and created again when they change. 
+ * This only works if the pixels of the textures can be read, which is not the case for images from other domains.
+ * Default is true.
+ * @public
+ * @type Boolean
+ */
+CL3D.SkyBoxSceneNode.prototype.UseAsEnvironmentMap = true;
+
+/**
+ * Factor for the light physically based materials receive from the sky box, see {@link UseAsEnvironmentMap}. Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.SkyBoxSceneNode.prototype.EnvironmentMapIntensity = 1.0;
+
+/**
+ * @private
+ */
+CL3D.SkyBoxSceneNode.prototype.EnvironmentMap = null;
+
+/**
+ * @private
+ */
+CL3D.SkyBoxSceneNode.prototype.EnvironmentMapTextures = null;
+
 
 /** 
  * Returns the type string of the scene node.
@@ -135,7 +169,7 @@ CL3D.SkyBoxSceneNode.prototype.render = function(renderer)
 	
 	var translate = new CL3D.Matrix4(false);
 	this.AbsoluteTransformation.copyTo(translate);
-	translate.setTranslation(cam.getAbsolutePosition());
+	translate.setTranslation(cam.getViewPosition());
 	
 	var viewDistance = (cam.getNearValue() + cam.getFarValue()) * 0.5;
 	var scale = new CL3D.Matrix4();
@@ -160,9 +194,191 @@ CL3D.SkyBoxSceneNode.prototype.createClone = function(newparent, oldNodeId, newN
 		
 	c.ReadonlyMaterials = this.ReadonlyMaterials;
 	c.DoesCollision = this.DoesCollision;
+	c.UseAsEnvironmentMap = this.UseAsEnvironmentMap;
+	c.EnvironmentMapIntensity = this.EnvironmentMapIntensity;
 			
 	if (this.Box)
 		c.Box = this.Box.clone();
 	
 	return c;
-}
\ No newline at end of file
+}
+
+/**
+ * Returns the environment map created from the textures of the sky box, used for the image based lighting of 
+ * physically based materials. See {@link UseAsEnvironmentMap}.
+ * @public
+ * @param renderer {CL3D.Renderer} the renderer
+ * @returns {Object} the environment map, see {@link CL3D.Renderer.createEnvironmentMap}(), or null if 
+ * {@link UseAsEnvironmentMap} is false, the textures are not loaded yet or cannot be read.
+ */
+CL3D.SkyBoxSceneNode.prototype.getEnvironmentMap = function(renderer)
+{
+	if (!this.UseAsEnvironmentMap || !this.OwnedMesh || !renderer)
+		return null;
+		
+	var buffers = this.OwnedMesh.MeshBuffers;
+	var textures = new Array();
+	var i;
+	
+	for (i=0; i<buffers.length; ++i)
+	{
+		var tex = buffers[i].Mat.Tex1;
+		if (!tex || !tex.Loaded || !tex.Image)
+			return null;
+			
+		textures.push(tex);
+	}
+	
+	// create the environment map again only if the textures changed
+	
+	var changed = this.EnvironmentMapTextures == null || this.EnvironmentMapTextures.length != textures.length;
+	for (i=0; !changed && i<textures.length; ++i)
+		changed = this.EnvironmentMapTextures[i] !== textures[i];
+		
+	if (!changed)
+		return this.EnvironmentMap;
+		
+	if (this.EnvironmentMap)
+		renderer.deleteEnvironmentMap(this.EnvironmentMap);
+		
+	this.EnvironmentMap = null;
+	this.EnvironmentMapTextures = textures;
+	
+	var sides = this.getEnvironmentMapSides(textures);
+	if (sides == null)
+		return null;
+		
+	var me = this;
+	this.EnvironmentMap = renderer.createEnvironmentMap(function(x, y, z, color) { me.getEnvironmentMapColor(sides, x, y, z, color); });
+	return this.EnvironmentMap;
+}
+
+/**
+ * Sets the environment map and its rotation into the renderer, before the scene is drawn.
+ * @private
+ */
+CL3D.SkyBoxSceneNode.prototype.setEnvironmentMapIntoRenderer = function(renderer)
+{
+	var map = this.getEnvironmentMap(renderer);
+	var transformation = null;
+	
+	if (map)
+	{
+		// the environment map is created in the space of the mesh, so world space directions need to be rotated back
+		transformation = new CL3D.Matrix4(true);
+		this.AbsoluteTransformation.getInverse(transformation);
+		transformation.setTranslation(new CL3D.Vect3d(0,0,0));
+	}
+	
+	renderer.setEnvironmentMap(map, this.EnvironmentMapIntensity, transformation);
+}
+
+/**
+ * Reads the pixels of the textures of the sky box and the planes of the sides, for creating the environment map.
+ * @private
+ */
+CL3D.SkyBoxSceneNode.prototype.getEnvironmentMapSides = function(textures)
+{
+	var sides = new Array();
+	var size = 128;
+	
+	try
+	{
+		var canvas = document.createElement("canvas");
+		canvas.width = size;
+		canvas.height = size;
+		var ctx = canvas.getContext("2d");
+		
+		for (var i=0; i<textures.length; ++i)
+		{
+			var buf = this.OwnedMesh.MeshBuffers[i];
+			if (buf.Indices.length < 3)
+				continue;
+				
+			var v0 = buf.Vertices[buf.Indices[0]];
+			var v1 = buf.Vertices[buf.Indices[1]];
+			var v2 = buf.Vertices[buf.Indices[2]];
+			
+			// the position of a point on the side is v0.Pos + a * Edge1 + b * Edge2, with a and b calculated from the 
+			// inverse of the matrix of the dot products of the edges
+			
+			var side = new Object();
+			side.Origin = v0.Pos;
+			side.Edge1 = v1.Pos.substract(v0.Pos);
+			side.Edge2 = v2.Pos.substract(v0.Pos);
+			side.Normal = side.Edge1.crossProduct(side.Edge2);
+			side.Distance = side.Normal.dotProduct(v0.Pos);
+			side.E11 = side.Edge1.dotProduct(side.Edge1);
+			side.E12 = side.Edge1.dotProduct(side.Edge2);
+			side.E22 = side.Edge2.dotProduct(side.Edge2);
+			side.Det = side.E11 * side.E22 - side.E12 * side.E12;
+			side.UV0 = v0.TCoords;
+			side.UV1 = new CL3D.Vect2d(v1.TCoords.X - v0.TCoords.X, v1.TCoords.Y - v0.TCoords.Y);
+			side.UV2 = new CL3D.Vect2d(v2.TCoords.X - v0.TCoords.X, v2.TCoords.Y - v0.TCoords.Y);
+			
+			if (side.Det == 0)
+				continue;
+			
+			ctx.clearRect(0, 0, size, size);
+			ctx.drawImage(textures[i].Image, 0, 0, size, size);
+			side.Pixels = ctx.getImageData(0, 0, size, size).data;
+			side.Size = size;
+			
+			sides.push(side);
+		}
+	}
+	catch(e)
+	{
+		CL3D.gCCDebugOutput.printError("Could not read pixels of sky box textures for the environment map: " + e);
+		return null;
+	}
+	
+	return sides.length ? sides : null;
+}
+
+/**
+ * Returns the color of the sky box in a direction, by finding the nearest side in that direction.
+ * @private
+ */
+CL3D.SkyBoxSceneNode.prototype.getEnvironmentMapColor = function(sides, x, y, z, color)
+{
+	var dir = new CL3D.Vect3d(x, y, z);
+	var nearest = null;
+	var nearestDist = 0;
+	var i;
+	
+	for (i=0; i<sides.length; ++i)
+	{
+		var s = sides[i];
+		var d = s.Normal.dotProduct(dir);
+		if (d == 0)
+			continue;
+			
+		var dist = s.Distance / d;
+		if (dist > 0 && (nearest == null || dist < nearestDist))
+		{
+			nearest = s;
+			nearestDist = dist;
+		}
+	}
+	
+	color[0] = color[1] = color[2] = 0;
+	if (nearest == null)
+		return;
+		
+	var h = dir.multiplyWithScal(nearestDist).substract(nearest.Origin);
+	var h1 = h.dotProduct(nearest.Edge1);
+	var h2 = h.dotProduct(nearest.Edge2);
+	var a = (nearest.E22 * h1 - nearest.E12 * h2) / nearest.Det;
+	var b = (nearest.E11 * h2 - nearest.E12 * h1) / nearest.Det;
+	
+	var u = nearest.UV0.X + a * nearest.UV1.X + b * nearest.UV2.X;
+	var v = nearest.UV0.Y + a * nearest.UV1.Y + b * nearest.UV2.Y;
+	
+	var px = CL3D.clamp(Math.floor(u * nearest.Size), 0, nearest.Size - 1);
+	var py = CL3D.clamp(Math.floor(v * nearest.Size), 0, nearest.Size - 1);
+	var p = (py * nearest.Size + px) * 4;
+	
+	for (i=0; i<3; ++i)
+		color[i] = nearest.Pixels[p+i] / 255.0;
+}
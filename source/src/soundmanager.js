@@ -3,6 +3,9 @@
 
 
 /**
+ * Plays sounds. If the browser supports it, sounds are played using the Web Audio API, which makes it
+ * possible to position sounds in 3D. Otherwise, HTML5 audio elements are used, which only support
+ * setting the volume.
  * @constructor
  * @private
  */
@@ -11,8 +14,140 @@ CL3D.SoundManager = function()
 	this.Sounds = new Array();
 	this.PlayingSounds = new Array();
 	this.GlobalVolume = 1.0;
+
+	// web audio
+	this.UseWebAudio = true;
+	this.Context = null;
+	this.ContextCreationFailed = false;
+	this.MasterGain = null;
+	this.PanningModel = 'equalpower';
+	this.DopplerFactor = 1.0;
+	this.SpeedOfSound = 3433.0;
+
+	// listener
+	this.ListenerPosition = null;
+	this.ListenerVelocity = new CL3D.Vect3d(0,0,0);
+	this.ListenerUpdateTime = 0;
+	
+	// clock, see updateFromClock() and setPausedByEngine()
+	this.TimeScale = 1.0;
+	this.PausedByClock = false;
+	this.PausedByEngine = false;
+	this.PlaybackPaused = false;
+
+	this.SoundLoadingListeners = new Array(); // called with the sound and true if it can be played, false if loading failed
+}
+
+/**
+ * Adds a function called when a sound has been loaded or failed to load, with the sound and true if it can be played.
+ * The sound manager is shared by all engines, each of them adds a listener.
+ * @private
+ */
+CL3D.SoundManager.prototype.addSoundLoadingListener = function(listener)
+{
+	this.SoundLoadingListeners.push(listener);
+}
+
+/**
+ * Rolloff model for 3d sounds: The volume decreases linearly between min and max distance.
+ * @private
+ * @const
+ */
+CL3D.SoundManager.ROLLOFF_LINEAR = 'linear';
+
+/**
+ * Rolloff model for 3d sounds: The volume decreases with minDistance / distance. This is the default.
+ * @private
+ * @const
+ */
+CL3D.SoundManager.ROLLOFF_INVERSE = 'inverse';
+
+/**
+ * Rolloff model for 3d sounds: The volume decreases with (distance / minDistance) ^ -rolloffFactor.
+ * @private
+ * @const
+ */
+CL3D.SoundManager.ROLLOFF_EXPONENTIAL = 'exponential';
+
+
+/**
+ * Returns the web audio context, or null if web audio isn't supported or disabled.
+ * @private
+ */
+CL3D.SoundManager.prototype.getAudioContext = function()
+{
+	if (this.Context != null)
+		return this.Context;
+
+	if (!this.UseWebAudio || this.ContextCreationFailed)
+		return null;
+
+	try
+	{
+		var ContextClass = null;
+		if (typeof AudioContext != 'undefined')
+			ContextClass = AudioContext;
+		else
+		if (typeof webkitAudioContext != 'undefined')
+			ContextClass = webkitAudioContext;
+
+		if (ContextClass != null)
+		{
+			this.Context = new ContextClass();
+			this.MasterGain = this.Context.createGain();
+			this.MasterGain.gain.value = this.GlobalVolume;
+			this.MasterGain.connect(this.Context.destination);
+		}
+	}
+	catch(err)
+	{
+		this.Context = null;
+	}
+
+	if (this.Context == null)
+		this.ContextCreationFailed = true;
+
+	return this.Context;
+}
+
+/**
+ * Returns true if sounds are played using the Web Audio API, false if HTML5 audio is used.
+ * @private
+ */
+CL3D.SoundManager.prototype.isUsingWebAudio = function()
+{
+	return this.getAudioContext() != null;
 }
 
+/**
+ * Sets if the Web Audio API should be used if available. Only has an effect for sounds created after this call.
+ * @private
+ */
+CL3D.SoundManager.prototype.setUseWebAudio = function(b)
+{
+	this.UseWebAudio = b;
+}
+
+/**
+ * Browsers start audio contexts suspended until the user interacted with the page,
+ * so we try to resume it whenever a sound is played.
+ * @private
+ */
+CL3D.SoundManager.prototype.resumeContextIfNeeded = function()
+{
+	if (this.PlaybackPaused)
+		return;
+		
+	if (this.Context && this.Context.state == 'suspended' && this.Context.resume)
+	{
+		try
+		{
+			this.Context.resume();
+		}
+		catch(err)
+		{ }
+	}
+}
 
 /**
  * @private
@@ -67,22 +202,380 @@ CL3D.SoundManager.prototype.getSoundFromSoundName = function(name, createIfNotFo
 	return null;
 }
 
+/**
+ * @private
+ */
+CL3D.SoundManager.prototype.getSoundSource = function(s)
+{
+	if (s == null)
+		return null;
+
+	// s can be the url or the sound source
+	if (typeof(s) == 'string')
+		return this.getSoundFromSoundName(s, true);
+
+	return s;
+}
+
 /**
  * @private
  * s can either be the URL or the SoundSource object
  */
 CL3D.SoundManager.prototype.play2D = function(s, looped, volume)
 {
-	if (s == null)
+	var soundSrc = this.getSoundSource(s);
+	if (soundSrc == null)
 		return null;
+
+	if (typeof volume === 'undefined')
+		volume = 1.0;
+
+	if (soundSrc.usesWebAudio())
+	{
+		var pl = new CL3D.PlayingSound(soundSrc);
+		pl.ownVolume = volume;
+		pl.looping = looped ? true : false;
+
+		this.clearFinishedPlayingSounds();
+		this.PlayingSounds.push(pl);
+		this.startWebAudioSound(pl);
+		return pl;
+	}
+
+	return this.play2DWithAudioElement(soundSrc, looped, volume);
+}
+
+/**
+ * Plays a sound positioned in 3d space. If the Web Audio API isn't available, the sound is played
+ * as 2d sound, use {@link CL3D.SoundManager.updateHTML5SoundVolume} to fade its volume with the distance then.
+ * @private
+ * s can either be the URL or the SoundSource object
+ * @param position {CL3D.Vect3d} position of the sound
+ * @param minDistance {Number} distance up to which the sound plays at full volume
+ * @param maxDistance {Number} distance after which the sound isn't getting quieter anymore
+ * @param rolloffModel {String} (optional) one of ROLLOFF_LINEAR, ROLLOFF_INVERSE (default) or ROLLOFF_EXPONENTIAL
+ * @param rolloffFactor {Number} (optional) how fast the sound is getting quieter, default is 1
+ */
+CL3D.SoundManager.prototype.play3D = function(s, position, looped, volume, minDistance, maxDistance, rolloffModel, rolloffFactor)
+{
+	var soundSrc = this.getSoundSource(s);
+	if (soundSrc == null)
+		return null;
+
+	if (typeof volume === 'undefined')
+		volume = 1.0;
+
+	if (!soundSrc.usesWebAudio())
+		return this.play2DWithAudioElement(soundSrc, looped, volume);
+
+	var pl = new CL3D.PlayingSound(soundSrc);
+	pl.ownVolume = volume;
+	pl.looping = looped ? true : false;
+	pl.is3D = true;
+	pl.position = position ? position.clone() : new CL3D.Vect3d(0,0,0);
+	pl.minDistance = minDistance ? minDistance : 1.0;
+	pl.maxDistance = maxDistance ? maxDistance : 10000.0;
+	pl.rolloffModel = rolloffModel ? rolloffModel : CL3D.SoundManager.ROLLOFF_INVERSE;
+	pl.rolloffFactor = (rolloffFactor == null) ? 1.0 : rolloffFactor;
+	pl.lastPositionUpdateTime = CL3D.CLTimer.getTime();
+
+	this.clearFinishedPlayingSounds();
+	this.PlayingSounds.push(pl);
+	this.startWebAudioSound(pl);
+	return pl;
+}
+
+/**
+ * Creates the web audio nodes for a playing sound and starts it. If the sound data is still loading,
+ * it will be started by the sound source as soon as it has been decoded.
+ * @private
+ */
+CL3D.SoundManager.prototype.startWebAudioSound = function(pl)
+{
+	var ctx = this.getAudioContext();
+	if (ctx == null || pl.hasStopped)
+		return;
+
+	this.resumeContextIfNeeded();
+
+	if (pl.src.buffer == null)
+	{
+		if (pl.src.loadingFailed)
+		{
+			// fall back to html5 audio for this sound, keeping the same playing sound for controlling it
+			if (pl.src.audioElem)
+				this.play2DWithAudioElement(pl.src, pl.looping, pl.ownVolume, pl);
+			else
+				pl.hasStopped = true;
+		}
+
+		return; // started when loaded
+	}
+
+	var source = ctx.createBufferSource();
+	source.buffer = pl.src.buffer;
+	source.loop = pl.looping;
+
+	var gain = ctx.createGain();
+	gain.gain.value = pl.ownVolume;
+	gain.connect(this.MasterGain);
+
+	if (pl.is3D)
+	{
+		var panner = ctx.createPanner();
+		panner.panningModel = this.PanningModel;
+		pl.panner = panner;
+		this.updatePannerSettings(pl);
+		this.setPannerPosition(panner, pl.position);
+
+		source.connect(panner);
+		panner.connect(gain);
+	}
+	else
+		source.connect(gain);
+
+	source.onended = function()
+	{
+		if (!pl.looping)
+			pl.hasEnded = true;
+	};
 	
-	// s can be the url or the sound source	
-	var soundSrc = null;
-	if (typeof(s) == 'string')
-		soundSrc = this.getSoundFromSoundName(s, true);
+	try
+	{
+		source.playbackRate.value = this.TimeScale;
+	}
+	catch(err)
+	{ }
+
+	pl.bufferSource = source;
+	pl.gainNode = gain;
+
+	if (source.start)
+		source.start(0);
 	else
-		soundSrc = s;
-		
+		source.noteOn(0);
+}
+
+/**
+ * @private
+ */
+CL3D.SoundManager.prototype.updatePannerSettings = function(pl)
+{
+	var panner = pl.panner;
+	if (!panner)
+		return;
+
+	panner.distanceModel = pl.rolloffModel;
+	panner.refDistance = Math.max(pl.minDistance, 0.0001);
+	panner.maxDistance = Math.max(pl.maxDistance, panner.refDistance);
+	panner.rolloffFactor = pl.rolloffFactor;
+}
+
+/**
+ * Web Audio uses a right handed coordinate system, so z is inverted
+ * @private
+ */
+CL3D.SoundManager.prototype.setPannerPosition = function(panner, pos)
+{
+	if (panner.positionX)
+	{
+		panner.positionX.value = pos.X;
+		panner.positionY.value = pos.Y;
+		panner.positionZ.value = -pos.Z;
+	}
+	else
+		panner.setPosition(pos.X, pos.Y, -pos.Z);
+}
+
+/**
+ * Updates the position of a sound started with play3D(). The velocity of the sound for the doppler effect
+ * is calculated from the change of the position.
+ * @private
+ */
+CL3D.SoundManager.prototype.setSoundPosition = function(pl, pos)
+{
+	if (!pl || !pl.is3D)
+		return;
+
+	var now = CL3D.CLTimer.getTime();
+	var difftime = now - pl.lastPositionUpdateTime;
+
+	if (difftime > 0)
+	{
+		pl.velocity = pos.substract(pl.position).multiplyWithScal(1000.0 / difftime);
+		pl.lastPositionUpdateTime = now;
+	}
+
+	pl.position = pos.clone();
+
+	if (pl.panner)
+		this.setPannerPosition(pl.panner, pos);
+
+	this.updateDoppler(pl);
+}
+
+/**
+ * Changes the distance settings of a sound started with play3D().
+ * @private
+ */
+CL3D.SoundManager.prototype.setSoundDistances = function(pl, minDistance, maxDistance, rolloffModel, rolloffFactor)
+{
+	if (!pl || !pl.is3D)
+		return;
+
+	pl.minDistance = minDistance;
+	pl.maxDistance = maxDistance;
+	if (rolloffModel)
+		pl.rolloffModel = rolloffModel;
+	if (rolloffFactor != null)
+		pl.rolloffFactor = rolloffFactor;
+
+	this.updatePannerSettings(pl);
+}
+
+/**
+ * Changes the playback rate of a 3d sound to simulate the doppler effect, based on the velocities
+ * of the sound and the listener.
+ * @private
+ */
+CL3D.SoundManager.prototype.updateDoppler = function(pl)
+{
+	if (!pl.bufferSource || !pl.is3D || this.ListenerPosition == null)
+		return;
+
+	var rate = 1.0;
+
+	if (this.DopplerFactor > 0 && this.SpeedOfSound > 0)
+	{
+		var toListener = this.ListenerPosition.substract(pl.position);
+		var distance = toListener.getLength();
+
+		if (distance > 0.0001)
+		{
+			toListener.multiplyThisWithScal(1.0 / distance);
+
+			var c = this.SpeedOfSound;
+			var vs = pl.velocity.dotProduct(toListener) * this.DopplerFactor;          // source moving towards listener
+			var vl = -this.ListenerVelocity.dotProduct(toListener) * this.DopplerFactor; // listener moving towards source
+
+			// don't go supersonic
+			vs = CL3D.clamp(vs, -c * 0.5, c * 0.5);
+			vl = CL3D.clamp(vl, -c * 0.5, c * 0.5);
+
+			rate = (c + vl) / (c - vs);
+		}
+	}
+	
+	rate *= this.TimeScale;
+
+	try
+	{
+		pl.bufferSource.playbackRate.value = rate;
+	}
+	catch(err)
+	{ }
+}
+
+/**
+ * Updates the position and orientation of the listener from a camera. Called by the scene every frame
+ * for the active camera.
+ * @private
+ * @param cam {CL3D.CameraSceneNode} the camera
+ */
+CL3D.SoundManager.prototype.updateListenerFromCamera = function(cam)
+{
+	if (cam == null || this.Context == null)
+		return;
+
+	var pos = cam.getAbsolutePosition();
+	var lookdir = cam.getTarget().substract(pos);
+	lookdir.normalize();
+	var up = cam.getUpVector();
+
+	// velocity for the doppler effect
+
+	var now = CL3D.CLTimer.getTime();
+
+	if (this.ListenerPosition != null)
+	{
+		var difftime = now - this.ListenerUpdateTime;
+		if (difftime > 0)
+			this.ListenerVelocity = pos.substract(this.ListenerPosition).multiplyWithScal(1000.0 / difftime);
+	}
+
+	this.ListenerPosition = pos.clone();
+	this.ListenerUpdateTime = now;
+
+	// set listener, z is inverted because Web Audio uses a right handed coordinate system
+
+	var l = this.Context.listener;
+
+	if (l.positionX)
+	{
+		l.positionX.value = pos.X;
+		l.positionY.value = pos.Y;
+		l.positionZ.value = -pos.Z;
+		l.forwardX.value = lookdir.X;
+		l.forwardY.value = lookdir.Y;
+		l.forwardZ.value = -lookdir.Z;
+		l.upX.value = up.X;
+		l.upY.value = up.Y;
+		l.upZ.value = -up.Z;
+	}
+	else
+	{
+		l.setPosition(pos.X, pos.Y, -pos.Z);
+		l.setOrientation(lookdir.X, lookdir.Y, -lookdir.Z, up.X, up.Y, -up.Z);
+	}
+
+	// update doppler of all sounds, since the listener may have moved
+
+	for (var i=0; i<this.PlayingSounds.length; ++i)
+		this.updateDoppler(this.PlayingSounds[i]);
+}
+
+/**
+ * Calculates the volume of a 3d sound played using HTML5 audio, which doesn't support 3d sound, based on
+ * the distance to the listener.
+ * @private
+ */
+CL3D.SoundManager.prototype.getVolumeForDistance = function(volume, distanceToListener, minDistance, maxDistance, rolloffModel, rolloffFactor)
+{
+	if (distanceToListener <= minDistance)
+		return volume; // listener is inside minDistance
+
+	if (rolloffFactor == null)
+		rolloffFactor = 1.0;
+
+	var fact = maxDistance - minDistance;
+	if (fact <= 0)
+		return volume;
+
+	if (distanceToListener > maxDistance) // keep volume at same level at max distance
+		distanceToListener = maxDistance;
+
+	if (rolloffModel == CL3D.SoundManager.ROLLOFF_LINEAR)
+	{
+		var interpol = (distanceToListener - minDistance) / fact; // interpol is 0 if close, 1 if far away
+		return volume * (1.0 - rolloffFactor * interpol);
+	}
+
+	var ref = Math.max(minDistance, 0.0001);
+
+	if (rolloffModel == CL3D.SoundManager.ROLLOFF_EXPONENTIAL)
+		return volume * Math.pow(distanceToListener / ref, -rolloffFactor);
+
+	// inverse, also called logarithmic rolloff
+	return volume * ref / (ref + rolloffFactor * (distanceToListener - ref));
+}
+
+/**
+ * Plays a sound using the HTML5 audio element of the sound source
+ * @private
+ * @param pl {CL3D.PlayingSound} (optional) playing sound to use, for sounds which were started using web audio
+ */
+CL3D.SoundManager.prototype.play2DWithAudioElement = function(soundSrc, looped, volume, pl)
+{
 	if (soundSrc == null ||
 		soundSrc.audioElem == null)
 		return null;
@@ -93,7 +586,7 @@ CL3D.SoundManager.prototype.play2D = function(s, looped, volume)
 	this.clearFinishedPlayingSounds();
 	
 	for (var i=0; i<this.PlayingSounds.length;)
-		if (this.PlayingSounds[i].src === soundSrc)
+		if (this.PlayingSounds[i].src === soundSrc && this.PlayingSounds[i] !== pl)
 		{
 			this.PlayingSounds[i].src.audioElem.pause();
 			this.PlayingSounds.splice(i,1);
@@ -112,17 +605,20 @@ CL3D.SoundManager.prototype.play2D = function(s, looped, volume)
 									  
 	// play
 	
-	if (typeof volume === 'undefined')
-		volume = 1.0;	
-	
 	soundSrc.audioElem.volume = volume * this.GlobalVolume;
+	this.setAudioElementPlaybackRate(soundSrc.audioElem, this.TimeScale);
 	soundSrc.audioElem.play();
 	
 	// create playing sound
 		
-	var pl = new CL3D.PlayingSound(soundSrc);
-	pl.ownVolume = volume;
-	this.PlayingSounds.push(pl);
+	if (pl)
+		pl.startTime = new Date().getTime();
+	else
+	{
+		pl = new CL3D.PlayingSound(soundSrc);
+		pl.ownVolume = volume;
+		this.PlayingSounds.push(pl);
+	}
 	
 	// a.audioElem.loop = looped; // this is only supported in chrome, firefox 
 								  // happily this, so we do this on our own with the next lines of code
@@ -155,6 +651,125 @@ CL3D.SoundManager.prototype.play2D = function(s, looped, volume)
 	return pl;
 }
 
+/**
+ * Pauses or resumes all sounds when the clock was paused or resumed, and changes their playback rate to the
+ * time scale of the clock. Called by the engine every frame. See {@link CL3D.Clock.AffectsSounds}.
+ * @private
+ */
+CL3D.SoundManager.prototype.updateFromClock = function(clock)
+{
+	var timeScale = clock.AffectsSounds ? clock.getTimeScale() : 1.0;
+	
+	this.PausedByClock = clock.AffectsSounds && clock.isPaused();
+	this.updatePlaybackPaused();
+	
+	if (timeScale != this.TimeScale)
+	{
+		this.TimeScale = timeScale;
+		
+		for (var i=0; i<this.PlayingSounds.length; ++i)
+		{
+			var pl = this.PlayingSounds[i];
+			
+			if (pl.bufferSource != null)
+			{
+				if (pl.is3D)
+					this.updateDoppler(pl);
+				else
+				{
+					try
+					{
+						pl.bufferSource.playbackRate.value = timeScale;
+					}
+					catch(err)
+					{ }
+				}
+			}
+			else
+			if (pl.src.audioElem)
+				this.setAudioElementPlaybackRate(pl.src.audioElem, timeScale);
+		}
+	}
+}
+
+/**
+ * Pauses or resumes all sounds when the engine was paused, stopped or resumed, independent of the clock.
+ * See {@link CL3D.CopperLicht.pause}().
+ * @private
+ */
+CL3D.SoundManager.prototype.setPausedByEngine = function(paused)
+{
+	this.PausedByEngine = paused;
+	this.updatePlaybackPaused();
+}
+
+/**
+ * Suspends or resumes the playback of all sounds if they are paused by the clock or the engine.
+ * @private
+ */
+CL3D.SoundManager.prototype.updatePlaybackPaused = function()
+{
+	var paused = this.PausedByClock || this.PausedByEngine;
+	
+	if (paused != this.PlaybackPaused)
+	{
+		this.PlaybackPaused = paused;
+		
+		if (this.Context)
+		{
+			try
+			{
+				if (paused)
+					this.Context.suspend();
+				else
+					this.Context.resume();
+			}
+			catch(err)
+			{ }
+		}
+		
+		for (var i=0; i<this.PlayingSounds.length; ++i)
+		{
+			var pl = this.PlayingSounds[i];
+			if (pl.bufferSource == null && pl.src.audioElem && !pl.hasPlayingCompleted())
+			{
+				if (paused)
+					pl.src.audioElem.pause();
+				else
+					pl.src.audioElem.play();
+			}
+		}
+	}
+}
+
+/**
+ * Sets the playback rate of an HTML5 audio element, within the range browsers support.
+ * @private
+ */
+CL3D.SoundManager.prototype.setAudioElementPlaybackRate = function(elem, rate)
+{
+	try
+	{
+		elem.playbackRate = CL3D.clamp(rate, 0.0625, 16);
+	}
+	catch(err)
+	{ }
+}
+
+/**
+ * Starts all sounds which were requested to be played while their sound source was still loading.
+ * @private
+ */
+CL3D.SoundManager.prototype.startWaitingSounds = function(soundSrc)
+{
+	for (var i=0; i<this.PlayingSounds.length; ++i)
+	{
+		var pl = this.PlayingSounds[i];
+		if (pl.src === soundSrc && !pl.hasStopped && pl.bufferSource == null)
+			this.startWebAudioSound(pl);
+	}
+}
+
 /**
  * @private
  */
@@ -163,11 +778,36 @@ CL3D.SoundManager.prototype.stop = function(playingSnd)
 	if (!playingSnd)
 		return;
 		
-	playingSnd.src.audioElem.pause();
-	playingSnd.hasStopped = true;
+	this.stopPlayingSound(playingSnd);
 	this.clearFinishedPlayingSounds();
 }
 
+/**
+ * @private
+ */
+CL3D.SoundManager.prototype.stopPlayingSound = function(pl)
+{
+	pl.hasStopped = true;
+
+	if (pl.bufferSource)
+	{
+		try
+		{
+			if (pl.bufferSource.stop)
+				pl.bufferSource.stop(0);
+			else
+				pl.bufferSource.noteOff(0);
+		}
+		catch(err)
+		{ }
+
+		pl.bufferSource = null;
+	}
+	else
+	if (pl.src.audioElem)
+		pl.src.audioElem.pause();
+}
+
 /**
  * @private
  */
@@ -185,14 +825,18 @@ CL3D.SoundManager.prototype.setGlobalVolume = function(v)
 	if (this.GlobalVolume < 0.0) this.GlobalVolume = 0.0;
 	if (this.GlobalVolume > 1.0) this.GlobalVolume = 1.0;
 	
+	if (this.MasterGain)
+		this.MasterGain.gain.value = this.GlobalVolume;
+
 	try 
 	{
-		// update volume for all playing sounds
+		// update volume for all sounds playing using html5 audio
 		
 		for (var i=0; i<this.PlayingSounds.length; ++i)
 		{
 			var pl = this.PlayingSounds[i];
-			pl.src.audioElem.volume = pl.ownVolume * this.GlobalVolume;
+			if (pl.src.audioElem && !pl.src.usesWebAudio())
+				pl.src.audioElem.volume = pl.ownVolume * this.GlobalVolume;
 		}
 	}
 	catch(err)
@@ -208,6 +852,13 @@ CL3D.SoundManager.prototype.setVolume = function(playingSnd, v)
 	if (!playingSnd)
 		return;
 		
+	if (playingSnd.gainNode)
+	{
+		playingSnd.ownVolume = v;
+		playingSnd.gainNode.gain.value = v;
+		return;
+	}
+
 	try {
 	 playingSnd.src.audioElem.volume = v;
 	}
@@ -221,11 +872,7 @@ CL3D.SoundManager.prototype.setVolume = function(playingSnd, v)
 CL3D.SoundManager.prototype.stopAll = function()
 {
 	for (var i=0; i<this.PlayingSounds.length; ++i)
-	{
-		var pl = this.PlayingSounds[i];
-		pl.hasStopped = true;
-		pl.src.audioElem.pause();
-	}
+		this.stopPlayingSound(this.PlayingSounds[i]);
 			
 	this.PlayingSounds = new Array();
 }
@@ -258,12 +905,32 @@ CL3D.gSoundManager = new CL3D.SoundManager();
 CL3D.SoundSource = function(name)
 {
 	this.Name = name;
-	
+	this.buffer = null;
+	this.loadingFailed = false;
+	this.isError = false;
+	this.readyToPlay = false; // set when loading is done and the sound can be played, see onLoadingDone()
+	this.audioElem = null;
+	this.loaded = true;
+
+	if (CL3D.gSoundManager && CL3D.gSoundManager.getAudioContext() != null)
+		this.loadWebAudioBuffer();
+	else
+		this.createAudioElement();
+}
+
+/**
+ * @private
+ */
+CL3D.SoundSource.prototype.createAudioElement = function()
+{
 	var a = null;
+	var me = this;
 	try // some browsers (IE) don't support the audio element
 	{	
 		a = new Audio();
-		a.src = name;	
+		a.addEventListener('canplaythrough', function() { me.onLoadingDone(true); }, false);
+		a.addEventListener('error', function() { me.onLoadingDone(false); }, false);
+		a.src = this.Name;
 	}
 	catch(err)
 	{ }
@@ -280,9 +947,94 @@ CL3D.SoundSource = function(name)
 	this.audioElem  = a;
 }
 
-CL3D.SoundSource.prototype.onAudioLoaded = function()
+/**
+ * Loads and decodes the sound file for playing it with web audio. Falls back to an audio element
+ * if that is not possible, for example because the browser cannot decode the file format.
+ * @private
+ */
+CL3D.SoundSource.prototype.loadWebAudioBuffer = function()
 {
-	//this.loaded = true;
+	var me = this;
+	this.loaded = false;
+
+	// if the file couldn't be loaded, the audio element will fail as well. If it only couldn't be decoded, it may still play it,
+	// and reports itself when it knows
+	var failed = function(fileMissing)
+	{
+		me.loadingFailed = true;
+		me.createAudioElement();
+		CL3D.gSoundManager.startWaitingSounds(me);
+		if (fileMissing || me.audioElem == null)
+			me.onLoadingDone(false);
+	};
+
+	try
+	{
+		var xhr = new XMLHttpRequest();
+		xhr.open('GET', this.Name, true);
+		xhr.responseType = 'arraybuffer';
+
+		xhr.onload = function()
+		{
+			if (xhr.status != 200 && xhr.status != 0)
+			{
+				failed(true);
+				return;
+			}
+
+			CL3D.gSoundManager.getAudioContext().decodeAudioData(xhr.response,
+				function(buffer) { me.onAudioLoaded(buffer); },
+				function() { failed(false); });
+		};
+
+		xhr.onerror = function() { failed(true); };
+		xhr.send(null);
+	}
+	catch(err)
+	{
+		failed(false);
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.SoundSource.prototype.onAudioLoaded = function(buffer)
+{
+	this.buffer = buffer;
+	this.loaded = true;
+	CL3D.gSoundManager.startWaitingSounds(this);
+	this.onLoadingDone(true);
+}
+
+/**
+ * @private
+ */
+CL3D.SoundSource.prototype.onLoadingDone = function(loaded)
+{
+	if (this.isError || this.readyToPlay)
+		return; // already reported, audio elements may report again
+		
+	if (loaded)
+		this.readyToPlay = true;
+	else
+		this.isError = true;
+
+	if (CL3D.gSoundManager)
+	{
+		var listeners = CL3D.gSoundManager.SoundLoadingListeners.slice();
+		for (var i=0; i<listeners.length; ++i)
+			listeners[i](this, loaded);
+	}
+}
+
+/**
+ * Returns true if this sound is played using web audio
+ * @private
+ */
+CL3D.SoundSource.prototype.usesWebAudio = function()
+{
+	return !this.loadingFailed && this.audioElem == null && CL3D.gSoundManager.getAudioContext() != null;
 }
 
 
@@ -299,8 +1051,24 @@ CL3D.PlayingSound = function(source)
 {
 	this.src = source;
 	this.hasStopped = false;
+	this.hasEnded = false;
 	this.looping = false;
 	this.ownVolume = 1.0;
+
+	// web audio
+	this.bufferSource = null;
+	this.gainNode = null;
+	this.panner = null;
+
+	// 3d sound
+	this.is3D = false;
+	this.position = null;
+	this.velocity = new CL3D.Vect3d(0,0,0);
+	this.lastPositionUpdateTime = 0;
+	this.minDistance = 1.0;
+	this.maxDistance = 10000.0;
+	this.rolloffModel = CL3D.SoundManager.ROLLOFF_INVERSE;
+	this.rolloffFactor = 1.0;
 	
 	var d = new Date();
 	this.startTime = d.getTime();
@@ -308,11 +1076,14 @@ CL3D.PlayingSound = function(source)
 
 CL3D.PlayingSound.prototype.hasPlayingCompleted = function()
 {
-	if (this.hasStopped)
+	if (this.hasStopped || this.hasEnded)
 		return true;
 		
 	if (this.looping)
 		return false;
+
+	if (this.bufferSource != null || this.src.usesWebAudio())
+		return false; // hasEnded is set when finished
 		
 	var d = new Date();
 	var now = d.getTime();
@@ -20,12 +20,11 @@ CL3D.SoundSceneNode = function()
 	this.MinTimeInterval = 0;
 	this.Volume = 0;
 	this.PlayAs2D = false;
+	this.RollOffModel = CL3D.SoundManager.ROLLOFF_INVERSE;
+	this.RollOffFactor = 1.0;
 	
 	this.PlayingSound = null;
 	
-	//private var PlayingSoundTransform:SoundTransform;
-	//private const RollOffFactor:Number = 1.0;
-	
 	this.SoundPlayCompleted = false;
 	this.TimeMsDelayFinished = 0;
 	this.PlayedCount = 0;
@@ -124,122 +123,36 @@ CL3D.SoundSceneNode.normalizeRelativeAngle = function(angleInGrad)
  */
 CL3D.SoundSceneNode.prototype.updateSoundFor3DSound = function(playingSnd, Position, mgr)
 {
-	// unfortunately, HTML5 audio currently is very primitive, so we can only set the volume for this right now
-	
-	var effectiveVolume = this.Volume;
-	
 	if (!mgr)
 		return;
 		
 	if (!playingSnd)
 		return;
-
-	// calculate distance
+		
+	if (playingSnd.is3D)
+	{
+		// played using web audio, which does the rolloff and panning itself
+		CL3D.gSoundManager.setSoundDistances(playingSnd, this.MinDistance, this.MaxDistance, this.RollOffModel, this.RollOffFactor);
+		CL3D.gSoundManager.setSoundPosition(playingSnd, Position);
+		return;
+	}
 	
+	// HTML5 audio is very primitive, so we can only set the volume in this case
+
 	var cam = mgr.getActiveCamera();
 	if (!cam)
 		return;	
 	var listenerPos = cam.getAbsolutePosition();
-	var lookdir = cam.getTarget().substract(listenerPos);
 	var distanceToListener = listenerPos.getDistanceTo(Position);
-
-	if ( distanceToListener < this.MinDistance )
-	{
-		// no change in volume, listener is inside minDistance
-	}
-	else
-	{
-		// calculate volume attenuation/rolloff
-
-		distanceToListener -= this.MinDistance;
-		var fact = this.MaxDistance - this.MinDistance;
-
-		if (fact > 0)
-		{
-			if (false) // linear
-			{
-				// linear rolloff
-
-				var interpol = distanceToListener / fact; // interpol is 0 if far away, 1 if close
-				effectiveVolume = effectiveVolume * (10.0 - interpol);
-			}
-			else
-			{
-				// logarithmic rolloff
-
-				if ( distanceToListener > fact ) // keep volume at same level at max distance
-					distanceToListener = fact;
-
-				var loga = 10.0;
-
-				if (distanceToListener != 0)
-					loga = this.MinDistance / distanceToListener;
-
-				distanceToListener *= this.RollOffFactor;
-
-				effectiveVolume = effectiveVolume * loga;
-			}
-
-			if (effectiveVolume > 10.0)
-				effectiveVolume = 10.0;
-		}
-		else
-			effectiveVolume = 10.0;
-	}
-
-	// set pan
-	// we assume here that the upvector will either be (1,0,0), (0,1,0) or (0,0,1)
-	// TODO: transform point into that plane if not
-	/*
-	var lookangle:Number = 0;
-	var toSoundAngle:Number = 0;
-
-	var normUp:Vect3dF = cam.getUpVector().clone();
-	normUp.normalize();
-	normUp.X *= normUp.X;
-	normUp.Y *= normUp.Y;
-	normUp.Z *= normUp.Z;
-
-	if (normUp.Y >= normUp.X && normUp.Y >= normUp.Z)
-	{
-		// irrlicht default, Y is up
-		lookangle = get2DAngle(lookdir.X, lookdir.Z);
-		toSoundAngle = get2DAngle(Position.X - listenerPos.X, Position.Z - listenerPos.Z);
-	}
-	else
-	if (normUp.X >= normUp.Y && normUp.X >= normUp.Z)
-	{
-		// X is up
-		lookangle = get2DAngle(lookdir.Y, lookdir.Z);
-		toSoundAngle = get2DAngle(Position.Y - listenerPos.Y, Position.Z - listenerPos.Z);
-	}
-	else
-	{
-		// Z is up
-		lookangle = get2DAngle(lookdir.X, lookdir.Y);
-		toSoundAngle = get2DAngle(Position.X - listenerPos.X, Position.Y - listenerPos.Y);
-	}
-
-	lookangle = normalizeAngle(lookangle);
-	toSoundAngle = normalizeAngle(toSoundAngle);
-
-	var lookAngleToSoundAngle:Number = lookangle - toSoundAngle;
-
-	lookAngleToSoundAngle = normalizeRelativeAngle(lookAngleToSoundAngle);
-
-	// we need to set the pan between -1.0 and 1.0, the realAngle
-	var effectivePan:Number = (lookAngleToSoundAngle / 180.0);
-	if (effectivePan > 1.0)
-		effectivePan = 1.0;
-	if (effectivePan < -1.0)
-		effectivePan = -1.0;
-		
-	playingSnd.pan = effectivePan;
-	*/
+	
+	var effectiveVolume = CL3D.gSoundManager.getVolumeForDistance(this.Volume, distanceToListener, 
+		this.MinDistance, this.MaxDistance, this.RollOffModel, this.RollOffFactor);
 	
 	// set volume
 	if (effectiveVolume > 1.0)
 		effectiveVolume = 1.0;
+	if (effectiveVolume < 0.0)
+		effectiveVolume = 0.0;
 		
 	CL3D.gSoundManager.setVolume(playingSnd, effectiveVolume);
 }
@@ -252,11 +165,15 @@ CL3D.SoundSceneNode.prototype.startSound = function(loop)
 	if (!this.PlayingSound && this.TheSound)
 	{
 		this.SoundPlayCompleted = false;
-		this.PlayingSound = CL3D.gSoundManager.play2D(this.TheSound, loop);
-
-		if (!this.PlayAs2D)
+		
+		if (this.PlayAs2D)
+			this.PlayingSound = CL3D.gSoundManager.play2D(this.TheSound, loop, this.Volume);
+		else
 		{
 			var pos = this.getAbsolutePosition();
+			this.PlayingSound = CL3D.gSoundManager.play3D(this.TheSound, pos, loop, this.Volume, 
+				this.MinDistance, this.MaxDistance, this.RollOffModel, this.RollOffFactor);
+				
 			this.updateSoundFor3DSound(this.PlayingSound, pos, this.scene);					
 		}
 	}
@@ -361,7 +278,17 @@ CL3D.SoundSceneNode.prototype.createClone = function(newparent, oldNodeId, newNo
 	if (this.Box)
 		c.Box = this.Box.clone();
 		
-	// TODO: copy other members
+	c.TheSound = this.TheSound;
+	c.MinDistance = this.MinDistance;
+	c.MaxDistance = this.MaxDistance;
+	c.PlayMode = this.PlayMode;
+	c.DeleteWhenFinished = this.DeleteWhenFinished;
+	c.MaxTimeInterval = this.MaxTimeInterval;
+	c.MinTimeInterval = this.MinTimeInterval;
+	c.Volume = this.Volume;
+	c.PlayAs2D = this.PlayAs2D;
+	c.RollOffModel = this.RollOffModel;
+	c.RollOffFactor = this.RollOffFactor;
 		
 	return c;
 }
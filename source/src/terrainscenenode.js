@@ -0,0 +1,928 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+// ------------------------------------------------------------------------------------------------------
+// TerrainSceneNode
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * A scene node rendering a terrain created from a heightmap.<br/>
+ * The terrain is created from a grayscale heightmap image using {@link createFromHeightmap}() or from an array of
+ * heights using {@link createFromHeights}(). It starts at the origin of the scene node and extends along the positive
+ * x and z axis, with one grid vertex per pixel of the heightmap.<br/>
+ * The terrain is divided into square chunks. Each chunk is drawn with less detail the further away it is from the
+ * camera, starting at {@link LODDistance}, and chunks outside of the view are not drawn at all. The edges of the chunks
+ * hang down a bit, so that there are no visible cracks between neighbour chunks with a different level of detail.<br/>
+ * The terrain can be textured with up to 5 layers, see {@link setLayer}(). Layer 0 covers the whole terrain, the other layers
+ * are drawn on top of it where the red, green, blue and alpha channel of the {@link SplatMap} is set.
+ * Use {@link getHeightAt}() and {@link getNormalAt}() for quickly placing objects on the terrain.<br/>
+ * Terrains created in the CopperCube editor are loaded as {@link CL3D.MeshSceneNode}s, being children of a TerrainSceneNode without
+ * heightmap, which then doesn't draw anything itself.
+ * @example
+ * var terrain = new CL3D.TerrainSceneNode();
+ * terrain.createFromHeightmap(engine.getTextureManager().getTexture("heightmap.png", true), 10, 400);
+ * terrain.setLayer(0, engine.getTextureManager().getTexture("grass.jpg", true), 64);
+ * terrain.setLayer(1, engine.getTextureManager().getTexture("rock.jpg", true), 32);
+ * terrain.SplatMap = engine.getTextureManager().getTexture("splatmap.png", true);
+ * scene.getRootSceneNode().addChild(terrain);
+ *
+ * // place a tree on the terrain
+ * tree.Pos.Y = terrain.getHeightAt(tree.Pos.X, tree.Pos.Z);
+ * @constructor
+ * @public
+ * @extends CL3D.SceneNode
+ * @class A scene node rendering a terrain created from a heightmap.
+ */
+CL3D.TerrainSceneNode = function()
+{
+	this.init();
+
+	this.Box = new CL3D.Box3d();
+
+	/**
+	 * Number of grid cells along the side of a chunk of the terrain. Needs to be a power of two, not bigger than 128,
+	 * and has to be set before creating the terrain.
+	 * @public
+	 * @type Number
+	 */
+	this.ChunkSize = 32;
+
+	/**
+	 * Distance from the camera up to which chunks of the terrain are drawn with full detail. At the double distance, only
+	 * every second grid vertex is used, at the fourth distance only every fourth and so on. If set to 0, the size of a chunk is used.
+	 * @public
+	 * @type Number
+	 */
+	this.LODDistance = 0;
+
+	/**
+	 * Texture whose red, green, blue and alpha channel define where the layers 1, 2, 3 and 4 of the terrain are drawn,
+	 * see {@link setLayer}(). It is stretched over the whole terrain.
+	 * @public
+	 * @type CL3D.Texture
+	 */
+	this.SplatMap = null;
+
+	/**
+	 * Set to true if the terrain should be part of the collision geometry returned by {@link CL3D.Scene.getCollisionGeometry}().
+	 * @public
+	 * @type Boolean
+	 */
+	this.DoesCollision = true;
+
+	/**
+	 * Material of the terrain. The texture layers replace its textures when drawing, but it defines if the
+	 * terrain is lit and receives shadows. If no layer is set, its first texture is used for the whole terrain.
+	 * @public
+	 * @type CL3D.Material
+	 */
+	this.Material = new CL3D.Material();
+
+	this.Selector = null;
+
+	this.Heights = null;
+	this.Normals = null;
+	this.GridWidth = 0;
+	this.GridDepth = 0;
+	this.Spacing = 1;
+	this.Chunks = new Array();
+	this.Layers = new Array();
+	this.LayerMaterial = new CL3D.Material();
+	this.InvAbsoluteTransformation = null;
+	this.InvTransformationSource = null;
+}
+CL3D.TerrainSceneNode.prototype = new CL3D.SceneNode();
+
+/**
+ * Maximal amount of texture layers of a terrain.
+ * @public
+ * @const
+ */
+CL3D.TerrainSceneNode.MAX_LAYERS = 5;
+
+/**
+ * Weights of the splat map channels for the opacity of each layer.
+ * @private
+ */
+CL3D.TerrainSceneNode.LayerChannels = [ [0,0,0,0], [1,0,0,0], [0,1,0,0], [0,0,1,0], [0,0,0,1] ];
+
+/**
+ * Returns the type string of the scene node.
+ * Returns 'terrain' for the terrain scene node.
+ * @public
+ * @returns {String} type name of the scene node.
+ */
+CL3D.TerrainSceneNode.prototype.getType = function()
+{
+	return 'terrain';
+}
+
+/**
+ * Get the axis aligned, not transformed bounding box of this node.
+ * @public
+ * @returns {CL3D.Box3d} Bounding box of this scene node.
+ */
+CL3D.TerrainSceneNode.prototype.getBoundingBox = function()
+{
+	return this.Box;
+}
+
+/**
+ * Creates the terrain from a heightmap image. The brightness of every pixel is the height of one grid vertex,
+ * the top of the image is the far end of the terrain along the z axis.
+ * Note that the image needs to come from the same domain as the page, otherwise the browser doesn't allow to read its pixels.
+ * @public
+ * @param {CL3D.Texture} heightmap the heightmap, a loaded {@link CL3D.Texture}, or an Image or Canvas element.
+ * @param {Number} spacing distance between two grid vertices along the x and z axis
+ * @param {Number} heightScale height of the terrain where the heightmap is white
+ * @returns {Boolean} true if successful, false if the heightmap isn't loaded yet or its pixels cannot be read.
+ */
+CL3D.TerrainSceneNode.prototype.createFromHeightmap = function(heightmap, spacing, heightScale)
+{
+	if (heightmap == null)
+		return false;
+
+	if (heightmap instanceof CL3D.Texture)
+	{
+		if (!heightmap.isLoaded())
+			return false;
+		heightmap = heightmap.getImage();
+		if (heightmap == null)
+			return false;
+	}
+
+	var w = heightmap.width;
+	var h = heightmap.height;
+	if (!w || !h)
+		return false;
+
+	var data = null;
+
+	try
+	{
+		var canvas = document.createElement("canvas");
+		canvas.width = w;
+		canvas.height = h;
+		var ctx = canvas.getContext("2d");
+		ctx.drawImage(heightmap, 0, 0);
+		data = ctx.getImageData(0, 0, w, h).data;
+	}
+	catch(e)
+	{
+		CL3D.gCCDebugOutput.printError("Could not read pixels of terrain heightmap: " + e);
+		return false;
+	}
+
+	var heights = new Float32Array(w * h);
+
+	for (var y=0; y<h; ++y)
+	{
+		for (var x=0; x<w; ++x)
+		{
+			var p = (y * w + x) * 4;
+			heights[(h - 1 - y) * w + x] = (data[p] + data[p+1] + data[p+2]) / (3.0 * 255.0);
+		}
+	}
+
+	return this.createFromHeights(heights, w, h, spacing, heightScale);
+}
+
+/**
+ * Creates the terrain from an array of heights.
+ * @public
+ * @param {Array} heights array or Float32Array of width * depth heights, row by row along the x axis, starting at z = 0.
+ * @param {Number} width amount of grid vertices along the x axis
+ * @param {Number} depth amount of grid vertices along the z axis
+ * @param {Number} spacing distance between two grid vertices along the x and z axis
+ * @param {Number} heightScale (optional) factor all heights are multiplied with, 1 if not set.
+ * @returns {Boolean} true if successful, false if there are less than 2x2 heights.
+ */
+CL3D.TerrainSceneNode.prototype.createFromHeights = function(heights, width, depth, spacing, heightScale)
+{
+	if (heights == null || width < 2 || depth < 2 || heights.length < width * depth)
+		return false;
+
+	if (spacing == null || spacing <= 0)
+		spacing = 1;
+
+	if (heightScale == null)
+		heightScale = 1;
+
+	this.GridWidth = width;
+	this.GridDepth = depth;
+	this.Spacing = spacing;
+
+	this.Heights = new Float32Array(width * depth);
+	for (var i=0; i<width * depth; ++i)
+		this.Heights[i] = heights[i] * heightScale;
+
+	this.calculateNormals();
+	this.createChunks();
+
+	if (this.Selector == null)
+		this.Selector = new CL3D.TerrainTriangleSelector(this);
+
+	return true;
+}
+
+/**
+ * Returns if the terrain has been created from a heightmap.
+ * @public
+ * @returns {Boolean} true if there is a heightmap
+ */
+CL3D.TerrainSceneNode.prototype.hasHeightmap = function()
+{
+	return this.Heights != null;
+}
+
+/**
+ * Sets a texture layer of the terrain.
+ * @public
+ * @param {Number} index index of the layer, from 0 to 4. Layer 0 covers the whole terrain, layer 1 to 4 are drawn
+ * over it where the red, green, blue or alpha channel of the {@link SplatMap} is set.
+ * @param {CL3D.Texture} texture texture of the layer, set to null to remove the layer.
+ * @param {Number} scale (optional) how often the texture is repeated over the whole terrain, 1 if not set.
+ */
+CL3D.TerrainSceneNode.prototype.setLayer = function(index, texture, scale)
+{
+	if (index < 0 || index >= CL3D.TerrainSceneNode.MAX_LAYERS)
+		return;
+
+	if (texture == null)
+	{
+		this.Layers[index] = null;
+		return;
+	}
+
+	var l = new Object();
+	l.Texture = texture;
+	l.Scale = scale == null ? 1 : scale;
+	this.Layers[index] = l;
+}
+
+/**
+ * Returns the texture of a layer of the terrain, see {@link setLayer}().
+ * @public
+ * @param {Number} index index of the layer, from 0 to 4.
+ * @returns {CL3D.Texture} the texture or null if the layer is not set.
+ */
+CL3D.TerrainSceneNode.prototype.getLayerTexture = function(index)
+{
+	var l = this.Layers[index];
+	return l ? l.Texture : null;
+}
+
+/**
+ * Returns the height of the terrain at a position. Fast enough to be called very often, for example for placing
+ * objects onto the terrain every frame. The terrain scene node may be moved, scaled and rotated around the y axis.
+ * @public
+ * @param {Number} x x coordinate of the position, in world space.
+ * @param {Number} z z coordinate of the position, in world space.
+ * @returns {Number} the y coordinate of the surface of the terrain in world space, or null if the position is not above or below the terrain.
+ */
+CL3D.TerrainSceneNode.prototype.getHeightAt = function(x, z)
+{
+	if (this.Heights == null)
+		return null;
+
+	var local = this.getInverseTransformation().getTransformedVect(new CL3D.Vect3d(x, 0, z));
+
+	var h = this.getLocalHeight(local.X, local.Z);
+	if (h == null)
+		return null;
+
+	local.Y = h;
+	return this.AbsoluteTransformation.getTransformedVect(local).Y;
+}
+
+/**
+ * Returns the normal of the surface of the terrain at a position, interpolated between the grid vertices.
+ * @public
+ * @param {Number} x x coordinate of the position, in world space.
+ * @param {Number} z z coordinate of the position, in world space.
+ * @returns {CL3D.Vect3d} the normalized normal in world space, or null if the position is not above or below the terrain.
+ */
+CL3D.TerrainSceneNode.prototype.getNormalAt = function(x, z)
+{
+	if (this.Heights == null)
+		return null;
+
+	var inv = this.getInverseTransformation();
+	var local = inv.getTransformedVect(new CL3D.Vect3d(x, 0, z));
+
+	var gx = local.X / this.Spacing;
+	var gz = local.Z / this.Spacing;
+
+	if (gx < 0 || gz < 0 || gx > this.GridWidth - 1 || gz > this.GridDepth - 1)
+		return null;
+
+	var x0 = Math.min(Math.floor(gx), this.GridWidth - 2);
+	var z0 = Math.min(Math.floor(gz), this.GridDepth - 2);
+	var fx = gx - x0;
+	var fz = gz - z0;
+
+	var n = new CL3D.Vect3d(0, 0, 0);
+	var w = this.GridWidth;
+	var weights = [ (1-fx)*(1-fz), fx*(1-fz), (1-fx)*fz, fx*fz ];
+	var indices = [ z0*w + x0, z0*w + x0 + 1, (z0+1)*w + x0, (z0+1)*w + x0 + 1 ];
+
+	for (var i=0; i<4; ++i)
+	{
+		var p = indices[i] * 3;
+		n.X += this.Normals[p] * weights[i];
+		n.Y += this.Normals[p+1] * weights[i];
+		n.Z += this.Normals[p+2] * weights[i];
+	}
+
+	// normals are transformed with the transposed inverse matrix, so that they stay perpendicular to the scaled surface
+	inv.inverseRotateVect(n);
+	n.normalize();
+	return n;
+}
+
+/**
+ * Returns the height of the full detail geometry at a position in the space of the terrain, exactly on the triangles
+ * used for collision detection.
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.getLocalHeight = function(lx, lz)
+{
+	var gx = lx / this.Spacing;
+	var gz = lz / this.Spacing;
+
+	if (gx < 0 || gz < 0 || gx > this.GridWidth - 1 || gz > this.GridDepth - 1)
+		return null;
+
+	var x0 = Math.min(Math.floor(gx), this.GridWidth - 2);
+	var z0 = Math.min(Math.floor(gz), this.GridDepth - 2);
+	var fx = gx - x0;
+	var fz = gz - z0;
+
+	var w = this.GridWidth;
+	var h00 = this.Heights[z0*w + x0];
+	var h10 = this.Heights[z0*w + x0 + 1];
+	var h01 = this.Heights[(z0+1)*w + x0];
+	var h11 = this.Heights[(z0+1)*w + x0 + 1];
+
+	// every grid cell is split into two triangles along its diagonal from (x0,z0) to (x0+1,z0+1)
+	if (fz >= fx)
+		return h00 + fz * (h01 - h00) + fx * (h11 - h01);
+
+	return h00 + fx * (h10 - h00) + fz * (h11 - h10);
+}
+
+/**
+ * Returns the inverse of the absolute transformation, only recalculated when the node moved.
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.getInverseTransformation = function()
+{
+	if (this.InvTransformationSource == null || !this.InvTransformationSource.equals(this.AbsoluteTransformation))
+	{
+		this.InvTransformationSource = this.AbsoluteTransformation.clone();
+		this.InvAbsoluteTransformation = this.AbsoluteTransformation.clone();
+		this.InvAbsoluteTransformation.makeInverse();
+	}
+
+	return this.InvAbsoluteTransformation;
+}
+
+/**
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.calculateNormals = function()
+{
+	var w = this.GridWidth;
+	var d = this.GridDepth;
+	var s2 = this.Spacing * 2;
+
+	this.Normals = new Float32Array(w * d * 3);
+
+	for (var z=0; z<d; ++z)
+	{
+		for (var x=0; x<w; ++x)
+		{
+			var dx = (this.Heights[z*w + Math.min(x+1, w-1)] - this.Heights[z*w + Math.max(x-1, 0)]) / s2;
+			var dz = (this.Heights[Math.min(z+1, d-1)*w + x] - this.Heights[Math.max(z-1, 0)*w + x]) / s2;
+			var len = Math.sqrt(dx*dx + 1 + dz*dz);
+
+			var p = (z*w + x) * 3;
+			this.Normals[p] = -dx / len;
+			this.Normals[p+1] = 1 / len;
+			this.Normals[p+2] = -dz / len;
+		}
+	}
+}
+
+/**
+ * Divides the terrain into chunks and creates the geometry for each level of detail of them.
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.createChunks = function()
+{
+	this.Chunks = new Array();
+	this.Box = new CL3D.Box3d();
+
+	var chunkSize = 1;
+	while (chunkSize < this.ChunkSize && chunkSize < 128)
+		chunkSize *= 2;
+
+	var lodCount = 1;
+	while ((1 << (lodCount-1)) < chunkSize)
+		++lodCount;
+
+	var firstChunk = true;
+
+	for (var z0=0; z0<this.GridDepth-1; z0+=chunkSize)
+	{
+		for (var x0=0; x0<this.GridWidth-1; x0+=chunkSize)
+		{
+			var chunk = new Object();
+			chunk.X = x0;
+			chunk.Z = z0;
+			chunk.Width = Math.min(chunkSize, this.GridWidth - 1 - x0);
+			chunk.Depth = Math.min(chunkSize, this.GridDepth - 1 - z0);
+
+			var minY = this.Heights[z0*this.GridWidth + x0];
+			var maxY = minY;
+
+			for (var z=z0; z<=z0+chunk.Depth; ++z)
+			{
+				for (var x=x0; x<=x0+chunk.Width; ++x)
+				{
+					var h = this.Heights[z*this.GridWidth + x];
+					minY = Math.min(minY, h);
+					maxY = Math.max(maxY, h);
+				}
+			}
+
+			chunk.Box = new CL3D.Box3d();
+			chunk.Box.MinEdge.set(x0 * this.Spacing, minY, z0 * this.Spacing);
+			chunk.Box.MaxEdge.set((x0 + chunk.Width) * this.Spacing, maxY, (z0 + chunk.Depth) * this.Spacing);
+
+			// cracks to neighbour chunks with a different level of detail can't be higher than the height range of the chunk
+			var skirtDepth = Math.max(maxY - minY, this.Spacing);
+
+			chunk.Lods = new Array();
+			for (var l=0; l<lodCount; ++l)
+				chunk.Lods.push(this.createChunkMeshBuffer(chunk, 1 << l, skirtDepth));
+
+			if (firstChunk)
+			{
+				this.Box = chunk.Box.clone();
+				firstChunk = false;
+			}
+			else
+			{
+				this.Box.addInternalPointByVector(chunk.Box.MinEdge);
+				this.Box.addInternalPointByVector(chunk.Box.MaxEdge);
+			}
+
+			this.Chunks.push(chunk);
+		}
+	}
+}
+
+/**
+ * Creates the geometry of a chunk, using only every step'th grid vertex, and with skirts hanging down from its edges.
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.createChunkMeshBuffer = function(chunk, step, skirtDepth)
+{
+	var buf = new CL3D.MeshBuffer();
+
+	var xs = this.getChunkGridLines(chunk.X, chunk.Width, step);
+	var zs = this.getChunkGridLines(chunk.Z, chunk.Depth, step);
+	var nx = xs.length;
+	var nz = zs.length;
+	var x, z;
+
+	for (z=0; z<nz; ++z)
+		for (x=0; x<nx; ++x)
+			buf.Vertices.push(this.createGridVertex(xs[x], zs[z], 0));
+
+	for (z=0; z<nz-1; ++z)
+	{
+		for (x=0; x<nx-1; ++x)
+		{
+			var i00 = z*nx + x;
+			var i10 = i00 + 1;
+			var i01 = i00 + nx;
+			var i11 = i01 + 1;
+
+			buf.Indices.push(i00, i01, i11,  i00, i11, i10);
+		}
+	}
+
+	// skirts, facing outwards
+
+	var edge = new Array();
+
+	for (x=0; x<nx; ++x)
+		edge.push(x);
+	this.addSkirt(buf, edge, skirtDepth, false);
+
+	edge = new Array();
+	for (x=0; x<nx; ++x)
+		edge.push((nz-1)*nx + x);
+	this.addSkirt(buf, edge, skirtDepth, true);
+
+	edge = new Array();
+	for (z=0; z<nz; ++z)
+		edge.push(z*nx);
+	this.addSkirt(buf, edge, skirtDepth, true);
+
+	edge = new Array();
+	for (z=0; z<nz; ++z)
+		edge.push(z*nx + nx-1);
+	this.addSkirt(buf, edge, skirtDepth, false);
+
+	buf.recalculateBoundingBox();
+	return buf;
+}
+
+/**
+ * Returns the grid coordinates used along one side of a chunk for a level of detail. The last one is always the
+ * end of the chunk, so that chunks at the border of the terrain can be smaller than the others.
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.getChunkGridLines = function(start, size, step)
+{
+	var ret = new Array();
+	for (var i=0; i<size; i+=step)
+		ret.push(start + i);
+	ret.push(start + size);
+	return ret;
+}
+
+/**
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.createGridVertex = function(gx, gz, lowerBy)
+{
+	var vtx = new CL3D.Vertex3D(true);
+	var i = gz * this.GridWidth + gx;
+
+	vtx.Pos.X = gx * this.Spacing;
+	vtx.Pos.Y = this.Heights[i] - lowerBy;
+	vtx.Pos.Z = gz * this.Spacing;
+
+	vtx.Normal.X = this.Normals[i*3];
+	vtx.Normal.Y = this.Normals[i*3+1];
+	vtx.Normal.Z = this.Normals[i*3+2];
+
+	// the top of textures is the far end of the terrain, like in the heightmap
+	vtx.TCoords.X = gx / (this.GridWidth - 1);
+	vtx.TCoords.Y = 1.0 - (gz / (this.GridDepth - 1));
+	vtx.TCoords2.X = vtx.TCoords.X;
+	vtx.TCoords2.Y = vtx.TCoords.Y;
+
+	return vtx;
+}
+
+/**
+ * Adds a skirt below an edge of a chunk. The vertices of the edge have to be sorted along the x or z axis, flip
+ * is needed for the edges at the end of the chunk to let the skirt face outwards.
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.addSkirt = function(buf, edge, skirtDepth, flip)
+{
+	var first = buf.Vertices.length;
+
+	for (var i=0; i<edge.length; ++i)
+	{
+		var v = buf.Vertices[edge[i]];
+		var gx = Math.round(v.Pos.X / this.Spacing);
+		var gz = Math.round(v.Pos.Z / this.Spacing);
+		buf.Vertices.push(this.createGridVertex(gx, gz, skirtDepth));
+	}
+
+	for (var i=0; i<edge.length-1; ++i)
+	{
+		var a = edge[i];
+		var b = edge[i+1];
+		var al = first + i;
+		var bl = first + i + 1;
+
+		if (flip)
+			buf.Indices.push(a, bl, b,  a, al, bl);
+		else
+			buf.Indices.push(a, b, bl,  a, bl, al);
+	}
+}
+
+/**
+ * Returns the level of detail to draw a chunk with.
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.getChunkLOD = function(chunk, worldBox, campos, lodDistance)
+{
+	if (campos == null || lodDistance <= 0)
+		return 0;
+
+	// distance to the nearest point of the chunk
+	var x = Math.max(worldBox.MinEdge.X, Math.min(campos.X, worldBox.MaxEdge.X));
+	var y = Math.max(worldBox.MinEdge.Y, Math.min(campos.Y, worldBox.MaxEdge.Y));
+	var z = Math.max(worldBox.MinEdge.Z, Math.min(campos.Z, worldBox.MaxEdge.Z));
+	var dist = campos.getDistanceTo(new CL3D.Vect3d(x, y, z));
+
+	if (dist < lodDistance)
+		return 0;
+
+	var lod = 1 + Math.floor(Math.log(dist / lodDistance) / Math.LN2);
+	return Math.min(lod, chunk.Lods.length - 1);
+}
+
+/**
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.OnRegisterSceneNode = function(mgr)
+{
+	if (this.Visible)
+	{
+		if (this.Chunks.length != 0)
+			mgr.registerNodeForRendering(this, CL3D.Scene.RENDER_MODE_DEFAULT);
+
+		CL3D.SceneNode.prototype.OnRegisterSceneNode.call(this, mgr);
+	}
+}
+
+/**
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.render = function(renderer)
+{
+	if (this.Chunks.length == 0)
+		return;
+
+	renderer.setWorld(this.AbsoluteTransformation);
+
+	// select visible chunks and their level of detail
+
+	var campos = null;
+	var frustrum = null;
+
+	if (this.scene)
+	{
+		var cam = this.scene.getActiveCamera();
+		if (cam)
+			campos = cam.getAbsolutePosition();
+
+		// when rendering shadow maps, parts outside of the view of the camera still cast shadows into it
+		if (!renderer.ShadowMapPassActive)
+			frustrum = this.scene.getCurrentCameraFrustrum();
+	}
+
+	var lodDistance = this.LODDistance;
+	if (lodDistance <= 0)
+	{
+		var axis = this.AbsoluteTransformation.getRotatedVect(new CL3D.Vect3d(1, 0, 0));
+		lodDistance = this.ChunkSize * this.Spacing * axis.getLength();
+	}
+
+	var buffers = new Array();
+
+	for (var i=0; i<this.Chunks.length; ++i)
+	{
+		var chunk = this.Chunks[i];
+		var box = chunk.Box.clone();
+		this.AbsoluteTransformation.transformBoxEx(box);
+
+		if (frustrum != null && frustrum.classifyBox(box) == CL3D.ViewFrustrum.BOX_OUTSIDE)
+			continue;
+
+		buffers.push(chunk.Lods[this.getChunkLOD(chunk, box, campos, lodDistance)]);
+	}
+
+	if (buffers.length == 0)
+		return;
+
+	// draw the layers on top of each other
+
+	var mat = this.LayerMaterial;
+	var splatMapLoaded = this.SplatMap != null && this.SplatMap.isLoaded();
+
+	for (var l=0; l<CL3D.TerrainSceneNode.MAX_LAYERS; ++l)
+	{
+		var layer = this.Layers[l];
+		var tex = null;
+		var scale = 1;
+
+		if (layer)
+		{
+			tex = layer.Texture;
+			scale = layer.Scale;
+		}
+		else
+		if (l == 0)
+			tex = this.Material.Tex1;
+
+		if (l != 0 && (tex == null || !splatMapLoaded))
+			continue;
+
+		mat.setFrom(this.Material);
+		mat.Type = CL3D.Material.EMT_TERRAIN_SPLAT_LAYER;
+		mat.Tex1 = tex;
+		mat.Tex2 = this.SplatMap;
+
+		renderer.setMaterial(mat);
+		renderer.setTerrainLayer(CL3D.TerrainSceneNode.LayerChannels[l], l == 0 ? 1 : 0, scale);
+
+		for (var b=0; b<buffers.length; ++b)
+			renderer.drawMeshBuffer(buffers[b]);
+
+		// depth only
+		if (renderer.ShadowMapPassActive)
+			break;
+	}
+
+	renderer.endTerrainLayers();
+}
+
+/**
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.getMaterialCount = function()
+{
+	return this.Heights ? 1 : 0;
+}
+
+/**
+ * @private
+ */
+CL3D.TerrainSceneNode.prototype.getMaterial = function(i)
+{
+	if (i == 0 && this.Heights)
+		return this.Material;
+	return null;
+}
+
+/**
+ * @public
+ */
+CL3D.TerrainSceneNode.prototype.createClone = function(newparent, oldNodeId, newNodeId)
+{
+	var c = new CL3D.TerrainSceneNode();
+	this.cloneMembers(c, newparent, oldNodeId, newNodeId);
+
+	c.Box = this.Box.clone();
+	c.ChunkSize = this.ChunkSize;
+	c.LODDistance = this.LODDistance;
+	c.SplatMap = this.SplatMap;
+	c.DoesCollision = this.DoesCollision;
+	c.Material = this.Material.clone();
+
+	for (var i=0; i<this.Layers.length; ++i)
+		if (this.Layers[i])
+			c.setLayer(i, this.Layers[i].Texture, this.Layers[i].Scale);
+
+	// the geometry is never changed after creation, so it can be shared
+	c.Heights = this.Heights;
+	c.Normals = this.Normals;
+	c.GridWidth = this.GridWidth;
+	c.GridDepth = this.GridDepth;
+	c.Spacing = this.Spacing;
+	c.Chunks = this.Chunks;
+
+	if (this.Selector)
+		c.Selector = this.Selector.createClone(c);
+
+	return c;
+}
+
+
+// ------------------------------------------------------------------------------------------------------
+// TerrainTriangleSelector
+// ------------------------------------------------------------------------------------------------------
+
+/**
+ * Implementation of TriangleSelector for {@link CL3D.TerrainSceneNode}s, useful for collision detection, for example
+ * with the {@link CL3D.AnimatorCollisionResponse}.<br/>
+ * The triangles are created from the full detail heightmap of the terrain when needed, so this is fast for
+ * huge terrains as well. A terrain creates this selector itself, it is available as TerrainSceneNode.Selector.
+ * @class Triangle selector for terrains, useful for collision detection.
+ * @public
+ * @constructor
+ * @extends CL3D.TriangleSelector
+ * @param {CL3D.TerrainSceneNode} scenenode the terrain
+ */
+CL3D.TerrainTriangleSelector = function(scenenode)
+{
+	this.Node = scenenode;
+}
+CL3D.TerrainTriangleSelector.prototype = new CL3D.TriangleSelector();
+
+/**
+ * Returns all triangles for the scene node associated with this selector
+ * @public
+ * @param {CL3D.Matrix4} transform a transformation matrix which transforms all triangles before returning them
+ * @param {Array} outArray output array of the triangles
+ */
+CL3D.TerrainTriangleSelector.prototype.getAllTriangles = function(transform, outArray)
+{
+	var n = this.Node;
+	if (!n || !n.Heights || !n.AbsoluteTransformation)
+		return;
+
+	this.addTrianglesOfCells(0, 0, n.GridWidth - 2, n.GridDepth - 2, null, this.getTransform(transform), outArray);
+}
+
+/**
+ * Returns all triangles inside a bounding box, for the scene node associated with this selector. This method will
+ * return at least the triangles that intersect the box, but may return other triangles as well.
+ * @public
+ * @param {CL3D.Box3d}  box
+ * @param {CL3D.Matrix4} transform a transformation matrix which transforms all triangles before returning them
+ * @param {Array} outArray output array of the triangles
+ */
+CL3D.TerrainTriangleSelector.prototype.getTrianglesInBox = function(box, transform, outArray)
+{
+	var n = this.Node;
+	if (!n || !n.Heights || !n.AbsoluteTransformation)
+		return;
+
+	var localbox = box.clone();
+	n.getInverseTransformation().transformBoxEx(localbox);
+
+	var x0 = Math.max(Math.floor(localbox.MinEdge.X / n.Spacing), 0);
+	var z0 = Math.max(Math.floor(localbox.MinEdge.Z / n.Spacing), 0);
+	var x1 = Math.min(Math.floor(localbox.MaxEdge.X / n.Spacing), n.GridWidth - 2);
+	var z1 = Math.min(Math.floor(localbox.MaxEdge.Z / n.Spacing), n.GridDepth - 2);
+
+	this.addTrianglesOfCells(x0, z0, x1, z1, localbox, this.getTransform(transform), outArray);
+}
+
+/**
+ * @private
+ */
+CL3D.TerrainTriangleSelector.prototype.getTransform = function(transform)
+{
+	if (transform)
+		return transform.multiply(this.Node.AbsoluteTransformation);
+	return this.Node.AbsoluteTransformation;
+}
+
+/**
+ * Adds the two triangles of each grid cell in a range, skipping cells completely above or below the box if set.
+ * @private
+ */
+CL3D.TerrainTriangleSelector.prototype.addTrianglesOfCells = function(x0, z0, x1, z1, box, mat, outArray)
+{
+	var n = this.Node;
+	var w = n.GridWidth;
+	var s = n.Spacing;
+	var identity = mat.isIdentity();
+
+	for (var z=z0; z<=z1; ++z)
+	{
+		for (var x=x0; x<=x1; ++x)
+		{
+			var h00 = n.Heights[z*w + x];
+			var h10 = n.Heights[z*w + x + 1];
+			var h01 = n.Heights[(z+1)*w + x];
+			var h11 = n.Heights[(z+1)*w + x + 1];
+
+			if (box)
+			{
+				if (Math.min(h00, h10, h01, h11) > box.MaxEdge.Y ||
+				    Math.max(h00, h10, h01, h11) < box.MinEdge.Y)
+					continue;
+			}
+
+			var p00 = new CL3D.Vect3d(x*s, h00, z*s);
+			var p10 = new CL3D.Vect3d((x+1)*s, h10, z*s);
+			var p01 = new CL3D.Vect3d(x*s, h01, (z+1)*s);
+			var p11 = new CL3D.Vect3d((x+1)*s, h11, (z+1)*s);
+
+			if (!identity)
+			{
+				mat.transformVect(p00);
+				mat.transformVect(p10);
+				mat.transformVect(p01);
+				mat.transformVect(p11);
+			}
+
+			outArray.push(new CL3D.Triangle3d(p00, p01, p11));
+			outArray.push(new CL3D.Triangle3d(p00, p11, p10));
+		}
+	}
+}
+
+/**
+  * Returns the scenenode this selector is for
+  * @returns returns {@link SceneNode} if this selector is for a specific scene node
+ */
+CL3D.TerrainTriangleSelector.prototype.getRelatedSceneNode = function()
+{
+	return this.Node;
+}
+
+/**
+  * Creates a clone of this triangle selector, for a new scene node
+  * @param node {CL3D.SceneNode} scene node the selector is based on
+  * @returns returns {@link TriangleSelector} if this selector can be cloned or null if not
+ */
+CL3D.TerrainTriangleSelector.prototype.createClone = function(node)
+{
+	return new CL3D.TerrainTriangleSelector(node);
+}
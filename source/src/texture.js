@@ -11,6 +11,7 @@ CL3D.Texture = function()
 {
 	this.Name = '';
 	this.Loaded = false;
+	this.LoadingFailed = false;
 
 	this.Image = null;
 	this.Texture = null;
@@ -20,6 +21,11 @@ CL3D.Texture = function()
 	
 	this.OriginalWidth = null; // original with of the texture, before scaling up to power of two
 	this.OriginalHeight = null; // original with of the texture, before scaling up to power of two
+	
+	this.RTTFrameBuffer = null; // only set for render targets, see CL3D.Renderer.addRenderTargetTexture()
+	this.RTTDepthBuffer = null;
+	this.RTTDepthTexture = null;
+	this.RTTDepthMode = 0;
 }
 
 /**
@@ -92,4 +98,24 @@ CL3D.Texture.prototype.getURL = function()
 CL3D.Texture.prototype.isLoaded = function()
 {
 	return this.Loaded;
-}
\ No newline at end of file
+}
+
+/**
+ * returns if the image of the texture could not be loaded, for example because the file doesn't exist
+ * @public
+ * @type {Boolean}
+ */
+CL3D.Texture.prototype.hasLoadingFailed = function()
+{
+	return this.LoadingFailed;
+}
+
+/**
+ * returns if this texture is a render target, created using {@link CL3D.Renderer.addRenderTargetTexture}().
+ * @public
+ * @type {Boolean}
+ */
+CL3D.Texture.prototype.isRenderTarget = function()
+{
+	return this.RTTFrameBuffer != null;
+}
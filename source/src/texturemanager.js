@@ -12,6 +12,7 @@ CL3D.TextureManager = function()
 	this.Textures = new Array(); // texure
 	this.TheRenderer = null;
 	this.PathRoot = '';
+	this.OnTextureLoadingDone = null; // called with the texture and true if it was loaded, false if loading failed
 }
 
 /**
@@ -40,11 +41,18 @@ CL3D.TextureManager.prototype.getTexture = function(url, createIfNotFound)
 		t.Name = url;
 		this.addTexture(t);
 		
-		// start loading texture
+		// start loading texture. Without images, for example when running headless in node.js, it stays empty
+		
+		if (typeof Image == 'undefined')
+		{
+			t.Loaded = true;
+			return t;
+		}
 		
 		var me = this;
 		t.Image = new Image();
 		t.Image.onload = function() { me.onTextureLoaded(t); }
+		t.Image.onerror = function() { me.onTextureLoadingFailed(t); }
 		t.Image.src = t.Name;
 		 
 		//CL3D.gCCDebugOutput.print("starting loading texture: " + t.Image.src);
@@ -76,10 +84,24 @@ CL3D.TextureManager.prototype.onTextureLoaded = function(t)
 		return;
 	 r.finalizeLoadedImageTexture(t);
 	 t.Loaded = true;
+	 
+	 if (this.OnTextureLoadingDone)
+		this.OnTextureLoadingDone(t, true);
+}
+
+/**
+ * @private 
+ */
+CL3D.TextureManager.prototype.onTextureLoadingFailed = function(t)
+{
+	t.LoadingFailed = true;
+	
+	if (this.OnTextureLoadingDone)
+		this.OnTextureLoadingDone(t, false);
 }
 
 /**
- * Returns the amount of textures which still need to be loaded
+ * Returns the amount of textures which still need to be loaded. Textures which failed to load are not counted.
  * @public
  */
 CL3D.TextureManager.prototype.getCountOfTexturesToLoad = function()
@@ -89,7 +111,24 @@ CL3D.TextureManager.prototype.getCountOfTexturesToLoad = function()
 	for (var i=0; i<this.Textures.length; ++i)
 	{
 		var t = this.Textures[i];
-		if (t.Loaded == false)
+		if (t.Loaded == false && !t.LoadingFailed)
+			++ret;
+	}
+	
+	return ret;
+}
+
+/**
+ * Returns the amount of textures which could not be loaded, see {@link CL3D.Texture.hasLoadingFailed}().
+ * @public
+ */
+CL3D.TextureManager.prototype.getCountOfTexturesFailedToLoad = function()
+{
+	var ret = 0;
+	
+	for (var i=0; i<this.Textures.length; ++i)
+	{
+		if (this.Textures[i].LoadingFailed)
 			++ret;
 	}
 	
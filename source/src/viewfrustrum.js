@@ -180,6 +180,58 @@ CL3D.ViewFrustrum.prototype.getFarLeftDown = function()
 	return p;
 }
 
+/**
+ * @private
+ */
+CL3D.ViewFrustrum.prototype.getNearLeftUp = function()
+{
+	var p = new CL3D.Vect3d();
+	
+	this.planes[CL3D.ViewFrustrum.VF_NEAR_PLANE].getIntersectionWithPlanes(	
+		this.planes[CL3D.ViewFrustrum.VF_TOP_PLANE], this.planes[CL3D.ViewFrustrum.VF_LEFT_PLANE], p);
+
+	return p;
+}
+
+/**
+ * @private
+ */
+CL3D.ViewFrustrum.prototype.getNearRightUp = function()
+{
+	var p = new CL3D.Vect3d();
+	
+	this.planes[CL3D.ViewFrustrum.VF_NEAR_PLANE].getIntersectionWithPlanes(	
+		this.planes[CL3D.ViewFrustrum.VF_TOP_PLANE], this.planes[CL3D.ViewFrustrum.VF_RIGHT_PLANE], p);
+
+	return p;
+}
+
+/**
+ * @private
+ */
+CL3D.ViewFrustrum.prototype.getNearRightDown = function()
+{
+	var p = new CL3D.Vect3d();
+	
+	this.planes[CL3D.ViewFrustrum.VF_NEAR_PLANE].getIntersectionWithPlanes(	
+		this.planes[CL3D.ViewFrustrum.VF_BOTTOM_PLANE], this.planes[CL3D.ViewFrustrum.VF_RIGHT_PLANE], p);
+
+	return p;
+}
+
+/**
+ * @private
+ */
+CL3D.ViewFrustrum.prototype.getNearLeftDown = function()
+{
+	var p = new CL3D.Vect3d();
+	
+	this.planes[CL3D.ViewFrustrum.VF_NEAR_PLANE].getIntersectionWithPlanes(	
+		this.planes[CL3D.ViewFrustrum.VF_BOTTOM_PLANE], this.planes[CL3D.ViewFrustrum.VF_LEFT_PLANE], p);
+
+	return p;
+}
+
 /**
  * @private
  */
@@ -221,4 +273,62 @@ CL3D.ViewFrustrum.prototype.isBoxInside = function(box)
 	}
 	
 	return true;
-}
\ No newline at end of file
+}
+/**
+ * Returned by {@link CL3D.ViewFrustrum.classifyBox}: The box is completely outside of the frustrum.
+ * @private
+ * @const
+ */
+CL3D.ViewFrustrum.BOX_OUTSIDE = 0;
+
+/**
+ * Returned by {@link CL3D.ViewFrustrum.classifyBox}: The box intersects the border of the frustrum.
+ * @private
+ * @const
+ */
+CL3D.ViewFrustrum.BOX_INTERSECTING = 1;
+
+/**
+ * Returned by {@link CL3D.ViewFrustrum.classifyBox}: The box is completely inside of the frustrum.
+ * @private
+ * @const
+ */
+CL3D.ViewFrustrum.BOX_INSIDE = 2;
+
+/**
+ * Tests an axis aligned box against all six planes of the frustrum. Only tests the two corners of the box
+ * which are nearest and farest along each plane normal, so this is a lot faster than isBoxInside().
+ * @private
+ * @returns BOX_OUTSIDE, BOX_INTERSECTING or BOX_INSIDE
+ */
+CL3D.ViewFrustrum.prototype.classifyBox = function(box)
+{
+	var min = box.MinEdge;
+	var max = box.MaxEdge;
+	var intersecting = false;
+	
+	for (var p=0; p<CL3D.ViewFrustrum.VF_PLANE_COUNT; ++p)
+	{
+		// plane normals point out of the frustrum
+		var plane = this.planes[p];
+		var n = plane.Normal;
+		
+		// corner farest inside
+		var d = n.X * (n.X > 0 ? min.X : max.X) +
+		        n.Y * (n.Y > 0 ? min.Y : max.Y) +
+		        n.Z * (n.Z > 0 ? min.Z : max.Z) + plane.D;
+		        
+		if (d > 0)
+			return CL3D.ViewFrustrum.BOX_OUTSIDE;
+			
+		// corner farest outside
+		d = n.X * (n.X > 0 ? max.X : min.X) +
+		    n.Y * (n.Y > 0 ? max.Y : min.Y) +
+		    n.Z * (n.Z > 0 ? max.Z : min.Z) + plane.D;
+		    
+		if (d > 0)
+			intersecting = true;
+	}
+	
+	return intersecting ? CL3D.ViewFrustrum.BOX_INTERSECTING : CL3D.ViewFrustrum.BOX_INSIDE;
+}
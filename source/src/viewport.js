@@ -0,0 +1,162 @@
+//+ Nikolaus Gebhardt
+// This file is part of the CopperLicht library, copyright by Nikolaus Gebhardt
+
+/**
+ * A rectangle of the canvas into which the scene is drawn from a camera, for split screen games or editor like views
+ * from several sides. Add viewports to a scene using {@link CL3D.Scene.addViewport}(). As soon as a scene has viewports,
+ * only these are drawn instead of the view of the active camera over the whole canvas.<br/>
+ * Clicking into a viewport or using the mouse wheel over it makes its camera the active camera of the scene, so that the mouse
+ * and keyboard control the camera animators of that viewport.
+ * @constructor
+ * @public
+ * @class A rectangle of the canvas showing the scene from a camera.
+ * @param {CL3D.CameraSceneNode} camera camera from which the scene is drawn
+ * @param {Number} x left side of the rectangle, relative to the width of the canvas (0 is the left, 1 the right side)
+ * @param {Number} y top side of the rectangle, relative to the height of the canvas (0 is the top, 1 the bottom)
+ * @param {Number} width width of the rectangle, relative to the width of the canvas
+ * @param {Number} height height of the rectangle, relative to the height of the canvas
+ * @example
+ * // split screen for two players
+ * var scene = engine.getScene();
+ * scene.addViewport(new CL3D.Viewport(cameraPlayer1, 0, 0, 0.5, 1));
+ * scene.addViewport(new CL3D.Viewport(cameraPlayer2, 0.5, 0, 0.5, 1));
+ */
+CL3D.Viewport = function(camera, x, y, width, height)
+{
+	this.Camera = camera ? camera : null;
+	this.X = x != null ? x : 0;
+	this.Y = y != null ? y : 0;
+	this.Width = width != null ? width : 1;
+	this.Height = height != null ? height : 1;
+
+	this.Enabled = true;
+	this.ClearBackBuffer = true;
+	this.ClearZBuffer = true;
+	this.BackgroundColor = null;
+	this.OverlayLayer = 0;
+}
+
+/**
+ * Camera from which the scene is drawn into the viewport.
+ * @public
+ * @type CL3D.CameraSceneNode
+ */
+CL3D.Viewport.prototype.Camera = null;
+
+/**
+ * Left side of the viewport, relative to the width of the canvas. Default is 0.
+ * @public
+ * @type Number
+ */
+CL3D.Viewport.prototype.X = 0;
+
+/**
+ * Top side of the viewport, relative to the height of the canvas. Default is 0.
+ * @public
+ * @type Number
+ */
+CL3D.Viewport.prototype.Y = 0;
+
+/**
+ * Width of the viewport, relative to the width of the canvas. Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.Viewport.prototype.Width = 1;
+
+/**
+ * Height of the viewport, relative to the height of the canvas. Default is 1.
+ * @public
+ * @type Number
+ */
+CL3D.Viewport.prototype.Height = 1;
+
+/**
+ * Set to false to stop drawing the viewport. Default is true.
+ * @public
+ * @type Boolean
+ */
+CL3D.Viewport.prototype.Enabled = true;
+
+/**
+ * If the colors of the viewport are cleared before drawing into it. Default is true.
+ * @public
+ * @type Boolean
+ */
+CL3D.Viewport.prototype.ClearBackBuffer = true;
+
+/**
+ * If the depth buffer of the viewport is cleared before drawing into it. Default is true.
+ * @public
+ * @type Boolean
+ */
+CL3D.Viewport.prototype.ClearZBuffer = true;
+
+/**
+ * Color the viewport is cleared with, see {@link CL3D.createColor}(). Default is null, which uses the background color of the scene.
+ * @public
+ * @type Number
+ */
+CL3D.Viewport.prototype.BackgroundColor = null;
+
+/**
+ * Layer of the 2D overlays drawn over this viewport, see {@link CL3D.Overlay2DSceneNode.Layer}. Their positions and sizes are
+ * then relative to the viewport instead of to the canvas, useful for example for the score display of each player.
+ * Default is 0, which draws no overlays in the viewport: overlays of layer 0 are drawn over the whole canvas after all viewports.
+ * @public
+ * @type Number
+ */
+CL3D.Viewport.prototype.OverlayLayer = 0;
+
+/**
+ * Sets the rectangle of the viewport, relative to the size of the canvas.
+ * @public
+ * @param {Number} x left side of the rectangle, between 0 and 1
+ * @param {Number} y top side of the rectangle, between 0 and 1
+ * @param {Number} width width of the rectangle, between 0 and 1
+ * @param {Number} height height of the rectangle, between 0 and 1
+ */
+CL3D.Viewport.prototype.setRect = function(x, y, width, height)
+{
+	this.X = x;
+	this.Y = y;
+	this.Width = width;
+	this.Height = height;
+}
+
+/**
+ * Returns the rectangle of the viewport in pixels as object with X, Y, Width and Height, for a canvas of the given size.
+ * @private
+ */
+CL3D.Viewport.prototype.getScreenRect = function(screenWidth, screenHeight)
+{
+	var left = Math.round(this.X * screenWidth);
+	var top = Math.round(this.Y * screenHeight);
+	var right = Math.round((this.X + this.Width) * screenWidth);
+	var bottom = Math.round((this.Y + this.Height) * screenHeight);
+
+	left = Math.max(left, 0);
+	top = Math.max(top, 0);
+	right = Math.min(right, screenWidth);
+	bottom = Math.min(bottom, screenHeight);
+
+	var ret = new Object();
+	ret.X = left;
+	ret.Y = top;
+	ret.Width = right - left;
+	ret.Height = bottom - top;
+	return ret;
+}
+
+/**
+ * Returns if the viewport is drawn, and if it contains the pixel position on a canvas of the given size.
+ * @private
+ */
+CL3D.Viewport.prototype.isVisibleAt = function(x, y, screenWidth, screenHeight)
+{
+	if (!this.Enabled || this.Camera == null)
+		return false;
+
+	var rc = this.getScreenRect(screenWidth, screenHeight);
+	return x >= rc.X && y >= rc.Y && x < rc.X + rc.Width && y < rc.Y + rc.Height;
+}
@@ -2754,6 +2754,63 @@ WebGLRenderingContext.prototype.getSupportedExtensions = function() {};
  */
 WebGLRenderingContext.prototype.getExtension = function(name) {};
 
+/**
+ * WebGL 2 only.
+ * @return {WebGLVertexArrayObject}
+ */
+WebGLRenderingContext.prototype.createVertexArray = function() {};
+
+/**
+ * WebGL 2 only.
+ * @param {WebGLVertexArrayObject} vertexArray
+ */
+WebGLRenderingContext.prototype.bindVertexArray = function(vertexArray) {};
+
+/**
+ * WebGL 2 only.
+ * @param {WebGLVertexArrayObject} vertexArray
+ */
+WebGLRenderingContext.prototype.deleteVertexArray = function(vertexArray) {};
+
+/**
+ * WebGL 2 only.
+ * @param {number} index
+ * @param {number} divisor
+ */
+WebGLRenderingContext.prototype.vertexAttribDivisor = function(index, divisor) {};
+
+/**
+ * WebGL 2 only.
+ * @param {number} mode
+ * @param {number} count
+ * @param {number} type
+ * @param {number} offset
+ * @param {number} instanceCount
+ */
+WebGLRenderingContext.prototype.drawElementsInstanced = function(mode, count, type, offset, instanceCount) {};
+
+/**
+ * The ANGLE_instanced_arrays extension of WebGL 1.
+ * @constructor
+ * @noalias
+ */
+function ANGLEInstancedArrays() {}
+
+/**
+ * @param {number} index
+ * @param {number} divisor
+ */
+ANGLEInstancedArrays.prototype.vertexAttribDivisorANGLE = function(index, divisor) {};
+
+/**
+ * @param {number} mode
+ * @param {number} count
+ * @param {number} type
+ * @param {number} offset
+ * @param {number} primcount
+ */
+ANGLEInstancedArrays.prototype.drawElementsInstancedANGLE = function(mode, count, type, offset, primcount) {};
+
 /**
  * @constructor
  * @noalias
@@ -2814,6 +2871,14 @@ function WebGLBuffer() {}
 function WebGLFramebuffer() {}
 
 
+/**
+ * @constructor
+ * @noalias
+ * @extends {WebGLObject}
+ */
+function WebGLVertexArrayObject() {}
+
+
 /**
  * @constructor
  * @noalias